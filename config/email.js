@@ -29,14 +29,15 @@ if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
   };
 }
 
-async function sendEmail({ to, subject, html, text }) {
+async function sendEmail({ to, subject, html, text, replyTo }) {
   try {
     const info = await transporter.sendMail({
       from: `"${process.env.EMAIL_FROM_NAME || 'Multi-Project Tracker'}" <${process.env.EMAIL_FROM || process.env.GMAIL_USER || 'noreply@example.com'}>`,
       to,
       subject,
       html,
-      text
+      text,
+      ...(replyTo ? { replyTo } : {})
     });
     console.log('📧 Email sent:', info.messageId, 'to:', to);
     return { success: true, messageId: info.messageId };
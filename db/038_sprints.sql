@@ -0,0 +1,82 @@
+-- Migration 038: Sprints / Iterations
+-- Time-boxed iterations per project with committed scope, carry-over, burndown and velocity
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: sprints
+-- One row per iteration. At most one sprint per project may be active.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sprints (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  goal TEXT,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'planned' CHECK (
+    status IN ('planned', 'active', 'closed')
+  ),
+  capacity_hours DECIMAL(8,2),
+
+  -- Snapshot taken when the sprint starts / closes
+  committed_hours DECIMAL(8,2),
+  committed_items INTEGER,
+  completed_hours DECIMAL(8,2),
+  completed_items INTEGER,
+
+  started_at TIMESTAMP,
+  started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  closed_at TIMESTAMP,
+  closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CONSTRAINT sprints_dates_check CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sprints_project_id ON sprints(project_id);
+CREATE INDEX IF NOT EXISTS idx_sprints_project_status ON sprints(project_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sprints_one_active_per_project
+  ON sprints(project_id) WHERE status = 'active';
+
+-- ============================================================================
+-- COLUMNS: current sprint on issues / action items
+-- ============================================================================
+ALTER TABLE issues
+  ADD COLUMN IF NOT EXISTS sprint_id INTEGER REFERENCES sprints(id) ON DELETE SET NULL;
+
+ALTER TABLE action_items
+  ADD COLUMN IF NOT EXISTS sprint_id INTEGER REFERENCES sprints(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_issues_sprint_id ON issues(sprint_id);
+CREATE INDEX IF NOT EXISTS idx_action_items_sprint_id ON action_items(sprint_id);
+
+-- ============================================================================
+-- TABLE: sprint_items
+-- Scope history for a sprint. Rows are never deleted while the sprint exists so
+-- burndown can tell committed scope from scope added mid-sprint.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sprint_items (
+  id SERIAL PRIMARY KEY,
+  sprint_id INTEGER NOT NULL REFERENCES sprints(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item')),
+  item_id INTEGER NOT NULL,
+  added_at TIMESTAMP DEFAULT NOW(),
+  added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  removed_at TIMESTAMP,
+  committed BOOLEAN DEFAULT FALSE,
+  planned_hours DECIMAL(8,2),
+  carried_over_from INTEGER REFERENCES sprints(id) ON DELETE SET NULL,
+  outcome VARCHAR(20) CHECK (outcome IN ('completed', 'carried_over', 'returned_to_backlog'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sprint_items_sprint_id ON sprint_items(sprint_id);
+CREATE INDEX IF NOT EXISTS idx_sprint_items_item ON sprint_items(item_type, item_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sprint_items_open_membership
+  ON sprint_items(sprint_id, item_type, item_id) WHERE removed_at IS NULL;
+
+COMMENT ON TABLE sprints IS 'Time-boxed project iterations used for sprint boards, burndown and velocity';
+COMMENT ON TABLE sprint_items IS 'Scope history of issues and action items assigned to a sprint';
+COMMENT ON COLUMN sprint_items.committed IS 'TRUE when the item was in scope at the moment the sprint started';
+COMMENT ON COLUMN sprint_items.planned_hours IS 'Planning estimate (estimated_effort_hours) captured when the item joined the sprint';
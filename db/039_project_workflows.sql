@@ -0,0 +1,76 @@
+-- Migration 039: Per-Project Workflows
+-- Configurable ordered statuses (mapped to todo/active/done categories) and transition rules
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: workflow_statuses
+-- Ordered statuses for a project. Projects without rows use the default
+-- To Do / In Progress / Blocked / Done workflow.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workflow_statuses (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  category VARCHAR(20) NOT NULL CHECK (category IN ('todo', 'active', 'done')),
+  position INTEGER NOT NULL DEFAULT 0,
+  color VARCHAR(20),
+  is_initial BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (project_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_statuses_project ON workflow_statuses(project_id, position);
+
+-- ============================================================================
+-- TABLE: workflow_transitions
+-- Allowed status changes. When a project defines no transitions every change
+-- between its statuses is allowed. from_status NULL means "from any status".
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS workflow_transitions (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+
+  -- Per-transition requirements
+  requires_hours BOOLEAN DEFAULT FALSE,
+  requires_checklist_complete BOOLEAN DEFAULT FALSE,
+  requires_assignee BOOLEAN DEFAULT FALSE,
+  min_role VARCHAR(50),
+
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflow_transitions_unique
+  ON workflow_transitions(project_id, COALESCE(from_status, ''), to_status);
+
+COMMENT ON TABLE workflow_statuses IS 'Per-project ordered statuses used by the board, filters, reports and exports';
+COMMENT ON TABLE workflow_transitions IS 'Allowed status transitions and their requirements (hours, checklist completion, assignee, role)';
+COMMENT ON COLUMN workflow_transitions.requires_hours IS 'Hours must be logged with this transition regardless of the project timesheet setting';
+
+-- ============================================================================
+-- FUNCTION: status_category(project_id, status)
+-- Category of a status in a project's workflow, falling back to the
+-- conventional names used before workflows existed.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION status_category(p_project_id INTEGER, p_status VARCHAR)
+RETURNS VARCHAR AS $$
+  SELECT COALESCE(
+    (SELECT category FROM workflow_statuses
+     WHERE project_id = p_project_id AND name = p_status
+     LIMIT 1),
+    CASE
+      WHEN LOWER(p_status) IN ('done', 'completed', 'closed', 'cancelled', 'resolved') THEN 'done'
+      WHEN LOWER(p_status) IN ('to do', 'todo', 'open', 'backlog', 'new') THEN 'todo'
+      ELSE 'active'
+    END
+  );
+$$ LANGUAGE SQL STABLE;
+
+COMMENT ON FUNCTION status_category(INTEGER, VARCHAR) IS 'Returns todo/active/done for a status in the given project workflow';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 039 complete: workflow_statuses, workflow_transitions, status_category()';
+END $$;
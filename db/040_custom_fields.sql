@@ -0,0 +1,93 @@
+-- Migration 040: Custom Fields
+-- Project-defined typed fields on issues and action items
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: custom_field_definitions
+-- One row per field. Values live in issues.custom_fields / action_items.custom_fields
+-- keyed by field_key so renaming a field does not touch item data.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS custom_field_definitions (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  field_key VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  field_type VARCHAR(20) NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'select', 'multi_select', 'user')),
+  applies_to VARCHAR(20) NOT NULL DEFAULT 'both' CHECK (applies_to IN ('issue', 'action-item', 'both')),
+
+  -- Choices for select / multi_select
+  options JSONB NOT NULL DEFAULT '[]',
+
+  -- Validation and defaults
+  is_required BOOLEAN DEFAULT FALSE,
+  default_value JSONB,
+  validation JSONB NOT NULL DEFAULT '{}',  -- { min, max, maxLength, pattern }
+
+  position INTEGER NOT NULL DEFAULT 0,
+  show_in_table BOOLEAN DEFAULT TRUE,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (project_id, field_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_field_definitions_project
+  ON custom_field_definitions(project_id, position) WHERE is_active = TRUE;
+
+-- ============================================================================
+-- Item values
+-- ============================================================================
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE action_items ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_issues_custom_fields ON issues USING GIN(custom_fields);
+CREATE INDEX IF NOT EXISTS idx_action_items_custom_fields ON action_items USING GIN(custom_fields);
+
+COMMENT ON TABLE custom_field_definitions IS 'Project-defined custom fields (text, number, date, select, multi_select, user) for issues and action items';
+COMMENT ON COLUMN custom_field_definitions.field_key IS 'Stable key used in the custom_fields JSONB of issues and action items';
+COMMENT ON COLUMN issues.custom_fields IS 'Custom field values keyed by custom_field_definitions.field_key';
+COMMENT ON COLUMN action_items.custom_fields IS 'Custom field values keyed by custom_field_definitions.field_key';
+
+-- ============================================================================
+-- PKG sync: mirror custom field values into the Task node attrs
+-- ============================================================================
+CREATE OR REPLACE FUNCTION sync_custom_fields_to_pkg()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE pkg_nodes
+  SET attrs = jsonb_set(attrs, '{custom_fields}', NEW.custom_fields),
+      updated_at = NOW()
+  WHERE source_table = TG_TABLE_NAME
+    AND source_id = NEW.id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sync_issue_custom_fields_to_pkg ON issues;
+CREATE TRIGGER trigger_sync_issue_custom_fields_to_pkg
+  AFTER INSERT OR UPDATE OF custom_fields ON issues
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_custom_fields_to_pkg();
+
+DROP TRIGGER IF EXISTS trigger_sync_action_item_custom_fields_to_pkg ON action_items;
+CREATE TRIGGER trigger_sync_action_item_custom_fields_to_pkg
+  AFTER INSERT OR UPDATE OF custom_fields ON action_items
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_custom_fields_to_pkg();
+
+-- Backfill attrs for existing Task nodes
+UPDATE pkg_nodes p
+SET attrs = jsonb_set(p.attrs, '{custom_fields}', i.custom_fields)
+FROM issues i
+WHERE p.source_table = 'issues' AND p.source_id = i.id;
+
+UPDATE pkg_nodes p
+SET attrs = jsonb_set(p.attrs, '{custom_fields}', a.custom_fields)
+FROM action_items a
+WHERE p.source_table = 'action_items' AND p.source_id = a.id;
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 040 complete: custom_field_definitions, issues/action_items.custom_fields, PKG attrs sync';
+END $$;
@@ -0,0 +1,40 @@
+-- Migration 041: Field-Level Change History
+-- Records every field-level diff made to issues and action items
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: item_change_history
+-- One row per changed field. Rows written by the same save share a change_id
+-- so the timeline can group them. status_history is still written for status
+-- moves because reports and burndown read it.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS item_change_history (
+  id SERIAL PRIMARY KEY,
+  change_id UUID NOT NULL,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item')),
+  item_id INTEGER NOT NULL,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+
+  -- Column name, or custom_fields.<field_key> for custom fields
+  field_name VARCHAR(100) NOT NULL,
+  old_value JSONB,
+  new_value JSONB,
+
+  change_source VARCHAR(20) NOT NULL DEFAULT 'edit' CHECK (change_source IN ('edit', 'bulk', 'revert')),
+  changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_change_history_item
+  ON item_change_history(item_type, item_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_item_change_history_project
+  ON item_change_history(project_id, changed_at DESC);
+
+COMMENT ON TABLE item_change_history IS 'Field-level change log for issues and action items (PATCH edits, bulk table actions and reverts)';
+COMMENT ON COLUMN item_change_history.change_id IS 'Groups the fields changed by a single save';
+COMMENT ON COLUMN item_change_history.field_name IS 'Column name, or custom_fields.<field_key> for custom field values';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 041 complete: item_change_history';
+END $$;
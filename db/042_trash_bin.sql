@@ -0,0 +1,48 @@
+-- Migration 042: Trash Bin
+-- Deleted issues, action items, risks and decisions are moved to the trash
+-- and can be restored until the project's retention period runs out
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: trash_items
+-- A deleted item is removed from its table together with the rows that
+-- depend on it (comments, tags, dependencies, relationships, PKG nodes and
+-- edges). All of them are kept in snapshot so restore can put them back with
+-- their original ids. Attachments and time entries are keyed by item id and
+-- stay where they are until the item is purged.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS trash_items (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item', 'risk', 'decision')),
+  item_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+
+  -- { row, dependents: { table: [rows] }, references: [...], pkgNodes, pkgEdges, ... }
+  snapshot JSONB NOT NULL,
+
+  deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  deleted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+  UNIQUE(item_type, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trash_items_project ON trash_items(project_id, deleted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_trash_items_deleted_at ON trash_items(deleted_at);
+
+COMMENT ON TABLE trash_items IS 'Soft-deleted issues, action items, risks and decisions awaiting restore or purge';
+COMMENT ON COLUMN trash_items.snapshot IS 'Item row plus the dependent rows and references removed with it, used by restore';
+
+-- ============================================================================
+-- PROJECT SETTING: trash retention
+-- ============================================================================
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER NOT NULL DEFAULT 30
+    CHECK (trash_retention_days BETWEEN 1 AND 365);
+
+COMMENT ON COLUMN projects.trash_retention_days IS 'Days a deleted item stays in the trash before the scheduler purges it';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 042 complete: trash_items, projects.trash_retention_days';
+END $$;
@@ -0,0 +1,50 @@
+-- Migration 043: Saved Views
+-- Named board / table views (filters, sort, view mode, visible columns) that
+-- are private to their owner or shared with the project, plus each user's
+-- default view per project
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: saved_views
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS saved_views (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  visibility VARCHAR(20) NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'shared')),
+
+  -- { filters: {...}, viewMode: 'kanban' | 'table',
+  --   sort: { table: { column, direction }, kanban: { [columnId]: mode } },
+  --   columns: [visible table column keys] }
+  definition JSONB NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (project_id, owner_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_project ON saved_views(project_id, visibility);
+CREATE INDEX IF NOT EXISTS idx_saved_views_owner ON saved_views(owner_id);
+
+COMMENT ON TABLE saved_views IS 'Saved filter / sort / column presets for the project board and table';
+COMMENT ON COLUMN saved_views.visibility IS 'private: owner only; shared: every project member can open it';
+
+-- ============================================================================
+-- TABLE: saved_view_defaults
+-- The view a user lands on when opening a project without filters in the URL
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS saved_view_defaults (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  view_id INTEGER NOT NULL REFERENCES saved_views(id) ON DELETE CASCADE,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (user_id, project_id)
+);
+
+COMMENT ON TABLE saved_view_defaults IS 'Per-user default saved view for each project';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 043 complete: saved_views, saved_view_defaults';
+END $$;
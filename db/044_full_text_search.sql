@@ -0,0 +1,52 @@
+-- Migration 044: Full-Text Search
+-- GIN expression indexes behind GET /api/projects/:projectId/search. The
+-- expressions must match services/search-service.js exactly or the planner
+-- will not use them. transcript_chunks (035) and rag_documents (027) are
+-- already indexed.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- ITEMS
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_issues_fts ON issues
+  USING gin(to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_action_items_fts ON action_items
+  USING gin(to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_issue_comments_fts ON issue_comments
+  USING gin(to_tsvector('english', comment));
+
+CREATE INDEX IF NOT EXISTS idx_action_item_comments_fts ON action_item_comments
+  USING gin(to_tsvector('english', comment));
+
+CREATE INDEX IF NOT EXISTS idx_checklist_comments_fts ON checklist_comments
+  USING gin(to_tsvector('english', comment));
+
+-- ============================================================================
+-- RISKS, DECISIONS, CHECKLISTS, MEETINGS
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_risks_fts ON risks
+  USING gin(to_tsvector('english',
+    coalesce(title, '') || ' ' || coalesce(description, '') || ' ' ||
+    coalesce(mitigation_plan, '') || ' ' || coalesce(contingency_plan, '')));
+
+CREATE INDEX IF NOT EXISTS idx_decisions_fts ON decisions
+  USING gin(to_tsvector('english',
+    coalesce(title, '') || ' ' || coalesce(description, '') || ' ' ||
+    coalesce(rationale, '') || ' ' || coalesce(consequences, '')));
+
+CREATE INDEX IF NOT EXISTS idx_checklists_fts ON checklists
+  USING gin(to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_meetings_fts ON meetings
+  USING gin(to_tsvector('english',
+    coalesce(title, '') || ' ' || coalesce(summary, '') || ' ' || coalesce(transcript_text, '')));
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 044 complete: full-text search indexes';
+END $$;
@@ -0,0 +1,41 @@
+-- Migration 045: Item Watchers
+-- Users following issues, action items, risks and decisions. Watchers are
+-- notified of comments, status changes and field edits. Commenters and
+-- mentioned users are added automatically; an explicit unwatch is kept as a
+-- row with is_watching = FALSE so later activity doesn't re-subscribe them.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: item_watchers
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS item_watchers (
+  id SERIAL PRIMARY KEY,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item', 'risk', 'decision')),
+  item_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  is_watching BOOLEAN NOT NULL DEFAULT TRUE,
+  reason VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (reason IN ('manual', 'commenter', 'mentioned')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (item_type, item_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_watchers_item ON item_watchers(item_type, item_id) WHERE is_watching;
+CREATE INDEX IF NOT EXISTS idx_item_watchers_user ON item_watchers(user_id) WHERE is_watching;
+
+COMMENT ON TABLE item_watchers IS 'Watch subscriptions on issues, action items, risks and decisions';
+COMMENT ON COLUMN item_watchers.is_watching IS 'FALSE records an explicit unwatch, which automatic watching respects';
+COMMENT ON COLUMN item_watchers.reason IS 'How the subscription started: manual, commenter, mentioned';
+
+-- ============================================================================
+-- NOTIFICATION PREFERENCE
+-- ============================================================================
+ALTER TABLE user_notification_preferences
+  ADD COLUMN IF NOT EXISTS watching_enabled BOOLEAN DEFAULT TRUE;
+
+COMMENT ON COLUMN user_notification_preferences.watching_enabled IS 'Email updates on watched items';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 045 complete: item_watchers, user_notification_preferences.watching_enabled';
+END $$;
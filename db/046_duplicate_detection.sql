@@ -0,0 +1,53 @@
+-- Migration 046: Duplicate Detection
+-- Embeddings of issue / action item text for "possible duplicate" checks
+-- before items are created, and redirects left behind when one issue is
+-- merged into another
+-- Created: 2026-10-19
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- ============================================================================
+-- TABLE: item_embeddings
+-- One embedding per item, refreshed when its title or description changes
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS item_embeddings (
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item')),
+  item_id INTEGER NOT NULL,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  embedding VECTOR(1536) NOT NULL,
+  content_hash VARCHAR(32) NOT NULL,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (item_type, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_embeddings_project ON item_embeddings(project_id);
+CREATE INDEX IF NOT EXISTS idx_item_embeddings_vector ON item_embeddings
+  USING hnsw (embedding vector_cosine_ops);
+
+COMMENT ON TABLE item_embeddings IS 'Title + description embeddings used for duplicate detection';
+COMMENT ON COLUMN item_embeddings.content_hash IS 'md5 of the embedded text; unchanged text is not re-embedded';
+
+-- ============================================================================
+-- TABLE: item_redirects
+-- Where a merged issue went, so old links and references still resolve
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS item_redirects (
+  id SERIAL PRIMARY KEY,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item')),
+  from_id INTEGER NOT NULL,
+  to_id INTEGER NOT NULL,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  from_title VARCHAR(255),
+  merged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  merged_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (item_type, from_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_redirects_to ON item_redirects(item_type, to_id);
+
+COMMENT ON TABLE item_redirects IS 'Merged items and the item they were folded into';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 046 complete: item_embeddings, item_redirects';
+END $$;
@@ -0,0 +1,42 @@
+-- Migration 047: Portfolio Health
+-- Project attributes used by the portfolio dashboard: free-form tags and a
+-- named owner for grouping, and a budget with an hourly rate so logged time
+-- can be reported as budget burn.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- PROJECT GROUPING
+-- ============================================================================
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Existing projects are owned by whoever created them
+UPDATE projects
+SET owner_id = created_by::INTEGER
+WHERE owner_id IS NULL
+  AND created_by ~ '^[0-9]+$'
+  AND EXISTS (SELECT 1 FROM users u WHERE u.id = created_by::INTEGER);
+
+CREATE INDEX IF NOT EXISTS idx_projects_tags ON projects USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_projects_owner ON projects(owner_id);
+
+COMMENT ON COLUMN projects.tags IS 'Portfolio grouping labels, e.g. program or business unit';
+COMMENT ON COLUMN projects.owner_id IS 'Accountable project owner shown on the portfolio dashboard';
+
+-- ============================================================================
+-- BUDGET
+-- ============================================================================
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS budget_amount DECIMAL(12,2) CHECK (budget_amount IS NULL OR budget_amount >= 0),
+  ADD COLUMN IF NOT EXISTS budget_hourly_rate DECIMAL(8,2) CHECK (budget_hourly_rate IS NULL OR budget_hourly_rate >= 0),
+  ADD COLUMN IF NOT EXISTS budget_currency VARCHAR(10) DEFAULT 'USD';
+
+COMMENT ON COLUMN projects.budget_amount IS 'Approved project budget';
+COMMENT ON COLUMN projects.budget_hourly_rate IS 'Blended rate applied to time_entries hours to compute spend';
+COMMENT ON COLUMN projects.budget_currency IS 'Currency of budget_amount and budget_hourly_rate';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 047 complete: projects.tags, owner_id, budget_amount, budget_hourly_rate, budget_currency';
+END $$;
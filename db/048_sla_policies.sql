@@ -0,0 +1,79 @@
+-- Migration 048: SLA Policies
+-- Response and resolution commitments per project and priority, with timers
+-- stored on each issue. Timers count business time (weekends excluded),
+-- pause while an issue sits in one of the project's pause statuses, and are
+-- checked by the scheduler for near-breach and breach escalations.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: sla_policies
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  priority VARCHAR(20) NOT NULL,
+  response_target DECIMAL(6,2) NOT NULL CHECK (response_target > 0),
+  response_unit VARCHAR(20) NOT NULL DEFAULT 'hours' CHECK (response_unit IN ('hours', 'business_days')),
+  resolution_target DECIMAL(6,2) NOT NULL CHECK (resolution_target > 0),
+  resolution_unit VARCHAR(20) NOT NULL DEFAULT 'business_days' CHECK (resolution_unit IN ('hours', 'business_days')),
+  warning_percent INTEGER NOT NULL DEFAULT 75 CHECK (warning_percent BETWEEN 1 AND 99),
+  escalate_to_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (project_id, priority)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_policies_project ON sla_policies(project_id) WHERE is_active;
+
+COMMENT ON TABLE sla_policies IS 'Response and resolution targets per project and issue priority';
+COMMENT ON COLUMN sla_policies.priority IS 'Issue priority this policy applies to, lower case';
+COMMENT ON COLUMN sla_policies.response_unit IS 'hours = business hours (weekends skipped); business_days = whole weekdays';
+COMMENT ON COLUMN sla_policies.warning_percent IS 'Share of the target elapsed before an issue is near breach';
+COMMENT ON COLUMN sla_policies.escalate_to_user_id IS 'Also notified on breach, in addition to the assignee and project managers';
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS sla_pause_statuses TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN projects.sla_pause_statuses IS 'Issue statuses in which SLA timers stop, e.g. Waiting on Customer';
+
+-- ============================================================================
+-- ISSUE TIMERS
+-- ============================================================================
+ALTER TABLE issues
+  ADD COLUMN IF NOT EXISTS sla_policy_id INTEGER REFERENCES sla_policies(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS sla_started_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_response_due_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_resolution_due_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_responded_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_resolved_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_paused_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_paused_minutes INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS sla_response_breached BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS sla_resolution_breached BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS sla_warning_sent_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS sla_escalated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_issues_sla_open ON issues(sla_resolution_due_at)
+  WHERE sla_policy_id IS NOT NULL AND sla_resolved_at IS NULL;
+
+COMMENT ON COLUMN issues.sla_response_due_at IS 'Acknowledge-by time, pushed back by paused business time';
+COMMENT ON COLUMN issues.sla_resolution_due_at IS 'Resolve-by time, pushed back by paused business time';
+COMMENT ON COLUMN issues.sla_responded_at IS 'First move out of the to-do category or first assignment';
+COMMENT ON COLUMN issues.sla_paused_minutes IS 'Business minutes spent in pause statuses so far';
+COMMENT ON COLUMN issues.sla_warning_sent_at IS 'Near-breach notice sent for the current target';
+COMMENT ON COLUMN issues.sla_escalated_at IS 'Breach escalation sent for the current target';
+
+-- ============================================================================
+-- NOTIFICATION PREFERENCE
+-- ============================================================================
+ALTER TABLE user_notification_preferences
+  ADD COLUMN IF NOT EXISTS sla_escalations_enabled BOOLEAN DEFAULT TRUE;
+
+COMMENT ON COLUMN user_notification_preferences.sla_escalations_enabled IS 'Email on SLA near-breach and breach';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 048 complete: sla_policies, projects.sla_pause_statuses, issues.sla_* timers';
+END $$;
@@ -0,0 +1,41 @@
+-- Migration 049: WIP Limits
+-- Optional work-in-progress limit per workflow status, enforced when items
+-- change status. Moving an item into a full status needs an override reason,
+-- which is logged.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- WORKFLOW STATUS LIMIT
+-- ============================================================================
+ALTER TABLE workflow_statuses
+  ADD COLUMN IF NOT EXISTS wip_limit INTEGER CHECK (wip_limit IS NULL OR wip_limit > 0);
+
+COMMENT ON COLUMN workflow_statuses.wip_limit IS 'Maximum issues plus action items in this status; NULL means no limit';
+
+-- ============================================================================
+-- TABLE: wip_limit_overrides
+-- One row per status change that went over a WIP limit
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS wip_limit_overrides (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('issue', 'action-item')),
+  item_id INTEGER NOT NULL,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  wip_limit INTEGER NOT NULL,
+  item_count INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wip_limit_overrides_project ON wip_limit_overrides(project_id, created_at DESC);
+
+COMMENT ON TABLE wip_limit_overrides IS 'Audit log of status changes that exceeded a WIP limit, with the reason given';
+COMMENT ON COLUMN wip_limit_overrides.item_count IS 'Items already in to_status before the move';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 049 complete: workflow_statuses.wip_limit, wip_limit_overrides';
+END $$;
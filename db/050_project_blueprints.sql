@@ -0,0 +1,31 @@
+-- Migration 050: Project Blueprints
+-- A saved copy of a project's structure (risk categories, tags, custom roles,
+-- checklist template mappings, workflow, sidecar and timesheet settings, and
+-- optionally a backlog of item skeletons) used to set up new projects.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- TABLE: project_blueprints
+-- The structure is stored as a snapshot, so later changes to (or deletion of)
+-- the source project don't change the blueprint
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS project_blueprints (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  source_project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL,
+  definition JSONB NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_blueprints_name ON project_blueprints(name);
+
+COMMENT ON TABLE project_blueprints IS 'Reusable project structures saved from an existing project';
+COMMENT ON COLUMN project_blueprints.definition IS 'Snapshot of the project structure; item due dates are stored as day offsets from the project start';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 050 complete: project_blueprints';
+END $$;
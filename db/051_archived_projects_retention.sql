@@ -0,0 +1,168 @@
+-- Migration 051: Read-only Archived Projects and Retention
+-- Archived projects can no longer be changed: a trigger on the project-scoped
+-- tables rejects inserts, updates and deletes while the project is archived.
+-- Archived projects can also have a retention policy that compacts old
+-- transcripts, audio and attachments, with an export taken before the purge.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- FUNCTION: assert_project_writable()
+-- Row trigger. With no arguments the row's own project_id is checked; with
+-- (parent_table, fk_column) the project is read from the parent row.
+--
+-- Skipped when:
+--   * fired from another trigger (ON DELETE CASCADE / SET NULL, history and
+--     sync triggers), so deleting an archived project still works
+--   * app.archive_bypass is 'on' for the transaction, which retention
+--     compaction sets with SET LOCAL
+-- ============================================================================
+CREATE OR REPLACE FUNCTION assert_project_writable()
+RETURNS TRIGGER AS $$
+DECLARE
+  row_data JSONB;
+  target_project_id INTEGER;
+BEGIN
+  IF pg_trigger_depth() > 1 OR current_setting('app.archive_bypass', true) = 'on' THEN
+    RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+  END IF;
+
+  row_data := CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ELSE to_jsonb(NEW) END;
+
+  IF TG_NARGS = 0 THEN
+    target_project_id := (row_data->>'project_id')::INTEGER;
+  ELSE
+    EXECUTE format('SELECT project_id FROM %I WHERE id = $1', TG_ARGV[0])
+      INTO target_project_id
+      USING (row_data->>TG_ARGV[1])::INTEGER;
+  END IF;
+
+  IF target_project_id IS NOT NULL
+     AND EXISTS (SELECT 1 FROM projects WHERE id = target_project_id AND archived = TRUE) THEN
+    RAISE EXCEPTION 'Project % is archived and read-only', target_project_id
+      USING ERRCODE = 'AR001',
+            HINT = 'Restore the project before changing it';
+  END IF;
+
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION assert_project_writable() IS 'Rejects writes to rows of archived projects (SQLSTATE AR001)';
+
+-- ============================================================================
+-- TRIGGERS
+-- Attached only to tables that exist, so older databases without sidecar or
+-- sprint tables still migrate
+-- ============================================================================
+DO $$
+DECLARE
+  project_table TEXT;
+  child RECORD;
+BEGIN
+  FOREACH project_table IN ARRAY ARRAY[
+    'issues', 'action_items', 'risks', 'decisions', 'meetings', 'meeting_transcripts',
+    'checklists', 'tags', 'time_entries', 'sprints', 'project_schedules',
+    'meeting_transcriptions', 'hallway_meetings', 'thought_captures', 'rag_documents'
+  ] LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = project_table AND column_name = 'project_id'
+    ) THEN
+      EXECUTE format('DROP TRIGGER IF EXISTS trigger_assert_project_writable ON %I', project_table);
+      EXECUTE format(
+        'CREATE TRIGGER trigger_assert_project_writable
+           BEFORE INSERT OR UPDATE OR DELETE ON %I
+           FOR EACH ROW EXECUTE FUNCTION assert_project_writable()',
+        project_table
+      );
+    END IF;
+  END LOOP;
+
+  FOR child IN
+    SELECT * FROM (VALUES
+      ('issue_comments', 'issues', 'issue_id'),
+      ('action_item_comments', 'action_items', 'action_item_id'),
+      ('issue_tags', 'issues', 'issue_id'),
+      ('action_item_tags', 'action_items', 'action_item_id'),
+      ('risk_updates', 'risks', 'risk_id'),
+      ('checklist_sections', 'checklists', 'checklist_id'),
+      ('checklist_responses', 'checklists', 'checklist_id'),
+      ('checklist_comments', 'checklists', 'checklist_id'),
+      ('checklist_signoffs', 'checklists', 'checklist_id'),
+      ('sprint_items', 'sprints', 'sprint_id'),
+      ('transcript_chunks', 'meeting_transcriptions', 'meeting_id'),
+      ('meeting_recordings', 'meeting_transcriptions', 'meeting_id'),
+      ('hallway_transcript_chunks', 'hallway_meetings', 'meeting_id'),
+      ('voice_recordings', 'thought_captures', 'thought_capture_id')
+    ) AS t(child_table, parent_table, fk_column)
+  LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = child.child_table AND column_name = child.fk_column
+    ) THEN
+      EXECUTE format('DROP TRIGGER IF EXISTS trigger_assert_project_writable ON %I', child.child_table);
+      EXECUTE format(
+        'CREATE TRIGGER trigger_assert_project_writable
+           BEFORE INSERT OR UPDATE OR DELETE ON %I
+           FOR EACH ROW EXECUTE FUNCTION assert_project_writable(%L, %L)',
+        child.child_table, child.parent_table, child.fk_column
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+-- ============================================================================
+-- TABLE: project_retention_policies
+-- One row per project. Each period is counted from the day the project was
+-- archived; NULL keeps that kind of content forever
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS project_retention_policies (
+  project_id INTEGER PRIMARY KEY REFERENCES projects(id) ON DELETE CASCADE,
+  transcript_days INTEGER CHECK (transcript_days > 0),
+  audio_days INTEGER CHECK (audio_days > 0),
+  attachment_days INTEGER CHECK (attachment_days > 0),
+  export_before_purge BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE project_retention_policies IS 'How long an archived project keeps transcripts, audio and attachment files';
+
+-- ============================================================================
+-- TABLE: retention_runs
+-- One row per compaction of a project, manual or nightly
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS retention_runs (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  kinds TEXT[] NOT NULL DEFAULT '{}',
+  counts JSONB NOT NULL DEFAULT '{}',
+  bytes_freed BIGINT NOT NULL DEFAULT 0,
+  export_path TEXT,
+  error TEXT,
+  triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_project ON retention_runs(project_id, started_at DESC);
+
+COMMENT ON COLUMN retention_runs.export_path IS 'Gzipped JSON of everything the run removed, written before anything was purged';
+COMMENT ON COLUMN retention_runs.triggered_by IS 'User who ran it by hand; NULL for the nightly job';
+
+-- ============================================================================
+-- attachments.purged_at
+-- The row stays so the item still lists the attachment; only the file goes
+-- ============================================================================
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'attachments') THEN
+    ALTER TABLE attachments ADD COLUMN IF NOT EXISTS purged_at TIMESTAMP;
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 051 complete: assert_project_writable(), project_retention_policies, retention_runs, attachments.purged_at';
+END $$;
@@ -0,0 +1,122 @@
+-- Migration 052: Comment Threads
+-- Issue, action item and checklist comments share one thread model: replies
+-- point at the comment they answer, a thread (its first comment) can be
+-- resolved, comments carry emoji reactions and every edit keeps the previous
+-- text.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- COMMENT TABLES: replies and resolved state
+-- parent_comment_id is the comment being answered; the thread is the chain's
+-- first comment, and only that comment's resolved_at / resolved_by are used.
+-- checklist_comments also gains the edit columns the other two already have.
+-- ============================================================================
+DO $$
+DECLARE
+  comment_table TEXT;
+BEGIN
+  FOREACH comment_table IN ARRAY ARRAY['issue_comments', 'action_item_comments', 'checklist_comments']
+  LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = comment_table
+    ) THEN
+      EXECUTE format(
+        'ALTER TABLE %I ADD COLUMN IF NOT EXISTS parent_comment_id INTEGER REFERENCES %I(id) ON DELETE CASCADE',
+        comment_table, comment_table
+      );
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP', comment_table);
+      EXECUTE format(
+        'ALTER TABLE %I ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL',
+        comment_table
+      );
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP', comment_table);
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS edited BOOLEAN DEFAULT FALSE', comment_table);
+      EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON %I(parent_comment_id)',
+        'idx_' || comment_table || '_parent', comment_table
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+-- ============================================================================
+-- TABLE: comment_reactions
+-- One row per user and emoji; reacting again with the same emoji removes it
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS comment_reactions (
+  id SERIAL PRIMARY KEY,
+  comment_type VARCHAR(20) NOT NULL CHECK (comment_type IN ('issue', 'action-item', 'checklist')),
+  comment_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  emoji VARCHAR(16) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (comment_type, comment_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_reactions_comment ON comment_reactions(comment_type, comment_id);
+
+COMMENT ON TABLE comment_reactions IS 'Emoji reactions on issue, action item and checklist comments';
+
+-- ============================================================================
+-- TABLE: comment_edits
+-- The text a comment had before each edit, newest last
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS comment_edits (
+  id SERIAL PRIMARY KEY,
+  comment_type VARCHAR(20) NOT NULL CHECK (comment_type IN ('issue', 'action-item', 'checklist')),
+  comment_id INTEGER NOT NULL,
+  previous_comment TEXT NOT NULL,
+  edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  edited_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_edits_comment ON comment_edits(comment_type, comment_id, edited_at);
+
+COMMENT ON COLUMN comment_edits.previous_comment IS 'Comment text as it was before this edit';
+
+-- ============================================================================
+-- FUNCTION: delete_comment_thread_data()
+-- Reactions and edits point at comments by (type, id), so they are removed
+-- with the comment here, including replies removed by the cascade.
+-- TG_ARGV[0] is the comment_type of the table.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION delete_comment_thread_data()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM comment_reactions WHERE comment_type = TG_ARGV[0] AND comment_id = OLD.id;
+  DELETE FROM comment_edits WHERE comment_type = TG_ARGV[0] AND comment_id = OLD.id;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+  surface RECORD;
+BEGIN
+  FOR surface IN
+    SELECT * FROM (VALUES
+      ('issue_comments', 'issue'),
+      ('action_item_comments', 'action-item'),
+      ('checklist_comments', 'checklist')
+    ) AS t(comment_table, comment_type)
+  LOOP
+    IF EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = surface.comment_table
+    ) THEN
+      EXECUTE format('DROP TRIGGER IF EXISTS trigger_delete_comment_thread_data ON %I', surface.comment_table);
+      EXECUTE format(
+        'CREATE TRIGGER trigger_delete_comment_thread_data
+           AFTER DELETE ON %I
+           FOR EACH ROW EXECUTE FUNCTION delete_comment_thread_data(%L)',
+        surface.comment_table, surface.comment_type
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 052 complete: comment replies and resolved state, comment_reactions, comment_edits';
+END $$;
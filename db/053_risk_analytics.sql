@@ -0,0 +1,57 @@
+-- Migration 053: Risk Analytics
+-- Assessments record the residual (after mitigation) rating next to the
+-- inherent one, so heat maps, per-risk score history and the project
+-- exposure trend can show both.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- RISK ASSESSMENTS: residual rating
+-- NULL residual columns mean no residual rating had been made at the time;
+-- analytics then treat the residual score as the inherent score.
+-- ============================================================================
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS residual_probability INTEGER
+  CHECK (residual_probability >= 1 AND residual_probability <= 5);
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS residual_impact INTEGER
+  CHECK (residual_impact >= 1 AND residual_impact <= 5);
+ALTER TABLE risk_assessments ADD COLUMN IF NOT EXISTS residual_score INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_risk_assessments_risk_date ON risk_assessments(risk_id, assessed_at);
+
+COMMENT ON COLUMN risk_assessments.residual_score IS 'residual_probability * residual_impact; NULL when no residual rating was set';
+
+-- ============================================================================
+-- BACKFILL
+-- Carry each risk's current residual rating onto its latest assessment, and
+-- give risks without any assessment one dated at creation.
+-- ============================================================================
+INSERT INTO risk_assessments (
+  risk_id, probability, impact, risk_score, risk_level,
+  residual_probability, residual_impact, residual_score,
+  assessment_notes, assessed_by, assessed_at
+)
+SELECT r.id, r.probability, r.impact, r.risk_score, r.risk_level,
+       r.residual_probability, r.residual_impact, r.residual_probability * r.residual_impact,
+       'Initial assessment (backfilled)', r.created_by, r.created_at
+FROM risks r
+WHERE NOT EXISTS (SELECT 1 FROM risk_assessments ra WHERE ra.risk_id = r.id);
+
+UPDATE risk_assessments ra
+SET residual_probability = r.residual_probability,
+    residual_impact = r.residual_impact,
+    residual_score = r.residual_probability * r.residual_impact
+FROM risks r
+WHERE ra.risk_id = r.id
+  AND r.residual_probability IS NOT NULL
+  AND r.residual_impact IS NOT NULL
+  AND ra.residual_score IS NULL
+  AND ra.id = (
+    SELECT latest.id FROM risk_assessments latest
+    WHERE latest.risk_id = r.id
+    ORDER BY latest.assessed_at DESC, latest.id DESC
+    LIMIT 1
+  );
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 053 complete: residual ratings on risk assessments';
+END $$;
@@ -0,0 +1,28 @@
+-- Migration 054: Risk Links
+-- Risks link to the issues, action items and milestones they threaten and
+-- to the items that mitigate them. Links are pkg_edges from the risk's node
+-- ('threatens', 'mitigated_by'); escalation state lives in the edge attrs
+-- ({escalated_at, escalation_reason}), so no new tables are needed.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- PKG EDGES: links the escalation job still has to check
+-- (idx_pkg_edges_from / idx_pkg_edges_to already cover lookups by node)
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_pkg_edges_risk_links_pending ON pkg_edges(from_node_id)
+  WHERE type IN ('threatens', 'mitigated_by') AND (attrs->>'escalated_at') IS NULL;
+
+COMMENT ON COLUMN pkg_edges.type IS 'Relationship type (depends_on, blocks, evidence_of, owned_by, threatens, mitigated_by, etc.)';
+
+-- ============================================================================
+-- NOTIFICATION PREFERENCE
+-- ============================================================================
+ALTER TABLE user_notification_preferences
+  ADD COLUMN IF NOT EXISTS risk_escalations_enabled BOOLEAN DEFAULT TRUE;
+
+COMMENT ON COLUMN user_notification_preferences.risk_escalations_enabled IS 'Email the risk owner when linked work goes overdue or slips';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 054 complete: pending risk link index on pkg_edges, risk_escalations_enabled preference';
+END $$;
@@ -0,0 +1,51 @@
+-- Migration 055: Review Cadence
+-- Risks and decisions have a review_date that nothing acted on. A daily job
+-- now reminds owners (email + project Teams channel) when reviews fall due,
+-- and owners can mark an item "reviewed, no change", which rolls its
+-- review_date forward by the project's cadence for that kind of item.
+-- Created: 2026-10-19
+
+-- ============================================================================
+-- PROJECT CADENCE
+-- ============================================================================
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS risk_review_cadence_days INTEGER NOT NULL DEFAULT 30
+    CHECK (risk_review_cadence_days BETWEEN 1 AND 365),
+  ADD COLUMN IF NOT EXISTS decision_review_cadence_days INTEGER NOT NULL DEFAULT 90
+    CHECK (decision_review_cadence_days BETWEEN 1 AND 365);
+
+COMMENT ON COLUMN projects.risk_review_cadence_days IS 'Days a risk review_date moves forward when its owner marks it reviewed';
+COMMENT ON COLUMN projects.decision_review_cadence_days IS 'Days a decision review_date moves forward when its owner marks it reviewed';
+
+-- ============================================================================
+-- REMINDER STATE
+-- One reminder per review date: the job skips items reminded on or after
+-- their current review_date, and rolling the date forward re-arms them
+-- ============================================================================
+ALTER TABLE risks ADD COLUMN IF NOT EXISTS review_reminded_at TIMESTAMP;
+ALTER TABLE decisions ADD COLUMN IF NOT EXISTS review_reminded_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_risks_review_date ON risks(review_date)
+  WHERE review_date IS NOT NULL AND status NOT IN ('closed', 'realized');
+CREATE INDEX IF NOT EXISTS idx_decisions_review_date ON decisions(review_date)
+  WHERE review_date IS NOT NULL AND status NOT IN ('rejected', 'superseded');
+
+-- ============================================================================
+-- RISK UPDATES: 'review' entries for "reviewed, no change"
+-- ============================================================================
+ALTER TABLE risk_updates DROP CONSTRAINT IF EXISTS risk_updates_update_type_check;
+ALTER TABLE risk_updates ADD CONSTRAINT risk_updates_update_type_check
+  CHECK (update_type IN ('status_change', 'reassessment', 'mitigation_update', 'note', 'closure', 'realization', 'review'));
+
+-- ============================================================================
+-- NOTIFICATION PREFERENCE
+-- ============================================================================
+ALTER TABLE user_notification_preferences
+  ADD COLUMN IF NOT EXISTS review_reminders_enabled BOOLEAN DEFAULT TRUE;
+
+COMMENT ON COLUMN user_notification_preferences.review_reminders_enabled IS 'Email owners when their risks and decisions are due for review';
+
+DO $$
+BEGIN
+  RAISE NOTICE 'Migration 055 complete: review cadence on projects, review_reminded_at on risks/decisions, risk_updates review type, review_reminders_enabled preference';
+END $$;
@@ -29,7 +29,7 @@ async function checkOverdueItems() {
         FROM issues i
         LEFT JOIN users u ON i.assignee = u.email
         WHERE i.project_id = ${project.id}
-        AND i.status != 'Done'
+        AND status_category(i.project_id, i.status) != 'done'
         AND i.due_date < ${today.toISOString()}
       `;
       
@@ -50,7 +50,7 @@ async function checkOverdueItems() {
         FROM action_items a
         LEFT JOIN users u ON a.assignee = u.email
         WHERE a.project_id = ${project.id}
-        AND a.status != 'Done'
+        AND status_category(a.project_id, a.status) != 'done'
         AND a.due_date < ${today.toISOString()}
       `;
       
@@ -95,7 +95,7 @@ async function sendDailySummaries() {
       const overdueIssues = await sql`
         SELECT * FROM issues 
         WHERE project_id = ${project.id}
-        AND status != 'Done'
+        AND status_category(project_id, status) != 'done'
         AND due_date < ${today.toISOString()}
       `;
       
@@ -103,7 +103,7 @@ async function sendDailySummaries() {
       const overdueActions = await sql`
         SELECT * FROM action_items 
         WHERE project_id = ${project.id}
-        AND status != 'Done'
+        AND status_category(project_id, status) != 'done'
         AND due_date < ${today.toISOString()}
       `;
       
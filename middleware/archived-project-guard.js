@@ -0,0 +1,164 @@
+/**
+ * Archived Project Guard
+ *
+ * Archived projects are read-only. This middleware sits in front of every
+ * /api route and turns away POST/PUT/PATCH/DELETE requests that would change
+ * an archived project with a 409, before any route code runs.
+ *
+ * It runs ahead of the routers' authenticateToken, so requests without a valid
+ * token are passed straight on to be rejected there: no lookups are made for
+ * them and they can't learn whether a project is archived.
+ *
+ * The project is found from the URL (the project itself, or an item in it) or,
+ * for creates, from projectId / project_id in a JSON body. Requests it can't
+ * place are let through; the assert_project_writable() trigger from migration
+ * 051 stops anything that still tries to write to an archived project.
+ */
+
+const { pool } = require('../db');
+const { getAuthenticatedUser } = require('./auth');
+
+const WRITE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// /projects/:id/<section> writes that stay open on an archived project:
+// restoring it, its retention policy, reading it out (blueprints, reports),
+// personal saved views and who has access
+const EXEMPT_PROJECT_SECTIONS = [
+  'archive', 'restore', 'retention', 'blueprints', 'reports', 'views', 'team', 'invitations'
+];
+
+// POSTs elsewhere that only read: running a schedule simulation stores nothing
+const READ_ONLY_POSTS = [
+  /^\/schedules\/\d+\/simulate$/
+];
+
+const ITEM_TABLES = {
+  'issue': 'issues',
+  'issues': 'issues',
+  'action-item': 'action_items',
+  'action-items': 'action_items',
+  'action_item': 'action_items',
+  'risk': 'risks',
+  'risks': 'risks',
+  'decision': 'decisions',
+  'decisions': 'decisions'
+};
+
+// First match wins; each query takes the captured id as $1
+const ROUTE_LOOKUPS = [
+  {
+    // Live meeting bot routes use the platform meeting id
+    pattern: /^\/meetings\/([^/]+)\/(?:end|audio|teams-transcript|analyze|detections|summary|participants)(?:\/|$)/,
+    query: 'SELECT project_id FROM meeting_transcriptions WHERE meeting_id = $1'
+  },
+  { pattern: /^\/meetings\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM meetings WHERE id = $1' },
+  { pattern: /^\/checklists\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM checklists WHERE id = $1' },
+  {
+    pattern: /^\/checklist-items\/(\d+)(?:\/|$)/,
+    query: `SELECT c.project_id FROM checklist_responses cr
+            JOIN checklists c ON c.id = cr.checklist_id WHERE cr.id = $1`
+  },
+  {
+    pattern: /^\/dependencies\/(\d+)$/,
+    query: `SELECT c.project_id FROM checklist_item_dependencies d
+            JOIN checklist_responses cr ON cr.id = d.item_id
+            JOIN checklists c ON c.id = cr.checklist_id WHERE d.id = $1`
+  },
+  {
+    pattern: /^\/attachments\/(\d+)(?:\/|$)/,
+    query: `SELECT COALESCE(i.project_id, ai.project_id) AS project_id FROM attachments a
+            LEFT JOIN issues i ON a.entity_type = 'issue' AND i.id = a.entity_id
+            LEFT JOIN action_items ai ON a.entity_type IN ('action-item', 'action_item') AND ai.id = a.entity_id
+            WHERE a.id = $1`
+  },
+  { pattern: /^\/sprints\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM sprints WHERE id = $1' },
+  { pattern: /^\/time-entries\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM time_entries WHERE id = $1' },
+  { pattern: /^\/tags\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM tags WHERE id = $1' },
+  { pattern: /^\/schedules\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM project_schedules WHERE id = $1' },
+  { pattern: /^\/documents\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM rag_documents WHERE id = $1' },
+  { pattern: /^\/transcripts\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM meeting_transcripts WHERE id = $1' },
+  { pattern: /^\/transcriptions\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM meeting_transcriptions WHERE id = $1' },
+  { pattern: /^\/hallway-meetings\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM hallway_meetings WHERE id = $1' },
+  { pattern: /^\/trash\/(\d+)(?:\/|$)/, query: 'SELECT project_id FROM trash_items WHERE id = $1' }
+];
+
+/**
+ * Work out which project a request writes to. Returns null for reads and
+ * writes that don't belong to one project (or are allowed on an archived
+ * one), { projectId } when the request names it, or { query, params } when
+ * it has to be looked up from an item.
+ */
+function resolveProjectLookup(method, urlPath, body) {
+  if (!WRITE_METHODS.has(method)) return null;
+  if (method === 'POST' && READ_ONLY_POSTS.some(pattern => pattern.test(urlPath))) return null;
+
+  const projectMatch = /^\/(?:aipm\/)?projects\/(\d+)(?:\/([^/]+))?/.exec(urlPath);
+  if (projectMatch) {
+    const [, projectId, section] = projectMatch;
+    if (!section && method === 'DELETE') return null;
+    if (section && EXEMPT_PROJECT_SECTIONS.includes(section)) return null;
+    return { projectId: Number(projectId) };
+  }
+
+  const itemMatch = /^\/([a-z_-]+)\/(\d+)(?:\/|$)/.exec(urlPath);
+  if (itemMatch && ITEM_TABLES[itemMatch[1]]) {
+    return {
+      query: `SELECT project_id FROM ${ITEM_TABLES[itemMatch[1]]} WHERE id = $1`,
+      params: [itemMatch[2]]
+    };
+  }
+
+  for (const { pattern, query } of ROUTE_LOOKUPS) {
+    const match = pattern.exec(urlPath);
+    if (match) return { query, params: [match[1]] };
+  }
+
+  const bodyProjectId = body ? (body.projectId ?? body.project_id) : null;
+  if (/^\d+$/.test(String(bodyProjectId ?? ''))) {
+    return { projectId: Number(bodyProjectId) };
+  }
+
+  return null;
+}
+
+async function isProjectArchived(projectId) {
+  const result = await pool.query('SELECT archived FROM projects WHERE id = $1', [projectId]);
+  return result.rows[0]?.archived === true;
+}
+
+/**
+ * Express middleware: reject writes to archived projects
+ */
+async function archivedProjectGuard(req, res, next) {
+  if (!req.user && !getAuthenticatedUser(req)) return next();
+
+  const lookup = resolveProjectLookup(req.method, req.path, req.body);
+  if (!lookup) return next();
+
+  try {
+    let { projectId } = lookup;
+    if (!projectId) {
+      const result = await pool.query(lookup.query, lookup.params);
+      projectId = result.rows[0]?.project_id;
+    }
+
+    if (projectId && await isProjectArchived(projectId)) {
+      return res.status(409).json({
+        error: 'This project is archived and read-only. Restore it to make changes.',
+        archived: true,
+        projectId
+      });
+    }
+
+    next();
+  } catch (error) {
+    // A lookup that can't run (bad id, missing table) is the route's problem to report
+    console.error('Archived project guard lookup failed:', error.message);
+    next();
+  }
+}
+
+module.exports = {
+  archivedProjectGuard,
+  resolveProjectLookup
+};
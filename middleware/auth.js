@@ -47,6 +47,25 @@ function authenticateToken(req, res, next) {
   });
 }
 
+/**
+ * The verified user behind the request's token, or null when there is no valid
+ * token. For middleware that runs ahead of authenticateToken and must not reject.
+ */
+function getAuthenticatedUser(req) {
+  let token = req.cookies?.token;
+  const authHeader = req.headers?.['authorization'];
+  if (!token && authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.substring(7);
+  }
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+}
+
 function requireAdmin(req, res, next) {
   if (req.user.role !== 'admin' && req.user.role !== 'System Administrator') {
     return res.status(403).json({ error: 'Admin access required' });
@@ -75,6 +94,22 @@ function requireRole(minimumRole) {
   };
 }
 
+/**
+ * Whether the user is an active member of the project. System Administrators
+ * can reach every project. For routes that only learn the project id after
+ * loading the item, where the middleware below cannot be used.
+ */
+async function hasProjectAccess(userId, projectId, userRole) {
+  if (userRole === 'System Administrator') return true;
+
+  const result = await pool.query(`
+    SELECT 1 FROM project_members
+    WHERE project_id = $1 AND user_id = $2 AND status = 'active'
+  `, [projectId, userId]);
+
+  return result.rows.length > 0;
+}
+
 async function checkProjectAccess(req, res, next) {
   const projectId = req.params.projectId;
   const userId = req.user.userId || req.user.id;
@@ -173,9 +208,11 @@ async function checkResourceProjectAccess(resourceQuery) {
 
 module.exports = {
   authenticateToken,
+  getAuthenticatedUser,
   requireAdmin,
   requireRole,
   checkProjectAccess,
+  hasProjectAccess,
   requireAuthority,
   checkResourceProjectAccess,
   ROLE_HIERARCHY
@@ -24,6 +24,9 @@ let currentFilters = {
   assignee: '',
   category: '',
   tag: '',
+  sprint: '',
+  customField: '',
+  query: '',
   hasPlanning: false
 };
 
@@ -960,6 +963,11 @@ async function selectProject(projectId) {
         currentProject.name;
     document.getElementById("project-view").classList.remove("hidden");
 
+    // Apply the saved view from the URL or the user's default view (js/saved-views.js)
+    if (typeof prepareSavedViews === 'function') {
+        await prepareSavedViews(projectId);
+    }
+
     await loadProjectData(projectId);
     
     // Check for deep-link parameters (itemId and itemType from email notifications)
@@ -986,6 +994,11 @@ async function loadProjectData(projectId) {
     try {
         const startTime = performance.now();
         
+        // Workflow statuses drive the board columns and status filter (js/workflow.js)
+        if (typeof loadProjectWorkflow === 'function') {
+          await loadProjectWorkflow(projectId);
+        }
+        
         // Build query params with filters
         const params = new URLSearchParams({ projectId: projectId.toString() });
         
@@ -995,11 +1008,16 @@ async function loadProjectData(projectId) {
         if (currentFilters.category) params.append('category', currentFilters.category);
         if (currentFilters.search) params.append('search', currentFilters.search);
         if (currentFilters.tag) params.append('tag', currentFilters.tag);
+        if (currentFilters.sprint) params.append('sprintId', currentFilters.sprint);
+        if (currentFilters.customField) params.append('customField', currentFilters.customField);
+        if (currentFilters.query) params.append('q', currentFilters.query);
         
         const [issuesResponse, actionItemsResponse] = await Promise.all([
             axios.get(`/api/issues?${params.toString()}`),
             axios.get(`/api/action-items?${params.toString()}`),
             loadTeamMembers(projectId),
+            // Custom field definitions drive modal inputs, the filter and table columns (js/custom-fields.js)
+            typeof loadProjectCustomFields === 'function' ? loadProjectCustomFields(projectId) : null,
         ]);
 
         issues = issuesResponse.data;
@@ -1009,6 +1027,14 @@ async function loadProjectData(projectId) {
         displayResultsCount();
         populateAssigneeFilter();
         populateTagFilter();
+        if (typeof populateCustomFieldFilter === 'function') {
+          populateCustomFieldFilter();
+        }
+        
+        // Sprint filter options and sprint board header (js/sprints.js)
+        if (typeof loadProjectSprints === 'function') {
+          await loadProjectSprints(projectId);
+        }
         
         // Sync dropdowns AFTER populating them to preserve filter values
         syncFilterDropdowns();
@@ -1025,6 +1051,10 @@ async function loadProjectData(projectId) {
         const endTime = performance.now();
         console.log(`✅ Page loaded in ${(endTime - startTime).toFixed(0)}ms`);
     } catch (error) {
+        // A malformed query is reported in the query bar (js/query-bar.js)
+        if (error.response?.data?.queryErrors && typeof showQueryErrors === 'function') {
+            showQueryErrors(error.response.data.queryErrors);
+        }
         console.error("Error loading project data:", error);
         hideLoadingIndicator();
     }
@@ -1055,7 +1085,7 @@ function createEffortEstimateBadge(item) {
   
   let badgeContent = '';
   
-  if (actual && item.status === 'Done') {
+  if (actual && isDoneStatus(item.status)) {
     const variance = actual - estimate;
     const variancePercent = Math.round((variance / estimate) * 100);
     
@@ -1132,7 +1162,7 @@ function createPlanningEstimateBadge(item) {
 // Create due date badge with color coding
 function createDueDateBadge(dueDate, status, completedAt) {
   // For Done items, show delivery performance
-  if (status === 'Done' && completedAt && dueDate) {
+  if (isDoneStatus(status) && completedAt && dueDate) {
     const completed = new Date(completedAt);
     completed.setHours(0, 0, 0, 0);
     const due = new Date(dueDate);
@@ -1167,7 +1197,7 @@ function createDueDateBadge(dueDate, status, completedAt) {
   }
   
   // For Done items without due date or completed_at
-  if (status === 'Done') {
+  if (isDoneStatus(status)) {
     return `<div class="due-date-badge completed">
       <i class="fas fa-check-circle"></i>
       <span>Completed</span>
@@ -1376,6 +1406,7 @@ function renderKanbanCardWithHierarchy(item, metadata, indentLevel = 0) {
                         <span>${item.assignee || "Unassigned"}</span>
                     </div>
                     ${createDueDateBadge(item.due_date, item.status, item.completed_at)}
+                    ${typeof KanbanCard !== 'undefined' && item.sla ? `<div class="mb-2">${KanbanCard.renderSlaBadge(item.sla)}</div>` : ''}
                     ${createEffortEstimateBadge(item)}
                     ${planningBadge ? `<div class="mb-2">${planningBadge}</div>` : ''}
                     ${circularDeps ? createCircularDependencyBadge(item, circularDeps) : ''}
@@ -1487,11 +1518,12 @@ async function renderKanbanBoard() {
     let commentCounts = {};
     let checklistStatuses = {};
     let circularDependencies = {};
+    let wipCounts = null;
     
     if (currentProject && currentProject.id) {
         try {
-            // Load metadata and circular dependencies in parallel
-            const [metadataResponse, circularDepsResponse] = await Promise.all([
+            // Load metadata, circular dependencies and WIP counts in parallel
+            const [metadataResponse, circularDepsResponse, wipResponse] = await Promise.all([
                 axios.get(
                     `/api/projects/${currentProject.id}/items-metadata`,
                     { withCredentials: true }
@@ -1502,9 +1534,18 @@ async function renderKanbanBoard() {
                 ).catch(err => {
                     console.warn('Failed to load circular dependencies:', err);
                     return { data: { circularDependencies: [] } };
+                }),
+                axios.get(
+                    `/api/projects/${currentProject.id}/workflow/wip`,
+                    { withCredentials: true }
+                ).catch(err => {
+                    console.warn('Failed to load WIP counts:', err);
+                    return { data: { counts: null } };
                 })
             ]);
             
+            wipCounts = wipResponse.data.counts;
+            
             const metadata = metadataResponse.data;
             
             // Extract metadata from bulk response
@@ -1559,11 +1600,20 @@ async function renderKanbanBoard() {
         }
     }
     
-    const columns = ["To Do", "In Progress", "Blocked", "Done"];
+    // Swimlanes split each column into one cell per lane (js/swimlanes.js)
+    const swimlaneMode = typeof getSwimlaneMode === 'function' ? getSwimlaneMode() : 'none';
+    const lanes = swimlaneMode !== 'none' ? buildSwimlanes(allItems, swimlaneMode) : null;
+    const swimlaneSelect = document.getElementById('swimlane-select');
+    if (swimlaneSelect) swimlaneSelect.value = swimlaneMode;
+    
+    // One column per status in the project's workflow
+    renderKanbanColumns(lanes);
+    if (wipCounts) updateWipIndicators(wipCounts);
+    const columns = getWorkflowStatuses().map(s => s.name);
 
     columns.forEach((status) => {
         const unsortedItems = allItems.filter((item) => item.status === status);
-        const columnId = status.toLowerCase().replace(/ /g, "");
+        const columnId = getStatusColumnId(status);
         
         // Get user's sort preference for this column and apply sorting
         const sortMode = getSortPreference(columnId);
@@ -1581,114 +1631,123 @@ async function renderKanbanBoard() {
             selectElement.value = sortMode;
         }
         
-        const container = document.getElementById(`${columnId}-column`);
-
-        if (container) {
-            // Set minimum height for empty columns
-            if (columnItems.length === 0) {
-                container.innerHTML = '<div class="text-gray-400 text-sm text-center py-8">Drop items here</div>';
-                container.style.minHeight = '100px';
-            } else {
-                // HIERARCHY: Build tree structure for issues in this column
-                let rootItems = columnItems;
+        const cells = lanes
+            ? lanes.map((lane, laneIndex) => ({
+                container: document.getElementById(getSwimlaneCellId(columnId, laneIndex)),
+                cellItems: columnItems.filter(item => getItemSwimlane(item, swimlaneMode).key === lane.key)
+            }))
+            : [{ container: document.getElementById(`${columnId}-column`), cellItems: columnItems }];
+
+        cells.forEach(({ container, cellItems }) => {
+            if (container) {
+                // Set minimum height for empty columns
+                if (cellItems.length === 0) {
+                    container.innerHTML = '<div class="text-gray-400 text-sm text-center py-8">Drop items here</div>';
+                    container.style.minHeight = '100px';
+                } else {
+                    // HIERARCHY: Build tree structure for issues in this column
+                    let rootItems = cellItems;
                 
-                // Only build hierarchy for issues (not action items)
-                if (currentFilters.type !== 'action' && typeof HierarchyUtils !== 'undefined') {
-                    try {
-                        // Build tree from items in this column
-                        const tree = HierarchyUtils.buildHierarchyTree(columnItems);
+                    // Only build hierarchy for issues (not action items)
+                    if (currentFilters.type !== 'action' && typeof HierarchyUtils !== 'undefined') {
+                        try {
+                            // Build tree from items in this column
+                            const tree = HierarchyUtils.buildHierarchyTree(cellItems);
                         
-                        // Only render root-level items (children are rendered recursively)
-                        rootItems = tree.filter(item => !item.parent_issue_id);
+                            // Render the tree roots (children are rendered recursively). A child
+                            // whose parent sits in another column or lane comes back as a root,
+                            // so it still shows up here.
+                            rootItems = tree;
                         
-                        console.log(`[KANBAN HIERARCHY] Column "${status}": ${columnItems.length} items, ${rootItems.length} roots`);
-                    } catch (error) {
-                        console.warn('[KANBAN HIERARCHY] Failed to build tree:', error);
-                        // Fallback: render all items flat
-                        rootItems = columnItems;
+                            console.log(`[KANBAN HIERARCHY] Column "${status}": ${cellItems.length} items, ${rootItems.length} roots`);
+                        } catch (error) {
+                            console.warn('[KANBAN HIERARCHY] Failed to build tree:', error);
+                            // Fallback: render all items flat
+                            rootItems = cellItems;
+                        }
+                    } else {
+                        // No hierarchy for action items, render all
+                        rootItems = cellItems;
                     }
-                } else {
-                    // No hierarchy for action items, render all
-                    rootItems = columnItems;
-                }
                 
-                // Prepare metadata object for rendering
-                const metadata = {
-                    relationshipCounts,
-                    commentCounts,
-                    checklistStatuses,
-                    circularDependencies
-                };
+                    // Prepare metadata object for rendering
+                    const metadata = {
+                        relationshipCounts,
+                        commentCounts,
+                        checklistStatuses,
+                        circularDependencies
+                    };
                 
-                // Render cards with hierarchy support
-                container.innerHTML = rootItems
-                    .map((item) => renderKanbanCardWithHierarchy(item, metadata, 0))
-                    .join("");
+                    // Render cards with hierarchy support
+                    container.innerHTML = rootItems
+                        .map((item) => renderKanbanCardWithHierarchy(item, metadata, 0))
+                        .join("");
                     
-                container.style.minHeight = 'auto';
-            }
+                    container.style.minHeight = 'auto';
+                }
             
-            // Add drag and drop event listeners to cards (works for hierarchy cards too)
-            container.querySelectorAll('.kanban-card').forEach(card => {
-                card.addEventListener('dragstart', handleDragStart);
-                card.addEventListener('dragend', handleDragEnd);
+                // Add drag and drop event listeners to cards (works for hierarchy cards too)
+                container.querySelectorAll('.kanban-card').forEach(card => {
+                    card.addEventListener('dragstart', handleDragStart);
+                    card.addEventListener('dragend', handleDragEnd);
                 
-                // HIERARCHY: Add chevron click handler for expand/collapse
-                const chevron = card.querySelector('.hierarchy-chevron');
-                if (chevron) {
-                    chevron.addEventListener('click', async function(e) {
-                        e.stopPropagation();
-                        const itemId = parseInt(this.getAttribute('data-item-id'));
+                    // HIERARCHY: Add chevron click handler for expand/collapse
+                    const chevron = card.querySelector('.hierarchy-chevron');
+                    if (chevron) {
+                        chevron.addEventListener('click', async function(e) {
+                            e.stopPropagation();
+                            const itemId = parseInt(this.getAttribute('data-item-id'));
                         
-                        // Toggle expanded state
-                        const currentState = getExpandedState(itemId);
-                        saveExpandedState(itemId, !currentState);
+                            // Toggle expanded state
+                            const currentState = getExpandedState(itemId);
+                            saveExpandedState(itemId, !currentState);
                         
-                        // Re-render the Kanban board to show/hide children
-                        await renderKanbanBoard();
-                    });
-                }
+                            // Re-render the Kanban board to show/hide children
+                            await renderKanbanBoard();
+                        });
+                    }
                 
-                // Add click handler to open item detail modal
-                card.addEventListener('click', async function(e) {
-                    // Don't open modal if we just finished dragging
-                    if (isDragging) return;
+                    // Add click handler to open item detail modal
+                    card.addEventListener('click', async function(e) {
+                        // Don't open modal if we just finished dragging
+                        if (isDragging) return;
                     
-                    // HIERARCHY: Check if clicked on chevron (already handled above)
-                    if (e.target.closest('.hierarchy-chevron')) {
-                        return;
-                    }
+                        // HIERARCHY: Check if clicked on chevron (already handled above)
+                        if (e.target.closest('.hierarchy-chevron')) {
+                            return;
+                        }
                     
-                    // Check if clicked on circular dependency link
-                    if (e.target.classList.contains('cycle-dep-link')) {
-                        e.stopPropagation();
-                        const itemType = e.target.dataset.itemType;
-                        const itemId = e.target.dataset.itemId;
+                        // Check if clicked on circular dependency link
+                        if (e.target.classList.contains('cycle-dep-link')) {
+                            e.stopPropagation();
+                            const itemType = e.target.dataset.itemType;
+                            const itemId = e.target.dataset.itemId;
                         
-                        // First open the detail modal to set currentDetailItem
-                        await openItemDetailModal(itemId, itemType);
+                            // First open the detail modal to set currentDetailItem
+                            await openItemDetailModal(itemId, itemType);
                         
-                        // Then immediately open the Dependencies modal
-                        setTimeout(() => {
-                            showScheduleDependencies();
-                        }, 100);
+                            // Then immediately open the Dependencies modal
+                            setTimeout(() => {
+                                showScheduleDependencies();
+                            }, 100);
                         
-                        return;
-                    }
+                            return;
+                        }
                     
-                    // Only open modal if not clicking on the checkbox
-                    if (!e.target.classList.contains('item-checkbox')) {
-                        const itemId = parseInt(this.getAttribute('data-item-id'));
-                        const itemType = this.getAttribute('data-item-type');
-                        openItemDetailModal(itemId, itemType);
-                    }
+                        // Only open modal if not clicking on the checkbox
+                        if (!e.target.classList.contains('item-checkbox')) {
+                            const itemId = parseInt(this.getAttribute('data-item-id'));
+                            const itemType = this.getAttribute('data-item-type');
+                            openItemDetailModal(itemId, itemType);
+                        }
+                    });
                 });
-            });
             
-            // Add drop zone listeners to column (always, even if empty)
-            container.addEventListener('dragover', handleDragOver);
-            container.addEventListener('drop', handleDrop);
-        }
+                // Add drop zone listeners to column (always, even if empty)
+                container.addEventListener('dragover', handleDragOver);
+                container.addEventListener('drop', handleDrop);
+            }
+        });
     });
     
     if (currentView === 'table') {
@@ -1742,8 +1801,14 @@ function doesStatusChangeRequireTime(fromStatus, toStatus, item, project) {
     // NEW LOGIC: Only require time for transitions to Done when project/item settings dictate
     // Note: To Do → In Progress no longer requires timesheet entry
     
-    // Only check timesheet requirement for transitions to Done
-    if (toStatus.toLowerCase() !== 'done') {
+    // Workflow rules can require hours on any transition, regardless of settings
+    const rule = getTransitionRule(fromStatus, toStatus);
+    if (rule && rule.requiresHours) {
+        return true;
+    }
+    
+    // Otherwise only transitions into a "done" status can require time
+    if (!isDoneStatus(toStatus) || isDoneStatus(fromStatus)) {
         return false;
     }
     
@@ -1873,13 +1938,93 @@ async function showTimeEntryModal(item, fromStatus, toStatus) {
     });
 }
 
-async function updateItemStatusWithTime(draggedItem, newStatus, timeData) {
+// Ask for the reason to move an item into a status that is at its WIP limit
+async function promptWipOverrideReason(status, limitInfo) {
+    return new Promise((resolve) => {
+        const modalContent = `
+            <h3 class="text-lg font-semibold mb-4">WIP limit reached</h3>
+            <p class="text-sm text-gray-600 mb-4">
+                <span class="font-medium">${escapeHtml(status)}</span> already has
+                ${limitInfo.wipCount} of ${limitInfo.wipLimit} items. Going over the limit is logged with your reason.
+            </p>
+            <form id="wip-override-form">
+                <div class="mb-6">
+                    <label class="block text-sm font-medium mb-2">
+                        Reason <span class="text-red-500">*</span>
+                    </label>
+                    <textarea id="wip-override-reason-input"
+                              rows="3"
+                              required
+                              placeholder="Why does this item need to go over the limit?"
+                              class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"></textarea>
+                </div>
+                <div class="flex justify-end space-x-3">
+                    <button type="button"
+                            id="cancel-wip-override-btn"
+                            class="px-4 py-2 text-gray-600 border rounded hover:bg-gray-50">
+                        Cancel
+                    </button>
+                    <button type="submit"
+                            class="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700">
+                        Go Over Limit
+                    </button>
+                </div>
+            </form>
+        `;
+        
+        showModal(modalContent);
+        
+        // The edit modals share z-50 and come later in the page, so lift the prompt above them
+        const overlay = document.getElementById('modal-overlay');
+        overlay.style.zIndex = '60';
+        const close = (reason) => {
+            overlay.style.zIndex = '';
+            hideModal();
+            resolve(reason);
+        };
+        
+        setTimeout(() => {
+            document.getElementById('wip-override-reason-input')?.focus();
+        }, 100);
+        
+        document.getElementById('cancel-wip-override-btn').addEventListener('click', () => close(null));
+        
+        document.getElementById('wip-override-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const reason = document.getElementById('wip-override-reason-input').value.trim();
+            if (!reason) return;
+            
+            close(reason);
+        });
+    });
+}
+
+/**
+ * PATCH an issue or action item; when the server rejects the move because
+ * the target status is at its WIP limit, ask for an override reason and retry.
+ * Rethrows the original error if the user cancels.
+ */
+async function patchItemWithWipOverride(endpoint, payload, config) {
+    try {
+        return await axios.patch(endpoint, payload, config);
+    } catch (error) {
+        if (!error.response?.data?.wipLimitExceeded) throw error;
+        
+        const reason = await promptWipOverrideReason(payload.status, error.response.data);
+        if (!reason) throw error;
+        
+        return axios.patch(endpoint, { ...payload, wip_override_reason: reason }, config);
+    }
+}
+
+async function updateItemStatusWithTime(draggedItem, newStatus, timeData, laneFields = null) {
     try {
         const endpoint = draggedItem.type === 'action-item' 
             ? `/api/action-items/${draggedItem.id}`
             : `/api/issues/${draggedItem.id}`;
         
         const payload = {
+            ...laneFields,
             status: newStatus,
             actual_hours_added: timeData.hours
         };
@@ -1888,12 +2033,13 @@ async function updateItemStatusWithTime(draggedItem, newStatus, timeData) {
             payload.time_notes = timeData.notes;
         }
         
-        const response = await axios.patch(endpoint, payload);
+        const response = await patchItemWithWipOverride(endpoint, payload);
         
         // Update local data with response
         if (draggedItem.type === 'action-item') {
             const item = actionItems.find(i => i.id == draggedItem.id);
             if (item) {
+                Object.assign(item, laneFields);
                 item.status = newStatus;
                 item.actual_effort_hours = response.data.actual_effort_hours;
                 item.completion_percentage = response.data.completion_percentage;
@@ -1901,6 +2047,7 @@ async function updateItemStatusWithTime(draggedItem, newStatus, timeData) {
         } else {
             const item = issues.find(i => i.id == draggedItem.id);
             if (item) {
+                Object.assign(item, laneFields);
                 item.status = newStatus;
                 item.actual_effort_hours = response.data.actual_effort_hours;
                 item.completion_percentage = response.data.completion_percentage;
@@ -1938,6 +2085,31 @@ async function updateItemStatusWithTime(draggedItem, newStatus, timeData) {
     }
 }
 
+// Move a card to another swimlane within the same column
+async function updateItemLaneFields(draggedItem, laneFields) {
+    const endpoint = draggedItem.type === 'action-item' 
+        ? `/api/action-items/${draggedItem.id}`
+        : `/api/issues/${draggedItem.id}`;
+    
+    try {
+        showCardLoadingState(draggedItem.id, draggedItem.type);
+        await axios.patch(endpoint, laneFields);
+        
+        const items = draggedItem.type === 'action-item' ? actionItems : issues;
+        const item = items.find(i => i.id == draggedItem.id);
+        if (item) Object.assign(item, laneFields);
+        
+        renderKanbanBoard();
+    } catch (error) {
+        console.error('Error moving card to swimlane:', error);
+        clearCardLoadingState(draggedItem.id, draggedItem.type);
+        showToast(error.response?.data?.error || 'Failed to move card', 'error');
+        document.querySelectorAll('.kanban-card').forEach(card => {
+            card.style.opacity = '1';
+        });
+    }
+}
+
 // Helper function to show loading state on a card
 function showCardLoadingState(itemId, itemType) {
     const cardElement = document.querySelector(`[data-item-id="${itemId}"][data-item-type="${itemType}"]`);
@@ -1985,16 +2157,7 @@ async function handleDrop(e) {
     
     // Get the target column's status
     const columnElement = e.currentTarget;
-    const columnId = columnElement.id;
-    
-    const statusMap = {
-        'todo-column': 'To Do',
-        'inprogress-column': 'In Progress',
-        'blocked-column': 'Blocked',
-        'done-column': 'Done'
-    };
-    
-    const newStatus = statusMap[columnId];
+    const newStatus = columnElement.dataset.status;
     
     if (!newStatus) return;
     
@@ -2003,7 +2166,39 @@ async function handleDrop(e) {
         ? actionItems.find(i => i.id == draggedItem.id)
         : issues.find(i => i.id == draggedItem.id);
     
-    const currentStatus = currentItem?.status || 'To Do';
+    const currentStatus = currentItem?.status || getInitialWorkflowStatus();
+    
+    // Dropping into another swimlane may also change the lane's field (assignee, priority)
+    let laneFields = null;
+    if (columnElement.dataset.lane && currentItem) {
+        const laneChange = getSwimlaneDropChanges(currentItem, columnElement.dataset.lane, getSwimlaneMode());
+        laneFields = laneChange.fields;
+        if (laneChange.message) showToast(laneChange.message, 'info');
+    }
+    
+    if (currentStatus === newStatus && laneFields) {
+        await updateItemLaneFields(draggedItem, laneFields);
+        draggedItem = null;
+        return;
+    }
+    
+    if (currentStatus === newStatus) {
+        draggedItem = null;
+        document.querySelectorAll('.kanban-card').forEach(card => {
+            card.style.opacity = '1';
+        });
+        return;
+    }
+    
+    // The project's workflow may not allow this move
+    if (!isTransitionAllowed(currentStatus, newStatus)) {
+        showErrorMessage(`Moving from "${currentStatus}" to "${newStatus}" is not allowed by this project's workflow`);
+        draggedItem = null;
+        document.querySelectorAll('.kanban-card').forEach(card => {
+            card.style.opacity = '1';
+        });
+        return;
+    }
     
     // Validate status change (check for incomplete checklists when moving to Done)
     const canProceed = await validateStatusChange(draggedItem.id, draggedItem.type, newStatus);
@@ -2043,7 +2238,7 @@ async function handleDrop(e) {
         showCardLoadingState(draggedItem.id, draggedItem.type);
         
         // Update status with time tracking
-        await updateItemStatusWithTime(draggedItem, newStatus, timeData);
+        await updateItemStatusWithTime(draggedItem, newStatus, timeData, laneFields);
         
         // Clear loading state after completion
         clearCardLoadingState(draggedItem.id, draggedItem.type);
@@ -2054,15 +2249,15 @@ async function handleDrop(e) {
                 ? `/api/action-items/${draggedItem.id}`
                 : `/api/issues/${draggedItem.id}`;
             
-            await axios.patch(endpoint, { status: newStatus });
+            await patchItemWithWipOverride(endpoint, { ...laneFields, status: newStatus });
             
             // Update local data
             if (draggedItem.type === 'action-item') {
                 const item = actionItems.find(i => i.id == draggedItem.id);
-                if (item) item.status = newStatus;
+                if (item) Object.assign(item, laneFields, { status: newStatus });
             } else {
                 const item = issues.find(i => i.id == draggedItem.id);
-                if (item) item.status = newStatus;
+                if (item) Object.assign(item, laneFields, { status: newStatus });
             }
             
             // Clear loading state
@@ -2086,7 +2281,7 @@ async function handleDrop(e) {
                     showCardLoadingState(draggedItem.id, draggedItem.type);
                     
                     // Retry with time tracking
-                    await updateItemStatusWithTime(draggedItem, newStatus, timeData);
+                    await updateItemStatusWithTime(draggedItem, newStatus, timeData, laneFields);
                     
                     // Clear loading after retry
                     clearCardLoadingState(draggedItem.id, draggedItem.type);
@@ -2167,6 +2362,25 @@ function showCreateProject() {
                 </select>
                 <p class="text-xs text-gray-500 mt-1">Determines maximum file attachments allowed per item</p>
             </div>
+            <div class="mb-4">
+                <label class="block text-sm font-medium mb-2">Blueprint</label>
+                <select id="project-blueprint" class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+                    <option value="">None - start empty</option>
+                </select>
+                <div id="project-blueprint-options" class="hidden mt-2 space-y-2">
+                    <p id="project-blueprint-summary" class="text-xs text-gray-500"></p>
+                    <p class="text-xs text-gray-500">The blueprint's template, complexity and settings replace the choices above.</p>
+                    <label class="flex items-center gap-2 text-sm">
+                        <input type="checkbox" id="project-blueprint-items" class="w-4 h-4">
+                        Bring over the backlog (items, hierarchy and dependencies)
+                    </label>
+                    <label class="flex items-center gap-2 text-sm">
+                        Project start
+                        <input type="date" id="project-blueprint-start" class="border rounded px-2 py-1">
+                    </label>
+                    <p class="text-xs text-gray-500">Due dates keep their distance from the project start.</p>
+                </div>
+            </div>
             <div class="flex justify-end space-x-3">
                 <button type="button" id="cancel-btn" 
                         class="px-4 py-2 text-gray-600 border rounded hover:bg-gray-50">
@@ -2186,6 +2400,9 @@ function showCreateProject() {
     document
         .getElementById("create-project-form")
         .addEventListener("submit", createProject);
+    if (typeof populateBlueprintSelect === 'function') {
+        populateBlueprintSelect();
+    }
 }
 
 async function createProject(event) {
@@ -2198,13 +2415,20 @@ async function createProject(event) {
         complexity_level: document.getElementById("project-complexity").value,
     };
 
+    const blueprintId = document.getElementById("project-blueprint")?.value;
+
     try {
-        const response = await axios.post("/api/projects", projectData);
-        projects.push(response.data);
+        const project = blueprintId
+            ? await createProjectFromBlueprint(blueprintId, {
+                name: projectData.name,
+                description: projectData.description || null
+            })
+            : (await axios.post("/api/projects", projectData)).data;
+        projects.push(project);
         renderProjects();
         hideModal();
 
-        selectProject(response.data.id);
+        selectProject(project.id);
     } catch (error) {
         console.error("Error creating project:", error);
         alert("Error creating project. Please try again.");
@@ -2280,6 +2504,7 @@ function showCreateIssue() {
                 <input type="text" id="issue-title" required 
                        class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
                        placeholder="Brief description of the issue">
+                <div id="issue-duplicate-warning" class="hidden mt-2"></div>
             </div>
             
             <div class="mb-4">
@@ -2340,6 +2565,8 @@ function showCreateIssue() {
                        class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
             </div>
             
+            <div id="issue-custom-fields" class="hidden"></div>
+            
             <div class="mb-4">
                 <label class="block text-sm font-medium mb-2">Tags</label>
                 <select id="issue-tags" multiple
@@ -2368,9 +2595,17 @@ function showCreateIssue() {
     // Load tags for issues/actions (tag_type: 'issue_action' or 'both')
     loadTagsForIssues();
     
+    if (typeof renderCustomFieldInputs === 'function') {
+        renderCustomFieldInputs('issue-custom-fields', 'issue');
+    }
+    
     // Add event listeners
     document.getElementById('cancel-issue-btn').addEventListener('click', hideModal);
     document.getElementById('create-issue-form').addEventListener('submit', createIssue);
+    
+    if (typeof setupDuplicateWarning === 'function') {
+        setupDuplicateWarning('issue', 'issue-title', 'issue-description', 'issue-duplicate-warning');
+    }
 }
 
 // Load tags for issues/actions (tag_type: 'issue_action' or 'both')
@@ -2491,7 +2726,10 @@ async function createIssue(event) {
         dueDate: document.getElementById('issue-due-date').value,
         projectId: currentProject.id,
         type: 'issue',
-        status: 'To Do'
+        status: getInitialWorkflowStatus(),
+        // New items created from an open sprint board join that sprint
+        sprintId: typeof getBoardSprintId === 'function' ? getBoardSprintId() : null,
+        customFields: typeof collectCustomFieldValues === 'function' ? collectCustomFieldValues('issue-custom-fields') : {}
     };
     
     // Get selected tag IDs
@@ -2508,6 +2746,11 @@ async function createIssue(event) {
         });
         
         if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            if (errorData.validationErrors) {
+                alert(`Please fix the following:\n\n- ${errorData.validationErrors.join('\n- ')}`);
+                return;
+            }
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
@@ -2563,6 +2806,7 @@ function showCreateActionItem() {
                 <input type="text" id="action-item-title" required 
                        class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
                        placeholder="Brief description of the action item">
+                <div id="action-item-duplicate-warning" class="hidden mt-2"></div>
             </div>
             
             <div class="mb-4">
@@ -2587,9 +2831,7 @@ function showCreateActionItem() {
                     <label class="block text-sm font-medium mb-2">Status</label>
                     <select id="action-item-status" 
                             class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
-                        <option value="To Do" selected>To Do</option>
-                        <option value="In Progress">In Progress</option>
-                        <option value="Done">Done</option>
+                        ${renderStatusOptions(getInitialWorkflowStatus())}
                     </select>
                 </div>
             </div>
@@ -2608,6 +2850,8 @@ function showCreateActionItem() {
                        class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
             </div>
             
+            <div id="action-item-custom-fields" class="hidden"></div>
+            
             <div class="mb-4">
                 <label class="block text-sm font-medium mb-2">Tags</label>
                 <select id="action-item-tags" multiple
@@ -2636,9 +2880,17 @@ function showCreateActionItem() {
     // Load tags for action items (same as issues: 'issue_action' or 'both')
     loadTagsForActionItems();
     
+    if (typeof renderCustomFieldInputs === 'function') {
+        renderCustomFieldInputs('action-item-custom-fields', 'action-item');
+    }
+    
     // Add event listeners
     document.getElementById('cancel-action-item-btn').addEventListener('click', hideModal);
     document.getElementById('create-action-item-form').addEventListener('submit', createActionItem);
+    
+    if (typeof setupDuplicateWarning === 'function') {
+        setupDuplicateWarning('action-item', 'action-item-title', 'action-item-description', 'action-item-duplicate-warning');
+    }
 }
 
 // Create action item function
@@ -2653,7 +2905,10 @@ async function createActionItem(event) {
         assignee: document.getElementById('action-item-assignee').value.trim(),
         dueDate: document.getElementById('action-item-due-date').value,
         projectId: currentProject.id,
-        type: 'action-item'
+        type: 'action-item',
+        // New items created from an open sprint board join that sprint
+        sprintId: typeof getBoardSprintId === 'function' ? getBoardSprintId() : null,
+        customFields: typeof collectCustomFieldValues === 'function' ? collectCustomFieldValues('action-item-custom-fields') : {}
     };
     
     // Get selected tag IDs
@@ -2669,6 +2924,11 @@ async function createActionItem(event) {
         });
         
         if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            if (errorData.validationErrors) {
+                alert(`Please fix the following:\n\n- ${errorData.validationErrors.join('\n- ')}`);
+                return;
+            }
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
@@ -2956,6 +3216,26 @@ function initializeFilters() {
     });
   }
   
+  // Sprint filter
+  const sprintFilter = document.getElementById('sprint-filter');
+  if (sprintFilter) {
+    sprintFilter.addEventListener('change', (e) => {
+      currentFilters.sprint = e.target.value;
+      applyFilters();
+      updateURL();
+    });
+  }
+  
+  // Custom field filter
+  const customFieldFilter = document.getElementById('custom-field-filter');
+  if (customFieldFilter) {
+    customFieldFilter.addEventListener('change', (e) => {
+      currentFilters.customField = e.target.value;
+      applyFilters();
+      updateURL();
+    });
+  }
+  
   // Planning estimate filter
   const hasPlanningFilter = document.getElementById('has-planning-filter');
   if (hasPlanningFilter) {
@@ -3049,6 +3329,9 @@ function clearAllFilters() {
     assignee: '',
     category: '',
     tag: '',
+    sprint: '',
+    customField: '',
+    query: '',
     hasPlanning: false,
     hasCircularDependency: false
   };
@@ -3060,6 +3343,8 @@ function clearAllFilters() {
   const priorityFilter = document.getElementById('priority-filter');
   const assigneeFilter = document.getElementById('assignee-filter');
   const tagFilter = document.getElementById('tag-filter');
+  const sprintFilter = document.getElementById('sprint-filter');
+  const customFieldFilter = document.getElementById('custom-field-filter');
   const hasPlanningFilter = document.getElementById('has-planning-filter');
   const hasCircularDepFilter = document.getElementById('has-circular-dependency-filter');
   
@@ -3069,7 +3354,10 @@ function clearAllFilters() {
   if (priorityFilter) priorityFilter.value = '';
   if (assigneeFilter) assigneeFilter.value = '';
   if (tagFilter) tagFilter.value = '';
+  if (sprintFilter) sprintFilter.value = '';
+  if (customFieldFilter) customFieldFilter.value = '';
   if (hasPlanningFilter) hasPlanningFilter.checked = false;
+  if (typeof setQueryInputValue === 'function') setQueryInputValue('');
   if (hasCircularDepFilter) hasCircularDepFilter.checked = false;
   
   // Hide filter restored indicator if present
@@ -3092,6 +3380,11 @@ function clearAllFilters() {
 
 // Display active filters as badges
 function displayActiveFilters() {
+  // Marks the selected saved view as modified once filters change (js/saved-views.js)
+  if (typeof updateSavedViewPicker === 'function') {
+    updateSavedViewPicker();
+  }
+  
   const container = document.getElementById('active-filters');
   if (!container) return;
   
@@ -3105,13 +3398,7 @@ function displayActiveFilters() {
     activeFilters.push({ key: 'type', label: `Type: ${typeLabel}` });
   }
   if (currentFilters.status) {
-    const statusLabels = {
-      'todo': 'To Do',
-      'inprogress': 'In Progress',
-      'blocked': 'Blocked',
-      'done': 'Done'
-    };
-    const statusLabel = statusLabels[currentFilters.status] || currentFilters.status;
+    const statusLabel = getStatusFilterLabel(currentFilters.status);
     activeFilters.push({ key: 'status', label: `Status: ${statusLabel}` });
   }
   if (currentFilters.priority) {
@@ -3129,6 +3416,20 @@ function displayActiveFilters() {
     const tagName = tagSelect?.selectedOptions[0]?.text?.replace('🏷️ ', '') || currentFilters.tag;
     activeFilters.push({ key: 'tag', label: `Tag: ${tagName}` });
   }
+  if (currentFilters.sprint) {
+    const sprintSelect = document.getElementById('sprint-filter');
+    const sprintName = sprintSelect?.selectedOptions[0]?.text || currentFilters.sprint;
+    activeFilters.push({ key: 'sprint', label: `Sprint: ${sprintName}` });
+  }
+  if (currentFilters.customField) {
+    const fieldLabel = typeof getCustomFieldFilterLabel === 'function'
+      ? getCustomFieldFilterLabel(currentFilters.customField)
+      : currentFilters.customField;
+    activeFilters.push({ key: 'customField', label: fieldLabel });
+  }
+  if (currentFilters.query) {
+    activeFilters.push({ key: 'query', label: `Query: ${escapeHtml(currentFilters.query)}` });
+  }
   if (currentFilters.hasPlanning) {
     activeFilters.push({ key: 'hasPlanning', label: '📊 Has Planning Estimate' });
   }
@@ -3181,6 +3482,11 @@ async function removeFilter(filterKey) {
     if (filterKey === 'search') {
       const searchInput = document.getElementById('search-input');
       if (searchInput) searchInput.value = '';
+    } else if (filterKey === 'customField') {
+      const customFieldFilter = document.getElementById('custom-field-filter');
+      if (customFieldFilter) customFieldFilter.value = '';
+    } else if (filterKey === 'query') {
+      if (typeof setQueryInputValue === 'function') setQueryInputValue('');
     } else {
       const filterElement = document.getElementById(`${filterKey}-filter`);
       if (filterElement) filterElement.value = '';
@@ -3294,6 +3600,9 @@ function updateURL(additionalParams = {}) {
   if (currentFilters.assignee) params.set('assignee', currentFilters.assignee);
   if (currentFilters.category) params.set('category', currentFilters.category);
   if (currentFilters.tag) params.set('tag', currentFilters.tag);
+  if (currentFilters.sprint) params.set('sprint', currentFilters.sprint);
+  if (currentFilters.customField) params.set('customField', currentFilters.customField);
+  if (currentFilters.query) params.set('q', currentFilters.query);
   if (currentFilters.hasPlanning) params.set('hasPlanning', 'true');
   if (currentFilters.hasCircularDependency) params.set('hasCircularDependency', 'true');
   
@@ -3322,6 +3631,9 @@ function loadFiltersFromURL() {
   currentFilters.assignee = params.get('assignee') || '';
   currentFilters.category = params.get('category') || '';
   currentFilters.tag = params.get('tag') || '';
+  currentFilters.sprint = params.get('sprint') || '';
+  currentFilters.customField = params.get('customField') || '';
+  currentFilters.query = params.get('q') || '';
   currentFilters.hasPlanning = params.get('hasPlanning') === 'true';
   currentFilters.hasCircularDependency = params.get('hasCircularDependency') === 'true';
   
@@ -3344,6 +3656,9 @@ function loadFiltersFromURL() {
     currentFilters.assignee ||
     currentFilters.category ||
     currentFilters.tag ||
+    currentFilters.sprint ||
+    currentFilters.customField ||
+    currentFilters.query ||
     currentFilters.hasPlanning ||
     currentFilters.hasCircularDependency
   );
@@ -3409,6 +3724,7 @@ function syncFilterDropdowns() {
   const priorityFilter = document.getElementById('priority-filter');
   const assigneeFilter = document.getElementById('assignee-filter');
   const tagFilter = document.getElementById('tag-filter');
+  const sprintFilter = document.getElementById('sprint-filter');
   
   if (searchInput) searchInput.value = currentFilters.search || '';
   if (typeFilter) typeFilter.value = currentFilters.type || '';
@@ -3416,6 +3732,8 @@ function syncFilterDropdowns() {
   if (priorityFilter) priorityFilter.value = currentFilters.priority || '';
   if (assigneeFilter) assigneeFilter.value = currentFilters.assignee || '';
   if (tagFilter) tagFilter.value = currentFilters.tag || '';
+  if (sprintFilter) sprintFilter.value = currentFilters.sprint || '';
+  if (typeof setQueryInputValue === 'function') setQueryInputValue(currentFilters.query || '');
 }
 
 // ============= RELATIONSHIP MANAGEMENT =============
@@ -4034,6 +4352,7 @@ function displayAIResults() {
               ${item.dueDate ? `<span>📅 ${item.dueDate}</span>` : ''}
               <span>🎯 Confidence: ${item.confidence}%</span>
             </div>
+            ${typeof renderDuplicateFlag === 'function' ? renderDuplicateFlag(item.possibleDuplicates) : ''}
           </div>
         </div>
       </div>
@@ -4062,6 +4381,7 @@ function displayAIResults() {
               <span>🏷️ ${escapeHtml(issue.category || 'General')}</span>
               <span>🎯 Confidence: ${issue.confidence}%</span>
             </div>
+            ${typeof renderDuplicateFlag === 'function' ? renderDuplicateFlag(issue.possibleDuplicates) : ''}
           </div>
         </div>
       </div>
@@ -4265,13 +4585,9 @@ function displayAIResults() {
 
 // Get status badge styling
 function getStatusBadgeClass(status) {
-  const statusClasses = {
-    'To Do': 'bg-gray-100 text-gray-800',
-    'In Progress': 'bg-blue-100 text-blue-800',
-    'Done': 'bg-green-100 text-green-800',
-    'Blocked': 'bg-red-100 text-red-800'
-  };
-  return statusClasses[status] || 'bg-gray-100 text-gray-800';
+  // Blocked keeps its red badge; everything else is colored by workflow category
+  if (status === 'Blocked') return 'bg-red-100 text-red-800';
+  return getStatusBadgeClasses(status);
 }
 
 // Search existing items for unmatched updates
@@ -5355,6 +5671,11 @@ async function openEditModal(itemId, itemType, showAlert = true) {
     
     const item = response.data;
     
+    // Always open on the Details tab
+    if (typeof resetEditModalTabs === 'function') {
+      resetEditModalTabs(itemType === 'issue' ? 'edit-issue' : 'edit-action-item');
+    }
+    
     if (itemType === 'issue') {
       // Populate issue edit modal
       document.getElementById('edit-issue-id').value = item.id;
@@ -5362,7 +5683,7 @@ async function openEditModal(itemId, itemType, showAlert = true) {
       document.getElementById('edit-issue-description').value = item.description || '';
       document.getElementById('edit-issue-due-date').value = item.due_date ? item.due_date.split('T')[0] : '';
       document.getElementById('edit-issue-priority').value = item.priority || 'medium';
-      document.getElementById('edit-issue-status').value = item.status || 'To Do';
+      populateStatusSelect('edit-issue-status', item.status);
       document.getElementById('edit-issue-progress').value = item.completion_percentage || item.progress || 0;
       
       // Populate category dropdown options
@@ -5370,6 +5691,15 @@ async function openEditModal(itemId, itemType, showAlert = true) {
       categorySelect.innerHTML = '<option value="">Select Category</option>' + generateCategoryOptions();
       categorySelect.value = item.category || '';
       
+      // Populate sprint dropdown (planned/active sprints plus the current one)
+      if (typeof populateSprintSelect === 'function') {
+        populateSprintSelect('edit-issue-sprint', item.sprint_id);
+      }
+      
+      if (typeof renderCustomFieldInputs === 'function') {
+        renderCustomFieldInputs('edit-issue-custom-fields', 'issue', item.custom_fields || {});
+      }
+      
       // Load team members for assignee dropdown
       if (currentProject) {
         await loadTeamMembersForEdit('issue', item.assignee || '');
@@ -5399,9 +5729,18 @@ async function openEditModal(itemId, itemType, showAlert = true) {
       document.getElementById('edit-action-item-description').value = item.description || '';
       document.getElementById('edit-action-item-due-date').value = item.due_date ? item.due_date.split('T')[0] : '';
       document.getElementById('edit-action-item-priority').value = item.priority || 'medium';
-      document.getElementById('edit-action-item-status').value = item.status || 'To Do';
+      populateStatusSelect('edit-action-item-status', item.status);
       document.getElementById('edit-action-item-progress').value = item.completion_percentage || item.progress || 0;
       
+      // Populate sprint dropdown (planned/active sprints plus the current one)
+      if (typeof populateSprintSelect === 'function') {
+        populateSprintSelect('edit-action-item-sprint', item.sprint_id);
+      }
+      
+      if (typeof renderCustomFieldInputs === 'function') {
+        renderCustomFieldInputs('edit-action-item-custom-fields', 'action-item', item.custom_fields || {});
+      }
+      
       // Load team members for assignee dropdown
       if (currentProject) {
         await loadTeamMembersForEdit('action-item', item.assignee || '');
@@ -5788,15 +6127,19 @@ document.getElementById('editIssueForm').addEventListener('submit', async functi
     priority: document.getElementById('edit-issue-priority').value,
     status: document.getElementById('edit-issue-status').value,
     category: document.getElementById('edit-issue-category').value,
+    sprint_id: document.getElementById('edit-issue-sprint').value || null,
     timesheet_required_override: document.getElementById('edit-issue-timesheet-override').checked ? true : null
   };
+  if (typeof collectCustomFieldValues === 'function') {
+    data.custom_fields = collectCustomFieldValues('edit-issue-custom-fields');
+  }
   
   // Get selected tag IDs
   const tagSelect = document.getElementById('edit-issue-tags');
   const selectedTagIds = Array.from(tagSelect.selectedOptions).map(option => parseInt(option.value));
   
   try {
-    await axios.patch(`/api/issues/${itemId}`, data, {
+    await patchItemWithWipOverride(`/api/issues/${itemId}`, data, {
       withCredentials: true
     });
     
@@ -5825,7 +6168,10 @@ document.getElementById('editIssueForm').addEventListener('submit', async functi
     }
   } catch (error) {
     console.error('Error updating issue:', error);
-    alert(error.response?.data?.error || 'Failed to update issue');
+    const validationErrors = error.response?.data?.validationErrors;
+    alert(validationErrors?.length
+      ? `Please fix the following:\n\n- ${validationErrors.join('\n- ')}`
+      : (error.response?.data?.error || 'Failed to update issue'));
   }
 });
 
@@ -5842,15 +6188,19 @@ document.getElementById('editActionItemForm').addEventListener('submit', async f
     priority: document.getElementById('edit-action-item-priority').value,
     status: document.getElementById('edit-action-item-status').value,
     progress: parseInt(document.getElementById('edit-action-item-progress').value) || 0,
+    sprint_id: document.getElementById('edit-action-item-sprint').value || null,
     timesheet_required_override: document.getElementById('edit-action-item-timesheet-override').checked ? true : null
   };
+  if (typeof collectCustomFieldValues === 'function') {
+    data.custom_fields = collectCustomFieldValues('edit-action-item-custom-fields');
+  }
   
   // Get selected tag IDs
   const tagSelect = document.getElementById('edit-action-item-tags');
   const selectedTagIds = Array.from(tagSelect.selectedOptions).map(option => parseInt(option.value));
   
   try {
-    await axios.patch(`/api/action-items/${itemId}`, data, {
+    await patchItemWithWipOverride(`/api/action-items/${itemId}`, data, {
       withCredentials: true
     });
     
@@ -5879,7 +6229,10 @@ document.getElementById('editActionItemForm').addEventListener('submit', async f
     }
   } catch (error) {
     console.error('Error updating action item:', error);
-    alert(error.response?.data?.error || 'Failed to update action item');
+    const validationErrors = error.response?.data?.validationErrors;
+    alert(validationErrors?.length
+      ? `Please fix the following:\n\n- ${validationErrors.join('\n- ')}`
+      : (error.response?.data?.error || 'Failed to update action item'));
   }
 });
 
@@ -5963,7 +6316,7 @@ document.getElementById('edit-action-item-open-estimates').addEventListener('cli
 async function confirmDeleteItem(itemId, itemType) {
   const itemName = itemType === 'issue' ? 'issue' : 'action item';
   
-  if (!confirm(`Are you sure you want to delete this ${itemName}? This action cannot be undone.`)) {
+  if (!confirm(`Move this ${itemName} to the trash? It can be restored from Trash until the retention period ends.`)) {
     return;
   }
   
@@ -5976,7 +6329,7 @@ async function confirmDeleteItem(itemId, itemType) {
     // Reload project data and refresh kanban board
     await loadProjectData(currentProject.id);
     
-    showToast(`${itemName.charAt(0).toUpperCase() + itemName.slice(1)} deleted successfully!`, 'success');
+    showToast(`${itemName.charAt(0).toUpperCase() + itemName.slice(1)} moved to trash`, 'success');
   } catch (error) {
     console.error(`Error deleting ${itemName}:`, error);
     alert(error.response?.data?.error || `Failed to delete ${itemName}`);
@@ -7911,6 +8264,10 @@ function switchToKanbanView() {
   tableView?.classList.add('hidden');
   
   updateURL({ view: 'kanban' });
+  
+  if (typeof updateSavedViewPicker === 'function') {
+    updateSavedViewPicker();
+  }
 }
 
 function switchToTableView() {
@@ -7932,6 +8289,10 @@ function switchToTableView() {
   updateURL({ view: 'table' });
   
   renderTableView();
+  
+  if (typeof updateSavedViewPicker === 'function') {
+    updateSavedViewPicker();
+  }
 }
 
 function renderTableView() {
@@ -8182,7 +8543,7 @@ function getAllItemsForTable() {
   itemsToDisplay.forEach(item => {
     let matches = true;
     
-    if (currentFilters.status && item.status?.toLowerCase() !== currentFilters.status.toLowerCase()) {
+    if (currentFilters.status && !matchesStatusFilter(item, currentFilters.status)) {
       matches = false;
     }
     if (currentFilters.priority && item.priority?.toLowerCase() !== currentFilters.priority.toLowerCase()) {
@@ -8226,7 +8587,8 @@ function getAllItemsForTable() {
         planning_estimate_source: item.planning_estimate_source,
         estimated_effort_hours: item.estimated_effort_hours,
         ai_effort_estimate_hours: item.ai_effort_estimate_hours,
-        hybrid_effort_estimate_hours: item.hybrid_effort_estimate_hours
+        hybrid_effort_estimate_hours: item.hybrid_effort_estimate_hours,
+        custom_fields: item.custom_fields || {}
       });
     }
   });
@@ -8236,7 +8598,7 @@ function getAllItemsForTable() {
 
 function sortTableItems(items) {
   const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-  const statusOrder = { todo: 0, inprogress: 1, blocked: 2, done: 3 };
+  const statusOrder = Object.fromEntries(getWorkflowStatuses().map((status, index) => [status.name, index]));
   
   return items.sort((a, b) => {
     let comparison = 0;
@@ -8261,7 +8623,7 @@ function sortTableItems(items) {
         else comparison = new Date(a.dueDate) - new Date(b.dueDate);
         break;
       case 'status':
-        comparison = statusOrder[a.status] - statusOrder[b.status];
+        comparison = (statusOrder[a.status] ?? 999) - (statusOrder[b.status] ?? 999);
         break;
       default:
         comparison = 0;
@@ -8310,20 +8672,6 @@ function createTableRow(item) {
     low: 'bg-green-100 text-green-800'
   };
   
-  const statusColors = {
-    todo: 'bg-gray-100 text-gray-800',
-    inprogress: 'bg-blue-100 text-blue-800',
-    blocked: 'bg-yellow-100 text-yellow-800',
-    done: 'bg-green-100 text-green-800'
-  };
-  
-  const statusLabels = {
-    todo: 'To Do',
-    inprogress: 'In Progress',
-    blocked: 'Blocked',
-    done: 'Done'
-  };
-  
   const isSelected = tableSelectedItems.has(item.id);
   
   return `
@@ -8336,41 +8684,39 @@ function createTableRow(item) {
           ${isSelected ? 'checked' : ''}
         />
       </td>
-      <td class="px-4 py-3">
+      <td class="px-4 py-3" data-column="type">
         <span class="inline-flex items-center px-2 py-1 rounded text-xs font-medium ${item.type === 'issue' ? 'bg-blue-100 text-blue-800' : 'bg-purple-100 text-purple-800'}">
           ${item.type === 'issue' ? 'Issue' : 'Action Item'}
         </span>
       </td>
-      <td class="px-4 py-3 font-medium text-gray-900 max-w-md truncate" title="${item.title}">
+      <td class="px-4 py-3 font-medium text-gray-900 max-w-md truncate" data-column="title" title="${item.title}">
         ${item.title}
       </td>
-      <td class="px-4 py-3 text-gray-600">
+      <td class="px-4 py-3 text-gray-600" data-column="assignee">
         ${item.assignee}
       </td>
-      <td class="px-4 py-3">
+      <td class="px-4 py-3" data-column="priority">
         <span class="px-2 py-1 rounded text-xs font-medium ${priorityColors[item.priority]}">
           ${item.priority.charAt(0).toUpperCase() + item.priority.slice(1)}
         </span>
       </td>
-      <td class="px-4 py-3 text-gray-600 text-sm">
+      <td class="px-4 py-3 text-gray-600 text-sm" data-column="due_date">
         ${item.dueDate || '-'}
       </td>
-      <td class="px-4 py-3">
+      <td class="px-4 py-3" data-column="planning_estimate">
         ${createPlanningEstimateBadge(item) || '<span class="text-gray-400 text-xs">-</span>'}
       </td>
-      <td class="px-4 py-3">
+      <td class="px-4 py-3" data-column="status">
         <select 
-          class="table-status-select px-2 py-1 rounded text-xs font-medium border-0 cursor-pointer ${statusColors[item.status]}"
+          class="table-status-select px-2 py-1 rounded text-xs font-medium border-0 cursor-pointer ${getStatusBadgeClasses(item.status)}"
           data-item-id="${item.id}"
           data-item-type="${item.type}"
           data-current-status="${item.status}"
         >
-          <option value="todo" ${item.status === 'todo' ? 'selected' : ''}>To Do</option>
-          <option value="inprogress" ${item.status === 'inprogress' ? 'selected' : ''}>In Progress</option>
-          <option value="blocked" ${item.status === 'blocked' ? 'selected' : ''}>Blocked</option>
-          <option value="done" ${item.status === 'done' ? 'selected' : ''}>Done</option>
+          ${renderStatusOptions(item.status, item.status)}
         </select>
       </td>
+      ${typeof renderCustomFieldTableCells === 'function' ? renderCustomFieldTableCells(item) : ''}
       <td class="px-4 py-3">
         <button 
           class="text-blue-600 hover:text-blue-800 text-sm font-medium"
@@ -8502,7 +8848,7 @@ async function handleTableBulkStatusUpdate() {
     return;
   }
   
-  const confirmed = confirm(`Update status to "${newStatus.replace('inprogress', 'In Progress')}" for ${tableSelectedItems.size} item(s)?`);
+  const confirmed = confirm(`Update status to "${newStatus}" for ${tableSelectedItems.size} item(s)?`);
   if (!confirmed) return;
   
   try {
@@ -8514,7 +8860,7 @@ async function handleTableBulkStatusUpdate() {
       if (tableSelectedItems.has(itemId)) {
         const itemType = row.dataset.itemType;
         const endpoint = itemType === 'issue' ? '/api/issues' : '/api/action-items';
-        promises.push(axios.patch(`${endpoint}/${itemId}`, { status: newStatus }));
+        promises.push(axios.patch(`${endpoint}/${itemId}`, { status: newStatus, change_source: 'bulk' }));
       }
     });
     
@@ -8542,7 +8888,7 @@ async function handleTableBulkDelete() {
     return;
   }
   
-  const confirmed = confirm(`Are you sure you want to delete ${tableSelectedItems.size} item(s)? This action cannot be undone.`);
+  const confirmed = confirm(`Move ${tableSelectedItems.size} item(s) to the trash? They can be restored from Trash until the retention period ends.`);
   if (!confirmed) return;
   
   try {
@@ -8560,7 +8906,7 @@ async function handleTableBulkDelete() {
     
     await Promise.all(promises);
     
-    showNotification(`Deleted ${tableSelectedItems.size} item(s) successfully`, 'success');
+    showNotification(`Moved ${tableSelectedItems.size} item(s) to trash`, 'success');
     
     clearTableSelection();
     
@@ -8627,7 +8973,7 @@ async function handleTableStatusChange(e) {
     
     updateStatusSelectColors(select, newStatus);
     
-    showNotification(`Status updated to ${newStatus.replace('inprogress', 'In Progress')}`, 'success');
+    showNotification(`Status updated to ${newStatus}`, 'success');
     
     if (currentView === 'kanban') {
       loadProjectIssuesAndActions(currentProject.id);
@@ -8637,7 +8983,7 @@ async function handleTableStatusChange(e) {
     
   } catch (error) {
     console.error('Error updating status:', error);
-    showNotification('Failed to update status', 'error');
+    showNotification(error.response?.data?.message || 'Failed to update status', 'error');
     select.value = oldStatus;
   } finally {
     select.disabled = false;
@@ -8645,14 +8991,7 @@ async function handleTableStatusChange(e) {
 }
 
 function updateStatusSelectColors(select, status) {
-  const statusColors = {
-    todo: 'bg-gray-100 text-gray-800',
-    inprogress: 'bg-blue-100 text-blue-800',
-    blocked: 'bg-yellow-100 text-yellow-800',
-    done: 'bg-green-100 text-green-800'
-  };
-  
-  select.className = `table-status-select px-2 py-1 rounded text-xs font-medium border-0 cursor-pointer ${statusColors[status]}`;
+  select.className = `table-status-select px-2 py-1 rounded text-xs font-medium border-0 cursor-pointer ${getStatusBadgeClasses(status)}`;
 }
 
 // ========================================
@@ -10618,7 +10957,7 @@ async function loadScheduleDependencies() {
               <div class="flex justify-between items-center p-3 bg-blue-50 border border-blue-200 rounded-lg">
                 <div class="flex-1">
                   <p class="font-medium text-gray-900">${escapeHtml(dep.prerequisite_title || 'Unknown')}</p>
-                  <p class="text-sm text-gray-600">${dep.prerequisite_item_type}#${dep.prerequisite_item_id}</p>
+                  <p class="text-sm text-gray-600">${dep.prerequisite_item_type}#${dep.prerequisite_item_id}${renderDependencyProjectBadge(dep.prerequisite_project_id, dep.prerequisite_project_name, item.project_id)}</p>
                   <span class="text-xs px-2 py-1 rounded ${dep.prerequisite_status === 'done' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}">
                     ${dep.prerequisite_status || 'unknown'}
                   </span>
@@ -10654,7 +10993,7 @@ async function loadScheduleDependencies() {
               <div class="flex justify-between items-center p-3 bg-purple-50 border border-purple-200 rounded-lg">
                 <div class="flex-1">
                   <p class="font-medium text-gray-900">${escapeHtml(dep.dependent_title || 'Unknown')}</p>
-                  <p class="text-sm text-gray-600">${dep.dependent_item_type}#${dep.dependent_item_id}</p>
+                  <p class="text-sm text-gray-600">${dep.dependent_item_type}#${dep.dependent_item_id}${renderDependencyProjectBadge(dep.dependent_project_id, dep.dependent_project_name, item.project_id)}</p>
                   <span class="text-xs px-2 py-1 rounded ${dep.dependent_status === 'done' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}">
                     ${dep.dependent_status || 'unknown'}
                   </span>
@@ -10680,6 +11019,8 @@ async function loadScheduleDependencies() {
       `;
     }
     
+    html += renderAddDependencyForm(item.project_id);
+    
     content.innerHTML = html;
     
   } catch (error) {
@@ -10692,6 +11033,89 @@ async function loadScheduleDependencies() {
   }
 }
 
+/**
+ * Badge for a dependency on an item in another project
+ */
+function renderDependencyProjectBadge(projectId, projectName, currentProjectId) {
+  if (!projectId || projectId === currentProjectId) return '';
+  return ` <span class="ml-1 text-xs px-2 py-0.5 rounded bg-indigo-100 text-indigo-800">${escapeHtml(projectName || `Project ${projectId}`)}</span>`;
+}
+
+/**
+ * "Add prerequisite" form: search any project the user belongs to
+ */
+function renderAddDependencyForm(itemProjectId) {
+  return `
+    <div class="mt-4 border-t pt-4">
+      <h3 class="text-lg font-semibold text-gray-900 mb-3">Add a prerequisite</h3>
+      <div class="flex gap-2">
+        <select id="add-dep-project" class="border rounded-lg px-3 py-2 text-sm">
+          ${projects.map(p => `<option value="${p.id}" ${p.id === itemProjectId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+        </select>
+        <input id="add-dep-search" type="text" placeholder="Search issues and action items..."
+               class="flex-1 border rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500">
+      </div>
+      <div id="add-dep-results" class="mt-2 space-y-1"></div>
+    </div>
+  `;
+}
+
+let addDependencySearchTimer = null;
+
+async function searchDependencyCandidates() {
+  const projectId = document.getElementById('add-dep-project').value;
+  const q = document.getElementById('add-dep-search').value.trim();
+  const resultsDiv = document.getElementById('add-dep-results');
+  if (q.length < 2) {
+    resultsDiv.innerHTML = '';
+    return;
+  }
+  
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/search`, {
+      params: { q, types: 'issue,action-item', limit: 10 },
+      withCredentials: true
+    });
+    const candidates = response.data.results.filter(r =>
+      !(r.type === currentDetailItem.type && r.id === currentDetailItem.id)
+    );
+    resultsDiv.innerHTML = candidates.length === 0
+      ? '<p class="text-sm text-gray-500 italic">No matching items</p>'
+      : candidates.map(r => `
+          <button type="button" class="add-dependency-btn block w-full text-left px-3 py-2 rounded hover:bg-gray-100 text-sm"
+                  data-item-type="${r.type}" data-item-id="${r.id}">
+            <span class="text-gray-500">${r.type}#${r.id}</span> ${escapeHtml(r.title)}
+          </button>
+        `).join('');
+  } catch (error) {
+    console.error('Error searching for prerequisites:', error);
+  }
+}
+
+/**
+ * Make the current item depend on another item (any project the user can access)
+ */
+async function addScheduleDependency(prerequisiteType, prerequisiteId) {
+  try {
+    await axios.post('/api/schedules/save-dependencies', {
+      projectId: currentProject.id,
+      dependencies: [{
+        dependent_item_type: currentDetailItem.type,
+        dependent_item_id: currentDetailItem.id,
+        prerequisite_item_type: prerequisiteType,
+        prerequisite_item_id: parseInt(prerequisiteId)
+      }]
+    }, { withCredentials: true });
+    
+    showToast('Dependency added', 'success');
+    await loadScheduleDependencies();
+  } catch (error) {
+    console.error('Error adding dependency:', error);
+    const data = error.response?.data;
+    alert(data?.message || data?.error || 'Failed to add dependency');
+  }
+}
+
 /**
  * Delete a schedule dependency
  */
@@ -10740,6 +11164,24 @@ document.addEventListener('DOMContentLoaded', function() {
         const dependencyId = removeBtn.dataset.dependencyId;
         deleteScheduleDependency(itemType, dependencyId);
       }
+      
+      const addBtn = e.target.closest('.add-dependency-btn');
+      if (addBtn) {
+        addScheduleDependency(addBtn.dataset.itemType, addBtn.dataset.itemId);
+      }
+    });
+    
+    depsContent.addEventListener('input', function(e) {
+      if (e.target.id === 'add-dep-search') {
+        clearTimeout(addDependencySearchTimer);
+        addDependencySearchTimer = setTimeout(searchDependencyCandidates, 300);
+      }
+    });
+    
+    depsContent.addEventListener('change', function(e) {
+      if (e.target.id === 'add-dep-project') {
+        searchDependencyCandidates();
+      }
     });
   }
 });
@@ -370,6 +370,15 @@ const AuthManager = {
         createProjectBtn.classList.add('hidden');
       }
     }
+
+    const importProjectBtn = document.getElementById('import-project-bundle-btn');
+    if (importProjectBtn) {
+      if (this.canCreateProject()) {
+        importProjectBtn.classList.remove('hidden');
+      } else {
+        importProjectBtn.classList.add('hidden');
+      }
+    }
     
     // Show View Archived button for all authenticated users
     const viewArchivedBtn = document.getElementById('viewArchivedBtn');
@@ -44,8 +44,13 @@ function renderComments(comments, itemType) {
     return;
   }
   
-  comments.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-  container.innerHTML = comments.map(comment => renderComment(comment, itemType)).join('');
+  // Comments come in thread order: each thread's first comment, then its replies
+  container.innerHTML = renderCommentThreads(comments, comment => renderComment(comment, itemType));
+  bindCommentThreads(container, {
+    itemType,
+    itemId: currentItemId,
+    reload: () => loadComments(currentItemId, itemType)
+  });
   
   // Add event listeners for edit/delete buttons
   container.querySelectorAll('.edit-comment-btn').forEach(btn => {
@@ -120,6 +125,8 @@ function renderComment(comment, itemType) {
           `).join('')}
         </div>
       ` : ''}
+      
+      ${renderCommentThreadBar(comment)}
     </div>
   `;
 }
@@ -671,7 +678,25 @@ async function openItemDetailModal(itemId, itemType, initialTab = 'details') {
     await loadItemDetailAttachments();
     await loadChecklistCount();
     
+    if (typeof loadWatchState === 'function') {
+      loadWatchState(itemType, itemId, 'item-detail-watch-btn');
+    }
+    
+    if (typeof loadItemRiskLinks === 'function') {
+      loadItemRiskLinks(itemType, itemId);
+    }
+    
+    const mergeBtn = document.getElementById('item-detail-merge-btn');
+    if (mergeBtn) {
+      mergeBtn.style.display = itemType === 'issue' && canEdit ? 'flex' : 'none';
+    }
+    
   } catch (error) {
+    const mergedInto = error.response?.status === 404 ? error.response.data?.mergedInto : null;
+    if (mergedInto) {
+      AuthManager.showNotification(`Issue #${itemId} was merged into #${mergedInto.id}`, 'info');
+      return openItemDetailModal(mergedInto.id, itemType, initialTab);
+    }
     console.error('Error opening item detail:', error);
     AuthManager.showNotification('Failed to load item details', 'error');
   }
@@ -711,8 +736,12 @@ async function loadItemDetailComments() {
       return;
     }
     
-    comments.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-    container.innerHTML = comments.map(comment => renderComment(comment, currentItemType)).join('');
+    container.innerHTML = renderCommentThreads(comments, comment => renderComment(comment, currentItemType));
+    bindCommentThreads(container, {
+      itemType: currentItemType,
+      itemId: currentItemId,
+      reload: loadItemDetailComments
+    });
     
     // Add event listeners for edit/delete buttons
     container.querySelectorAll('.edit-comment-btn').forEach(btn => {
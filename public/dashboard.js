@@ -1165,16 +1165,16 @@ function initializeCharts() {
     const allDates = [...new Set(velocityData.map(d => d.date))].sort();
     const labels = allDates.map(d => new Date(d).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
     
-    // Group by status
-    const dataByStatus = {
-      'To Do': {},
-      'In Progress': {},
-      'Done': {}
+    // Group by workflow category
+    const dataByCategory = {
+      todo: {},
+      active: {},
+      done: {}
     };
     
     velocityData.forEach(row => {
-      if (dataByStatus[row.to_status]) {
-        dataByStatus[row.to_status][row.date] = parseInt(row.count);
+      if (dataByCategory[row.category]) {
+        dataByCategory[row.category][row.date] = parseInt(row.count);
       }
     });
     
@@ -1182,7 +1182,7 @@ function initializeCharts() {
     const velocityDatasets = [
       {
         label: 'Moved to To Do',
-        data: allDates.map(date => dataByStatus['To Do'][date] || 0),
+        data: allDates.map(date => dataByCategory.todo[date] || 0),
         borderColor: '#9CA3AF',
         backgroundColor: 'rgba(156, 163, 175, 0.2)',
         fill: false,
@@ -1190,7 +1190,7 @@ function initializeCharts() {
       },
       {
         label: 'Moved to In Progress',
-        data: allDates.map(date => dataByStatus['In Progress'][date] || 0),
+        data: allDates.map(date => dataByCategory.active[date] || 0),
         borderColor: '#FCD34D',
         backgroundColor: 'rgba(252, 211, 77, 0.2)',
         fill: false,
@@ -1198,7 +1198,7 @@ function initializeCharts() {
       },
       {
         label: 'Moved to Done',
-        data: allDates.map(date => dataByStatus['Done'][date] || 0),
+        data: allDates.map(date => dataByCategory.done[date] || 0),
         borderColor: '#34D399',
         backgroundColor: 'rgba(52, 211, 153, 0.2)',
         fill: false,
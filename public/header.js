@@ -54,3 +54,210 @@ document.addEventListener('DOMContentLoaded', () => {
   
   syncUserInfo();
 });
+
+// ============= GLOBAL SEARCH =============
+// Header search box over GET /api/projects/:projectId/search (services/search-service.js)
+
+const SEARCH_TYPE_LABELS = {
+  'issue': 'Issue',
+  'action-item': 'Action Item',
+  'comment': 'Comment',
+  'risk': 'Risk',
+  'decision': 'Decision',
+  'checklist': 'Checklist',
+  'meeting': 'Meeting',
+  'transcript': 'Transcript',
+  'document': 'Document'
+};
+
+let globalSearchResults = [];
+let globalSearchIndex = -1;
+let globalSearchRequestId = 0;
+let globalSearchTimer = null;
+
+function getSearchProjectId() {
+  if (typeof currentProject !== 'undefined' && currentProject) return currentProject.id;
+  const params = new URLSearchParams(window.location.search);
+  return params.get('project') || params.get('projectId') || localStorage.getItem('selectedProjectId');
+}
+
+function escapeSearchText(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
+
+function renderGlobalSearchMessage(message) {
+  const panel = document.getElementById('global-search-results');
+  panel.innerHTML = `<div class="px-4 py-3 text-sm text-gray-500">${escapeSearchText(message)}</div>`;
+  panel.classList.remove('hidden');
+}
+
+function renderGlobalSearchResults() {
+  const panel = document.getElementById('global-search-results');
+  const input = document.getElementById('global-search-input');
+
+  panel.innerHTML = globalSearchResults.map((result, index) => {
+    const context = result.type === 'comment' && result.parentTitle
+      ? `on ${SEARCH_TYPE_LABELS[result.parentType] || 'item'}: ${result.parentTitle}`
+      : result.ref || '';
+    return `
+      <div id="global-search-result-${index}" role="option" aria-selected="${index === globalSearchIndex}"
+           data-index="${index}"
+           class="global-search-result px-4 py-2 border-b border-gray-100 ${result.url ? 'cursor-pointer' : 'cursor-default'} ${index === globalSearchIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}">
+        <div class="flex items-center gap-2">
+          <span class="px-1.5 py-0.5 rounded text-xs bg-gray-100 text-gray-600 whitespace-nowrap">${SEARCH_TYPE_LABELS[result.type] || result.type}</span>
+          <span class="text-sm font-medium truncate">${result.titleHtml}</span>
+        </div>
+        ${context ? `<div class="text-xs text-gray-400 truncate">${escapeSearchText(context)}</div>` : ''}
+        ${result.snippetHtml ? `<div class="text-xs text-gray-600 mt-0.5 line-clamp-2">${result.snippetHtml}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  panel.classList.remove('hidden');
+  input.setAttribute('aria-expanded', 'true');
+  input.setAttribute('aria-activedescendant', globalSearchIndex >= 0 ? `global-search-result-${globalSearchIndex}` : '');
+
+  panel.querySelectorAll('.global-search-result').forEach(el => {
+    el.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      openGlobalSearchResult(parseInt(el.dataset.index));
+    });
+  });
+
+  const active = document.getElementById(`global-search-result-${globalSearchIndex}`);
+  if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function closeGlobalSearch() {
+  const panel = document.getElementById('global-search-results');
+  const input = document.getElementById('global-search-input');
+  if (!panel || !input) return;
+  panel.classList.add('hidden');
+  input.setAttribute('aria-expanded', 'false');
+  globalSearchIndex = -1;
+}
+
+async function runGlobalSearch(query) {
+  const projectId = getSearchProjectId();
+  if (!projectId) {
+    renderGlobalSearchMessage('Open a project to search it');
+    return;
+  }
+  if (query.length < 2) {
+    closeGlobalSearch();
+    return;
+  }
+
+  const requestId = ++globalSearchRequestId;
+  try {
+    const response = await fetch(`/api/projects/${projectId}/search?q=${encodeURIComponent(query)}`, {
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (requestId !== globalSearchRequestId) return;
+
+    if (!response.ok) {
+      renderGlobalSearchMessage(data.error || 'Search failed');
+      return;
+    }
+
+    globalSearchResults = data.results;
+    globalSearchIndex = data.results.length > 0 ? 0 : -1;
+    if (data.results.length === 0) {
+      renderGlobalSearchMessage(`No results for "${query}"`);
+    } else {
+      renderGlobalSearchResults();
+    }
+  } catch (error) {
+    console.error('Error searching project:', error);
+    renderGlobalSearchMessage('Search failed');
+  }
+}
+
+function openGlobalSearchResult(index) {
+  const result = globalSearchResults[index];
+  if (!result || !result.url) return;
+
+  // Items of the open project open in place instead of reloading the board
+  const itemType = result.type === 'comment' ? result.parentType : result.type;
+  const itemId = result.type === 'comment' ? result.parentId : result.id;
+  if (['issue', 'action-item'].includes(itemType) && typeof openItemDetailModal === 'function' &&
+      typeof currentProject !== 'undefined' && currentProject) {
+    closeGlobalSearch();
+    openItemDetailModal(itemId, itemType);
+    return;
+  }
+
+  window.location.href = result.url;
+}
+
+function handleGlobalSearchKeydown(e) {
+  const open = !document.getElementById('global-search-results').classList.contains('hidden');
+
+  if (e.key === 'ArrowDown' && globalSearchResults.length > 0) {
+    e.preventDefault();
+    globalSearchIndex = (globalSearchIndex + 1) % globalSearchResults.length;
+    renderGlobalSearchResults();
+  } else if (e.key === 'ArrowUp' && globalSearchResults.length > 0) {
+    e.preventDefault();
+    globalSearchIndex = (globalSearchIndex - 1 + globalSearchResults.length) % globalSearchResults.length;
+    renderGlobalSearchResults();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (open && globalSearchIndex >= 0) {
+      openGlobalSearchResult(globalSearchIndex);
+    } else {
+      runGlobalSearch(e.target.value.trim());
+    }
+  } else if (e.key === 'Escape') {
+    closeGlobalSearch();
+    e.target.blur();
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const loggedInState = document.getElementById('loggedInState');
+  if (!loggedInState) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'relative hidden md:block';
+  wrapper.innerHTML = `
+    <input
+      type="search"
+      id="global-search-input"
+      role="combobox"
+      aria-label="Search this project"
+      aria-expanded="false"
+      aria-controls="global-search-results"
+      autocomplete="off"
+      placeholder="Search project ( / )"
+      class="w-56 px-3 py-1.5 rounded-lg text-sm text-gray-900 placeholder-gray-500 focus:w-80 transition-all focus:outline-none focus:ring-2 focus:ring-white"
+    />
+    <div id="global-search-results" role="listbox" class="hidden absolute right-0 mt-2 w-96 bg-white text-gray-900 rounded-lg shadow-xl z-50 max-h-96 overflow-y-auto"></div>
+  `;
+  loggedInState.insertBefore(wrapper, loggedInState.firstChild);
+
+  const input = document.getElementById('global-search-input');
+  input.addEventListener('input', () => {
+    clearTimeout(globalSearchTimer);
+    globalSearchTimer = setTimeout(() => runGlobalSearch(input.value.trim()), 250);
+  });
+  input.addEventListener('keydown', handleGlobalSearchKeydown);
+  input.addEventListener('blur', closeGlobalSearch);
+  input.addEventListener('focus', () => {
+    if (globalSearchResults.length > 0 && input.value.trim().length >= 2) renderGlobalSearchResults();
+  });
+
+  // "/" or Ctrl/Cmd+K focuses the search box unless the user is typing somewhere
+  document.addEventListener('keydown', (e) => {
+    const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName) ||
+      document.activeElement?.isContentEditable;
+    if ((e.key === '/' && !typing) || (e.key === 'k' && (e.ctrlKey || e.metaKey))) {
+      e.preventDefault();
+      input.focus();
+      input.select();
+    }
+  });
+});
@@ -0,0 +1,187 @@
+// ============= ARCHIVE RETENTION: COMPACTING OLD CONTENT IN ARCHIVED PROJECTS =============
+
+const RETENTION_KIND_LABELS = {
+  transcripts: 'Transcripts',
+  audio: 'Audio',
+  attachments: 'Attachments'
+};
+
+const RETENTION_KIND_FIELDS = {
+  transcripts: 'transcriptDays',
+  audio: 'audioDays',
+  attachments: 'attachmentDays'
+};
+
+function formatRetentionBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function describeRetentionRun(run) {
+  if (run.status === 'failed') return `Failed: ${escapeHtml(run.error || 'unknown error')}`;
+  if (run.status === 'running') return 'Running...';
+
+  const counts = Object.entries(run.counts || {})
+    .map(([source, count]) => `${source.replace(/_/g, ' ')}: ${count}`)
+    .join(' · ');
+  return `${escapeHtml(counts || 'Nothing to remove')} · ${formatRetentionBytes(run.bytes_freed)} freed`;
+}
+
+function renderRetentionPanel(projectId, settings) {
+  const panel = document.getElementById(`retention-panel-${projectId}`);
+  const { policy, purgeDates, runs, canManage } = settings;
+  const disabled = canManage ? '' : 'disabled';
+
+  panel.innerHTML = `
+    <form class="retention-form bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-3" data-project-id="${projectId}">
+      <p class="text-xs text-gray-600">
+        Remove bulky content once the project has been archived for a number of days.
+        Leave a field empty to keep that content. Items, summaries and decisions are never removed.
+      </p>
+      <div class="grid grid-cols-3 gap-3">
+        ${Object.entries(RETENTION_KIND_FIELDS).map(([kind, field]) => `
+          <label class="block text-xs font-medium text-gray-700">
+            ${RETENTION_KIND_LABELS[kind]} (days)
+            <input type="number" min="1" name="${field}" value="${policy[field] ?? ''}" ${disabled}
+              class="mt-1 w-full border border-gray-300 rounded px-2 py-1 text-sm" placeholder="Keep">
+            <span class="text-gray-500 font-normal">
+              ${purgeDates[kind] ? `Due ${formatDate(purgeDates[kind])}` : 'Kept'}
+            </span>
+          </label>
+        `).join('')}
+      </div>
+      <label class="flex items-center text-xs text-gray-700">
+        <input type="checkbox" name="exportBeforePurge" class="mr-2" ${policy.exportBeforePurge ? 'checked' : ''} ${disabled}>
+        Save an export of everything removed before each purge
+      </label>
+      ${canManage ? `
+        <div class="flex gap-2">
+          <button type="submit" class="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700">Save</button>
+          <button type="button" class="retention-run-btn border border-gray-300 px-3 py-1 rounded text-sm hover:bg-white">Run now</button>
+        </div>
+      ` : ''}
+      ${runs.length > 0 ? `
+        <div class="border-t border-gray-200 pt-2 space-y-1">
+          ${runs.map(run => `
+            <div class="flex justify-between items-center text-xs text-gray-600">
+              <span>${formatDate(run.started_at)} · ${escapeHtml(run.triggered_by_username || 'Nightly')} · ${describeRetentionRun(run)}</span>
+              ${run.has_export && canManage ? `
+                <button type="button" class="retention-export-btn text-blue-600 hover:underline" data-run-id="${run.id}">Export</button>
+              ` : ''}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    </form>
+  `;
+}
+
+async function loadRetentionPanel(projectId) {
+  const panel = document.getElementById(`retention-panel-${projectId}`);
+
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/retention`, { withCredentials: true });
+    renderRetentionPanel(projectId, response.data);
+    panel.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading retention settings:', error);
+    alert(error.response?.data?.error || 'Failed to load retention settings');
+  }
+}
+
+function toggleRetentionPanel(projectId) {
+  const panel = document.getElementById(`retention-panel-${projectId}`);
+  if (!panel.classList.contains('hidden')) {
+    panel.classList.add('hidden');
+    return;
+  }
+  loadRetentionPanel(projectId);
+}
+
+async function saveRetentionPolicy(form) {
+  const projectId = form.dataset.projectId;
+  const policy = { exportBeforePurge: form.elements.exportBeforePurge.checked };
+  Object.values(RETENTION_KIND_FIELDS).forEach(field => {
+    const value = form.elements[field].value.trim();
+    policy[field] = value === '' ? null : Number(value);
+  });
+
+  try {
+    await axios.put(`/api/projects/${projectId}/retention`, policy, { withCredentials: true });
+    showToast('Retention policy saved', 'success');
+    await loadRetentionPanel(projectId);
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    const details = error.response?.data?.validationErrors;
+    alert(details ? details.join('\n') : (error.response?.data?.error || 'Failed to save retention policy'));
+  }
+}
+
+async function runRetentionNow(projectId) {
+  if (!confirm('Remove everything that is past its retention period now? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    const response = await axios.post(`/api/projects/${projectId}/retention/run`, {}, { withCredentials: true });
+    const { run } = response.data;
+    showToast(run ? `Retention run finished: ${formatRetentionBytes(Number(run.bytes_freed))} freed` : 'Nothing is due yet', 'success');
+    await loadRetentionPanel(projectId);
+  } catch (error) {
+    console.error('Error running retention:', error);
+    alert(error.response?.data?.error || 'Failed to run retention');
+  }
+}
+
+async function downloadRetentionExport(projectId, runId) {
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/retention/runs/${runId}/export`, {
+      withCredentials: true,
+      responseType: 'blob'
+    });
+
+    const disposition = response.headers['content-disposition'] || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', match ? match[1] : `project-${projectId}-retention-${runId}.json.gz`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading retention export:', error);
+    alert('Failed to download retention export');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const list = document.getElementById('archivedProjectsList');
+  if (!list) return;
+
+  list.addEventListener('click', (e) => {
+    const retentionBtn = e.target.closest('.retention-project-btn');
+    if (retentionBtn) {
+      toggleRetentionPanel(retentionBtn.dataset.projectId);
+      return;
+    }
+
+    const form = e.target.closest('.retention-form');
+    if (!form) return;
+
+    if (e.target.closest('.retention-run-btn')) {
+      runRetentionNow(form.dataset.projectId);
+    } else if (e.target.closest('.retention-export-btn')) {
+      downloadRetentionExport(form.dataset.projectId, e.target.closest('.retention-export-btn').dataset.runId);
+    }
+  });
+
+  list.addEventListener('submit', (e) => {
+    if (!e.target.classList.contains('retention-form')) return;
+    e.preventDefault();
+    saveRetentionPolicy(e.target);
+  });
+});
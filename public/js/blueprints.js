@@ -0,0 +1,180 @@
+// ============= BLUEPRINTS: SAVE A PROJECT'S STRUCTURE, START NEW PROJECTS FROM IT =============
+
+let projectBlueprints = [];
+
+// "4 tags · 2 custom roles · 12 issues" for what a blueprint brings along
+function describeBlueprintSummary(summary) {
+  const parts = [];
+  const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+  if (summary.riskCategories) parts.push(plural(summary.riskCategories, 'risk category', 'risk categories'));
+  if (summary.tags) parts.push(plural(summary.tags, 'tag'));
+  if (summary.customRoles) parts.push(plural(summary.customRoles, 'custom role'));
+  if (summary.templateMappings) parts.push(plural(summary.templateMappings, 'template mapping'));
+  if (summary.workflowStatuses) parts.push(`${summary.workflowStatuses}-status workflow`);
+  if (summary.hasSidecarSettings) parts.push('sidecar settings');
+  if (summary.issues) parts.push(plural(summary.issues, 'issue'));
+  if (summary.actionItems) parts.push(plural(summary.actionItems, 'action item'));
+  if (summary.dependencies) parts.push(plural(summary.dependencies, 'dependency', 'dependencies'));
+  return parts.join(' · ');
+}
+
+async function openBlueprintModal() {
+  if (!currentProject) return;
+
+  if (!AuthManager.hasRole('Project Manager')) {
+    AuthManager.showNotification('Insufficient permissions - Project Manager role required', 'error');
+    return;
+  }
+
+  document.getElementById('blueprint-name').value = `${currentProject.name} blueprint`;
+  document.getElementById('blueprint-description').value = '';
+  document.getElementById('blueprintModal').classList.remove('hidden');
+  await loadBlueprints();
+}
+
+function closeBlueprintModal() {
+  document.getElementById('blueprintModal').classList.add('hidden');
+}
+
+async function fetchBlueprints() {
+  const response = await axios.get('/api/blueprints', { withCredentials: true });
+  projectBlueprints = response.data;
+  return projectBlueprints;
+}
+
+async function loadBlueprints() {
+  const container = document.getElementById('blueprint-list');
+  container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading blueprints...</p>';
+
+  try {
+    await fetchBlueprints();
+    renderBlueprintList();
+  } catch (error) {
+    console.error('Error loading blueprints:', error);
+    container.innerHTML = '<p class="text-sm text-red-600">Failed to load blueprints</p>';
+  }
+}
+
+function renderBlueprintList() {
+  const container = document.getElementById('blueprint-list');
+
+  if (projectBlueprints.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 text-center py-6">No blueprints yet.</p>';
+    return;
+  }
+
+  const currentUserId = AuthManager.currentUser?.id;
+  const isAdmin = AuthManager.hasRole('System Administrator');
+
+  container.innerHTML = projectBlueprints.map(blueprint => {
+    const summary = describeBlueprintSummary(blueprint.summary);
+    const canDelete = isAdmin || blueprint.createdBy === currentUserId;
+
+    return `
+      <div class="border rounded-lg p-3 flex items-start justify-between gap-4">
+        <div class="min-w-0">
+          <div class="font-medium text-gray-800">${escapeHtml(blueprint.name)}</div>
+          ${blueprint.description ? `<div class="text-sm text-gray-600">${escapeHtml(blueprint.description)}</div>` : ''}
+          <div class="text-xs text-gray-500 mt-1">
+            From ${blueprint.sourceProjectName ? escapeHtml(blueprint.sourceProjectName) : 'a deleted project'}
+            by ${blueprint.createdByName ? escapeHtml(blueprint.createdByName) : 'unknown user'}
+            on ${new Date(blueprint.createdAt).toLocaleDateString()}
+          </div>
+          ${summary ? `<div class="text-xs text-gray-400 mt-1">${summary}</div>` : ''}
+        </div>
+        ${canDelete ? `
+          <button type="button" onclick="deleteBlueprint(${blueprint.id})" class="px-3 py-1 text-sm text-red-600 border border-red-200 rounded hover:bg-red-50 whitespace-nowrap">
+            Delete
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+async function saveProjectAsBlueprint(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('blueprint-name').value.trim();
+  const description = document.getElementById('blueprint-description').value.trim();
+
+  try {
+    await axios.post(`/api/projects/${currentProject.id}/blueprints`, { name, description }, {
+      withCredentials: true
+    });
+    showToast('Blueprint saved', 'success');
+    await loadBlueprints();
+  } catch (error) {
+    console.error('Error saving blueprint:', error);
+    alert(error.response?.data?.error || 'Failed to save blueprint');
+  }
+}
+
+async function deleteBlueprint(blueprintId) {
+  const blueprint = projectBlueprints.find(b => b.id === blueprintId);
+  if (!confirm(`Delete the blueprint "${blueprint ? blueprint.name : 'this blueprint'}"? Projects already created from it are not affected.`)) {
+    return;
+  }
+
+  try {
+    await axios.delete(`/api/blueprints/${blueprintId}`, { withCredentials: true });
+    showToast('Blueprint deleted', 'success');
+    await loadBlueprints();
+  } catch (error) {
+    console.error('Error deleting blueprint:', error);
+    alert(error.response?.data?.error || 'Failed to delete blueprint');
+  }
+}
+
+/**
+ * Fill the blueprint picker in the create-project modal; the start date and
+ * backlog options only show once a blueprint is picked
+ */
+async function populateBlueprintSelect() {
+  const select = document.getElementById('project-blueprint');
+  if (!select) return;
+
+  const options = document.getElementById('project-blueprint-options');
+  const summary = document.getElementById('project-blueprint-summary');
+  document.getElementById('project-blueprint-start').value = new Date().toISOString().slice(0, 10);
+
+  select.addEventListener('change', () => {
+    const blueprint = projectBlueprints.find(b => b.id === parseInt(select.value));
+    options.classList.toggle('hidden', !blueprint);
+    summary.textContent = blueprint ? describeBlueprintSummary(blueprint.summary) : '';
+  });
+
+  try {
+    await fetchBlueprints();
+    select.innerHTML = '<option value="">None - start empty</option>' + projectBlueprints
+      .map(blueprint => `<option value="${blueprint.id}">${escapeHtml(blueprint.name)}</option>`)
+      .join('');
+  } catch (error) {
+    console.error('Error loading blueprints:', error);
+    select.innerHTML = '<option value="">None - start empty</option>';
+  }
+}
+
+/**
+ * Create a project from the blueprint picked in the create-project modal
+ * @returns {Object} the new project
+ */
+async function createProjectFromBlueprint(blueprintId, { name, description }) {
+  const response = await axios.post(`/api/blueprints/${blueprintId}/projects`, {
+    name,
+    description,
+    startDate: document.getElementById('project-blueprint-start').value || undefined,
+    includeItems: document.getElementById('project-blueprint-items').checked
+  }, { withCredentials: true });
+
+  const { project, created } = response.data;
+  const itemCount = created.issues + created.actionItems;
+  showToast(itemCount > 0 ? `Project created with ${itemCount} backlog items` : 'Project created from blueprint', 'success');
+  return project;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('view-blueprints-btn')?.addEventListener('click', openBlueprintModal);
+  document.getElementById('closeBlueprintModal')?.addEventListener('click', closeBlueprintModal);
+  document.getElementById('save-blueprint-form')?.addEventListener('submit', saveProjectAsBlueprint);
+});
@@ -190,8 +190,11 @@ async function validateStatusChange(itemId, itemType, newStatus) {
     return true; // Skip validation if feature is disabled
   }
   
-  // Only validate when moving to "Done" (case-insensitive)
-  if (!newStatus || newStatus.toLowerCase() !== 'done') {
+  // Only validate when moving to a "done" status (project workflow category when available)
+  const movingToDone = typeof isDoneStatus === 'function'
+    ? isDoneStatus(newStatus)
+    : newStatus && newStatus.toLowerCase() === 'done';
+  if (!newStatus || !movingToDone) {
     return true;
   }
   
@@ -6,6 +6,7 @@ let saveDebounceTimer = null;
 let templates = [];
 let projects = [];
 let users = [];
+let currentUser = null;
 
 // =====================================================
 // INITIALIZATION
@@ -25,6 +26,7 @@ document.addEventListener('DOMContentLoaded', () => {
     })
     .then(user => {
       if (!user) return;
+      currentUser = user;
       
       // Update user display if element exists
       const userDisplay = document.getElementById('userDisplay');
@@ -804,7 +806,7 @@ function displayChecklistForFilling(checklist) {
   sectionsContainer.innerHTML = renderSections(checklist.sections);
   
   // Display comments
-  displayComments(checklist.comments || []);
+  loadChecklistComments();
   
   // Load existing feedback state
   loadFeedbackState(checklist);
@@ -1075,6 +1077,37 @@ function updateProgressFromData(checklist) {
 // COMMENTS
 // =====================================================
 
+async function loadChecklistComments() {
+  try {
+    const response = await fetch(`/api/checklists/${currentChecklistId}/comments`, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error('Failed to load comments');
+    }
+    displayComments(await response.json());
+  } catch (error) {
+    console.error('Error loading comments:', error);
+  }
+}
+
+function renderChecklistComment(comment) {
+  const isOwn = currentUser && comment.author_id === currentUser.id;
+  const canDelete = isOwn || (currentUser && ['System Administrator', 'Project Manager'].includes(currentUser.role));
+  
+  return `
+    <div class="comment" data-checklist-comment-id="${comment.id}">
+      <div class="comment-header">
+        <strong>${escapeHtml(comment.username || 'Unknown')}</strong>
+        <span class="text-sm text-gray-500">${formatDateTime(comment.created_at)}</span>
+        ${comment.edited ? '<span class="text-xs text-gray-400 italic">(edited)</span>' : ''}
+        ${isOwn ? `<button type="button" class="checklist-comment-edit text-xs text-gray-500 hover:text-indigo-600 ml-2" data-comment-id="${comment.id}">Edit</button>` : ''}
+        ${canDelete ? `<button type="button" class="checklist-comment-delete text-xs text-gray-500 hover:text-red-600 ml-2" data-comment-id="${comment.id}">Delete</button>` : ''}
+      </div>
+      <div class="comment-body" id="checklist-comment-body-${comment.id}">${escapeHtml(comment.comment)}</div>
+      ${renderCommentThreadBar(comment)}
+    </div>
+  `;
+}
+
 function displayComments(comments) {
   const commentsList = document.getElementById('commentsList');
   if (!commentsList) return;
@@ -1084,15 +1117,85 @@ function displayComments(comments) {
     return;
   }
   
-  commentsList.innerHTML = comments.map(comment => `
-    <div class="comment">
-      <div class="comment-header">
-        <strong>${escapeHtml(comment.commenter_name || 'Unknown')}</strong>
-        <span class="text-sm text-gray-500">${formatDateTime(comment.created_at)}</span>
-      </div>
-      <div class="comment-body">${escapeHtml(comment.comment)}</div>
+  commentsList.innerHTML = renderCommentThreads(comments, renderChecklistComment);
+  bindCommentThreads(commentsList, {
+    itemType: 'checklist',
+    itemId: currentChecklistId,
+    reload: loadChecklistComments
+  });
+  
+  if (!commentsList.dataset.checklistCommentsBound) {
+    commentsList.dataset.checklistCommentsBound = 'true';
+    commentsList.addEventListener('click', (e) => {
+      const editBtn = e.target.closest('.checklist-comment-edit');
+      if (editBtn) startChecklistCommentEdit(editBtn.dataset.commentId);
+      const deleteBtn = e.target.closest('.checklist-comment-delete');
+      if (deleteBtn) deleteChecklistComment(deleteBtn.dataset.commentId);
+    });
+  }
+}
+
+function startChecklistCommentEdit(commentId) {
+  const body = document.getElementById(`checklist-comment-body-${commentId}`);
+  if (!body || body.querySelector('textarea')) return;
+  
+  const original = body.textContent;
+  body.innerHTML = `
+    <textarea rows="3" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"></textarea>
+    <div class="flex gap-2 mt-1">
+      <button type="button" class="checklist-comment-save btn-primary">Save</button>
+      <button type="button" class="checklist-comment-cancel btn-secondary">Cancel</button>
     </div>
-  `).join('');
+  `;
+  const textarea = body.querySelector('textarea');
+  textarea.value = original;
+  textarea.focus();
+  
+  body.querySelector('.checklist-comment-cancel').addEventListener('click', () => {
+    body.textContent = original;
+  });
+  body.querySelector('.checklist-comment-save').addEventListener('click', async () => {
+    const text = textarea.value.trim();
+    if (!text) return;
+    
+    try {
+      const response = await fetch(`/api/checklists/${currentChecklistId}/comments/${commentId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ comment: text })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to update comment');
+      }
+      await loadChecklistComments();
+      showToast('Comment updated', 'success');
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      showToast('Failed to update comment', 'error');
+    }
+  });
+}
+
+async function deleteChecklistComment(commentId) {
+  if (!confirm('Delete this comment and its replies?')) {
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/checklists/${currentChecklistId}/comments/${commentId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    if (!response.ok) {
+      throw new Error('Failed to delete comment');
+    }
+    await loadChecklistComments();
+    showToast('Comment deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    showToast('Failed to delete comment', 'error');
+  }
 }
 
 async function addComment() {
@@ -1112,9 +1215,7 @@ async function addComment() {
     }
     
     document.getElementById('newComment').value = '';
-    
-    // Reload checklist to get updated comments
-    loadChecklistForFilling(currentChecklistId);
+    await loadChecklistComments();
     showToast('Comment added', 'success');
     
   } catch (error) {
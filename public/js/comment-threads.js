@@ -0,0 +1,280 @@
+// ============= COMMENT THREADS: REPLIES, REACTIONS, RESOLVED THREADS AND EDIT HISTORY =============
+// Shared by the issue / action item comments (comments.js) and checklist comments (checklists.js).
+// Each page renders its own comment body and calls renderCommentThreadBar() under it.
+
+const COMMENT_REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+// Item types used by the comment UIs -> URL segment
+const COMMENT_THREAD_PATHS = {
+  'issue': 'issues',
+  'action_item': 'action-items',
+  'action-item': 'action-items',
+  'checklist': 'checklists'
+};
+
+function commentThreadUrl(itemType, itemId, suffix = '') {
+  return `/api/${COMMENT_THREAD_PATHS[itemType]}/${itemId}/comments${suffix}`;
+}
+
+async function commentThreadRequest(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.validationErrors ? data.validationErrors.join('\n') : (data.error || 'Request failed'));
+  }
+  return data;
+}
+
+/**
+ * Comments arrive in thread order with thread_id set; group them back up
+ */
+function groupCommentThreads(comments) {
+  const threads = [];
+  const byId = new Map();
+
+  comments.forEach(comment => {
+    const threadId = comment.thread_id || comment.id;
+    if (!byId.has(threadId)) {
+      const thread = { root: null, replies: [] };
+      byId.set(threadId, thread);
+      threads.push(thread);
+    }
+    const thread = byId.get(threadId);
+    if (comment.id === threadId) {
+      thread.root = comment;
+    } else {
+      thread.replies.push(comment);
+    }
+  });
+
+  return threads.filter(thread => thread.root);
+}
+
+function renderCommentReactions(comment) {
+  const reactions = comment.reactions || [];
+
+  return `
+    <div class="flex flex-wrap items-center gap-1">
+      ${reactions.map(reaction => `
+        <button type="button"
+          class="comment-reaction-btn text-xs px-2 py-0.5 rounded-full border ${reaction.reacted ? 'bg-indigo-50 border-indigo-300' : 'bg-white border-gray-200'} hover:border-indigo-400"
+          data-comment-id="${comment.id}" data-emoji="${reaction.emoji}"
+          title="${escapeHtml(reaction.users.join(', '))}">
+          ${reaction.emoji} ${reaction.count}
+        </button>
+      `).join('')}
+      <span class="relative">
+        <button type="button" class="comment-reaction-picker-btn text-xs text-gray-500 hover:text-indigo-600 px-1" title="Add reaction">☺+</button>
+        <span class="comment-reaction-picker hidden absolute z-10 bottom-full mb-1 left-0 bg-white border border-gray-200 rounded shadow px-1 py-0.5 whitespace-nowrap">
+          ${COMMENT_REACTIONS.map(emoji => `
+            <button type="button" class="comment-reaction-btn px-1 hover:bg-gray-100 rounded" data-comment-id="${comment.id}" data-emoji="${emoji}">${emoji}</button>
+          `).join('')}
+        </span>
+      </span>
+    </div>
+  `;
+}
+
+/**
+ * Reactions, reply, resolve and history controls for one comment
+ */
+function renderCommentThreadBar(comment) {
+  const isThreadStart = !comment.thread_id || comment.thread_id === comment.id;
+
+  return `
+    <div class="mt-2 flex flex-wrap items-center justify-between gap-2">
+      ${renderCommentReactions(comment)}
+      <div class="flex items-center gap-3 text-xs">
+        <button type="button" class="comment-reply-btn text-gray-500 hover:text-indigo-600"
+          data-comment-id="${comment.id}" data-username="${escapeHtml(comment.username || comment.commenter_name || '')}">Reply</button>
+        ${comment.edit_count > 0 ? `
+          <button type="button" class="comment-history-btn text-gray-500 hover:text-indigo-600" data-comment-id="${comment.id}">
+            History (${comment.edit_count})
+          </button>
+        ` : ''}
+        ${isThreadStart ? `
+          <button type="button" class="comment-resolve-btn text-gray-500 hover:text-green-600"
+            data-comment-id="${comment.id}" data-resolved="${comment.thread_resolved ? 'true' : 'false'}">
+            ${comment.thread_resolved ? 'Reopen' : 'Resolve'}
+          </button>
+        ` : ''}
+      </div>
+    </div>
+    <div class="comment-history hidden mt-2" id="comment-history-${comment.id}"></div>
+  `;
+}
+
+/**
+ * Threads with replies indented under their first comment. Resolved threads
+ * show a one-line summary until expanded.
+ *
+ * @param {Object[]} comments - from GET /api/:items/:id/comments
+ * @param {Function} renderComment - (comment) => HTML for one comment, including renderCommentThreadBar()
+ */
+function renderCommentThreads(comments, renderComment) {
+  return groupCommentThreads(comments).map(({ root, replies }) => {
+    const resolved = root.thread_resolved;
+    const byline = root.resolved_by_username ? ` by ${escapeHtml(root.resolved_by_username)}` : '';
+
+    return `
+      <div class="comment-thread" data-thread-id="${root.id}">
+        ${resolved ? `
+          <button type="button" class="comment-thread-toggle w-full text-left text-xs text-green-700 bg-green-50 border border-green-200 rounded px-3 py-2">
+            ✓ Resolved${byline}: ${escapeHtml((root.comment || '').slice(0, 80))}
+            ${replies.length > 0 ? `· ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}` : ''}
+            <span class="float-right text-green-600">Show</span>
+          </button>
+        ` : ''}
+        <div class="comment-thread-body space-y-2 ${resolved ? 'hidden mt-2' : ''}">
+          ${renderComment(root)}
+          ${replies.length > 0 ? `
+            <div class="ml-6 pl-4 border-l-2 border-gray-200 space-y-2">
+              ${replies.map(reply => renderComment(reply)).join('')}
+            </div>
+          ` : ''}
+          <div class="comment-reply-form hidden ml-6 pl-4 border-l-2 border-indigo-200">
+            <textarea rows="2" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm" placeholder="Write a reply..."></textarea>
+            <input type="hidden" class="comment-reply-parent">
+            <div class="flex gap-2 mt-1">
+              <button type="button" class="comment-reply-submit bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded text-sm">Reply</button>
+              <button type="button" class="comment-reply-cancel bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded text-sm">Cancel</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function showCommentHistory(options, commentId) {
+  const panel = document.getElementById(`comment-history-${commentId}`);
+  if (!panel) return;
+  if (!panel.classList.contains('hidden')) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  try {
+    const data = await commentThreadRequest('GET', commentThreadUrl(options.itemType, options.itemId, `/${commentId}/history`));
+    panel.innerHTML = `
+      <div class="bg-white border border-gray-200 rounded p-2 space-y-2 text-xs">
+        ${data.history.map(edit => `
+          <div>
+            <div class="text-gray-500">Before ${escapeHtml(edit.edited_by_username || 'unknown')}'s edit on ${new Date(edit.edited_at).toLocaleString()}</div>
+            <div class="whitespace-pre-wrap text-gray-700 line-through decoration-gray-300">${escapeHtml(edit.previous_comment)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    panel.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading comment history:', error);
+    showToast(error.message || 'Failed to load comment history', 'error');
+  }
+}
+
+/**
+ * Handle the thread controls inside a comment list. Safe to call on every
+ * render; the listener is added once and uses the latest options.
+ *
+ * @param {HTMLElement} container - element the threads were rendered into
+ * @param {Object} options - { itemType, itemId, reload: async () => void }
+ */
+function bindCommentThreads(container, options) {
+  container.commentThreadOptions = options;
+  if (container.dataset.commentThreadsBound) return;
+  container.dataset.commentThreadsBound = 'true';
+
+  container.addEventListener('click', async (e) => {
+    const opts = container.commentThreadOptions;
+    const thread = e.target.closest('.comment-thread');
+
+    if (e.target.closest('.comment-thread-toggle')) {
+      thread.querySelector('.comment-thread-body').classList.toggle('hidden');
+      return;
+    }
+
+    if (e.target.closest('.comment-reaction-picker-btn')) {
+      e.target.closest('.relative').querySelector('.comment-reaction-picker').classList.toggle('hidden');
+      return;
+    }
+
+    const reactionBtn = e.target.closest('.comment-reaction-btn');
+    if (reactionBtn) {
+      try {
+        await commentThreadRequest('POST',
+          commentThreadUrl(opts.itemType, opts.itemId, `/${reactionBtn.dataset.commentId}/reactions`),
+          { emoji: reactionBtn.dataset.emoji });
+        await opts.reload();
+      } catch (error) {
+        console.error('Error updating reaction:', error);
+        showToast(error.message || 'Failed to update reaction', 'error');
+      }
+      return;
+    }
+
+    const replyBtn = e.target.closest('.comment-reply-btn');
+    if (replyBtn) {
+      const form = thread.querySelector('.comment-reply-form');
+      thread.querySelector('.comment-thread-body').classList.remove('hidden');
+      form.classList.remove('hidden');
+      form.querySelector('.comment-reply-parent').value = replyBtn.dataset.commentId;
+      const textarea = form.querySelector('textarea');
+      if (replyBtn.dataset.commentId !== thread.dataset.threadId && replyBtn.dataset.username && !textarea.value) {
+        textarea.value = `@${replyBtn.dataset.username} `;
+      }
+      textarea.focus();
+      return;
+    }
+
+    if (e.target.closest('.comment-reply-cancel')) {
+      const form = thread.querySelector('.comment-reply-form');
+      form.querySelector('textarea').value = '';
+      form.classList.add('hidden');
+      return;
+    }
+
+    if (e.target.closest('.comment-reply-submit')) {
+      const form = thread.querySelector('.comment-reply-form');
+      const text = form.querySelector('textarea').value.trim();
+      if (!text) return;
+      const parentCommentId = form.querySelector('.comment-reply-parent').value || thread.dataset.threadId;
+
+      try {
+        await commentThreadRequest('POST', commentThreadUrl(opts.itemType, opts.itemId), { comment: text, parentCommentId });
+        await opts.reload();
+        showToast('Reply added', 'success');
+      } catch (error) {
+        console.error('Error adding reply:', error);
+        showToast(error.message || 'Failed to add reply', 'error');
+      }
+      return;
+    }
+
+    const resolveBtn = e.target.closest('.comment-resolve-btn');
+    if (resolveBtn) {
+      const resolved = resolveBtn.dataset.resolved !== 'true';
+      try {
+        await commentThreadRequest('PUT',
+          commentThreadUrl(opts.itemType, opts.itemId, `/${resolveBtn.dataset.commentId}/resolve`),
+          { resolved });
+        await opts.reload();
+        showToast(resolved ? 'Thread resolved' : 'Thread reopened', 'success');
+      } catch (error) {
+        console.error('Error resolving thread:', error);
+        showToast(error.message || 'Failed to update thread', 'error');
+      }
+      return;
+    }
+
+    const historyBtn = e.target.closest('.comment-history-btn');
+    if (historyBtn) {
+      showCommentHistory(opts, historyBtn.dataset.commentId);
+    }
+  });
+}
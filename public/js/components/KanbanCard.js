@@ -60,12 +60,21 @@ class KanbanCard {
     }
 
     const completedChildren = this.issue.children.filter(
-      child => child.status === 'Done'
+      child => this.isDone(child.status)
     ).length;
 
     return Math.round((completedChildren / this.issue.children.length) * 100);
   }
 
+  /**
+   * Whether a status is in the project's "done" category (js/workflow.js when loaded)
+   * @param {string} status
+   * @returns {boolean}
+   */
+  isDone(status) {
+    return typeof isDoneStatus === 'function' ? isDoneStatus(status) : status === 'Done';
+  }
+
   /**
    * Get priority badge class
    * @param {string} priority - Priority level
@@ -81,6 +90,31 @@ class KanbanCard {
     return priorityMap[priority] || 'badge-priority-medium';
   }
 
+  /**
+   * SLA badge for an issue annotated by the server (issue.sla)
+   * @param {Object|null} sla - { target, state, remaining }
+   * @returns {string} HTML string, empty when on track or no SLA applies
+   */
+  static renderSlaBadge(sla) {
+    if (!sla || !['breached', 'warning', 'paused'].includes(sla.state)) {
+      return '';
+    }
+
+    const target = sla.target === 'response' ? 'Response' : 'Resolution';
+    const labels = {
+      breached: { icon: 'fa-fire', text: 'SLA breached', title: `${target} target missed by ${sla.remaining}` },
+      warning: { icon: 'fa-hourglass-half', text: `SLA ${sla.remaining}`, title: `${target} due in ${sla.remaining}` },
+      paused: { icon: 'fa-pause', text: 'SLA paused', title: `${target} timer paused, ${sla.remaining} left` }
+    };
+    const label = labels[sla.state];
+
+    return `
+      <span class="badge badge-sla badge-sla-${sla.state}" title="${label.title}">
+        <i class="fas ${label.icon}"></i> ${label.text}
+      </span>
+    `;
+  }
+
   /**
    * Render children recursively
    * @returns {string} HTML string of children
@@ -150,7 +184,9 @@ class KanbanCard {
           <span class="badge ${priorityClass}">
             ${this.escapeHtml(this.issue.priority || 'Medium')}
           </span>
-          
+
+          ${KanbanCard.renderSlaBadge(this.issue.sla)}
+
           <span class="kanban-card-assignee">
             <i class="fas fa-user"></i>
             ${this.escapeHtml(this.issue.assignee || 'Unassigned')}
@@ -171,7 +207,7 @@ class KanbanCard {
               <div class="progress-bar-fill" style="width: ${childProgress}%"></div>
             </div>
             <div class="progress-bar-label">
-              ${childProgress}% Complete (${this.issue.children.filter(c => c.status === 'Done').length}/${this.issue.children.length} tasks)
+              ${childProgress}% Complete (${this.issue.children.filter(c => this.isDone(c.status)).length}/${this.issue.children.length} tasks)
             </div>
           </div>
         ` : ''}
@@ -0,0 +1,401 @@
+// ============= CUSTOM FIELDS: PROJECT-DEFINED FIELDS ON ISSUES & ACTION ITEMS =============
+
+let projectCustomFields = [];
+let editingCustomFieldId = null;
+
+const CUSTOM_FIELD_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Single select',
+  multi_select: 'Multi select',
+  user: 'User'
+};
+
+const CUSTOM_FIELD_APPLIES_TO_LABELS = {
+  both: 'Issues & action items',
+  issue: 'Issues only',
+  'action-item': 'Action items only'
+};
+
+// Load the project's field definitions and refresh the table columns that depend on them
+async function loadProjectCustomFields(projectId) {
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/custom-fields`, {
+      withCredentials: true
+    });
+    projectCustomFields = response.data;
+  } catch (error) {
+    console.error('Error loading custom fields:', error);
+    projectCustomFields = [];
+  }
+
+  renderCustomFieldTableHeaders();
+}
+
+function getCustomFieldsFor(itemType) {
+  const type = itemType === 'issue' ? 'issue' : 'action-item';
+  return projectCustomFields.filter(f => f.appliesTo === 'both' || f.appliesTo === type);
+}
+
+function formatCustomFieldValue(field, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (field.type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString();
+  return String(value);
+}
+
+// ============= CREATE / EDIT MODAL INPUTS =============
+
+function renderCustomFieldInput(field, value, inputId) {
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500';
+  const validation = field.validation || {};
+  const required = field.required ? 'required' : '';
+  const current = value === null || value === undefined ? '' : value;
+
+  switch (field.type) {
+    case 'number':
+      return `<input type="number" id="${inputId}" step="any" class="${inputClass}" ${required}
+                     ${validation.min !== undefined && validation.min !== null ? `min="${validation.min}"` : ''}
+                     ${validation.max !== undefined && validation.max !== null ? `max="${validation.max}"` : ''}
+                     value="${escapeHtml(String(current))}">`;
+
+    case 'date':
+      return `<input type="date" id="${inputId}" class="${inputClass}" ${required}
+                     ${validation.min ? `min="${escapeHtml(validation.min)}"` : ''}
+                     ${validation.max ? `max="${escapeHtml(validation.max)}"` : ''}
+                     value="${escapeHtml(String(current))}">`;
+
+    case 'select':
+      return `<select id="${inputId}" class="${inputClass}" ${required}>
+                <option value="">-- None --</option>
+                ${field.options.map(option =>
+                  `<option value="${escapeHtml(option)}" ${option === current ? 'selected' : ''}>${escapeHtml(option)}</option>`
+                ).join('')}
+              </select>`;
+
+    case 'multi_select': {
+      const selected = Array.isArray(current) ? current : [];
+      return `<select id="${inputId}" multiple class="${inputClass}" style="min-height: 80px;">
+                ${field.options.map(option =>
+                  `<option value="${escapeHtml(option)}" ${selected.includes(option) ? 'selected' : ''}>${escapeHtml(option)}</option>`
+                ).join('')}
+              </select>`;
+    }
+
+    case 'user': {
+      const names = (typeof teamMembers !== 'undefined' ? teamMembers : []).map(m => m.name);
+      if (current && !names.includes(current)) names.unshift(current);
+      return `<select id="${inputId}" class="${inputClass}" ${required}>
+                <option value="">-- Unassigned --</option>
+                ${names.map(name =>
+                  `<option value="${escapeHtml(name)}" ${name === current ? 'selected' : ''}>${escapeHtml(name)}</option>`
+                ).join('')}
+              </select>`;
+    }
+
+    default:
+      return `<input type="text" id="${inputId}" class="${inputClass}" ${required}
+                     ${validation.maxLength ? `maxlength="${validation.maxLength}"` : ''}
+                     value="${escapeHtml(String(current))}">`;
+  }
+}
+
+// Render the item type's fields into a container. values === null means a new item (defaults apply).
+function renderCustomFieldInputs(containerId, itemType, values = null) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const fields = getCustomFieldsFor(itemType);
+  container.classList.toggle('hidden', fields.length === 0);
+
+  container.innerHTML = fields.map(field => {
+    const value = values === null ? field.defaultValue : values[field.key];
+    return `
+      <div class="mb-4" data-custom-field-key="${escapeHtml(field.key)}" data-custom-field-type="${field.type}">
+        <label class="block text-sm font-medium mb-2">${escapeHtml(field.name)}${field.required ? ' *' : ''}</label>
+        ${renderCustomFieldInput(field, value, `${containerId}-${field.key}`)}
+        ${field.type === 'multi_select' ? '<small class="text-gray-500">Hold Ctrl/Cmd to select multiple</small>' : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+// Read values back out of a container rendered by renderCustomFieldInputs. Empty fields are sent as null to clear them.
+function collectCustomFieldValues(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return {};
+
+  const values = {};
+  container.querySelectorAll('[data-custom-field-key]').forEach(wrapper => {
+    const key = wrapper.dataset.customFieldKey;
+    const input = wrapper.querySelector('input, select');
+    if (!input) return;
+
+    if (wrapper.dataset.customFieldType === 'multi_select') {
+      values[key] = Array.from(input.selectedOptions).map(option => option.value);
+    } else {
+      values[key] = input.value === '' ? null : input.value;
+    }
+  });
+  return values;
+}
+
+// ============= FILTER =============
+
+// One optgroup per field: its options (select / multi-select / user) plus "any value"
+function populateCustomFieldFilter() {
+  const select = document.getElementById('custom-field-filter');
+  if (!select) return;
+
+  const groups = projectCustomFields.map(field => {
+    let choices = [];
+    if (field.type === 'select' || field.type === 'multi_select') {
+      choices = field.options;
+    } else if (field.type === 'user') {
+      choices = (typeof teamMembers !== 'undefined' ? teamMembers : []).map(m => m.name);
+    }
+
+    const options = [
+      `<option value="${escapeHtml(field.key)}:*">Any value</option>`,
+      ...choices.map(choice => `<option value="${escapeHtml(`${field.key}:${choice}`)}">${escapeHtml(choice)}</option>`)
+    ].join('');
+    return `<optgroup label="${escapeHtml(field.name)}">${options}</optgroup>`;
+  }).join('');
+
+  select.innerHTML = `<option value="">All Values</option>${groups}`;
+  select.value = currentFilters.customField || '';
+}
+
+function getCustomFieldFilterLabel(filterValue) {
+  const separator = filterValue.indexOf(':');
+  const key = filterValue.slice(0, separator);
+  const value = filterValue.slice(separator + 1);
+  const field = projectCustomFields.find(f => f.key === key);
+  const name = field ? field.name : key;
+  return value === '*' ? `${name}: any value` : `${name}: ${value}`;
+}
+
+// ============= TABLE VIEW COLUMNS =============
+
+function getTableCustomFields() {
+  return projectCustomFields.filter(f => f.showInTable);
+}
+
+function renderCustomFieldTableHeaders() {
+  const actionsHeader = document.getElementById('table-actions-header');
+  if (!actionsHeader) return;
+
+  actionsHeader.parentElement.querySelectorAll('.custom-field-header').forEach(th => th.remove());
+  getTableCustomFields().forEach(field => {
+    const th = document.createElement('th');
+    th.className = 'custom-field-header px-4 py-3 text-left font-semibold text-gray-700';
+    th.textContent = field.name;
+    th.dataset.column = `cf:${field.key}`;
+    actionsHeader.before(th);
+  });
+}
+
+function renderCustomFieldTableCells(item) {
+  const itemType = item.type === 'issue' ? 'issue' : 'action-item';
+  return getTableCustomFields().map(field => {
+    const applies = field.appliesTo === 'both' || field.appliesTo === itemType;
+    const text = applies ? formatCustomFieldValue(field, (item.custom_fields || {})[field.key]) : '';
+    return `<td class="px-4 py-3 text-gray-600 text-sm" data-column="cf:${field.key}">${text ? escapeHtml(text) : '<span class="text-gray-400">-</span>'}</td>`;
+  }).join('');
+}
+
+// ============= MANAGE FIELDS MODAL =============
+
+async function openCustomFieldsModal() {
+  if (!currentProject) return;
+
+  await loadProjectCustomFields(currentProject.id);
+
+  const canEdit = typeof AuthManager !== 'undefined' && AuthManager.hasRole('Project Manager');
+  document.getElementById('custom-field-form')?.classList.toggle('hidden', !canEdit);
+  document.getElementById('custom-fields-readonly-note')?.classList.toggle('hidden', canEdit);
+
+  resetCustomFieldForm();
+  renderCustomFieldList();
+  document.getElementById('customFieldsModal').classList.remove('hidden');
+}
+
+function closeCustomFieldsModal() {
+  document.getElementById('customFieldsModal').classList.add('hidden');
+  editingCustomFieldId = null;
+}
+
+function renderCustomFieldList() {
+  const container = document.getElementById('custom-field-list');
+  if (!container) return;
+
+  if (projectCustomFields.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 italic">No custom fields yet.</p>';
+    return;
+  }
+
+  const canEdit = typeof AuthManager !== 'undefined' && AuthManager.hasRole('Project Manager');
+  container.innerHTML = projectCustomFields.map(field => `
+    <div class="flex items-center justify-between gap-2 p-2 border border-gray-200 rounded">
+      <div>
+        <span class="font-medium text-sm">${escapeHtml(field.name)}</span>
+        ${field.required ? '<span class="ml-1 text-xs text-red-600">required</span>' : ''}
+        <div class="text-xs text-gray-500">
+          ${CUSTOM_FIELD_TYPE_LABELS[field.type]} · ${CUSTOM_FIELD_APPLIES_TO_LABELS[field.appliesTo]} · <code>${escapeHtml(field.key)}</code>
+        </div>
+      </div>
+      ${canEdit ? `
+        <div class="flex gap-2">
+          <button type="button" class="text-blue-600 hover:text-blue-800 text-sm" onclick="editCustomField(${field.id})" title="Edit field">
+            <i class="fas fa-edit"></i>
+          </button>
+          <button type="button" class="text-red-600 hover:text-red-800 text-sm" onclick="deleteCustomField(${field.id})" title="Delete field">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+function updateCustomFieldFormForType() {
+  const type = document.getElementById('custom-field-type').value;
+  const hasOptions = type === 'select' || type === 'multi_select';
+  document.getElementById('custom-field-options-row').classList.toggle('hidden', !hasOptions);
+  document.getElementById('custom-field-range-row').classList.toggle('hidden', type !== 'number' && type !== 'date');
+  document.getElementById('custom-field-text-row').classList.toggle('hidden', type !== 'text');
+
+  ['custom-field-min', 'custom-field-max'].forEach(id => {
+    document.getElementById(id).type = type === 'date' ? 'date' : 'number';
+  });
+}
+
+function resetCustomFieldForm() {
+  editingCustomFieldId = null;
+  document.getElementById('custom-field-form')?.reset();
+  document.getElementById('custom-field-type').disabled = false;
+  document.getElementById('custom-field-show-in-table').checked = true;
+  document.getElementById('custom-field-form-title').textContent = 'Add Field';
+  document.getElementById('custom-field-cancel-edit-btn').classList.add('hidden');
+  updateCustomFieldFormForType();
+}
+
+function editCustomField(fieldId) {
+  const field = projectCustomFields.find(f => f.id === fieldId);
+  if (!field) return;
+
+  editingCustomFieldId = fieldId;
+  const validation = field.validation || {};
+  document.getElementById('custom-field-name').value = field.name;
+  document.getElementById('custom-field-type').value = field.type;
+  document.getElementById('custom-field-type').disabled = true;
+  document.getElementById('custom-field-applies-to').value = field.appliesTo;
+  document.getElementById('custom-field-options').value = (field.options || []).join('\n');
+  document.getElementById('custom-field-required').checked = field.required;
+  document.getElementById('custom-field-show-in-table').checked = field.showInTable;
+  document.getElementById('custom-field-default').value = Array.isArray(field.defaultValue)
+    ? field.defaultValue.join(', ')
+    : (field.defaultValue ?? '');
+  updateCustomFieldFormForType();
+  document.getElementById('custom-field-min').value = validation.min ?? '';
+  document.getElementById('custom-field-max').value = validation.max ?? '';
+  document.getElementById('custom-field-max-length').value = validation.maxLength ?? '';
+  document.getElementById('custom-field-pattern').value = validation.pattern || '';
+  document.getElementById('custom-field-form-title').textContent = `Edit "${field.name}"`;
+  document.getElementById('custom-field-cancel-edit-btn').classList.remove('hidden');
+}
+
+function readCustomFieldForm() {
+  const type = document.getElementById('custom-field-type').value;
+  const readNumber = id => {
+    const value = document.getElementById(id).value;
+    return value === '' ? undefined : parseFloat(value);
+  };
+
+  const validation = {};
+  if (type === 'number') {
+    validation.min = readNumber('custom-field-min');
+    validation.max = readNumber('custom-field-max');
+  } else if (type === 'date') {
+    validation.min = document.getElementById('custom-field-min').value || undefined;
+    validation.max = document.getElementById('custom-field-max').value || undefined;
+  } else if (type === 'text') {
+    validation.maxLength = readNumber('custom-field-max-length');
+    validation.pattern = document.getElementById('custom-field-pattern').value.trim() || undefined;
+  }
+
+  return {
+    name: document.getElementById('custom-field-name').value.trim(),
+    type,
+    appliesTo: document.getElementById('custom-field-applies-to').value,
+    options: document.getElementById('custom-field-options').value.split('\n').map(o => o.trim()).filter(Boolean),
+    required: document.getElementById('custom-field-required').checked,
+    showInTable: document.getElementById('custom-field-show-in-table').checked,
+    defaultValue: document.getElementById('custom-field-default').value.trim() || null,
+    validation: JSON.parse(JSON.stringify(validation))
+  };
+}
+
+async function saveCustomField(event) {
+  event.preventDefault();
+  if (!currentProject) return;
+
+  const payload = readCustomFieldForm();
+  const baseUrl = `/api/projects/${currentProject.id}/custom-fields`;
+
+  try {
+    if (editingCustomFieldId) {
+      delete payload.type;
+      await axios.put(`${baseUrl}/${editingCustomFieldId}`, payload, { withCredentials: true });
+    } else {
+      await axios.post(baseUrl, payload, { withCredentials: true });
+    }
+    showToast(editingCustomFieldId ? 'Custom field updated' : 'Custom field added', 'success');
+    await loadProjectCustomFields(currentProject.id);
+    resetCustomFieldForm();
+    renderCustomFieldList();
+    populateCustomFieldFilter();
+    if (currentView === 'table' && typeof renderTableView === 'function') {
+      renderTableView();
+    }
+  } catch (error) {
+    console.error('Error saving custom field:', error);
+    const data = error.response?.data;
+    const details = data?.validationErrors?.length ? `\n\n- ${data.validationErrors.join('\n- ')}` : '';
+    alert((data?.error || 'Failed to save custom field') + details);
+  }
+}
+
+async function deleteCustomField(fieldId) {
+  const field = projectCustomFields.find(f => f.id === fieldId);
+  if (!field || !currentProject) return;
+
+  if (!confirm(`Delete "${field.name}"? Its values will be removed from every item in this project.`)) {
+    return;
+  }
+
+  try {
+    await axios.delete(`/api/projects/${currentProject.id}/custom-fields/${fieldId}`, {
+      withCredentials: true
+    });
+    if (currentFilters.customField && currentFilters.customField.startsWith(`${field.key}:`)) {
+      currentFilters.customField = '';
+    }
+    showToast('Custom field deleted', 'success');
+    resetCustomFieldForm();
+    await loadProjectData(currentProject.id);
+    renderCustomFieldList();
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    alert(error.response?.data?.error || 'Failed to delete custom field');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('manage-custom-fields-btn')?.addEventListener('click', openCustomFieldsModal);
+  document.getElementById('closeCustomFieldsModal')?.addEventListener('click', closeCustomFieldsModal);
+  document.getElementById('custom-field-form')?.addEventListener('submit', saveCustomField);
+  document.getElementById('custom-field-type')?.addEventListener('change', updateCustomFieldFormForType);
+  document.getElementById('custom-field-cancel-edit-btn')?.addEventListener('click', resetCustomFieldForm);
+});
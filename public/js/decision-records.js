@@ -0,0 +1,151 @@
+// ============= DECISION RECORDS: DECISION LOG AND SUPERSESSION LINEAGE =============
+// Used by risks.html alongside risks.js (currentProjectId, escapeHtml, showError).
+
+const DECISION_STATUS_CLASSES = {
+  proposed: 'bg-gray-100 text-gray-700',
+  approved: 'bg-green-100 text-green-700',
+  implemented: 'bg-blue-100 text-blue-700',
+  superseded: 'bg-amber-100 text-amber-700',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+function isDecisionLogOpen() {
+  const panel = document.getElementById('decisionLogPanel');
+  return panel && !panel.classList.contains('hidden');
+}
+
+function toggleDecisionLog() {
+  if (!currentProjectId) {
+    showError('Select a project first');
+    return;
+  }
+
+  const panel = document.getElementById('decisionLogPanel');
+  const open = panel.classList.toggle('hidden') === false;
+  document.getElementById('btnDecisionLog').setAttribute('aria-expanded', String(open));
+  if (open) refreshDecisionLog();
+}
+
+/**
+ * Reload the decision log when the panel is open (called when the project changes)
+ */
+function refreshDecisionLog() {
+  if (!currentProjectId || !isDecisionLogOpen()) return;
+  clearDecisionLineage();
+  document.getElementById('adrExportLink').href = `/api/projects/${currentProjectId}/decisions/adr-export`;
+  loadDecisionLog();
+}
+
+function renderDecisionStatus(status) {
+  const classes = DECISION_STATUS_CLASSES[status] || DECISION_STATUS_CLASSES.proposed;
+  return `<span class="px-2 py-0.5 rounded-full text-xs ${classes}">${escapeHtml(status || 'proposed')}</span>`;
+}
+
+async function loadDecisionLog() {
+  const container = document.getElementById('decisionLogList');
+
+  try {
+    const response = await fetch(`/api/projects/${currentProjectId}/decisions`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to load decisions');
+    const decisions = await response.json();
+
+    if (decisions.length === 0) {
+      container.innerHTML = '<p class="text-sm text-gray-500">No decisions recorded for this project</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <ul class="divide-y border rounded">
+        ${decisions.map(d => `
+          <li class="flex items-center justify-between gap-3 px-3 py-2">
+            <div class="min-w-0">
+              <span class="text-xs text-gray-500">${escapeHtml(d.decision_id)}</span>
+              <span class="text-sm text-gray-900 ml-1">${escapeHtml(d.title)}</span>
+            </div>
+            <div class="flex items-center gap-2 whitespace-nowrap">
+              ${renderDecisionStatus(d.status)}
+              <button type="button" class="decision-lineage-btn text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50"
+                      data-decision-id="${d.id}">
+                Lineage
+              </button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  } catch (error) {
+    console.error('Error loading decision log:', error);
+    container.innerHTML = '<p class="text-sm text-red-500">Failed to load decisions</p>';
+  }
+}
+
+async function showDecisionLineage(decisionId) {
+  const container = document.getElementById('decisionLineage');
+
+  try {
+    const response = await fetch(`/api/decisions/${decisionId}/lineage`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to load decision lineage');
+    const lineage = await response.json();
+
+    container.innerHTML = renderDecisionLineage(lineage, decisionId);
+    container.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading decision lineage:', error);
+    showError('Failed to load decision lineage');
+  }
+}
+
+/**
+ * The chain from the original decision(s) to the one that currently stands.
+ * position < 0 came before the selected decision, > 0 replaced it.
+ */
+function renderDecisionLineage(lineage, decisionId) {
+  const selected = lineage.chain.find(d => d.id === decisionId);
+  const earliest = lineage.chain[0].position;
+
+  return `
+    <div class="flex items-center justify-between mb-2">
+      <h3 class="text-sm font-semibold text-gray-700">Lineage of ${escapeHtml(selected.decisionId)}</h3>
+      <button type="button" id="decisionLineageClose" class="text-xs text-gray-500 hover:underline">Close</button>
+    </div>
+    ${lineage.chain.length === 1 ? `
+      <p class="text-sm text-gray-500">This decision has not superseded or been superseded by another decision</p>
+    ` : `
+      <ol class="space-y-1">
+        ${lineage.chain.map(d => `
+          <li class="flex items-center gap-2 text-sm ${d.id === decisionId ? 'font-semibold' : ''}"
+              style="padding-left: ${(d.position - earliest) * 16}px">
+            <span class="text-gray-400">${d.position === earliest ? '●' : '↳'}</span>
+            <span class="text-xs text-gray-500">${escapeHtml(d.decisionId)}</span>
+            <span class="text-gray-900">${escapeHtml(d.title)}</span>
+            ${renderDecisionStatus(d.status)}
+            ${d.decidedDate ? `<span class="text-xs text-gray-500">${new Date(d.decidedDate).toLocaleDateString()}</span>` : ''}
+            ${d.id === lineage.current.id ? '<span class="text-xs text-green-700">Current</span>' : ''}
+          </li>
+        `).join('')}
+      </ol>
+    `}
+  `;
+}
+
+function clearDecisionLineage() {
+  const container = document.getElementById('decisionLineage');
+  if (!container) return;
+  container.innerHTML = '';
+  container.classList.add('hidden');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('btnDecisionLog')?.addEventListener('click', toggleDecisionLog);
+
+  document.getElementById('decisionLogPanel')?.addEventListener('click', (e) => {
+    const lineageBtn = e.target.closest('.decision-lineage-btn');
+    if (lineageBtn) {
+      showDecisionLineage(parseInt(lineageBtn.dataset.decisionId));
+      return;
+    }
+    if (e.target.closest('#decisionLineageClose')) {
+      clearDecisionLineage();
+    }
+  });
+});
@@ -0,0 +1,196 @@
+// ============= DUPLICATES: WARN ON CREATE, MERGE ISSUES =============
+// Matching and merging live in services/duplicate-service.js
+
+const DUPLICATE_CHECK_DELAY_MS = 500;
+const DUPLICATE_TYPE_LABELS = {
+  'issue': 'Issue',
+  'action-item': 'Action Item'
+};
+
+let duplicateCheckTimer = null;
+let duplicateCheckRequestId = 0;
+
+async function fetchPossibleDuplicates(itemType, title, description, excludeId = null) {
+  const response = await fetch(`/api/projects/${currentProject.id}/duplicates/check`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ itemType, title, description, excludeId })
+  });
+  if (!response.ok) throw new Error('Failed to check for duplicates');
+  return (await response.json()).duplicates;
+}
+
+function renderDuplicateWarning(container, duplicates) {
+  if (duplicates.length === 0) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="border border-yellow-300 bg-yellow-50 rounded-lg p-3 text-sm">
+      <div class="font-medium text-yellow-800 mb-1">
+        <i class="fas fa-clone mr-1"></i>Possible duplicates
+      </div>
+      <ul class="space-y-1">
+        ${duplicates.map(d => `
+          <li class="flex items-center justify-between gap-2">
+            <a href="#" class="text-blue-700 hover:underline truncate"
+               onclick="openDuplicateItem(event, '${d.itemType}', ${d.id})">
+              ${DUPLICATE_TYPE_LABELS[d.itemType]} #${d.id}: ${escapeHtml(d.title)}
+            </a>
+            <span class="text-xs text-gray-600 whitespace-nowrap">
+              ${escapeHtml(d.status || '')} · ${Math.round(d.score * 100)}%${d.match === 'likely' ? ' · likely duplicate' : ''}
+            </span>
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+  container.classList.remove('hidden');
+}
+
+/**
+ * Check the title (and description) as the user types and list similar
+ * existing items under the title input. Creating anyway is still allowed.
+ */
+function setupDuplicateWarning(itemType, titleInputId, descriptionInputId, containerId) {
+  const titleInput = document.getElementById(titleInputId);
+  const descriptionInput = document.getElementById(descriptionInputId);
+  const container = document.getElementById(containerId);
+  if (!titleInput || !container || !currentProject) return;
+
+  const check = () => {
+    clearTimeout(duplicateCheckTimer);
+    duplicateCheckTimer = setTimeout(async () => {
+      const requestId = ++duplicateCheckRequestId;
+      const title = titleInput.value.trim();
+      if (title.length < 4) {
+        renderDuplicateWarning(container, []);
+        return;
+      }
+
+      try {
+        const duplicates = await fetchPossibleDuplicates(itemType, title, descriptionInput ? descriptionInput.value : '');
+        if (requestId === duplicateCheckRequestId) {
+          renderDuplicateWarning(container, duplicates);
+        }
+      } catch (error) {
+        console.error('Error checking for duplicates:', error);
+      }
+    }, DUPLICATE_CHECK_DELAY_MS);
+  };
+
+  titleInput.addEventListener('input', check);
+  if (descriptionInput) descriptionInput.addEventListener('blur', check);
+}
+
+function openDuplicateItem(event, itemType, itemId) {
+  event.preventDefault();
+  if (typeof openItemDetailModal === 'function') {
+    openItemDetailModal(itemId, itemType);
+  }
+}
+
+// ============= MERGE =============
+
+function closeMergeIssueModal() {
+  const modal = document.getElementById('merge-issue-modal');
+  if (modal) modal.remove();
+}
+
+async function showMergeIssueModal() {
+  if (!currentDetailItem || currentDetailItem.type !== 'issue') return;
+  const source = currentDetailItem;
+
+  closeMergeIssueModal();
+  const modal = document.createElement('div');
+  modal.id = 'merge-issue-modal';
+  modal.className = 'fixed inset-0 bg-gray-600 bg-opacity-50 z-[60] flex items-center justify-center';
+  modal.innerHTML = `
+    <div class="bg-white rounded-lg shadow-xl w-full max-w-lg mx-4 p-6">
+      <h3 class="text-lg font-semibold mb-2">Merge issue #${source.id}</h3>
+      <p class="text-sm text-gray-600 mb-4">
+        Comments, tags, attachments, time entries and dependencies move to the issue you pick.
+        #${source.id} goes to the trash and its links redirect to the target.
+      </p>
+      <div id="merge-issue-suggestions" class="mb-4 text-sm text-gray-500">Looking for similar issues...</div>
+      <label class="block text-sm font-medium mb-2">Merge into issue #</label>
+      <input type="number" id="merge-issue-target" min="1"
+             class="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+      <div class="flex justify-end gap-2 mt-6">
+        <button class="px-4 py-2 border rounded-lg" onclick="closeMergeIssueModal()">Cancel</button>
+        <button id="merge-issue-confirm" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                onclick="confirmMergeIssue()">Merge</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  const suggestions = document.getElementById('merge-issue-suggestions');
+  try {
+    const duplicates = (await fetchPossibleDuplicates('issue', source.title, '', source.id))
+      .filter(d => d.itemType === 'issue');
+    suggestions.innerHTML = duplicates.length === 0
+      ? 'No similar issues found.'
+      : duplicates.map(d => `
+          <button type="button" class="block w-full text-left px-2 py-1 rounded hover:bg-gray-100"
+                  onclick="document.getElementById('merge-issue-target').value = ${d.id}">
+            #${d.id}: ${escapeHtml(d.title)} <span class="text-xs text-gray-500">${Math.round(d.score * 100)}%</span>
+          </button>
+        `).join('');
+  } catch (error) {
+    console.error('Error loading merge suggestions:', error);
+    suggestions.textContent = '';
+  }
+}
+
+async function confirmMergeIssue() {
+  const sourceId = currentDetailItem.id;
+  const targetId = parseInt(document.getElementById('merge-issue-target').value);
+  if (!targetId) return;
+  if (!confirm(`Merge issue #${sourceId} into #${targetId}?`)) return;
+
+  const button = document.getElementById('merge-issue-confirm');
+  button.disabled = true;
+  try {
+    const response = await fetch(`/api/issues/${sourceId}/merge`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ targetId })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to merge issues');
+
+    closeMergeIssueModal();
+    AuthManager.showNotification(`Merged #${sourceId} into #${targetId}`, 'success');
+    if (typeof loadProjectData === 'function' && currentProject) {
+      loadProjectData(currentProject.id);
+    }
+    openItemDetailModal(targetId, 'issue');
+  } catch (error) {
+    console.error('Error merging issues:', error);
+    AuthManager.showNotification(error.message, 'error');
+    button.disabled = false;
+  }
+}
+
+/**
+ * Inline flag for an AI-proposed item that matches existing work
+ */
+function renderDuplicateFlag(duplicates) {
+  if (!duplicates || duplicates.length === 0) return '';
+  const best = duplicates[0];
+  const label = best.match === 'likely' ? 'Likely duplicate of' : 'Possible duplicate of';
+  return `
+    <div class="mt-2 text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded px-2 py-1">
+      <i class="fas fa-clone mr-1"></i>${label}
+      <a href="#" class="text-blue-700 hover:underline" onclick="openDuplicateItem(event, '${best.itemType}', ${best.id})">
+        ${DUPLICATE_TYPE_LABELS[best.itemType]} #${best.id}: ${escapeHtml(best.title)}
+      </a>
+      (${Math.round(best.score * 100)}%)
+    </div>
+  `;
+}
@@ -0,0 +1,207 @@
+// ============= IMPORT: CSV AND JIRA / TRELLO / ASANA EXPORTS =============
+
+let importFileContent = null;
+let importPreview = null;
+
+const IMPORT_PREVIEW_LIMIT = 50;
+
+function openImportModal() {
+  if (!currentProject) return;
+
+  if (!AuthManager.hasRole('Team Lead')) {
+    showToast('Only Team Leads and above can import items', 'error');
+    return;
+  }
+
+  importFileContent = null;
+  importPreview = null;
+  document.getElementById('import-file').value = '';
+  document.getElementById('import-format').value = '';
+  document.getElementById('import-default-type').value = 'issue';
+  document.getElementById('import-mapping-section').classList.add('hidden');
+  document.getElementById('import-preview-section').classList.add('hidden');
+  document.getElementById('run-import-btn').disabled = true;
+  document.getElementById('importModal').classList.remove('hidden');
+}
+
+function closeImportModal() {
+  document.getElementById('importModal').classList.add('hidden');
+}
+
+function handleImportFileSelected(event) {
+  const file = event.target.files[0];
+  importFileContent = null;
+  importPreview = null;
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    importFileContent = reader.result;
+    if (!document.getElementById('import-format').value) {
+      document.getElementById('import-format').value = file.name.toLowerCase().endsWith('.csv') ? 'csv' : '';
+    }
+    previewImport(false);
+  };
+  reader.onerror = () => showToast('Could not read the file', 'error');
+  reader.readAsText(file);
+}
+
+function buildImportRequest(useMapping) {
+  const body = {
+    content: importFileContent,
+    defaultItemType: document.getElementById('import-default-type').value
+  };
+  const format = document.getElementById('import-format').value;
+  if (format) body.format = format;
+
+  if (useMapping && importPreview && importPreview.format === 'csv') {
+    body.mapping = {};
+    document.querySelectorAll('.import-mapping-select').forEach(select => {
+      body.mapping[select.dataset.header] = select.value;
+    });
+  }
+  return body;
+}
+
+// Dry run: parse, map and validate without saving anything
+async function previewImport(useMapping = true) {
+  if (!importFileContent) {
+    showToast('Choose a file to import first', 'error');
+    return;
+  }
+
+  const status = document.getElementById('import-preview-status');
+  document.getElementById('import-preview-section').classList.remove('hidden');
+  status.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Checking file...';
+  document.getElementById('run-import-btn').disabled = true;
+
+  try {
+    const response = await axios.post(
+      `/api/projects/${currentProject.id}/import`,
+      { ...buildImportRequest(useMapping), dryRun: true },
+      { withCredentials: true }
+    );
+    importPreview = response.data;
+    document.getElementById('import-format').value = importPreview.format;
+    renderImportMapping();
+    renderImportPreview();
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    importPreview = null;
+    const data = error.response?.data || {};
+    const details = (data.validationErrors || []).map(e => `<li>${escapeHtml(e)}</li>`).join('');
+    status.innerHTML = `
+      <p class="text-red-600">${escapeHtml(data.error || 'Failed to read the file')}</p>
+      ${details ? `<ul class="list-disc ml-5 text-red-600">${details}</ul>` : ''}
+    `;
+    document.getElementById('import-preview-body').innerHTML = '';
+  }
+}
+
+function renderImportMapping() {
+  const section = document.getElementById('import-mapping-section');
+  if (importPreview.format !== 'csv') {
+    section.classList.add('hidden');
+    return;
+  }
+
+  const options = [{ key: '', label: '— Ignore column —' }, ...importPreview.fields];
+  document.getElementById('import-mapping-list').innerHTML = importPreview.headers.map(header => `
+    <div class="flex items-center gap-2">
+      <span class="w-1/2 truncate text-sm text-gray-700" title="${escapeHtml(header)}">${escapeHtml(header)}</span>
+      <select data-header="${escapeHtml(header)}" class="import-mapping-select w-1/2 px-2 py-1 border border-gray-300 rounded text-sm">
+        ${options.map(field => `
+          <option value="${escapeHtml(field.key)}" ${importPreview.mapping[header] === field.key ? 'selected' : ''}>
+            ${escapeHtml(field.label)}${field.customField ? ' (custom)' : ''}
+          </option>
+        `).join('')}
+      </select>
+    </div>
+  `).join('');
+
+  document.querySelectorAll('.import-mapping-select').forEach(select => {
+    select.addEventListener('change', () => previewImport(true));
+  });
+  section.classList.remove('hidden');
+}
+
+function renderImportPreview() {
+  const { summary, errors, warnings, items } = importPreview;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  const parts = [plural(summary.issues, 'issue'), plural(summary.actionItems, 'action item')];
+  if (summary.children) parts.push(plural(summary.children, 'child issue'));
+  if (summary.dependencies) parts.push(plural(summary.dependencies, 'dependency'));
+  if (summary.newTags.length) parts.push(`${plural(summary.newTags.length, 'new tag')} (${summary.newTags.map(escapeHtml).join(', ')})`);
+
+  const describe = entry => `<li>${entry.row ? `Row ${entry.row}: ` : ''}${escapeHtml(entry.message)}</li>`;
+  document.getElementById('import-preview-status').innerHTML = `
+    <p class="text-gray-700">Ready to import ${parts.join(', ')}.</p>
+    ${errors.length ? `
+      <div class="mt-2 p-2 bg-red-50 border border-red-200 rounded">
+        <p class="font-medium text-red-700">${plural(errors.length, 'error')} must be fixed before importing</p>
+        <ul class="list-disc ml-5 text-red-600 max-h-32 overflow-y-auto">${errors.map(describe).join('')}</ul>
+      </div>
+    ` : ''}
+    ${warnings.length ? `
+      <div class="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded">
+        <p class="font-medium text-yellow-800">${plural(warnings.length, 'warning')}</p>
+        <ul class="list-disc ml-5 text-yellow-800 max-h-32 overflow-y-auto">${warnings.map(describe).join('')}</ul>
+      </div>
+    ` : ''}
+  `;
+
+  const errorRows = new Set(errors.map(e => e.row));
+  document.getElementById('import-preview-body').innerHTML = items.slice(0, IMPORT_PREVIEW_LIMIT).map(item => `
+    <tr class="${errorRows.has(item.row) ? 'bg-red-50' : ''}">
+      <td class="px-2 py-1 text-gray-500">${item.row}</td>
+      <td class="px-2 py-1">${item.itemType === 'issue' ? 'Issue' : 'Action Item'}</td>
+      <td class="px-2 py-1">
+        ${item.parentIndex !== null ? '<span class="text-gray-400">↳</span> ' : ''}${escapeHtml(item.title || '(no title)')}
+        ${item.tags.length ? `<span class="text-xs text-gray-500">· ${item.tags.map(escapeHtml).join(', ')}</span>` : ''}
+      </td>
+      <td class="px-2 py-1">${escapeHtml(item.status)}</td>
+      <td class="px-2 py-1">${escapeHtml(item.priority)}</td>
+      <td class="px-2 py-1">${item.assignee ? escapeHtml(item.assignee) : '<span class="text-gray-400">Unassigned</span>'}</td>
+      <td class="px-2 py-1">${item.dueDate || ''}</td>
+    </tr>
+  `).join('') + (items.length > IMPORT_PREVIEW_LIMIT ? `
+    <tr><td colspan="7" class="px-2 py-1 text-center text-gray-500">… and ${items.length - IMPORT_PREVIEW_LIMIT} more</td></tr>
+  ` : '');
+
+  const runButton = document.getElementById('run-import-btn');
+  runButton.disabled = errors.length > 0 || items.length === 0;
+  runButton.textContent = `Import ${plural(items.length, 'item')}`;
+}
+
+async function runImport() {
+  if (!importPreview || importPreview.errors.length > 0) return;
+
+  const runButton = document.getElementById('run-import-btn');
+  runButton.disabled = true;
+
+  try {
+    const response = await axios.post(
+      `/api/projects/${currentProject.id}/import`,
+      buildImportRequest(true),
+      { withCredentials: true }
+    );
+    const { created } = response.data;
+    showToast(`Imported ${created.issues} issues and ${created.actionItems} action items`, 'success');
+    closeImportModal();
+    await loadProjectData(currentProject.id);
+  } catch (error) {
+    console.error('Error importing items:', error);
+    runButton.disabled = false;
+    alert(error.response?.data?.error || 'Failed to import items');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('import-items-btn')?.addEventListener('click', openImportModal);
+  document.getElementById('closeImportModal')?.addEventListener('click', closeImportModal);
+  document.getElementById('import-file')?.addEventListener('change', handleImportFileSelected);
+  document.getElementById('import-format')?.addEventListener('change', () => importFileContent && previewImport(false));
+  document.getElementById('import-default-type')?.addEventListener('change', () => importFileContent && previewImport(true));
+  document.getElementById('run-import-btn')?.addEventListener('click', runImport);
+});
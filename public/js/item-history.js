@@ -0,0 +1,170 @@
+// ============= ITEM HISTORY: FIELD-LEVEL CHANGE TIMELINE IN THE EDIT MODALS =============
+
+// Last history loaded per modal, so the revert buttons can look their change up by id
+const loadedItemHistory = {};
+
+const HISTORY_SOURCE_BADGES = {
+  edit: { label: 'Edit', classes: 'bg-gray-100 text-gray-700' },
+  bulk: { label: 'Bulk', classes: 'bg-purple-100 text-purple-700' },
+  revert: { label: 'Revert', classes: 'bg-amber-100 text-amber-700' }
+};
+
+// Modal prefix ("edit-issue" / "edit-action-item") -> form, hidden id input and API segment
+const HISTORY_MODALS = {
+  'edit-issue': { formId: 'editIssueForm', idInput: 'edit-issue-id', itemType: 'issue', endpoint: 'issues' },
+  'edit-action-item': { formId: 'editActionItemForm', idInput: 'edit-action-item-id', itemType: 'action-item', endpoint: 'action-items' }
+};
+
+function switchEditModalTab(prefix, tab) {
+  const modal = HISTORY_MODALS[prefix];
+  if (!modal) return;
+
+  document.querySelectorAll(`.edit-modal-tab-btn[data-modal="${prefix}"]`).forEach(btn => {
+    const active = btn.dataset.tab === tab;
+    btn.classList.toggle('border-blue-500', active);
+    btn.classList.toggle('text-blue-600', active);
+    btn.classList.toggle('font-medium', active);
+    btn.classList.toggle('border-transparent', !active);
+    btn.classList.toggle('text-gray-600', !active);
+  });
+
+  document.getElementById(modal.formId).classList.toggle('hidden', tab !== 'details');
+  document.getElementById(`${prefix}-history-panel`).classList.toggle('hidden', tab !== 'history');
+
+  if (tab === 'history') {
+    const itemId = document.getElementById(modal.idInput).value;
+    if (itemId) loadItemHistory(prefix, itemId);
+  }
+}
+
+function resetEditModalTabs(prefix) {
+  const modal = HISTORY_MODALS[prefix];
+  if (!modal) return;
+  document.getElementById(`${prefix}-history-list`).innerHTML = '';
+  delete loadedItemHistory[prefix];
+  switchEditModalTab(prefix, 'details');
+}
+
+async function loadItemHistory(prefix, itemId) {
+  const modal = HISTORY_MODALS[prefix];
+  const container = document.getElementById(`${prefix}-history-list`);
+  container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading history...</p>';
+
+  try {
+    const response = await axios.get(`/api/${modal.endpoint}/${itemId}/history`, {
+      withCredentials: true
+    });
+    loadedItemHistory[prefix] = response.data;
+    renderItemHistory(prefix);
+  } catch (error) {
+    console.error('Error loading item history:', error);
+    container.innerHTML = '<p class="text-sm text-red-600">Failed to load history</p>';
+  }
+}
+
+// Changes saved together share a changeId and are shown as one entry
+function groupHistoryChanges(changes) {
+  const groups = [];
+  const byId = new Map();
+  changes.forEach(change => {
+    let group = byId.get(change.changeId);
+    if (!group) {
+      group = { changeId: change.changeId, changedAt: change.changedAt, changedBy: change.changedBy, source: change.source, changes: [] };
+      byId.set(change.changeId, group);
+      groups.push(group);
+    }
+    group.changes.push(change);
+  });
+  return groups;
+}
+
+function formatHistoryValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '<span class="italic text-gray-400">empty</span>';
+  }
+  const text = String(value);
+  const shown = text.length > 120 ? `${text.slice(0, 120)}…` : text;
+  return `<span title="${escapeHtml(text)}">${escapeHtml(shown)}</span>`;
+}
+
+function renderItemHistory(prefix) {
+  const container = document.getElementById(`${prefix}-history-list`);
+  const history = loadedItemHistory[prefix];
+
+  if (!history || history.changes.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500">No changes recorded yet.</p>';
+    return;
+  }
+
+  const canEdit = AuthManager.hasRole('Team Member');
+
+  container.innerHTML = groupHistoryChanges(history.changes).map(group => {
+    const badge = HISTORY_SOURCE_BADGES[group.source] || HISTORY_SOURCE_BADGES.edit;
+    const who = group.changedBy ? escapeHtml(group.changedBy.username) : 'Unknown user';
+
+    return `
+      <div class="border rounded-lg p-3">
+        <div class="flex items-center justify-between mb-2 text-xs text-gray-500">
+          <span><span class="font-medium text-gray-700">${who}</span> · ${new Date(group.changedAt).toLocaleString()}</span>
+          <span class="px-2 py-0.5 rounded ${badge.classes}">${badge.label}</span>
+        </div>
+        <ul class="space-y-1">
+          ${group.changes.map(change => `
+            <li class="flex items-start justify-between gap-3 text-sm">
+              <div class="min-w-0">
+                <span class="font-medium text-gray-700">${escapeHtml(change.label)}:</span>
+                ${formatHistoryValue(change.oldDisplay)}
+                <i class="fas fa-arrow-right text-xs text-gray-400 mx-1"></i>
+                ${formatHistoryValue(change.newDisplay)}
+              </div>
+              ${canEdit && change.revertPatch ? `
+                <button type="button" class="text-xs text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                        onclick="revertItemHistoryChange('${prefix}', ${change.id})" title="Set ${escapeHtml(change.label)} back to its previous value">
+                  <i class="fas fa-undo mr-1"></i>Revert
+                </button>
+              ` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }).join('');
+}
+
+// Revert goes through the normal PATCH endpoint, so workflow and custom field rules still apply
+async function revertItemHistoryChange(prefix, historyId) {
+  const modal = HISTORY_MODALS[prefix];
+  const history = loadedItemHistory[prefix];
+  const change = history && history.changes.find(c => c.id === historyId);
+  if (!change || !change.revertPatch) return;
+
+  const previous = change.oldDisplay === null ? 'empty' : `"${change.oldDisplay}"`;
+  if (!confirm(`Set ${change.label} back to ${previous}?`)) return;
+
+  try {
+    await axios.patch(`/api/${modal.endpoint}/${history.itemId}`, {
+      ...change.revertPatch,
+      change_source: 'revert'
+    }, { withCredentials: true });
+
+    showToast(`${change.label} reverted`, 'success');
+
+    // Refresh the form behind the tab, then come back to the timeline
+    await openEditModal(history.itemId, modal.itemType, false);
+    switchEditModalTab(prefix, 'history');
+    if (currentProject) {
+      await loadProjectData(currentProject.id);
+    }
+  } catch (error) {
+    console.error('Error reverting change:', error);
+    const data = error.response?.data || {};
+    const details = Array.isArray(data.validationErrors) ? '\n- ' + data.validationErrors.join('\n- ') : '';
+    alert((data.message || data.error || 'Failed to revert change') + details);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('.edit-modal-tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => switchEditModalTab(btn.dataset.modal, btn.dataset.tab));
+  });
+});
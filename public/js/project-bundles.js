@@ -0,0 +1,142 @@
+// ============= PROJECT BUNDLES: FULL EXPORT / IMPORT BETWEEN INSTANCES =============
+
+async function exportProjectBundle() {
+  if (!currentProject) return;
+
+  if (!AuthManager.hasRole('Project Manager')) {
+    AuthManager.showNotification('Insufficient permissions - Project Manager role required', 'error');
+    return;
+  }
+
+  showToast('Preparing project bundle...', 'info');
+
+  try {
+    const response = await axios.get(`/api/projects/${currentProject.id}/bundle`, {
+      withCredentials: true,
+      responseType: 'blob'
+    });
+
+    const disposition = response.headers['content-disposition'] || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', match ? match[1] : `project-${currentProject.id}-bundle.json.gz`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting project bundle:', error);
+    alert('Failed to export project bundle');
+  }
+}
+
+function openProjectBundleModal() {
+  document.getElementById('project-bundle-form').reset();
+  document.getElementById('project-bundle-preview').classList.add('hidden');
+  document.getElementById('projectBundleModal').classList.remove('hidden');
+}
+
+function closeProjectBundleModal() {
+  document.getElementById('projectBundleModal').classList.add('hidden');
+}
+
+function buildProjectBundleFormData(dryRun) {
+  const file = document.getElementById('project-bundle-file').files[0];
+  if (!file) return null;
+
+  const formData = new FormData();
+  formData.append('bundle', file);
+  formData.append('name', document.getElementById('project-bundle-name').value.trim());
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  return formData;
+}
+
+// "issues: 42 · time entries: 310" from { issues: 42, time_entries: 310 }
+function describeBundleCounts(counts) {
+  return Object.entries(counts)
+    .map(([table, count]) => `${table.replace(/_/g, ' ')}: ${count}`)
+    .join(' · ');
+}
+
+function renderProjectBundlePreview(preview) {
+  const container = document.getElementById('project-bundle-preview');
+  const { matched, unmatched } = preview.users;
+  const source = preview.source
+    ? `from ${escapeHtml(preview.source.instance || 'another instance')}${preview.exportedAt ? ` on ${new Date(preview.exportedAt).toLocaleString()}` : ''}`
+    : '';
+
+  container.innerHTML = `
+    <div class="font-medium text-gray-800">${escapeHtml(preview.project.name)} <span class="text-xs text-gray-500">${source}</span></div>
+    <div class="text-xs text-gray-600">${escapeHtml(describeBundleCounts(preview.counts)) || 'No items'}</div>
+    <div class="text-xs text-gray-600">${matched.length} of ${matched.length + unmatched.length} people found on this instance</div>
+    ${unmatched.length > 0 ? `
+      <div class="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2">
+        Not found: ${unmatched.map(u => escapeHtml(u.username || u.email)).join(', ')}
+      </div>
+    ` : ''}
+    ${preview.missingFiles.length > 0 ? `
+      <div class="text-xs text-amber-700">Attachments missing from the bundle: ${preview.missingFiles.map(escapeHtml).join(', ')}</div>
+    ` : ''}
+  `;
+  container.classList.remove('hidden');
+}
+
+async function checkProjectBundle() {
+  const formData = buildProjectBundleFormData(true);
+  if (!formData) {
+    alert('Choose a bundle file first');
+    return;
+  }
+
+  try {
+    const response = await axios.post('/api/project-bundles/import', formData, { withCredentials: true });
+    renderProjectBundlePreview(response.data);
+  } catch (error) {
+    console.error('Error checking project bundle:', error);
+    alert(error.response?.data?.error || 'Failed to read project bundle');
+  }
+}
+
+async function importProjectBundle(e) {
+  e.preventDefault();
+
+  const formData = buildProjectBundleFormData(false);
+  if (!formData) return;
+
+  const button = document.getElementById('project-bundle-import-btn');
+  button.disabled = true;
+  button.textContent = 'Importing...';
+
+  try {
+    const response = await axios.post('/api/project-bundles/import', formData, { withCredentials: true });
+    const { project, imported, users } = response.data;
+    const itemCount = (imported.issues || 0) + (imported.action_items || 0);
+
+    closeProjectBundleModal();
+    showToast(
+      `Imported "${project.name}" with ${itemCount} items` +
+        (users.unmatched.length > 0 ? ` (${users.unmatched.length} people not found)` : ''),
+      'success'
+    );
+
+    projects.push(project);
+    renderProjects();
+    selectProject(project.id);
+  } catch (error) {
+    console.error('Error importing project bundle:', error);
+    alert(error.response?.data?.error || 'Failed to import project bundle');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Import';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('export-bundle-btn')?.addEventListener('click', exportProjectBundle);
+  document.getElementById('import-project-bundle-btn')?.addEventListener('click', openProjectBundleModal);
+  document.getElementById('closeProjectBundleModal')?.addEventListener('click', closeProjectBundleModal);
+  document.getElementById('project-bundle-check-btn')?.addEventListener('click', checkProjectBundle);
+  document.getElementById('project-bundle-form')?.addEventListener('submit', importProjectBundle);
+});
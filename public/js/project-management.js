@@ -41,6 +41,11 @@ async function openEditProjectModal(projectId) {
     document.getElementById('editTeamsWebhookUrl').value = project.teams_webhook_url || '';
     document.getElementById('editChecklistCompletionEnabled').checked = project.checklist_completion_enabled !== false;
     document.getElementById('editTimesheetEntryRequired').checked = project.timesheet_entry_required || false;
+    document.getElementById('editProjectTags').value = (project.tags || []).join(', ');
+    document.getElementById('editProjectBudget').value = project.budget_amount ?? '';
+    document.getElementById('editProjectHourlyRate').value = project.budget_hourly_rate ?? '';
+    document.getElementById('editProjectBudgetCurrency').value = project.budget_currency || 'USD';
+    await loadProjectOwnerOptions(project);
     
     document.getElementById('editProjectModal').classList.remove('hidden');
     
@@ -50,6 +55,29 @@ async function openEditProjectModal(projectId) {
   }
 }
 
+// Fill the owner dropdown with the project's active members
+async function loadProjectOwnerOptions(project) {
+  const select = document.getElementById('editProjectOwner');
+  select.innerHTML = '<option value="">No owner</option>';
+
+  try {
+    const response = await fetch(`/api/projects/${project.id}/team`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to fetch team');
+    const members = await response.json();
+
+    members.forEach(member => {
+      const option = document.createElement('option');
+      option.value = member.user_id;
+      option.textContent = member.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading project members:', error);
+  }
+
+  select.value = project.owner_id || '';
+}
+
 // Handle Edit Project Form Submit
 document.getElementById('editProjectForm').addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -65,6 +93,11 @@ document.getElementById('editProjectForm').addEventListener('submit', async (e)
   const teams_webhook_url = document.getElementById('editTeamsWebhookUrl').value || null;
   const checklist_completion_enabled = document.getElementById('editChecklistCompletionEnabled').checked;
   const timesheet_entry_required = document.getElementById('editTimesheetEntryRequired').checked;
+  const owner_id = document.getElementById('editProjectOwner').value || null;
+  const tags = document.getElementById('editProjectTags').value.split(',').map(t => t.trim()).filter(Boolean);
+  const budget_amount = document.getElementById('editProjectBudget').value || null;
+  const budget_hourly_rate = document.getElementById('editProjectHourlyRate').value || null;
+  const budget_currency = document.getElementById('editProjectBudgetCurrency').value.trim() || 'USD';
   
   try {
     const response = await fetch(`/api/projects/${projectId}`, {
@@ -81,7 +114,12 @@ document.getElementById('editProjectForm').addEventListener('submit', async (e)
         teams_notifications_enabled, 
         teams_webhook_url,
         checklist_completion_enabled,
-        timesheet_entry_required
+        timesheet_entry_required,
+        owner_id,
+        tags,
+        budget_amount,
+        budget_hourly_rate,
+        budget_currency
       })
     });
     
@@ -135,7 +173,7 @@ document.getElementById('cancelEditProject').addEventListener('click', () => {
 
 // Archive Project
 async function archiveProject(projectId) {
-  if (!confirm('Are you sure you want to archive this project? It will be hidden from the main view but can be restored later.')) {
+  if (!confirm('Are you sure you want to archive this project? It will be hidden from the main view and become read-only until it is restored.')) {
     return;
   }
   
@@ -224,6 +262,13 @@ async function loadArchivedProjects() {
           aria-label="Restore project">
           <i class="fas fa-undo mr-2"></i>Restore Project
         </button>
+        <button 
+          class="retention-project-btn border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 text-sm ml-2"
+          data-project-id="${project.id}"
+          aria-label="Retention settings">
+          <i class="fas fa-box-archive mr-2"></i>Retention
+        </button>
+        <div id="retention-panel-${project.id}" class="retention-panel hidden mt-3"></div>
       </div>
     `).join('');
     
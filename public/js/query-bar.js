@@ -0,0 +1,178 @@
+// ============= QUERY BAR: STRUCTURED FILTER QUERIES =============
+// Syntax and SQL compilation live in services/item-query-service.js
+
+let queryCompletion = { from: 0, to: 0, suggestions: [] };
+let querySuggestionIndex = -1;
+let querySuggestRequestId = 0;
+
+function setQueryInputValue(value) {
+  const input = document.getElementById('query-input');
+  if (input) input.value = value;
+  clearQueryErrors();
+  hideQuerySuggestions();
+}
+
+function showQueryErrors(errors) {
+  const input = document.getElementById('query-input');
+  const errorEl = document.getElementById('query-error');
+  if (!input || !errorEl) return;
+
+  if (!errors || errors.length === 0) {
+    clearQueryErrors();
+    return;
+  }
+
+  errorEl.innerHTML = errors.map(error => {
+    const snippet = input.value.slice(error.start, error.end);
+    return `<span class="block">${escapeHtml(error.message)}${snippet ? ` <code class="bg-red-50 px-1 rounded">${escapeHtml(snippet)}</code>` : ''}</span>`;
+  }).join('');
+  errorEl.classList.remove('hidden');
+  input.classList.add('border-red-400');
+}
+
+function clearQueryErrors() {
+  const errorEl = document.getElementById('query-error');
+  if (errorEl) {
+    errorEl.classList.add('hidden');
+    errorEl.innerHTML = '';
+  }
+  document.getElementById('query-input')?.classList.remove('border-red-400');
+}
+
+async function requestQuerySuggestions() {
+  const input = document.getElementById('query-input');
+  if (!input || !currentProject) return null;
+
+  const requestId = ++querySuggestRequestId;
+  const response = await axios.get(`/api/projects/${currentProject.id}/query/suggest`, {
+    params: { q: input.value, cursor: input.selectionStart },
+    withCredentials: true
+  });
+  // Ignore answers to keystrokes that have since been superseded
+  return requestId === querySuggestRequestId ? response.data : null;
+}
+
+async function updateQuerySuggestions() {
+  const input = document.getElementById('query-input');
+  try {
+    const data = await requestQuerySuggestions();
+    if (!data) return;
+
+    queryCompletion = { from: data.from, to: data.to, suggestions: data.suggestions };
+    querySuggestionIndex = -1;
+    renderQuerySuggestions();
+
+    // Don't flag the term still being typed
+    const cursor = input.selectionStart;
+    showQueryErrors(data.errors.filter(error => cursor < error.start || cursor > error.end));
+  } catch (error) {
+    console.error('Error loading query suggestions:', error);
+  }
+}
+
+function renderQuerySuggestions() {
+  const container = document.getElementById('query-suggestions');
+  if (!container) return;
+
+  if (queryCompletion.suggestions.length === 0) {
+    hideQuerySuggestions();
+    return;
+  }
+
+  container.innerHTML = queryCompletion.suggestions.map((suggestion, index) => `
+    <div class="query-suggestion flex items-center justify-between gap-4 px-3 py-1.5 text-sm cursor-pointer ${index === querySuggestionIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}" data-index="${index}">
+      <span class="font-mono text-gray-800">${escapeHtml(suggestion.label)}</span>
+      <span class="text-xs text-gray-500 truncate">${escapeHtml(suggestion.detail || '')}</span>
+    </div>
+  `).join('');
+  container.classList.remove('hidden');
+
+  container.querySelectorAll('.query-suggestion').forEach(el => {
+    // mousedown fires before the input loses focus
+    el.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      acceptQuerySuggestion(parseInt(el.dataset.index));
+    });
+  });
+}
+
+function hideQuerySuggestions() {
+  queryCompletion = { from: 0, to: 0, suggestions: [] };
+  querySuggestionIndex = -1;
+  document.getElementById('query-suggestions')?.classList.add('hidden');
+}
+
+function acceptQuerySuggestion(index) {
+  const input = document.getElementById('query-input');
+  const suggestion = queryCompletion.suggestions[index];
+  if (!input || !suggestion) return;
+
+  const { from, to } = queryCompletion;
+  input.value = input.value.slice(0, from) + suggestion.text + input.value.slice(to);
+  const caret = from + suggestion.text.length;
+  input.setSelectionRange(caret, caret);
+  input.focus();
+
+  // A completed field name is followed by its values
+  updateQuerySuggestions();
+}
+
+async function runQuery() {
+  const input = document.getElementById('query-input');
+  const query = input.value.trim();
+  hideQuerySuggestions();
+
+  if (query) {
+    try {
+      const data = await requestQuerySuggestions();
+      if (data && data.errors.length > 0) {
+        showQueryErrors(data.errors);
+        return;
+      }
+    } catch (error) {
+      console.error('Error validating query:', error);
+    }
+  }
+
+  clearQueryErrors();
+  currentFilters.query = query;
+  await applyFilters();
+  updateURL();
+}
+
+function handleQueryKeydown(e) {
+  const open = queryCompletion.suggestions.length > 0;
+
+  if (e.key === 'ArrowDown' && open) {
+    e.preventDefault();
+    querySuggestionIndex = (querySuggestionIndex + 1) % queryCompletion.suggestions.length;
+    renderQuerySuggestions();
+  } else if (e.key === 'ArrowUp' && open) {
+    e.preventDefault();
+    querySuggestionIndex = (querySuggestionIndex - 1 + queryCompletion.suggestions.length) % queryCompletion.suggestions.length;
+    renderQuerySuggestions();
+  } else if (e.key === 'Tab' && open) {
+    e.preventDefault();
+    acceptQuerySuggestion(Math.max(querySuggestionIndex, 0));
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    // Enter runs the query unless a suggestion was picked with the arrow keys
+    if (open && querySuggestionIndex >= 0) {
+      acceptQuerySuggestion(querySuggestionIndex);
+    } else {
+      runQuery();
+    }
+  } else if (e.key === 'Escape') {
+    hideQuerySuggestions();
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const input = document.getElementById('query-input');
+  if (!input) return;
+
+  input.addEventListener('input', debounce(updateQuerySuggestions, 150));
+  input.addEventListener('focus', updateQuerySuggestions);
+  input.addEventListener('keydown', handleQueryKeydown);
+  input.addEventListener('blur', hideQuerySuggestions);
+});
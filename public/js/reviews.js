@@ -0,0 +1,225 @@
+// ============= REVIEW CADENCE: REVIEWS-DUE QUEUE AND "REVIEWED, NO CHANGE" =============
+// index.html: the reviews-due dropdown in the header (uses escapeHtml, AuthManager).
+// risks.html: "Reviewed, no change" in the risk detail view and the project's review
+// cadence panel (uses currentProjectId, currentUser, loadRisks, allRisks,
+// showRiskDetails, showError, showSuccess from risks.js).
+
+function isReviewDue(reviewDate) {
+  if (!reviewDate) return false;
+  return reviewDate.split('T')[0] <= new Date().toISOString().split('T')[0];
+}
+
+function formatReviewDue(item) {
+  if (item.daysOverdue <= 0) return 'Due today';
+  return `${item.daysOverdue} day${item.daysOverdue === 1 ? '' : 's'} overdue`;
+}
+
+// ---------------------------------------------------------------------------
+// Reviews-due queue (index.html header)
+// ---------------------------------------------------------------------------
+
+async function loadReviewsDue() {
+  const response = await axios.get('/api/reviews/due', { withCredentials: true });
+  const items = response.data;
+
+  const badge = document.getElementById('reviews-due-badge');
+  if (badge) {
+    badge.textContent = items.length;
+    badge.classList.toggle('hidden', items.length === 0);
+  }
+  return items;
+}
+
+async function refreshReviewsDueBadge() {
+  try {
+    await loadReviewsDue();
+  } catch (error) {
+    console.error('Error loading reviews due:', error);
+  }
+}
+
+async function toggleReviewsDue() {
+  const dropdown = document.getElementById('reviews-due-dropdown');
+  if (!dropdown) return;
+
+  if (dropdown.classList.contains('hidden')) {
+    await renderReviewsDue();
+    dropdown.classList.remove('hidden');
+  } else {
+    dropdown.classList.add('hidden');
+  }
+}
+
+async function renderReviewsDue() {
+  const container = document.getElementById('reviews-due-list');
+  if (!container) return;
+
+  try {
+    const items = await loadReviewsDue();
+
+    if (items.length === 0) {
+      container.innerHTML = `
+        <div class="p-4 text-center text-gray-500">
+          Nothing due for review
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = items.map(item => `
+      <div class="p-4 border-b">
+        <div class="flex justify-between items-start gap-3">
+          <div class="flex-1">
+            <p class="text-xs text-gray-500">${item.itemType === 'risk' ? 'Risk' : 'Decision'} · ${escapeHtml(item.projectName)}</p>
+            <p class="text-sm font-medium text-gray-900 mt-1">
+              ${item.itemType === 'risk'
+                ? `<a href="risks.html?projectId=${item.projectId}&riskId=${item.id}" class="hover:underline">${escapeHtml(item.key)} ${escapeHtml(item.title)}</a>`
+                : `${escapeHtml(item.key)} ${escapeHtml(item.title)}`}
+            </p>
+            <p class="text-xs mt-1 ${item.daysOverdue > 0 ? 'text-red-600' : 'text-amber-600'}">${formatReviewDue(item)}</p>
+          </div>
+          <button class="review-no-change-btn text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 whitespace-nowrap"
+                  data-item-type="${item.itemType}" data-item-id="${item.id}"
+                  title="Next review in ${item.cadenceDays} days">
+            Reviewed, no change
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.review-no-change-btn').forEach(btn => {
+      btn.addEventListener('click', () => markReviewedFromQueue(btn.dataset.itemType, btn.dataset.itemId));
+    });
+  } catch (error) {
+    console.error('Error loading reviews due:', error);
+    container.innerHTML = '<div class="p-4 text-center text-red-500">Failed to load reviews</div>';
+  }
+}
+
+async function markReviewedFromQueue(itemType, itemId) {
+  try {
+    const response = await axios.post(
+      `/api/${itemType === 'risk' ? 'risks' : 'decisions'}/${itemId}/review`,
+      {},
+      { withCredentials: true }
+    );
+    AuthManager.showNotification(
+      `Reviewed. Next review ${new Date(response.data.reviewDate + 'T00:00:00').toLocaleDateString()}`,
+      'success'
+    );
+    await renderReviewsDue();
+  } catch (error) {
+    console.error('Error marking item reviewed:', error);
+    AuthManager.showNotification(error.response?.data?.error || 'Failed to mark reviewed', 'error');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Risk register (risks.html)
+// ---------------------------------------------------------------------------
+
+/**
+ * The detail-view button for a risk whose review has come due
+ */
+function renderRiskReviewAction(risk) {
+  if (!isReviewDue(risk.review_date) || ['closed', 'realized'].includes(risk.status)) return '';
+  if (!canEditRisk(currentUser, risk)) return '<span class="review-due-badge">Review due</span>';
+  return `
+    <span class="review-due-badge">Review due</span>
+    <button type="button" class="btn-review-no-change" onclick="markRiskReviewed(${risk.id})">Reviewed, no change</button>
+  `;
+}
+
+async function markRiskReviewed(riskId) {
+  try {
+    const response = await fetch(`/api/risks/${riskId}/review`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({})
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.validationErrors ? data.validationErrors.join(', ') : data.error);
+    }
+
+    showSuccess(`Reviewed. Next review ${new Date(data.reviewDate + 'T00:00:00').toLocaleDateString()}`);
+    await loadRisks();
+    const risk = allRisks.find(r => r.id === riskId);
+    if (risk) showRiskDetails(risk);
+  } catch (error) {
+    console.error('Error marking risk reviewed:', error);
+    showError(error.message || 'Failed to mark reviewed');
+  }
+}
+
+function toggleReviewCadence() {
+  if (!currentProjectId) {
+    showError('Select a project first');
+    return;
+  }
+
+  const panel = document.getElementById('reviewCadencePanel');
+  const open = panel.classList.toggle('hidden') === false;
+  document.getElementById('btnReviewCadence').setAttribute('aria-expanded', String(open));
+  if (open) loadReviewCadence();
+}
+
+async function loadReviewCadence() {
+  try {
+    const response = await fetch(`/api/projects/${currentProjectId}/review-cadence`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to load review cadence');
+    const cadence = await response.json();
+
+    document.getElementById('riskReviewCadence').value = cadence.riskDays;
+    document.getElementById('decisionReviewCadence').value = cadence.decisionDays;
+  } catch (error) {
+    console.error('Error loading review cadence:', error);
+    showError('Failed to load review cadence');
+  }
+}
+
+async function saveReviewCadence(e) {
+  e.preventDefault();
+
+  try {
+    const response = await fetch(`/api/projects/${currentProjectId}/review-cadence`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        riskDays: parseInt(document.getElementById('riskReviewCadence').value),
+        decisionDays: parseInt(document.getElementById('decisionReviewCadence').value)
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.validationErrors ? data.validationErrors.join(', ') : data.error);
+    }
+
+    showSuccess('Review cadence saved');
+  } catch (error) {
+    console.error('Error saving review cadence:', error);
+    showError(error.message || 'Failed to save review cadence');
+  }
+}
+
+window.markRiskReviewed = markRiskReviewed;
+
+document.addEventListener('DOMContentLoaded', () => {
+  // index.html
+  const reviewsBtn = document.getElementById('reviews-due-btn');
+  if (reviewsBtn && typeof AuthManager !== 'undefined' && AuthManager.isAuthenticated) {
+    reviewsBtn.addEventListener('click', toggleReviewsDue);
+    refreshReviewsDueBadge();
+    setInterval(refreshReviewsDueBadge, 300000);
+
+    if (new URLSearchParams(window.location.search).get('reviews') === 'open') {
+      toggleReviewsDue();
+    }
+  }
+
+  // risks.html
+  document.getElementById('btnReviewCadence')?.addEventListener('click', toggleReviewCadence);
+  document.getElementById('reviewCadenceForm')?.addEventListener('submit', saveReviewCadence);
+});
@@ -0,0 +1,338 @@
+// ============= RISK ANALYTICS: HEAT MAP, SCORE HISTORY AND EXPOSURE TREND =============
+// Used by risks.html alongside risks.js (currentProjectId, allRisks, showRiskDetails, escapeHtml).
+
+const RISK_LEVEL_CLASSES = { Low: 'low', Medium: 'medium', High: 'high', Critical: 'critical' };
+
+let riskHeatMap = null;
+let selectedHeatMapCell = null;
+let riskExposureChart = null;
+let riskScoreHistoryChart = null;
+
+function isRiskAnalyticsOpen() {
+  const panel = document.getElementById('riskAnalyticsPanel');
+  return panel && !panel.classList.contains('hidden');
+}
+
+function toggleRiskAnalytics() {
+  if (!currentProjectId) {
+    showError('Select a project first');
+    return;
+  }
+
+  const panel = document.getElementById('riskAnalyticsPanel');
+  const open = panel.classList.toggle('hidden') === false;
+  document.getElementById('btnRiskAnalytics').setAttribute('aria-expanded', String(open));
+  if (open) refreshRiskAnalytics();
+}
+
+/**
+ * Reload the heat map and trend when the panel is open (called after risks change)
+ */
+function refreshRiskAnalytics() {
+  if (!currentProjectId || !isRiskAnalyticsOpen()) return;
+  loadRiskHeatMap();
+  loadRiskExposureTrend();
+}
+
+async function loadRiskHeatMap() {
+  const includeClosed = document.getElementById('heatMapIncludeClosed').checked;
+
+  try {
+    const response = await fetch(`/api/projects/${currentProjectId}/risks/heat-map?includeClosed=${includeClosed}`, {
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to load heat map');
+
+    riskHeatMap = await response.json();
+    document.getElementById('heatMapInherent').innerHTML = renderRiskHeatMap(riskHeatMap.inherent);
+    document.getElementById('heatMapResidual').innerHTML = renderRiskHeatMap(riskHeatMap.residual);
+
+    // Keep the selected cell's list in step with the new data
+    if (selectedHeatMapCell) {
+      showHeatMapCell(selectedHeatMapCell.view, selectedHeatMapCell.probability, selectedHeatMapCell.impact);
+    }
+  } catch (error) {
+    console.error('Error loading risk heat map:', error);
+    showError('Failed to load risk heat map');
+  }
+}
+
+function renderRiskHeatMap(heatMap) {
+  const rows = [];
+  for (let i = 0; i < heatMap.cells.length; i += 5) {
+    const rowCells = heatMap.cells.slice(i, i + 5);
+    rows.push(`
+      <div class="heat-map-axis">${rowCells[0].probability}</div>
+      ${rowCells.map(cell => {
+        const isSelected = selectedHeatMapCell
+          && selectedHeatMapCell.view === heatMap.view
+          && selectedHeatMapCell.probability === cell.probability
+          && selectedHeatMapCell.impact === cell.impact;
+        return `
+          <button type="button"
+            class="heat-map-cell heat-map-${RISK_LEVEL_CLASSES[cell.level]} ${cell.count === 0 ? 'heat-map-empty' : ''} ${isSelected ? 'heat-map-selected' : ''}"
+            data-view="${heatMap.view}" data-probability="${cell.probability}" data-impact="${cell.impact}"
+            title="Probability ${cell.probability} × Impact ${cell.impact} = ${cell.score} (${cell.level})"
+            ${cell.count === 0 ? 'disabled' : ''}>
+            ${cell.count > 0 ? cell.count : ''}
+          </button>
+        `;
+      }).join('')}
+    `);
+  }
+
+  return `
+    <div class="heat-map">
+      <div class="heat-map-caption-y">Probability</div>
+      <div class="heat-map-grid">
+        ${rows.join('')}
+        <div></div>
+        ${[1, 2, 3, 4, 5].map(impact => `<div class="heat-map-axis">${impact}</div>`).join('')}
+      </div>
+    </div>
+    <div class="heat-map-caption-x">Impact</div>
+    <p class="text-xs text-gray-500 mt-1">
+      ${heatMap.rated} rated${heatMap.unrated > 0 ? ` · ${heatMap.unrated} without a ${heatMap.view} rating` : ''}
+    </p>
+  `;
+}
+
+function showHeatMapCell(view, probability, impact) {
+  const container = document.getElementById('heatMapCellRisks');
+  const cell = riskHeatMap?.[view]?.cells.find(c => c.probability === probability && c.impact === impact);
+
+  if (!cell || cell.count === 0) {
+    selectedHeatMapCell = null;
+    container.classList.add('hidden');
+    return;
+  }
+
+  selectedHeatMapCell = { view, probability, impact };
+  document.getElementById('heatMapInherent').innerHTML = renderRiskHeatMap(riskHeatMap.inherent);
+  document.getElementById('heatMapResidual').innerHTML = renderRiskHeatMap(riskHeatMap.residual);
+
+  container.innerHTML = `
+    <div class="flex items-center justify-between mb-2">
+      <h3 class="text-sm font-semibold text-gray-700">
+        ${view === 'residual' ? 'Residual' : 'Inherent'} P${probability} × I${impact}
+        (score ${cell.score}, ${cell.level}): ${cell.count} ${cell.count === 1 ? 'risk' : 'risks'}
+      </h3>
+      <button type="button" id="heatMapCellClose" class="text-xs text-gray-500 hover:text-gray-700">Clear</button>
+    </div>
+    <div class="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+      ${cell.risks.map(risk => `
+        <button type="button" class="heat-map-risk w-full text-left px-3 py-2 hover:bg-gray-50 flex items-center gap-3" data-risk-id="${risk.id}">
+          <span class="risk-id">${escapeHtml(risk.riskId)}</span>
+          <span class="flex-1 text-sm text-gray-800">${escapeHtml(risk.title)}</span>
+          <span class="status-badge status-${escapeHtml(risk.status || 'identified')}">${formatStatus(risk.status)}</span>
+        </button>
+      `).join('')}
+    </div>
+  `;
+  container.classList.remove('hidden');
+}
+
+function clearHeatMapCell() {
+  selectedHeatMapCell = null;
+  document.getElementById('heatMapCellRisks').classList.add('hidden');
+  if (riskHeatMap) {
+    document.getElementById('heatMapInherent').innerHTML = renderRiskHeatMap(riskHeatMap.inherent);
+    document.getElementById('heatMapResidual').innerHTML = renderRiskHeatMap(riskHeatMap.residual);
+  }
+}
+
+async function openHeatMapRisk(riskId) {
+  // The list may be filtered, so fall back to fetching the risk
+  let risk = allRisks.find(r => r.id === riskId);
+  if (!risk) {
+    try {
+      const response = await fetch(`/api/risks/${riskId}`, { credentials: 'include' });
+      if (!response.ok) throw new Error('Failed to load risk');
+      risk = await response.json();
+    } catch (error) {
+      console.error('Error loading risk:', error);
+      showError('Failed to load risk');
+      return;
+    }
+  }
+  showRiskDetails(risk);
+}
+
+async function loadRiskExposureTrend() {
+  const params = new URLSearchParams({ interval: document.getElementById('exposureInterval').value });
+  const from = document.getElementById('exposureFrom').value;
+  const to = document.getElementById('exposureTo').value;
+  if (from) params.append('from', from);
+  if (to) params.append('to', to);
+
+  try {
+    const response = await fetch(`/api/projects/${currentProjectId}/risks/exposure-trend?${params}`, {
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.validationErrors ? data.validationErrors.join('\n') : (data.error || 'Failed to load exposure trend'));
+    }
+
+    document.getElementById('exposureFrom').value = data.from;
+    document.getElementById('exposureTo').value = data.to;
+    renderRiskExposureChart(data);
+  } catch (error) {
+    console.error('Error loading risk exposure trend:', error);
+    showError(error.message);
+  }
+}
+
+function renderRiskExposureChart(trend) {
+  const canvas = document.getElementById('riskExposureChart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (riskExposureChart) {
+    riskExposureChart.destroy();
+  }
+
+  riskExposureChart = new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels: trend.points.map(p => new Date(`${p.date}T00:00:00`).toLocaleDateString()),
+      datasets: [
+        {
+          label: 'Inherent',
+          data: trend.points.map(p => p.inherent),
+          borderColor: '#ef4444',
+          backgroundColor: 'rgba(239, 68, 68, 0.08)',
+          fill: true,
+          tension: 0.1
+        },
+        {
+          label: 'Residual',
+          data: trend.points.map(p => p.residual),
+          borderColor: '#2563eb',
+          backgroundColor: 'rgba(37, 99, 235, 0.08)',
+          fill: true,
+          tension: 0.1
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: 'bottom' },
+        tooltip: {
+          callbacks: {
+            footer: items => `Open risks: ${trend.points[items[0].dataIndex].openRisks}`
+          }
+        }
+      },
+      scales: { y: { beginAtZero: true } }
+    }
+  });
+}
+
+/**
+ * Score history chart in the risk detail modal
+ */
+async function loadRiskScoreHistory(riskId) {
+  const container = document.getElementById('riskScoreHistory');
+  if (!container) return;
+
+  try {
+    const response = await fetch(`/api/risks/${riskId}/score-history`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to load score history');
+    const history = await response.json();
+
+    if (history.points.length === 0) {
+      container.innerHTML = '<p class="text-sm text-gray-500">No assessments recorded yet.</p>';
+      return;
+    }
+    renderRiskScoreHistoryChart(history.points);
+  } catch (error) {
+    console.error('Error loading risk score history:', error);
+    container.innerHTML = '<p class="text-sm text-gray-500">Score history is unavailable.</p>';
+  }
+}
+
+function renderRiskScoreHistoryChart(points) {
+  const canvas = document.getElementById('riskScoreHistoryChart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (riskScoreHistoryChart) {
+    riskScoreHistoryChart.destroy();
+  }
+
+  // Extend the last rating to today so a single assessment still draws a line
+  const series = [...points, { ...points[points.length - 1], assessedAt: new Date().toISOString(), current: true }];
+
+  riskScoreHistoryChart = new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels: series.map(p => (p.current ? 'Now' : new Date(p.assessedAt).toLocaleDateString())),
+      datasets: [
+        {
+          label: 'Inherent score',
+          data: series.map(p => p.score),
+          borderColor: '#ef4444',
+          stepped: true,
+          fill: false
+        },
+        {
+          label: 'Residual score',
+          data: series.map(p => p.residualScore),
+          borderColor: '#2563eb',
+          borderDash: [5, 5],
+          stepped: true,
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: 'bottom' },
+        tooltip: {
+          callbacks: {
+            label: item => {
+              const p = series[item.dataIndex];
+              return item.datasetIndex === 0
+                ? `Inherent: P${p.probability} × I${p.impact} = ${p.score} (${p.level})`
+                : p.residualRated
+                  ? `Residual: P${p.residualProbability} × I${p.residualImpact} = ${p.residualScore} (${p.residualLevel})`
+                  : `Residual: not assessed (${p.residualScore})`;
+            },
+            footer: items => {
+              const p = series[items[0].dataIndex];
+              return p.current ? '' : [p.assessedBy && `By ${p.assessedBy}`, p.notes].filter(Boolean).join('\n');
+            }
+          }
+        }
+      },
+      scales: { y: { beginAtZero: true, max: 25 } }
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('btnRiskAnalytics')?.addEventListener('click', toggleRiskAnalytics);
+  document.getElementById('heatMapIncludeClosed')?.addEventListener('change', loadRiskHeatMap);
+  ['exposureFrom', 'exposureTo', 'exposureInterval'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadRiskExposureTrend);
+  });
+
+  document.getElementById('riskAnalyticsPanel')?.addEventListener('click', (e) => {
+    const cell = e.target.closest('.heat-map-cell');
+    if (cell) {
+      showHeatMapCell(cell.dataset.view, parseInt(cell.dataset.probability), parseInt(cell.dataset.impact));
+      return;
+    }
+    if (e.target.closest('#heatMapCellClose')) {
+      clearHeatMapCell();
+      return;
+    }
+    const riskBtn = e.target.closest('.heat-map-risk');
+    if (riskBtn) {
+      openHeatMapRisk(parseInt(riskBtn.dataset.riskId));
+    }
+  });
+});
@@ -0,0 +1,231 @@
+// ============= RISK LINKS: THREATENS / MITIGATED-BY BETWEEN RISKS AND WORK =============
+// risks.html: the Linked Work section of the risk detail view (uses currentProjectId,
+// currentUser, canEditRisk, escapeHtml, showError, showSuccess from risks.js).
+// index.html: the Linked Risks section of the item detail Relationships tab
+// (uses currentProject, escapeHtml).
+
+const RISK_LINK_TARGETS = {
+  threatens: [
+    { value: 'issue', label: 'Issue' },
+    { value: 'action-item', label: 'Action item' },
+    { value: 'milestone', label: 'Milestone' }
+  ],
+  mitigated_by: [
+    { value: 'action-item', label: 'Action item' },
+    { value: 'issue', label: 'Issue' }
+  ]
+};
+
+const RISK_LINK_TARGET_LABELS = { 'issue': 'Issue', 'action-item': 'Action item', 'milestone': 'Milestone' };
+
+let riskLinksRisk = null;
+let riskLinkCandidates = {};
+
+// ---------------------------------------------------------------------------
+// Risk side (risks.html)
+// ---------------------------------------------------------------------------
+
+async function loadRiskLinks(risk) {
+  const container = document.getElementById('riskLinks');
+  if (!container) return;
+  riskLinksRisk = risk;
+
+  try {
+    const response = await fetch(`/api/risks/${risk.id}/links`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to load linked work');
+    const links = await response.json();
+    renderRiskLinks(container, risk, links);
+  } catch (error) {
+    console.error('Error loading risk links:', error);
+    container.innerHTML = '<p class="risk-links-empty">Failed to load linked work</p>';
+  }
+}
+
+function renderRiskLinkRow(link, canEdit) {
+  const href = link.targetType === 'milestone'
+    ? null
+    : `index.html?project=${currentProjectId}&itemId=${link.targetId}&itemType=${link.targetType}`;
+  const title = escapeHtml(link.title);
+  const meta = [
+    RISK_LINK_TARGET_LABELS[link.targetType],
+    link.status ? escapeHtml(link.status) : null,
+    link.dueDate ? `due ${new Date(link.dueDate + 'T00:00:00').toLocaleDateString()}` : null
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <li class="risk-link-row ${link.open ? '' : 'risk-link-done'}">
+      <div>
+        ${href ? `<a href="${href}">${title}</a>` : title}
+        <span class="risk-link-meta">${meta}</span>
+        ${link.escalatedAt ? `<span class="risk-link-escalated" title="${link.escalationReason === 'overdue' ? 'Overdue' : 'Slipped past target resolution'}">Escalated ${new Date(link.escalatedAt).toLocaleDateString()}</span>` : ''}
+      </div>
+      ${canEdit ? `<button type="button" class="risk-link-remove" data-link-id="${link.id}" title="Remove link">&times;</button>` : ''}
+    </li>
+  `;
+}
+
+function renderRiskLinks(container, risk, links) {
+  const canEdit = canEditRisk(currentUser, risk);
+  const list = (items, empty) => (items.length > 0
+    ? `<ul class="risk-link-list">${items.map(link => renderRiskLinkRow(link, canEdit)).join('')}</ul>`
+    : `<p class="risk-links-empty">${empty}</p>`);
+  const openMitigations = links.mitigatedBy.filter(link => link.open).length;
+
+  container.innerHTML = `
+    <h4 class="risk-link-heading">Threatens</h4>
+    ${list(links.threatens, 'No linked issues, action items or milestones')}
+    <h4 class="risk-link-heading">Mitigated by</h4>
+    ${list(links.mitigatedBy, 'No mitigation items linked')}
+    ${openMitigations > 0 ? `<p class="risk-links-note">${openMitigations} open mitigation item(s) must be done before this risk can be closed.</p>` : ''}
+    ${canEdit ? `
+      <form id="riskLinkForm" class="risk-link-form">
+        <select id="riskLinkType" aria-label="Link type">
+          <option value="threatens">Threatens</option>
+          <option value="mitigated_by">Mitigated by</option>
+        </select>
+        <select id="riskLinkTargetType" aria-label="Item type"></select>
+        <select id="riskLinkTarget" aria-label="Item" required></select>
+        <button type="submit" class="btn-secondary">Link</button>
+      </form>
+    ` : ''}
+  `;
+
+  container.querySelectorAll('.risk-link-remove').forEach(btn => {
+    btn.addEventListener('click', () => removeRiskLink(btn.dataset.linkId));
+  });
+
+  if (canEdit) {
+    document.getElementById('riskLinkType').addEventListener('change', updateRiskLinkTargetTypes);
+    document.getElementById('riskLinkTargetType').addEventListener('change', updateRiskLinkTargets);
+    document.getElementById('riskLinkForm').addEventListener('submit', submitRiskLink);
+    updateRiskLinkTargetTypes();
+  }
+}
+
+function updateRiskLinkTargetTypes() {
+  const type = document.getElementById('riskLinkType').value;
+  document.getElementById('riskLinkTargetType').innerHTML = RISK_LINK_TARGETS[type]
+    .map(target => `<option value="${target.value}">${target.label}</option>`)
+    .join('');
+  updateRiskLinkTargets();
+}
+
+async function fetchRiskLinkCandidates(targetType) {
+  const key = `${currentProjectId}:${targetType}`;
+  if (riskLinkCandidates[key]) return riskLinkCandidates[key];
+
+  const url = {
+    'issue': `/api/issues?projectId=${currentProjectId}`,
+    'action-item': `/api/action-items?projectId=${currentProjectId}`,
+    'milestone': `/api/aipm/pkg/query?project_id=${currentProjectId}&type=Milestone`
+  }[targetType];
+
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) throw new Error('Failed to load items');
+  const data = await response.json();
+
+  riskLinkCandidates[key] = targetType === 'milestone'
+    ? (data.nodes || []).map(node => ({ id: node.id, title: node.attrs?.title || node.attrs?.name || 'Milestone' }))
+    : data.map(item => ({ id: item.id, title: `#${item.id} ${item.title}` }));
+  return riskLinkCandidates[key];
+}
+
+async function updateRiskLinkTargets() {
+  const select = document.getElementById('riskLinkTarget');
+  const targetType = document.getElementById('riskLinkTargetType').value;
+  select.innerHTML = '<option value="">Loading...</option>';
+
+  try {
+    const candidates = await fetchRiskLinkCandidates(targetType);
+    select.innerHTML = candidates.length > 0
+      ? '<option value="">Select...</option>' + candidates
+        .map(c => `<option value="${c.id}">${escapeHtml(c.title)}</option>`)
+        .join('')
+      : `<option value="">No ${RISK_LINK_TARGET_LABELS[targetType].toLowerCase()}s in this project</option>`;
+  } catch (error) {
+    console.error('Error loading link candidates:', error);
+    select.innerHTML = '<option value="">Failed to load</option>';
+  }
+}
+
+async function submitRiskLink(e) {
+  e.preventDefault();
+  const targetId = document.getElementById('riskLinkTarget').value;
+  if (!targetId) return;
+
+  try {
+    const response = await fetch(`/api/risks/${riskLinksRisk.id}/links`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        type: document.getElementById('riskLinkType').value,
+        targetType: document.getElementById('riskLinkTargetType').value,
+        targetId
+      })
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.validationErrors ? data.validationErrors.join(', ') : data.error);
+    }
+
+    showSuccess('Linked');
+    loadRiskLinks(riskLinksRisk);
+  } catch (error) {
+    console.error('Error linking risk:', error);
+    showError(error.message || 'Failed to link');
+  }
+}
+
+async function removeRiskLink(linkId) {
+  try {
+    const response = await fetch(`/api/risks/${riskLinksRisk.id}/links/${linkId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to remove link');
+    loadRiskLinks(riskLinksRisk);
+  } catch (error) {
+    console.error('Error removing risk link:', error);
+    showError('Failed to remove link');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Item side (index.html item detail modal)
+// ---------------------------------------------------------------------------
+
+async function loadItemRiskLinks(itemType, itemId) {
+  const container = document.getElementById('linked-risks-list');
+  if (!container) return;
+
+  const endpoint = itemType === 'issue'
+    ? `/api/issues/${itemId}/risk-links`
+    : `/api/action-items/${itemId}/risk-links`;
+
+  try {
+    const response = await axios.get(endpoint, { withCredentials: true });
+    const links = response.data;
+
+    if (links.length === 0) {
+      container.innerHTML = '<p class="text-sm text-gray-500 italic">No linked risks</p>';
+      return;
+    }
+
+    const projectId = typeof currentProject !== 'undefined' && currentProject ? currentProject.id : '';
+    container.innerHTML = links.map(link => `
+      <div class="flex items-center gap-2 py-1 text-sm">
+        <span class="text-xs px-2 py-0.5 rounded ${link.type === 'threatens' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}">
+          ${link.type === 'threatens' ? 'Threatened by' : 'Mitigates'}
+        </span>
+        <a href="risks.html?projectId=${projectId}&riskId=${link.risk.id}" class="text-blue-600 hover:underline">
+          ${escapeHtml(link.risk.riskId)} ${escapeHtml(link.risk.title)}
+        </a>
+        <span class="text-xs text-gray-500">${escapeHtml(link.risk.level || '')} · ${escapeHtml(link.risk.status)}</span>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading linked risks:', error);
+    container.innerHTML = '<p class="text-sm text-red-500">Failed to load linked risks</p>';
+  }
+}
@@ -97,6 +97,13 @@ async function loadProjects() {
       }
       
       await onProjectChange();
+
+      // Deep link from search results
+      const riskId = parseInt(urlParams.get('riskId'));
+      const linkedRisk = riskId && allRisks.find(r => r.id === riskId);
+      if (linkedRisk) {
+        showRiskDetails(linkedRisk);
+      }
     }
   } catch (error) {
     console.error('Error loading projects:', error);
@@ -357,6 +364,10 @@ async function onProjectChange() {
     currentProjectId = null;
     document.getElementById('risksList').innerHTML = '';
     document.getElementById('emptyState')?.classList.add('hidden');
+    document.getElementById('riskAnalyticsPanel')?.classList.add('hidden');
+    document.getElementById('reviewCadencePanel')?.classList.add('hidden');
+    document.getElementById('decisionLogPanel')?.classList.add('hidden');
+    document.getElementById('btnReviewCadence')?.classList.add('hidden');
     document.getElementById('btnNewRisk')?.classList.add('hidden');
     document.getElementById('backToProjectBtn')?.classList.add('hidden');
     document.getElementById('backToProjectsBtn')?.classList.remove('hidden');
@@ -378,6 +389,8 @@ async function onProjectChange() {
     document.getElementById('btnNewRisk')?.classList.add('hidden');
     document.getElementById('btnNewRiskEmpty')?.classList.add('hidden');
   }
+  document.getElementById('btnReviewCadence')?.classList.toggle('hidden', !canManageReviewCadence(currentUser));
+  refreshDecisionLog();
   
   // Load data
   await Promise.all([
@@ -519,6 +532,8 @@ async function loadRisks() {
     } else {
       displayRisks(allRisks);
     }
+    
+    refreshRiskAnalytics();
   } catch (error) {
     console.error('Error loading risks:', error);
     loadingState.style.display = 'none';
@@ -675,6 +690,8 @@ async function openEditModal(risk) {
   if (risk.impact) {
     document.getElementById(`impact${risk.impact}`).checked = true;
   }
+  document.getElementById('riskResidualProbability').value = risk.residual_probability || '';
+  document.getElementById('riskResidualImpact').value = risk.residual_impact || '';
   
   document.getElementById('riskResponseStrategy').value = risk.response_strategy || '';
   document.getElementById('riskStatus').value = risk.status || 'identified';
@@ -750,6 +767,8 @@ async function handleRiskSubmit(e) {
   
   const probability = parseInt(document.querySelector('input[name="probability"]:checked')?.value) || null;
   const impact = parseInt(document.querySelector('input[name="impact"]:checked')?.value) || null;
+  const residualProbability = parseInt(document.getElementById('riskResidualProbability').value) || null;
+  const residualImpact = parseInt(document.getElementById('riskResidualImpact').value) || null;
   const responseStrategy = document.getElementById('riskResponseStrategy').value;
   const status = document.getElementById('riskStatus').value;
   const mitigationPlan = document.getElementById('riskMitigationPlan').value.trim();
@@ -768,6 +787,12 @@ async function handleRiskSubmit(e) {
     return;
   }
   
+  if (!residualProbability !== !residualImpact) {
+    modalError.textContent = 'Set both residual probability and residual impact, or neither';
+    modalError.style.display = 'block';
+    return;
+  }
+  
   const riskData = {
     title,
     description,
@@ -775,6 +800,8 @@ async function handleRiskSubmit(e) {
     risk_source: riskSource || null,
     probability,
     impact,
+    residual_probability: residualProbability,
+    residual_impact: residualImpact,
     response_strategy: responseStrategy || null,
     status,
     mitigation_plan: mitigationPlan || null,
@@ -853,6 +880,11 @@ function showRiskDetails(risk) {
           <span class="risk-level-badge ${levelClass}">${risk.risk_level || 'N/A'}</span>
           <span class="status-badge ${statusClass}" style="margin-left: 8px;">${formatStatus(risk.status)}</span>
         </div>
+        <button id="risk-watch-btn" onclick="toggleWatch('risk-watch-btn')"
+                class="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 flex items-center gap-2 text-sm">
+          <i class="fas fa-eye-slash"></i>
+          <span>Watch</span>
+        </button>
       </div>
     </div>
 
@@ -881,6 +913,11 @@ function showRiskDetails(risk) {
         <span class="detail-label">Risk Level</span>
         <span class="detail-value"><span class="risk-level-badge ${levelClass}">${risk.risk_level || 'N/A'}</span></span>
         
+        <span class="detail-label">Residual Rating</span>
+        <span class="detail-value">${risk.residual_probability && risk.residual_impact
+          ? `P${risk.residual_probability} × I${risk.residual_impact} = ${risk.residual_probability * risk.residual_impact}`
+          : 'Not assessed'}</span>
+        
         ${risk.risk_source ? `
           <span class="detail-label">Risk Source</span>
           <span class="detail-value">${escapeHtml(risk.risk_source)}</span>
@@ -920,6 +957,16 @@ function showRiskDetails(risk) {
       </div>
     ` : ''}
 
+    <div class="detail-section">
+      <h3>Linked Work</h3>
+      <div id="riskLinks"><p class="risk-links-empty">Loading...</p></div>
+    </div>
+
+    <div class="detail-section">
+      <h3>Score History</h3>
+      <div id="riskScoreHistory" style="height: 220px;"><canvas id="riskScoreHistoryChart"></canvas></div>
+    </div>
+
     <div class="detail-section">
       <h3>Management</h3>
       <div class="detail-grid">
@@ -936,7 +983,7 @@ function showRiskDetails(risk) {
         
         ${risk.review_date ? `
           <span class="detail-label">Review Date</span>
-          <span class="detail-value">${new Date(risk.review_date).toLocaleDateString()}</span>
+          <span class="detail-value">${new Date(risk.review_date).toLocaleDateString()} ${renderRiskReviewAction(risk)}</span>
         ` : ''}
         
         ${risk.tags && risk.tags.length > 0 ? `
@@ -967,6 +1014,10 @@ function showRiskDetails(risk) {
   
   document.getElementById('detailModalTitle').textContent = `Risk Details: ${risk.risk_id}`;
   document.getElementById('detailModal').classList.add('active');
+  
+  loadWatchState('risk', risk.id, 'risk-watch-btn');
+  loadRiskScoreHistory(risk.id);
+  loadRiskLinks(risk);
 }
 
 // Close detail modal
@@ -1014,7 +1065,7 @@ async function deleteRisk(riskId) {
     
     closeDeleteModal();
     await loadRisks();
-    showSuccess('Risk deleted successfully');
+    showSuccess('Risk moved to trash');
   } catch (error) {
     console.error('Error deleting risk:', error);
     showError(error.message);
@@ -1036,6 +1087,11 @@ function canEditRisk(user, risk) {
   return user.id === risk.risk_owner_id;
 }
 
+function canManageReviewCadence(user) {
+  if (!user || !currentProjectId) return false;
+  return ['System Administrator', 'Project Manager'].includes(user.role);
+}
+
 function canDeleteRisk(user) {
   if (!user || !currentProjectId) return false;
   return ['System Administrator', 'Project Manager'].includes(user.role);
@@ -0,0 +1,472 @@
+// ============= SAVED VIEWS: FILTER / SORT / COLUMN PRESETS =============
+
+let projectSavedViews = [];
+let defaultSavedViewId = null;
+let activeSavedView = null;
+let visibleTableColumns = null; // null = every column
+
+const TABLE_COLUMN_LABELS = {
+  type: 'Type',
+  title: 'Title',
+  assignee: 'Assignee',
+  priority: 'Priority',
+  due_date: 'Due Date',
+  planning_estimate: 'Planning Estimate',
+  status: 'Status'
+};
+
+const SAVED_VIEW_FILTER_KEYS = [
+  'search', 'type', 'status', 'priority', 'assignee', 'category', 'tag', 'sprint',
+  'customField', 'query', 'hasPlanning', 'hasCircularDependency'
+];
+
+function blankFilters() {
+  return {
+    search: '',
+    type: '',
+    status: '',
+    priority: '',
+    assignee: '',
+    category: '',
+    tag: '',
+    sprint: '',
+    customField: '',
+    query: '',
+    hasPlanning: false,
+    hasCircularDependency: false
+  };
+}
+
+// Only the filters that are set, so views compare equal however they were built
+function compactFilters(filters) {
+  const compact = {};
+  SAVED_VIEW_FILTER_KEYS.forEach(key => {
+    if (filters[key]) compact[key] = filters[key];
+  });
+  return compact;
+}
+
+function getTableColumnKeys() {
+  const customColumns = typeof getTableCustomFields === 'function'
+    ? getTableCustomFields().map(field => `cf:${field.key}`)
+    : [];
+  return [...Object.keys(TABLE_COLUMN_LABELS), ...customColumns];
+}
+
+async function loadSavedViews(projectId) {
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/views`, { withCredentials: true });
+    projectSavedViews = response.data.views;
+    defaultSavedViewId = response.data.defaultViewId;
+  } catch (error) {
+    console.error('Error loading saved views:', error);
+    projectSavedViews = [];
+    defaultSavedViewId = null;
+  }
+  renderSavedViewPicker();
+}
+
+async function fetchSavedView(viewId) {
+  const response = await axios.get(`/api/views/${viewId}`, { withCredentials: true });
+  return response.data;
+}
+
+/**
+ * Called by selectProject before the board loads: applies the view linked in
+ * the URL, or the user's default view when the URL carries no filters.
+ */
+async function prepareSavedViews(projectId) {
+  activeSavedView = null;
+  await loadSavedViews(projectId);
+
+  const params = new URLSearchParams(window.location.search);
+  const linkedViewId = parseInt(params.get('savedView'));
+  // The query filter travels as ?q=
+  const urlHasFilters = SAVED_VIEW_FILTER_KEYS.some(key => params.has(key)) || params.has('q');
+  const viewId = linkedViewId || (!urlHasFilters ? defaultSavedViewId : null);
+  if (!viewId) return;
+
+  try {
+    const view = await fetchSavedView(viewId);
+    if (view.projectId !== projectId) return;
+    applySavedViewState(view);
+    if (view.definition.viewMode === 'table' && currentView !== 'table') {
+      pendingViewSwitch = 'table';
+    } else if (view.definition.viewMode !== 'table' && currentView === 'table') {
+      switchToKanbanView();
+    }
+  } catch (error) {
+    console.error('Error opening saved view:', error);
+    if (linkedViewId) showToast('That saved view is no longer available', 'error');
+  }
+}
+
+// Load a view's filters, sort and columns into the board state without reloading data
+function applySavedViewState(view) {
+  const definition = view.definition || {};
+
+  currentFilters = { ...blankFilters(), ...(view.resolvedFilters || definition.filters || {}) };
+  syncFilterDropdowns();
+  const customFieldFilter = document.getElementById('custom-field-filter');
+  if (customFieldFilter) customFieldFilter.value = currentFilters.customField || '';
+  const hasPlanningFilter = document.getElementById('has-planning-filter');
+  if (hasPlanningFilter) hasPlanningFilter.checked = currentFilters.hasPlanning;
+  const hasCircularDepFilter = document.getElementById('has-circular-dependency-filter');
+  if (hasCircularDepFilter) hasCircularDepFilter.checked = currentFilters.hasCircularDependency;
+
+  const sort = definition.sort || {};
+  if (sort.table) {
+    tableSortColumn = sort.table.column;
+    tableSortDirection = sort.table.direction;
+    updateTableHeaders();
+  }
+  Object.entries(sort.kanban || {}).forEach(([columnId, mode]) => saveSortPreference(columnId, mode));
+
+  visibleTableColumns = definition.columns || null;
+  applyTableColumnVisibility();
+
+  activeSavedView = view;
+  updateSavedViewPicker();
+}
+
+async function selectSavedView(viewId) {
+  if (!viewId) {
+    activeSavedView = null;
+    updateURL();
+    updateSavedViewPicker();
+    return;
+  }
+
+  try {
+    const view = await fetchSavedView(viewId);
+    applySavedViewState(view);
+    if (view.definition.viewMode === 'table') {
+      switchToTableView();
+    } else {
+      switchToKanbanView();
+    }
+    await applyFilters();
+    updateURL({ savedView: view.id, view: view.definition.viewMode });
+  } catch (error) {
+    console.error('Error opening saved view:', error);
+    showToast(error.response?.data?.error || 'Failed to open view', 'error');
+    renderSavedViewPicker();
+  }
+}
+
+function captureViewDefinition({ useCurrentUserToken = false } = {}) {
+  const filters = compactFilters(currentFilters);
+  if (useCurrentUserToken && filters.assignee && filters.assignee === AuthManager.currentUser?.username) {
+    filters.assignee = '@me';
+  }
+
+  const kanban = {};
+  if (typeof getWorkflowStatuses === 'function') {
+    getWorkflowStatuses().forEach(status => {
+      const columnId = getStatusColumnId(status.name);
+      kanban[columnId] = getSortPreference(columnId);
+    });
+  }
+
+  return {
+    filters,
+    viewMode: currentView,
+    sort: {
+      table: { column: tableSortColumn, direction: tableSortDirection },
+      kanban
+    },
+    columns: visibleTableColumns
+  };
+}
+
+function isSavedViewModified() {
+  if (!activeSavedView) return false;
+  const definition = activeSavedView.definition || {};
+  const savedFilters = compactFilters({ ...blankFilters(), ...(activeSavedView.resolvedFilters || definition.filters) });
+
+  return JSON.stringify(savedFilters) !== JSON.stringify(compactFilters(currentFilters)) ||
+    (definition.viewMode || 'kanban') !== currentView ||
+    JSON.stringify(definition.columns || null) !== JSON.stringify(visibleTableColumns);
+}
+
+function renderSavedViewPicker() {
+  const select = document.getElementById('saved-view-select');
+  if (!select) return;
+
+  const currentUserId = AuthManager.currentUser?.id;
+  const mine = projectSavedViews.filter(v => v.ownerId === currentUserId);
+  const shared = projectSavedViews.filter(v => v.ownerId !== currentUserId);
+  const option = view => `
+    <option value="${view.id}">${view.id === defaultSavedViewId ? '★ ' : ''}${escapeHtml(view.name)}${view.visibility === 'shared' && view.ownerId === currentUserId ? ' (shared)' : ''}</option>
+  `;
+
+  select.innerHTML = `
+    <option value="">Unsaved view</option>
+    ${mine.length ? `<optgroup label="My views">${mine.map(option).join('')}</optgroup>` : ''}
+    ${shared.length ? `<optgroup label="Shared with the project">${shared.map(option).join('')}</optgroup>` : ''}
+  `;
+  updateSavedViewPicker();
+}
+
+function updateSavedViewPicker() {
+  const select = document.getElementById('saved-view-select');
+  if (!select) return;
+
+  select.value = activeSavedView ? String(activeSavedView.id) : '';
+  select.querySelectorAll('option').forEach(option => {
+    option.textContent = option.textContent.replace(/ • modified$/, '');
+  });
+  if (activeSavedView && isSavedViewModified()) {
+    const option = select.querySelector(`option[value="${activeSavedView.id}"]`);
+    if (option) option.textContent = `${option.textContent} • modified`;
+  }
+}
+
+// ============= SAVE VIEW MODAL =============
+
+function openSaveViewModal() {
+  if (!currentProject) return;
+
+  const canUpdate = activeSavedView && activeSavedView.canManage;
+  const username = AuthManager.currentUser?.username;
+  const filterCount = Object.keys(compactFilters(currentFilters)).length;
+
+  document.getElementById('saved-view-name').value = canUpdate ? activeSavedView.name : '';
+  document.getElementById('saved-view-shared').checked = canUpdate ? activeSavedView.visibility === 'shared' : false;
+  document.getElementById('saved-view-default').checked = canUpdate ? activeSavedView.id === defaultSavedViewId : false;
+  document.getElementById('saved-view-me-row').classList.toggle('hidden', !(currentFilters.assignee && currentFilters.assignee === username));
+  document.getElementById('update-saved-view-btn').classList.toggle('hidden', !canUpdate);
+  document.getElementById('saved-view-summary').textContent =
+    `${filterCount} filter${filterCount === 1 ? '' : 's'} · ${currentView === 'table' ? 'Table' : 'Kanban'} view` +
+    (visibleTableColumns ? ` · ${visibleTableColumns.length} columns` : '');
+
+  document.getElementById('saveViewModal').classList.remove('hidden');
+  document.getElementById('saved-view-name').focus();
+}
+
+function closeSaveViewModal() {
+  document.getElementById('saveViewModal').classList.add('hidden');
+}
+
+async function saveView(asNew) {
+  const name = document.getElementById('saved-view-name').value.trim();
+  if (!name) {
+    showToast('Give the view a name', 'error');
+    return;
+  }
+
+  const isDefault = document.getElementById('saved-view-default').checked;
+  const body = {
+    name,
+    visibility: document.getElementById('saved-view-shared').checked ? 'shared' : 'private',
+    definition: captureViewDefinition({
+      useCurrentUserToken: document.getElementById('saved-view-use-me').checked
+    })
+  };
+
+  try {
+    let saved;
+    if (asNew) {
+      const response = await axios.post(`/api/projects/${currentProject.id}/views`, { ...body, isDefault }, {
+        withCredentials: true
+      });
+      saved = response.data;
+    } else {
+      const response = await axios.put(`/api/views/${activeSavedView.id}`, body, { withCredentials: true });
+      saved = response.data;
+      if (isDefault !== (saved.id === defaultSavedViewId)) {
+        await axios.put(`/api/projects/${currentProject.id}/views/default`, { viewId: isDefault ? saved.id : null }, {
+          withCredentials: true
+        });
+      }
+    }
+
+    activeSavedView = await fetchSavedView(saved.id);
+    await loadSavedViews(currentProject.id);
+    updateURL({ savedView: saved.id, view: currentView });
+    closeSaveViewModal();
+    showToast(asNew ? 'View saved' : 'View updated', 'success');
+  } catch (error) {
+    console.error('Error saving view:', error);
+    alert(error.response?.data?.error || 'Failed to save view');
+  }
+}
+
+// ============= MANAGE VIEWS MODAL =============
+
+async function openSavedViewsModal() {
+  if (!currentProject) return;
+  document.getElementById('savedViewsModal').classList.remove('hidden');
+  await loadSavedViews(currentProject.id);
+  renderSavedViewsList();
+}
+
+function closeSavedViewsModal() {
+  document.getElementById('savedViewsModal').classList.add('hidden');
+}
+
+function renderSavedViewsList() {
+  const container = document.getElementById('saved-views-list');
+  if (projectSavedViews.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 text-center py-6">No saved views yet. Set up filters and click Save.</p>';
+    return;
+  }
+
+  container.innerHTML = projectSavedViews.map(view => {
+    const isDefault = view.id === defaultSavedViewId;
+    return `
+      <div class="border rounded-lg p-3 flex items-center justify-between gap-4">
+        <div class="min-w-0">
+          <div class="flex items-center gap-2">
+            <span class="font-medium text-gray-800 truncate">${escapeHtml(view.name)}</span>
+            <span class="px-2 py-0.5 rounded text-xs ${view.visibility === 'shared' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}">
+              ${view.visibility === 'shared' ? 'Shared' : 'Private'}
+            </span>
+            ${isDefault ? '<span class="px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">Default</span>' : ''}
+          </div>
+          <div class="text-xs text-gray-500">by ${escapeHtml(view.ownerUsername || 'unknown user')}</div>
+        </div>
+        <div class="flex items-center gap-2 whitespace-nowrap text-sm">
+          <button type="button" onclick="setDefaultSavedView(${isDefault ? 'null' : view.id})" class="px-2 py-1 text-yellow-700 hover:bg-yellow-50 rounded" title="${isDefault ? 'Stop opening this view by default' : 'Open this view by default'}">
+            <i class="${isDefault ? 'fas' : 'far'} fa-star"></i>
+          </button>
+          <button type="button" onclick="copySavedViewLink(${view.id})" class="px-2 py-1 text-blue-600 hover:bg-blue-50 rounded" title="Copy link">
+            <i class="fas fa-link"></i>
+          </button>
+          ${view.canManage ? `
+            <button type="button" onclick="toggleSavedViewSharing(${view.id})" class="px-2 py-1 text-gray-600 hover:bg-gray-50 rounded">
+              ${view.visibility === 'shared' ? 'Make private' : 'Share'}
+            </button>
+            <button type="button" onclick="deleteSavedView(${view.id})" class="px-2 py-1 text-red-600 hover:bg-red-50 rounded" title="Delete view">
+              <i class="fas fa-trash"></i>
+            </button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function setDefaultSavedView(viewId) {
+  try {
+    await axios.put(`/api/projects/${currentProject.id}/views/default`, { viewId }, { withCredentials: true });
+    await loadSavedViews(currentProject.id);
+    renderSavedViewsList();
+  } catch (error) {
+    console.error('Error setting default view:', error);
+    alert(error.response?.data?.error || 'Failed to set default view');
+  }
+}
+
+async function toggleSavedViewSharing(viewId) {
+  const view = projectSavedViews.find(v => v.id === viewId);
+  if (!view) return;
+
+  try {
+    await axios.put(`/api/views/${viewId}`, { visibility: view.visibility === 'shared' ? 'private' : 'shared' }, {
+      withCredentials: true
+    });
+    await loadSavedViews(currentProject.id);
+    renderSavedViewsList();
+  } catch (error) {
+    console.error('Error updating view:', error);
+    alert(error.response?.data?.error || 'Failed to update view');
+  }
+}
+
+async function deleteSavedView(viewId) {
+  const view = projectSavedViews.find(v => v.id === viewId);
+  if (!confirm(`Delete the view "${view ? view.name : 'this view'}"?${view && view.visibility === 'shared' ? ' It is shared, so it disappears for everyone.' : ''}`)) {
+    return;
+  }
+
+  try {
+    await axios.delete(`/api/views/${viewId}`, { withCredentials: true });
+    if (activeSavedView && activeSavedView.id === viewId) {
+      activeSavedView = null;
+      updateURL();
+    }
+    await loadSavedViews(currentProject.id);
+    renderSavedViewsList();
+    showToast('View deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting view:', error);
+    alert(error.response?.data?.error || 'Failed to delete view');
+  }
+}
+
+function copySavedViewLink(viewId) {
+  const link = `${window.location.origin}${window.location.pathname}?project=${currentProject.id}&savedView=${viewId}`;
+  navigator.clipboard.writeText(link)
+    .then(() => showToast('Link copied', 'success'))
+    .catch(() => prompt('Copy this link:', link));
+}
+
+// ============= TABLE COLUMNS =============
+
+function applyTableColumnVisibility() {
+  let style = document.getElementById('table-column-visibility');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'table-column-visibility';
+    document.head.appendChild(style);
+  }
+
+  const hidden = visibleTableColumns
+    ? getTableColumnKeys().filter(key => !visibleTableColumns.includes(key))
+    : [];
+  style.textContent = hidden.map(key => `#table-view [data-column="${key}"] { display: none; }`).join('\n');
+}
+
+function renderTableColumnsMenu() {
+  const menu = document.getElementById('table-columns-menu');
+  const customLabels = typeof getTableCustomFields === 'function'
+    ? Object.fromEntries(getTableCustomFields().map(field => [`cf:${field.key}`, field.name]))
+    : {};
+  const labels = { ...TABLE_COLUMN_LABELS, ...customLabels };
+
+  menu.innerHTML = getTableColumnKeys().map(key => `
+    <label class="flex items-center gap-2 text-sm text-gray-700">
+      <input type="checkbox" class="table-column-toggle w-4 h-4" value="${escapeHtml(key)}"
+             ${!visibleTableColumns || visibleTableColumns.includes(key) ? 'checked' : ''}
+             ${key === 'title' ? 'disabled' : ''}>
+      ${escapeHtml(labels[key] || key)}
+    </label>
+  `).join('');
+
+  menu.querySelectorAll('.table-column-toggle').forEach(toggle => {
+    toggle.addEventListener('change', () => {
+      const checked = [...menu.querySelectorAll('.table-column-toggle:checked')].map(t => t.value);
+      visibleTableColumns = checked.length === getTableColumnKeys().length ? null : checked;
+      applyTableColumnVisibility();
+      updateSavedViewPicker();
+    });
+  });
+}
+
+function toggleTableColumnsMenu(event) {
+  event.stopPropagation();
+  const menu = document.getElementById('table-columns-menu');
+  if (menu.classList.contains('hidden')) {
+    renderTableColumnsMenu();
+  }
+  menu.classList.toggle('hidden');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('saved-view-select')?.addEventListener('change', (e) => selectSavedView(parseInt(e.target.value) || null));
+  document.getElementById('save-view-btn')?.addEventListener('click', openSaveViewModal);
+  document.getElementById('manage-views-btn')?.addEventListener('click', openSavedViewsModal);
+  document.getElementById('closeSaveViewModal')?.addEventListener('click', closeSaveViewModal);
+  document.getElementById('closeSavedViewsModal')?.addEventListener('click', closeSavedViewsModal);
+  document.getElementById('saveViewForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveView(true);
+  });
+  document.getElementById('update-saved-view-btn')?.addEventListener('click', () => saveView(false));
+  document.getElementById('table-columns-btn')?.addEventListener('click', toggleTableColumnsMenu);
+  document.addEventListener('click', (e) => {
+    const menu = document.getElementById('table-columns-menu');
+    if (menu && !menu.contains(e.target)) menu.classList.add('hidden');
+  });
+});
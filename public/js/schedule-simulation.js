@@ -0,0 +1,369 @@
+// ============= SCHEDULE SIMULATION: MONTE CARLO FINISH AND COST RISK =============
+// Used by schedules.html alongside schedules.js (escapeHtml, formatDate).
+// Renders the Simulation tab of the schedule detail modal.
+
+let simulationScheduleId = null;
+let simulationCurveChart = null;
+let simulationTornadoCharts = {};
+
+/**
+ * Show the Simulation tab for a schedule. The form is built once per schedule;
+ * switching back to the tab keeps the last result.
+ */
+function renderSimulationTab(schedule) {
+  const container = document.getElementById('simulation-tab');
+  if (!container) return;
+  if (simulationScheduleId === schedule.id && container.dataset.ready === 'true') return;
+
+  simulationScheduleId = schedule.id;
+  destroySimulationCharts();
+
+  container.innerHTML = `
+    <div class="space-y-4">
+      <form id="simulation-form" class="bg-white rounded-lg border border-gray-200 p-4">
+        <div class="flex flex-wrap items-end gap-4">
+          <div>
+            <label for="simulation-iterations" class="block text-xs font-medium text-gray-700 mb-1">Iterations</label>
+            <input id="simulation-iterations" type="number" min="100" max="10000" step="100" value="2000"
+              class="w-28 px-2 py-1 border border-gray-300 rounded text-sm">
+          </div>
+          <div>
+            <label for="simulation-risk-basis" class="block text-xs font-medium text-gray-700 mb-1">Risk ratings</label>
+            <select id="simulation-risk-basis" class="px-2 py-1 border border-gray-300 rounded text-sm">
+              <option value="residual">Residual (after mitigation)</option>
+              <option value="inherent">Inherent (no mitigation)</option>
+            </select>
+          </div>
+          <div>
+            <label for="simulation-optimistic" class="block text-xs font-medium text-gray-700 mb-1">Optimistic −%</label>
+            <input id="simulation-optimistic" type="number" min="0" max="100" value="20"
+              class="w-20 px-2 py-1 border border-gray-300 rounded text-sm">
+          </div>
+          <div>
+            <label for="simulation-pessimistic" class="block text-xs font-medium text-gray-700 mb-1">Pessimistic +%</label>
+            <input id="simulation-pessimistic" type="number" min="0" max="500" value="50"
+              class="w-20 px-2 py-1 border border-gray-300 rounded text-sm">
+          </div>
+          <div>
+            <label for="simulation-target" class="block text-xs font-medium text-gray-700 mb-1">Target date</label>
+            <input id="simulation-target" type="date" class="px-2 py-1 border border-gray-300 rounded text-sm"
+              title="Defaults to the project end date">
+          </div>
+          <div>
+            <label for="simulation-seed" class="block text-xs font-medium text-gray-700 mb-1">Seed</label>
+            <input id="simulation-seed" type="number" min="0" placeholder="Random"
+              class="w-28 px-2 py-1 border border-gray-300 rounded text-sm">
+          </div>
+          <button type="submit" id="simulation-run" class="btn-primary btn-sm">
+            <i class="fas fa-dice mr-1"></i>Run Simulation
+          </button>
+        </div>
+        <p class="text-xs text-gray-500 mt-2">
+          Task hours are sampled between the optimistic and pessimistic bands around each estimate
+          (wider where manual, AI and hybrid estimates disagree). Open risks occur by probability and add delay and effort by impact.
+        </p>
+      </form>
+      <div id="simulation-results"></div>
+    </div>
+  `;
+  container.dataset.ready = 'true';
+
+  document.getElementById('simulation-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runScheduleSimulation();
+  });
+}
+
+async function runScheduleSimulation() {
+  const button = document.getElementById('simulation-run');
+  const results = document.getElementById('simulation-results');
+  const seedValue = document.getElementById('simulation-seed').value;
+  const targetDate = document.getElementById('simulation-target').value;
+
+  const body = {
+    iterations: parseInt(document.getElementById('simulation-iterations').value) || undefined,
+    riskBasis: document.getElementById('simulation-risk-basis').value,
+    optimisticPercent: parseFloat(document.getElementById('simulation-optimistic').value),
+    pessimisticPercent: parseFloat(document.getElementById('simulation-pessimistic').value)
+  };
+  if (seedValue !== '') body.seed = parseInt(seedValue);
+  if (targetDate) body.targetDate = targetDate;
+
+  button.disabled = true;
+  results.innerHTML = `
+    <div class="text-center py-8 text-gray-500">
+      <i class="fas fa-spinner fa-spin text-2xl mb-2"></i>
+      <p class="text-sm">Running ${body.iterations || 2000} iterations...</p>
+    </div>
+  `;
+
+  try {
+    const response = await fetch(`/api/schedules/${simulationScheduleId}/simulate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.validationErrors ? data.validationErrors.join(', ') : data.error);
+    }
+
+    document.getElementById('simulation-seed').value = data.seed;
+    renderSimulationResults(data);
+  } catch (error) {
+    console.error('Error running schedule simulation:', error);
+    results.innerHTML = `
+      <div class="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm">
+        <i class="fas fa-exclamation-circle mr-2"></i>Simulation failed: ${escapeHtml(error.message)}
+      </div>
+    `;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function formatSimulationCost(value, currency) {
+  if (value == null) return 'N/A';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD', maximumFractionDigits: 0 }).format(value);
+}
+
+function onTimeClass(probability) {
+  if (probability == null) return 'text-gray-500';
+  if (probability >= 80) return 'text-green-600';
+  if (probability >= 50) return 'text-amber-600';
+  return 'text-red-600';
+}
+
+function renderSimulationResults(data) {
+  destroySimulationCharts();
+
+  const hasCost = data.cost != null;
+  const percentileRow = (label, key) => `
+    <tr class="border-t border-gray-100">
+      <td class="py-2 pr-4 font-medium text-gray-700">${label}</td>
+      <td class="py-2 pr-4">${formatDate(data.finish[key])}</td>
+      <td class="py-2 pr-4">${data.durationDays[key]} days</td>
+      <td class="py-2 pr-4">${data.effortHours[key]}h</td>
+      ${hasCost ? `<td class="py-2">${formatSimulationCost(data.cost[key], data.currency)}</td>` : ''}
+    </tr>
+  `;
+
+  document.getElementById('simulation-results').innerHTML = `
+    <div class="space-y-4">
+      ${data.warnings.length > 0 ? `
+        <div class="bg-amber-50 border-l-4 border-amber-500 p-3 rounded text-sm text-amber-800">
+          <ul class="list-disc list-inside space-y-1">
+            ${data.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
+          </ul>
+        </div>
+      ` : ''}
+
+      <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <p class="text-xs text-gray-500 uppercase">On-time probability</p>
+          <p class="text-3xl font-bold ${onTimeClass(data.onTimeProbability)}">
+            ${data.onTimeProbability != null ? `${data.onTimeProbability}%` : '—'}
+          </p>
+          <p class="text-xs text-gray-500 mt-1">${data.targetDate ? `Finish by ${formatDate(data.targetDate)}` : 'No target date'}</p>
+        </div>
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <p class="text-xs text-gray-500 uppercase">P50 finish</p>
+          <p class="text-xl font-semibold text-gray-900">${formatDate(data.finish.p50)}</p>
+          <p class="text-xs text-gray-500 mt-1">Planned ${formatDate(data.baseline.finishDate)}</p>
+        </div>
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <p class="text-xs text-gray-500 uppercase">P80 finish</p>
+          <p class="text-xl font-semibold text-gray-900">${formatDate(data.finish.p80)}</p>
+          <p class="text-xs text-gray-500 mt-1">${data.durationDays.p80} working days</p>
+        </div>
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <p class="text-xs text-gray-500 uppercase">P95 finish</p>
+          <p class="text-xl font-semibold text-gray-900">${formatDate(data.finish.p95)}</p>
+          <p class="text-xs text-gray-500 mt-1">${data.durationDays.p95} working days</p>
+        </div>
+      </div>
+
+      <div class="bg-white rounded-lg border border-gray-200 p-4">
+        <table class="w-full text-sm text-left">
+          <thead>
+            <tr class="text-xs text-gray-500 uppercase">
+              <th class="pb-2 pr-4"></th>
+              <th class="pb-2 pr-4">Finish</th>
+              <th class="pb-2 pr-4">Duration</th>
+              <th class="pb-2 pr-4">Effort</th>
+              ${hasCost ? '<th class="pb-2">Cost</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td class="py-2 pr-4 font-medium text-gray-700">Planned</td>
+              <td class="py-2 pr-4">${formatDate(data.baseline.finishDate)}</td>
+              <td class="py-2 pr-4">${data.baseline.durationDays} days</td>
+              <td class="py-2 pr-4">${data.baseline.effortHours}h</td>
+              ${hasCost ? `<td class="py-2">${formatSimulationCost(data.baseline.cost, data.currency)}</td>` : ''}
+            </tr>
+            ${percentileRow('P50', 'p50')}
+            ${percentileRow('P80', 'p80')}
+            ${percentileRow('P95', 'p95')}
+          </tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">
+          ${data.iterations} iterations · ${data.riskBasis} risk ratings · seed ${data.seed}
+        </p>
+      </div>
+
+      <div class="bg-white rounded-lg border border-gray-200 p-4">
+        <h4 class="text-sm font-semibold text-gray-700 mb-3">Finish date confidence</h4>
+        <div style="height: 260px;"><canvas id="simulation-curve-chart"></canvas></div>
+      </div>
+
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <h4 class="text-sm font-semibold text-gray-700 mb-1">Schedule drivers</h4>
+          <p class="text-xs text-gray-500 mb-3">Project duration (working days) when each driver runs low vs high</p>
+          ${renderTornadoContainer('schedule', data.tornado.schedule)}
+        </div>
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <h4 class="text-sm font-semibold text-gray-700 mb-1">${data.tornado.costUnit === 'cost' ? 'Cost drivers' : 'Effort drivers'}</h4>
+          <p class="text-xs text-gray-500 mb-3">
+            ${data.tornado.costUnit === 'cost' ? `Total cost (${escapeHtml(data.currency)})` : 'Total effort (hours)'} when each driver runs low vs high
+          </p>
+          ${renderTornadoContainer('cost', data.tornado.cost)}
+        </div>
+      </div>
+
+      ${data.risks.length > 0 ? `
+        <div class="bg-white rounded-lg border border-gray-200 p-4">
+          <h4 class="text-sm font-semibold text-gray-700 mb-3">Risk events</h4>
+          <table class="w-full text-sm text-left">
+            <thead>
+              <tr class="text-xs text-gray-500 uppercase">
+                <th class="pb-2 pr-4">Risk</th>
+                <th class="pb-2 pr-4">Rating</th>
+                <th class="pb-2 pr-4">Chance</th>
+                <th class="pb-2">Occurred</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.risks.map(risk => `
+                <tr class="border-t border-gray-100">
+                  <td class="py-2 pr-4">
+                    <span class="font-mono text-xs text-gray-500">${escapeHtml(risk.riskId)}</span>
+                    ${escapeHtml(risk.title)}
+                    ${risk.mitigated ? '<span class="ml-1 text-xs text-green-700">(mitigated)</span>' : ''}
+                  </td>
+                  <td class="py-2 pr-4">P${risk.rating.probability} × I${risk.rating.impact}</td>
+                  <td class="py-2 pr-4">${risk.chancePercent}%</td>
+                  <td class="py-2">${risk.occurredPercent}%</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  renderSimulationCurve(data);
+  renderTornadoChart('schedule', data.tornado.schedule, data.baseline.durationDays);
+  renderTornadoChart('cost', data.tornado.cost,
+    data.tornado.costUnit === 'cost' ? data.baseline.cost : data.baseline.effortHours);
+}
+
+function renderTornadoContainer(name, entries) {
+  if (entries.length === 0) {
+    return '<p class="text-sm text-gray-500 italic">No task or risk moved the outcome in this run.</p>';
+  }
+  return `<div style="height: ${Math.max(120, entries.length * 32 + 40)}px;"><canvas id="simulation-tornado-${name}"></canvas></div>`;
+}
+
+function renderSimulationCurve(data) {
+  const canvas = document.getElementById('simulation-curve-chart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  const target = data.targetDate;
+  simulationCurveChart = new Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels: data.distribution.map(point => point.date),
+      datasets: [
+        {
+          type: 'line',
+          label: 'Chance of finishing by date (%)',
+          data: data.distribution.map(point => point.cumulativePercent),
+          borderColor: '#2563eb',
+          backgroundColor: 'rgba(37, 99, 235, 0.1)',
+          tension: 0.2,
+          pointRadius: 0,
+          yAxisID: 'percent'
+        },
+        {
+          label: 'Iterations finishing on date',
+          data: data.distribution.map(point => point.count),
+          backgroundColor: data.distribution.map(point =>
+            target && point.date > target ? 'rgba(239, 68, 68, 0.5)' : 'rgba(16, 185, 129, 0.5)'),
+          yAxisID: 'count'
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        percent: { position: 'left', min: 0, max: 100, title: { display: true, text: '% by date' } },
+        count: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Iterations' } }
+      }
+    }
+  });
+}
+
+function renderTornadoChart(name, entries, baseline) {
+  const canvas = document.getElementById(`simulation-tornado-${name}`);
+  if (!canvas || typeof Chart === 'undefined' || entries.length === 0) return;
+
+  simulationTornadoCharts[name] = new Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels: entries.map(entry => (entry.type === 'risk' ? '⚠ ' : '') + entry.label),
+      datasets: [{
+        label: 'Low to high',
+        data: entries.map(entry => [entry.low, entry.high]),
+        backgroundColor: entries.map(entry =>
+          entry.type === 'risk' ? 'rgba(239, 68, 68, 0.6)' : 'rgba(37, 99, 235, 0.6)')
+      }]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const entry = entries[context.dataIndex];
+              return `${entry.low} → ${entry.high} (swing ${entry.swing})`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: baseline != null, text: baseline != null ? `Planned: ${baseline}` : '' }
+        },
+        y: { ticks: { autoSkip: false } }
+      }
+    }
+  });
+}
+
+function destroySimulationCharts() {
+  if (simulationCurveChart) {
+    simulationCurveChart.destroy();
+    simulationCurveChart = null;
+  }
+  Object.values(simulationTornadoCharts).forEach(chart => chart.destroy());
+  simulationTornadoCharts = {};
+}
@@ -2210,6 +2210,9 @@ function renderScheduleDetail(data) {
           <button class="detail-tab-button" data-detail-tab="resources">
             <i class="fas fa-users mr-2"></i>Resources
           </button>
+          <button class="detail-tab-button" data-detail-tab="simulation">
+            <i class="fas fa-dice mr-2"></i>Simulation
+          </button>
         </nav>
       </div>
 
@@ -2290,6 +2293,9 @@ function renderScheduleDetail(data) {
       <div id="resources-tab" class="detail-tab-content">
         ${renderResourceWorkload(resourceWorkload, schedule.hours_per_day)}
       </div>
+
+      <!-- Simulation Tab (rendered by schedule-simulation.js on first open) -->
+      <div id="simulation-tab" class="detail-tab-content"></div>
     </div>
   `;
 
@@ -2368,6 +2374,10 @@ async function switchDetailTab(tabName, tasks, schedule) {
   if (tabName === 'gantt') {
     await renderGanttChart(tasks, schedule);
   }
+
+  if (tabName === 'simulation') {
+    renderSimulationTab(schedule);
+  }
 }
 
 function sortTasksByAssignee(tasks) {
@@ -0,0 +1,315 @@
+// ============= SLA: POLICIES PER PRIORITY AND COMPLIANCE REPORT =============
+
+const SLA_PRIORITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+const SLA_UNIT_OPTIONS = [
+  { value: 'hours', label: 'hours (weekdays)' },
+  { value: 'business_days', label: 'business days' }
+];
+
+let slaPolicies = [];
+let slaPauseStatuses = [];
+let slaTeamMembers = [];
+
+async function openSlaModal() {
+  if (!currentProject) return;
+
+  const canManage = AuthManager.hasRole('Project Manager');
+  document.getElementById('save-sla-pause-btn').classList.toggle('hidden', !canManage);
+
+  const today = new Date();
+  const monthAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+  document.getElementById('sla-report-from').value = monthAgo.toISOString().slice(0, 10);
+  document.getElementById('sla-report-to').value = today.toISOString().slice(0, 10);
+  document.getElementById('sla-report').innerHTML = '';
+
+  document.getElementById('slaModal').classList.remove('hidden');
+  await loadSlaSettings();
+}
+
+function closeSlaModal() {
+  document.getElementById('slaModal').classList.add('hidden');
+}
+
+async function loadSlaSettings() {
+  const container = document.getElementById('sla-policy-list');
+  container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading SLA policies...</p>';
+
+  try {
+    const [policiesResponse, teamResponse] = await Promise.all([
+      axios.get(`/api/projects/${currentProject.id}/sla/policies`, { withCredentials: true }),
+      axios.get(`/api/projects/${currentProject.id}/team`, { withCredentials: true }).catch(() => ({ data: [] }))
+    ]);
+    slaPolicies = policiesResponse.data.policies;
+    slaPauseStatuses = policiesResponse.data.pauseStatuses;
+    slaTeamMembers = teamResponse.data || [];
+    renderSlaPolicies();
+    renderSlaPauseStatuses();
+  } catch (error) {
+    console.error('Error loading SLA policies:', error);
+    container.innerHTML = '<p class="text-sm text-red-600">Failed to load SLA policies</p>';
+  }
+}
+
+function renderSlaUnitSelect(id, selected, disabled) {
+  return `
+    <select id="${id}" class="px-2 py-1 border border-gray-300 rounded text-sm" ${disabled ? 'disabled' : ''}>
+      ${SLA_UNIT_OPTIONS.map(unit => `
+        <option value="${unit.value}" ${unit.value === selected ? 'selected' : ''}>${unit.label}</option>
+      `).join('')}
+    </select>
+  `;
+}
+
+function renderSlaPolicies() {
+  const container = document.getElementById('sla-policy-list');
+  const canManage = AuthManager.hasRole('Project Manager');
+
+  container.innerHTML = Object.entries(SLA_PRIORITY_LABELS).map(([priority, label]) => {
+    const policy = slaPolicies.find(p => p.priority === priority);
+    const disabled = !canManage;
+
+    return `
+      <div class="border rounded-lg p-3 ${policy ? '' : 'bg-gray-50'}">
+        <div class="flex items-center justify-between mb-2">
+          <div class="flex items-center gap-2">
+            <span class="font-medium text-gray-800">${label}</span>
+            ${policy
+              ? (policy.is_active
+                ? '<span class="px-2 py-0.5 rounded text-xs bg-green-100 text-green-700">Active</span>'
+                : '<span class="px-2 py-0.5 rounded text-xs bg-gray-200 text-gray-600">Inactive</span>')
+              : '<span class="text-xs text-gray-500">No SLA</span>'}
+          </div>
+          ${canManage ? `
+            <div class="flex items-center gap-2">
+              <button type="button" onclick="saveSlaPolicy('${priority}')" class="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">Save</button>
+              ${policy ? `
+                <button type="button" onclick="deleteSlaPolicy('${priority}')" class="px-3 py-1 text-sm text-red-600 border border-red-200 rounded hover:bg-red-50">Remove</button>
+              ` : ''}
+            </div>
+          ` : ''}
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm text-gray-700">
+          <label class="flex items-center gap-2">
+            <span class="w-24">Respond in</span>
+            <input type="number" id="sla-${priority}-response" min="0.25" step="0.25" value="${policy ? parseFloat(policy.response_target) : ''}"
+                   class="w-20 px-2 py-1 border border-gray-300 rounded" ${disabled ? 'disabled' : ''}>
+            ${renderSlaUnitSelect(`sla-${priority}-response-unit`, policy ? policy.response_unit : 'hours', disabled)}
+          </label>
+          <label class="flex items-center gap-2">
+            <span class="w-24">Resolve in</span>
+            <input type="number" id="sla-${priority}-resolution" min="0.25" step="0.25" value="${policy ? parseFloat(policy.resolution_target) : ''}"
+                   class="w-20 px-2 py-1 border border-gray-300 rounded" ${disabled ? 'disabled' : ''}>
+            ${renderSlaUnitSelect(`sla-${priority}-resolution-unit`, policy ? policy.resolution_unit : 'business_days', disabled)}
+          </label>
+          <label class="flex items-center gap-2">
+            <span class="w-24">Warn at</span>
+            <input type="number" id="sla-${priority}-warning" min="1" max="99" value="${policy ? policy.warning_percent : 75}"
+                   class="w-20 px-2 py-1 border border-gray-300 rounded" ${disabled ? 'disabled' : ''}>
+            <span>% of the target used</span>
+          </label>
+          <label class="flex items-center gap-2">
+            <span class="w-24">Escalate to</span>
+            <select id="sla-${priority}-escalate" class="flex-1 px-2 py-1 border border-gray-300 rounded" ${disabled ? 'disabled' : ''}>
+              <option value="">Project managers only</option>
+              ${slaTeamMembers.map(member => `
+                <option value="${member.user_id}" ${policy && policy.escalate_to_user_id === member.user_id ? 'selected' : ''}>${escapeHtml(member.name)}</option>
+              `).join('')}
+            </select>
+          </label>
+          ${policy ? `
+            <label class="flex items-center gap-2">
+              <input type="checkbox" id="sla-${priority}-active" class="w-4 h-4" ${policy.is_active ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+              <span>Track this SLA</span>
+            </label>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function renderSlaPauseStatuses() {
+  const container = document.getElementById('sla-pause-statuses');
+  const canManage = AuthManager.hasRole('Project Manager');
+  const statuses = typeof getWorkflowStatuses === 'function' ? getWorkflowStatuses() : [];
+
+  // Keep statuses saved earlier visible even if the workflow no longer has them
+  const names = [...new Set([
+    ...statuses.filter(s => s.category !== 'done').map(s => s.name),
+    ...slaPauseStatuses
+  ])];
+
+  if (names.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500">No workflow statuses available.</p>';
+    return;
+  }
+
+  container.innerHTML = names.map(name => `
+    <label class="flex items-center gap-2 text-sm text-gray-700">
+      <input type="checkbox" class="sla-pause-status w-4 h-4" value="${escapeHtml(name)}"
+             ${slaPauseStatuses.includes(name) ? 'checked' : ''} ${canManage ? '' : 'disabled'}>
+      ${escapeHtml(name)}
+    </label>
+  `).join('');
+}
+
+async function saveSlaPolicy(priority) {
+  const value = id => document.getElementById(`sla-${priority}-${id}`)?.value;
+  const activeToggle = document.getElementById(`sla-${priority}-active`);
+
+  const payload = {
+    response_target: value('response'),
+    response_unit: value('response-unit'),
+    resolution_target: value('resolution'),
+    resolution_unit: value('resolution-unit'),
+    warning_percent: value('warning'),
+    escalate_to_user_id: value('escalate') || null,
+    is_active: activeToggle ? activeToggle.checked : true
+  };
+
+  try {
+    await axios.put(`/api/projects/${currentProject.id}/sla/policies/${priority}`, payload, {
+      withCredentials: true
+    });
+    showToast(`${SLA_PRIORITY_LABELS[priority]} SLA saved`, 'success');
+    await loadSlaSettings();
+  } catch (error) {
+    console.error('Error saving SLA policy:', error);
+    const details = error.response?.data?.validationErrors;
+    alert(details ? details.join('\n') : (error.response?.data?.error || 'Failed to save SLA policy'));
+  }
+}
+
+async function deleteSlaPolicy(priority) {
+  if (!confirm(`Stop tracking the SLA for ${SLA_PRIORITY_LABELS[priority]} issues? Existing timers are kept for reporting.`)) {
+    return;
+  }
+
+  try {
+    await axios.delete(`/api/projects/${currentProject.id}/sla/policies/${priority}`, { withCredentials: true });
+    showToast('SLA policy removed', 'success');
+    await loadSlaSettings();
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    alert(error.response?.data?.error || 'Failed to remove SLA policy');
+  }
+}
+
+async function saveSlaPauseStatuses() {
+  const statuses = [...document.querySelectorAll('.sla-pause-status:checked')].map(input => input.value);
+
+  try {
+    const response = await axios.put(`/api/projects/${currentProject.id}/sla/pause-statuses`, { statuses }, {
+      withCredentials: true
+    });
+    slaPauseStatuses = response.data.pauseStatuses;
+    showToast('SLA pause statuses updated', 'success');
+  } catch (error) {
+    console.error('Error saving SLA pause statuses:', error);
+    alert(error.response?.data?.error || 'Failed to update pause statuses');
+  }
+}
+
+// "2d 4h" / "3h 20m" in weekday time, mirroring formatBusinessDuration on the server
+function formatSlaMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '—';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  return `${hours}h ${minutes % 60}m`;
+}
+
+function formatSlaCompliance(percent) {
+  if (percent === null || percent === undefined) return '<span class="text-gray-400">—</span>';
+  const color = percent >= 90 ? 'text-green-700' : percent >= 75 ? 'text-amber-700' : 'text-red-700';
+  return `<span class="font-medium ${color}">${percent}%</span>`;
+}
+
+async function loadSlaReport() {
+  const container = document.getElementById('sla-report');
+  const from = document.getElementById('sla-report-from').value;
+  const to = document.getElementById('sla-report-to').value;
+  container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Building report...</p>';
+
+  try {
+    const response = await axios.get(`/api/projects/${currentProject.id}/sla/report`, {
+      params: { from: from || undefined, to: to || undefined },
+      withCredentials: true
+    });
+    renderSlaReport(response.data);
+  } catch (error) {
+    console.error('Error loading SLA report:', error);
+    container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(error.response?.data?.error || 'Failed to build SLA report')}</p>`;
+  }
+}
+
+function renderSlaReport(report) {
+  const container = document.getElementById('sla-report');
+
+  if (report.overall.total === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500">No issues under SLA in this period.</p>';
+    return;
+  }
+
+  const rows = [...report.byPriority, { priority: 'All priorities', ...report.overall }];
+
+  container.innerHTML = `
+    <table class="w-full text-sm mb-4">
+      <thead>
+        <tr class="text-left text-gray-500 border-b">
+          <th class="py-1">Priority</th>
+          <th class="py-1">Issues</th>
+          <th class="py-1">Response met</th>
+          <th class="py-1">Avg response</th>
+          <th class="py-1">Resolution met</th>
+          <th class="py-1">Avg resolution</th>
+          <th class="py-1">Open & breached</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row, index) => `
+          <tr class="border-b ${index === rows.length - 1 ? 'font-semibold bg-gray-50' : ''}">
+            <td class="py-1">${escapeHtml(SLA_PRIORITY_LABELS[row.priority] || row.priority)}</td>
+            <td class="py-1">${row.total}</td>
+            <td class="py-1">${formatSlaCompliance(row.responseCompliance)}</td>
+            <td class="py-1">${formatSlaMinutes(row.avgResponseMinutes)}</td>
+            <td class="py-1">${formatSlaCompliance(row.resolutionCompliance)}</td>
+            <td class="py-1">${formatSlaMinutes(row.avgResolutionMinutes)}</td>
+            <td class="py-1 ${row.openBreached > 0 ? 'text-red-700' : ''}">${row.openBreached}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${report.breaches.length > 0 ? `
+      <h4 class="font-medium text-gray-800 mb-2">Breaches</h4>
+      <div class="space-y-1">
+        ${report.breaches.map(breach => `
+          <div class="flex items-center justify-between gap-4 text-sm border rounded px-3 py-2">
+            <span class="truncate">
+              <span class="text-gray-500">#${breach.id}</span>
+              ${escapeHtml(breach.title)}
+              <span class="text-xs text-gray-500">· ${escapeHtml(breach.priority || '')} · ${escapeHtml(breach.assignee || 'Unassigned')}</span>
+            </span>
+            <span class="flex gap-1 whitespace-nowrap">
+              ${breach.responseBreached ? '<span class="px-2 py-0.5 rounded text-xs bg-amber-100 text-amber-800">Response</span>' : ''}
+              ${breach.resolutionBreached ? `<span class="px-2 py-0.5 rounded text-xs bg-red-100 text-red-700">Resolution${breach.resolved ? '' : ' · open'}</span>` : ''}
+            </span>
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+  `;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('view-sla-btn')?.addEventListener('click', openSlaModal);
+  document.getElementById('closeSlaModal')?.addEventListener('click', closeSlaModal);
+  document.getElementById('save-sla-pause-btn')?.addEventListener('click', saveSlaPauseStatuses);
+  document.getElementById('run-sla-report-btn')?.addEventListener('click', loadSlaReport);
+});
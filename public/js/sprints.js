@@ -0,0 +1,415 @@
+// ============= SPRINTS: FILTER, SPRINT BOARD & BURNDOWN =============
+
+let projectSprints = [];
+let sprintBurndownChart = null;
+let sprintVelocityChart = null;
+
+const SPRINT_STATUS_BADGES = {
+  planned: 'bg-gray-100 text-gray-700',
+  active: 'bg-green-100 text-green-700',
+  closed: 'bg-blue-100 text-blue-700'
+};
+
+// Load sprints for the project, then refresh the filter and sprint board header
+async function loadProjectSprints(projectId) {
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/sprints`, {
+      withCredentials: true
+    });
+    projectSprints = response.data;
+  } catch (error) {
+    console.error('Error loading sprints:', error);
+    projectSprints = [];
+  }
+
+  populateSprintFilter();
+  renderSprintBoardHeader();
+}
+
+function formatSprintDate(value) {
+  if (!value) return '';
+  return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function getSelectedSprint() {
+  if (!currentFilters.sprint || currentFilters.sprint === 'backlog') return null;
+  return projectSprints.find(s => s.id === parseInt(currentFilters.sprint)) || null;
+}
+
+// Sprint that newly created items should join (the open sprint shown on the board)
+function getBoardSprintId() {
+  const sprint = getSelectedSprint();
+  return sprint && sprint.status !== 'closed' ? sprint.id : null;
+}
+
+// Populate the Sprint filter dropdown
+function populateSprintFilter() {
+  const select = document.getElementById('sprint-filter');
+  if (!select) return;
+
+  const options = projectSprints
+    .map(sprint => {
+      const statusLabel = sprint.status === 'active' ? ' (active)' : sprint.status === 'closed' ? ' (closed)' : '';
+      return `<option value="${sprint.id}">🏃 ${escapeHtml(sprint.name)}${statusLabel}</option>`;
+    })
+    .join('');
+
+  select.innerHTML = `
+    <option value="">All Sprints</option>
+    <option value="backlog">Backlog (no sprint)</option>
+    ${options}
+  `;
+  select.value = currentFilters.sprint || '';
+}
+
+// Populate a sprint <select> in the edit modals with open sprints plus the item's current sprint
+function populateSprintSelect(selectId, currentSprintId) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+
+  const sprints = projectSprints.filter(s => s.status !== 'closed' || s.id === currentSprintId);
+  select.innerHTML = '<option value="">Backlog (no sprint)</option>' + sprints
+    .map(s => `<option value="${s.id}">${escapeHtml(s.name)}${s.status === 'active' ? ' (active)' : ''}</option>`)
+    .join('');
+  select.value = currentSprintId ? String(currentSprintId) : '';
+}
+
+// ============= SPRINT BOARD HEADER =============
+
+function renderSprintBoardHeader() {
+  const container = document.getElementById('sprint-board-header');
+  if (!container) return;
+
+  const sprint = getSelectedSprint();
+  if (!sprint) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    if (sprintBurndownChart) {
+      sprintBurndownChart.destroy();
+      sprintBurndownChart = null;
+    }
+    return;
+  }
+
+  // issues/actionItems are already filtered to this sprint by loadProjectData
+  const sprintItems = [...issues, ...actionItems];
+  const doneItems = sprintItems.filter(item => item.status === 'Done');
+  const percent = sprintItems.length > 0 ? Math.round(doneItems.length / sprintItems.length * 100) : 0;
+
+  const today = new Date();
+  const end = new Date(sprint.end_date);
+  const daysLeft = Math.ceil((end - today) / (1000 * 60 * 60 * 24));
+  const timing = sprint.status === 'closed'
+    ? `Closed ${formatSprintDate(sprint.closed_at)}`
+    : sprint.status === 'active'
+      ? (daysLeft >= 0 ? `${daysLeft} day${daysLeft !== 1 ? 's' : ''} left` : `${Math.abs(daysLeft)} day(s) overdue`)
+      : 'Not started';
+
+  let actionButton = '';
+  if (sprint.status === 'planned') {
+    actionButton = `<button onclick="startSprint(${sprint.id})" class="px-3 py-1.5 text-sm bg-green-600 text-white rounded hover:bg-green-700">Start Sprint</button>`;
+  } else if (sprint.status === 'active') {
+    actionButton = `<button onclick="openManageSprintsModal()" class="px-3 py-1.5 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">Close Sprint…</button>`;
+  }
+
+  container.classList.remove('hidden');
+  container.innerHTML = `
+    <div class="flex flex-wrap items-start justify-between gap-4">
+      <div class="flex-1 min-w-[240px]">
+        <div class="flex items-center gap-2">
+          <h4 class="text-lg font-semibold text-gray-800">🏃 ${escapeHtml(sprint.name)}</h4>
+          <span class="text-xs px-2 py-0.5 rounded-full ${SPRINT_STATUS_BADGES[sprint.status]}">${sprint.status}</span>
+        </div>
+        <p class="text-sm text-gray-500">${formatSprintDate(sprint.start_date)} – ${formatSprintDate(sprint.end_date)} · ${timing}</p>
+        ${sprint.goal ? `<p class="text-sm text-gray-700 mt-1"><span class="font-medium">Goal:</span> ${escapeHtml(sprint.goal)}</p>` : ''}
+        <div class="mt-3">
+          <div class="flex justify-between text-xs text-gray-600 mb-1">
+            <span>${doneItems.length} of ${sprintItems.length} items done</span>
+            <span>${percent}%</span>
+          </div>
+          <div class="w-full bg-gray-200 rounded-full h-2">
+            <div class="bg-green-500 h-2 rounded-full" style="width: ${percent}%"></div>
+          </div>
+        </div>
+        <div class="mt-3">${actionButton}</div>
+      </div>
+      <div class="flex-1 min-w-[280px]" style="height: 180px;">
+        <canvas id="sprint-burndown-chart"></canvas>
+      </div>
+    </div>
+  `;
+
+  loadSprintBurndown(sprint.id);
+}
+
+async function loadSprintBurndown(sprintId) {
+  try {
+    const response = await axios.get(`/api/sprints/${sprintId}/burndown`, {
+      withCredentials: true
+    });
+    renderBurndownChart(response.data);
+  } catch (error) {
+    console.error('Error loading burndown:', error);
+  }
+}
+
+function renderBurndownChart(burndown) {
+  const canvas = document.getElementById('sprint-burndown-chart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (sprintBurndownChart) {
+    sprintBurndownChart.destroy();
+  }
+
+  sprintBurndownChart = new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels: burndown.days.map(d => formatSprintDate(d.date)),
+      datasets: [
+        {
+          label: 'Ideal',
+          data: burndown.days.map(d => d.ideal),
+          borderColor: '#9ca3af',
+          borderDash: [5, 5],
+          pointRadius: 0,
+          fill: false
+        },
+        {
+          label: 'Remaining (h)',
+          data: burndown.days.map(d => d.remaining),
+          borderColor: '#2563eb',
+          backgroundColor: 'rgba(37, 99, 235, 0.1)',
+          fill: true,
+          tension: 0.1
+        },
+        {
+          label: 'Scope (h)',
+          data: burndown.days.map(d => d.scope),
+          borderColor: '#f59e0b',
+          pointRadius: 0,
+          fill: false,
+          stepped: true
+        },
+        {
+          label: 'Logged (h)',
+          data: burndown.days.map(d => d.loggedHours),
+          borderColor: '#10b981',
+          pointRadius: 0,
+          fill: false,
+          hidden: true
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: 'bottom', labels: { boxWidth: 10, font: { size: 10 } } }
+      },
+      scales: {
+        y: { beginAtZero: true, title: { display: true, text: 'Hours' } }
+      }
+    }
+  });
+}
+
+// ============= MANAGE SPRINTS MODAL =============
+
+async function openManageSprintsModal() {
+  if (!currentProject) return;
+
+  await loadProjectSprints(currentProject.id);
+  renderSprintList();
+  loadSprintVelocity();
+  document.getElementById('manageSprintsModal').classList.remove('hidden');
+}
+
+function closeManageSprintsModal() {
+  document.getElementById('manageSprintsModal').classList.add('hidden');
+}
+
+function renderSprintList() {
+  const container = document.getElementById('sprint-list');
+  if (!container) return;
+
+  if (projectSprints.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 italic">No sprints yet. Create one above.</p>';
+    return;
+  }
+
+  const openTargets = projectSprints.filter(s => s.status === 'planned');
+
+  container.innerHTML = projectSprints.map(sprint => {
+    let actions = '';
+    if (sprint.status === 'planned') {
+      actions = `
+        <button onclick="startSprint(${sprint.id})" class="text-xs px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700">Start</button>
+        <button onclick="deleteSprint(${sprint.id})" class="text-xs px-2 py-1 bg-red-50 text-red-700 border border-red-200 rounded hover:bg-red-100">Delete</button>
+      `;
+    } else if (sprint.status === 'active') {
+      actions = `
+        <label class="text-xs text-gray-600">Carry unfinished to</label>
+        <select id="close-sprint-target-${sprint.id}" class="text-xs px-2 py-1 border border-gray-300 rounded">
+          <option value="">Backlog</option>
+          ${openTargets.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('')}
+        </select>
+        <button onclick="closeSprint(${sprint.id})" class="text-xs px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700">Close</button>
+      `;
+    } else {
+      actions = `<span class="text-xs text-gray-500">${sprint.completed_items || 0}/${sprint.committed_items || 0} committed items done</span>`;
+    }
+
+    return `
+      <div class="flex flex-wrap items-center justify-between gap-2 p-3 border border-gray-200 rounded-lg">
+        <div>
+          <button onclick="viewSprintBoard(${sprint.id})" class="font-medium text-blue-700 hover:underline">${escapeHtml(sprint.name)}</button>
+          <span class="ml-2 text-xs px-2 py-0.5 rounded-full ${SPRINT_STATUS_BADGES[sprint.status]}">${sprint.status}</span>
+          <div class="text-xs text-gray-500">${formatSprintDate(sprint.start_date)} – ${formatSprintDate(sprint.end_date)} · ${sprint.item_count} item${sprint.item_count !== 1 ? 's' : ''}</div>
+        </div>
+        <div class="flex items-center gap-2">${actions}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Switch the kanban to the given sprint's board
+function viewSprintBoard(sprintId) {
+  currentFilters.sprint = String(sprintId);
+  closeManageSprintsModal();
+  applyFilters();
+  updateURL();
+}
+
+async function createSprint(event) {
+  event.preventDefault();
+  if (!currentProject) return;
+
+  const data = {
+    name: document.getElementById('sprint-name').value,
+    startDate: document.getElementById('sprint-start-date').value,
+    endDate: document.getElementById('sprint-end-date').value,
+    goal: document.getElementById('sprint-goal').value || null,
+    capacityHours: document.getElementById('sprint-capacity').value || null
+  };
+
+  try {
+    await axios.post(`/api/projects/${currentProject.id}/sprints`, data, {
+      withCredentials: true
+    });
+    document.getElementById('createSprintForm').reset();
+    await loadProjectSprints(currentProject.id);
+    renderSprintList();
+    showToast('Sprint created', 'success');
+  } catch (error) {
+    console.error('Error creating sprint:', error);
+    alert(error.response?.data?.error || 'Failed to create sprint');
+  }
+}
+
+async function startSprint(sprintId) {
+  if (!confirm('Start this sprint? Items currently in the sprint become its committed scope.')) return;
+
+  try {
+    await axios.post(`/api/sprints/${sprintId}/start`, {}, { withCredentials: true });
+    showToast('Sprint started', 'success');
+    await loadProjectSprints(currentProject.id);
+    renderSprintList();
+  } catch (error) {
+    console.error('Error starting sprint:', error);
+    alert(error.response?.data?.error || 'Failed to start sprint');
+  }
+}
+
+async function closeSprint(sprintId) {
+  const targetSelect = document.getElementById(`close-sprint-target-${sprintId}`);
+  const targetSprintId = targetSelect ? targetSelect.value || null : null;
+  const destination = targetSprintId ? targetSelect.selectedOptions[0].text : 'the backlog';
+
+  if (!confirm(`Close this sprint? Unfinished items will move to ${destination}.`)) return;
+
+  try {
+    const response = await axios.post(`/api/sprints/${sprintId}/close`, { targetSprintId }, {
+      withCredentials: true
+    });
+    const { completedItems, carriedOver } = response.data;
+    showToast(`Sprint closed: ${completedItems} done, ${carriedOver.length} carried over`, 'success');
+    await loadProjectData(currentProject.id);
+    renderSprintList();
+    loadSprintVelocity();
+  } catch (error) {
+    console.error('Error closing sprint:', error);
+    alert(error.response?.data?.error || 'Failed to close sprint');
+  }
+}
+
+async function deleteSprint(sprintId) {
+  if (!confirm('Delete this sprint? Its items will return to the backlog.')) return;
+
+  try {
+    await axios.delete(`/api/sprints/${sprintId}`, { withCredentials: true });
+    if (currentFilters.sprint === String(sprintId)) {
+      currentFilters.sprint = '';
+      updateURL();
+    }
+    await loadProjectData(currentProject.id);
+    renderSprintList();
+    showToast('Sprint deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting sprint:', error);
+    alert(error.response?.data?.error || 'Failed to delete sprint');
+  }
+}
+
+async function loadSprintVelocity() {
+  if (!currentProject) return;
+
+  try {
+    const response = await axios.get(`/api/projects/${currentProject.id}/velocity`, {
+      withCredentials: true
+    });
+    renderVelocityChart(response.data);
+  } catch (error) {
+    console.error('Error loading velocity:', error);
+  }
+}
+
+function renderVelocityChart(velocity) {
+  const summary = document.getElementById('sprint-velocity-summary');
+  const canvas = document.getElementById('sprint-velocity-chart');
+
+  if (summary) {
+    summary.textContent = velocity.sprints.length === 0
+      ? 'Velocity appears once a sprint has been closed.'
+      : `Average ${velocity.averageCompletedHours}h / ${velocity.averageCompletedItems} items per sprint` +
+        (velocity.commitmentReliability !== null ? ` · ${velocity.commitmentReliability}% of committed hours delivered` : '');
+  }
+
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  if (sprintVelocityChart) {
+    sprintVelocityChart.destroy();
+  }
+
+  sprintVelocityChart = new Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels: velocity.sprints.map(s => s.name),
+      datasets: [
+        { label: 'Committed (h)', data: velocity.sprints.map(s => s.committedHours), backgroundColor: '#cbd5e1' },
+        { label: 'Completed (h)', data: velocity.sprints.map(s => s.completedHours), backgroundColor: '#2563eb' }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { position: 'bottom' } },
+      scales: { y: { beginAtZero: true } }
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('manage-sprints-btn')?.addEventListener('click', openManageSprintsModal);
+  document.getElementById('closeManageSprintsModal')?.addEventListener('click', closeManageSprintsModal);
+  document.getElementById('createSprintForm')?.addEventListener('submit', createSprint);
+});
@@ -0,0 +1,147 @@
+// ============= SWIMLANES: BOARD ROWS BY ASSIGNEE, EPIC, PRIORITY OR TAG =============
+
+const SWIMLANE_OPTIONS = [
+  ['none', 'No swimlanes'],
+  ['assignee', 'Assignee'],
+  ['epic', 'Parent epic'],
+  ['priority', 'Priority'],
+  ['tag', 'Tag']
+];
+
+const SWIMLANE_STORAGE_KEY = 'kanbanSwimlanes';
+const SWIMLANE_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+// Lane modes whose field changes when a card is dropped into another lane
+const SWIMLANE_EDITABLE_FIELDS = {
+  assignee: 'assignee',
+  priority: 'priority'
+};
+
+// Per-project choice, kept in this browser
+function getSwimlaneMode() {
+  if (!currentProject) return 'none';
+  const stored = JSON.parse(localStorage.getItem(SWIMLANE_STORAGE_KEY) || '{}');
+  const mode = stored[currentProject.id];
+  return SWIMLANE_OPTIONS.some(([value]) => value === mode) ? mode : 'none';
+}
+
+function setSwimlaneMode(mode) {
+  if (!currentProject) return;
+  const stored = JSON.parse(localStorage.getItem(SWIMLANE_STORAGE_KEY) || '{}');
+  stored[currentProject.id] = mode;
+  localStorage.setItem(SWIMLANE_STORAGE_KEY, JSON.stringify(stored));
+  renderKanbanBoard();
+}
+
+// Nearest epic above an issue (or the issue itself when it is an epic)
+function findParentEpic(item) {
+  const seen = new Set();
+  let current = item;
+  while (current && !seen.has(current.id)) {
+    if (current.is_epic) return current;
+    seen.add(current.id);
+    current = current.parent_issue_id ? issues.find(i => i.id === current.parent_issue_id) : null;
+  }
+  return null;
+}
+
+/**
+ * The lane a card belongs to
+ * @returns {{ key: string, label: string, value: string|number|null }} key is
+ *   "<mode>:<value>", with an empty value for the Unassigned / No epic / No tag lane
+ */
+function getItemSwimlane(item, mode) {
+  switch (mode) {
+    case 'assignee':
+      return item.assignee
+        ? { key: `assignee:${item.assignee}`, label: item.assignee, value: item.assignee }
+        : { key: 'assignee:', label: 'Unassigned', value: '' };
+    case 'priority': {
+      const priority = (item.priority || 'medium').toLowerCase();
+      return { key: `priority:${priority}`, label: priority.charAt(0).toUpperCase() + priority.slice(1), value: priority };
+    }
+    case 'epic': {
+      const epic = findParentEpic(item);
+      return epic
+        ? { key: `epic:${epic.id}`, label: epic.title, value: epic.id }
+        : { key: 'epic:', label: 'No epic', value: null };
+    }
+    case 'tag': {
+      // Tags come sorted by name; a card sits in the lane of its first tag
+      const tag = (item.tags || [])[0];
+      return tag
+        ? { key: `tag:${tag.id}`, label: tag.name, value: tag.id }
+        : { key: 'tag:', label: 'No tag', value: null };
+    }
+    default:
+      return { key: '', label: '', value: null };
+  }
+}
+
+/**
+ * Ordered lanes for the cards on the board; the "none" lane (Unassigned,
+ * No epic, No tag) comes last
+ * @returns {Array<{ key, label, value, count }>}
+ */
+function buildSwimlanes(items, mode) {
+  const lanes = new Map();
+  items.forEach(item => {
+    const lane = getItemSwimlane(item, mode);
+    if (!lanes.has(lane.key)) lanes.set(lane.key, { ...lane, count: 0 });
+    lanes.get(lane.key).count++;
+  });
+
+  const isEmptyLane = lane => lane.key.endsWith(':');
+  return [...lanes.values()].sort((a, b) => {
+    if (isEmptyLane(a) !== isEmptyLane(b)) return isEmptyLane(a) ? 1 : -1;
+    if (mode === 'priority') {
+      return SWIMLANE_PRIORITIES.indexOf(a.value) - SWIMLANE_PRIORITIES.indexOf(b.value);
+    }
+    return a.label.localeCompare(b.label);
+  });
+}
+
+// DOM id of the cell for a column within a lane
+function getSwimlaneCellId(columnId, laneIndex) {
+  return `${columnId}-lane${laneIndex}-column`;
+}
+
+/**
+ * Field changes for dropping a card into another lane. Epic and tag lanes
+ * can't be changed by dragging (an issue's parent and its tags are edited
+ * on the item), so those drops only change the status.
+ * @returns {{ fields: Object|null, message: string|null }}
+ */
+function getSwimlaneDropChanges(item, targetLaneKey, mode) {
+  const currentLane = getItemSwimlane(item, mode);
+  if (!targetLaneKey || currentLane.key === targetLaneKey) {
+    return { fields: null, message: null };
+  }
+
+  const field = SWIMLANE_EDITABLE_FIELDS[mode];
+  if (!field) {
+    const what = mode === 'epic' ? 'parent epic' : 'tags';
+    return { fields: null, message: `Change the ${what} on the item itself; dragging only changes its status` };
+  }
+
+  const targetValue = targetLaneKey.slice(targetLaneKey.indexOf(':') + 1);
+  return { fields: { [field]: targetValue }, message: null };
+}
+
+function populateSwimlaneSelect() {
+  const select = document.getElementById('swimlane-select');
+  if (!select) return;
+
+  select.innerHTML = SWIMLANE_OPTIONS
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  select.value = getSwimlaneMode();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const select = document.getElementById('swimlane-select');
+  if (!select) return;
+
+  populateSwimlaneSelect();
+  select.addEventListener('change', () => setSwimlaneMode(select.value));
+});
@@ -0,0 +1,169 @@
+// ============= TRASH: RESTORE OR PURGE DELETED ITEMS =============
+
+let projectTrash = null;
+let trashTypeFilter = '';
+
+const TRASH_TYPE_LABELS = {
+  'issue': { label: 'Issue', classes: 'bg-blue-100 text-blue-700' },
+  'action-item': { label: 'Action Item', classes: 'bg-purple-100 text-purple-700' },
+  'risk': { label: 'Risk', classes: 'bg-orange-100 text-orange-700' },
+  'decision': { label: 'Decision', classes: 'bg-teal-100 text-teal-700' }
+};
+
+async function openTrashModal() {
+  if (!currentProject) return;
+
+  const canManage = AuthManager.hasRole('Project Manager');
+  document.getElementById('trash-retention-days').disabled = !canManage;
+  document.getElementById('save-trash-retention-btn').classList.toggle('hidden', !canManage);
+
+  setTrashTypeFilter('');
+  document.getElementById('trashModal').classList.remove('hidden');
+  await loadProjectTrash();
+}
+
+function closeTrashModal() {
+  document.getElementById('trashModal').classList.add('hidden');
+}
+
+async function loadProjectTrash() {
+  const container = document.getElementById('trash-list');
+  container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading trash...</p>';
+
+  try {
+    const response = await axios.get(`/api/projects/${currentProject.id}/trash`, {
+      withCredentials: true
+    });
+    projectTrash = response.data;
+    document.getElementById('trash-retention-days').value = projectTrash.retentionDays;
+    renderTrashList();
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    container.innerHTML = '<p class="text-sm text-red-600">Failed to load trash</p>';
+  }
+}
+
+function setTrashTypeFilter(itemType) {
+  trashTypeFilter = itemType;
+  document.querySelectorAll('.trash-type-btn').forEach(btn => {
+    const active = btn.dataset.trashType === itemType;
+    btn.classList.toggle('bg-blue-600', active);
+    btn.classList.toggle('text-white', active);
+    btn.classList.toggle('bg-gray-100', !active);
+    btn.classList.toggle('text-gray-700', !active);
+  });
+  if (projectTrash) renderTrashList();
+}
+
+// "3 comments · 2 tags · 1 link" for what restore brings back
+function describeTrashSummary(summary) {
+  const parts = [];
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  if (summary.comments) parts.push(plural(summary.comments, 'comment'));
+  if (summary.tags) parts.push(plural(summary.tags, 'tag'));
+  if (summary.links) parts.push(plural(summary.links, 'dependency link'));
+  if (summary.references) parts.push(plural(summary.references, 'linked item'));
+  return parts.join(' · ');
+}
+
+function renderTrashList() {
+  const container = document.getElementById('trash-list');
+  const items = projectTrash.items.filter(item => !trashTypeFilter || item.itemType === trashTypeFilter);
+
+  if (items.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 text-center py-6">Trash is empty.</p>';
+    return;
+  }
+
+  const currentUserId = AuthManager.currentUser?.id;
+  const isTeamLead = AuthManager.hasRole('Team Lead');
+  const canPurge = AuthManager.hasRole('Project Manager');
+
+  container.innerHTML = items.map(item => {
+    const type = TRASH_TYPE_LABELS[item.itemType] || { label: item.itemType, classes: 'bg-gray-100 text-gray-700' };
+    const canRestore = isTeamLead || (item.deletedBy && item.deletedBy.id === currentUserId);
+    const summary = describeTrashSummary(item.summary);
+
+    return `
+      <div class="border rounded-lg p-3 flex items-start justify-between gap-4">
+        <div class="min-w-0">
+          <div class="flex items-center gap-2 mb-1">
+            <span class="px-2 py-0.5 rounded text-xs ${type.classes}">${type.label}</span>
+            ${item.reference ? `<span class="text-xs text-gray-500">${escapeHtml(item.reference)}</span>` : ''}
+            <span class="font-medium text-gray-800 truncate">${escapeHtml(item.title)}</span>
+          </div>
+          <div class="text-xs text-gray-500">
+            Deleted by ${item.deletedBy ? escapeHtml(item.deletedBy.username) : 'unknown user'}
+            on ${new Date(item.deletedAt).toLocaleString()}
+            · purged ${new Date(item.purgeAt).toLocaleDateString()}
+          </div>
+          ${summary ? `<div class="text-xs text-gray-400 mt-1">Restores ${summary}</div>` : ''}
+        </div>
+        <div class="flex items-center gap-2 whitespace-nowrap">
+          ${canRestore ? `
+            <button type="button" onclick="restoreTrashItem(${item.id})" class="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700">
+              <i class="fas fa-undo mr-1"></i>Restore
+            </button>
+          ` : ''}
+          ${canPurge ? `
+            <button type="button" onclick="purgeTrashItem(${item.id})" class="px-3 py-1 text-sm text-red-600 border border-red-200 rounded hover:bg-red-50">
+              Delete forever
+            </button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function restoreTrashItem(trashId) {
+  try {
+    await axios.post(`/api/trash/${trashId}/restore`, {}, { withCredentials: true });
+    showToast('Item restored', 'success');
+    await loadProjectTrash();
+    await loadProjectData(currentProject.id);
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    alert(error.response?.data?.error || 'Failed to restore item');
+  }
+}
+
+async function purgeTrashItem(trashId) {
+  const item = projectTrash?.items.find(i => i.id === trashId);
+  if (!confirm(`Permanently delete "${item ? item.title : 'this item'}"? Its attachments are deleted too. This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    await axios.delete(`/api/trash/${trashId}`, { withCredentials: true });
+    showToast('Item permanently deleted', 'success');
+    await loadProjectTrash();
+  } catch (error) {
+    console.error('Error purging item:', error);
+    alert(error.response?.data?.error || 'Failed to delete item');
+  }
+}
+
+async function saveTrashRetention() {
+  const retentionDays = document.getElementById('trash-retention-days').value;
+
+  try {
+    await axios.put(`/api/projects/${currentProject.id}/trash/settings`, { retentionDays }, {
+      withCredentials: true
+    });
+    showToast('Trash retention updated', 'success');
+    await loadProjectTrash();
+  } catch (error) {
+    console.error('Error saving trash retention:', error);
+    alert(error.response?.data?.error || 'Failed to update trash retention');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('view-trash-btn')?.addEventListener('click', openTrashModal);
+  document.getElementById('closeTrashModal')?.addEventListener('click', closeTrashModal);
+  document.getElementById('save-trash-retention-btn')?.addEventListener('click', saveTrashRetention);
+  document.querySelectorAll('.trash-type-btn').forEach(btn => {
+    btn.addEventListener('click', () => setTrashTypeFilter(btn.dataset.trashType));
+  });
+});
@@ -173,8 +173,11 @@ function calculateChildProgress(issue) {
     items.forEach(item => {
       total++;
 
-      // Check if this item is completed
-      if (completedStatuses.includes(item.status)) {
+      // Check if this item is completed (project workflow category when js/workflow.js is loaded)
+      const isCompleted = typeof isDoneStatus === 'function'
+        ? isDoneStatus(item.status)
+        : completedStatuses.includes(item.status);
+      if (isCompleted) {
         completed++;
       }
 
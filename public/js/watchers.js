@@ -0,0 +1,64 @@
+// ============= WATCHERS: FOLLOW ITEMS =============
+// Subscriptions and notification fan-out live in services/watcher-service.js
+
+const WATCH_URL_SEGMENTS = {
+  'issue': 'issues',
+  'action-item': 'action-items',
+  'risk': 'risks',
+  'decision': 'decisions'
+};
+
+function renderWatchButton(button, status) {
+  const count = status.watchers.length;
+  const names = status.watchers.map(w => w.username).join(', ');
+
+  button.dataset.watching = status.watching ? 'true' : 'false';
+  button.title = count > 0 ? `Watchers: ${names}` : 'Nobody is watching yet';
+  button.setAttribute('aria-pressed', status.watching ? 'true' : 'false');
+  button.innerHTML = `
+    <i class="fas ${status.watching ? 'fa-eye' : 'fa-eye-slash'}"></i>
+    <span>${status.watching ? 'Watching' : 'Watch'}</span>
+    <span class="text-xs text-gray-500">${count}</span>
+  `;
+  button.classList.toggle('border-blue-400', status.watching);
+  button.classList.toggle('text-blue-700', status.watching);
+}
+
+async function loadWatchState(itemType, itemId, buttonId) {
+  const button = document.getElementById(buttonId);
+  if (!button) return;
+
+  button.dataset.itemType = itemType;
+  button.dataset.itemId = itemId;
+
+  try {
+    const response = await fetch(`/api/${WATCH_URL_SEGMENTS[itemType]}/${itemId}/watchers`, {
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to load watchers');
+    renderWatchButton(button, await response.json());
+  } catch (error) {
+    console.error('Error loading watchers:', error);
+  }
+}
+
+async function toggleWatch(buttonId) {
+  const button = document.getElementById(buttonId);
+  const { itemType, itemId, watching } = button.dataset;
+  if (!itemType || !itemId) return;
+
+  button.disabled = true;
+  try {
+    const response = await fetch(`/api/${WATCH_URL_SEGMENTS[itemType]}/${itemId}/watchers`, {
+      method: watching === 'true' ? 'DELETE' : 'POST',
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to update watch status');
+    renderWatchButton(button, await response.json());
+  } catch (error) {
+    console.error('Error updating watch status:', error);
+    if (typeof showToast === 'function') showToast('Failed to update watch status', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
@@ -0,0 +1,603 @@
+// ============= WORKFLOW: PROJECT STATUSES, BOARD COLUMNS & TRANSITIONS =============
+
+const DEFAULT_WORKFLOW = {
+  isDefault: true,
+  statuses: [
+    { name: 'To Do', category: 'todo', color: '#6b7280', isInitial: true },
+    { name: 'In Progress', category: 'active', color: '#2563eb', isInitial: false },
+    { name: 'Blocked', category: 'active', color: '#dc2626', isInitial: false },
+    { name: 'Done', category: 'done', color: '#16a34a', isInitial: false }
+  ],
+  transitions: []
+};
+
+let projectWorkflow = DEFAULT_WORKFLOW;
+let renderedColumnSignature = null;
+let workflowDraft = null;
+
+const STATUS_CATEGORY_LABELS = {
+  todo: 'To Do',
+  active: 'In Progress',
+  done: 'Done'
+};
+
+const STATUS_CATEGORY_CLASSES = {
+  todo: { column: 'bg-gray-100', heading: 'text-gray-700', badge: 'bg-gray-100 text-gray-800' },
+  active: { column: 'bg-blue-50', heading: 'text-blue-700', badge: 'bg-blue-100 text-blue-800' },
+  done: { column: 'bg-green-50', heading: 'text-green-700', badge: 'bg-green-100 text-green-800' }
+};
+
+const COLUMN_SORT_OPTIONS = [
+  ['due-overdue-first', 'Overdue First'],
+  ['due-earliest', 'Earliest'],
+  ['due-latest', 'Latest'],
+  ['priority', 'Priority'],
+  ['created-desc', 'Recent'],
+  ['updated-desc', 'Updated'],
+  ['manual', 'Manual'],
+  ['priority-due-date', 'Priority+Due Date'],
+  ['overdue-priority', 'Overdue+Priority'],
+  ['smart-sort', 'Smart Sort']
+];
+
+// Load the project's workflow, then refresh every status dropdown that depends on it
+async function loadProjectWorkflow(projectId) {
+  try {
+    const response = await axios.get(`/api/projects/${projectId}/workflow`, {
+      withCredentials: true
+    });
+    projectWorkflow = response.data;
+  } catch (error) {
+    console.error('Error loading workflow:', error);
+    projectWorkflow = DEFAULT_WORKFLOW;
+  }
+
+  populateStatusFilter();
+  populateBulkStatusSelect();
+}
+
+function getWorkflowStatuses() {
+  return projectWorkflow.statuses;
+}
+
+function getStatusCategory(status) {
+  const match = projectWorkflow.statuses.find(s => s.name === status);
+  if (match) return match.category;
+
+  const normalized = (status || '').toLowerCase();
+  if (['done', 'completed', 'closed', 'cancelled', 'resolved'].includes(normalized)) return 'done';
+  if (['to do', 'todo', 'open', 'backlog', 'new'].includes(normalized)) return 'todo';
+  return 'active';
+}
+
+function isDoneStatus(status) {
+  return getStatusCategory(status) === 'done';
+}
+
+function getInitialWorkflowStatus() {
+  const statuses = projectWorkflow.statuses;
+  const initial = statuses.find(s => s.isInitial) || statuses.find(s => s.category === 'todo') || statuses[0];
+  return initial ? initial.name : 'To Do';
+}
+
+// DOM-safe id for a status column; the default workflow keeps todo/inprogress/blocked/done
+function getStatusColumnId(status) {
+  return status.toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function getStatusBadgeClasses(status) {
+  return STATUS_CATEGORY_CLASSES[getStatusCategory(status)].badge;
+}
+
+// Transition rule for from -> to, or null when the workflow does not allow it
+function getTransitionRule(fromStatus, toStatus) {
+  const transitions = projectWorkflow.transitions || [];
+  if (transitions.length === 0) return {};
+
+  return transitions.find(t => t.fromStatus === fromStatus && t.toStatus === toStatus) ||
+         transitions.find(t => t.fromStatus === null && t.toStatus === toStatus) ||
+         null;
+}
+
+function isTransitionAllowed(fromStatus, toStatus) {
+  return fromStatus === toStatus || getTransitionRule(fromStatus, toStatus) !== null;
+}
+
+// <option> list of workflow statuses. With fromStatus, only statuses reachable from it are listed.
+function renderStatusOptions(selectedStatus, fromStatus = null) {
+  const statuses = projectWorkflow.statuses
+    .filter(s => fromStatus === null || isTransitionAllowed(fromStatus, s.name))
+    .map(s => s.name);
+
+  // Keep a legacy status visible so the item isn't silently moved on save
+  if (selectedStatus && !statuses.includes(selectedStatus)) {
+    statuses.unshift(selectedStatus);
+  }
+
+  return statuses
+    .map(name => `<option value="${escapeHtml(name)}" ${name === selectedStatus ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+}
+
+// Populate a status <select> in the create/edit modals
+function populateStatusSelect(selectId, currentStatus = null) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+
+  const selected = currentStatus || getInitialWorkflowStatus();
+  select.innerHTML = renderStatusOptions(selected, currentStatus);
+  select.value = selected;
+}
+
+// ============= FILTERS =============
+
+// Status filter: individual statuses plus one entry per category ("category:done")
+function populateStatusFilter() {
+  const select = document.getElementById('status-filter');
+  if (!select) return;
+
+  const categoryOptions = Object.entries(STATUS_CATEGORY_LABELS)
+    .map(([category, label]) => `<option value="category:${category}">Any ${label.toLowerCase()} status</option>`)
+    .join('');
+
+  select.innerHTML = `
+    <option value="">All Statuses</option>
+    <optgroup label="Status">${renderStatusOptions(null)}</optgroup>
+    <optgroup label="Category">${categoryOptions}</optgroup>
+  `;
+
+  // Older bookmarked URLs used column ids (e.g. status=inprogress)
+  if (currentFilters.status && !currentFilters.status.startsWith('category:')) {
+    const match = projectWorkflow.statuses.find(s =>
+      s.name === currentFilters.status || getStatusColumnId(s.name) === currentFilters.status.toLowerCase()
+    );
+    if (match) currentFilters.status = match.name;
+  }
+  select.value = currentFilters.status || '';
+}
+
+function matchesStatusFilter(item, filterValue) {
+  if (!filterValue) return true;
+  if (filterValue.startsWith('category:')) {
+    return getStatusCategory(item.status) === filterValue.slice('category:'.length);
+  }
+  return item.status === filterValue;
+}
+
+function getStatusFilterLabel(filterValue) {
+  if (filterValue.startsWith('category:')) {
+    const label = STATUS_CATEGORY_LABELS[filterValue.slice('category:'.length)];
+    return label ? `Any ${label.toLowerCase()} status` : filterValue;
+  }
+  return filterValue;
+}
+
+function populateBulkStatusSelect() {
+  const select = document.getElementById('table-bulk-status-select');
+  if (!select) return;
+
+  select.innerHTML = `<option value="">Change Status...</option>${renderStatusOptions(null)}`;
+}
+
+// ============= KANBAN COLUMNS =============
+
+// Column heading: name, card count, WIP limit indicator and sort menu
+function renderKanbanColumnHeader(status, sortOptions) {
+  const columnId = getStatusColumnId(status.name);
+  const classes = STATUS_CATEGORY_CLASSES[status.category] || STATUS_CATEGORY_CLASSES.active;
+  const colorDot = status.color
+    ? `<span class="inline-block w-2 h-2 rounded-full mr-1" style="background-color: ${escapeHtml(status.color)}"></span>`
+    : '';
+
+  return `
+    <div class="flex flex-nowrap items-center justify-between gap-2 mb-3">
+      <h4 class="font-semibold ${classes.heading} whitespace-nowrap">
+        ${colorDot}${escapeHtml(status.name)} <span id="${columnId}-count" class="text-sm opacity-75">(0)</span>
+        ${status.wipLimit ? `<span id="${columnId}-wip" class="ml-1 px-1.5 py-0.5 rounded text-xs font-medium bg-white text-gray-600 border border-gray-200" title="WIP limit ${status.wipLimit}">WIP ${status.wipLimit}</span>` : ''}
+      </h4>
+      <select class="column-sort-select flex-shrink-0 text-xs px-2 py-1 border border-gray-300 rounded" data-column="${columnId}">
+        ${sortOptions}
+      </select>
+    </div>
+  `;
+}
+
+/**
+ * Build one board column per workflow status. With swimlanes (js/swimlanes.js)
+ * the column headings form a top row and each lane gets a row of cells; every
+ * cell carries data-status and data-lane for drag and drop.
+ * Only rebuilt when the workflow or the set of lanes changed.
+ */
+function renderKanbanColumns(lanes = null) {
+  const board = document.getElementById('kanban-board');
+  if (!board) return;
+
+  const statuses = projectWorkflow.statuses;
+  const signature = JSON.stringify([
+    statuses.map(s => [s.name, s.category, s.color, s.wipLimit]),
+    lanes ? lanes.map(lane => [lane.key, lane.label, lane.count]) : null
+  ]);
+  if (signature === renderedColumnSignature && board.children.length > 0) return;
+  renderedColumnSignature = signature;
+
+  const columnCount = Math.min(statuses.length, 6);
+  const gridClasses = `grid grid-cols-1 md:grid-cols-${columnCount} gap-4`;
+  const hidden = board.classList.contains('hidden') ? ' hidden' : '';
+
+  const sortOptions = COLUMN_SORT_OPTIONS
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+
+  if (!lanes) {
+    board.className = `${gridClasses}${hidden}`;
+    board.innerHTML = statuses.map(status => {
+      const columnId = getStatusColumnId(status.name);
+      const classes = STATUS_CATEGORY_CLASSES[status.category] || STATUS_CATEGORY_CLASSES.active;
+
+      return `
+        <div class="${classes.column} rounded-lg p-4" data-wip-column="${columnId}">
+          ${renderKanbanColumnHeader(status, sortOptions)}
+          <div id="${columnId}-column" class="space-y-2" data-status="${escapeHtml(status.name)}">
+            <!-- Items will be loaded here -->
+          </div>
+        </div>
+      `;
+    }).join('');
+  } else {
+    board.className = `space-y-3${hidden}`;
+    board.innerHTML = `
+      <div class="${gridClasses}">
+        ${statuses.map(status => {
+          const classes = STATUS_CATEGORY_CLASSES[status.category] || STATUS_CATEGORY_CLASSES.active;
+          return `
+            <div class="${classes.column} rounded-lg px-4 pt-4 pb-1" data-wip-column="${getStatusColumnId(status.name)}">
+              ${renderKanbanColumnHeader(status, sortOptions)}
+            </div>
+          `;
+        }).join('')}
+      </div>
+      ${lanes.map((lane, laneIndex) => `
+        <div class="swimlane">
+          <div class="flex items-center gap-2 mb-2 px-1 text-sm font-semibold text-gray-700 border-b border-gray-200 pb-1">
+            ${escapeHtml(lane.label)} <span class="text-xs font-normal text-gray-500">(${lane.count})</span>
+          </div>
+          <div class="${gridClasses}">
+            ${statuses.map(status => {
+              const classes = STATUS_CATEGORY_CLASSES[status.category] || STATUS_CATEGORY_CLASSES.active;
+              return `
+                <div class="${classes.column} rounded-lg p-2">
+                  <div id="${getSwimlaneCellId(getStatusColumnId(status.name), laneIndex)}" class="space-y-2 min-h-[60px]"
+                       data-status="${escapeHtml(status.name)}" data-lane="${escapeHtml(lane.key)}"></div>
+                </div>
+              `;
+            }).join('')}
+          </div>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  board.querySelectorAll('.column-sort-select').forEach(select => {
+    select.addEventListener('change', function() {
+      handleSortChange(this);
+    });
+  });
+}
+
+/**
+ * Show each limited column's project-wide count against its WIP limit:
+ * amber when full, red when over
+ * @param {Object} counts - { status: count } from /workflow/wip
+ */
+function updateWipIndicators(counts) {
+  projectWorkflow.statuses.filter(s => s.wipLimit).forEach(status => {
+    const columnId = getStatusColumnId(status.name);
+    const badge = document.getElementById(`${columnId}-wip`);
+    const column = document.querySelector(`[data-wip-column="${columnId}"]`);
+    if (!badge) return;
+
+    const count = counts[status.name] || 0;
+    const state = count > status.wipLimit ? 'over' : count === status.wipLimit ? 'full' : 'ok';
+
+    badge.textContent = `WIP ${count}/${status.wipLimit}`;
+    badge.title = state === 'over'
+      ? `Over the WIP limit of ${status.wipLimit} (${count} items)`
+      : `WIP limit ${status.wipLimit}`;
+    badge.classList.toggle('bg-red-100', state === 'over');
+    badge.classList.toggle('text-red-700', state === 'over');
+    badge.classList.toggle('border-red-300', state === 'over');
+    badge.classList.toggle('bg-amber-100', state === 'full');
+    badge.classList.toggle('text-amber-800', state === 'full');
+    badge.classList.toggle('border-amber-300', state === 'full');
+    badge.classList.toggle('bg-white', state === 'ok');
+    badge.classList.toggle('text-gray-600', state === 'ok');
+    badge.classList.toggle('border-gray-200', state === 'ok');
+
+    if (column) {
+      column.classList.toggle('ring-2', state === 'over');
+      column.classList.toggle('ring-red-400', state === 'over');
+    }
+  });
+}
+
+// ============= WORKFLOW SETTINGS MODAL =============
+
+async function openWorkflowModal() {
+  if (!currentProject) return;
+
+  await loadProjectWorkflow(currentProject.id);
+
+  workflowDraft = {
+    statuses: projectWorkflow.statuses.map(s => ({ ...s, originalName: s.name })),
+    transitions: (projectWorkflow.transitions || []).map(t => ({ ...t })),
+    removed: []
+  };
+
+  const canEdit = typeof AuthManager !== 'undefined' && AuthManager.hasRole('Project Manager');
+  document.getElementById('save-workflow-btn')?.classList.toggle('hidden', !canEdit);
+  document.getElementById('workflow-readonly-note')?.classList.toggle('hidden', canEdit);
+
+  renderWorkflowEditor();
+  document.getElementById('workflowModal').classList.remove('hidden');
+
+  const canReviewOverrides = typeof AuthManager !== 'undefined' && AuthManager.hasRole('Team Lead');
+  document.getElementById('workflow-wip-overrides-section')?.classList.toggle('hidden', !canReviewOverrides);
+  if (canReviewOverrides) loadWipOverrides();
+}
+
+async function loadWipOverrides() {
+  const container = document.getElementById('workflow-wip-overrides-list');
+  if (!container) return;
+
+  try {
+    const response = await axios.get(`/api/projects/${currentProject.id}/workflow/wip-overrides`, {
+      params: { limit: 20 },
+      withCredentials: true
+    });
+    const overrides = response.data;
+
+    if (overrides.length === 0) {
+      container.innerHTML = '<p class="text-gray-500 italic">No status changes have gone over a WIP limit.</p>';
+      return;
+    }
+
+    container.innerHTML = overrides.map(o => `
+      <div class="p-2 border border-gray-200 rounded">
+        <div class="flex justify-between gap-2">
+          <span class="font-medium text-gray-800 truncate">${escapeHtml(o.item_title || `${o.item_type} #${o.item_id}`)}</span>
+          <span class="text-xs text-gray-500 whitespace-nowrap">${escapeHtml(o.username || 'Unknown')} · ${new Date(o.created_at).toLocaleString()}</span>
+        </div>
+        <div class="text-xs text-gray-600">
+          ${escapeHtml(o.from_status || '')} → ${escapeHtml(o.to_status)} (${o.item_count + 1}/${o.wip_limit})
+        </div>
+        <div class="text-xs text-gray-700 italic">"${escapeHtml(o.reason)}"</div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading WIP overrides:', error);
+    container.innerHTML = '<p class="text-red-600">Failed to load WIP overrides</p>';
+  }
+}
+
+function closeWorkflowModal() {
+  document.getElementById('workflowModal').classList.add('hidden');
+  workflowDraft = null;
+}
+
+function renderWorkflowEditor() {
+  renderWorkflowStatusRows();
+  renderWorkflowTransitionRows();
+  renderWorkflowRemovedRows();
+}
+
+function renderWorkflowStatusRows() {
+  const container = document.getElementById('workflow-status-list');
+  if (!container) return;
+
+  container.innerHTML = workflowDraft.statuses.map((status, index) => `
+    <div class="flex items-center gap-2">
+      <div class="flex flex-col">
+        <button type="button" class="text-xs text-gray-500 hover:text-gray-800" onclick="moveWorkflowStatus(${index}, -1)" ${index === 0 ? 'disabled' : ''}>▲</button>
+        <button type="button" class="text-xs text-gray-500 hover:text-gray-800" onclick="moveWorkflowStatus(${index}, 1)" ${index === workflowDraft.statuses.length - 1 ? 'disabled' : ''}>▼</button>
+      </div>
+      <input type="text" value="${escapeHtml(status.name)}" maxlength="50"
+             class="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+             onchange="updateWorkflowStatus(${index}, 'name', this.value)">
+      <select class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="updateWorkflowStatus(${index}, 'category', this.value)">
+        ${Object.entries(STATUS_CATEGORY_LABELS).map(([category, label]) =>
+          `<option value="${category}" ${status.category === category ? 'selected' : ''}>${label}</option>`
+        ).join('')}
+      </select>
+      <input type="color" value="${escapeHtml(status.color || '#6b7280')}" class="w-8 h-8 border border-gray-300 rounded"
+             onchange="updateWorkflowStatus(${index}, 'color', this.value)">
+      <input type="number" min="1" step="1" value="${status.wipLimit || ''}" placeholder="WIP"
+             class="w-16 px-2 py-1 border border-gray-300 rounded text-sm" title="WIP limit (blank for none)"
+             onchange="updateWorkflowStatus(${index}, 'wipLimit', this.value ? parseInt(this.value) : null)">
+      <label class="flex items-center gap-1 text-xs text-gray-600">
+        <input type="radio" name="workflow-initial-status" ${status.isInitial ? 'checked' : ''}
+               onchange="setWorkflowInitialStatus(${index})"> Initial
+      </label>
+      <button type="button" class="text-red-600 hover:text-red-800 text-sm" onclick="removeWorkflowStatus(${index})" title="Remove status">
+        <i class="fas fa-trash"></i>
+      </button>
+    </div>
+  `).join('');
+}
+
+function renderWorkflowTransitionRows() {
+  const container = document.getElementById('workflow-transition-list');
+  if (!container) return;
+
+  if (workflowDraft.transitions.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 italic">No rules: items can move between any statuses.</p>';
+    return;
+  }
+
+  const names = workflowDraft.statuses.map(s => s.name);
+  const statusOptions = (selected, includeAny) =>
+    (includeAny ? `<option value="" ${selected === null ? 'selected' : ''}>Any status</option>` : '') +
+    names.map(name => `<option value="${escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('');
+  const roleOptions = (selected) =>
+    ['', 'Team Member', 'Team Lead', 'Project Manager', 'System Administrator']
+      .map(role => `<option value="${role}" ${(selected || '') === role ? 'selected' : ''}>${role || 'Any role'}</option>`)
+      .join('');
+
+  container.innerHTML = workflowDraft.transitions.map((t, index) => `
+    <div class="p-2 border border-gray-200 rounded">
+      <div class="flex items-center gap-2 mb-2">
+        <select class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="updateWorkflowTransition(${index}, 'fromStatus', this.value || null)">
+          ${statusOptions(t.fromStatus, true)}
+        </select>
+        <span class="text-gray-500">→</span>
+        <select class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="updateWorkflowTransition(${index}, 'toStatus', this.value)">
+          ${statusOptions(t.toStatus, false)}
+        </select>
+        <select class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="updateWorkflowTransition(${index}, 'minRole', this.value || null)">
+          ${roleOptions(t.minRole)}
+        </select>
+        <button type="button" class="ml-auto text-red-600 hover:text-red-800 text-sm" onclick="removeWorkflowTransition(${index})" title="Remove rule">
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+      <div class="flex flex-wrap gap-4 text-xs text-gray-600">
+        <label class="flex items-center gap-1"><input type="checkbox" ${t.requiresHours ? 'checked' : ''}
+          onchange="updateWorkflowTransition(${index}, 'requiresHours', this.checked)"> Requires hours</label>
+        <label class="flex items-center gap-1"><input type="checkbox" ${t.requiresChecklistComplete ? 'checked' : ''}
+          onchange="updateWorkflowTransition(${index}, 'requiresChecklistComplete', this.checked)"> Checklist complete</label>
+        <label class="flex items-center gap-1"><input type="checkbox" ${t.requiresAssignee ? 'checked' : ''}
+          onchange="updateWorkflowTransition(${index}, 'requiresAssignee', this.checked)"> Requires assignee</label>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Statuses removed in this edit: items using them must be moved to a remaining status
+function renderWorkflowRemovedRows() {
+  const section = document.getElementById('workflow-removed-section');
+  const container = document.getElementById('workflow-removed-list');
+  if (!section || !container) return;
+
+  section.classList.toggle('hidden', workflowDraft.removed.length === 0);
+  const names = workflowDraft.statuses.map(s => s.name);
+
+  container.innerHTML = workflowDraft.removed.map((removed, index) => `
+    <div class="flex items-center gap-2 text-sm">
+      <span class="line-through text-gray-500">${escapeHtml(removed.name)}</span>
+      <span class="text-gray-500">→ move its items to</span>
+      <select class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="workflowDraft.removed[${index}].mapTo = this.value">
+        ${names.map(name => `<option value="${escapeHtml(name)}" ${name === removed.mapTo ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+      </select>
+    </div>
+  `).join('');
+}
+
+function updateWorkflowStatus(index, field, value) {
+  const status = workflowDraft.statuses[index];
+  const previousName = status.name;
+  status[field] = field === 'name' ? value.trim() : value;
+
+  // Keep transition rules pointing at the renamed status
+  if (field === 'name' && previousName !== status.name) {
+    workflowDraft.transitions.forEach(t => {
+      if (t.fromStatus === previousName) t.fromStatus = status.name;
+      if (t.toStatus === previousName) t.toStatus = status.name;
+    });
+    renderWorkflowEditor();
+  }
+}
+
+function setWorkflowInitialStatus(index) {
+  workflowDraft.statuses.forEach((status, i) => { status.isInitial = i === index; });
+}
+
+function moveWorkflowStatus(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= workflowDraft.statuses.length) return;
+
+  const statuses = workflowDraft.statuses;
+  [statuses[index], statuses[target]] = [statuses[target], statuses[index]];
+  renderWorkflowStatusRows();
+}
+
+function addWorkflowStatus() {
+  workflowDraft.statuses.push({ name: 'New Status', category: 'active', color: '#6b7280', isInitial: false, wipLimit: null, originalName: null });
+  renderWorkflowEditor();
+}
+
+function removeWorkflowStatus(index) {
+  const [removed] = workflowDraft.statuses.splice(index, 1);
+  workflowDraft.transitions = workflowDraft.transitions.filter(t => t.toStatus !== removed.name && t.fromStatus !== removed.name);
+
+  if (removed.originalName) {
+    const fallback = workflowDraft.statuses.find(s => s.category === removed.category) || workflowDraft.statuses[0];
+    workflowDraft.removed.push({ name: removed.originalName, mapTo: fallback ? fallback.name : '' });
+  }
+  renderWorkflowEditor();
+}
+
+function addWorkflowTransition() {
+  const statuses = workflowDraft.statuses;
+  if (statuses.length === 0) return;
+
+  workflowDraft.transitions.push({
+    fromStatus: null,
+    toStatus: statuses[statuses.length - 1].name,
+    requiresHours: false,
+    requiresChecklistComplete: false,
+    requiresAssignee: false,
+    minRole: null
+  });
+  renderWorkflowTransitionRows();
+}
+
+function updateWorkflowTransition(index, field, value) {
+  workflowDraft.transitions[index][field] = value;
+}
+
+function removeWorkflowTransition(index) {
+  workflowDraft.transitions.splice(index, 1);
+  renderWorkflowTransitionRows();
+}
+
+async function saveWorkflow() {
+  if (!currentProject || !workflowDraft) return;
+
+  // Renamed statuses move their items; removed ones move to the chosen status
+  const statusMapping = {};
+  workflowDraft.statuses.forEach(status => {
+    if (status.originalName && status.originalName !== status.name) {
+      statusMapping[status.originalName] = status.name;
+    }
+  });
+  workflowDraft.removed.forEach(removed => {
+    if (removed.mapTo) statusMapping[removed.name] = removed.mapTo;
+  });
+
+  const payload = {
+    statuses: workflowDraft.statuses.map(({ name, category, color, isInitial, wipLimit }) => ({ name, category, color, isInitial, wipLimit })),
+    transitions: workflowDraft.transitions,
+    statusMapping
+  };
+
+  try {
+    await axios.put(`/api/projects/${currentProject.id}/workflow`, payload, {
+      withCredentials: true
+    });
+    closeWorkflowModal();
+    await loadProjectData(currentProject.id);
+    showToast('Workflow saved', 'success');
+  } catch (error) {
+    console.error('Error saving workflow:', error);
+    const data = error.response?.data;
+    const details = data?.validationErrors?.length ? `\n\n- ${data.validationErrors.join('\n- ')}` : '';
+    alert((data?.error || 'Failed to save workflow') + details);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('manage-workflow-btn')?.addEventListener('click', openWorkflowModal);
+  document.getElementById('closeWorkflowModal')?.addEventListener('click', closeWorkflowModal);
+  document.getElementById('add-workflow-status-btn')?.addEventListener('click', addWorkflowStatus);
+  document.getElementById('add-workflow-transition-btn')?.addEventListener('click', addWorkflowTransition);
+  document.getElementById('save-workflow-btn')?.addEventListener('click', saveWorkflow);
+});
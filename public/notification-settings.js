@@ -40,6 +40,10 @@ async function loadPreferences() {
     document.getElementById('assignments-enabled').checked = currentPreferences.assignments_enabled !== false;
     document.getElementById('status-changes-enabled').checked = currentPreferences.status_changes_enabled !== false;
     document.getElementById('invitations-enabled').checked = currentPreferences.invitations_enabled !== false;
+    document.getElementById('watching-enabled').checked = currentPreferences.watching_enabled !== false;
+    document.getElementById('sla-escalations-enabled').checked = currentPreferences.sla_escalations_enabled !== false;
+    document.getElementById('risk-escalations-enabled').checked = currentPreferences.risk_escalations_enabled !== false;
+    document.getElementById('review-reminders-enabled').checked = currentPreferences.review_reminders_enabled !== false;
     
     const frequency = currentPreferences.email_frequency || 'immediate';
     document.getElementById(`freq-${frequency.replace('_', '-')}`).checked = true;
@@ -71,6 +75,10 @@ async function savePreferences() {
       assignments_enabled: document.getElementById('assignments-enabled').checked,
       status_changes_enabled: document.getElementById('status-changes-enabled').checked,
       invitations_enabled: document.getElementById('invitations-enabled').checked,
+      watching_enabled: document.getElementById('watching-enabled').checked,
+      sla_escalations_enabled: document.getElementById('sla-escalations-enabled').checked,
+      risk_escalations_enabled: document.getElementById('risk-escalations-enabled').checked,
+      review_reminders_enabled: document.getElementById('review-reminders-enabled').checked,
       email_frequency: document.querySelector('input[name="email-frequency"]:checked').value
     };
     
@@ -0,0 +1,533 @@
+// Portfolio
+let dependencyGraph = null;
+let portfolioHealth = null;
+let expandedProjectId = null;
+
+const RAG_STYLES = {
+  red: { badge: 'bg-red-100 text-red-800', dot: 'bg-red-500', label: 'Red' },
+  amber: { badge: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-500', label: 'Amber' },
+  green: { badge: 'bg-green-100 text-green-800', dot: 'bg-green-500', label: 'Green' }
+};
+
+const GRAPH_SIZE = 560;
+const NODE_RADIUS = 34;
+const LINK_COLORS = {
+  critical: '#ef4444',
+  blocking: '#eab308',
+  resolved: '#9ca3af'
+};
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', async () => {
+  await AuthManager.init();
+
+  if (!AuthManager.isAuthenticated) {
+    window.location.href = 'index.html';
+    return;
+  }
+
+  initializeBackButton();
+  document.getElementById('retryBtn')?.addEventListener('click', () => loadPortfolio());
+  document.getElementById('healthGroupBy')?.addEventListener('change', () => loadPortfolioHealth());
+  document.getElementById('healthGroups')?.addEventListener('click', e => {
+    const row = e.target.closest('[data-health-project]');
+    if (row && !e.target.closest('a')) toggleProjectDetail(parseInt(row.dataset.healthProject));
+  });
+
+  await loadPortfolio();
+});
+
+// Initialize standardized back button
+function initializeBackButton() {
+  const container = document.getElementById('backButtonContainer');
+  if (!container) return;
+
+  const backBtn = SharedBackButton.create({
+    href: 'index.html',
+    text: 'Back to Projects',
+    variant: 'light'
+  });
+  container.appendChild(backBtn);
+}
+
+async function loadPortfolio() {
+  showLoading();
+
+  try {
+    const [healthResponse, response] = await Promise.all([
+      fetch(`/api/portfolio/health?groupBy=${currentGroupBy()}`, { credentials: 'include' }),
+      fetch('/api/portfolio/dependency-graph', { credentials: 'include' })
+    ]);
+    if (!healthResponse.ok) throw new Error('Failed to load portfolio health');
+    if (!response.ok) throw new Error('Failed to load portfolio dependencies');
+    portfolioHealth = await healthResponse.json();
+    dependencyGraph = await response.json();
+
+    renderHealthSummary();
+    renderHealthGroups();
+    renderDependencyCycles();
+    renderDependencyGraph();
+    renderScheduleImpact();
+    renderBlockerList();
+
+    document.getElementById('loadingState').classList.add('hidden');
+    document.getElementById('portfolioContent').classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading portfolio:', error);
+    showError(error.message);
+  }
+}
+
+// ============= PROJECT HEALTH =============
+
+function currentGroupBy() {
+  return document.getElementById('healthGroupBy')?.value || 'none';
+}
+
+async function loadPortfolioHealth() {
+  try {
+    const response = await fetch(`/api/portfolio/health?groupBy=${currentGroupBy()}`, {
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to load portfolio health');
+    portfolioHealth = await response.json();
+    renderHealthSummary();
+    renderHealthGroups();
+  } catch (error) {
+    console.error('Error loading portfolio health:', error);
+    document.getElementById('healthGroups').innerHTML =
+      `<p class="text-red-600">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function ragBadge(status) {
+  const style = RAG_STYLES[status];
+  return `
+    <span class="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full ${style.badge}">
+      <span class="w-2 h-2 rounded-full ${style.dot}"></span>${style.label}
+    </span>
+  `;
+}
+
+function renderHealthSummary() {
+  const { summary } = portfolioHealth;
+  const cards = [
+    { label: 'Projects', value: summary.projects, color: 'text-gray-800' },
+    { label: 'Red', value: summary.red, color: 'text-red-600' },
+    { label: 'Amber', value: summary.amber, color: 'text-yellow-600' },
+    { label: 'Green', value: summary.green, color: 'text-green-600' },
+    { label: 'Overdue items', value: summary.overdue, color: 'text-gray-800' },
+    { label: 'AI proposals waiting', value: summary.pendingProposals, color: 'text-gray-800' }
+  ];
+
+  document.getElementById('healthSummary').innerHTML = cards.map(card => `
+    <div class="bg-gray-50 rounded-lg p-4 text-center">
+      <p class="text-2xl font-bold ${card.color}">${card.value}</p>
+      <p class="text-xs text-gray-500 mt-1">${card.label}</p>
+    </div>
+  `).join('');
+}
+
+function formatMoney(amount, currency) {
+  if (amount == null) return '—';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch (error) {
+    return `${Math.round(amount)} ${currency}`;
+  }
+}
+
+function renderBudgetCell(budget) {
+  if (budget.burnPercent == null) {
+    return budget.spent != null
+      ? `<span class="text-gray-600">${formatMoney(budget.spent, budget.currency)} spent</span>`
+      : '<span class="text-gray-400">No budget</span>';
+  }
+  const barColor = budget.burnPercent > 100 ? 'bg-red-500' : 'bg-blue-500';
+  return `
+    <div class="w-32">
+      <div class="flex justify-between text-xs text-gray-600">
+        <span>${budget.burnPercent}%</span>
+        <span>${formatMoney(budget.amount, budget.currency)}</span>
+      </div>
+      <div class="relative h-2 bg-gray-200 rounded mt-1">
+        <div class="h-2 rounded ${barColor}" style="width: ${Math.min(budget.burnPercent, 100)}%"></div>
+        ${budget.elapsedPercent != null
+          ? `<div class="absolute top-[-2px] w-0.5 h-3 bg-gray-700" style="left: ${budget.elapsedPercent}%" title="${budget.elapsedPercent}% of timeline elapsed"></div>`
+          : ''}
+      </div>
+    </div>
+  `;
+}
+
+function renderVarianceCell(schedule) {
+  if (schedule.varianceDays == null) return '<span class="text-gray-400">—</span>';
+  if (schedule.varianceDays > 0) return `<span class="text-red-700">+${schedule.varianceDays}d</span>`;
+  return `<span class="text-green-700">${schedule.varianceDays}d</span>`;
+}
+
+function renderRiskCell(risks) {
+  if (risks.open === 0) return '<span class="text-gray-400">0</span>';
+  const { Critical, High, Medium, Low } = risks.byLevel;
+  return `
+    <span title="Critical / High / Medium / Low">
+      <span class="text-red-700 font-semibold">${Critical}</span> /
+      <span class="text-orange-600">${High}</span> /
+      <span class="text-yellow-600">${Medium}</span> /
+      <span class="text-green-700">${Low}</span>
+    </span>
+  `;
+}
+
+function renderHealthGroups() {
+  const container = document.getElementById('healthGroups');
+  const { groups, projects } = portfolioHealth;
+
+  if (projects.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 italic">You are not a member of any active project.</p>';
+    return;
+  }
+
+  container.innerHTML = groups.map(group => `
+    <div>
+      ${groups.length > 1 || group.key !== 'all' ? `
+        <div class="flex items-center gap-3 mb-2">
+          <h3 class="font-semibold text-gray-800">${escapeHtml(group.label)}</h3>
+          ${ragBadge(group.health)}
+          <span class="text-xs text-gray-500">
+            ${group.totals.projects} projects · ${group.totals.overdue} overdue · ${group.totals.openRisks} open risks
+          </span>
+        </div>
+      ` : ''}
+      <table class="min-w-full text-sm">
+        <thead>
+          <tr class="text-left text-gray-500 border-b">
+            <th class="py-2 pr-4">Project</th>
+            <th class="py-2 pr-4">Health</th>
+            <th class="py-2 pr-4">Owner</th>
+            <th class="py-2 pr-4">Complete</th>
+            <th class="py-2 pr-4">Overdue</th>
+            <th class="py-2 pr-4">Open risks (C/H/M/L)</th>
+            <th class="py-2 pr-4">Schedule variance</th>
+            <th class="py-2 pr-4">AI proposals</th>
+            <th class="py-2 pr-4">Budget burn</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${group.projects.map(p => `
+            <tr class="border-b cursor-pointer hover:bg-gray-50" data-health-project="${p.id}"
+                title="${escapeHtml(p.health.reasons.map(r => r.message).join('\n'))}">
+              <td class="py-2 pr-4 font-medium">
+                <i class="fas fa-chevron-${expandedProjectId === p.id ? 'down' : 'right'} text-gray-400 text-xs mr-1"></i>
+                <a href="index.html?project=${p.id}" class="text-blue-700 hover:underline">${escapeHtml(p.name)}</a>
+                ${p.tags.map(tag => `<span class="ml-1 text-xs px-1.5 py-0.5 rounded bg-gray-100 text-gray-600">${escapeHtml(tag)}</span>`).join('')}
+              </td>
+              <td class="py-2 pr-4">${ragBadge(p.health.status)}</td>
+              <td class="py-2 pr-4">${p.owner ? escapeHtml(p.owner.name) : '<span class="text-gray-400">—</span>'}</td>
+              <td class="py-2 pr-4">${p.completionRate}%</td>
+              <td class="py-2 pr-4 ${p.overdue > 0 ? 'text-red-700 font-semibold' : ''}">${p.overdue}</td>
+              <td class="py-2 pr-4">${renderRiskCell(p.risks)}</td>
+              <td class="py-2 pr-4">${renderVarianceCell(p.schedule)}</td>
+              <td class="py-2 pr-4">${p.pendingProposals}</td>
+              <td class="py-2 pr-4">${renderBudgetCell(p.budget)}</td>
+            </tr>
+            ${expandedProjectId === p.id ? `
+              <tr><td colspan="9" class="bg-gray-50 p-4" data-health-detail="${p.id}">
+                <p class="text-gray-500 text-sm">Loading...</p>
+              </td></tr>
+            ` : ''}
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+
+  if (expandedProjectId) loadProjectDetail(expandedProjectId);
+}
+
+function toggleProjectDetail(projectId) {
+  expandedProjectId = expandedProjectId === projectId ? null : projectId;
+  renderHealthGroups();
+}
+
+async function loadProjectDetail(projectId) {
+  try {
+    const response = await fetch(`/api/portfolio/health/${projectId}`, { credentials: 'include' });
+    if (!response.ok) throw new Error('Failed to load project health');
+    const detail = await response.json();
+    document.querySelectorAll(`[data-health-detail="${projectId}"]`).forEach(cell => {
+      cell.innerHTML = renderProjectDetail(detail);
+    });
+  } catch (error) {
+    console.error('Error loading project health detail:', error);
+    document.querySelectorAll(`[data-health-detail="${projectId}"]`).forEach(cell => {
+      cell.innerHTML = `<p class="text-red-600 text-sm">${escapeHtml(error.message)}</p>`;
+    });
+  }
+}
+
+function renderProjectDetail(detail) {
+  const { project, overdueItems, openRisks, pendingProposals, lateTasks } = detail;
+  const list = (title, rows, render, emptyText) => `
+    <div>
+      <p class="font-semibold text-gray-700 mb-1">${title} (${rows.length})</p>
+      ${rows.length === 0
+        ? `<p class="text-gray-400 italic">${emptyText}</p>`
+        : `<ul class="space-y-1">${rows.slice(0, 10).map(render).join('')}</ul>
+           ${rows.length > 10 ? `<p class="text-xs text-gray-500 mt-1">and ${rows.length - 10} more</p>` : ''}`}
+    </div>
+  `;
+
+  return `
+    <div class="text-sm">
+      ${project.health.reasons.length > 0 ? `
+        <ul class="mb-4 space-y-1">
+          ${project.health.reasons.map(reason => `<li>${ragBadge(reason.status)} ${escapeHtml(reason.message)}</li>`).join('')}
+        </ul>
+      ` : '<p class="mb-4 text-green-700">All health checks are within thresholds.</p>'}
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+        ${list('Overdue items', overdueItems, item => `
+          <li>
+            <span class="text-gray-400">${item.item_type}#${item.id}</span>
+            ${escapeHtml(item.title)}
+            <span class="text-xs text-red-700">due ${String(item.due_date).slice(0, 10)}</span>
+            ${item.assignee ? `<span class="text-xs text-gray-500">· ${escapeHtml(item.assignee)}</span>` : ''}
+          </li>
+        `, 'Nothing overdue')}
+        ${list('Open risks', openRisks, risk => `
+          <li>
+            <span class="text-gray-400">${escapeHtml(risk.risk_id)}</span>
+            ${escapeHtml(risk.title)}
+            <span class="text-xs text-gray-500">(${escapeHtml(risk.risk_level || 'Unrated')}, ${escapeHtml(risk.status)})</span>
+          </li>
+        `, 'No open risks')}
+        ${list('Late scheduled tasks', lateTasks, task => `
+          <li>
+            <span class="text-gray-400">${task.item_type}#${task.item_id}</span>
+            ${task.days_late} days late${task.is_critical_path ? ' · <span class="text-red-700">critical path</span>' : ''}
+          </li>
+        `, 'No late tasks in the active schedule')}
+        ${list('AI proposals awaiting review', pendingProposals, proposal => `
+          <li>
+            <span class="text-gray-400">${escapeHtml(proposal.entity_type)}</span>
+            ${escapeHtml(proposal.title || 'Untitled')}
+            ${proposal.confidence != null ? `<span class="text-xs text-gray-500">(${Math.round(proposal.confidence * 100)}% confidence)</span>` : ''}
+          </li>
+        `, 'No pending proposals')}
+      </div>
+      <div class="mt-4 flex gap-4">
+        <a href="index.html?project=${project.id}" class="text-blue-700 hover:underline">Open board</a>
+        <a href="dashboard.html?projectId=${project.id}" class="text-blue-700 hover:underline">Project dashboard</a>
+        <a href="risks.html?projectId=${project.id}" class="text-blue-700 hover:underline">Risk register</a>
+        <a href="schedules.html?projectId=${project.id}" class="text-blue-700 hover:underline">Schedules</a>
+      </div>
+    </div>
+  `;
+}
+
+// ============= CROSS-PROJECT DEPENDENCIES =============
+
+function linkColor(link) {
+  if (link.criticalPathImpactDays > 0) return LINK_COLORS.critical;
+  if (link.blocking > 0) return LINK_COLORS.blocking;
+  return LINK_COLORS.resolved;
+}
+
+/**
+ * Projects on a circle, one arrow per project pair (prerequisite → dependent)
+ */
+function renderDependencyGraph() {
+  const container = document.getElementById('dependencyGraph');
+  const { projects, links } = dependencyGraph;
+  const linked = projects.filter(p => p.inbound > 0 || p.outbound > 0);
+
+  if (linked.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 italic">No dependencies between your projects.</p>';
+    return;
+  }
+
+  const center = GRAPH_SIZE / 2;
+  const orbit = center - NODE_RADIUS - 30;
+  const positions = new Map(linked.map((project, index) => {
+    const angle = (2 * Math.PI * index) / linked.length - Math.PI / 2;
+    return [project.id, { x: center + orbit * Math.cos(angle), y: center + orbit * Math.sin(angle) }];
+  }));
+
+  const arrows = links.map(link => {
+    const from = positions.get(link.fromProjectId);
+    const to = positions.get(link.toProjectId);
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const ux = (to.x - from.x) / length;
+    const uy = (to.y - from.y) / length;
+    const color = linkColor(link);
+    const label = link.criticalPathImpactDays > 0
+      ? `${link.count} (+${link.criticalPathImpactDays}d)`
+      : `${link.count}`;
+
+    return `
+      <g>
+        <title>${link.blocking} open of ${link.count} dependencies${link.criticalPathImpactDays > 0 ? `, critical path +${link.criticalPathImpactDays} days` : ''}</title>
+        <line x1="${from.x + ux * NODE_RADIUS}" y1="${from.y + uy * NODE_RADIUS}"
+              x2="${to.x - ux * (NODE_RADIUS + 6)}" y2="${to.y - uy * (NODE_RADIUS + 6)}"
+              stroke="${color}" stroke-width="${Math.min(2 + link.count, 8)}" marker-end="url(#arrow-${color.slice(1)})" />
+        <text x="${(from.x + to.x) / 2}" y="${(from.y + to.y) / 2 - 6}" text-anchor="middle"
+              class="text-xs" fill="#374151">${label}</text>
+      </g>
+    `;
+  }).join('');
+
+  const nodes = linked.map(project => {
+    const { x, y } = positions.get(project.id);
+    const impacted = project.criticalPathImpactDays > 0;
+    return `
+      <g class="cursor-pointer" onclick="window.location.href='index.html?project=${project.id}'">
+        <title>${escapeHtml(project.name)}: blocked by ${project.blockedBy}, blocking ${project.blocking}</title>
+        <circle cx="${x}" cy="${y}" r="${NODE_RADIUS}" fill="${impacted ? '#fee2e2' : '#dbeafe'}"
+                stroke="${impacted ? '#ef4444' : '#3b82f6'}" stroke-width="2" />
+        <text x="${x}" y="${y + 4}" text-anchor="middle" class="text-xs font-medium" fill="#1f2937">
+          ${escapeHtml(truncate(project.name, 12))}
+        </text>
+      </g>
+    `;
+  }).join('');
+
+  const markers = Object.values(LINK_COLORS).map(color => `
+    <marker id="arrow-${color.slice(1)}" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+      <path d="M0,0 L10,5 L0,10 z" fill="${color}" />
+    </marker>
+  `).join('');
+
+  container.innerHTML = `
+    <svg width="${GRAPH_SIZE}" height="${GRAPH_SIZE}" class="mx-auto block">
+      <defs>${markers}</defs>
+      ${arrows}
+      ${nodes}
+    </svg>
+  `;
+}
+
+function renderDependencyCycles() {
+  const container = document.getElementById('dependencyCycles');
+  const { cycles } = dependencyGraph;
+
+  container.innerHTML = cycles.length === 0 ? '' : `
+    <div class="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+      <p class="font-semibold text-red-800 mb-2">
+        <i class="fas fa-sync-alt mr-1"></i>Circular dependencies across projects
+      </p>
+      <ul class="text-sm text-red-700 list-disc ml-5">
+        ${cycles.map(cycle => `<li>${escapeHtml(cycle)}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+function renderScheduleImpact() {
+  const container = document.getElementById('scheduleImpact');
+  const projects = dependencyGraph.projects.filter(p => p.inbound > 0 || p.outbound > 0);
+
+  if (projects.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 italic">No cross-project dependencies.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="min-w-full text-sm">
+      <thead>
+        <tr class="text-left text-gray-500 border-b">
+          <th class="py-2 pr-4">Project</th>
+          <th class="py-2 pr-4">Blocked by</th>
+          <th class="py-2 pr-4">Blocking</th>
+          <th class="py-2 pr-4">Active schedule</th>
+          <th class="py-2 pr-4">Planned end</th>
+          <th class="py-2 pr-4">Projected end</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${projects.map(p => `
+          <tr class="border-b">
+            <td class="py-2 pr-4 font-medium">
+              <a href="index.html?project=${p.id}" class="text-blue-700 hover:underline">${escapeHtml(p.name)}</a>
+            </td>
+            <td class="py-2 pr-4">${p.blockedBy}</td>
+            <td class="py-2 pr-4">${p.blocking}</td>
+            <td class="py-2 pr-4">
+              ${p.schedule
+                ? `<a href="schedules.html?projectId=${p.id}" class="text-blue-700 hover:underline">${escapeHtml(p.schedule.name)} v${p.schedule.version}</a>`
+                : '<span class="text-gray-400">None</span>'}
+            </td>
+            <td class="py-2 pr-4">${p.schedule?.endDate || '—'}</td>
+            <td class="py-2 pr-4">
+              ${p.schedule?.projectedEndDate || '—'}
+              ${p.criticalPathImpactDays > 0
+                ? `<span class="ml-2 text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-800">+${p.criticalPathImpactDays} days</span>`
+                : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderBlockerList() {
+  const container = document.getElementById('blockerList');
+  const projectNames = new Map(dependencyGraph.projects.map(p => [p.id, p.name]));
+  const blockers = dependencyGraph.edges
+    .filter(e => e.blocking)
+    .sort((a, b) => (b.onCriticalPath - a.onCriticalPath) || (b.slipDays - a.slipDays));
+
+  if (blockers.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 italic">No open blockers between projects.</p>';
+    return;
+  }
+
+  const itemLabel = side => `
+    <span class="text-gray-500">${escapeHtml(projectNames.get(side.projectId) || '')}</span>
+    <span class="text-gray-400">${side.type}#${side.id}</span>
+    ${escapeHtml(side.title)}
+    <span class="text-xs text-gray-500">(${escapeHtml(side.status)})</span>
+  `;
+
+  container.innerHTML = `
+    <ul class="space-y-2 text-sm">
+      ${blockers.map(edge => `
+        <li class="p-3 rounded-lg border ${edge.onCriticalPath && edge.slipDays > 0 ? 'border-red-200 bg-red-50' : 'border-gray-200'}">
+          <div>${itemLabel(edge.dependent)}</div>
+          <div class="ml-4 text-gray-600">waits for ${itemLabel(edge.prerequisite)}</div>
+          <div class="ml-4 mt-1 text-xs text-gray-500">
+            ${edge.prerequisiteFinish ? `Prerequisite finishes ${edge.prerequisiteFinish}` : 'Prerequisite has no planned finish'}
+            ${edge.slipDays > 0 ? ` · pushes dependent back ${edge.slipDays} days` : ''}
+            ${edge.onCriticalPath ? ' · on critical path' : ''}
+          </div>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+// Helper: Escape HTML
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Show loading state
+function showLoading() {
+  document.getElementById('loadingState').classList.remove('hidden');
+  document.getElementById('portfolioContent').classList.add('hidden');
+  document.getElementById('errorState').classList.add('hidden');
+}
+
+function showError(message) {
+  document.getElementById('loadingState').classList.add('hidden');
+  document.getElementById('portfolioContent').classList.add('hidden');
+  document.getElementById('errorState').classList.remove('hidden');
+  document.getElementById('errorMessage').textContent = message;
+}
@@ -412,7 +412,7 @@ router.get('/attachments/:attachmentId/download', async (req, res) => {
     const { attachmentId } = req.params;
 
     const result = await pool.query(`
-      SELECT file_path, original_name, file_type
+      SELECT file_path, original_name, file_type, purged_at
       FROM attachments
       WHERE id = $1
     `, [attachmentId]);
@@ -421,7 +421,11 @@ router.get('/attachments/:attachmentId/download', async (req, res) => {
       return res.status(404).json({ error: 'Attachment not found' });
     }
 
-    const { file_path, original_name, file_type } = result.rows[0];
+    const { file_path, original_name, file_type, purged_at } = result.rows[0];
+
+    if (purged_at) {
+      return res.status(410).json({ error: 'File was removed by the project retention policy' });
+    }
 
     res.download(file_path, original_name);
   } catch (error) {
@@ -0,0 +1,137 @@
+/**
+ * Blueprint Routes
+ *
+ * Save a project's structure as a blueprint and create projects from blueprints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const blueprintService = require('../services/blueprint-service');
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * A blueprint carries its source project's structure and backlog, so only its
+ * author and members of that project can read or reuse it
+ */
+async function canUseBlueprint(blueprint, user) {
+  if (blueprint.createdBy === user.id) return true;
+  return hasProjectAccess(user.id, blueprint.sourceProjectId, user.role);
+}
+
+/**
+ * GET /api/blueprints
+ * Blueprints visible to the user with a summary of what each one contains
+ */
+router.get('/blueprints', requireRole('Project Manager'), async (req, res) => {
+  try {
+    res.json(await blueprintService.listBlueprints(req.user.id, req.user.role));
+  } catch (error) {
+    console.error('Error fetching blueprints:', error);
+    res.status(500).json({ error: 'Failed to fetch blueprints' });
+  }
+});
+
+/**
+ * GET /api/blueprints/:id
+ * One blueprint including its full definition
+ */
+router.get('/blueprints/:id', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const blueprint = await blueprintService.getBlueprint(req.params.id, { includeDefinition: true });
+    if (!blueprint) {
+      return res.status(404).json({ error: 'Blueprint not found' });
+    }
+    if (!(await canUseBlueprint(blueprint, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    res.json(blueprint);
+  } catch (error) {
+    console.error('Error fetching blueprint:', error);
+    res.status(500).json({ error: 'Failed to fetch blueprint' });
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/blueprints
+ * Body: { name, description }
+ * Saves the project's current structure and backlog as a new blueprint
+ */
+router.post('/projects/:projectId/blueprints', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { name, description } = req.body;
+    const blueprint = await blueprintService.saveBlueprint(projectId, { name, description }, req.user.id);
+    res.status(201).json(blueprint);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    if (error.statusCode === 404) return res.status(404).json({ error: error.message });
+    console.error('Error saving blueprint:', error);
+    res.status(500).json({ error: 'Failed to save blueprint' });
+  }
+});
+
+/**
+ * POST /api/blueprints/:id/projects
+ * Body: { name, description, startDate (YYYY-MM-DD), includeItems }
+ * Creates a new project from the blueprint; with includeItems the backlog
+ * skeletons come along, due dates shifted to startDate
+ */
+router.post('/blueprints/:id/projects', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const blueprint = await blueprintService.getBlueprint(req.params.id);
+    if (!blueprint) {
+      return res.status(404).json({ error: 'Blueprint not found' });
+    }
+    if (!(await canUseBlueprint(blueprint, req.user))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { name, description, startDate, includeItems } = req.body;
+    const result = await blueprintService.createProjectFromBlueprint(
+      req.params.id,
+      { name, description, startDate, includeItems: Boolean(includeItems) },
+      req.user.id
+    );
+    if (!result) {
+      return res.status(404).json({ error: 'Blueprint not found' });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error creating project from blueprint:', error);
+    res.status(500).json({ error: 'Failed to create project from blueprint' });
+  }
+});
+
+/**
+ * DELETE /api/blueprints/:id
+ * Only the blueprint's author or a System Administrator can delete it
+ */
+router.delete('/blueprints/:id', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const blueprint = await blueprintService.getBlueprint(req.params.id);
+    if (!blueprint) {
+      return res.status(404).json({ error: 'Blueprint not found' });
+    }
+    if (blueprint.createdBy !== req.user.id && req.user.role !== 'System Administrator') {
+      return res.status(403).json({ error: 'Only the author or a System Administrator can delete this blueprint' });
+    }
+
+    await blueprintService.deleteBlueprint(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting blueprint:', error);
+    res.status(500).json({ error: 'Failed to delete blueprint' });
+  }
+});
+
+module.exports = router;
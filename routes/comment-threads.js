@@ -0,0 +1,197 @@
+/**
+ * Comment Thread Routes
+ *
+ * Threaded comments on issues, action items and checklists: the thread list,
+ * reactions, resolving threads and edit history. Issue and action item
+ * comments are still created, edited and deleted by the routes in server.js;
+ * checklist comments are edited and deleted here.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db');
+const { ROLE_HIERARCHY, hasProjectAccess } = require('../middleware/auth');
+const commentThreadService = require('../services/comment-thread-service');
+
+// URL segment -> comment_type
+const ITEM_PATHS = {
+  'issues': 'issue',
+  'action-items': 'action-item',
+  'checklists': 'checklist'
+};
+
+const ITEM_PATH = `:itemPath(${Object.keys(ITEM_PATHS).join('|')})`;
+
+/**
+ * Same rule as deleting a comment: its author, or Project Manager and above
+ */
+function canModerate(user, authorId) {
+  return authorId === user.id || (ROLE_HIERARCHY[user.role] || 0) >= ROLE_HIERARCHY['Project Manager'];
+}
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * Load the comment named in the URL and check the user can see its project.
+ * Sends the error response and returns null when they can't.
+ */
+async function loadAccessibleComment(req, res) {
+  const commentType = ITEM_PATHS[req.params.itemPath];
+  const comment = await commentThreadService.getComment(commentType, req.params.itemId, req.params.commentId);
+  if (!comment) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  const hasAccess = await hasProjectAccess(req.user.id, comment.project_id, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return { commentType, comment };
+}
+
+/**
+ * GET /api/:itemPath/:itemId/comments
+ * itemPath is issues, action-items or checklists. Comments in thread order:
+ * each thread's first comment followed by its replies, with thread_id,
+ * thread_resolved, reactions and edit_count on every comment.
+ */
+router.get(`/${ITEM_PATH}/:itemId/comments`, async (req, res) => {
+  try {
+    const commentType = ITEM_PATHS[req.params.itemPath];
+    const { itemId } = req.params;
+
+    const projectId = await commentThreadService.getItemProjectId(commentType, itemId);
+    if (!projectId) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const comments = await commentThreadService.listComments(commentType, itemId, req.user.id);
+    res.json(comments);
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * POST /api/:itemPath/:itemId/comments/:commentId/reactions
+ * Body: { emoji }. Adds the reaction, or removes it if the user already
+ * reacted with that emoji. Returns the comment's reactions.
+ */
+router.post(`/${ITEM_PATH}/:itemId/comments/:commentId/reactions`, async (req, res) => {
+  try {
+    const loaded = await loadAccessibleComment(req, res);
+    if (!loaded) return;
+
+    const reactions = await commentThreadService.toggleReaction(
+      loaded.commentType, loaded.comment.id, req.user.id, req.body.emoji
+    );
+    res.json({ commentId: loaded.comment.id, reactions });
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error updating reaction:', error);
+    res.status(500).json({ error: 'Failed to update reaction' });
+  }
+});
+
+/**
+ * PUT /api/:itemPath/:itemId/comments/:commentId/resolve
+ * Body: { resolved }. Resolves or reopens the whole thread the comment is in;
+ * allowed for whoever started the thread and Project Managers and above.
+ */
+router.put(`/${ITEM_PATH}/:itemId/comments/:commentId/resolve`, async (req, res) => {
+  try {
+    const loaded = await loadAccessibleComment(req, res);
+    if (!loaded) return;
+
+    const root = await commentThreadService.getThreadRoot(loaded.commentType, loaded.comment.id);
+    if (!canModerate(req.user, root.author_id)) {
+      return res.status(403).json({ error: 'Only the thread author or a manager can resolve this thread' });
+    }
+
+    const resolved = req.body.resolved !== false;
+    const thread = await commentThreadService.setThreadResolved(loaded.commentType, root.id, req.user.id, resolved);
+    res.json(thread);
+  } catch (error) {
+    console.error('Error resolving thread:', error);
+    res.status(500).json({ error: 'Failed to update thread' });
+  }
+});
+
+/**
+ * GET /api/:itemPath/:itemId/comments/:commentId/history
+ * Earlier versions of the comment, oldest first
+ */
+router.get(`/${ITEM_PATH}/:itemId/comments/:commentId/history`, async (req, res) => {
+  try {
+    const loaded = await loadAccessibleComment(req, res);
+    if (!loaded) return;
+
+    const history = await commentThreadService.getEditHistory(loaded.commentType, loaded.comment.id);
+    res.json({ current: loaded.comment.comment, history });
+  } catch (error) {
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({ error: 'Failed to fetch comment history' });
+  }
+});
+
+/**
+ * PUT /api/checklists/:itemId/comments/:commentId
+ * Body: { comment }. Authors only; the old text goes to the edit history.
+ */
+router.put('/:itemPath(checklists)/:itemId/comments/:commentId', async (req, res) => {
+  try {
+    const { comment } = req.body;
+    if (!comment || comment.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment cannot be empty' });
+    }
+
+    const loaded = await loadAccessibleComment(req, res);
+    if (!loaded) return;
+
+    if (loaded.comment.author_id !== req.user.id) {
+      return res.status(403).json({ error: 'Can only edit your own comments' });
+    }
+
+    const updated = await commentThreadService.editComment('checklist', loaded.comment.id, comment, req.user.id);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+/**
+ * DELETE /api/checklists/:itemId/comments/:commentId
+ * Its author or Project Manager and above; replies go with it
+ */
+router.delete('/:itemPath(checklists)/:itemId/comments/:commentId', async (req, res) => {
+  try {
+    const loaded = await loadAccessibleComment(req, res);
+    if (!loaded) return;
+
+    if (!canModerate(req.user, loaded.comment.author_id)) {
+      return res.status(403).json({
+        error: 'Can only delete your own comments unless you are a manager'
+      });
+    }
+
+    await pool.query('DELETE FROM checklist_comments WHERE id = $1', [loaded.comment.id]);
+    res.json({ success: true, message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
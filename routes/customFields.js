@@ -0,0 +1,106 @@
+/**
+ * Custom Field Routes
+ *
+ * Project-defined fields on issues and action items
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const customFieldsService = require('../services/custom-fields-service');
+
+/**
+ * GET /api/projects/:projectId/custom-fields
+ * Active field definitions. ?itemType=issue|action-item limits to one item type.
+ */
+router.get('/projects/:projectId/custom-fields', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const fields = await customFieldsService.getFieldDefinitions(projectId, {
+      itemType: req.query.itemType || null
+    });
+    res.json(fields);
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/custom-fields
+ * Body: { name, key?, type, appliesTo, options, required, defaultValue, validation, showInTable }
+ */
+router.post('/projects/:projectId/custom-fields', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const field = await customFieldsService.createFieldDefinition(projectId, req.body, req.user.id);
+    res.status(201).json(field);
+  } catch (error) {
+    if (error.message.startsWith('Invalid custom field')) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error creating custom field:', error);
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/custom-fields/:fieldId
+ * The key and type of an existing field cannot be changed.
+ */
+router.put('/projects/:projectId/custom-fields/:fieldId', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId, fieldId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const field = await customFieldsService.updateFieldDefinition(projectId, parseInt(fieldId), req.body);
+    if (!field) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    res.json(field);
+  } catch (error) {
+    if (error.message.startsWith('Invalid custom field')) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error updating custom field:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+});
+
+/**
+ * DELETE /api/projects/:projectId/custom-fields/:fieldId
+ * Removes the field and its values from every item in the project.
+ */
+router.delete('/projects/:projectId/custom-fields/:fieldId', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId, fieldId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const deleted = await customFieldsService.deleteFieldDefinition(projectId, parseInt(fieldId));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    res.json({ message: 'Custom field deleted' });
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Decision Record Routes
+ *
+ * Supersession lineage for decisions, and the decision log exported as or
+ * imported from Markdown Architecture Decision Records (ADRs)
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const decisionRecordService = require('../services/decision-record-service');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+});
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * GET /api/decisions/:id/lineage
+ * Returns { projectId, chain, original, current }: chain runs from the
+ * original decision(s) to the one that currently stands, each entry
+ * { id, decisionId, title, status, decidedDate, supersededBy, position }
+ */
+router.get('/decisions/:id/lineage', async (req, res) => {
+  try {
+    const decisionId = parseInt(req.params.id);
+    if (isNaN(decisionId)) {
+      return res.status(400).json({ error: 'Invalid decision ID' });
+    }
+
+    const lineage = await decisionRecordService.getDecisionLineage(decisionId);
+    if (!lineage) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, lineage.projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(lineage);
+  } catch (error) {
+    console.error('Error fetching decision lineage:', error);
+    res.status(500).json({ error: 'Failed to fetch decision lineage' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/decisions/supersession-graph
+ * Returns { nodes, edges } for every decision that superseded or was
+ * superseded by another; edges run { from: superseded, to: replacement }
+ */
+router.get('/projects/:projectId/decisions/supersession-graph', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await decisionRecordService.getSupersessionGraph(projectId));
+  } catch (error) {
+    console.error('Error fetching supersession graph:', error);
+    res.status(500).json({ error: 'Failed to fetch supersession graph' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/decisions/adr-export
+ * Downloads the decision log as a zip of Markdown ADRs with a README index
+ */
+router.get('/projects/:projectId/decisions/adr-export', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const adrExport = await decisionRecordService.exportAdrZip(projectId);
+    if (!adrExport) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${adrExport.fileName}"`);
+    res.send(adrExport.buffer);
+  } catch (error) {
+    console.error('Error exporting ADRs:', error);
+    res.status(500).json({ error: 'Failed to export decisions' });
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/decisions/adr-import
+ * Multipart: file (a Markdown ADR or a zip of them)
+ * Returns { imported, decisions, supersessions, skipped: [{ file, reason }] }
+ */
+router.post('/projects/:projectId/decisions/adr-import', requireRole('Team Lead'), upload.single('file'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const result = await decisionRecordService.importAdrs(projectId, req.file.buffer, req.file.originalname, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error importing ADRs:', error);
+    res.status(500).json({ error: 'Failed to import decisions' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { Pool } = require('@neondatabase/serverless');
 const joi = require('joi');
+const { ROLE_HIERARCHY } = require('../middleware/auth');
+const trashService = require('../services/trash-service');
+const watcherService = require('../services/watcher-service');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -167,6 +170,11 @@ router.patch('/decisions/:id', async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
+    const existing = await pool.query('SELECT * FROM decisions WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+
     // Build dynamic update query
     const updates = [];
     const params = [];
@@ -193,6 +201,10 @@ router.patch('/decisions/:id', async (req, res) => {
       return res.status(404).json({ error: 'Decision not found' });
     }
 
+    // Tell watchers what changed
+    watcherService.notifyItemChanges('decision', existing.rows[0], result.rows[0], req.user)
+      .catch(err => console.error('Error notifying watchers:', err));
+
     res.json(result.rows[0]);
   } catch (err) {
     console.error('Error updating decision:', err);
@@ -200,6 +212,31 @@ router.patch('/decisions/:id', async (req, res) => {
   }
 });
 
+// DELETE /api/decisions/:id - Move a decision to the trash
+router.delete('/decisions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await pool.query('SELECT created_by FROM decisions WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+
+    // Creator or Team Lead+
+    const isCreator = parseInt(existing.rows[0].created_by) === parseInt(req.user.id);
+    const hasRolePermission = (ROLE_HIERARCHY[req.user.role] || 0) >= ROLE_HIERARCHY['Team Lead'];
+    if (!isCreator && !hasRolePermission) {
+      return res.status(403).json({ error: 'Only the creator or Team Lead+ can delete this decision' });
+    }
+
+    const trashed = await trashService.trashItem('decision', parseInt(id), req.user.id);
+    res.json({ message: 'Decision moved to trash', trashId: trashed?.id });
+  } catch (err) {
+    console.error('Error deleting decision:', err);
+    res.status(500).json({ error: 'Failed to delete decision' });
+  }
+});
+
 // POST /api/decisions/:id/supersede - Supersede a decision with a new one
 router.post('/decisions/:id/supersede', async (req, res) => {
   try {
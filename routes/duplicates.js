@@ -0,0 +1,88 @@
+/**
+ * Duplicate Routes
+ *
+ * Possible-duplicate checks while creating items, and merging issues
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db');
+const { hasProjectAccess } = require('../middleware/auth');
+const duplicateService = require('../services/duplicate-service');
+
+/**
+ * POST /api/projects/:projectId/duplicates/check
+ * Body: { title, description?, itemType?, excludeId? }
+ * Returns { duplicates: [{ itemType, id, title, status, assignee, score, match, matchedBy }] }
+ */
+router.post('/projects/:projectId/duplicates/check', async (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { title, description, itemType, excludeId } = req.body;
+    if (!title || typeof title !== 'string') {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    const duplicates = await duplicateService.findPossibleDuplicates(
+      projectId,
+      { title, description },
+      { excludeType: itemType, excludeId }
+    );
+    res.json({ duplicates });
+  } catch (error) {
+    console.error('Error checking for duplicates:', error);
+    res.status(500).json({ error: 'Failed to check for duplicates' });
+  }
+});
+
+/**
+ * POST /api/issues/:id/merge
+ * Body: { targetId }
+ * Folds issue :id into targetId and sends :id to the trash. Needs the rights
+ * to delete :id and to edit targetId.
+ */
+router.post('/issues/:id/merge', async (req, res) => {
+  try {
+    const sourceId = parseInt(req.params.id);
+    const targetId = parseInt(req.body.targetId);
+    if (!targetId) {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+
+    const issues = await pool.query(
+      'SELECT id, project_id, created_by, assignee FROM issues WHERE id = ANY($1::int[])',
+      [[sourceId, targetId]]
+    );
+    const source = issues.rows.find(r => r.id === sourceId);
+    const target = issues.rows.find(r => r.id === targetId);
+    if (!source) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, source.project_id, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const denied = duplicateService.mergePermissionError(source, target, req.user);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    const result = await duplicateService.mergeIssues(sourceId, targetId, req.user.id);
+    res.json(result);
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, details: error.validationErrors });
+    }
+    console.error('Error merging issues:', error);
+    res.status(500).json({ error: 'Failed to merge issues' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Import Routes
+ *
+ * Bulk import of issues and action items from CSV and Jira / Trello / Asana exports
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const importService = require('../services/import-service');
+
+/**
+ * POST /api/projects/:projectId/import
+ * Body: { format?, content, mapping?, defaultItemType?, dryRun? }
+ *   format: csv | jira | trello | asana (detected from content when omitted)
+ *   mapping: { [csvHeader]: field } where field is an import field or "cf:<key>"
+ * With dryRun the parsed items, errors and warnings are returned and nothing is saved.
+ */
+router.post('/projects/:projectId/import', requireRole('Team Lead'), async (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { format, content, mapping, defaultItemType, dryRun = false } = req.body;
+    if (defaultItemType && !['issue', 'action-item'].includes(defaultItemType)) {
+      return res.status(400).json({ error: 'defaultItemType must be issue or action-item' });
+    }
+    const options = { format, content, mapping, defaultItemType };
+
+    if (dryRun) {
+      const preview = await importService.previewImport(projectId, options);
+      return res.json({ dryRun: true, ...preview });
+    }
+
+    const result = await importService.runImport(projectId, options, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.message.startsWith('Invalid import')) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error importing items:', error);
+    res.status(500).json({ error: 'Failed to import items' });
+  }
+});
+
+module.exports = router;
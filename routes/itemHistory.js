@@ -0,0 +1,47 @@
+/**
+ * Item History Routes
+ *
+ * Field-level change timeline for issues and action items
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const changeHistoryService = require('../services/change-history-service');
+
+// URL segment -> internal item type
+const ITEM_TYPES = {
+  'issues': 'issue',
+  'action-items': 'action-item'
+};
+
+/**
+ * GET /api/:itemType/:id/history
+ * itemType is "issues" or "action-items". Returns field changes newest first;
+ * each change includes the PATCH body (revertPatch) that restores its old value.
+ */
+router.get('/:itemType/:id/history', async (req, res, next) => {
+  const itemType = ITEM_TYPES[req.params.itemType];
+  if (!itemType) {
+    return next();
+  }
+
+  try {
+    const history = await changeHistoryService.getItemHistory(itemType, parseInt(req.params.id));
+    if (!history) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, history.projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching item history:', error);
+    res.status(500).json({ error: 'Failed to fetch item history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Item Query Routes
+ *
+ * Autocomplete and validation for the filter bar query language. The queries
+ * themselves run through GET /api/issues and /api/action-items with ?q=
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const itemQueryService = require('../services/item-query-service');
+
+/**
+ * GET /api/projects/:projectId/query/suggest?q=...&cursor=N
+ * Completions for the term under the cursor plus any errors in the query,
+ * so the filter bar can flag a malformed query before it is run.
+ */
+router.get('/projects/:projectId/query/suggest', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const query = String(req.query.q || '');
+    const cursor = req.query.cursor !== undefined ? parseInt(req.query.cursor) : query.length;
+
+    const vocabulary = await itemQueryService.getQueryVocabulary(projectId);
+    const completion = itemQueryService.suggestCompletions(query, cursor, vocabulary);
+    const { errors } = itemQueryService.parseQuery(query);
+
+    res.json({ ...completion, errors });
+  } catch (error) {
+    console.error('Error building query suggestions:', error);
+    res.status(500).json({ error: 'Failed to build query suggestions' });
+  }
+});
+
+module.exports = router;
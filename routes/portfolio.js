@@ -0,0 +1,88 @@
+/**
+ * Portfolio Routes
+ *
+ * Views across every project the user belongs to
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const portfolioDependencyService = require('../services/portfolio-dependency-service');
+const portfolioHealthService = require('../services/portfolio-health-service');
+
+/**
+ * Parse ?projectIds=1,2,3 into numbers (null when absent)
+ */
+function parseProjectIds(value) {
+  if (!value) return null;
+  return String(value).split(',').map(id => parseInt(id)).filter(id => !isNaN(id));
+}
+
+/**
+ * GET /api/portfolio/dependency-graph?projectIds=1,2
+ * Inter-project blockers and their effect on each project's active schedule.
+ * Returns { projects, links, edges, cycles }
+ */
+router.get('/portfolio/dependency-graph', async (req, res) => {
+  try {
+    const graph = await portfolioDependencyService.getPortfolioGraph(req.user.id, req.user.role, {
+      projectIds: parseProjectIds(req.query.projectIds)
+    });
+    res.json(graph);
+  } catch (error) {
+    console.error('Error building portfolio dependency graph:', error);
+    res.status(500).json({ error: 'Failed to load portfolio dependencies' });
+  }
+});
+
+/**
+ * GET /api/portfolio/health?groupBy=tag|owner&projectIds=1,2
+ * Overdue work, open risks, schedule variance, pending AI proposals, budget
+ * burn and a RAG status for each project.
+ * Returns { projects, groups, summary }
+ */
+router.get('/portfolio/health', async (req, res) => {
+  try {
+    const health = await portfolioHealthService.getPortfolioHealth(req.user.id, req.user.role, {
+      projectIds: parseProjectIds(req.query.projectIds),
+      groupBy: req.query.groupBy || 'none'
+    });
+    res.json(health);
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error building portfolio health:', error);
+    res.status(500).json({ error: 'Failed to load portfolio health' });
+  }
+});
+
+/**
+ * GET /api/portfolio/health/:projectId
+ * Drill-down: the overdue items, open risks, pending proposals and late
+ * scheduled tasks behind a project's health.
+ */
+router.get('/portfolio/health/:projectId', async (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    if (isNaN(projectId)) {
+      return res.status(400).json({ error: 'Invalid project ID' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied to this project' });
+    }
+
+    const detail = await portfolioHealthService.getProjectHealthDetail(projectId);
+    if (!detail) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(detail);
+  } catch (error) {
+    console.error('Error loading project health detail:', error);
+    res.status(500).json({ error: 'Failed to load project health' });
+  }
+});
+
+module.exports = router;
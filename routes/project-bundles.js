@@ -0,0 +1,79 @@
+/**
+ * Project Bundle Routes
+ *
+ * Full project export as a versioned JSON archive and import of such an
+ * archive as a new project, for moving projects between instances and
+ * offline archival
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const projectBundleService = require('../services/project-bundle-service');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 500 * 1024 * 1024 }
+});
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * GET /api/projects/:projectId/bundle
+ * Downloads the whole project as a gzipped JSON bundle
+ */
+router.get('/projects/:projectId/bundle', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const bundle = await projectBundleService.exportProjectBundle(projectId);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${projectBundleService.bundleFileName(bundle.project.name)}"`);
+    res.send(projectBundleService.serializeBundle(bundle));
+  } catch (error) {
+    console.error('Error exporting project bundle:', error);
+    res.status(500).json({ error: 'Failed to export project bundle' });
+  }
+});
+
+/**
+ * POST /api/project-bundles/import
+ * Multipart: bundle (.json.gz or .json file), name?, dryRun?
+ * Creates a new project from the bundle. With dryRun the bundle is checked
+ * and the counts and user matches are returned without saving anything.
+ */
+router.post('/project-bundles/import', requireRole('Project Manager'), upload.single('bundle'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No bundle file uploaded' });
+    }
+
+    const bundle = projectBundleService.parseBundle(req.file.buffer);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (dryRun) {
+      const preview = await projectBundleService.previewImport(bundle);
+      return res.json({ dryRun: true, ...preview });
+    }
+
+    const result = await projectBundleService.importProjectBundle(bundle, { name: req.body.name }, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error importing project bundle:', error);
+    res.status(500).json({ error: 'Failed to import project bundle' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * Retention Routes
+ *
+ * Retention policies for archived projects: how long transcripts, audio and
+ * attachments are kept, on-demand runs and the exports taken before a purge
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../db');
+const { hasProjectAccess } = require('../middleware/auth');
+const retentionService = require('../services/retention-service');
+
+/**
+ * Same rule as archiving: System Administrators and project Admins
+ */
+async function canManageRetention(user, projectId) {
+  if (user.role === 'System Administrator') return true;
+
+  const result = await pool.query(`
+    SELECT 1 FROM project_members
+    WHERE project_id = $1 AND user_id = $2 AND status = 'active' AND role = 'Admin'
+  `, [projectId, user.id]);
+
+  return result.rows.length > 0;
+}
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * GET /api/projects/:projectId/retention
+ * Policy, when each kind of content will be compacted, and recent runs
+ */
+router.get('/projects/:projectId/retention', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const settings = await retentionService.getRetentionSettings(projectId);
+    if (!settings) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ ...settings, canManage: await canManageRetention(req.user, projectId) });
+  } catch (error) {
+    console.error('Error fetching retention settings:', error);
+    res.status(500).json({ error: 'Failed to fetch retention settings' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/retention
+ * Body: { transcriptDays, audioDays, attachmentDays, exportBeforePurge }
+ * Days count from when the project was archived; null keeps that content.
+ */
+router.put('/projects/:projectId/retention', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (!await canManageRetention(req.user, projectId)) {
+      return res.status(403).json({ error: 'Only project admins can change retention' });
+    }
+
+    const policy = await retentionService.saveRetentionPolicy(projectId, req.body, req.user.id);
+    res.json(policy);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error saving retention policy:', error);
+    res.status(500).json({ error: 'Failed to save retention policy' });
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/retention/run
+ * Compacts whatever is already due instead of waiting for the nightly run.
+ * Returns { run: null } when nothing is due yet.
+ */
+router.post('/projects/:projectId/retention/run', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (!await canManageRetention(req.user, projectId)) {
+      return res.status(403).json({ error: 'Only project admins can run retention' });
+    }
+
+    const settings = await retentionService.getRetentionSettings(projectId);
+    if (!settings) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const run = await retentionService.runProjectRetention(projectId, { userId: req.user.id });
+    res.json({ run });
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error running retention:', error);
+    res.status(500).json({ error: 'Failed to run retention' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/retention/runs/:runId/export
+ * Downloads what a run removed
+ */
+router.get('/projects/:projectId/retention/runs/:runId/export', async (req, res) => {
+  try {
+    const { projectId, runId } = req.params;
+    if (!await canManageRetention(req.user, projectId)) {
+      return res.status(403).json({ error: 'Only project admins can download retention exports' });
+    }
+
+    const exportPath = await retentionService.getRunExportPath(projectId, runId);
+    if (!exportPath || !fs.existsSync(exportPath)) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.download(exportPath, path.basename(exportPath));
+  } catch (error) {
+    console.error('Error downloading retention export:', error);
+    res.status(500).json({ error: 'Failed to download retention export' });
+  }
+});
+
+module.exports = router;
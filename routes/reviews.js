@@ -0,0 +1,123 @@
+/**
+ * Review Cadence Routes
+ *
+ * The signed-in user's queue of risks and decisions due for review,
+ * "reviewed, no change", and each project's review cadence
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const reviewCadenceService = require('../services/review-cadence-service');
+
+const ITEM_TYPES = {
+  'risks': 'risk',
+  'decisions': 'decision'
+};
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * GET /api/reviews/due
+ * Returns [{ itemType, id, key, title, status, projectId, projectName, reviewDate, daysOverdue, cadenceDays }]
+ * for the risks and decisions the caller owns, oldest review date first
+ */
+router.get('/reviews/due', async (req, res) => {
+  try {
+    const items = await reviewCadenceService.getDueReviews(req.user.id);
+    res.json(items.map(({ ownerId, remindedAt, ...item }) => item));
+  } catch (error) {
+    console.error('Error fetching due reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch due reviews' });
+  }
+});
+
+/**
+ * POST /api/risks/:itemId/review
+ * POST /api/decisions/:itemId/review
+ * Body: { notes? }
+ * "Reviewed, no change": the owner (or a manager) rolls the review date
+ * forward by the project cadence. Returns { itemType, id, previousReviewDate, reviewDate }.
+ */
+router.post('/:itemType(risks|decisions)/:itemId/review', async (req, res) => {
+  try {
+    const itemType = ITEM_TYPES[req.params.itemType];
+    const itemId = parseInt(req.params.itemId);
+    if (isNaN(itemId)) {
+      return res.status(400).json({ error: `Invalid ${itemType} ID` });
+    }
+
+    const item = await reviewCadenceService.getReviewItem(itemType, itemId);
+    if (!item) {
+      return res.status(404).json({ error: `${itemType === 'risk' ? 'Risk' : 'Decision'} not found` });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, item.projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const isManager = ['System Administrator', 'Project Manager'].includes(req.user.role);
+    if (!isManager && req.user.id !== item.ownerId) {
+      return res.status(403).json({ error: `Only the ${itemType} owner can mark it reviewed` });
+    }
+
+    const result = await reviewCadenceService.markReviewed(item, req.user.id, { notes: req.body?.notes });
+    res.json(result);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error marking item reviewed:', error);
+    res.status(500).json({ error: 'Failed to mark item reviewed' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/review-cadence
+ * Returns { riskDays, decisionDays }
+ */
+router.get('/projects/:projectId/review-cadence', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const cadence = await reviewCadenceService.getReviewCadence(projectId);
+    if (!cadence) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(cadence);
+  } catch (error) {
+    console.error('Error fetching review cadence:', error);
+    res.status(500).json({ error: 'Failed to fetch review cadence' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/review-cadence
+ * Body: { riskDays?, decisionDays? } - whole days, 1 to 365
+ */
+router.put('/projects/:projectId/review-cadence', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const cadence = await reviewCadenceService.updateReviewCadence(projectId, req.body || {});
+    if (!cadence) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(cadence);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error updating review cadence:', error);
+    res.status(500).json({ error: 'Failed to update review cadence' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Risk Analytics Routes
+ *
+ * Heat map, per-risk score history and project risk exposure trend
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const riskAnalyticsService = require('../services/risk-analytics-service');
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * GET /api/projects/:projectId/risks/heat-map?includeClosed=true
+ * Inherent and residual 5x5 grids; each cell lists its risks for click-through.
+ * Returns { includeClosed, riskCount, inherent, residual }
+ */
+router.get('/projects/:projectId/risks/heat-map', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await riskAnalyticsService.getHeatMap(projectId, {
+      includeClosed: req.query.includeClosed === 'true'
+    }));
+  } catch (error) {
+    console.error('Error building risk heat map:', error);
+    res.status(500).json({ error: 'Failed to load risk heat map' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/risks/exposure-trend?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month
+ * Sum of open risks' inherent and residual scores over time (default: last 90 days, weekly).
+ * Returns { from, to, interval, points: [{ date, inherent, residual, openRisks }] }
+ */
+router.get('/projects/:projectId/risks/exposure-trend', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { from, to, interval } = req.query;
+    res.json(await riskAnalyticsService.getExposureTrend(projectId, { from, to, interval }));
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error building risk exposure trend:', error);
+    res.status(500).json({ error: 'Failed to load risk exposure trend' });
+  }
+});
+
+/**
+ * GET /api/risks/:riskId/score-history
+ * Inherent and residual score at each assessment, oldest first.
+ * Returns { risk, points }
+ */
+router.get('/risks/:riskId/score-history', async (req, res) => {
+  try {
+    const history = await riskAnalyticsService.getRiskScoreHistory(req.params.riskId);
+    if (!history) {
+      return res.status(404).json({ error: 'Risk not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, history.risk.project_id, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching risk score history:', error);
+    res.status(500).json({ error: 'Failed to load risk score history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Risk Link Routes
+ *
+ * Typed links (threatens / mitigated-by) between risks and the issues,
+ * action items and milestones they affect, seen from both sides
+ */
+
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db');
+const { hasProjectAccess } = require('../middleware/auth');
+const riskLinkService = require('../services/risk-link-service');
+
+const ITEM_TYPES = {
+  'issues': 'issue',
+  'action-items': 'action-item'
+};
+
+/**
+ * Same rule as editing the risk: managers edit any risk, other contributors
+ * only risks they own
+ */
+function canEditRisk(user, risk) {
+  if (['System Administrator', 'Project Manager'].includes(user.role)) return true;
+  return ['Team Lead', 'Team Member'].includes(user.role) && user.id === risk.risk_owner_id;
+}
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * Load a risk and check the caller can see its project; sends the error
+ * response and returns null otherwise
+ */
+async function loadRisk(req, res) {
+  const riskId = parseInt(req.params.riskId);
+  if (isNaN(riskId)) {
+    res.status(400).json({ error: 'Invalid risk ID' });
+    return null;
+  }
+
+  const result = await pool.query('SELECT * FROM risks WHERE id = $1', [riskId]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Risk not found' });
+    return null;
+  }
+
+  const risk = result.rows[0];
+  const hasAccess = await hasProjectAccess(req.user.id, risk.project_id, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return risk;
+}
+
+/**
+ * GET /api/risks/:riskId/links
+ * Returns { threatens: [link], mitigatedBy: [link] }; each link has
+ * { id, type, targetType, targetId, title, status, assignee, dueDate, open, escalatedAt, escalationReason }
+ */
+router.get('/risks/:riskId/links', async (req, res) => {
+  try {
+    const risk = await loadRisk(req, res);
+    if (!risk) return;
+
+    res.json(await riskLinkService.getRiskLinks(risk.id));
+  } catch (error) {
+    console.error('Error fetching risk links:', error);
+    res.status(500).json({ error: 'Failed to fetch risk links' });
+  }
+});
+
+/**
+ * POST /api/risks/:riskId/links
+ * Body: { type: 'threatens'|'mitigated_by', targetType: 'issue'|'action-item'|'milestone', targetId }
+ * targetId is the item id, or the PKG node id for a milestone
+ */
+router.post('/risks/:riskId/links', async (req, res) => {
+  try {
+    const risk = await loadRisk(req, res);
+    if (!risk) return;
+
+    if (!canEditRisk(req.user, risk)) {
+      return res.status(403).json({ error: 'Insufficient permissions to edit this risk' });
+    }
+
+    const link = await riskLinkService.createRiskLink(risk, req.body || {}, req.user.id);
+    res.status(201).json(link);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error linking risk:', error);
+    res.status(500).json({ error: 'Failed to link risk' });
+  }
+});
+
+/**
+ * DELETE /api/risks/:riskId/links/:linkId
+ */
+router.delete('/risks/:riskId/links/:linkId', async (req, res) => {
+  try {
+    const risk = await loadRisk(req, res);
+    if (!risk) return;
+
+    if (!canEditRisk(req.user, risk)) {
+      return res.status(403).json({ error: 'Insufficient permissions to edit this risk' });
+    }
+
+    const deleted = await riskLinkService.deleteRiskLink(risk.id, req.params.linkId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unlinking risk:', error);
+    res.status(500).json({ error: 'Failed to unlink risk' });
+  }
+});
+
+/**
+ * GET /api/issues/:itemId/risk-links
+ * GET /api/action-items/:itemId/risk-links
+ * Returns [{ id, type, risk: { id, riskId, title, status, level, probability, impact }, escalatedAt }]
+ */
+router.get('/:itemType(issues|action-items)/:itemId/risk-links', async (req, res) => {
+  try {
+    const itemType = ITEM_TYPES[req.params.itemType];
+    const itemId = parseInt(req.params.itemId);
+    if (isNaN(itemId)) {
+      return res.status(400).json({ error: 'Invalid item ID' });
+    }
+
+    const table = itemType === 'issue' ? 'issues' : 'action_items';
+    const item = await pool.query(`SELECT project_id FROM ${table} WHERE id = $1`, [itemId]);
+    if (item.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, item.rows[0].project_id, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await riskLinkService.getItemRiskLinks(itemType, itemId));
+  } catch (error) {
+    console.error('Error fetching item risk links:', error);
+    res.status(500).json({ error: 'Failed to fetch linked risks' });
+  }
+});
+
+module.exports = router;
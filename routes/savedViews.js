@@ -0,0 +1,170 @@
+/**
+ * Saved View Routes
+ *
+ * Private and shared board / table presets, and each user's default view
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const savedViewsService = require('../services/saved-views-service');
+
+/**
+ * GET /api/projects/:projectId/views
+ * The user's own views and every shared view, with the user's default marked.
+ */
+router.get('/projects/:projectId/views', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const views = await savedViewsService.listViews(projectId, req.user.id);
+    const defaultView = views.find(v => v.isDefault);
+    res.json({
+      views: views.map(v => ({ ...v, canManage: savedViewsService.canManageView(v, req.user) })),
+      defaultViewId: defaultView ? defaultView.id : null
+    });
+  } catch (error) {
+    console.error('Error fetching saved views:', error);
+    res.status(500).json({ error: 'Failed to fetch saved views' });
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/views
+ * Body: { name, visibility: private|shared, definition: { filters, sort, viewMode, columns }, isDefault? }
+ */
+router.post('/projects/:projectId/views', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const view = await savedViewsService.createView(projectId, req.body, req.user.id);
+    res.status(201).json({ ...view, canManage: true });
+  } catch (error) {
+    if (error.message.startsWith('Invalid saved view')) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error creating saved view:', error);
+    res.status(500).json({ error: 'Failed to create saved view' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/views/default
+ * Body: { viewId } - null clears the default
+ */
+router.put('/projects/:projectId/views/default', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const viewId = req.body.viewId ? parseInt(req.body.viewId) : null;
+    const defaultViewId = await savedViewsService.setDefaultView(projectId, req.user.id, viewId);
+    res.json({ defaultViewId });
+  } catch (error) {
+    if (error.message.startsWith('Invalid saved view')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error setting default view:', error);
+    res.status(500).json({ error: 'Failed to set default view' });
+  }
+});
+
+/**
+ * GET /api/views/:viewId
+ * Stable link to a view. "@me" in the filters is resolved for the requesting user.
+ */
+router.get('/views/:viewId', async (req, res) => {
+  try {
+    const view = await savedViewsService.getView(parseInt(req.params.viewId), req.user.id);
+    if (!view || !savedViewsService.canSeeView(view, req.user)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, view.projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      ...view,
+      canManage: savedViewsService.canManageView(view, req.user),
+      resolvedFilters: savedViewsService.resolveViewFilters(view.definition.filters || {}, req.user.username)
+    });
+  } catch (error) {
+    console.error('Error fetching saved view:', error);
+    res.status(500).json({ error: 'Failed to fetch saved view' });
+  }
+});
+
+/**
+ * PUT /api/views/:viewId
+ * Owner, or Project Manager+ for shared views.
+ */
+router.put('/views/:viewId', async (req, res) => {
+  try {
+    const viewId = parseInt(req.params.viewId);
+    const view = await savedViewsService.getView(viewId, req.user.id);
+    if (!view || !savedViewsService.canSeeView(view, req.user)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, view.projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!savedViewsService.canManageView(view, req.user)) {
+      return res.status(403).json({ error: 'Only the owner or a Project Manager can change this view' });
+    }
+
+    const updated = await savedViewsService.updateView(viewId, req.body, req.user.id);
+    res.json({ ...updated, canManage: true });
+  } catch (error) {
+    if (error.message.startsWith('Invalid saved view')) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error updating saved view:', error);
+    res.status(500).json({ error: 'Failed to update saved view' });
+  }
+});
+
+/**
+ * DELETE /api/views/:viewId
+ */
+router.delete('/views/:viewId', async (req, res) => {
+  try {
+    const viewId = parseInt(req.params.viewId);
+    const view = await savedViewsService.getView(viewId, req.user.id);
+    if (!view || !savedViewsService.canSeeView(view, req.user)) {
+      return res.status(404).json({ error: 'View not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, view.projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!savedViewsService.canManageView(view, req.user)) {
+      return res.status(403).json({ error: 'Only the owner or a Project Manager can delete this view' });
+    }
+
+    await savedViewsService.deleteView(viewId);
+    res.json({ message: 'View deleted' });
+  } catch (error) {
+    console.error('Error deleting saved view:', error);
+    res.status(500).json({ error: 'Failed to delete saved view' });
+  }
+});
+
+module.exports = router;
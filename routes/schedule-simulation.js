@@ -0,0 +1,55 @@
+/**
+ * Schedule Simulation Routes
+ *
+ * Monte Carlo schedule and cost risk simulation for saved schedules
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const scheduleSimulationService = require('../services/schedule-simulation-service');
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * POST /api/schedules/:scheduleId/simulate
+ * Body (all optional): { iterations, seed, riskBasis: 'residual'|'inherent',
+ *   optimisticPercent, pessimisticPercent, targetDate,
+ *   taskRanges: { "issue:12": { optimistic, mostLikely, pessimistic } } }
+ * Returns P50/P80/P95 finish, effort and cost, on-time probability, the
+ * finish distribution and tornado rankings. Nothing is stored; pass the
+ * returned seed to repeat a run.
+ */
+router.post('/schedules/:scheduleId/simulate', async (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.scheduleId);
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({ error: 'Invalid schedule ID' });
+    }
+
+    const projectId = await scheduleSimulationService.getScheduleProjectId(scheduleId);
+    if (!projectId) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await scheduleSimulationService.simulateSchedule(scheduleId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error simulating schedule:', error);
+    res.status(500).json({ error: 'Failed to simulate schedule' });
+  }
+});
+
+module.exports = router;
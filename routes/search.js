@@ -0,0 +1,38 @@
+/**
+ * Search Routes
+ *
+ * Project-wide full-text search used by the header search box
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const searchService = require('../services/search-service');
+
+/**
+ * GET /api/projects/:projectId/search?q=...&types=issue,risk&limit=20
+ * Ranked results across items, comments, risks, decisions, checklists,
+ * meetings, transcripts and documents. snippetHtml / titleHtml are escaped
+ * with matches wrapped in <mark>.
+ */
+router.get('/projects/:projectId/search', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { q, types, limit } = req.query;
+    const result = await searchService.searchProject(projectId, { q, types, limit });
+    res.json(result);
+  } catch (error) {
+    if (error.message.startsWith('Invalid search')) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error searching project:', error);
+    res.status(500).json({ error: 'Failed to search project' });
+  }
+});
+
+module.exports = router;
@@ -43,10 +43,11 @@ async function handleSlackMessage(event) {
     WHERE slack_enabled = true
       AND enabled = true
       AND $1 = ANY(slack_channels)
+      AND project_id NOT IN (SELECT id FROM projects WHERE archived = TRUE)
   `, [channel]);
 
   if (projectResult.rows.length === 0) {
-    console.log('[Slack] No project found for this channel');
+    console.log('[Slack] No active project found for this channel');
     return;
   }
 
@@ -131,10 +132,11 @@ async function handleTeamsMessage(event) {
     WHERE teams_enabled = true
       AND enabled = true
       AND $1 = ANY(teams_channel_ids)
+      AND project_id NOT IN (SELECT id FROM projects WHERE archived = TRUE)
   `, [channelId]);
 
   if (projectResult.rows.length === 0) {
-    console.log('[Teams] No project found for this channel');
+    console.log('[Teams] No active project found for this channel');
     return;
   }
 
@@ -194,10 +196,11 @@ async function handleGitHubComment(event) {
     WHERE github_enabled = true
       AND enabled = true
       AND $1 = ANY(github_repos)
+      AND project_id NOT IN (SELECT id FROM projects WHERE archived = TRUE)
   `, [repo]);
 
   if (projectResult.rows.length === 0) {
-    console.log('[GitHub] No project found for this repo');
+    console.log('[GitHub] No active project found for this repo');
     return;
   }
 
@@ -222,7 +225,7 @@ async function handleGitHubComment(event) {
 
 router.post('/email/sendgrid', async (req, res) => {
   try {
-    const { from, to, subject, text, html } = req.body;
+    const { from, to, cc, subject, text, html } = req.body;
 
     res.status(200).send('OK');
 
@@ -232,6 +235,7 @@ router.post('/email/sendgrid', async (req, res) => {
         await emailProcessor.processIncomingEmail({
           from,
           to,
+          cc,
           subject,
           text,
           html,
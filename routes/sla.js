@@ -0,0 +1,127 @@
+/**
+ * SLA Routes
+ *
+ * Per-project SLA policies, pause statuses and the compliance report
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const slaService = require('../services/sla-service');
+
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+}
+
+/**
+ * GET /api/projects/:projectId/sla/policies
+ * Returns { policies, pauseStatuses }
+ */
+router.get('/projects/:projectId/sla/policies', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await slaService.getPolicies(projectId));
+  } catch (error) {
+    console.error('Error fetching SLA policies:', error);
+    res.status(500).json({ error: 'Failed to fetch SLA policies' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/sla/policies/:priority
+ * Body: { response_target, response_unit, resolution_target, resolution_unit,
+ *         warning_percent, escalate_to_user_id, is_active }
+ * Creates or replaces the policy for a priority and re-times open issues.
+ */
+router.put('/projects/:projectId/sla/policies/:priority', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId, priority } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const policy = await slaService.savePolicy(projectId, { ...req.body, priority }, req.user.id);
+    res.json(policy);
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error saving SLA policy:', error);
+    res.status(500).json({ error: 'Failed to save SLA policy' });
+  }
+});
+
+/**
+ * DELETE /api/projects/:projectId/sla/policies/:priority
+ * Stops SLA tracking for that priority.
+ */
+router.delete('/projects/:projectId/sla/policies/:priority', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId, priority } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const deleted = await slaService.deletePolicy(projectId, priority);
+    if (!deleted) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting SLA policy:', error);
+    res.status(500).json({ error: 'Failed to delete SLA policy' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/sla/pause-statuses
+ * Body: { statuses: ['Waiting on Customer', ...] }
+ */
+router.put('/projects/:projectId/sla/pause-statuses', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const pauseStatuses = await slaService.updatePauseStatuses(projectId, req.body.statuses);
+    res.json({ pauseStatuses });
+  } catch (error) {
+    if (error.validationErrors) return sendValidationError(res, error);
+    console.error('Error updating SLA pause statuses:', error);
+    res.status(500).json({ error: 'Failed to update SLA pause statuses' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/sla/report?from=2026-10-01&to=2026-10-31
+ * Compliance per priority for issues whose SLA started in the range.
+ */
+router.get('/projects/:projectId/sla/report', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const isDate = value => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const { from, to } = req.query;
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    res.json(await slaService.getComplianceReport(projectId, { from, to }));
+  } catch (error) {
+    console.error('Error building SLA report:', error);
+    res.status(500).json({ error: 'Failed to build SLA report' });
+  }
+});
+
+module.exports = router;
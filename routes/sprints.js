@@ -0,0 +1,233 @@
+/**
+ * Sprint Routes
+ *
+ * Sprint/iteration planning, lifecycle, burndown and velocity endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const sprintService = require('../services/sprint-service');
+
+/**
+ * Load the sprint from :id and verify the user can access its project
+ */
+async function validateSprintAccess(req, res, next) {
+  try {
+    const sprint = await sprintService.getSprintById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({ error: 'Sprint not found' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, sprint.project_id, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    req.sprint = sprint;
+    next();
+  } catch (error) {
+    console.error('Sprint access validation error:', error);
+    res.status(500).json({ error: 'Failed to validate sprint access' });
+  }
+}
+
+function sendSprintError(res, error, fallbackMessage) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('required') ||
+      error.message.includes('Invalid') ||
+      error.message.includes('must') ||
+      error.message.includes('Cannot') ||
+      error.message.includes('cannot') ||
+      error.message.includes('Only') ||
+      error.message.includes('already') ||
+      error.message.includes('different project') ||
+      error.message.includes('not in this sprint')) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// ============================================
+// PROJECT SPRINTS
+// ============================================
+
+/**
+ * GET /api/projects/:projectId/sprints
+ * List sprints for a project (active first, then planned, then closed)
+ */
+router.get('/projects/:projectId/sprints', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const sprints = await sprintService.listSprints(projectId, { status: req.query.status });
+    res.json(sprints);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to fetch sprints');
+  }
+});
+
+/**
+ * POST /api/projects/:projectId/sprints
+ * Create a planned sprint
+ */
+router.post('/projects/:projectId/sprints', requireRole('Team Lead'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { name, goal, startDate, endDate, capacityHours } = req.body;
+    const sprint = await sprintService.createSprint(projectId, req.user.id, {
+      name, goal, startDate, endDate, capacityHours
+    });
+
+    res.status(201).json(sprint);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to create sprint');
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/velocity
+ * Velocity across the most recent closed sprints (?limit=6)
+ */
+router.get('/projects/:projectId/velocity', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 50);
+    const velocity = await sprintService.getVelocity(projectId, limit);
+    res.json(velocity);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to calculate velocity');
+  }
+});
+
+// ============================================
+// SPRINT ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/sprints/:id
+ * Sprint details
+ */
+router.get('/sprints/:id', validateSprintAccess, async (req, res) => {
+  res.json(req.sprint);
+});
+
+/**
+ * PATCH /api/sprints/:id
+ * Update name, goal, dates or capacity of a planned/active sprint
+ */
+router.patch('/sprints/:id', requireRole('Team Lead'), validateSprintAccess, async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate, capacityHours } = req.body;
+    const sprint = await sprintService.updateSprint(req.params.id, {
+      name, goal, startDate, endDate, capacityHours
+    });
+    res.json(sprint);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to update sprint');
+  }
+});
+
+/**
+ * DELETE /api/sprints/:id
+ * Delete a planned sprint; its items return to the backlog
+ */
+router.delete('/sprints/:id', requireRole('Team Lead'), validateSprintAccess, async (req, res) => {
+  try {
+    await sprintService.deleteSprint(req.params.id);
+    res.json({ message: 'Sprint deleted successfully' });
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to delete sprint');
+  }
+});
+
+/**
+ * POST /api/sprints/:id/start
+ * Start a planned sprint and snapshot its committed scope
+ */
+router.post('/sprints/:id/start', requireRole('Team Lead'), validateSprintAccess, async (req, res) => {
+  try {
+    const sprint = await sprintService.startSprint(req.params.id, req.user.id);
+    res.json(sprint);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to start sprint');
+  }
+});
+
+/**
+ * POST /api/sprints/:id/close
+ * Close the active sprint. Body: { targetSprintId } to carry unfinished items
+ * into another sprint; omit it to return them to the backlog.
+ */
+router.post('/sprints/:id/close', requireRole('Team Lead'), validateSprintAccess, async (req, res) => {
+  try {
+    const result = await sprintService.closeSprint(req.params.id, req.user.id, {
+      targetSprintId: req.body.targetSprintId ? parseInt(req.body.targetSprintId) : null
+    });
+    res.json(result);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to close sprint');
+  }
+});
+
+/**
+ * POST /api/sprints/:id/items
+ * Assign items to a sprint. Body: { items: [{ itemType: 'issue'|'action-item', itemId }] }
+ */
+router.post('/sprints/:id/items', requireRole('Team Member'), validateSprintAccess, async (req, res) => {
+  try {
+    const items = (req.body.items || []).map(item => ({
+      itemType: item.itemType,
+      itemId: parseInt(item.itemId)
+    }));
+    const result = await sprintService.assignItems(req.params.id, req.user.id, items);
+    res.json(result);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to assign items to sprint');
+  }
+});
+
+/**
+ * DELETE /api/sprints/:id/items/:itemType/:itemId
+ * Remove an item from a sprint (back to the backlog)
+ */
+router.delete('/sprints/:id/items/:itemType/:itemId', requireRole('Team Member'), validateSprintAccess, async (req, res) => {
+  try {
+    await sprintService.removeItem(req.params.id, req.params.itemType, parseInt(req.params.itemId));
+    res.json({ message: 'Item removed from sprint' });
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to remove item from sprint');
+  }
+});
+
+/**
+ * GET /api/sprints/:id/burndown
+ * Daily ideal vs remaining planned hours, scope changes and hours logged
+ */
+router.get('/sprints/:id/burndown', validateSprintAccess, async (req, res) => {
+  try {
+    const burndown = await sprintService.getBurndown(req.params.id);
+    res.json(burndown);
+  } catch (error) {
+    sendSprintError(res, error, 'Failed to build burndown');
+  }
+});
+
+module.exports = router;
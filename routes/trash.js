@@ -0,0 +1,115 @@
+/**
+ * Trash Routes
+ *
+ * Per-project trash for deleted issues, action items, risks and decisions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, ROLE_HIERARCHY, hasProjectAccess } = require('../middleware/auth');
+const trashService = require('../services/trash-service');
+
+/**
+ * GET /api/projects/:projectId/trash
+ * Deleted items with who deleted them, when they will be purged and what restore brings back.
+ */
+router.get('/projects/:projectId/trash', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const trash = await trashService.getProjectTrash(projectId);
+    res.json(trash);
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/trash/settings
+ * Body: { retentionDays }
+ */
+router.put('/projects/:projectId/trash/settings', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const retentionDays = await trashService.updateRetentionDays(projectId, req.body.retentionDays);
+    res.json({ retentionDays });
+  } catch (error) {
+    if (error.message.startsWith('Invalid retention')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating trash settings:', error);
+    res.status(500).json({ error: 'Failed to update trash settings' });
+  }
+});
+
+/**
+ * POST /api/trash/:trashId/restore
+ * The user who deleted the item or Team Lead+ can restore it.
+ */
+router.post('/trash/:trashId/restore', async (req, res) => {
+  try {
+    const entry = await trashService.getTrashEntry(parseInt(req.params.trashId));
+    if (!entry) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, entry.project_id, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const isDeleter = parseInt(entry.deleted_by) === parseInt(req.user.id);
+    const hasRolePermission = (ROLE_HIERARCHY[req.user.role] || 0) >= ROLE_HIERARCHY['Team Lead'];
+    if (!isDeleter && !hasRolePermission) {
+      return res.status(403).json({ error: 'Only the user who deleted this item or Team Lead+ can restore it' });
+    }
+
+    const result = await trashService.restoreItem(entry.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+    res.json({ message: 'Item restored', ...result });
+  } catch (error) {
+    if (error.message.startsWith('Cannot restore')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error restoring item:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+/**
+ * DELETE /api/trash/:trashId
+ * Permanently deletes the item without waiting for the retention period.
+ */
+router.delete('/trash/:trashId', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const entry = await trashService.getTrashEntry(parseInt(req.params.trashId));
+    if (!entry) {
+      return res.status(404).json({ error: 'Item not found in trash' });
+    }
+
+    const hasAccess = await hasProjectAccess(req.user.id, entry.project_id, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await trashService.purgeTrashEntry(entry.id);
+    res.json({ message: 'Item permanently deleted' });
+  } catch (error) {
+    console.error('Error purging trash item:', error);
+    res.status(500).json({ error: 'Failed to permanently delete item' });
+  }
+});
+
+module.exports = router;
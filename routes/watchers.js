@@ -0,0 +1,102 @@
+/**
+ * Watcher Routes
+ *
+ * Watch / unwatch issues, action items, risks and decisions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { hasProjectAccess } = require('../middleware/auth');
+const watcherService = require('../services/watcher-service');
+
+// URL segment -> internal item type
+const ITEM_TYPES = {
+  'issues': 'issue',
+  'action-items': 'action-item',
+  'risks': 'risk',
+  'decisions': 'decision'
+};
+
+/**
+ * Resolve the item from the URL and check the caller can see it.
+ * Sends the error response and returns null when they can't.
+ */
+async function loadWatchableItem(req, res) {
+  const itemType = ITEM_TYPES[req.params.itemType];
+  const item = await watcherService.getWatchableItem(itemType, parseInt(req.params.id));
+  if (!item) {
+    res.status(404).json({ error: 'Item not found' });
+    return null;
+  }
+
+  const hasAccess = await hasProjectAccess(req.user.id, item.project_id, req.user.role);
+  if (!hasAccess) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return { itemType, item };
+}
+
+/**
+ * GET /api/:itemType/:id/watchers
+ * itemType is "issues", "action-items", "risks" or "decisions".
+ * Returns { watching, watchers: [{ userId, username, reason }] }
+ */
+router.get('/:itemType/:id/watchers', async (req, res, next) => {
+  if (!ITEM_TYPES[req.params.itemType]) {
+    return next();
+  }
+
+  try {
+    const loaded = await loadWatchableItem(req, res);
+    if (!loaded) return;
+
+    res.json(await watcherService.getWatchStatus(loaded.itemType, loaded.item.id, req.user.id));
+  } catch (error) {
+    console.error('Error fetching watchers:', error);
+    res.status(500).json({ error: 'Failed to fetch watchers' });
+  }
+});
+
+/**
+ * POST /api/:itemType/:id/watchers - Watch the item
+ */
+router.post('/:itemType/:id/watchers', async (req, res, next) => {
+  if (!ITEM_TYPES[req.params.itemType]) {
+    return next();
+  }
+
+  try {
+    const loaded = await loadWatchableItem(req, res);
+    if (!loaded) return;
+
+    await watcherService.watchItem(loaded.itemType, loaded.item.id, req.user.id);
+    res.json(await watcherService.getWatchStatus(loaded.itemType, loaded.item.id, req.user.id));
+  } catch (error) {
+    console.error('Error watching item:', error);
+    res.status(500).json({ error: 'Failed to watch item' });
+  }
+});
+
+/**
+ * DELETE /api/:itemType/:id/watchers - Stop watching the item
+ */
+router.delete('/:itemType/:id/watchers', async (req, res, next) => {
+  if (!ITEM_TYPES[req.params.itemType]) {
+    return next();
+  }
+
+  try {
+    const loaded = await loadWatchableItem(req, res);
+    if (!loaded) return;
+
+    await watcherService.unwatchItem(loaded.itemType, loaded.item.id, req.user.id);
+    res.json(await watcherService.getWatchStatus(loaded.itemType, loaded.item.id, req.user.id));
+  } catch (error) {
+    console.error('Error unwatching item:', error);
+    res.status(500).json({ error: 'Failed to unwatch item' });
+  }
+});
+
+module.exports = router;
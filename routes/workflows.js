@@ -0,0 +1,104 @@
+/**
+ * Workflow Routes
+ *
+ * Per-project workflow statuses and transition rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole, hasProjectAccess } = require('../middleware/auth');
+const workflowService = require('../services/workflow-service');
+
+/**
+ * GET /api/projects/:projectId/workflow
+ * Ordered statuses, categories and transition rules for a project
+ */
+router.get('/projects/:projectId/workflow', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const workflow = await workflowService.getProjectWorkflow(projectId);
+    res.json(workflow);
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow' });
+  }
+});
+
+/**
+ * PUT /api/projects/:projectId/workflow
+ * Replace a project's workflow.
+ * Body: { statuses: [{ name, category, color, isInitial }], transitions: [{ fromStatus, toStatus,
+ *         requiresHours, requiresChecklistComplete, requiresAssignee, minRole }], statusMapping: { old: new } }
+ */
+router.put('/projects/:projectId/workflow', requireRole('Project Manager'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { statuses, transitions, statusMapping } = req.body;
+    const workflow = await workflowService.saveProjectWorkflow(projectId, { statuses, transitions, statusMapping });
+    res.json(workflow);
+  } catch (error) {
+    if (error.message.startsWith('Invalid workflow')) {
+      return res.status(400).json({
+        error: error.message,
+        validationErrors: error.validationErrors,
+        orphanStatuses: error.orphanStatuses
+      });
+    }
+    console.error('Error saving workflow:', error);
+    res.status(500).json({ error: 'Failed to save workflow' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/workflow/wip
+ * Items per status across the whole project (the board may be filtered),
+ * for the WIP indicators on column headers
+ */
+router.get('/projects/:projectId/workflow/wip', async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const counts = await workflowService.getStatusCounts(projectId);
+    res.json({ counts });
+  } catch (error) {
+    console.error('Error fetching WIP counts:', error);
+    res.status(500).json({ error: 'Failed to fetch WIP counts' });
+  }
+});
+
+/**
+ * GET /api/projects/:projectId/workflow/wip-overrides
+ * Recent status changes that went over a WIP limit, newest first
+ */
+router.get('/projects/:projectId/workflow/wip-overrides', requireRole('Team Lead'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const hasAccess = await hasProjectAccess(req.user.id, projectId, req.user.role);
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const overrides = await workflowService.getWipOverrides(projectId, limit);
+    res.json(overrides);
+  } catch (error) {
+    console.error('Error fetching WIP overrides:', error);
+    res.status(500).json({ error: 'Failed to fetch WIP overrides' });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,4 @@
-import { pgTable, serial, varchar, text, timestamp, integer, boolean, jsonb, date, decimal, uuid, unique } from "drizzle-orm/pg-core";
+import { pgTable, serial, varchar, text, timestamp, integer, boolean, jsonb, date, decimal, uuid, unique, primaryKey, bigint } from "drizzle-orm/pg-core";
 import { sql } from "drizzle-orm";
 
 export const users = pgTable('users', {
@@ -30,6 +30,13 @@ export const projects = pgTable('projects', {
   requireAssigneeForScheduling: boolean('require_assignee_for_scheduling').default(false),
   complexityLevel: varchar('complexity_level', { length: 20 }).default('standard'),
   maxFileUploads: integer('max_file_uploads').default(5),
+  trashRetentionDays: integer('trash_retention_days').notNull().default(30),
+  tags: text('tags').array().notNull().default(sql`'{}'`),
+  ownerId: integer('owner_id').references(() => users.id, { onDelete: 'set null' }),
+  budgetAmount: decimal('budget_amount', { precision: 12, scale: 2 }),
+  budgetHourlyRate: decimal('budget_hourly_rate', { precision: 8, scale: 2 }),
+  budgetCurrency: varchar('budget_currency', { length: 10 }).default('USD'),
+  slaPauseStatuses: text('sla_pause_statuses').array().notNull().default(sql`'{}'`),
 });
 
 export const projectMembers = pgTable('project_members', {
@@ -63,9 +70,41 @@ export const issues = pgTable('issues', {
   startDate: date('start_date'),
   endDate: date('end_date'),
   effortHours: decimal('effort_hours', { precision: 10, scale: 2 }),
+  customFields: jsonb('custom_fields').notNull().default({}), // Values keyed by customFieldDefinitions.fieldKey
   // AIPM Foreign Keys (Story 5.1.1)
   sourceMeetingId: integer('source_meeting_id').references(() => meetings.id),
-});
+  // SLA timers (business time, see services/sla-service.js)
+  slaPolicyId: integer('sla_policy_id').references(() => slaPolicies.id, { onDelete: 'set null' }),
+  slaStartedAt: timestamp('sla_started_at'),
+  slaResponseDueAt: timestamp('sla_response_due_at'),
+  slaResolutionDueAt: timestamp('sla_resolution_due_at'),
+  slaRespondedAt: timestamp('sla_responded_at'),
+  slaResolvedAt: timestamp('sla_resolved_at'),
+  slaPausedAt: timestamp('sla_paused_at'),
+  slaPausedMinutes: integer('sla_paused_minutes').notNull().default(0),
+  slaResponseBreached: boolean('sla_response_breached').notNull().default(false),
+  slaResolutionBreached: boolean('sla_resolution_breached').notNull().default(false),
+  slaWarningSentAt: timestamp('sla_warning_sent_at'),
+  slaEscalatedAt: timestamp('sla_escalated_at'),
+});
+
+export const slaPolicies = pgTable('sla_policies', {
+  id: serial('id').primaryKey(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  priority: varchar('priority', { length: 20 }).notNull(),
+  responseTarget: decimal('response_target', { precision: 6, scale: 2 }).notNull(),
+  responseUnit: varchar('response_unit', { length: 20 }).notNull().default('hours'),
+  resolutionTarget: decimal('resolution_target', { precision: 6, scale: 2 }).notNull(),
+  resolutionUnit: varchar('resolution_unit', { length: 20 }).notNull().default('business_days'),
+  warningPercent: integer('warning_percent').notNull().default(75),
+  escalateToUserId: integer('escalate_to_user_id').references(() => users.id, { onDelete: 'set null' }),
+  isActive: boolean('is_active').notNull().default(true),
+  createdBy: integer('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  uniqueProjectPriority: unique().on(table.projectId, table.priority)
+}));
 
 // Action Item Categories
 export const actionItemCategories = pgTable('action_item_categories', {
@@ -92,11 +131,167 @@ export const actionItems = pgTable('action_items', {
   createdViaAiBy: integer('created_via_ai_by').references(() => users.id),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow(),
+  customFields: jsonb('custom_fields').notNull().default({}), // Values keyed by customFieldDefinitions.fieldKey
   // AIPM Foreign Keys (Story 5.1.1)
   sourceMeetingId: integer('source_meeting_id').references(() => meetings.id),
   sourceDecisionId: integer('source_decision_id').references(() => decisions.id),
 });
 
+// Project-defined custom fields for issues and action items
+export const customFieldDefinitions = pgTable('custom_field_definitions', {
+  id: serial('id').primaryKey(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  fieldKey: varchar('field_key', { length: 50 }).notNull(),
+  name: varchar('name', { length: 100 }).notNull(),
+  fieldType: varchar('field_type', { length: 20 }).notNull(), // text, number, date, select, multi_select, user
+  appliesTo: varchar('applies_to', { length: 20 }).notNull().default('both'), // issue, action-item, both
+  options: jsonb('options').notNull().default([]),
+  isRequired: boolean('is_required').default(false),
+  defaultValue: jsonb('default_value'),
+  validation: jsonb('validation').notNull().default({}),
+  position: integer('position').notNull().default(0),
+  showInTable: boolean('show_in_table').default(true),
+  isActive: boolean('is_active').default(true),
+  createdBy: integer('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  uniqueProjectKey: unique().on(table.projectId, table.fieldKey),
+}));
+
+// Field-level change log for issues and action items
+export const itemChangeHistory = pgTable('item_change_history', {
+  id: serial('id').primaryKey(),
+  changeId: uuid('change_id').notNull(), // Groups the fields changed by a single save
+  itemType: varchar('item_type', { length: 20 }).notNull(), // issue, action-item
+  itemId: integer('item_id').notNull(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  fieldName: varchar('field_name', { length: 100 }).notNull(), // Column name or custom_fields.<field_key>
+  oldValue: jsonb('old_value'),
+  newValue: jsonb('new_value'),
+  changeSource: varchar('change_source', { length: 20 }).notNull().default('edit'), // edit, bulk, revert
+  changedBy: integer('changed_by').references(() => users.id, { onDelete: 'set null' }),
+  changedAt: timestamp('changed_at').defaultNow(),
+});
+
+// Soft-deleted issues, action items, risks and decisions awaiting restore or purge
+export const trashItems = pgTable('trash_items', {
+  id: serial('id').primaryKey(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  itemType: varchar('item_type', { length: 20 }).notNull(), // issue, action-item, risk, decision
+  itemId: integer('item_id').notNull(),
+  title: text('title').notNull(),
+  snapshot: jsonb('snapshot').notNull(), // Item row plus dependent rows and cleared references
+  deletedBy: integer('deleted_by').references(() => users.id, { onDelete: 'set null' }),
+  deletedAt: timestamp('deleted_at').notNull().defaultNow(),
+}, (table) => ({
+  uniqueItem: unique().on(table.itemType, table.itemId),
+}));
+
+// Saved board / table views (filters, sort, view mode, visible columns)
+export const savedViews = pgTable('saved_views', {
+  id: serial('id').primaryKey(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  ownerId: integer('owner_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  name: varchar('name', { length: 100 }).notNull(),
+  visibility: varchar('visibility', { length: 20 }).notNull().default('private'), // private, shared
+  definition: jsonb('definition').notNull().default({}), // { filters, viewMode, sort, columns }
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  uniqueName: unique().on(table.projectId, table.ownerId, table.name),
+}));
+
+export const savedViewDefaults = pgTable('saved_view_defaults', {
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  viewId: integer('view_id').notNull().references(() => savedViews.id, { onDelete: 'cascade' }),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.userId, table.projectId] }),
+}));
+
+// Users following an issue, action item, risk or decision
+export const itemWatchers = pgTable('item_watchers', {
+  id: serial('id').primaryKey(),
+  itemType: varchar('item_type', { length: 20 }).notNull(), // issue, action-item, risk, decision
+  itemId: integer('item_id').notNull(),
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  isWatching: boolean('is_watching').notNull().default(true), // false = explicitly unwatched
+  reason: varchar('reason', { length: 20 }).notNull().default('manual'), // manual, commenter, mentioned
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+}, (table) => ({
+  uniqueWatcher: unique().on(table.itemType, table.itemId, table.userId),
+}));
+
+// Merged issues and the issue they were folded into
+export const itemRedirects = pgTable('item_redirects', {
+  id: serial('id').primaryKey(),
+  itemType: varchar('item_type', { length: 20 }).notNull(), // issue, action-item
+  fromId: integer('from_id').notNull(),
+  toId: integer('to_id').notNull(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  fromTitle: varchar('from_title', { length: 255 }),
+  mergedBy: integer('merged_by').references(() => users.id, { onDelete: 'set null' }),
+  mergedAt: timestamp('merged_at').defaultNow(),
+}, (table) => ({
+  uniqueFrom: unique().on(table.itemType, table.fromId),
+}));
+
+// Status changes that went over a workflow status WIP limit, with the reason given
+export const wipLimitOverrides = pgTable('wip_limit_overrides', {
+  id: serial('id').primaryKey(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  itemType: varchar('item_type', { length: 20 }).notNull(), // issue, action-item
+  itemId: integer('item_id').notNull(),
+  fromStatus: varchar('from_status', { length: 50 }),
+  toStatus: varchar('to_status', { length: 50 }).notNull(),
+  wipLimit: integer('wip_limit').notNull(),
+  itemCount: integer('item_count').notNull(), // Items already in to_status before the move
+  reason: text('reason').notNull(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow(),
+});
+
+// Reusable project structure snapshots (see services/blueprint-service.js)
+export const projectBlueprints = pgTable('project_blueprints', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 255 }).notNull(),
+  description: text('description'),
+  sourceProjectId: integer('source_project_id').references(() => projects.id, { onDelete: 'set null' }),
+  definition: jsonb('definition').notNull(),
+  createdBy: integer('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow(),
+});
+
+// How long an archived project keeps bulky content; days count from archived_at, null keeps it
+export const projectRetentionPolicies = pgTable('project_retention_policies', {
+  projectId: integer('project_id').primaryKey().references(() => projects.id, { onDelete: 'cascade' }),
+  transcriptDays: integer('transcript_days'),
+  audioDays: integer('audio_days'),
+  attachmentDays: integer('attachment_days'),
+  exportBeforePurge: boolean('export_before_purge').notNull().default(true),
+  updatedBy: integer('updated_by').references(() => users.id, { onDelete: 'set null' }),
+  updatedAt: timestamp('updated_at').defaultNow(),
+});
+
+// Retention compactions (see services/retention-service.js)
+export const retentionRuns = pgTable('retention_runs', {
+  id: serial('id').primaryKey(),
+  projectId: integer('project_id').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  status: varchar('status', { length: 20 }).notNull().default('running'), // running, completed, failed
+  kinds: text('kinds').array().notNull().default(sql`'{}'`), // transcripts, audio, attachments
+  counts: jsonb('counts').notNull().default({}),
+  bytesFreed: bigint('bytes_freed', { mode: 'number' }).notNull().default(0),
+  exportPath: text('export_path'),
+  error: text('error'),
+  triggeredBy: integer('triggered_by').references(() => users.id, { onDelete: 'set null' }),
+  startedAt: timestamp('started_at').defaultNow(),
+  finishedAt: timestamp('finished_at'),
+});
+
 export const issueDependencies = pgTable('issue_dependencies', {
   id: serial('id').primaryKey(),
   issueId: integer('issue_id').notNull().references(() => issues.id, { onDelete: 'cascade' }),
@@ -195,6 +390,9 @@ export const issueComments = pgTable('issue_comments', {
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at'),
   edited: boolean('edited').default(false),
+  parentCommentId: integer('parent_comment_id').references(() => issueComments.id, { onDelete: 'cascade' }),
+  resolvedAt: timestamp('resolved_at'),
+  resolvedBy: integer('resolved_by').references(() => users.id, { onDelete: 'set null' }),
 });
 
 export const actionItemComments = pgTable('action_item_comments', {
@@ -206,6 +404,9 @@ export const actionItemComments = pgTable('action_item_comments', {
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at'),
   edited: boolean('edited').default(false),
+  parentCommentId: integer('parent_comment_id').references(() => actionItemComments.id, { onDelete: 'cascade' }),
+  resolvedAt: timestamp('resolved_at'),
+  resolvedBy: integer('resolved_by').references(() => users.id, { onDelete: 'set null' }),
 });
 
 export const mentionNotifications = pgTable('mention_notifications', {
@@ -302,6 +503,22 @@ export const riskTags = pgTable('risk_tags', {
   tagId: integer('tag_id').notNull().references(() => tags.id, { onDelete: 'cascade' }),
 });
 
+// Inherent and residual rating each time a risk is (re)assessed
+export const riskAssessments = pgTable('risk_assessments', {
+  id: serial('id').primaryKey(),
+  riskId: integer('risk_id').notNull().references(() => risks.id, { onDelete: 'cascade' }),
+  probability: integer('probability').notNull(),
+  impact: integer('impact').notNull(),
+  riskScore: integer('risk_score').notNull(),
+  riskLevel: varchar('risk_level', { length: 20 }).notNull(),
+  residualProbability: integer('residual_probability'),
+  residualImpact: integer('residual_impact'),
+  residualScore: integer('residual_score'),
+  assessmentNotes: text('assessment_notes'),
+  assessedBy: integer('assessed_by').references(() => users.id),
+  assessedAt: timestamp('assessed_at').defaultNow(),
+});
+
 // Checklist System Tables
 export const checklistTemplates = pgTable('checklist_templates', {
   id: serial('id').primaryKey(),
@@ -411,6 +628,33 @@ export const checklistComments = pgTable('checklist_comments', {
   comment: text('comment').notNull(),
   createdBy: integer('created_by').references(() => users.id),
   createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at'),
+  edited: boolean('edited').default(false),
+  parentCommentId: integer('parent_comment_id').references(() => checklistComments.id, { onDelete: 'cascade' }),
+  resolvedAt: timestamp('resolved_at'),
+  resolvedBy: integer('resolved_by').references(() => users.id, { onDelete: 'set null' }),
+});
+
+// Emoji reactions on issue, action item and checklist comments (comment_type: issue, action-item, checklist)
+export const commentReactions = pgTable('comment_reactions', {
+  id: serial('id').primaryKey(),
+  commentType: varchar('comment_type', { length: 20 }).notNull(),
+  commentId: integer('comment_id').notNull(),
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  emoji: varchar('emoji', { length: 16 }).notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+}, (table) => ({
+  uniqueReaction: unique().on(table.commentType, table.commentId, table.userId, table.emoji),
+}));
+
+// Text a comment had before each edit
+export const commentEdits = pgTable('comment_edits', {
+  id: serial('id').primaryKey(),
+  commentType: varchar('comment_type', { length: 20 }).notNull(),
+  commentId: integer('comment_id').notNull(),
+  previousComment: text('previous_comment').notNull(),
+  editedBy: integer('edited_by').references(() => users.id, { onDelete: 'set null' }),
+  editedAt: timestamp('edited_at').defaultNow(),
 });
 
 export const checklistSignoffs = pgTable('checklist_signoffs', {
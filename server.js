@@ -54,6 +54,7 @@ const {
 } = require('./services/time-tracking-service');
 const timeEntriesService = require('./services/time-entries-service');
 const { rateLimitMiddleware, getUsageStats } = require('./middleware/ai-rate-limiter');
+const { archivedProjectGuard } = require('./middleware/archived-project-guard');
 const { analyzeDocumentForWorkstreams } = require('./services/document-analyzer');
 const { extractTextFromFile } = require('./services/file-processor');
 const { initializeDailyJobs } = require('./jobs/dailyNotifications');
@@ -61,12 +62,27 @@ const { generateChecklistPDF, generateSchedulePDF } = require('./services/pdf-se
 const { validateChecklist, getValidationStatus } = require('./services/validation-service');
 const dependencyService = require('./services/dependency-service');
 const dependencyMapper = require('./services/dependency-mapper');
+const portfolioDependencyService = require('./services/portfolio-dependency-service');
 const documentService = require('./services/document-service');
 const { calculateProjectSchedule } = require('./services/schedule-calculation-service');
 const aiCostTracker = require('./services/ai-cost-tracker');
 const timelineExtractor = require('./services/timeline-extractor');
 const hierarchyExtractor = require('./services/hierarchy-extractor');
 const multiDocAnalyzer = require('./services/multi-document-analyzer');
+const sprintService = require('./services/sprint-service');
+const workflowService = require('./services/workflow-service');
+const customFieldsService = require('./services/custom-fields-service');
+const itemQueryService = require('./services/item-query-service');
+const changeHistoryService = require('./services/change-history-service');
+const watcherService = require('./services/watcher-service');
+const duplicateService = require('./services/duplicate-service');
+const trashService = require('./services/trash-service');
+const slaService = require('./services/sla-service');
+const schedulerService = require('./services/schedulerService');
+const emailProcessor = require('./services/emailProcessor');
+const commentThreadService = require('./services/comment-thread-service');
+const riskAnalyticsService = require('./services/risk-analytics-service');
+const riskLinkService = require('./services/risk-link-service');
 const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
 
 // AIPM Route modules
@@ -91,6 +107,28 @@ const sidecarConfigRouter = require('./routes/sidecarConfig');
 const sidecarWebhooksRouter = require('./routes/sidecarWebhooks');
 const meetingWebhooksRouter = require('./routes/meetingWebhooks');
 const hallwayMeetingsRouter = require('./routes/hallwayMeetings');
+const sprintsRouter = require('./routes/sprints');
+const workflowsRouter = require('./routes/workflows');
+const customFieldsRouter = require('./routes/customFields');
+const itemHistoryRouter = require('./routes/itemHistory');
+const trashRouter = require('./routes/trash');
+const importRouter = require('./routes/import');
+const savedViewsRouter = require('./routes/savedViews');
+const itemQueryRouter = require('./routes/itemQuery');
+const searchRouter = require('./routes/search');
+const watchersRouter = require('./routes/watchers');
+const duplicatesRouter = require('./routes/duplicates');
+const portfolioRouter = require('./routes/portfolio');
+const slaRouter = require('./routes/sla');
+const blueprintsRouter = require('./routes/blueprints');
+const projectBundlesRouter = require('./routes/project-bundles');
+const retentionRouter = require('./routes/retention');
+const commentThreadsRouter = require('./routes/comment-threads');
+const riskAnalyticsRouter = require('./routes/risk-analytics');
+const scheduleSimulationRouter = require('./routes/schedule-simulation');
+const riskLinksRouter = require('./routes/risk-links');
+const reviewsRouter = require('./routes/reviews');
+const decisionRecordsRouter = require('./routes/decision-records');
 
 // Configure WebSocket for Node.js < v22
 neonConfig.webSocketConstructor = ws;
@@ -384,6 +422,10 @@ app.use(express.urlencoded({ extended: true }));
 const cookieParser = require("cookie-parser");
 app.use(cookieParser());
 
+// Archived projects are read-only: turn away signed-in users' writes to them before
+// any route runs (requests without a valid token go on to authenticateToken)
+app.use('/api', archivedProjectGuard);
+
 // Serve static files with no-cache for JS files to prevent browser caching issues
 app.use(express.static(path.join(__dirname, "public"), {
   setHeaders: (res, filePath) => {
@@ -869,6 +911,28 @@ app.use('/api/aipm', authenticateToken, aiRiskDetectorRouter); // AI Risk Detect
 app.use('/api/aipm', authenticateToken, aiAgentStreamingRouter); // AI Agent Streaming routes
 app.use('/api', authenticateToken, documentsRouter); // Document Library routes
 app.use('/api', authenticateToken, attachmentsRouter); // Attachments routes
+app.use('/api', authenticateToken, sprintsRouter); // Sprint planning, burndown & velocity routes
+app.use('/api', authenticateToken, workflowsRouter); // Per-project workflow statuses & transitions
+app.use('/api', authenticateToken, customFieldsRouter); // Custom field definitions
+app.use('/api', authenticateToken, itemHistoryRouter); // Field-level change history for issues & action items
+app.use('/api', authenticateToken, trashRouter); // Trash bin: restore and purge deleted items
+app.use('/api', authenticateToken, importRouter); // Bulk import from CSV and Jira/Trello/Asana exports
+app.use('/api', authenticateToken, savedViewsRouter); // Private and shared saved views for the board and table
+app.use('/api', authenticateToken, itemQueryRouter); // Filter bar query language autocomplete
+app.use('/api', authenticateToken, searchRouter); // Project-wide full-text search
+app.use('/api', authenticateToken, watchersRouter); // Watch / unwatch issues, action items, risks & decisions
+app.use('/api', authenticateToken, duplicatesRouter); // Duplicate checks & issue merge
+app.use('/api', authenticateToken, portfolioRouter); // Cross-project portfolio views
+app.use('/api', authenticateToken, slaRouter); // SLA policies and compliance report
+app.use('/api', authenticateToken, blueprintsRouter); // Project blueprints
+app.use('/api', authenticateToken, projectBundlesRouter); // Project export/import bundles
+app.use('/api', authenticateToken, retentionRouter); // Retention policies for archived projects
+app.use('/api', authenticateToken, commentThreadsRouter); // Threaded comments: replies, reactions, resolved state, edit history
+app.use('/api', authenticateToken, riskAnalyticsRouter); // Risk heat map, score history, exposure trend
+app.use('/api', authenticateToken, scheduleSimulationRouter); // Monte Carlo schedule and cost simulation
+app.use('/api', authenticateToken, riskLinksRouter); // Risk threatens / mitigated-by links
+app.use('/api', authenticateToken, reviewsRouter); // Reviews-due queue and review cadence for risks & decisions
+app.use('/api', authenticateToken, decisionRecordsRouter); // Decision supersession lineage, ADR export & import
 
 // ============= SIDECAR BOT FOUNDATION ROUTES =============
 app.use('/api/roles', authenticateToken, customRolesRouter); // Custom Roles routes (old)
@@ -917,30 +981,6 @@ async function generateRiskId(projectId) {
   return `RISK-${count.toString().padStart(3, '0')}`;
 }
 
-/**
- * Calculate risk score and level from probability and impact
- */
-function calculateRiskScore(probability, impact) {
-  const score = probability * impact;
-  let level, color;
-  
-  if (score <= 6) {
-    level = 'Low';
-    color = '#10b981';
-  } else if (score <= 12) {
-    level = 'Medium';
-    color = '#f59e0b';
-  } else if (score <= 20) {
-    level = 'High';
-    color = '#f97316';
-  } else {
-    level = 'Critical';
-    color = '#ef4444';
-  }
-  
-  return { score, level, color };
-}
-
 /**
  * Check if user can perform risk action
  */
@@ -1031,6 +1071,10 @@ app.get('/api/notifications/preferences', authenticateToken, async (req, res) =>
         assignments_enabled: true,
         status_changes_enabled: true,
         invitations_enabled: true,
+        watching_enabled: true,
+        sla_escalations_enabled: true,
+        risk_escalations_enabled: true,
+        review_reminders_enabled: true,
         email_frequency: 'immediate'
       });
     }
@@ -1045,21 +1089,25 @@ app.get('/api/notifications/preferences', authenticateToken, async (req, res) =>
 // Update notification preferences
 app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
   try {
-    const { mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, email_frequency } = req.body;
+    const { mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, watching_enabled, sla_escalations_enabled, risk_escalations_enabled, review_reminders_enabled, email_frequency } = req.body;
     
     await pool.query(`
       INSERT INTO user_notification_preferences 
-      (user_id, mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, email_frequency)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      (user_id, mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, watching_enabled, sla_escalations_enabled, risk_escalations_enabled, review_reminders_enabled, email_frequency)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       ON CONFLICT (user_id) 
       DO UPDATE SET 
         mentions_enabled = $2,
         assignments_enabled = $3,
         status_changes_enabled = $4,
         invitations_enabled = $5,
-        email_frequency = $6,
+        watching_enabled = $6,
+        sla_escalations_enabled = $7,
+        risk_escalations_enabled = $8,
+        review_reminders_enabled = $9,
+        email_frequency = $10,
         updated_at = CURRENT_TIMESTAMP
-    `, [req.user.id, mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, email_frequency]);
+    `, [req.user.id, mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, watching_enabled !== false, sla_escalations_enabled !== false, risk_escalations_enabled !== false, review_reminders_enabled !== false, email_frequency]);
     
     res.json({ success: true, message: 'Preferences updated' });
   } catch (error) {
@@ -1128,14 +1176,18 @@ app.get('/api/notifications/unsubscribe/:token', async (req, res) => {
     // Disable all notifications
     await pool.query(`
       INSERT INTO user_notification_preferences 
-      (user_id, mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled)
-      VALUES ($1, false, false, false, false)
+      (user_id, mentions_enabled, assignments_enabled, status_changes_enabled, invitations_enabled, watching_enabled, sla_escalations_enabled, risk_escalations_enabled, review_reminders_enabled)
+      VALUES ($1, false, false, false, false, false, false, false, false)
       ON CONFLICT (user_id) 
       DO UPDATE SET 
         mentions_enabled = false,
         assignments_enabled = false,
         status_changes_enabled = false,
         invitations_enabled = false,
+        watching_enabled = false,
+        sla_escalations_enabled = false,
+        risk_escalations_enabled = false,
+        review_reminders_enabled = false,
         updated_at = CURRENT_TIMESTAMP
     `, [userId]);
     
@@ -1293,13 +1345,14 @@ app.post("/api/projects", authenticateToken, requireRole('Project Manager'), asy
     const finalComplexityLevel = complexity_level || 'standard';
 
     const [newProject] = await sql`
-      INSERT INTO projects (name, description, template, complexity_level, created_by)
+      INSERT INTO projects (name, description, template, complexity_level, created_by, owner_id)
       VALUES (
         ${name}, 
         ${description || ''}, 
         ${template || 'generic'},
         ${finalComplexityLevel},
-        ${req.user.id.toString()}
+        ${req.user.id.toString()},
+        ${req.user.id}
       )
       RETURNING *
     `;
@@ -1320,7 +1373,7 @@ app.post("/api/projects", authenticateToken, requireRole('Project Manager'), asy
 app.put("/api/projects/:id", authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, template, start_date, end_date, teams_webhook_url, teams_notifications_enabled, checklist_completion_enabled, timesheet_entry_required, complexity_level } = req.body;
+    const { name, description, template, start_date, end_date, teams_webhook_url, teams_notifications_enabled, checklist_completion_enabled, timesheet_entry_required, complexity_level, tags, owner_id, budget_amount, budget_hourly_rate, budget_currency } = req.body;
     
     const [membership] = await sql`
       SELECT role FROM project_members 
@@ -1358,6 +1411,41 @@ app.put("/api/projects/:id", authenticateToken, async (req, res) => {
       ? complexity_level
       : currentProject.complexity_level;
     
+    // Portfolio fields: tags, owner and budget keep their current values when omitted
+    const finalTags = tags !== undefined
+      ? [...new Set((Array.isArray(tags) ? tags : String(tags || '').split(',')).map(t => String(t).trim()).filter(Boolean))]
+      : (currentProject.tags || []);
+
+    const parseBudget = (value, current, label) => {
+      if (value === undefined) return { value: current };
+      if (value === null || value === '') return { value: null };
+      const number = Number(value);
+      if (isNaN(number) || number < 0) return { error: `${label} must be a non-negative number` };
+      return { value: number };
+    };
+    const finalBudget = parseBudget(budget_amount, currentProject.budget_amount, 'budget_amount');
+    const finalHourlyRate = parseBudget(budget_hourly_rate, currentProject.budget_hourly_rate, 'budget_hourly_rate');
+    if (finalBudget.error || finalHourlyRate.error) {
+      return res.status(400).json({ error: finalBudget.error || finalHourlyRate.error });
+    }
+    const finalCurrency = budget_currency !== undefined
+      ? (budget_currency || 'USD').toUpperCase().slice(0, 10)
+      : (currentProject.budget_currency || 'USD');
+
+    let finalOwnerId = currentProject.owner_id;
+    if (owner_id !== undefined) {
+      finalOwnerId = owner_id ? parseInt(owner_id) : null;
+      if (finalOwnerId) {
+        const [ownerMembership] = await sql`
+          SELECT 1 FROM project_members
+          WHERE project_id = ${id} AND user_id = ${finalOwnerId} AND status = 'active'
+        `;
+        if (!ownerMembership) {
+          return res.status(400).json({ error: 'Project owner must be an active project member' });
+        }
+      }
+    }
+    
     // Determine final values with proper handling
     const finalWebhookUrl = teams_webhook_url !== undefined ? teams_webhook_url : currentProject.teams_webhook_url;
     const finalNotificationsEnabled = teams_notifications_enabled !== undefined ? teams_notifications_enabled : (currentProject.teams_notifications_enabled !== undefined ? currentProject.teams_notifications_enabled : true);
@@ -1377,6 +1465,11 @@ app.put("/api/projects/:id", authenticateToken, async (req, res) => {
         checklist_completion_enabled = ${finalChecklistCompletionEnabled},
         timesheet_entry_required = ${finalTimesheetRequired},
         complexity_level = ${finalComplexityLevel},
+        tags = ${finalTags},
+        owner_id = ${finalOwnerId},
+        budget_amount = ${finalBudget.value},
+        budget_hourly_rate = ${finalHourlyRate.value},
+        budget_currency = ${finalCurrency},
         updated_by = ${req.user.id}
       WHERE id = ${id}
       RETURNING *
@@ -1434,6 +1527,9 @@ app.post("/api/projects/:id/archive", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
     
+    // Read-only from here on, so stop pulling mail into it
+    emailProcessor.stopIMAPPoller(archivedProject.id);
+    
     res.json({
       message: 'Project archived successfully',
       project: archivedProject
@@ -1476,6 +1572,11 @@ app.post("/api/projects/:id/restore", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
     
+    // Resume IMAP polling if the project had it switched on
+    emailProcessor.startIMAPPoller(restoredProject.id).catch(error => {
+      console.error('Error restarting IMAP poller:', error.message);
+    });
+    
     res.json({
       message: 'Project restored successfully',
       project: restoredProject
@@ -2402,15 +2503,17 @@ app.get('/api/projects/:projectId/dashboard/stats', authenticateToken, async (re
     
     // Get issues by status
     const issuesByStatusResult = await pool.query(`
-      SELECT status, COUNT(*) as count
+      SELECT status, status_category(project_id, status) as category, COUNT(*) as count
       FROM issues
       WHERE project_id = $1
-      GROUP BY status
+      GROUP BY status, category
     `, [projectId]);
     
     const issuesByStatus = {};
+    const issuesByCategory = { todo: 0, active: 0, done: 0 };
     issuesByStatusResult.rows.forEach(row => {
       issuesByStatus[row.status] = parseInt(row.count);
+      issuesByCategory[row.category] += parseInt(row.count);
     });
     
     // Get issues by priority
@@ -2428,15 +2531,17 @@ app.get('/api/projects/:projectId/dashboard/stats', authenticateToken, async (re
     
     // Get action items by status
     const actionItemsByStatusResult = await pool.query(`
-      SELECT status, COUNT(*) as count
+      SELECT status, status_category(project_id, status) as category, COUNT(*) as count
       FROM action_items
       WHERE project_id = $1
-      GROUP BY status
+      GROUP BY status, category
     `, [projectId]);
     
     const actionItemsByStatus = {};
+    const actionItemsByCategory = { todo: 0, active: 0, done: 0 };
     actionItemsByStatusResult.rows.forEach(row => {
       actionItemsByStatus[row.status] = parseInt(row.count);
+      actionItemsByCategory[row.category] += parseInt(row.count);
     });
     
     // Get action items by priority
@@ -2453,8 +2558,8 @@ app.get('/api/projects/:projectId/dashboard/stats', authenticateToken, async (re
     });
     
     // Calculate completion rate
-    const completedIssues = issuesByStatus['Done'] || 0;
-    const completedActionItems = actionItemsByStatus['Done'] || 0;
+    const completedIssues = issuesByCategory.done;
+    const completedActionItems = actionItemsByCategory.done;
     const totalIssues = parseInt(totalIssuesResult.rows[0].count);
     const totalActionItems = parseInt(totalActionItemsResult.rows[0].count);
     const totalItems = totalIssues + totalActionItems;
@@ -2464,19 +2569,19 @@ app.get('/api/projects/:projectId/dashboard/stats', authenticateToken, async (re
     // Get overdue count
     const overdueResult = await pool.query(`
       SELECT COUNT(*) as count FROM (
-        SELECT id FROM issues WHERE project_id = $1 AND due_date < NOW() AND status != 'Done'
+        SELECT id FROM issues WHERE project_id = $1 AND due_date < NOW() AND status_category(project_id, status) != 'done'
         UNION ALL
-        SELECT id FROM action_items WHERE project_id = $2 AND due_date < NOW() AND status != 'Done'
+        SELECT id FROM action_items WHERE project_id = $2 AND due_date < NOW() AND status_category(project_id, status) != 'done'
       ) as overdue_items
     `, [projectId, projectId]);
     
     // Get upcoming deadlines (next 5)
     const upcomingResult = await pool.query(`
       SELECT id, title, due_date, 'issue' as type FROM issues
-      WHERE project_id = $1 AND due_date > NOW() AND status != 'Done'
+      WHERE project_id = $1 AND due_date > NOW() AND status_category(project_id, status) != 'done'
       UNION ALL
       SELECT id, title, due_date, 'action_item' as type FROM action_items
-      WHERE project_id = $2 AND due_date > NOW() AND status != 'Done'
+      WHERE project_id = $2 AND due_date > NOW() AND status_category(project_id, status) != 'done'
       ORDER BY due_date ASC
       LIMIT 5
     `, [projectId, projectId]);
@@ -2511,8 +2616,10 @@ app.get('/api/projects/:projectId/dashboard/stats', authenticateToken, async (re
       totalIssues,
       totalActionItems,
       issuesByStatus,
+      issuesByCategory,
       issuesByPriority,
       actionItemsByStatus,
+      actionItemsByCategory,
       actionItemsByPriority,
       completionRate: parseFloat(completionRate.toFixed(2)),
       overdueCount: parseInt(overdueResult.rows[0].count),
@@ -2703,7 +2810,7 @@ app.get('/api/projects/:projectId/dashboard/team-metrics', authenticateToken, as
       LEFT JOIN (
         SELECT assignee, COUNT(*) as count
         FROM issues
-        WHERE project_id = $3 AND status = 'Done'
+        WHERE project_id = $3 AND status_category(project_id, status) = 'done'
         GROUP BY assignee
       ) issues_completed ON (
         LOWER(TRIM(issues_completed.assignee)) = LOWER(TRIM(u.username))
@@ -2725,7 +2832,7 @@ app.get('/api/projects/:projectId/dashboard/team-metrics', authenticateToken, as
       LEFT JOIN (
         SELECT assignee, COUNT(*) as count
         FROM action_items
-        WHERE project_id = $5 AND status = 'Done'
+        WHERE project_id = $5 AND status_category(project_id, status) = 'done'
         GROUP BY assignee
       ) actions_completed ON (
         LOWER(TRIM(actions_completed.assignee)) = LOWER(TRIM(u.username))
@@ -2814,7 +2921,7 @@ app.get('/api/projects/:projectId/dashboard/trends', authenticateToken, async (r
       SELECT 
         DATE(created_at) as date,
         COUNT(*) as created,
-        COUNT(CASE WHEN status = 'Done' THEN 1 END) as completed
+        COUNT(CASE WHEN status_category(project_id, status) = 'done' THEN 1 END) as completed
       FROM issues
       WHERE project_id = $1 
         AND created_at >= NOW() - ($2 || ' days')::INTERVAL
@@ -2827,7 +2934,7 @@ app.get('/api/projects/:projectId/dashboard/trends', authenticateToken, async (r
       SELECT 
         DATE(created_at) as date,
         COUNT(*) as created,
-        COUNT(CASE WHEN status = 'Done' THEN 1 END) as completed
+        COUNT(CASE WHEN status_category(project_id, status) = 'done' THEN 1 END) as completed
       FROM action_items
       WHERE project_id = $1 
         AND created_at >= NOW() - ($2 || ' days')::INTERVAL
@@ -2861,18 +2968,17 @@ app.get('/api/projects/:projectId/dashboard/trends', authenticateToken, async (r
       ORDER BY date ASC, activity_type
     `, [projectId, projectId, projectId, projectId, days]);
     
-    // Get velocity trends (status transitions)
+    // Get velocity trends (status transitions, grouped by workflow category)
     const velocityTrendResult = await pool.query(`
       SELECT 
         DATE(changed_at) as date,
-        to_status,
+        status_category(project_id, to_status) as category,
         COUNT(*) as count
       FROM status_history
       WHERE project_id = $1 
         AND changed_at >= NOW() - ($2 || ' days')::INTERVAL
-        AND to_status IN ('To Do', 'In Progress', 'Done')
-      GROUP BY DATE(changed_at), to_status
-      ORDER BY date ASC, to_status
+      GROUP BY DATE(changed_at), category
+      ORDER BY date ASC, category
     `, [projectId, days]);
     
     const trends = {
@@ -3319,7 +3425,7 @@ app.put('/api/action-items/:actionItemId/tags', authenticateToken, requireRole('
 // Get issues with filtering and search
 app.get('/api/issues', authenticateToken, async (req, res) => {
   try {
-    const { projectId, status, priority, assignee, category, tag, search } = req.query;
+    const { projectId, status, priority, assignee, category, tag, search, sprintId, customField, q } = req.query;
     
     // Build dynamic WHERE conditions
     let conditions = [];
@@ -3330,7 +3436,11 @@ app.get('/api/issues', authenticateToken, async (req, res) => {
       params.push(parseInt(projectId));
     }
     
-    if (status) {
+    // status=category:done filters by workflow category instead of a status name
+    if (status && status.startsWith('category:')) {
+      conditions.push(`status_category(i.project_id, i.status) = $${params.length + 1}`);
+      params.push(status.slice('category:'.length));
+    } else if (status) {
       conditions.push(`i.status = $${params.length + 1}`);
       params.push(status);
     }
@@ -3355,12 +3465,38 @@ app.get('/api/issues', authenticateToken, async (req, res) => {
       params.push(parseInt(tag));
     }
     
+    // sprintId=backlog returns items not assigned to any sprint
+    if (sprintId === 'backlog') {
+      conditions.push(`i.sprint_id IS NULL`);
+    } else if (sprintId) {
+      conditions.push(`i.sprint_id = $${params.length + 1}`);
+      params.push(parseInt(sprintId));
+    }
+    
+    // customField=key:value (or key:* for "has a value")
+    if (customField) {
+      const customFieldCondition = customFieldsService.buildCustomFieldCondition('i', customField, params);
+      if (customFieldCondition) {
+        conditions.push(customFieldCondition);
+      }
+    }
+    
     if (search) {
       conditions.push(`(i.title ILIKE $${params.length + 1} OR i.description ILIKE $${params.length + 2})`);
       params.push(`%${search}%`);
       params.push(`%${search}%`);
     }
     
+    // q=status:open assignee:me priority>=high ... (services/item-query-service.js)
+    if (q) {
+      conditions.push(...itemQueryService.compileItemQuery(q, {
+        alias: 'i',
+        itemType: 'issue',
+        params,
+        username: req.user.username
+      }));
+    }
+    
     // Build final query
     const whereClause = conditions.length > 0 
       ? 'WHERE ' + conditions.join(' AND ')
@@ -3369,6 +3505,7 @@ app.get('/api/issues', authenticateToken, async (req, res) => {
     const query = `
       SELECT 
         i.*,
+        status_category(i.project_id, i.status) as status_category,
         u.username as creator_username,
         u.email as creator_email,
         sh.changed_at as completed_at,
@@ -3388,7 +3525,7 @@ app.get('/api/issues', authenticateToken, async (req, res) => {
         FROM status_history 
         WHERE item_type = 'issue' 
           AND item_id = i.id 
-          AND to_status = 'Done'
+          AND status_category(i.project_id, to_status) = 'done'
         ORDER BY changed_at DESC 
         LIMIT 1
       ) sh ON true
@@ -3400,8 +3537,14 @@ app.get('/api/issues', authenticateToken, async (req, res) => {
     // Execute using pool.query() for dynamic SQL
     const result = await pool.query(query, params);
     
+    // SLA state for board badges
+    await slaService.annotateIssues(result.rows);
+    
     res.json(result.rows);
   } catch (error) {
+    if (error.message.startsWith('Invalid query')) {
+      return res.status(400).json({ error: error.message, queryErrors: error.validationErrors });
+    }
     console.error('Error fetching issues:', error);
     res.status(500).json({ error: 'Failed to fetch issues' });
   }
@@ -3430,7 +3573,9 @@ app.get('/api/issues/:id', authenticateToken, async (req, res) => {
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Issue not found' });
+      // A merged issue points at the issue it was folded into
+      const mergedInto = await duplicateService.resolveRedirect('issue', parseInt(id));
+      return res.status(404).json({ error: 'Issue not found', mergedInto });
     }
     
     res.json(result.rows[0]);
@@ -3625,6 +3770,8 @@ app.post('/api/issues', authenticateToken, requireRole('Team Member'), async (re
     isEpic,
     estimatedEffortHours,
     progress = 0,
+    sprintId = null,
+    customFields = {},
     // AI-related fields
     createdByAI = false,
     aiConfidence = null,
@@ -3645,6 +3792,8 @@ app.post('/api/issues', authenticateToken, requireRole('Team Member'), async (re
       });
     }
     
+    const initialStatus = await workflowService.getInitialStatus(projectId);
+    
     // Validate parent issue if provided
     if (parentIssueId) {
       const [parentIssue] = await sql`SELECT project_id FROM issues WHERE id = ${parseInt(parentIssueId)}`;
@@ -3661,12 +3810,29 @@ app.post('/api/issues', authenticateToken, requireRole('Team Member'), async (re
       }
     }
     
+    // Validate sprint if provided
+    if (sprintId) {
+      try {
+        await sprintService.validateSprintForProject(sprintId, projectId);
+      } catch (sprintError) {
+        return res.status(400).json({ error: sprintError.message });
+      }
+    }
+    
+    let customFieldValues;
+    try {
+      customFieldValues = await customFieldsService.prepareItemCustomFields(projectId, 'issue', customFields);
+    } catch (fieldError) {
+      if (!fieldError.validationErrors) throw fieldError;
+      return res.status(400).json({ error: fieldError.message, validationErrors: fieldError.validationErrors });
+    }
+    
     const [newIssue] = await sql`
       INSERT INTO issues (
         title, description, type, priority, category, assignee, 
         due_date, project_id, parent_issue_id, is_epic, estimated_effort_hours,
         status, progress, created_by,
-        created_by_ai, ai_confidence, ai_analysis_id
+        created_by_ai, ai_confidence, ai_analysis_id, sprint_id, custom_fields
       ) VALUES (
         ${title.trim()}, 
         ${description?.trim() || ''}, 
@@ -3679,15 +3845,24 @@ app.post('/api/issues', authenticateToken, requireRole('Team Member'), async (re
         ${parentIssueId ? parseInt(parentIssueId) : null},
         ${isEpic || false},
         ${estimatedEffortHours ? parseFloat(estimatedEffortHours) : null},
-        'To Do',
+        ${initialStatus},
         ${progress || 0},
         ${req.user.id.toString()},
         ${createdByAI},
         ${aiConfidence},
-        ${aiAnalysisId}
+        ${aiAnalysisId},
+        ${sprintId ? parseInt(sprintId) : null},
+        ${JSON.stringify(customFieldValues)}
       ) RETURNING *
     `;
     
+    if (newIssue.sprint_id) {
+      await sprintService.syncItemSprint('issue', newIssue.id, newIssue.sprint_id, req.user.id);
+    }
+    
+    indexItemForDuplicates('issue', newIssue);
+    await syncSlaTimers(newIssue.id);
+    
     // Fetch the complete issue with creator info
     const [issueWithCreator] = await sql`
       SELECT 
@@ -3797,7 +3972,11 @@ app.patch('/api/issues/:id', authenticateToken, requireRole('Team Member'), asyn
       planning_estimate_source,
       actual_hours_added,  // NEW: Hours to add during status change
       completion_percentage,  // NEW: Manual completion percentage
-      timesheet_required_override  // NEW: Item-level timesheet override
+      timesheet_required_override,  // NEW: Item-level timesheet override
+      sprint_id,
+      custom_fields,
+      wip_override_reason,  // Required to move into a status that is at its WIP limit
+      change_source  // 'edit' (default), 'bulk' from table bulk actions, 'revert' from the history tab
     } = req.body;
     
     console.log('PATCH /api/issues/:id - Request body:', req.body);
@@ -3827,11 +4006,60 @@ app.patch('/api/issues/:id', authenticateToken, requireRole('Team Member'), asyn
       return res.status(403).json({ error: 'Only the owner, assignee, or Team Lead+ can edit this issue' });
     }
     
+    // Validate sprint assignment (null moves the issue back to the backlog)
+    const sprintChanged = sprint_id !== undefined && (sprint_id ? parseInt(sprint_id) : null) !== issue.sprint_id;
+    if (sprintChanged && sprint_id) {
+      try {
+        await sprintService.validateSprintForProject(sprint_id, issue.project_id);
+      } catch (sprintError) {
+        return res.status(400).json({ error: sprintError.message });
+      }
+    }
+    
+    // Validate and merge custom field values (only the keys sent are changed)
+    let customFieldValues = null;
+    if (custom_fields !== undefined) {
+      try {
+        customFieldValues = await customFieldsService.prepareItemCustomFields(
+          issue.project_id, 'issue', custom_fields || {}, issue.custom_fields || {}
+        );
+      } catch (fieldError) {
+        if (!fieldError.validationErrors) throw fieldError;
+        return res.status(400).json({ error: fieldError.message, validationErrors: fieldError.validationErrors });
+      }
+    }
+    
     // Handle time tracking for status changes
     let timeTrackingResult = null;
+    let projectWorkflow = null;
+    let wipOverride = null;
     if (status !== undefined && status !== issue.status) {
       console.log(`Status changing from "${issue.status}" to "${status}"`);
       
+      // Enforce the project's workflow (allowed transitions and their requirements)
+      const transitionCheck = await workflowService.validateTransition('issue', issue, status, {
+        hoursAdded: actual_hours_added,
+        userRole: req.user.role,
+        assignee: assignee !== undefined ? assignee : issue.assignee,
+        wipOverrideReason: wip_override_reason
+      });
+      
+      if (!transitionCheck.valid) {
+        return res.status(400).json({
+          error: transitionCheck.error,
+          message: transitionCheck.message,
+          allowedStatuses: transitionCheck.allowedStatuses,
+          requiresHours: transitionCheck.requiresHours,
+          timesheetRequired: transitionCheck.timesheetRequired,
+          wipLimitExceeded: transitionCheck.wipLimitExceeded,
+          wipLimit: transitionCheck.wipLimit,
+          wipCount: transitionCheck.wipCount
+        });
+      }
+      
+      projectWorkflow = transitionCheck.workflow;
+      wipOverride = transitionCheck.wipOverride;
+      
       // Determine timesheet override: use new value if being updated, otherwise use current
       const effectiveTimesheetOverride = timesheet_required_override !== undefined 
         ? timesheet_required_override 
@@ -3915,6 +4143,14 @@ app.patch('/api/issues/:id', authenticateToken, requireRole('Team Member'), asyn
       updates.push(`timesheet_required_override = $${valueIndex++}`);
       values.push(timesheet_required_override);
     }
+    if (sprint_id !== undefined) {
+      updates.push(`sprint_id = $${valueIndex++}`);
+      values.push(sprint_id ? parseInt(sprint_id) : null);
+    }
+    if (customFieldValues !== null) {
+      updates.push(`custom_fields = $${valueIndex++}`);
+      values.push(JSON.stringify(customFieldValues));
+    }
     
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -3944,6 +4180,10 @@ app.patch('/api/issues/:id', authenticateToken, requireRole('Team Member'), asyn
       return res.status(404).json({ error: 'Issue not found or not updated' });
     }
     
+    if (sprintChanged) {
+      await sprintService.syncItemSprint('issue', parseInt(id), updatedIssue.sprint_id, req.user.id);
+    }
+    
     // If time tracking was performed, refetch the item to get updated time tracking fields
     if (timeTrackingResult && !timeTrackingResult.skipTimeTracking) {
       const [refreshedIssue] = await sql`SELECT * FROM issues WHERE id = ${id}`;
@@ -3952,6 +4192,35 @@ app.patch('/api/issues/:id', authenticateToken, requireRole('Team Member'), asyn
       }
     }
     
+    // Field-level change log (a failure here doesn't fail the update)
+    try {
+      await changeHistoryService.recordItemChanges('issue', issue, updatedIssue, req.user.id, change_source);
+    } catch (err) {
+      console.error('Error recording change history:', err);
+    }
+    
+    if (wipOverride) {
+      workflowService.recordWipOverride({
+        projectId: issue.project_id, itemType: 'issue', itemId: updatedIssue.id,
+        fromStatus: issue.status, toStatus: updatedIssue.status, ...wipOverride, userId: req.user.id
+      }).catch(err => console.error('Error logging WIP override:', err));
+    }
+    
+    // Tell watchers what changed
+    watcherService.notifyItemChanges('issue', issue, updatedIssue, req.user)
+      .catch(err => console.error('Error notifying watchers:', err));
+    
+    if (updatedIssue.title !== issue.title || updatedIssue.description !== issue.description) {
+      indexItemForDuplicates('issue', updatedIssue);
+    }
+    
+    if (status !== undefined || priority !== undefined || assignee !== undefined) {
+      const slaTimers = await syncSlaTimers(updatedIssue.id);
+      if (slaTimers) {
+        Object.assign(updatedIssue, slaTimers);
+      }
+    }
+    
     console.log('Updated issue:', updatedIssue);
     
     // Handle effort estimate updates
@@ -4091,7 +4360,9 @@ app.patch('/api/issues/:id', authenticateToken, requireRole('Team Member'), asyn
     }
     
     // Send completion notification to creator if status changed to Done
-    if (status === 'Done' && issue.status !== 'Done') {
+    if (projectWorkflow &&
+        workflowService.getStatusCategory(projectWorkflow, status) === 'done' &&
+        workflowService.getStatusCategory(projectWorkflow, issue.status) !== 'done') {
       try {
         const creatorUser = await pool.query(
           'SELECT id, username, email FROM users WHERE id = $1',
@@ -4401,26 +4672,11 @@ app.delete('/api/issues/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    // Delete related data first (no FK constraint exists for attachments)
-    await sql`
-      DELETE FROM attachments 
-      WHERE entity_type = 'issue' AND entity_id = ${id}
-    `;
-    
-    // Delete related checklists (must be done before deleting the issue)
-    await sql`
-      DELETE FROM checklists 
-      WHERE related_issue_id = ${id}
-    `;
+    // Move to the trash; comments, tags, dependencies and PKG nodes come back on restore.
+    // Attachments and linked checklists are removed when the trash entry is purged.
+    const trashed = await trashService.trashItem('issue', parseInt(id), req.user.id);
     
-    // Delete the issue (comments will cascade automatically)
-    const [deleted] = await sql`
-      DELETE FROM issues 
-      WHERE id = ${id}
-      RETURNING id
-    `;
-    
-    res.json({ message: 'Issue deleted successfully' });
+    res.json({ message: 'Issue moved to trash', trashId: trashed?.id });
   } catch (error) {
     console.error('Error deleting issue:', error);
     res.status(500).json({ error: 'Failed to delete issue' });
@@ -4432,7 +4688,7 @@ app.delete('/api/issues/:id', authenticateToken, async (req, res) => {
 // Get action items with filtering and search
 app.get("/api/action-items", authenticateToken, async (req, res) => {
   try {
-    const { projectId, status, priority, assignee, tag, search } = req.query;
+    const { projectId, status, priority, assignee, tag, search, sprintId, customField, q } = req.query;
     
     // Build dynamic WHERE conditions
     let conditions = [];
@@ -4443,7 +4699,11 @@ app.get("/api/action-items", authenticateToken, async (req, res) => {
       params.push(parseInt(projectId));
     }
     
-    if (status) {
+    // status=category:done filters by workflow category instead of a status name
+    if (status && status.startsWith('category:')) {
+      conditions.push(`status_category(a.project_id, a.status) = $${params.length + 1}`);
+      params.push(status.slice('category:'.length));
+    } else if (status) {
       conditions.push(`a.status = $${params.length + 1}`);
       params.push(status);
     }
@@ -4463,12 +4723,38 @@ app.get("/api/action-items", authenticateToken, async (req, res) => {
       params.push(parseInt(tag));
     }
     
+    // sprintId=backlog returns items not assigned to any sprint
+    if (sprintId === 'backlog') {
+      conditions.push(`a.sprint_id IS NULL`);
+    } else if (sprintId) {
+      conditions.push(`a.sprint_id = $${params.length + 1}`);
+      params.push(parseInt(sprintId));
+    }
+    
+    // customField=key:value (or key:* for "has a value")
+    if (customField) {
+      const customFieldCondition = customFieldsService.buildCustomFieldCondition('a', customField, params);
+      if (customFieldCondition) {
+        conditions.push(customFieldCondition);
+      }
+    }
+    
     if (search) {
       conditions.push(`(a.title ILIKE $${params.length + 1} OR a.description ILIKE $${params.length + 2})`);
       params.push(`%${search}%`);
       params.push(`%${search}%`);
     }
     
+    // q=status:open assignee:me priority>=high ... (services/item-query-service.js)
+    if (q) {
+      conditions.push(...itemQueryService.compileItemQuery(q, {
+        alias: 'a',
+        itemType: 'action-item',
+        params,
+        username: req.user.username
+      }));
+    }
+    
     // Build final query
     const whereClause = conditions.length > 0 
       ? 'WHERE ' + conditions.join(' AND ')
@@ -4477,6 +4763,7 @@ app.get("/api/action-items", authenticateToken, async (req, res) => {
     const query = `
       SELECT 
         a.*,
+        status_category(a.project_id, a.status) as status_category,
         u.username as creator_username,
         u.email as creator_email,
         sh.changed_at as completed_at,
@@ -4496,7 +4783,7 @@ app.get("/api/action-items", authenticateToken, async (req, res) => {
         FROM status_history 
         WHERE item_type = 'action_item' 
           AND item_id = a.id 
-          AND to_status = 'Done'
+          AND status_category(a.project_id, to_status) = 'done'
         ORDER BY changed_at DESC 
         LIMIT 1
       ) sh ON true
@@ -4510,6 +4797,9 @@ app.get("/api/action-items", authenticateToken, async (req, res) => {
     
     res.json(result.rows);
   } catch (error) {
+    if (error.message.startsWith('Invalid query')) {
+      return res.status(400).json({ error: error.message, queryErrors: error.validationErrors });
+    }
     console.error('Error fetching action items:', error);
     res.status(500).json({ error: 'Failed to fetch action items' });
   }
@@ -4729,6 +5019,8 @@ app.post("/api/action-items", authenticateToken, requireRole('Team Member'), asy
       assignee, 
       dueDate,
       categoryId,
+      sprintId = null,
+      customFields = {},
       // AI-related fields
       createdByAI = false,
       aiConfidence = null,
@@ -4739,11 +5031,30 @@ app.post("/api/action-items", authenticateToken, requireRole('Team Member'), asy
       return res.status(400).json({ error: 'Title and Project ID are required' });
     }
     
+    // Validate sprint if provided
+    if (sprintId) {
+      try {
+        await sprintService.validateSprintForProject(sprintId, projectId);
+      } catch (sprintError) {
+        return res.status(400).json({ error: sprintError.message });
+      }
+    }
+    
+    let customFieldValues;
+    try {
+      customFieldValues = await customFieldsService.prepareItemCustomFields(projectId, 'action-item', customFields);
+    } catch (fieldError) {
+      if (!fieldError.validationErrors) throw fieldError;
+      return res.status(400).json({ error: fieldError.message, validationErrors: fieldError.validationErrors });
+    }
+    
+    const initialStatus = await workflowService.getInitialStatus(projectId);
+    
     const [newItem] = await sql`
       INSERT INTO action_items (
         title, description, project_id, priority, assignee, 
         due_date, status, created_by, category_id,
-        created_by_ai, ai_confidence, ai_analysis_id
+        created_by_ai, ai_confidence, ai_analysis_id, sprint_id, custom_fields
       ) VALUES (
         ${title.trim()}, 
         ${description?.trim() || ''}, 
@@ -4751,15 +5062,23 @@ app.post("/api/action-items", authenticateToken, requireRole('Team Member'), asy
         ${priority || 'medium'}, 
         ${assignee || ''}, 
         ${dueDate || null}, 
-        'To Do',
+        ${initialStatus},
         ${req.user.id.toString()},
         ${categoryId ? parseInt(categoryId) : null},
         ${createdByAI},
         ${aiConfidence},
-        ${aiAnalysisId}
+        ${aiAnalysisId},
+        ${sprintId ? parseInt(sprintId) : null},
+        ${JSON.stringify(customFieldValues)}
       ) RETURNING *
     `;
     
+    if (newItem.sprint_id) {
+      await sprintService.syncItemSprint('action-item', newItem.id, newItem.sprint_id, req.user.id);
+    }
+    
+    indexItemForDuplicates('action-item', newItem);
+    
     // Fetch the complete action item with creator info
     const [actionItemWithCreator] = await sql`
       SELECT 
@@ -4873,7 +5192,11 @@ app.patch('/api/action-items/:id', authenticateToken, requireRole('Team Member')
       planning_estimate_source,
       actual_hours_added,  // NEW: Hours to add during status change
       completion_percentage,  // NEW: Manual completion percentage
-      timesheet_required_override  // NEW: Item-level timesheet override
+      timesheet_required_override,  // NEW: Item-level timesheet override
+      sprint_id,
+      custom_fields,
+      wip_override_reason,  // Required to move into a status that is at its WIP limit
+      change_source  // 'edit' (default), 'bulk' from table bulk actions, 'revert' from the history tab
     } = req.body;
     
     console.log('PATCH /api/action-items/:id - Request body:', req.body);
@@ -4903,11 +5226,60 @@ app.patch('/api/action-items/:id', authenticateToken, requireRole('Team Member')
       return res.status(403).json({ error: 'Only the owner, assignee, or Team Lead+ can edit this action item' });
     }
     
+    // Validate sprint assignment (null moves the action item back to the backlog)
+    const sprintChanged = sprint_id !== undefined && (sprint_id ? parseInt(sprint_id) : null) !== item.sprint_id;
+    if (sprintChanged && sprint_id) {
+      try {
+        await sprintService.validateSprintForProject(sprint_id, item.project_id);
+      } catch (sprintError) {
+        return res.status(400).json({ error: sprintError.message });
+      }
+    }
+    
+    // Validate and merge custom field values (only the keys sent are changed)
+    let customFieldValues = null;
+    if (custom_fields !== undefined) {
+      try {
+        customFieldValues = await customFieldsService.prepareItemCustomFields(
+          item.project_id, 'action-item', custom_fields || {}, item.custom_fields || {}
+        );
+      } catch (fieldError) {
+        if (!fieldError.validationErrors) throw fieldError;
+        return res.status(400).json({ error: fieldError.message, validationErrors: fieldError.validationErrors });
+      }
+    }
+    
     // Handle time tracking for status changes
     let timeTrackingResult = null;
+    let projectWorkflow = null;
+    let wipOverride = null;
     if (status !== undefined && status !== item.status) {
       console.log(`Status changing from "${item.status}" to "${status}"`);
       
+      // Enforce the project's workflow (allowed transitions and their requirements)
+      const transitionCheck = await workflowService.validateTransition('action-item', item, status, {
+        hoursAdded: actual_hours_added,
+        userRole: req.user.role,
+        assignee: assignee !== undefined ? assignee : item.assignee,
+        wipOverrideReason: wip_override_reason
+      });
+      
+      if (!transitionCheck.valid) {
+        return res.status(400).json({
+          error: transitionCheck.error,
+          message: transitionCheck.message,
+          allowedStatuses: transitionCheck.allowedStatuses,
+          requiresHours: transitionCheck.requiresHours,
+          timesheetRequired: transitionCheck.timesheetRequired,
+          wipLimitExceeded: transitionCheck.wipLimitExceeded,
+          wipLimit: transitionCheck.wipLimit,
+          wipCount: transitionCheck.wipCount
+        });
+      }
+      
+      projectWorkflow = transitionCheck.workflow;
+      wipOverride = transitionCheck.wipOverride;
+      
       // Determine timesheet override: use new value if being updated, otherwise use current
       const effectiveTimesheetOverride = timesheet_required_override !== undefined 
         ? timesheet_required_override 
@@ -4987,6 +5359,14 @@ app.patch('/api/action-items/:id', authenticateToken, requireRole('Team Member')
       updates.push(`timesheet_required_override = $${valueIndex++}`);
       values.push(timesheet_required_override);
     }
+    if (sprint_id !== undefined) {
+      updates.push(`sprint_id = $${valueIndex++}`);
+      values.push(sprint_id ? parseInt(sprint_id) : null);
+    }
+    if (customFieldValues !== null) {
+      updates.push(`custom_fields = $${valueIndex++}`);
+      values.push(JSON.stringify(customFieldValues));
+    }
     
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
@@ -5009,6 +5389,10 @@ app.patch('/api/action-items/:id', authenticateToken, requireRole('Team Member')
     const result = await pool.query(query, values);
     let updatedItem = result.rows[0];
     
+    if (sprintChanged) {
+      await sprintService.syncItemSprint('action-item', parseInt(id), updatedItem.sprint_id, req.user.id);
+    }
+    
     // If time tracking was performed, refetch the item to get updated time tracking fields
     if (timeTrackingResult && !timeTrackingResult.skipTimeTracking) {
       const [refreshedItem] = await sql`SELECT * FROM action_items WHERE id = ${id}`;
@@ -5017,6 +5401,28 @@ app.patch('/api/action-items/:id', authenticateToken, requireRole('Team Member')
       }
     }
     
+    // Field-level change log (a failure here doesn't fail the update)
+    try {
+      await changeHistoryService.recordItemChanges('action-item', item, updatedItem, req.user.id, change_source);
+    } catch (err) {
+      console.error('Error recording change history:', err);
+    }
+    
+    if (wipOverride) {
+      workflowService.recordWipOverride({
+        projectId: item.project_id, itemType: 'action-item', itemId: updatedItem.id,
+        fromStatus: item.status, toStatus: updatedItem.status, ...wipOverride, userId: req.user.id
+      }).catch(err => console.error('Error logging WIP override:', err));
+    }
+    
+    // Tell watchers what changed
+    watcherService.notifyItemChanges('action-item', item, updatedItem, req.user)
+      .catch(err => console.error('Error notifying watchers:', err));
+    
+    if (updatedItem.title !== item.title || updatedItem.description !== item.description) {
+      indexItemForDuplicates('action-item', updatedItem);
+    }
+    
     // Handle effort estimate updates
     if (estimated_effort_hours !== undefined || planning_estimate_source !== undefined) {
       // Determine if we need to create a history entry
@@ -5154,7 +5560,9 @@ app.patch('/api/action-items/:id', authenticateToken, requireRole('Team Member')
     }
     
     // Send completion notification to creator if status changed to Done
-    if (status === 'Done' && item.status !== 'Done') {
+    if (projectWorkflow &&
+        workflowService.getStatusCategory(projectWorkflow, status) === 'done' &&
+        workflowService.getStatusCategory(projectWorkflow, item.status) !== 'done') {
       try {
         const creatorUser = await pool.query(
           'SELECT id, username, email FROM users WHERE id = $1',
@@ -5271,26 +5679,11 @@ app.delete('/api/action-items/:id', authenticateToken, async (req, res) => {
       });
     }
     
-    // Delete related data first (no FK constraint exists for attachments)
-    await sql`
-      DELETE FROM attachments 
-      WHERE entity_type = 'action-item' AND entity_id = ${id}
-    `;
+    // Move to the trash; comments, tags, dependencies and PKG nodes come back on restore.
+    // Attachments and linked checklists are removed when the trash entry is purged.
+    const trashed = await trashService.trashItem('action-item', parseInt(id), req.user.id);
     
-    // Delete related checklists (must be done before deleting the action item)
-    await sql`
-      DELETE FROM checklists 
-      WHERE related_action_id = ${id}
-    `;
-    
-    // Delete the action item (comments will cascade automatically)
-    const [deleted] = await sql`
-      DELETE FROM action_items 
-      WHERE id = ${id}
-      RETURNING id
-    `;
-    
-    res.json({ message: 'Action item deleted successfully' });
+    res.json({ message: 'Action item moved to trash', trashId: trashed?.id });
   } catch (error) {
     console.error('Error deleting action item:', error);
     res.status(500).json({ error: 'Failed to delete action item' });
@@ -5529,6 +5922,8 @@ async function processStatusUpdates(statusUpdates, projectId, userId, transcript
       errors: []
     };
     
+    const projectWorkflow = await workflowService.getProjectWorkflow(projectId);
+    
     for (const update of statusUpdates) {
       try {
         const itemType = update.itemDescription.toLowerCase().includes('issue') || 
@@ -5542,8 +5937,7 @@ async function processStatusUpdates(statusUpdates, projectId, userId, transcript
           SELECT id, title, description, status, assignee, priority
           FROM ${table}
           WHERE project_id = $1
-          AND status != 'Done'
-          AND status != 'Cancelled'
+          AND status_category(project_id, status) != 'done'
           ${update.assignee ? 'AND assignee ILIKE $2' : ''}
           ORDER BY created_at DESC
           LIMIT 20
@@ -5595,13 +5989,26 @@ async function processStatusUpdates(statusUpdates, projectId, userId, transcript
           continue;
         }
         
+        // Map the AI's generic status onto this project's workflow
         let newStatus = matchedItem.status;
+        const findStatus = (predicate) => (projectWorkflow.statuses.find(predicate) || {}).name;
         if (update.statusChange === 'Done') {
-          newStatus = 'Done';
+          newStatus = findStatus(st => st.category === 'done') || newStatus;
         } else if (update.statusChange === 'In Progress') {
-          newStatus = 'In Progress';
+          newStatus = findStatus(st => st.name === 'In Progress') || findStatus(st => st.category === 'active') || newStatus;
         } else if (update.statusChange === 'Blocked') {
-          newStatus = 'Blocked';
+          newStatus = findStatus(st => st.name === 'Blocked') || newStatus;
+        }
+        
+        if (newStatus !== matchedItem.status &&
+            !workflowService.findTransition(projectWorkflow, matchedItem.status, newStatus)) {
+          results.unmatched.push({
+            update: update,
+            reason: `Workflow does not allow moving from "${matchedItem.status}" to "${newStatus}"`,
+            matchedItem: matchedItem.title,
+            action: 'transition_not_allowed'
+          });
+          continue;
         }
         
         const updateQuery = `
@@ -5694,8 +6101,7 @@ async function findItemByDescription(description, assignee, projectId, client) {
       SELECT id, title, description, assignee, 'action_item' as type
       FROM action_items
       WHERE project_id = $1
-      AND status != 'Done'
-      AND status != 'Cancelled'
+      AND status_category(project_id, status) != 'done'
       ${assignee ? 'AND assignee ILIKE $2' : ''}
       ORDER BY created_at DESC
       LIMIT 20
@@ -5709,8 +6115,7 @@ async function findItemByDescription(description, assignee, projectId, client) {
       SELECT id, title, description, assignee, 'issue' as type
       FROM issues
       WHERE project_id = $1
-      AND status != 'Done'
-      AND status != 'Closed'
+      AND status_category(project_id, status) != 'done'
       ${assignee ? 'AND assignee ILIKE $2' : ''}
       ORDER BY created_at DESC
       LIMIT 20
@@ -5921,62 +6326,33 @@ async function processRelationships(relationships, projectId, userId, transcript
   }
 }
 
-// Helper function to find potential duplicate items using string similarity
+// Helper function to find potential duplicate items (embeddings + text similarity)
 async function findPotentialDuplicate(newItem, projectId, itemType = 'action_item') {
-  const similarityThreshold = 0.75; // 75% similarity threshold
-  
   try {
-    const table = itemType === 'action_item' ? 'action_items' : 'issues';
-    const query = `
-      SELECT * FROM ${table}
-      WHERE project_id = $1
-        AND status != 'Done'
-        AND status != 'Closed'
-      ORDER BY created_at DESC
-      LIMIT 50
-    `;
-    
-    const result = await pool.query(query, [projectId]);
-    const existingItems = result.rows;
-    
-    // Find the most similar item
-    let bestMatch = null;
-    let bestScore = 0;
-    
-    for (const existingItem of existingItems) {
-      // Compare titles
-      const titleScore = stringSimilarity.compareTwoStrings(
-        newItem.title.toLowerCase(),
-        existingItem.title.toLowerCase()
-      );
-      
-      // Compare descriptions if available
-      const descScore = (newItem.description && existingItem.description)
-        ? stringSimilarity.compareTwoStrings(
-            newItem.description.toLowerCase(),
-            existingItem.description.toLowerCase()
-          )
-        : 0;
-      
-      // Weighted average (title is more important)
-      const combinedScore = (titleScore * 0.7) + (descScore * 0.3);
-      
-      if (combinedScore > bestScore && combinedScore >= similarityThreshold) {
-        bestScore = combinedScore;
-        bestMatch = {
-          item: existingItem,
-          similarity: combinedScore
-        };
-      }
-    }
-    
-    return bestMatch;
+    return await duplicateService.findBestDuplicate(projectId, newItem, itemType);
   } catch (error) {
     console.error('Error finding duplicate:', error);
     return null;
   }
 }
 
+// Keep the duplicate-detection embedding for an item current (non-blocking)
+function indexItemForDuplicates(itemType, item) {
+  duplicateService.indexItem(itemType, item)
+    .catch(err => console.warn('Error indexing item for duplicate detection:', err.message));
+}
+
+// Start, pause or stop an issue's SLA timers after it changes (a failure here doesn't fail the request)
+async function syncSlaTimers(issueId) {
+  try {
+    const written = await slaService.syncIssueTimers(issueId);
+    return written.get(parseInt(issueId)) || null;
+  } catch (error) {
+    console.error('Error syncing SLA timers:', error);
+    return null;
+  }
+}
+
 // Helper function to update existing item with new information
 async function updateExistingItem(existingItem, newItem, itemType = 'action_item') {
   try {
@@ -6763,6 +7139,16 @@ IMPORTANT: Extract ALL action items, issues, status updates, and relationships.
       console.log(`Analysis complete: ${parsedResponse.actionItems?.length || 0} action items, ${parsedResponse.issues?.length || 0} issues`);
       console.log(`Model used: ${attemptedModel}, Tokens: ${totalTokens}, Cost: ~$${estimatedCost.toFixed(4)}`);
 
+      // Flag extracted items that repeat existing work so the review step can show it
+      for (const item of [...(parsedResponse.actionItems || []), ...(parsedResponse.issues || [])]) {
+        try {
+          item.possibleDuplicates = await duplicateService.findPossibleDuplicates(parseInt(projectId), item, { limit: 3 });
+        } catch (dupError) {
+          console.error('Error checking extracted item for duplicates:', dupError.message);
+          item.possibleDuplicates = [];
+        }
+      }
+
       // STEP 4: Return results with transcript ID, status updates, relationships, and document classifications
       res.json({
         success: true,
@@ -7036,6 +7422,7 @@ app.post('/api/meetings/create-items',
 
       // Use provided analysis ID or generate one
       const finalAnalysisId = analysisId || `ai-analysis-${Date.now()}-${req.user.id}`;
+      const initialStatus = await workflowService.getInitialStatus(projectId);
 
       // Helper function to validate and sanitize due dates
       const sanitizeDueDate = (dateStr) => {
@@ -7072,7 +7459,7 @@ app.post('/api/meetings/create-items',
               ${item.priority || 'medium'},
               ${item.assignee || ''},
               ${sanitizeDueDate(item.dueDate)},
-              'To Do',
+              ${initialStatus},
               ${req.user.id},
               ${true},
               ${item.confidence || null},
@@ -7127,7 +7514,7 @@ app.post('/api/meetings/create-items',
               ${issue.priority || 'medium'},
               ${issue.category || 'General'},
               ${issue.assignee || ''},
-              'To Do',
+              ${initialStatus},
               ${req.user.id},
               ${true},
               ${issue.confidence || null},
@@ -7221,6 +7608,7 @@ app.post('/api/meetings/create-items-smart',
 
       // Use provided analysis ID or generate one
       const finalAnalysisId = analysisId || `ai-analysis-${Date.now()}-${req.user.id}`;
+      const initialStatus = await workflowService.getInitialStatus(projectId);
 
       // Helper function to validate and sanitize due dates
       const sanitizeDueDate = (dateStr) => {
@@ -7278,6 +7666,7 @@ app.post('/api/meetings/create-items-smart',
             // Update existing item
             const updated = await updateExistingItem(duplicate.item, item, 'action_item');
             if (updated) {
+              indexItemForDuplicates('action-item', updated);
               results.actionItems.updated.push(updated);
               results.actionItems.duplicates.push({
                 existingId: duplicate.item.id,
@@ -7300,7 +7689,7 @@ app.post('/api/meetings/create-items-smart',
                 ${item.priority || 'medium'},
                 ${finalAssignee},
                 ${sanitizeDueDate(item.dueDate)},
-                'To Do',
+                ${initialStatus},
                 ${req.user.id},
                 ${true},
                 ${item.confidence || null},
@@ -7310,6 +7699,7 @@ app.post('/api/meetings/create-items-smart',
               ) RETURNING *
             `;
             results.actionItems.created.push(newItem[0]);
+            indexItemForDuplicates('action-item', newItem[0]);
             
             // Send assignment notification if assignee is set (non-blocking)
             if (finalAssignee && finalAssignee.trim() !== '') {
@@ -7395,6 +7785,8 @@ app.post('/api/meetings/create-items-smart',
             // Update existing item
             const updated = await updateExistingItem(duplicate.item, issue, 'issue');
             if (updated) {
+              indexItemForDuplicates('issue', updated);
+              syncSlaTimers(updated.id);
               results.issues.updated.push(updated);
               results.issues.duplicates.push({
                 existingId: duplicate.item.id,
@@ -7417,7 +7809,7 @@ app.post('/api/meetings/create-items-smart',
                 ${issue.priority || 'medium'},
                 ${issue.category || 'General'},
                 ${finalAssignee},
-                'To Do',
+                ${initialStatus},
                 ${req.user.id},
                 ${true},
                 ${issue.confidence || null},
@@ -7427,6 +7819,8 @@ app.post('/api/meetings/create-items-smart',
               ) RETURNING *
             `;
             results.issues.created.push(newIssue[0]);
+            indexItemForDuplicates('issue', newIssue[0]);
+            syncSlaTimers(newIssue[0].id);
             
             // Send assignment notification if assignee is set (non-blocking)
             if (finalAssignee && finalAssignee.trim() !== '') {
@@ -7639,43 +8033,61 @@ app.get('/api/review-queue',
 });
 
 // Search existing items (for in-modal search)
+// ?query= matches open items by title/description; ?q= takes the filter bar query language
 app.get('/api/search-items',
   authenticateToken,
   requireRole('Stakeholder'),
   async (req, res) => {
     try {
-      const { projectId, query } = req.query;
+      const { projectId, query, q } = req.query;
       
-      if (!projectId || !query) {
+      if (!projectId || (!query && !q)) {
         return res.status(400).json({ error: 'Project ID and query required' });
       }
       
-      const searchQuery = `%${query}%`;
+      const buildConditions = (alias, itemType, params) => {
+        const conditions = [`${alias}.project_id = $1`];
+        if (query) {
+          params.push(`%${query}%`);
+          conditions.push(`(${alias}.title ILIKE $${params.length} OR ${alias}.description ILIKE $${params.length})`);
+          conditions.push(`status_category(${alias}.project_id, ${alias}.status) != 'done'`);
+        }
+        if (q) {
+          conditions.push(...itemQueryService.compileItemQuery(q, {
+            alias, itemType, params, username: req.user.username
+          }));
+        }
+        return conditions.join(' AND ');
+      };
+      
+      const actionParams = [parseInt(projectId)];
+      const actionWhere = buildConditions('a', 'action-item', actionParams);
+      const issueParams = [parseInt(projectId)];
+      const issueWhere = buildConditions('i', 'issue', issueParams);
       
       const actionItems = await pool.query(`
-        SELECT id, title, description, status, assignee, 'action' as type
-        FROM action_items
-        WHERE project_id = $1 
-        AND (title ILIKE $2 OR description ILIKE $2)
-        AND status != 'Done' AND status != 'Cancelled'
-        ORDER BY created_at DESC
+        SELECT a.id, a.title, a.description, a.status, a.assignee, 'action' as type
+        FROM action_items a
+        WHERE ${actionWhere}
+        ORDER BY a.created_at DESC
         LIMIT 10
-      `, [parseInt(projectId), searchQuery]);
+      `, actionParams);
       
       const issues = await pool.query(`
-        SELECT id, title, description, status, assignee, 'issue' as type
-        FROM issues
-        WHERE project_id = $1 
-        AND (title ILIKE $2 OR description ILIKE $2)
-        AND status != 'Done' AND status != 'Cancelled'
-        ORDER BY created_at DESC
+        SELECT i.id, i.title, i.description, i.status, i.assignee, 'issue' as type
+        FROM issues i
+        WHERE ${issueWhere}
+        ORDER BY i.created_at DESC
         LIMIT 10
-      `, [parseInt(projectId), searchQuery]);
+      `, issueParams);
       
       res.json({
         items: [...actionItems.rows, ...issues.rows]
       });
     } catch (error) {
+      if (error.message.startsWith('Invalid query')) {
+        return res.status(400).json({ error: error.message, queryErrors: error.validationErrors });
+      }
       console.error('Error searching items:', error);
       res.status(500).json({ error: 'Failed to search items' });
     }
@@ -7712,7 +8124,7 @@ app.post('/api/review-queue/:id/match',
         
         // Get current item status
         const currentItem = await client.query(`
-          SELECT status FROM ${table} WHERE id = $1
+          SELECT id, project_id, status, assignee FROM ${table} WHERE id = $1
         `, [parseInt(itemId)]);
         
         if (currentItem.rows.length === 0) {
@@ -7722,12 +8134,36 @@ app.post('/api/review-queue/:id/match',
         
         const oldStatus = currentItem.rows[0].status;
         
+        // AI suggests generic statuses; map them onto the project's workflow
+        const projectWorkflow = await workflowService.getProjectWorkflow(currentItem.rows[0].project_id);
+        let newStatus = item.status_change;
+        if (!projectWorkflow.statuses.some(st => st.name === newStatus)) {
+          const category = workflowService.getStatusCategory(projectWorkflow, newStatus);
+          newStatus = (projectWorkflow.statuses.find(st => st.category === category) || {}).name || newStatus;
+        }
+        
+        const transitionCheck = await workflowService.validateTransition(
+          itemType === 'issue' ? 'issue' : 'action-item',
+          currentItem.rows[0],
+          newStatus,
+          { userRole: req.user.role }
+        );
+        
+        if (!transitionCheck.valid) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            error: transitionCheck.error,
+            message: transitionCheck.message,
+            allowedStatuses: transitionCheck.allowedStatuses
+          });
+        }
+        
         // Update item status
         await client.query(`
           UPDATE ${table}
           SET status = $1, updated_at = NOW()
           WHERE id = $2
-        `, [item.status_change, parseInt(itemId)]);
+        `, [newStatus, parseInt(itemId)]);
         
         // Add comment with evidence
         await client.query(`
@@ -7738,7 +8174,7 @@ app.post('/api/review-queue/:id/match',
           req.user.id,
           `🔄 Status updated via Review Queue\n\n` +
           `**Evidence:** "${item.evidence}"\n\n` +
-          `**Status:** ${oldStatus} → ${item.status_change}\n\n` +
+          `**Status:** ${oldStatus} → ${newStatus}\n\n` +
           (item.progress_details ? `**Details:** ${item.progress_details}\n\n` : '') +
           `**AI Confidence:** ${item.ai_confidence}%`
         ]);
@@ -7755,7 +8191,7 @@ app.post('/api/review-queue/:id/match',
         res.json({ 
           message: 'Item matched and updated successfully',
           oldStatus,
-          newStatus: item.status_change
+          newStatus
         });
         
       } catch (error) {
@@ -7792,49 +8228,10 @@ app.delete('/api/review-queue/:id',
 });
 
 // ==================== COMMENT ENDPOINTS ====================
-
-app.get('/api/issues/:issueId/comments', authenticateToken, async (req, res) => {
-  try {
-    const { issueId } = req.params;
-    
-    const issueCheck = await pool.query(`
-      SELECT i.project_id 
-      FROM issues i
-      WHERE i.id = $1
-    `, [issueId]);
-    
-    if (issueCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Issue not found' });
-    }
-    
-    const result = await pool.query(`
-      SELECT 
-        ic.*,
-        u.username,
-        u.email,
-        COALESCE(
-          (SELECT json_agg(json_build_object('id', um.id, 'username', um.username))
-           FROM unnest(ic.mentions) AS mention_id
-           JOIN users um ON um.id = mention_id),
-          '[]'::json
-        ) as mentioned_users
-      FROM issue_comments ic
-      JOIN users u ON ic.user_id = u.id
-      WHERE ic.issue_id = $1
-      ORDER BY ic.created_at ASC
-    `, [issueId]);
-    
-    res.json(result.rows);
-    
-  } catch (error) {
-    console.error('Error fetching comments:', error);
-    res.status(500).json({ error: 'Failed to fetch comments' });
-  }
-});
+// Comment lists (in thread order), reactions, resolving threads and edit
+// history are served by routes/comment-threads.js
 
 app.post('/api/issues/:issueId/comments', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
-  
   try {
     const { issueId } = req.params;
     const { comment, parentCommentId } = req.body;
@@ -7843,104 +8240,23 @@ app.post('/api/issues/:issueId/comments', authenticateToken, async (req, res) =>
       return res.status(400).json({ error: 'Comment cannot be empty' });
     }
     
-    const issueCheck = await client.query(`
-      SELECT i.*
-      FROM issues i
-      WHERE i.id = $1
-    `, [issueId]);
+    // Mentions, mention emails and watcher notifications happen in createComment
+    const newComment = await commentThreadService.createComment(
+      'issue', issueId, req.user, comment, { parentCommentId }
+    );
     
-    if (issueCheck.rows.length === 0) {
+    if (!newComment) {
       return res.status(404).json({ error: 'Issue not found' });
     }
     
-    const issue = issueCheck.rows[0];
-    
-    await client.query('BEGIN');
-    
-    const mentionPattern = /@(\w+(?:\s+\w+)*)/g;
-    const mentionMatches = [...comment.matchAll(mentionPattern)];
-    const mentionedUsernames = mentionMatches.map(m => m[1]);
-    
-    let mentionedUserIds = [];
-    if (mentionedUsernames.length > 0) {
-      const allUsers = await client.query(`SELECT id, username FROM users`);
-      const userMap = new Map(allUsers.rows.map(u => [
-        u.username.toLowerCase().replace(/\s+/g, ''), 
-        u
-      ]));
-      
-      for (const mentioned of mentionedUsernames) {
-        const words = mentioned.split(/\s+/);
-        let matchedUser = null;
-        
-        for (let i = words.length; i >= 1; i--) {
-          const candidate = words.slice(0, i).join(' ');
-          const normalized = candidate.toLowerCase().replace(/\s+/g, '');
-          
-          if (userMap.has(normalized)) {
-            matchedUser = userMap.get(normalized);
-            break;
-          }
-        }
-        
-        if (matchedUser && !mentionedUserIds.includes(matchedUser.id)) {
-          mentionedUserIds.push(matchedUser.id);
-        }
-      }
-    }
-    
-    const commentResult = await client.query(`
-      INSERT INTO issue_comments (
-        issue_id, user_id, comment, parent_comment_id, mentions
-      )
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `, [issueId, req.user.id, comment, parentCommentId || null, mentionedUserIds]);
-    
-    const newComment = commentResult.rows[0];
-    
-    for (const mentionedUserId of mentionedUserIds) {
-      if (mentionedUserId !== req.user.id) {
-        await client.query(`
-          INSERT INTO mention_notifications (
-            user_id, comment_type, comment_id, item_id, item_title,
-            mentioned_by
-          )
-          VALUES ($1, 'issue', $2, $3, $4, $5)
-        `, [mentionedUserId, newComment.id, issueId, issue.title, req.user.id]);
-        
-        notificationService.sendMentionNotification({
-          mentionedUserId,
-          mentionerName: req.user.username,
-          itemTitle: issue.title,
-          itemType: 'issue',
-          itemId: issueId,
-          projectId: issue.project_id,
-          commentPreview: comment
-        }).catch(err => console.error('Error sending mention email:', err));
-      }
-    }
-    
-    await client.query('COMMIT');
-    
-    const fullComment = await client.query(`
-      SELECT 
-        ic.*,
-        u.username,
-        u.email
-      FROM issue_comments ic
-      JOIN users u ON ic.user_id = u.id
-      WHERE ic.id = $1
-    `, [newComment.id]);
-    
-    res.status(201).json(fullComment.rows[0]);
+    res.status(201).json(newComment);
     
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
     console.error('Error creating comment:', error);
     res.status(500).json({ error: 'Failed to create comment' });
-  } finally {
-    client.release();
   }
 });
 
@@ -7966,46 +8282,14 @@ app.put('/api/issues/:issueId/comments/:commentId', authenticateToken, async (re
       return res.status(403).json({ error: 'Can only edit your own comments' });
     }
     
-    const mentionPattern = /@(\w+(?:\s+\w+)*)/g;
-    const mentionMatches = [...comment.matchAll(mentionPattern)];
-    const mentionedUsernames = mentionMatches.map(m => m[1]);
+    const mentionedUserIds = await commentThreadService.resolveMentions(comment);
     
-    let mentionedUserIds = [];
-    if (mentionedUsernames.length > 0) {
-      const allUsers = await pool.query(`SELECT id, username FROM users`);
-      const userMap = new Map(allUsers.rows.map(u => [
-        u.username.toLowerCase().replace(/\s+/g, ''), 
-        u
-      ]));
-      
-      for (const mentioned of mentionedUsernames) {
-        const words = mentioned.split(/\s+/);
-        let matchedUser = null;
-        
-        for (let i = words.length; i >= 1; i--) {
-          const candidate = words.slice(0, i).join(' ');
-          const normalized = candidate.toLowerCase().replace(/\s+/g, '');
-          
-          if (userMap.has(normalized)) {
-            matchedUser = userMap.get(normalized);
-            break;
-          }
-        }
-        
-        if (matchedUser && !mentionedUserIds.includes(matchedUser.id)) {
-          mentionedUserIds.push(matchedUser.id);
-        }
-      }
-    }
-    
-    const result = await pool.query(`
-      UPDATE issue_comments
-      SET comment = $1, updated_at = NOW(), edited = TRUE, mentions = $2
-      WHERE id = $3
-      RETURNING *
-    `, [comment, mentionedUserIds, commentId]);
+    // The text it replaces is kept in the comment's edit history
+    const updated = await commentThreadService.editComment(
+      'issue', commentId, comment, req.user.id, { mentions: mentionedUserIds }
+    );
     
-    res.json(result.rows[0]);
+    res.json(updated);
     
   } catch (error) {
     console.error('Error updating comment:', error);
@@ -8049,48 +8333,7 @@ app.delete('/api/issues/:issueId/comments/:commentId', authenticateToken, async
   }
 });
 
-app.get('/api/action-items/:itemId/comments', authenticateToken, async (req, res) => {
-  try {
-    const { itemId } = req.params;
-    
-    const issueCheck = await pool.query(`
-      SELECT ai.project_id 
-      FROM action_items ai
-      WHERE ai.id = $1
-    `, [itemId]);
-    
-    if (issueCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Action item not found' });
-    }
-    
-    const result = await pool.query(`
-      SELECT 
-        aic.*,
-        u.username,
-        u.email,
-        COALESCE(
-          (SELECT json_agg(json_build_object('id', um.id, 'username', um.username))
-           FROM unnest(aic.mentions) AS mention_id
-           JOIN users um ON um.id = mention_id),
-          '[]'::json
-        ) as mentioned_users
-      FROM action_item_comments aic
-      JOIN users u ON aic.user_id = u.id
-      WHERE aic.action_item_id = $1
-      ORDER BY aic.created_at ASC
-    `, [itemId]);
-    
-    res.json(result.rows);
-    
-  } catch (error) {
-    console.error('Error fetching comments:', error);
-    res.status(500).json({ error: 'Failed to fetch comments' });
-  }
-});
-
 app.post('/api/action-items/:itemId/comments', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
-  
   try {
     const { itemId } = req.params;
     const { comment, parentCommentId } = req.body;
@@ -8099,104 +8342,23 @@ app.post('/api/action-items/:itemId/comments', authenticateToken, async (req, re
       return res.status(400).json({ error: 'Comment cannot be empty' });
     }
     
-    const itemCheck = await client.query(`
-      SELECT ai.*
-      FROM action_items ai
-      WHERE ai.id = $1
-    `, [itemId]);
+    // Mentions, mention emails and watcher notifications happen in createComment
+    const newComment = await commentThreadService.createComment(
+      'action-item', itemId, req.user, comment, { parentCommentId }
+    );
     
-    if (itemCheck.rows.length === 0) {
+    if (!newComment) {
       return res.status(404).json({ error: 'Action item not found' });
     }
     
-    const item = itemCheck.rows[0];
-    
-    await client.query('BEGIN');
-    
-    const mentionPattern = /@(\w+(?:\s+\w+)*)/g;
-    const mentionMatches = [...comment.matchAll(mentionPattern)];
-    const mentionedUsernames = mentionMatches.map(m => m[1]);
-    
-    let mentionedUserIds = [];
-    if (mentionedUsernames.length > 0) {
-      const allUsers = await client.query(`SELECT id, username FROM users`);
-      const userMap = new Map(allUsers.rows.map(u => [
-        u.username.toLowerCase().replace(/\s+/g, ''), 
-        u
-      ]));
-      
-      for (const mentioned of mentionedUsernames) {
-        const words = mentioned.split(/\s+/);
-        let matchedUser = null;
-        
-        for (let i = words.length; i >= 1; i--) {
-          const candidate = words.slice(0, i).join(' ');
-          const normalized = candidate.toLowerCase().replace(/\s+/g, '');
-          
-          if (userMap.has(normalized)) {
-            matchedUser = userMap.get(normalized);
-            break;
-          }
-        }
-        
-        if (matchedUser && !mentionedUserIds.includes(matchedUser.id)) {
-          mentionedUserIds.push(matchedUser.id);
-        }
-      }
-    }
-    
-    const commentResult = await client.query(`
-      INSERT INTO action_item_comments (
-        action_item_id, user_id, comment, parent_comment_id, mentions
-      )
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `, [itemId, req.user.id, comment, parentCommentId || null, mentionedUserIds]);
-    
-    const newComment = commentResult.rows[0];
-    
-    for (const mentionedUserId of mentionedUserIds) {
-      if (mentionedUserId !== req.user.id) {
-        await client.query(`
-          INSERT INTO mention_notifications (
-            user_id, comment_type, comment_id, item_id, item_title,
-            mentioned_by
-          )
-          VALUES ($1, 'action_item', $2, $3, $4, $5)
-        `, [mentionedUserId, newComment.id, itemId, item.title, req.user.id]);
-        
-        notificationService.sendMentionNotification({
-          mentionedUserId,
-          mentionerName: req.user.username,
-          itemTitle: item.title,
-          itemType: 'action item',
-          itemId: itemId,
-          projectId: item.project_id,
-          commentPreview: comment
-        }).catch(err => console.error('Error sending mention email:', err));
-      }
-    }
-    
-    await client.query('COMMIT');
-    
-    const fullComment = await client.query(`
-      SELECT 
-        aic.*,
-        u.username,
-        u.email
-      FROM action_item_comments aic
-      JOIN users u ON aic.user_id = u.id
-      WHERE aic.id = $1
-    `, [newComment.id]);
-    
-    res.status(201).json(fullComment.rows[0]);
+    res.status(201).json(newComment);
     
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
     console.error('Error creating comment:', error);
     res.status(500).json({ error: 'Failed to create comment' });
-  } finally {
-    client.release();
   }
 });
 
@@ -8222,46 +8384,14 @@ app.put('/api/action-items/:itemId/comments/:commentId', authenticateToken, asyn
       return res.status(403).json({ error: 'Can only edit your own comments' });
     }
     
-    const mentionPattern = /@(\w+(?:\s+\w+)*)/g;
-    const mentionMatches = [...comment.matchAll(mentionPattern)];
-    const mentionedUsernames = mentionMatches.map(m => m[1]);
+    const mentionedUserIds = await commentThreadService.resolveMentions(comment);
     
-    let mentionedUserIds = [];
-    if (mentionedUsernames.length > 0) {
-      const allUsers = await pool.query(`SELECT id, username FROM users`);
-      const userMap = new Map(allUsers.rows.map(u => [
-        u.username.toLowerCase().replace(/\s+/g, ''), 
-        u
-      ]));
-      
-      for (const mentioned of mentionedUsernames) {
-        const words = mentioned.split(/\s+/);
-        let matchedUser = null;
-        
-        for (let i = words.length; i >= 1; i--) {
-          const candidate = words.slice(0, i).join(' ');
-          const normalized = candidate.toLowerCase().replace(/\s+/g, '');
-          
-          if (userMap.has(normalized)) {
-            matchedUser = userMap.get(normalized);
-            break;
-          }
-        }
-        
-        if (matchedUser && !mentionedUserIds.includes(matchedUser.id)) {
-          mentionedUserIds.push(matchedUser.id);
-        }
-      }
-    }
-    
-    const result = await pool.query(`
-      UPDATE action_item_comments
-      SET comment = $1, updated_at = NOW(), edited = TRUE, mentions = $2
-      WHERE id = $3
-      RETURNING *
-    `, [comment, mentionedUserIds, commentId]);
+    // The text it replaces is kept in the comment's edit history
+    const updated = await commentThreadService.editComment(
+      'action-item', commentId, comment, req.user.id, { mentions: mentionedUserIds }
+    );
     
-    res.json(result.rows[0]);
+    res.json(updated);
     
   } catch (error) {
     console.error('Error updating comment:', error);
@@ -8449,6 +8579,10 @@ app.get('/api/attachments/:attachmentId/download', authenticateToken, async (req
     
     const attachment = result.rows[0];
     
+    if (attachment.purged_at) {
+      return res.status(410).json({ error: 'File was removed by the project retention policy' });
+    }
+    
     // Check if file exists
     try {
       await fs.access(attachment.file_path);
@@ -8696,7 +8830,9 @@ app.post('/api/projects/:projectId/risks', authenticateToken, async (req, res) =
       risk_owner_id,
       target_resolution_date,
       review_date,
-      status
+      status,
+      residual_probability,
+      residual_impact
     } = req.body;
     
     // Validate required fields
@@ -8713,27 +8849,24 @@ app.post('/api/projects/:projectId/risks', authenticateToken, async (req, res) =
         risk_id, project_id, title, description, category, risk_source, tags,
         probability, impact, response_strategy, mitigation_plan, contingency_plan,
         cost_currency, mitigation_cost, mitigation_effort_hours, risk_owner_id, 
-        target_resolution_date, review_date, status, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+        target_resolution_date, review_date, status, created_by,
+        residual_probability, residual_impact
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
       RETURNING *`,
       [
         riskId, projectId, title, description, category, risk_source, tags,
         probability, impact, response_strategy, mitigation_plan, contingency_plan,
         cost_currency || 'USD', mitigation_cost, mitigation_effort_hours, risk_owner_id,
-        target_resolution_date, review_date, status || 'identified', userId
+        target_resolution_date, review_date, status || 'identified', userId,
+        residual_probability || null, residual_impact || null
       ]
     );
     
     const risk = result.rows[0];
     
-    // Create initial assessment record if probability and impact provided
+    // Create initial assessment record (inherent and residual rating)
     if (probability && impact) {
-      const { score, level } = calculateRiskScore(probability, impact);
-      await pool.query(
-        `INSERT INTO risk_assessments (risk_id, probability, impact, risk_score, risk_level, assessed_by)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [risk.id, probability, impact, score, level, userId]
-      );
+      await riskAnalyticsService.recordAssessment(pool, risk, userId, 'Initial assessment');
     }
     
     // Log creation
@@ -9012,6 +9145,17 @@ app.patch('/api/risks/:riskId', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
     
+    // A risk stays open until the work mitigating it is done
+    if (updates.status === 'closed' && risk.status !== 'closed') {
+      const openMitigations = await riskLinkService.getOpenMitigations(risk.id);
+      if (openMitigations.length > 0) {
+        return res.status(409).json({
+          error: `Can't close this risk while ${openMitigations.length} mitigation item(s) are still open`,
+          openMitigations
+        });
+      }
+    }
+    
     // Add updated_at
     paramCount++;
     updateFields.push(`updated_at = $${paramCount}`);
@@ -9038,17 +9182,13 @@ app.patch('/api/risks/:riskId', authenticateToken, async (req, res) => {
       [riskId, 'note', `Risk updated: ${Object.keys(updates).join(', ')}`, userId]
     );
     
-    // If probability or impact changed, create new assessment
-    if (updates.probability || updates.impact) {
-      const prob = updates.probability || risk.probability;
-      const imp = updates.impact || risk.impact;
-      const { score, level } = calculateRiskScore(prob, imp);
-      
-      await pool.query(
-        `INSERT INTO risk_assessments (risk_id, probability, impact, risk_score, risk_level, assessed_by)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [riskId, prob, imp, score, level, userId]
-      );
+    // Tell watchers what changed
+    watcherService.notifyItemChanges('risk', risk, updatedRisk, req.user)
+      .catch(err => console.error('Error notifying watchers:', err));
+    
+    // If the inherent or residual rating changed, record a new assessment
+    if (riskAnalyticsService.ratingChanged(risk, updatedRisk)) {
+      await riskAnalyticsService.recordAssessment(pool, updatedRisk, userId);
     }
     
     res.json(updatedRisk);
@@ -9082,10 +9222,10 @@ app.delete('/api/risks/:riskId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions to delete risks' });
     }
     
-    // Delete risk (cascade will handle related records)
-    await pool.query('DELETE FROM risks WHERE id = $1', [riskId]);
+    // Move to the trash (updates, assessments and tags are restored with it)
+    const trashed = await trashService.trashItem('risk', parseInt(riskId), req.user.id);
     
-    res.json({ message: 'Risk deleted successfully' });
+    res.json({ message: 'Risk moved to trash', trashId: trashed?.id });
   } catch (error) {
     console.error('Error deleting risk:', error);
     res.status(500).json({ error: 'Failed to delete risk' });
@@ -9732,26 +9872,30 @@ app.post('/api/checklists/:id/responses', authenticateToken, async (req, res) =>
 app.post('/api/checklists/:id/comments', authenticateToken, async (req, res) => {
   try {
     const checklistId = req.params.id;
-    const { comment } = req.body;
+    const { comment, parentCommentId } = req.body;
     const userId = req.user.id;
     
+    if (!comment || comment.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment cannot be empty' });
+    }
+    
     // Check access
     const hasAccess = await canAccessChecklist(userId, checklistId);
     if (!hasAccess) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    // Add comment
-    const result = await pool.query(
-      `INSERT INTO checklist_comments (checklist_id, created_by, comment)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [checklistId, userId, comment]
+    // Add comment (a reply when parentCommentId is set)
+    const newComment = await commentThreadService.createComment(
+      'checklist', checklistId, req.user, comment, { parentCommentId }
     );
     
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(newComment);
     
   } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
     console.error('Error adding comment:', error);
     res.status(500).json({ error: 'Failed to add comment' });
   }
@@ -12053,13 +12197,19 @@ app.get('/api/projects/:projectId/export/csv', authenticateToken, async (req, re
     };
     
     // Base queries with separate parameter indices
-    let issuesQuery = 'SELECT * FROM issues WHERE project_id = $1';
-    let actionsQuery = 'SELECT * FROM action_items WHERE project_id = $1';
+    let issuesQuery = 'SELECT *, status_category(project_id, status) as status_category FROM issues WHERE project_id = $1';
+    let actionsQuery = 'SELECT *, status_category(project_id, status) as status_category FROM action_items WHERE project_id = $1';
     const issuesParams = [projectId];
     const actionsParams = [projectId];
     
-    // Apply filters with independent parameter tracking
-    if (filters.status) {
+    // Apply filters with independent parameter tracking (status=category:done filters by workflow category)
+    if (filters.status && filters.status.startsWith('category:')) {
+      const statusCategory = filters.status.slice('category:'.length);
+      issuesQuery += ` AND status_category(project_id, status) = $${issuesParams.length + 1}`;
+      issuesParams.push(statusCategory);
+      actionsQuery += ` AND status_category(project_id, status) = $${actionsParams.length + 1}`;
+      actionsParams.push(statusCategory);
+    } else if (filters.status) {
       issuesQuery += ` AND LOWER(status) = LOWER($${issuesParams.length + 1})`;
       issuesParams.push(filters.status);
       actionsQuery += ` AND LOWER(status) = LOWER($${actionsParams.length + 1})`;
@@ -12111,6 +12261,8 @@ app.get('/api/projects/:projectId/export/csv', authenticateToken, async (req, re
     
     // Combine and format data for CSV
     const csvData = [];
+    const projectWorkflow = await workflowService.getProjectWorkflow(projectId);
+    const initialStatus = workflowService.getInitialStatusName(projectWorkflow);
     
     // Add issues
     issuesResult.rows.forEach(issue => {
@@ -12120,7 +12272,8 @@ app.get('/api/projects/:projectId/export/csv', authenticateToken, async (req, re
         assignee: issue.assignee || 'Unassigned',
         priority: issue.priority || 'medium',
         dueDate: issue.due_date ? new Date(issue.due_date).toLocaleDateString() : '',
-        status: issue.status || 'To Do'
+        status: issue.status || initialStatus,
+        statusCategory: issue.status_category
       });
     });
     
@@ -12132,10 +12285,19 @@ app.get('/api/projects/:projectId/export/csv', authenticateToken, async (req, re
         assignee: action.assignee || 'Unassigned',
         priority: action.priority || 'medium',
         dueDate: action.due_date ? new Date(action.due_date).toLocaleDateString() : '',
-        status: action.status || 'To Do'
+        status: action.status || initialStatus,
+        statusCategory: action.status_category
       });
     });
     
+    // Order rows the way the board shows them: by workflow status position
+    const statusOrder = projectWorkflow.statuses.map(st => st.name);
+    const positionOf = (status) => {
+      const index = statusOrder.indexOf(status);
+      return index === -1 ? statusOrder.length : index;
+    };
+    csvData.sort((a, b) => positionOf(a.status) - positionOf(b.status));
+    
     // Manual CSV generation (more reliable and virus-safe)
     const filename = `project-${projectId}-export.csv`;
     
@@ -12163,7 +12325,7 @@ app.get('/api/projects/:projectId/export/csv', authenticateToken, async (req, re
     
     // Create CSV rows
     const rows = [];
-    rows.push('Item Type,Item Title,Assignee,Priority,Due Date,Status'); // Header
+    rows.push('Item Type,Item Title,Assignee,Priority,Due Date,Status,Status Category'); // Header
     
     csvData.forEach(item => {
       const row = [
@@ -12172,7 +12334,8 @@ app.get('/api/projects/:projectId/export/csv', authenticateToken, async (req, re
         escapeCSV(item.assignee),
         escapeCSV(item.priority),
         escapeCSV(item.dueDate),
-        escapeCSV(item.status)
+        escapeCSV(item.status),
+        escapeCSV(item.statusCategory)
       ].join(',');
       rows.push(row);
     });
@@ -12235,13 +12398,19 @@ app.get('/api/projects/:projectId/export/txt', authenticateToken, async (req, re
     };
     
     // Base queries with separate parameter indices
-    let issuesQuery = 'SELECT * FROM issues WHERE project_id = $1';
-    let actionsQuery = 'SELECT * FROM action_items WHERE project_id = $1';
+    let issuesQuery = 'SELECT *, status_category(project_id, status) as status_category FROM issues WHERE project_id = $1';
+    let actionsQuery = 'SELECT *, status_category(project_id, status) as status_category FROM action_items WHERE project_id = $1';
     const issuesParams = [projectId];
     const actionsParams = [projectId];
     
-    // Apply filters with independent parameter tracking
-    if (filters.status) {
+    // Apply filters with independent parameter tracking (status=category:done filters by workflow category)
+    if (filters.status && filters.status.startsWith('category:')) {
+      const statusCategory = filters.status.slice('category:'.length);
+      issuesQuery += ` AND status_category(project_id, status) = $${issuesParams.length + 1}`;
+      issuesParams.push(statusCategory);
+      actionsQuery += ` AND status_category(project_id, status) = $${actionsParams.length + 1}`;
+      actionsParams.push(statusCategory);
+    } else if (filters.status) {
       issuesQuery += ` AND LOWER(status) = LOWER($${issuesParams.length + 1})`;
       issuesParams.push(filters.status);
       actionsQuery += ` AND LOWER(status) = LOWER($${actionsParams.length + 1})`;
@@ -12373,13 +12542,19 @@ app.get('/api/projects/:projectId/export/clipboard', authenticateToken, async (r
     };
     
     // Base queries with separate parameter indices
-    let issuesQuery = 'SELECT * FROM issues WHERE project_id = $1';
-    let actionsQuery = 'SELECT * FROM action_items WHERE project_id = $1';
+    let issuesQuery = 'SELECT *, status_category(project_id, status) as status_category FROM issues WHERE project_id = $1';
+    let actionsQuery = 'SELECT *, status_category(project_id, status) as status_category FROM action_items WHERE project_id = $1';
     const issuesParams = [projectId];
     const actionsParams = [projectId];
     
-    // Apply filters with independent parameter tracking
-    if (filters.status) {
+    // Apply filters with independent parameter tracking (status=category:done filters by workflow category)
+    if (filters.status && filters.status.startsWith('category:')) {
+      const statusCategory = filters.status.slice('category:'.length);
+      issuesQuery += ` AND status_category(project_id, status) = $${issuesParams.length + 1}`;
+      issuesParams.push(statusCategory);
+      actionsQuery += ` AND status_category(project_id, status) = $${actionsParams.length + 1}`;
+      actionsParams.push(statusCategory);
+    } else if (filters.status) {
       issuesQuery += ` AND LOWER(status) = LOWER($${issuesParams.length + 1})`;
       issuesParams.push(filters.status);
       actionsQuery += ` AND LOWER(status) = LOWER($${actionsParams.length + 1})`;
@@ -14531,99 +14706,25 @@ app.post('/api/schedules/save-dependencies', authenticateToken, async (req, res)
       return res.status(404).json({ error: 'Project not found or access denied' });
     }
 
-    // Load all existing dependencies for this project to validate cycles
-    const existingDepsResult = await client.query(
-      `SELECT 
-        'issue' as dependent_item_type,
-        issue_id as dependent_item_id,
-        prerequisite_item_type,
-        prerequisite_item_id
-       FROM issue_dependencies id
-       INNER JOIN issues i ON id.issue_id = i.id
-       WHERE i.project_id = $1
-       UNION ALL
-       SELECT 
-        'action-item' as dependent_item_type,
-        action_item_id as dependent_item_id,
-        prerequisite_item_type,
-        prerequisite_item_id
-       FROM action_item_dependencies aid
-       INNER JOIN action_items ai ON aid.action_item_id = ai.id
-       WHERE ai.project_id = $1`,
-      [projectId]
+    // Prerequisites may live in any project the user can access
+    const validationErrors = await portfolioDependencyService.validateNewDependencies(
+      projectId, dependencies, userId, req.user.role, client
     );
+    if (validationErrors.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: validationErrors.join('\n'),
+        validationErrors
+      });
+    }
 
-    // Combine existing dependencies with new ones for cycle detection
-    const allDependencies = [...existingDepsResult.rows, ...dependencies];
-
-    // Build a set of all unique tasks involved
-    const taskSet = new Set();
-    allDependencies.forEach(dep => {
-      taskSet.add(`${dep.dependent_item_type}:${dep.dependent_item_id}`);
-      taskSet.add(`${dep.prerequisite_item_type}:${dep.prerequisite_item_id}`);
-    });
-
-    const tasks = Array.from(taskSet).map(key => {
-      const [type, id] = key.split(':');
-      return { type, id: parseInt(id) };
-    });
-
-    // Build dependency graph for cycle detection
-    const { buildDependencyGraph, topologicalSort } = require('./services/topological-sort-service');
-    
-    // Convert dependencies to the format expected by buildDependencyGraph
-    const formattedDeps = allDependencies.map(dep => ({
-      source_type: dep.dependent_item_type,
-      source_id: dep.dependent_item_id,
-      target_type: dep.prerequisite_item_type,
-      target_id: dep.prerequisite_item_id,
-      relationship_type: 'depends_on'
-    }));
-
-    const graph = buildDependencyGraph(tasks, formattedDeps);
-    const { hasCycle, cycleInfo } = topologicalSort(graph);
-
-    if (hasCycle) {
-      // Load task titles for better error messages
-      const taskTitles = new Map();
-      for (const task of tasks) {
-        const tableName = task.type === 'issue' ? 'issues' : 'action_items';
-        const titleResult = await client.query(
-          `SELECT id, title FROM ${tableName} WHERE id = $1`,
-          [task.id]
-        );
-        if (titleResult.rows.length > 0) {
-          const key = `${task.type}:${task.id}`;
-          taskTitles.set(key, titleResult.rows[0].title);
-        }
-      }
-
-      // Build detailed error message
-      let errorMessage = 'Cannot save dependencies - circular dependency detected:\n\n';
-      
-      if (cycleInfo && cycleInfo.cycle) {
-        errorMessage += 'Cycle:\n';
-        errorMessage += cycleInfo.cycle.map(key => {
-          const [type, id] = key.split(':');
-          const title = taskTitles.get(key) || 'Unknown';
-          return `${type}#${id}: ${title}`;
-        }).join('\n → ');
-        errorMessage += '\n\n';
-        errorMessage += 'To fix this, remove one of these dependencies from your selection:\n';
-        cycleInfo.dependencies.forEach((dep, index) => {
-          const [fromType, fromId] = dep.from.split(':');
-          const [toType, toId] = dep.to.split(':');
-          const fromTitle = taskTitles.get(dep.from) || 'Unknown';
-          const toTitle = taskTitles.get(dep.to) || 'Unknown';
-          errorMessage += `${index + 1}. ${fromType}#${fromId} (${fromTitle}) depends on ${toType}#${toId} (${toTitle})\n`;
-        });
-      }
-
-      await client.query('ROLLBACK');
-      return res.status(400).json({ 
+    // Cycle check follows existing dependencies into other projects too
+    const cycles = await portfolioDependencyService.checkForCycles(dependencies, client);
+    if (cycles.length > 0) {
+      return res.status(400).json({
         error: 'Circular dependency detected',
-        message: errorMessage,
-        cycleInfo: cycleInfo
+        message: `Cannot save dependencies - circular dependency detected:\n\n${cycles.join('\n')}`,
+        cycles
       });
     }
 
@@ -14635,36 +14736,6 @@ app.post('/api/schedules/save-dependencies', authenticateToken, async (req, res)
     for (const dep of dependencies) {
       const { dependent_item_type, dependent_item_id, prerequisite_item_type, prerequisite_item_id } = dep;
       
-      // Validate both dependent and prerequisite belong to the project
-      const dependentTable = dependent_item_type === 'issue' ? 'issues' : 'action_items';
-      const prerequisiteTable = prerequisite_item_type === 'issue' ? 'issues' : 'action_items';
-      
-      const dependentCheck = await client.query(
-        `SELECT project_id FROM ${dependentTable} WHERE id = $1`,
-        [dependent_item_id]
-      );
-      
-      const prerequisiteCheck = await client.query(
-        `SELECT project_id FROM ${prerequisiteTable} WHERE id = $1`,
-        [prerequisite_item_id]
-      );
-
-      if (dependentCheck.rows.length === 0 || dependentCheck.rows[0].project_id !== parseInt(projectId)) {
-        await client.query('ROLLBACK');
-        return res.status(403).json({ 
-          error: 'Access denied',
-          message: `Dependent task ${dependent_item_type}#${dependent_item_id} does not belong to this project`
-        });
-      }
-
-      if (prerequisiteCheck.rows.length === 0 || prerequisiteCheck.rows[0].project_id !== parseInt(projectId)) {
-        await client.query('ROLLBACK');
-        return res.status(403).json({ 
-          error: 'Access denied',
-          message: `Prerequisite task ${prerequisite_item_type}#${prerequisite_item_id} does not belong to this project`
-        });
-      }
-      
       // Determine which table to use based on dependent item type
       const tableName = dependent_item_type === 'issue' ? 'issue_dependencies' : 'action_item_dependencies';
       const dependentColumn = dependent_item_type === 'issue' ? 'issue_id' : 'action_item_id';
@@ -14744,22 +14815,6 @@ app.get('/api/projects/:projectId/circular-dependencies', authenticateToken, asy
       [projectId]
     );
 
-    // Build a map of all dependencies
-    const issueDepsResult = await pool.query(
-      `SELECT id.issue_id, id.prerequisite_item_type, id.prerequisite_item_id
-       FROM issue_dependencies id
-       INNER JOIN issues i ON id.issue_id = i.id
-       WHERE i.project_id = $1`,
-      [projectId]
-    );
-    const actionDepsResult = await pool.query(
-      `SELECT aid.action_item_id, aid.prerequisite_item_type, aid.prerequisite_item_id
-       FROM action_item_dependencies aid
-       INNER JOIN action_items ai ON aid.action_item_id = ai.id
-       WHERE ai.project_id = $1`,
-      [projectId]
-    );
-
     // Detect cycles using DFS
     const circularDeps = [];
     const allItems = [
@@ -14773,18 +14828,20 @@ app.get('/api/projects/:projectId/circular-dependencies', authenticateToken, asy
       graph.set(`${item.type}:${item.id}`, []);
     }
 
-    for (const dep of issueDepsResult.rows) {
-      const from = `issue:${dep.issue_id}`;
+    // Follow dependencies into other projects so cross-project cycles are caught
+    const reachableEdges = await portfolioDependencyService.loadReachableEdges([...graph.keys()]);
+    for (const dep of reachableEdges) {
+      const from = `${dep.dependent_item_type}:${dep.dependent_item_id}`;
       const to = `${dep.prerequisite_item_type}:${dep.prerequisite_item_id}`;
       if (!graph.has(from)) graph.set(from, []);
       graph.get(from).push(to);
     }
 
-    for (const dep of actionDepsResult.rows) {
-      const from = `action-item:${dep.action_item_id}`;
-      const to = `${dep.prerequisite_item_type}:${dep.prerequisite_item_id}`;
-      if (!graph.has(from)) graph.set(from, []);
-      graph.get(from).push(to);
+    const projectKeys = new Set(allItems.map(i => `${i.type}:${i.id}`));
+    const externalKeys = [...graph.keys()].filter(key => !projectKeys.has(key));
+    const externalItems = await portfolioDependencyService.getItemSummaries(externalKeys);
+    for (const item of externalItems.values()) {
+      allItems.push({ id: item.id, type: item.type, title: `${item.title} [${item.projectName}]` });
     }
 
     // DFS to detect cycles
@@ -14895,10 +14952,13 @@ app.get('/api/schedules/dependencies/:itemType/:itemId', authenticateToken, asyn
         CASE 
           WHEN d.prerequisite_item_type = 'issue' THEN i.status
           WHEN d.prerequisite_item_type = 'action-item' THEN ai.status
-        END as prerequisite_status
+        END as prerequisite_status,
+        pp.id as prerequisite_project_id,
+        pp.name as prerequisite_project_name
        FROM ${depTableName} d
        LEFT JOIN issues i ON d.prerequisite_item_type = 'issue' AND d.prerequisite_item_id = i.id
        LEFT JOIN action_items ai ON d.prerequisite_item_type = 'action-item' AND d.prerequisite_item_id = ai.id
+       LEFT JOIN projects pp ON pp.id = COALESCE(i.project_id, ai.project_id)
        LEFT JOIN project_members pm_i ON d.prerequisite_item_type = 'issue' AND i.project_id = pm_i.project_id AND pm_i.user_id = $2
        LEFT JOIN project_members pm_ai ON d.prerequisite_item_type = 'action-item' AND ai.project_id = pm_ai.project_id AND pm_ai.user_id = $2
        WHERE d.${depIdColumn} = $1
@@ -14917,9 +14977,12 @@ app.get('/api/schedules/dependencies/:itemType/:itemId', authenticateToken, asyn
         'issue' as dependent_item_type,
         i.id as dependent_item_id,
         i.title as dependent_title,
-        i.status as dependent_status
+        i.status as dependent_status,
+        p.id as dependent_project_id,
+        p.name as dependent_project_name
        FROM issue_dependencies d
        INNER JOIN issues i ON d.issue_id = i.id
+       INNER JOIN projects p ON p.id = i.project_id
        INNER JOIN project_members pm ON i.project_id = pm.project_id
        WHERE d.prerequisite_item_type = $1 AND d.prerequisite_item_id = $2 AND pm.user_id = $3`,
       [itemType, itemId, userId]
@@ -14931,9 +14994,12 @@ app.get('/api/schedules/dependencies/:itemType/:itemId', authenticateToken, asyn
         'action-item' as dependent_item_type,
         ai.id as dependent_item_id,
         ai.title as dependent_title,
-        ai.status as dependent_status
+        ai.status as dependent_status,
+        p.id as dependent_project_id,
+        p.name as dependent_project_name
        FROM action_item_dependencies d
        INNER JOIN action_items ai ON d.action_item_id = ai.id
+       INNER JOIN projects p ON p.id = ai.project_id
        INNER JOIN project_members pm ON ai.project_id = pm.project_id
        WHERE d.prerequisite_item_type = $1 AND d.prerequisite_item_id = $2 AND pm.user_id = $3`,
       [itemType, itemId, userId]
@@ -16141,6 +16207,21 @@ if (require.main === module) {
     
     // Initialize daily notification jobs
     initializeDailyJobs();
+    
+    // Nightly purge of trash entries past their retention period
+    schedulerService.scheduleTrashPurge();
+    
+    // SLA near-breach warnings and breach escalations every 15 minutes
+    schedulerService.scheduleSlaEscalations();
+    
+    // Nightly retention policies for archived projects
+    schedulerService.scheduleArchivedProjectRetention();
+    
+    // Escalate risks whose linked work went overdue or slipped
+    schedulerService.scheduleRiskEscalations();
+    
+    // Remind owners of risks and decisions due for review
+    schedulerService.scheduleReviewReminders();
   });
 }
 
@@ -0,0 +1,837 @@
+/**
+ * Blueprint Service
+ *
+ * Saves a project's structure as a reusable blueprint and creates new
+ * projects from it. A blueprint holds project-specific risk categories, tags,
+ * custom roles with their permissions, issue-type and action-category
+ * checklist template mappings, the workflow, sidecar behaviour settings
+ * (never credentials), timesheet and other project settings, and a backlog of
+ * item skeletons.
+ *
+ * Skeletons keep title, description, priority, category, effort, epic flag,
+ * tags, hierarchy and dependencies, but not assignees, status or history.
+ * Due dates are stored as day offsets from the source project's start, and
+ * shifted to the new project's start date when the blueprint is used.
+ */
+
+const { pool } = require('../db');
+const workflowService = require('./workflow-service');
+
+const BLUEPRINT_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Project columns copied to the new project
+const PROJECT_SETTING_FIELDS = ['template', 'complexity_level', 'timesheet_entry_required', 'checklist_completion_enabled'];
+
+// Sidecar behaviour settings; tokens, secrets, addresses and workspace ids stay behind
+const SIDECAR_BLUEPRINT_FIELDS = [
+  'slack_auto_reply',
+  'email_filter_rules',
+  'email_process_internal',
+  'email_process_external',
+  'email_ignore_domains',
+  'meeting_activation_mode',
+  'meeting_auto_start_teams',
+  'meeting_auto_start_zoom',
+  'meeting_require_confirmation',
+  'meeting_announce_presence',
+  'meeting_smart_filters',
+  'transcription_provider',
+  'auto_create_threshold',
+  'detection_types',
+  'notify_chat_platform',
+  'notify_email',
+  'email_digest_frequency',
+  'data_retention_days',
+  'auto_redact_pii',
+  'require_meeting_consent'
+];
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * Calendar date as YYYY-MM-DD. pg returns DATE and TIMESTAMP columns as
+ * local-time Dates, so local components are used.
+ */
+function toDateOnly(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function dateOnlyToUtc(dateOnly) {
+  const [year, month, day] = dateOnly.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Whole days from anchor to value (negative when value is earlier)
+ */
+function dayOffset(anchorDate, value) {
+  const anchor = toDateOnly(anchorDate);
+  const date = toDateOnly(value);
+  if (!anchor || !date) return null;
+  return Math.round((dateOnlyToUtc(date) - dateOnlyToUtc(anchor)) / DAY_MS);
+}
+
+function shiftDate(startDate, offsetDays) {
+  const start = toDateOnly(startDate);
+  if (!start || offsetDays === null || offsetDays === undefined) return null;
+  return new Date(dateOnlyToUtc(start) + offsetDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Date the skeleton offsets are measured from: the project's start date,
+ * else the earliest item due date, else the fallback (today)
+ */
+function pickAnchorDate(project, items, fallback = new Date()) {
+  if (project.start_date) return toDateOnly(project.start_date);
+
+  const dueDates = items.map(item => toDateOnly(item.due_date)).filter(Boolean).sort();
+  return dueDates[0] || toDateOnly(fallback);
+}
+
+function itemRef(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Item skeletons keyed by "<type>:<id>" refs, so hierarchy and dependencies
+ * can be rebuilt in the new project
+ *
+ * @param {Object} data - { issues, actionItems, tagsByRef: { ref: [tagName] }, anchorDate }
+ */
+function buildItemSkeletons({ issues = [], actionItems = [], tagsByRef = {}, anchorDate }) {
+  const issueIds = new Set(issues.map(issue => issue.id));
+  const decimal = value => (value === null || value === undefined ? null : parseFloat(value));
+
+  const issueSkeletons = issues.map(issue => {
+    const ref = itemRef('issue', issue.id);
+    return {
+      ref,
+      type: 'issue',
+      title: issue.title,
+      description: issue.description || '',
+      issueType: issue.type || null,
+      priority: issue.priority || 'medium',
+      category: issue.category || null,
+      isEpic: Boolean(issue.is_epic),
+      estimatedEffortHours: decimal(issue.estimated_effort_hours),
+      dueOffsetDays: dayOffset(anchorDate, issue.due_date),
+      parentRef: issue.parent_issue_id && issueIds.has(issue.parent_issue_id)
+        ? itemRef('issue', issue.parent_issue_id)
+        : null,
+      sortOrder: issue.sort_order || 0,
+      tags: tagsByRef[ref] || []
+    };
+  });
+
+  const actionSkeletons = actionItems.map(item => {
+    const ref = itemRef('action-item', item.id);
+    return {
+      ref,
+      type: 'action-item',
+      title: item.title,
+      description: item.description || '',
+      priority: item.priority || 'medium',
+      categoryId: item.category_id || null,
+      estimatedEffortHours: decimal(item.estimated_effort_hours),
+      dueOffsetDays: dayOffset(anchorDate, item.due_date),
+      parentRef: null,
+      tags: tagsByRef[ref] || []
+    };
+  });
+
+  return [...issueSkeletons, ...actionSkeletons];
+}
+
+/**
+ * Relationships and scheduling prerequisites whose both ends are skeletons
+ *
+ * @param {Object} data - { relationships: issue_relationships rows, prerequisites: [{ itemType, itemId, prerequisiteItemType, prerequisiteItemId }] }
+ * @param {Set<string>} refs - refs of the skeletons in the blueprint
+ */
+function buildDependencySkeletons({ relationships = [], prerequisites = [] }, refs) {
+  return {
+    relationships: relationships
+      .map(r => ({
+        sourceRef: itemRef(r.source_type, r.source_id),
+        targetRef: itemRef(r.target_type, r.target_id),
+        relationshipType: r.relationship_type
+      }))
+      .filter(r => refs.has(r.sourceRef) && refs.has(r.targetRef)),
+    prerequisites: prerequisites
+      .map(p => ({
+        itemRef: itemRef(p.itemType, p.itemId),
+        prerequisiteRef: itemRef(p.prerequisiteItemType, p.prerequisiteItemId)
+      }))
+      .filter(p => refs.has(p.itemRef) && refs.has(p.prerequisiteRef))
+  };
+}
+
+/**
+ * Skeletons with each parent before its children, and their depth in the
+ * hierarchy. A parent cycle is broken by treating the item as a root.
+ */
+function orderSkeletons(items) {
+  const byRef = new Map(items.map(item => [item.ref, item]));
+  const ordered = [];
+  const depthByRef = new Map();
+
+  const place = (item, visiting) => {
+    if (depthByRef.has(item.ref)) return;
+    const parent = item.parentRef ? byRef.get(item.parentRef) : null;
+    const inCycle = Boolean(parent) && visiting.has(parent.ref);
+    if (parent && !inCycle) {
+      visiting.add(item.ref);
+      place(parent, visiting);
+    }
+    const depth = parent && !inCycle ? depthByRef.get(parent.ref) + 1 : 0;
+    ordered.push({ item: parent && !inCycle ? item : { ...item, parentRef: null }, depth });
+    depthByRef.set(item.ref, depth);
+  };
+
+  items.forEach(item => place(item, new Set()));
+  return ordered;
+}
+
+function pickFields(row, fields) {
+  const picked = {};
+  if (!row) return picked;
+  fields.forEach(field => {
+    if (row[field] !== undefined) picked[field] = row[field];
+  });
+  return picked;
+}
+
+/**
+ * Counts shown in the blueprint list and before creating a project
+ */
+function summarizeBlueprint(definition) {
+  const items = definition.items || [];
+  return {
+    riskCategories: (definition.riskCategories || []).length,
+    tags: (definition.tags || []).length,
+    customRoles: (definition.customRoles || []).length,
+    templateMappings: (definition.issueTypeTemplates || []).length + (definition.actionCategoryTemplates || []).length,
+    workflowStatuses: definition.workflow ? definition.workflow.statuses.length : 0,
+    hasSidecarSettings: Boolean(definition.sidecar),
+    issues: items.filter(item => item.type === 'issue').length,
+    actionItems: items.filter(item => item.type === 'action-item').length,
+    dependencies: ((definition.dependencies || {}).relationships || []).length +
+      ((definition.dependencies || {}).prerequisites || []).length
+  };
+}
+
+function validateBlueprintInput({ name, description }) {
+  const errors = [];
+  if (!name || !String(name).trim()) {
+    errors.push('Blueprint name is required');
+  } else if (String(name).trim().length > 255) {
+    errors.push('Blueprint name must be 255 characters or fewer');
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('Description must be text');
+  }
+  return errors;
+}
+
+function validateCreateOptions({ name, startDate }) {
+  const errors = [];
+  if (!name || !String(name).trim()) {
+    errors.push('Project name is required');
+  }
+  if (startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    errors.push('Start date must be YYYY-MM-DD');
+  } else if (startDate && isNaN(dateOnlyToUtc(startDate))) {
+    errors.push('Start date is not a valid date');
+  }
+  return errors;
+}
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function loadItemTags(projectId) {
+  const result = await pool.query(`
+    SELECT 'issue' AS item_type, it.issue_id AS item_id, t.name
+    FROM issue_tags it
+    JOIN tags t ON t.id = it.tag_id
+    JOIN issues i ON i.id = it.issue_id
+    WHERE i.project_id = $1
+    UNION ALL
+    SELECT 'action-item', at.action_item_id, t.name
+    FROM action_item_tags at
+    JOIN tags t ON t.id = at.tag_id
+    JOIN action_items a ON a.id = at.action_item_id
+    WHERE a.project_id = $1
+  `, [projectId]);
+
+  const tagsByRef = {};
+  result.rows.forEach(row => {
+    const ref = itemRef(row.item_type, row.item_id);
+    (tagsByRef[ref] = tagsByRef[ref] || []).push(row.name);
+  });
+  return tagsByRef;
+}
+
+async function loadDependencies(projectId) {
+  const [relationships, issuePrereqs, actionPrereqs] = await Promise.all([
+    pool.query(`
+      SELECT r.source_type, r.source_id, r.target_type, r.target_id, r.relationship_type
+      FROM issue_relationships r
+      WHERE (r.source_type = 'issue' AND r.source_id IN (SELECT id FROM issues WHERE project_id = $1))
+         OR (r.source_type = 'action-item' AND r.source_id IN (SELECT id FROM action_items WHERE project_id = $1))
+    `, [projectId]),
+    pool.query(`
+      SELECT d.issue_id AS item_id, d.prerequisite_item_type, d.prerequisite_item_id
+      FROM issue_dependencies d
+      JOIN issues i ON i.id = d.issue_id
+      WHERE i.project_id = $1
+    `, [projectId]),
+    pool.query(`
+      SELECT d.action_item_id AS item_id, d.prerequisite_item_type, d.prerequisite_item_id
+      FROM action_item_dependencies d
+      JOIN action_items a ON a.id = d.action_item_id
+      WHERE a.project_id = $1
+    `, [projectId])
+  ]);
+
+  const toPrerequisite = itemType => row => ({
+    itemType,
+    itemId: row.item_id,
+    prerequisiteItemType: row.prerequisite_item_type,
+    prerequisiteItemId: row.prerequisite_item_id
+  });
+
+  return {
+    relationships: relationships.rows,
+    prerequisites: [
+      ...issuePrereqs.rows.map(toPrerequisite('issue')),
+      ...actionPrereqs.rows.map(toPrerequisite('action-item'))
+    ]
+  };
+}
+
+async function loadCustomRoles(projectId) {
+  const result = await pool.query(`
+    SELECT r.*, parent.role_code AS reports_to_code
+    FROM custom_roles r
+    LEFT JOIN custom_roles parent ON parent.id = r.reports_to_role_id
+    WHERE r.project_id = $1 AND r.is_active = true
+    ORDER BY r.authority_level DESC, r.role_name
+  `, [projectId]);
+
+  if (result.rows.length === 0) return [];
+
+  const codeById = new Map(result.rows.map(r => [r.id, r.role_code]));
+  const permissions = await pool.query(
+    'SELECT * FROM role_permissions WHERE role_id = ANY($1::int[])',
+    [result.rows.map(r => r.id)]
+  );
+
+  return result.rows.map(role => ({
+    roleCode: role.role_code,
+    roleName: role.role_name,
+    roleDescription: role.role_description,
+    roleCategory: role.role_category,
+    icon: role.icon,
+    color: role.color,
+    reportsTo: role.reports_to_code || null,
+    authorityLevel: role.authority_level,
+    permissions: permissions.rows
+      .filter(p => p.role_id === role.id)
+      .map(p => ({
+        entityType: p.entity_type,
+        canCreate: p.can_create,
+        canRead: p.can_read,
+        canUpdate: p.can_update,
+        canDelete: p.can_delete,
+        autoCreateEnabled: p.auto_create_enabled,
+        autoCreateThreshold: p.auto_create_threshold === null ? null : parseFloat(p.auto_create_threshold),
+        requiresApproval: p.requires_approval,
+        approvalFrom: codeById.get(p.approval_from_role_id) || null,
+        notifyOnCreate: p.notify_on_create,
+        notifyRoles: (p.notify_role_ids || []).map(id => codeById.get(id)).filter(Boolean),
+        canCaptureThoughts: p.can_capture_thoughts,
+        canRecordMeetings: p.can_record_meetings
+      }))
+  }));
+}
+
+/**
+ * Snapshot of a project's structure and backlog
+ */
+async function captureProjectStructure(projectId) {
+  const projectResult = await pool.query('SELECT * FROM projects WHERE id = $1', [projectId]);
+  const project = projectResult.rows[0];
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const [
+    riskCategories, tags, issueTypeTemplates, actionCategoryTemplates, sidecar,
+    issues, actionItems, tagsByRef, dependencies, customRoles, workflow
+  ] = await Promise.all([
+    pool.query(
+      `SELECT name, description, color, icon, display_order FROM risk_categories
+       WHERE project_id = $1 AND is_active = true ORDER BY display_order, name`,
+      [projectId]
+    ),
+    pool.query(
+      'SELECT name, color, description, tag_type FROM tags WHERE project_id = $1 ORDER BY name',
+      [projectId]
+    ),
+    pool.query(
+      `SELECT issue_type, template_id, is_active, auto_create FROM issue_type_templates
+       WHERE project_id = $1 ORDER BY issue_type`,
+      [projectId]
+    ),
+    pool.query(
+      `SELECT category_id, template_id, is_active, auto_create FROM action_item_category_templates
+       WHERE project_id = $1 ORDER BY category_id`,
+      [projectId]
+    ),
+    pool.query('SELECT * FROM sidecar_config WHERE project_id = $1', [projectId]),
+    pool.query(
+      `SELECT id, title, description, type, priority, category, is_epic, estimated_effort_hours,
+              due_date, parent_issue_id, sort_order
+       FROM issues WHERE project_id = $1 ORDER BY id`,
+      [projectId]
+    ),
+    pool.query(
+      `SELECT id, title, description, priority, category_id, estimated_effort_hours, due_date
+       FROM action_items WHERE project_id = $1 ORDER BY id`,
+      [projectId]
+    ),
+    loadItemTags(projectId),
+    loadDependencies(projectId),
+    loadCustomRoles(projectId),
+    workflowService.getProjectWorkflow(projectId)
+  ]);
+
+  const anchorDate = pickAnchorDate(project, [...issues.rows, ...actionItems.rows]);
+  const items = buildItemSkeletons({ issues: issues.rows, actionItems: actionItems.rows, tagsByRef, anchorDate });
+  const refs = new Set(items.map(item => item.ref));
+
+  const projectLengthDays = project.start_date && project.end_date
+    ? dayOffset(project.start_date, project.end_date)
+    : null;
+
+  return {
+    version: BLUEPRINT_VERSION,
+    settings: { ...pickFields(project, PROJECT_SETTING_FIELDS), projectLengthDays },
+    riskCategories: riskCategories.rows,
+    tags: tags.rows,
+    customRoles,
+    issueTypeTemplates: issueTypeTemplates.rows,
+    actionCategoryTemplates: actionCategoryTemplates.rows,
+    workflow: workflow.isDefault ? null : { statuses: workflow.statuses, transitions: workflow.transitions },
+    sidecar: sidecar.rows[0] ? pickFields(sidecar.rows[0], SIDECAR_BLUEPRINT_FIELDS) : null,
+    items,
+    dependencies: buildDependencySkeletons(dependencies, refs)
+  };
+}
+
+function formatBlueprint(row, { includeDefinition = false } = {}) {
+  const blueprint = {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    sourceProjectId: row.source_project_id,
+    sourceProjectName: row.source_project_name || null,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    summary: summarizeBlueprint(row.definition)
+  };
+  if (includeDefinition) blueprint.definition = row.definition;
+  return blueprint;
+}
+
+const BLUEPRINT_SELECT = `
+  SELECT b.*, p.name AS source_project_name, u.username AS created_by_name
+  FROM project_blueprints b
+  LEFT JOIN projects p ON p.id = b.source_project_id
+  LEFT JOIN users u ON u.id = b.created_by
+`;
+
+/**
+ * Save a project's current structure as a new blueprint
+ */
+async function saveBlueprint(projectId, { name, description }, userId) {
+  const errors = validateBlueprintInput({ name, description });
+  if (errors.length > 0) throw validationError(`Invalid blueprint: ${errors.join('; ')}`, errors);
+
+  const definition = await captureProjectStructure(projectId);
+  const result = await pool.query(
+    `INSERT INTO project_blueprints (name, description, source_project_id, definition, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [String(name).trim(), description || null, projectId, JSON.stringify(definition), userId]
+  );
+
+  return getBlueprint(result.rows[0].id);
+}
+
+/**
+ * Blueprints the user may see: those they created or whose source project they
+ * are an active member of. System Administrators see all of them.
+ */
+async function listBlueprints(userId, userRole) {
+  if (userRole === 'System Administrator') {
+    const result = await pool.query(`${BLUEPRINT_SELECT} ORDER BY b.name, b.id`);
+    return result.rows.map(row => formatBlueprint(row));
+  }
+
+  const result = await pool.query(
+    `${BLUEPRINT_SELECT}
+     WHERE b.created_by = $1
+        OR EXISTS (
+          SELECT 1 FROM project_members pm
+          WHERE pm.project_id = b.source_project_id AND pm.user_id = $1 AND pm.status = 'active'
+        )
+     ORDER BY b.name, b.id`,
+    [userId]
+  );
+  return result.rows.map(row => formatBlueprint(row));
+}
+
+async function getBlueprint(blueprintId, options) {
+  const result = await pool.query(`${BLUEPRINT_SELECT} WHERE b.id = $1`, [blueprintId]);
+  return result.rows[0] ? formatBlueprint(result.rows[0], options) : null;
+}
+
+async function deleteBlueprint(blueprintId) {
+  const result = await pool.query('DELETE FROM project_blueprints WHERE id = $1 RETURNING id', [blueprintId]);
+  return result.rows.length > 0;
+}
+
+async function insertCustomRoles(client, projectId, customRoles) {
+  const idByCode = new Map();
+  for (const role of customRoles) {
+    const result = await client.query(
+      `INSERT INTO custom_roles (
+         project_id, role_name, role_code, role_description, role_category,
+         icon, color, authority_level, is_system_role
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, false)
+       RETURNING id`,
+      [projectId, role.roleName, role.roleCode, role.roleDescription, role.roleCategory,
+        role.icon, role.color, role.authorityLevel]
+    );
+    idByCode.set(role.roleCode, result.rows[0].id);
+  }
+
+  // Second pass: references between roles need every role to exist first
+  for (const role of customRoles) {
+    const roleId = idByCode.get(role.roleCode);
+    if (role.reportsTo && idByCode.has(role.reportsTo)) {
+      await client.query('UPDATE custom_roles SET reports_to_role_id = $1 WHERE id = $2', [idByCode.get(role.reportsTo), roleId]);
+    }
+
+    for (const perm of role.permissions || []) {
+      const notifyRoleIds = (perm.notifyRoles || []).map(code => idByCode.get(code)).filter(Boolean);
+      await client.query(
+        `INSERT INTO role_permissions (
+           role_id, entity_type, can_create, can_read, can_update, can_delete,
+           auto_create_enabled, auto_create_threshold, requires_approval,
+           approval_from_role_id, notify_on_create, notify_role_ids,
+           can_capture_thoughts, can_record_meetings
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          roleId, perm.entityType, perm.canCreate, perm.canRead, perm.canUpdate, perm.canDelete,
+          perm.autoCreateEnabled, perm.autoCreateThreshold === null ? 0.9 : perm.autoCreateThreshold,
+          perm.requiresApproval, idByCode.get(perm.approvalFrom) || null, perm.notifyOnCreate,
+          notifyRoleIds.length > 0 ? notifyRoleIds : null, perm.canCaptureThoughts, perm.canRecordMeetings
+        ]
+      );
+    }
+  }
+}
+
+async function insertWorkflow(client, projectId, workflow) {
+  for (const status of workflow.statuses) {
+    await client.query(
+      `INSERT INTO workflow_statuses (project_id, name, category, position, color, is_initial, wip_limit)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [projectId, status.name, status.category, status.position, status.color, status.isInitial, status.wipLimit || null]
+    );
+  }
+  for (const t of workflow.transitions) {
+    await client.query(
+      `INSERT INTO workflow_transitions
+         (project_id, from_status, to_status, requires_hours, requires_checklist_complete, requires_assignee, min_role)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT DO NOTHING`,
+      [projectId, t.fromStatus, t.toStatus, t.requiresHours, t.requiresChecklistComplete, t.requiresAssignee, t.minRole]
+    );
+  }
+}
+
+async function insertSidecarSettings(client, projectId, sidecar) {
+  const columns = Object.keys(sidecar).filter(column => SIDECAR_BLUEPRINT_FIELDS.includes(column));
+  const values = columns.map(column => {
+    const value = sidecar[column];
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value;
+  });
+  const placeholders = columns.map((_, index) => `$${index + 2}`);
+
+  // Integrations stay off until the new project's own credentials are set
+  await client.query(
+    `INSERT INTO sidecar_config (project_id, enabled${columns.map(c => `, ${c}`).join('')})
+     VALUES ($1, false${placeholders.map(p => `, ${p}`).join('')})
+     ON CONFLICT (project_id) DO NOTHING`,
+    [projectId, ...values]
+  );
+}
+
+/**
+ * Create the skeleton items, then their tags, hierarchy links and dependencies
+ * @returns {Object} counts of what was created
+ */
+async function insertItemSkeletons(client, projectId, definition, { startDate, userId, tagIdByName }) {
+  const initialStatus = definition.workflow
+    ? workflowService.getInitialStatusName(definition.workflow)
+    : workflowService.getInitialStatusName({ statuses: workflowService.DEFAULT_STATUSES });
+  const idByRef = new Map();
+  let issueCount = 0;
+  let actionItemCount = 0;
+
+  for (const { item, depth } of orderSkeletons(definition.items || [])) {
+    const dueDate = shiftDate(startDate, item.dueOffsetDays);
+    let result;
+
+    if (item.type === 'issue') {
+      result = await client.query(
+        `INSERT INTO issues (
+           title, description, type, priority, category, due_date, project_id,
+           parent_issue_id, hierarchy_level, is_epic, sort_order, estimated_effort_hours,
+           status, progress, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 0, $14)
+         RETURNING id`,
+        [
+          item.title, item.description, item.issueType || 'Task', item.priority, item.category || 'General',
+          dueDate, projectId, item.parentRef ? idByRef.get(item.parentRef) : null, depth,
+          item.isEpic, item.sortOrder || 0, item.estimatedEffortHours, initialStatus, String(userId)
+        ]
+      );
+      issueCount++;
+    } else {
+      result = await client.query(
+        `INSERT INTO action_items (
+           title, description, project_id, priority, due_date, status, created_by,
+           category_id, estimated_effort_hours
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [
+          item.title, item.description, projectId, item.priority, dueDate, initialStatus,
+          String(userId), item.categoryId, item.estimatedEffortHours
+        ]
+      );
+      actionItemCount++;
+    }
+
+    const newId = result.rows[0].id;
+    idByRef.set(item.ref, newId);
+
+    const tagTable = item.type === 'issue'
+      ? { table: 'issue_tags', column: 'issue_id' }
+      : { table: 'action_item_tags', column: 'action_item_id' };
+    for (const tagName of item.tags || []) {
+      if (!tagIdByName.has(tagName)) continue;
+      await client.query(
+        `INSERT INTO ${tagTable.table} (${tagTable.column}, tag_id) VALUES ($1, $2)`,
+        [newId, tagIdByName.get(tagName)]
+      );
+    }
+  }
+
+  const splitRef = ref => {
+    const index = ref.indexOf(':');
+    return { type: ref.slice(0, index), id: idByRef.get(ref) };
+  };
+  const dependencies = definition.dependencies || {};
+  let dependencyCount = 0;
+
+  for (const r of dependencies.relationships || []) {
+    const source = splitRef(r.sourceRef);
+    const target = splitRef(r.targetRef);
+    if (!source.id || !target.id) continue;
+    await client.query(
+      `INSERT INTO issue_relationships (source_id, source_type, target_id, target_type, relationship_type, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [source.id, source.type, target.id, target.type, r.relationshipType, userId]
+    );
+    dependencyCount++;
+  }
+
+  for (const p of dependencies.prerequisites || []) {
+    const item = splitRef(p.itemRef);
+    const prerequisite = splitRef(p.prerequisiteRef);
+    if (!item.id || !prerequisite.id) continue;
+    const table = item.type === 'issue'
+      ? { name: 'issue_dependencies', column: 'issue_id' }
+      : { name: 'action_item_dependencies', column: 'action_item_id' };
+    await client.query(
+      `INSERT INTO ${table.name} (${table.column}, prerequisite_item_type, prerequisite_item_id)
+       VALUES ($1, $2, $3)`,
+      [item.id, prerequisite.type, prerequisite.id]
+    );
+    dependencyCount++;
+  }
+
+  return { issues: issueCount, actionItems: actionItemCount, dependencies: dependencyCount };
+}
+
+/**
+ * Create a project from a blueprint. The creator becomes the project's Admin,
+ * as with any new project.
+ *
+ * @param {number} blueprintId
+ * @param {Object} options - { name, description, startDate (YYYY-MM-DD, default today), includeItems }
+ * @returns {Object} { project, created: { issues, actionItems, dependencies } } or null if the blueprint is missing
+ */
+async function createProjectFromBlueprint(blueprintId, { name, description, startDate, includeItems = false }, userId) {
+  const errors = validateCreateOptions({ name, startDate });
+  if (errors.length > 0) throw validationError(`Invalid project: ${errors.join('; ')}`, errors);
+
+  const blueprintResult = await pool.query('SELECT * FROM project_blueprints WHERE id = $1', [blueprintId]);
+  const blueprint = blueprintResult.rows[0];
+  if (!blueprint) return null;
+
+  const definition = blueprint.definition;
+  const settings = definition.settings || {};
+  const start = startDate || toDateOnly(new Date());
+  const endDate = settings.projectLengthDays !== null && settings.projectLengthDays !== undefined
+    ? shiftDate(start, settings.projectLengthDays)
+    : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const projectResult = await client.query(
+      `INSERT INTO projects (
+         name, description, template, complexity_level, timesheet_entry_required,
+         checklist_completion_enabled, start_date, end_date, created_by, owner_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        String(name).trim(),
+        description !== undefined && description !== null ? description : (blueprint.description || ''),
+        settings.template || 'generic',
+        settings.complexity_level || 'standard',
+        Boolean(settings.timesheet_entry_required),
+        settings.checklist_completion_enabled !== false,
+        start,
+        endDate,
+        String(userId),
+        userId
+      ]
+    );
+    const project = projectResult.rows[0];
+
+    await client.query(
+      `INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'Admin')`,
+      [project.id, userId]
+    );
+
+    for (const category of definition.riskCategories || []) {
+      await client.query(
+        `INSERT INTO risk_categories (project_id, name, description, color, icon, display_order)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [project.id, category.name, category.description, category.color, category.icon, category.display_order]
+      );
+    }
+
+    const tagIdByName = new Map();
+    for (const tag of definition.tags || []) {
+      const result = await client.query(
+        `INSERT INTO tags (project_id, name, color, description, tag_type, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [project.id, tag.name, tag.color, tag.description, tag.tag_type || 'issue_action', userId]
+      );
+      tagIdByName.set(tag.name, result.rows[0].id);
+    }
+
+    await insertCustomRoles(client, project.id, definition.customRoles || []);
+
+    for (const mapping of definition.issueTypeTemplates || []) {
+      await client.query(
+        `INSERT INTO issue_type_templates (issue_type, template_id, project_id, is_active, auto_create, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [mapping.issue_type, mapping.template_id, project.id, mapping.is_active, mapping.auto_create, userId]
+      );
+    }
+
+    for (const mapping of definition.actionCategoryTemplates || []) {
+      await client.query(
+        `INSERT INTO action_item_category_templates (category_id, template_id, project_id, is_active, auto_create, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [mapping.category_id, mapping.template_id, project.id, mapping.is_active, mapping.auto_create, userId]
+      );
+    }
+
+    if (definition.workflow) {
+      await insertWorkflow(client, project.id, definition.workflow);
+    }
+
+    if (definition.sidecar) {
+      await insertSidecarSettings(client, project.id, definition.sidecar);
+    }
+
+    const created = includeItems
+      ? await insertItemSkeletons(client, project.id, definition, { startDate: start, userId, tagIdByName })
+      : { issues: 0, actionItems: 0, dependencies: 0 };
+
+    await client.query('COMMIT');
+    return { project, created };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  // Pure helpers
+  BLUEPRINT_VERSION,
+  SIDECAR_BLUEPRINT_FIELDS,
+  toDateOnly,
+  dayOffset,
+  shiftDate,
+  pickAnchorDate,
+  buildItemSkeletons,
+  buildDependencySkeletons,
+  orderSkeletons,
+  summarizeBlueprint,
+  validateBlueprintInput,
+  validateCreateOptions,
+
+  // Database access
+  captureProjectStructure,
+  saveBlueprint,
+  listBlueprints,
+  getBlueprint,
+  deleteBlueprint,
+  createProjectFromBlueprint
+};
@@ -0,0 +1,229 @@
+/**
+ * Change History Service
+ *
+ * Field-level change log for issues and action items. The PATCH handlers pass
+ * the row before and after the update; every tracked column (and every custom
+ * field value) that differs is written to item_change_history.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db');
+const customFieldsService = require('./custom-fields-service');
+
+const ITEM_TABLES = {
+  'issue': 'issues',
+  'action-item': 'action_items'
+};
+
+// Columns recorded in the change log. Keys double as PATCH body fields, which is what makes revert possible.
+const TRACKED_FIELDS = {
+  title: 'Title',
+  description: 'Description',
+  assignee: 'Assignee',
+  due_date: 'Due Date',
+  priority: 'Priority',
+  status: 'Status',
+  category: 'Category',
+  progress: 'Progress',
+  estimated_effort_hours: 'Planning Estimate',
+  planning_estimate_source: 'Estimate Source',
+  timesheet_required_override: 'Timesheet Override',
+  sprint_id: 'Sprint'
+};
+
+const NUMERIC_FIELDS = ['progress', 'estimated_effort_hours', 'sprint_id'];
+const CHANGE_SOURCES = ['edit', 'bulk', 'revert'];
+const CUSTOM_FIELD_PREFIX = 'custom_fields.';
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function formatLocalDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Normalize a column value so equal values compare equal ('' vs null,
+ * '8.00' vs 8, Date vs 'YYYY-MM-DD').
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return formatLocalDate(value);
+  if (field === 'due_date' && typeof value === 'string') return value.slice(0, 10);
+  if (NUMERIC_FIELDS.includes(field)) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (typeof value === 'string') return value.trim() === '' ? null : value;
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Diff two versions of an item row.
+ * @returns {Object[]} [{ field, oldValue, newValue }]
+ */
+function diffItemFields(before, after) {
+  const changes = [];
+
+  Object.keys(TRACKED_FIELDS).forEach(field => {
+    if (!(field in after)) return;
+    const oldValue = normalizeValue(field, before[field]);
+    const newValue = normalizeValue(field, after[field]);
+    if (!sameValue(oldValue, newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  });
+
+  const oldCustom = before.custom_fields || {};
+  const newCustom = after.custom_fields || {};
+  const keys = [...new Set([...Object.keys(oldCustom), ...Object.keys(newCustom)])].sort();
+  keys.forEach(key => {
+    const oldValue = oldCustom[key] === undefined ? null : oldCustom[key];
+    const newValue = newCustom[key] === undefined ? null : newCustom[key];
+    if (!sameValue(oldValue, newValue)) {
+      changes.push({ field: `${CUSTOM_FIELD_PREFIX}${key}`, oldValue, newValue });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * PATCH body that sets a field back to a recorded value.
+ */
+function buildRevertPatch(field, value) {
+  if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+    return { custom_fields: { [field.slice(CUSTOM_FIELD_PREFIX.length)]: value } };
+  }
+  if (TRACKED_FIELDS[field]) {
+    return { [field]: value };
+  }
+  return null;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * Record the field-level differences between two versions of an item.
+ *
+ * @param {string} itemType - 'issue' | 'action-item'
+ * @param {Object} before - row before the update
+ * @param {Object} after - row after the update
+ * @param {number} userId
+ * @param {string} source - 'edit' | 'bulk' | 'revert'
+ * @returns {Promise<number>} number of fields recorded
+ */
+async function recordItemChanges(itemType, before, after, userId, source = 'edit') {
+  const changes = diffItemFields(before, after);
+  if (changes.length === 0) return 0;
+
+  const changeId = crypto.randomUUID();
+  const changeSource = CHANGE_SOURCES.includes(source) ? source : 'edit';
+  const values = [];
+  const rows = changes.map((change, index) => {
+    const base = index * 5;
+    values.push(change.field, JSON.stringify(change.oldValue), JSON.stringify(change.newValue), changeSource, userId);
+    return `($${changes.length * 5 + 1}, $${changes.length * 5 + 2}, $${changes.length * 5 + 3}, $${changes.length * 5 + 4}, ` +
+           `$${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`;
+  });
+  values.push(changeId, itemType, after.id, after.project_id);
+
+  await pool.query(
+    `INSERT INTO item_change_history
+       (change_id, item_type, item_id, project_id, field_name, old_value, new_value, change_source, changed_by)
+     VALUES ${rows.join(', ')}`,
+    values
+  );
+
+  return changes.length;
+}
+
+/**
+ * Timeline of field changes for an item, newest first.
+ * Each entry carries a revertPatch: the PATCH body that restores the old value.
+ */
+async function getItemHistory(itemType, itemId) {
+  const table = ITEM_TABLES[itemType];
+  if (!table) {
+    throw new Error(`Unknown item type: ${itemType}`);
+  }
+
+  const itemResult = await pool.query(`SELECT id, project_id FROM ${table} WHERE id = $1`, [itemId]);
+  if (itemResult.rows.length === 0) {
+    return null;
+  }
+  const projectId = itemResult.rows[0].project_id;
+
+  const [historyResult, customFields] = await Promise.all([
+    pool.query(
+      `SELECT h.*, u.username AS changed_by_username
+       FROM item_change_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.item_type = $1 AND h.item_id = $2
+       ORDER BY h.changed_at DESC, h.id DESC`,
+      [itemType, itemId]
+    ),
+    customFieldsService.getFieldDefinitions(projectId)
+  ]);
+
+  // Sprint ids are shown by name
+  const sprintIds = new Set();
+  historyResult.rows
+    .filter(r => r.field_name === 'sprint_id')
+    .forEach(r => [r.old_value, r.new_value].forEach(v => v !== null && sprintIds.add(v)));
+  const sprintNames = new Map();
+  if (sprintIds.size > 0) {
+    const sprints = await pool.query('SELECT id, name FROM sprints WHERE id = ANY($1::int[])', [[...sprintIds]]);
+    sprints.rows.forEach(s => sprintNames.set(s.id, s.name));
+  }
+  const fieldNames = new Map(customFields.map(f => [`${CUSTOM_FIELD_PREFIX}${f.key}`, f.name]));
+
+  const display = (field, value) => {
+    if (value === null) return null;
+    if (field === 'sprint_id') return sprintNames.get(value) || `Sprint #${value}`;
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  };
+
+  return {
+    itemType,
+    itemId: parseInt(itemId),
+    projectId,
+    changes: historyResult.rows.map(r => ({
+      id: r.id,
+      changeId: r.change_id,
+      field: r.field_name,
+      label: TRACKED_FIELDS[r.field_name] || fieldNames.get(r.field_name) || r.field_name.replace(CUSTOM_FIELD_PREFIX, ''),
+      oldValue: r.old_value,
+      newValue: r.new_value,
+      oldDisplay: display(r.field_name, r.old_value),
+      newDisplay: display(r.field_name, r.new_value),
+      source: r.change_source,
+      changedAt: r.changed_at,
+      changedBy: r.changed_by ? { id: r.changed_by, username: r.changed_by_username } : null,
+      revertPatch: buildRevertPatch(r.field_name, r.old_value)
+    }))
+  };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  CHANGE_SOURCES,
+
+  // Pure helpers
+  normalizeValue,
+  diffItemFields,
+  buildRevertPatch,
+
+  // Database access
+  recordItemChanges,
+  getItemHistory
+};
@@ -0,0 +1,564 @@
+/**
+ * Comment Thread Service
+ *
+ * One thread model for every comment surface: issue comments, action item
+ * comments and checklist comments.
+ *
+ *   replies    a comment's parent_comment_id is the comment it answers; the
+ *              thread is the first comment of the chain and its replies are
+ *              listed under it in the order they were written
+ *   resolved   a thread is resolved or reopened as a whole; the state lives
+ *              on the thread's first comment (resolved_at / resolved_by)
+ *   reactions  a fixed set of emoji, one of each per user, toggled on and off
+ *   history    every edit stores the text the comment had before it
+ *
+ * Reactions and edits are keyed by (comment_type, comment_id) and removed with
+ * the comment by a trigger from migration 052.
+ */
+
+const { pool } = require('../db');
+const notificationService = require('./notificationService');
+const watcherService = require('./watcher-service');
+
+/**
+ * Comment tables by comment_type. authorColumn differs because checklist
+ * comments predate the other two. Only issue and action item comments parse
+ * @mentions (mentionType is mention_notifications.comment_type, label the
+ * wording in the mention email) and have watchers.
+ */
+const COMMENT_SURFACES = {
+  'issue': {
+    table: 'issue_comments',
+    itemTable: 'issues',
+    itemColumn: 'issue_id',
+    authorColumn: 'user_id',
+    hasMentions: true,
+    mentionType: 'issue',
+    label: 'issue'
+  },
+  'action-item': {
+    table: 'action_item_comments',
+    itemTable: 'action_items',
+    itemColumn: 'action_item_id',
+    authorColumn: 'user_id',
+    hasMentions: true,
+    mentionType: 'action_item',
+    label: 'action item'
+  },
+  'checklist': {
+    table: 'checklist_comments',
+    itemTable: 'checklists',
+    itemColumn: 'checklist_id',
+    authorColumn: 'created_by',
+    hasMentions: false,
+    label: 'checklist'
+  }
+};
+
+const REACTION_EMOJIS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+function getSurface(commentType) {
+  const surface = COMMENT_SURFACES[commentType];
+  if (!surface) {
+    throw new Error(`Unknown comment type: ${commentType}`);
+  }
+  return surface;
+}
+
+/**
+ * Users @mentioned in a comment. A mention can be a multi-word username
+ * ("@Jordan Lee"), so the longest run of words matching a username wins;
+ * usernames match ignoring case and spaces.
+ *
+ * @param {Object[]} users - { id, username }
+ * @returns {number[]} user ids, in order of first mention
+ */
+function matchMentions(text, users) {
+  const mentionedUsernames = [...String(text || '').matchAll(/@(\w+(?:\s+\w+)*)/g)].map(m => m[1]);
+  if (mentionedUsernames.length === 0) return [];
+
+  const userMap = new Map(users.map(u => [u.username.toLowerCase().replace(/\s+/g, ''), u]));
+  const mentionedUserIds = [];
+
+  for (const mentioned of mentionedUsernames) {
+    const words = mentioned.split(/\s+/);
+    let matchedUser = null;
+
+    for (let i = words.length; i >= 1; i--) {
+      const normalized = words.slice(0, i).join(' ').toLowerCase().replace(/\s+/g, '');
+      if (userMap.has(normalized)) {
+        matchedUser = userMap.get(normalized);
+        break;
+      }
+    }
+
+    if (matchedUser && !mentionedUserIds.includes(matchedUser.id)) {
+      mentionedUserIds.push(matchedUser.id);
+    }
+  }
+
+  return mentionedUserIds;
+}
+
+/**
+ * Validate a reaction emoji
+ * @returns {string[]} error messages, empty when valid
+ */
+function validateReaction(emoji) {
+  if (!REACTION_EMOJIS.includes(emoji)) {
+    return [`Reaction must be one of ${REACTION_EMOJIS.join(' ')}`];
+  }
+  return [];
+}
+
+/**
+ * Id of the first comment in the chain a comment belongs to. A parent that
+ * isn't in the list makes the comment its own thread.
+ *
+ * @param {Map} commentsById - id -> comment row
+ */
+function threadRootId(commentsById, commentId) {
+  const seen = new Set();
+  let current = commentsById.get(commentId);
+
+  while (current && current.parent_comment_id && commentsById.has(current.parent_comment_id)) {
+    if (seen.has(current.id)) break;
+    seen.add(current.id);
+    current = commentsById.get(current.parent_comment_id);
+  }
+
+  return current ? current.id : commentId;
+}
+
+/**
+ * Comments in thread order: each thread's first comment followed by its
+ * replies, both in the order given. Every row gets thread_id and
+ * thread_resolved; first comments also get reply_count.
+ *
+ * @param {Object[]} comments - rows with id, parent_comment_id, resolved_at, oldest first
+ */
+function orderThreads(comments) {
+  const commentsById = new Map(comments.map(comment => [comment.id, comment]));
+  const threads = new Map();
+
+  comments.forEach(comment => {
+    const rootId = threadRootId(commentsById, comment.id);
+    if (!threads.has(rootId)) {
+      threads.set(rootId, { root: commentsById.get(rootId), replies: [] });
+    }
+    if (comment.id !== rootId) {
+      threads.get(rootId).replies.push(comment);
+    }
+  });
+
+  const ordered = [];
+  threads.forEach(({ root, replies }) => {
+    const resolved = Boolean(root.resolved_at);
+    ordered.push({ ...root, thread_id: root.id, thread_resolved: resolved, reply_count: replies.length });
+    replies.forEach(reply => ordered.push({ ...reply, thread_id: root.id, thread_resolved: resolved }));
+  });
+  return ordered;
+}
+
+/**
+ * Group reaction rows per comment
+ *
+ * @param {Object[]} rows - { comment_id, emoji, user_id, username }, oldest first
+ * @param {number} userId - current user, for `reacted`
+ * @returns {Object} commentId -> [{ emoji, count, reacted, users }] in REACTION_EMOJIS order
+ */
+function summarizeReactions(rows, userId) {
+  const byComment = {};
+
+  rows.forEach(row => {
+    const reactions = byComment[row.comment_id] || (byComment[row.comment_id] = []);
+    let reaction = reactions.find(r => r.emoji === row.emoji);
+    if (!reaction) {
+      reaction = { emoji: row.emoji, count: 0, reacted: false, users: [] };
+      reactions.push(reaction);
+    }
+    reaction.count++;
+    reaction.users.push(row.username);
+    if (row.user_id === userId) reaction.reacted = true;
+  });
+
+  Object.values(byComment).forEach(reactions => {
+    reactions.sort((a, b) => REACTION_EMOJIS.indexOf(a.emoji) - REACTION_EMOJIS.indexOf(b.emoji));
+  });
+  return byComment;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function loadReactions(commentType, commentIds, userId) {
+  if (commentIds.length === 0) return {};
+
+  const result = await pool.query(`
+    SELECT r.comment_id, r.emoji, r.user_id, u.username
+    FROM comment_reactions r
+    JOIN users u ON u.id = r.user_id
+    WHERE r.comment_type = $1 AND r.comment_id = ANY($2::int[])
+    ORDER BY r.created_at, r.id
+  `, [commentType, commentIds]);
+
+  return summarizeReactions(result.rows, userId);
+}
+
+/**
+ * Ids of the users @mentioned in a comment
+ */
+async function resolveMentions(text, client = pool) {
+  if (!/@\w/.test(String(text || ''))) return [];
+  const users = await client.query('SELECT id, username FROM users');
+  return matchMentions(text, users.rows);
+}
+
+/**
+ * Add a comment, or a reply when parentCommentId is given. Mentioned users
+ * are notified in-app and by email, and watchers hear about it.
+ *
+ * @param {Object} author - { id, username }
+ * @returns {Object|null} the comment with username and email, null when the item doesn't exist
+ * @throws validation error when the reply target isn't on this item
+ */
+async function createComment(commentType, itemId, author, text, { parentCommentId } = {}) {
+  const surface = getSurface(commentType);
+  const { table, itemTable, itemColumn, authorColumn, hasMentions } = surface;
+
+  const itemResult = await pool.query(`SELECT * FROM ${itemTable} WHERE id = $1`, [itemId]);
+  if (itemResult.rows.length === 0) return null;
+  const item = itemResult.rows[0];
+
+  const client = await pool.connect();
+  let newComment;
+  let mentionedUserIds = [];
+
+  try {
+    const parentId = await checkReplyTarget(commentType, itemId, parentCommentId, client);
+
+    await client.query('BEGIN');
+
+    if (hasMentions) {
+      mentionedUserIds = await resolveMentions(text, client);
+      const inserted = await client.query(`
+        INSERT INTO ${table} (${itemColumn}, ${authorColumn}, comment, parent_comment_id, mentions)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [itemId, author.id, text, parentId, mentionedUserIds]);
+      newComment = inserted.rows[0];
+
+      for (const mentionedUserId of mentionedUserIds) {
+        if (mentionedUserId === author.id) continue;
+
+        await client.query(`
+          INSERT INTO mention_notifications (
+            user_id, comment_type, comment_id, item_id, item_title, mentioned_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [mentionedUserId, surface.mentionType, newComment.id, itemId, item.title, author.id]);
+
+        notificationService.sendMentionNotification({
+          mentionedUserId,
+          mentionerName: author.username,
+          itemTitle: item.title,
+          itemType: surface.label,
+          itemId,
+          projectId: item.project_id,
+          commentPreview: text
+        }).catch(err => console.error('Error sending mention email:', err));
+      }
+    } else {
+      const inserted = await client.query(`
+        INSERT INTO ${table} (${itemColumn}, ${authorColumn}, comment, parent_comment_id)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [itemId, author.id, text, parentId]);
+      newComment = inserted.rows[0];
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (hasMentions) {
+    // Commenter and mentioned users start watching; other watchers hear about the comment
+    watcherService.notifyComment(commentType, parseInt(itemId), author, text, mentionedUserIds)
+      .catch(err => console.error('Error notifying watchers:', err));
+  }
+
+  const fullComment = await pool.query(`
+    SELECT c.*, c.${authorColumn} AS author_id, u.username, u.email
+    FROM ${table} c
+    LEFT JOIN users u ON u.id = c.${authorColumn}
+    WHERE c.id = $1
+  `, [newComment.id]);
+
+  return fullComment.rows[0];
+}
+
+/**
+ * Project the commented item belongs to, or null when it doesn't exist
+ */
+async function getItemProjectId(commentType, itemId) {
+  const { itemTable } = getSurface(commentType);
+  const result = await pool.query(`SELECT project_id FROM ${itemTable} WHERE id = $1`, [itemId]);
+  return result.rows[0] ? result.rows[0].project_id : null;
+}
+
+/**
+ * All comments on an item in thread order, with author, reactions, edit
+ * count and mentioned users
+ */
+async function listComments(commentType, itemId, userId) {
+  const { table, itemColumn, authorColumn, hasMentions } = getSurface(commentType);
+
+  const mentionedUsers = hasMentions
+    ? `COALESCE(
+        (SELECT json_agg(json_build_object('id', um.id, 'username', um.username))
+         FROM unnest(c.mentions) AS mention_id
+         JOIN users um ON um.id = mention_id),
+        '[]'::json
+      )`
+    : `'[]'::json`;
+
+  const result = await pool.query(`
+    SELECT
+      c.*,
+      c.${authorColumn} AS author_id,
+      u.username,
+      u.email,
+      ru.username AS resolved_by_username,
+      (SELECT COUNT(*)::int FROM comment_edits e
+       WHERE e.comment_type = $2 AND e.comment_id = c.id) AS edit_count,
+      ${mentionedUsers} AS mentioned_users
+    FROM ${table} c
+    LEFT JOIN users u ON u.id = c.${authorColumn}
+    LEFT JOIN users ru ON ru.id = c.resolved_by
+    WHERE c.${itemColumn} = $1
+    ORDER BY c.created_at ASC, c.id ASC
+  `, [itemId, commentType]);
+
+  const reactions = await loadReactions(commentType, result.rows.map(row => row.id), userId);
+  return orderThreads(result.rows).map(comment => ({
+    ...comment,
+    reactions: reactions[comment.id] || []
+  }));
+}
+
+/**
+ * A comment on the given item, with author_id and the item's project_id
+ * @returns {Object|null}
+ */
+async function getComment(commentType, itemId, commentId) {
+  const { table, itemTable, itemColumn, authorColumn } = getSurface(commentType);
+
+  const result = await pool.query(`
+    SELECT c.*, c.${authorColumn} AS author_id, i.project_id
+    FROM ${table} c
+    JOIN ${itemTable} i ON i.id = c.${itemColumn}
+    WHERE c.id = $1 AND c.${itemColumn} = $2
+  `, [commentId, itemId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check the comment a new reply answers
+ * @returns {number|null} the parent id, or null for a new thread
+ * @throws validation error when the parent isn't a comment on this item
+ */
+async function checkReplyTarget(commentType, itemId, parentCommentId, client = pool) {
+  if (parentCommentId === undefined || parentCommentId === null || parentCommentId === '') {
+    return null;
+  }
+
+  const { table, itemColumn } = getSurface(commentType);
+  const errors = ['The comment being replied to does not exist on this item'];
+  if (!/^\d+$/.test(String(parentCommentId))) {
+    throw validationError('Invalid reply', errors);
+  }
+
+  const result = await client.query(
+    `SELECT id FROM ${table} WHERE id = $1 AND ${itemColumn} = $2`,
+    [parentCommentId, itemId]
+  );
+  if (result.rows.length === 0) {
+    throw validationError('Invalid reply', errors);
+  }
+  return result.rows[0].id;
+}
+
+/**
+ * First comment of the thread a comment is in, with author_id
+ */
+async function getThreadRoot(commentType, commentId) {
+  const { table, authorColumn } = getSurface(commentType);
+
+  const result = await pool.query(`
+    WITH RECURSIVE chain AS (
+      SELECT id, parent_comment_id, 0 AS depth FROM ${table} WHERE id = $1
+      UNION ALL
+      SELECT c.id, c.parent_comment_id, chain.depth + 1
+      FROM ${table} c
+      JOIN chain ON c.id = chain.parent_comment_id
+      WHERE chain.depth < 100
+    )
+    SELECT c.*, c.${authorColumn} AS author_id
+    FROM ${table} c
+    WHERE c.id = (SELECT id FROM chain ORDER BY depth DESC LIMIT 1)
+  `, [commentId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve or reopen a thread
+ * @param {number} rootId - the thread's first comment
+ * @returns {Object} the updated first comment
+ */
+async function setThreadResolved(commentType, rootId, userId, resolved) {
+  const { table } = getSurface(commentType);
+
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET resolved_at = CASE WHEN $2 THEN NOW() ELSE NULL END,
+        resolved_by = CASE WHEN $2 THEN $3::int ELSE NULL END
+    WHERE id = $1
+    RETURNING *
+  `, [rootId, Boolean(resolved), userId]);
+
+  return result.rows[0];
+}
+
+/**
+ * Change a comment's text, keeping the old text in comment_edits
+ *
+ * @param {Object} [extra] - other columns to set with the text (e.g. { mentions })
+ * @returns {Object|null} the updated comment, null when it doesn't exist
+ */
+async function editComment(commentType, commentId, text, userId, extra = {}) {
+  const { table } = getSurface(commentType);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT comment FROM ${table} WHERE id = $1 FOR UPDATE`,
+      [commentId]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const previous = current.rows[0].comment;
+    if (previous !== text) {
+      await client.query(`
+        INSERT INTO comment_edits (comment_type, comment_id, previous_comment, edited_by)
+        VALUES ($1, $2, $3, $4)
+      `, [commentType, commentId, previous, userId]);
+    }
+
+    const columns = Object.keys(extra);
+    const result = await client.query(`
+      UPDATE ${table}
+      SET comment = $1, updated_at = NOW(), edited = TRUE
+        ${columns.map((column, i) => `, ${column} = $${i + 3}`).join('')}
+      WHERE id = $2
+      RETURNING *
+    `, [text, commentId, ...columns.map(column => extra[column])]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Earlier versions of a comment, oldest first
+ */
+async function getEditHistory(commentType, commentId) {
+  const result = await pool.query(`
+    SELECT e.id, e.previous_comment, e.edited_at, e.edited_by, u.username AS edited_by_username
+    FROM comment_edits e
+    LEFT JOIN users u ON u.id = e.edited_by
+    WHERE e.comment_type = $1 AND e.comment_id = $2
+    ORDER BY e.edited_at ASC, e.id ASC
+  `, [commentType, commentId]);
+
+  return result.rows;
+}
+
+/**
+ * Add the user's reaction, or take it away if they already reacted with it
+ * @returns {Object[]} the comment's reactions afterwards
+ */
+async function toggleReaction(commentType, commentId, userId, emoji) {
+  const errors = validateReaction(emoji);
+  if (errors.length > 0) {
+    throw validationError('Invalid reaction', errors);
+  }
+
+  const removed = await pool.query(`
+    DELETE FROM comment_reactions
+    WHERE comment_type = $1 AND comment_id = $2 AND user_id = $3 AND emoji = $4
+    RETURNING id
+  `, [commentType, commentId, userId, emoji]);
+
+  if (removed.rows.length === 0) {
+    await pool.query(`
+      INSERT INTO comment_reactions (comment_type, comment_id, user_id, emoji)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (comment_type, comment_id, user_id, emoji) DO NOTHING
+    `, [commentType, commentId, userId, emoji]);
+  }
+
+  const reactions = await loadReactions(commentType, [Number(commentId)], userId);
+  return reactions[commentId] || [];
+}
+
+module.exports = {
+  COMMENT_SURFACES,
+  REACTION_EMOJIS,
+
+  // Pure helpers
+  matchMentions,
+  validateReaction,
+  threadRootId,
+  orderThreads,
+  summarizeReactions,
+
+  // Database access
+  resolveMentions,
+  createComment,
+  getItemProjectId,
+  listComments,
+  getComment,
+  checkReplyTarget,
+  getThreadRoot,
+  setThreadResolved,
+  editComment,
+  getEditHistory,
+  toggleReaction
+};
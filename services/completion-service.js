@@ -1,5 +1,6 @@
 const { Pool } = require('@neondatabase/serverless');
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const workflowService = require('./workflow-service');
 
 // ============================================
 // Completion Action Rule Management
@@ -86,6 +87,13 @@ async function saveCompletionAction(
       throw new Error('Completion threshold must be between 0 and 100');
     }
     
+    if (projectId) {
+      const workflow = await workflowService.getProjectWorkflow(projectId);
+      if (!workflow.statuses.some(s => s.name === targetStatus)) {
+        throw new Error(`Invalid target status "${targetStatus}" for this project's workflow`);
+      }
+    }
+    
     const result = await pool.query(
       `INSERT INTO checklist_completion_actions 
         (entity_type, project_id, source_status, target_status, 
@@ -279,7 +287,18 @@ async function checkAndApplyCompletionAction(checklistId) {
       return null;
     }
     
-    // 6. Update entity status
+    // 6. Respect the project's workflow (allowed transitions and their requirements)
+    const transitionCheck = await workflowService.validateTransition(
+      entityType === 'issue' ? 'issue' : 'action-item',
+      entity,
+      action.target_status
+    );
+    if (!transitionCheck.valid) {
+      console.log(`⛔ Workflow blocks ${currentStatus} → ${action.target_status}: ${transitionCheck.message}`);
+      return null;
+    }
+    
+    // 7. Update entity status
     const updateResult = await pool.query(
       `UPDATE ${table}
        SET 
@@ -293,7 +312,7 @@ async function checkAndApplyCompletionAction(checklistId) {
     const updatedEntity = updateResult.rows[0];
     console.log(`✅ Updated ${entityType} ${entityId} status: ${currentStatus} → ${action.target_status}`);
     
-    // 7. Log status change to status_history
+    // 8. Log status change to status_history
     await pool.query(
       `INSERT INTO status_history 
         (item_type, item_id, project_id, from_status, to_status, changed_by)
@@ -301,7 +320,7 @@ async function checkAndApplyCompletionAction(checklistId) {
       [entityType, entityId, entity.project_id, currentStatus, action.target_status]
     );
     
-    // 8. TODO: Send notification if notify_assignee is true
+    // 9. TODO: Send notification if notify_assignee is true
     if (action.notify_assignee && entity.assignee) {
       console.log(`📧 Would notify assignee: ${entity.assignee}`);
       // Notification logic can be added here later
@@ -3,6 +3,7 @@ const path = require('path');
 const { Pool } = require('@neondatabase/serverless');
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const fs = require('fs');
+const customFieldsService = require('./custom-fields-service');
 
 class CSVExportService {
   
@@ -22,6 +23,34 @@ class CSVExportService {
     fs.writeFileSync(filepath, enhancedContent, 'utf8');
   }
   
+  // One column per custom field, after the built-in columns
+  customFieldHeaders(definitions) {
+    return definitions.map(d => ({ id: `cf_${d.key}`, title: d.name }));
+  }
+  
+  flattenCustomFields(rows, definitions) {
+    return rows.map(row => {
+      const flattened = { ...row };
+      definitions.forEach(d => {
+        flattened[`cf_${d.key}`] = customFieldsService.formatFieldValue(d, (row.custom_fields || {})[d.key]);
+      });
+      return flattened;
+    });
+  }
+  
+  // Dependencies and tags as "; "-separated lists so importService can read them back
+  dependsOnColumn(table, column, alias) {
+    return `(SELECT string_agg(
+        CASE WHEN d.prerequisite_item_type = 'issue' THEN 'Issue #' ELSE 'Action Item #' END || d.prerequisite_item_id,
+        '; ' ORDER BY d.prerequisite_item_id)
+      FROM ${table} d WHERE d.${column} = ${alias}.id) as depends_on`;
+  }
+  
+  tagsColumn(table, column, alias) {
+    return `(SELECT string_agg(t.name, '; ' ORDER BY t.name)
+      FROM ${table} x JOIN tags t ON t.id = x.tag_id WHERE x.${column} = ${alias}.id) as tags`;
+  }
+  
   async exportIssues(projectId) {
     const result = await pool.query(`
       SELECT 
@@ -29,6 +58,7 @@ class CSVExportService {
         i.title, 
         i.description, 
         i.status, 
+        status_category(i.project_id, i.status) as status_category,
         i.priority,
         i.category, 
         i.phase, 
@@ -37,12 +67,17 @@ class CSVExportService {
         i.due_date, 
         i.created_at, 
         i.updated_at,
+        i.custom_fields,
+        i.parent_issue_id,
+        ${this.dependsOnColumn('issue_dependencies', 'issue_id', 'i')},
+        ${this.tagsColumn('issue_tags', 'issue_id', 'i')},
         u.username as created_by_username
       FROM issues i
       LEFT JOIN users u ON i.created_by::integer = u.id
       WHERE i.project_id = $1
       ORDER BY i.created_at DESC
     `, [projectId]);
+    const customFields = await customFieldsService.getFieldDefinitions(projectId, { itemType: 'issue' });
     
     const filename = `issues-export-${projectId}-${Date.now()}.csv`;
     const filepath = path.join('/tmp', filename);
@@ -54,6 +89,7 @@ class CSVExportService {
         { id: 'title', title: 'Title' },
         { id: 'description', title: 'Description' },
         { id: 'status', title: 'Status' },
+        { id: 'status_category', title: 'Status Category' },
         { id: 'priority', title: 'Priority' },
         { id: 'category', title: 'Category' },
         { id: 'phase', title: 'Phase' },
@@ -62,11 +98,15 @@ class CSVExportService {
         { id: 'due_date', title: 'Due Date' },
         { id: 'created_by_username', title: 'Created By' },
         { id: 'created_at', title: 'Created At' },
-        { id: 'updated_at', title: 'Updated At' }
+        { id: 'updated_at', title: 'Updated At' },
+        { id: 'parent_issue_id', title: 'Parent ID' },
+        { id: 'depends_on', title: 'Depends On' },
+        { id: 'tags', title: 'Tags' },
+        ...this.customFieldHeaders(customFields)
       ]
     });
     
-    await csvWriter.writeRecords(result.rows);
+    await csvWriter.writeRecords(this.flattenCustomFields(result.rows, customFields));
     this.addMetadataHeader(filepath, 'Issues Export', projectId, result.rows.length);
     
     return { filename, filepath };
@@ -79,17 +119,22 @@ class CSVExportService {
         ai.title, 
         ai.description, 
         ai.status, 
+        status_category(ai.project_id, ai.status) as status_category,
         ai.priority,
         ai.assignee,
         ai.due_date, 
         ai.created_at, 
         ai.updated_at,
+        ai.custom_fields,
+        ${this.dependsOnColumn('action_item_dependencies', 'action_item_id', 'ai')},
+        ${this.tagsColumn('action_item_tags', 'action_item_id', 'ai')},
         u.username as created_by_username
       FROM action_items ai
       LEFT JOIN users u ON ai.created_by::integer = u.id
       WHERE ai.project_id = $1
       ORDER BY ai.created_at DESC
     `, [projectId]);
+    const customFields = await customFieldsService.getFieldDefinitions(projectId, { itemType: 'action-item' });
     
     const filename = `actions-export-${projectId}-${Date.now()}.csv`;
     const filepath = path.join('/tmp', filename);
@@ -101,21 +146,27 @@ class CSVExportService {
         { id: 'title', title: 'Title' },
         { id: 'description', title: 'Description' },
         { id: 'status', title: 'Status' },
+        { id: 'status_category', title: 'Status Category' },
         { id: 'priority', title: 'Priority' },
         { id: 'assignee', title: 'Assigned To' },
         { id: 'due_date', title: 'Due Date' },
         { id: 'created_by_username', title: 'Created By' },
         { id: 'created_at', title: 'Created At' },
-        { id: 'updated_at', title: 'Updated At' }
+        { id: 'updated_at', title: 'Updated At' },
+        { id: 'depends_on', title: 'Depends On' },
+        { id: 'tags', title: 'Tags' },
+        ...this.customFieldHeaders(customFields)
       ]
     });
     
-    await csvWriter.writeRecords(result.rows);
+    await csvWriter.writeRecords(this.flattenCustomFields(result.rows, customFields));
     this.addMetadataHeader(filepath, 'Action Items Export', projectId, result.rows.length);
     
     return { filename, filepath };
   }
 
+  // Flat CSVs for spreadsheets; for backup or moving a project to another
+  // instance use project-bundle-service, which can be imported again
   async exportFullProject(projectId) {
     const issuesQuery = await pool.query(`
       SELECT 
@@ -124,6 +175,7 @@ class CSVExportService {
         i.title,
         i.description,
         i.status,
+        status_category(i.project_id, i.status) as status_category,
         i.priority,
         i.category,
         i.phase,
@@ -132,6 +184,10 @@ class CSVExportService {
         i.due_date,
         i.created_at,
         i.updated_at,
+        i.custom_fields,
+        i.parent_issue_id,
+        ${this.dependsOnColumn('issue_dependencies', 'issue_id', 'i')},
+        ${this.tagsColumn('issue_tags', 'issue_id', 'i')},
         u.username as created_by_username
       FROM issues i
       LEFT JOIN users u ON i.created_by::integer = u.id
@@ -145,6 +201,7 @@ class CSVExportService {
         ai.title,
         ai.description,
         ai.status,
+        status_category(ai.project_id, ai.status) as status_category,
         ai.priority,
         '' as category,
         '' as phase,
@@ -153,6 +210,9 @@ class CSVExportService {
         ai.due_date,
         ai.created_at,
         ai.updated_at,
+        ai.custom_fields,
+        ${this.dependsOnColumn('action_item_dependencies', 'action_item_id', 'ai')},
+        ${this.tagsColumn('action_item_tags', 'action_item_id', 'ai')},
         u.username as created_by_username
       FROM action_items ai
       LEFT JOIN users u ON ai.created_by::integer = u.id
@@ -163,6 +223,7 @@ class CSVExportService {
       ...issuesQuery.rows,
       ...actionItemsQuery.rows
     ].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    const customFields = await customFieldsService.getFieldDefinitions(projectId);
     
     const filename = `full-export-${projectId}-${Date.now()}.csv`;
     const filepath = path.join('/tmp', filename);
@@ -175,6 +236,7 @@ class CSVExportService {
         { id: 'title', title: 'Title' },
         { id: 'description', title: 'Description' },
         { id: 'status', title: 'Status' },
+        { id: 'status_category', title: 'Status Category' },
         { id: 'priority', title: 'Priority' },
         { id: 'category', title: 'Category' },
         { id: 'phase', title: 'Phase' },
@@ -183,11 +245,15 @@ class CSVExportService {
         { id: 'due_date', title: 'Due Date' },
         { id: 'created_by_username', title: 'Created By' },
         { id: 'created_at', title: 'Created At' },
-        { id: 'updated_at', title: 'Updated At' }
+        { id: 'updated_at', title: 'Updated At' },
+        { id: 'parent_issue_id', title: 'Parent ID' },
+        { id: 'depends_on', title: 'Depends On' },
+        { id: 'tags', title: 'Tags' },
+        ...this.customFieldHeaders(customFields)
       ]
     });
     
-    await csvWriter.writeRecords(combinedData);
+    await csvWriter.writeRecords(this.flattenCustomFields(combinedData, customFields));
     this.addMetadataHeader(filepath, 'Full Project Export', projectId, combinedData.length);
     
     return { filename, filepath };
@@ -0,0 +1,527 @@
+/**
+ * Custom Fields Service
+ *
+ * Project-defined typed fields on issues and action items. Definitions live in
+ * custom_field_definitions; item values are stored in the custom_fields JSONB
+ * column keyed by field_key. Values are normalized and validated here before
+ * they are written, so everything reading custom_fields can trust the shape:
+ *   text -> string, number -> number, date -> 'YYYY-MM-DD',
+ *   select -> option string, multi_select -> array of option strings,
+ *   user -> username
+ */
+
+const { pool } = require('../db');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'user'];
+const APPLIES_TO = ['issue', 'action-item', 'both'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function toFieldKey(name) {
+  const key = (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '')
+    .slice(0, 50);
+  return key || null;
+}
+
+function fieldAppliesTo(definition, itemType) {
+  return definition.appliesTo === 'both' || definition.appliesTo === itemType;
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' ||
+         (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Validate a field definition before saving.
+ * @returns {string[]} list of errors (empty when valid)
+ */
+function validateFieldDefinition(definition) {
+  const errors = [];
+  const name = (definition.name || '').trim();
+
+  if (!name) {
+    errors.push('Field name is required');
+  } else if (name.length > 100) {
+    errors.push('Field name must be 100 characters or fewer');
+  }
+
+  if (!FIELD_KEY_PATTERN.test(definition.key || '')) {
+    errors.push('Field key must start with a letter and contain only lowercase letters, numbers and underscores');
+  }
+
+  if (!FIELD_TYPES.includes(definition.type)) {
+    errors.push(`Field type must be one of ${FIELD_TYPES.join(', ')}`);
+  }
+
+  if (!APPLIES_TO.includes(definition.appliesTo)) {
+    errors.push(`Field must apply to one of ${APPLIES_TO.join(', ')}`);
+  }
+
+  const options = definition.options || [];
+  if (definition.type === 'select' || definition.type === 'multi_select') {
+    if (!Array.isArray(options) || options.length === 0) {
+      errors.push(`"${name}" needs at least one option`);
+    } else if (new Set(options).size !== options.length) {
+      errors.push(`"${name}" has duplicate options`);
+    }
+  }
+
+  const validation = definition.validation || {};
+  if (validation.pattern) {
+    try {
+      new RegExp(validation.pattern);
+    } catch (e) {
+      errors.push(`"${name}" has an invalid pattern`);
+    }
+  }
+  if (validation.min !== undefined && validation.max !== undefined &&
+      validation.min !== null && validation.max !== null && validation.min > validation.max) {
+    errors.push(`"${name}" minimum is greater than its maximum`);
+  }
+
+  if (errors.length === 0 && !isEmptyValue(definition.defaultValue)) {
+    const { error } = normalizeFieldValue(definition, definition.defaultValue);
+    if (error) {
+      errors.push(`Default value: ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a raw value for a field and check it against the field's validation.
+ *
+ * @param {Object} definition
+ * @param {*} raw - value as sent by the client
+ * @param {Object} options - { users: [username] } restricts user fields to project members
+ * @returns {Object} { value, error }
+ */
+function normalizeFieldValue(definition, raw, { users = null } = {}) {
+  if (isEmptyValue(raw)) {
+    return { value: null };
+  }
+
+  const name = definition.name;
+  const validation = definition.validation || {};
+
+  switch (definition.type) {
+    case 'text': {
+      const value = String(raw).trim();
+      if (validation.maxLength && value.length > validation.maxLength) {
+        return { error: `${name} must be ${validation.maxLength} characters or fewer` };
+      }
+      if (validation.pattern && !new RegExp(validation.pattern).test(value)) {
+        return { error: `${name} does not match the expected format` };
+      }
+      return { value };
+    }
+
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : parseFloat(String(raw).trim());
+      if (!Number.isFinite(value) || (typeof raw === 'string' && !/^-?\d*\.?\d+$/.test(raw.trim()))) {
+        return { error: `${name} must be a number` };
+      }
+      if (validation.min !== undefined && validation.min !== null && value < validation.min) {
+        return { error: `${name} must be at least ${validation.min}` };
+      }
+      if (validation.max !== undefined && validation.max !== null && value > validation.max) {
+        return { error: `${name} must be at most ${validation.max}` };
+      }
+      return { value };
+    }
+
+    case 'date': {
+      const match = String(raw).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+      if (!date || date.getUTCMonth() !== +match[2] - 1) {
+        return { error: `${name} must be a date (YYYY-MM-DD)` };
+      }
+      const value = `${match[1]}-${match[2]}-${match[3]}`;
+      if (validation.min && value < validation.min) {
+        return { error: `${name} must be on or after ${validation.min}` };
+      }
+      if (validation.max && value > validation.max) {
+        return { error: `${name} must be on or before ${validation.max}` };
+      }
+      return { value };
+    }
+
+    case 'select': {
+      const value = String(raw);
+      if (!(definition.options || []).includes(value)) {
+        return { error: `"${value}" is not an option for ${name}` };
+      }
+      return { value };
+    }
+
+    case 'multi_select': {
+      const list = Array.isArray(raw) ? raw : String(raw).split(/[;,]/);
+      const value = [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+      const invalid = value.filter(v => !(definition.options || []).includes(v));
+      if (invalid.length > 0) {
+        return { error: `${invalid.map(v => `"${v}"`).join(', ')} ${invalid.length === 1 ? 'is not an option' : 'are not options'} for ${name}` };
+      }
+      return { value: value.length > 0 ? value : null };
+    }
+
+    case 'user': {
+      const value = String(raw).trim();
+      if (users) {
+        const member = users.find(u => u.toLowerCase() === value.toLowerCase());
+        if (!member) {
+          return { error: `${value} is not a member of this project (${name})` };
+        }
+        return { value: member };
+      }
+      return { value };
+    }
+
+    default:
+      return { error: `${name} has an unknown type` };
+  }
+}
+
+/**
+ * Merge incoming custom field values into an item's values.
+ *
+ * On create (existing === null) defaults are applied and every required field
+ * must end up with a value. On update only the fields being sent are checked,
+ * so adding a required field later does not block unrelated edits.
+ *
+ * @param {Object[]} definitions - active definitions that apply to the item type
+ * @param {Object} input - { [fieldKey]: rawValue }
+ * @param {Object} options - { existing, users }
+ * @returns {Object} { values, errors }
+ */
+function resolveCustomFieldValues(definitions, input = {}, { existing = null, users = null } = {}) {
+  const errors = [];
+  const values = { ...(existing || {}) };
+  const byKey = new Map(definitions.map(d => [d.key, d]));
+
+  Object.keys(input || {}).forEach(key => {
+    if (!byKey.has(key)) {
+      errors.push(`Unknown custom field "${key}"`);
+    }
+  });
+
+  definitions.forEach(definition => {
+    const provided = input && Object.prototype.hasOwnProperty.call(input, definition.key);
+
+    if (provided) {
+      const { value, error } = normalizeFieldValue(definition, input[definition.key], { users });
+      if (error) {
+        errors.push(error);
+        return;
+      }
+      if (value === null) {
+        delete values[definition.key];
+      } else {
+        values[definition.key] = value;
+      }
+    } else if (existing === null && !isEmptyValue(definition.defaultValue)) {
+      values[definition.key] = definition.defaultValue;
+    }
+
+    if (definition.required && (existing === null || provided) && isEmptyValue(values[definition.key])) {
+      errors.push(`${definition.name} is required`);
+    }
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Flat string for exports (multi-select values are joined with "; ").
+ */
+function formatFieldValue(definition, value) {
+  if (isEmptyValue(value)) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  return String(value);
+}
+
+/**
+ * Build a WHERE condition for a customField=key:value filter.
+ * A value of "*" matches any item where the field is set.
+ *
+ * @param {string} alias - table alias (e.g. 'i')
+ * @param {string} filter - 'key:value'
+ * @param {Array} params - query params, appended in place
+ * @returns {string|null} SQL condition, or null when the filter is malformed
+ */
+function buildCustomFieldCondition(alias, filter, params) {
+  const separator = (filter || '').indexOf(':');
+  if (separator <= 0) return null;
+
+  const key = filter.slice(0, separator);
+  const value = filter.slice(separator + 1);
+  if (!FIELD_KEY_PATTERN.test(key) || value === '') return null;
+
+  params.push(key);
+  const keyParam = `$${params.length}`;
+
+  if (value === '*') {
+    return `(${alias}.custom_fields ? ${keyParam} AND ${alias}.custom_fields->>${keyParam} <> '')`;
+  }
+
+  params.push(value);
+  const valueParam = `$${params.length}`;
+  return `(${alias}.custom_fields->>${keyParam} = ${valueParam} OR ` +
+         `(jsonb_typeof(${alias}.custom_fields->${keyParam}) = 'array' AND ${alias}.custom_fields->${keyParam} @> jsonb_build_array(${valueParam}::text)))`;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+function mapDefinition(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    key: row.field_key,
+    name: row.name,
+    type: row.field_type,
+    appliesTo: row.applies_to,
+    options: row.options || [],
+    required: row.is_required,
+    defaultValue: row.default_value,
+    validation: row.validation || {},
+    position: row.position,
+    showInTable: row.show_in_table
+  };
+}
+
+function normalizeDefinitionInput(data, existing = {}) {
+  const merged = { ...existing, ...data };
+  return {
+    key: merged.key || toFieldKey(merged.name),
+    name: (merged.name || '').trim(),
+    type: merged.type,
+    appliesTo: merged.appliesTo || 'both',
+    options: (merged.options || []).map(o => String(o).trim()).filter(Boolean),
+    required: Boolean(merged.required),
+    defaultValue: isEmptyValue(merged.defaultValue) ? null : merged.defaultValue,
+    validation: merged.validation || {},
+    showInTable: merged.showInTable !== false
+  };
+}
+
+function invalidDefinitionError(errors) {
+  const error = new Error(`Invalid custom field: ${errors.join('; ')}`);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Active field definitions for a project, optionally limited to one item type.
+ */
+async function getFieldDefinitions(projectId, { itemType = null } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM custom_field_definitions
+     WHERE project_id = $1 AND is_active = TRUE
+     ORDER BY position ASC, id ASC`,
+    [projectId]
+  );
+  const definitions = result.rows.map(mapDefinition);
+  return itemType ? definitions.filter(d => fieldAppliesTo(d, itemType)) : definitions;
+}
+
+async function createFieldDefinition(projectId, data, userId) {
+  const definition = normalizeDefinitionInput(data);
+  const errors = validateFieldDefinition(definition);
+  if (errors.length > 0) {
+    throw invalidDefinitionError(errors);
+  }
+  if (definition.defaultValue !== null) {
+    definition.defaultValue = normalizeFieldValue(definition, definition.defaultValue).value;
+  }
+
+  const existing = await pool.query(
+    'SELECT 1 FROM custom_field_definitions WHERE project_id = $1 AND field_key = $2',
+    [projectId, definition.key]
+  );
+  if (existing.rows.length > 0) {
+    throw invalidDefinitionError([`A field with key "${definition.key}" already exists`]);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO custom_field_definitions (
+       project_id, field_key, name, field_type, applies_to, options,
+       is_required, default_value, validation, position, show_in_table, created_by
+     ) VALUES (
+       $1, $2, $3, $4, $5, $6, $7, $8, $9,
+       (SELECT COALESCE(MAX(position) + 1, 0) FROM custom_field_definitions WHERE project_id = $1),
+       $10, $11
+     ) RETURNING *`,
+    [
+      projectId,
+      definition.key,
+      definition.name,
+      definition.type,
+      definition.appliesTo,
+      JSON.stringify(definition.options),
+      definition.required,
+      definition.defaultValue === null ? null : JSON.stringify(definition.defaultValue),
+      JSON.stringify(definition.validation),
+      definition.showInTable,
+      userId
+    ]
+  );
+
+  return mapDefinition(result.rows[0]);
+}
+
+/**
+ * Update a field. The key and type are fixed once created so stored values
+ * keep their meaning; everything else (name, options, validation...) can change.
+ */
+async function updateFieldDefinition(projectId, fieldId, data) {
+  const current = await pool.query(
+    'SELECT * FROM custom_field_definitions WHERE id = $1 AND project_id = $2',
+    [fieldId, projectId]
+  );
+  if (current.rows.length === 0) {
+    return null;
+  }
+
+  const existing = mapDefinition(current.rows[0]);
+  if ((data.key && data.key !== existing.key) || (data.type && data.type !== existing.type)) {
+    throw invalidDefinitionError(['The key and type of a field cannot be changed']);
+  }
+
+  const definition = normalizeDefinitionInput({ ...data, key: existing.key, type: existing.type }, existing);
+  const errors = validateFieldDefinition(definition);
+  if (errors.length > 0) {
+    throw invalidDefinitionError(errors);
+  }
+  if (definition.defaultValue !== null) {
+    definition.defaultValue = normalizeFieldValue(definition, definition.defaultValue).value;
+  }
+
+  const result = await pool.query(
+    `UPDATE custom_field_definitions
+     SET name = $1, applies_to = $2, options = $3, is_required = $4,
+         default_value = $5, validation = $6, show_in_table = $7,
+         position = COALESCE($8, position), updated_at = NOW()
+     WHERE id = $9 AND project_id = $10
+     RETURNING *`,
+    [
+      definition.name,
+      definition.appliesTo,
+      JSON.stringify(definition.options),
+      definition.required,
+      definition.defaultValue === null ? null : JSON.stringify(definition.defaultValue),
+      JSON.stringify(definition.validation),
+      definition.showInTable,
+      data.position !== undefined ? parseInt(data.position) : null,
+      fieldId,
+      projectId
+    ]
+  );
+
+  return mapDefinition(result.rows[0]);
+}
+
+/**
+ * Delete a field and strip its values from the project's items.
+ */
+async function deleteFieldDefinition(projectId, fieldId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM custom_field_definitions WHERE id = $1 AND project_id = $2 RETURNING field_key',
+      [fieldId, projectId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const key = result.rows[0].field_key;
+    await client.query(
+      'UPDATE issues SET custom_fields = custom_fields - $1 WHERE project_id = $2 AND custom_fields ? $1',
+      [key, projectId]
+    );
+    await client.query(
+      'UPDATE action_items SET custom_fields = custom_fields - $1 WHERE project_id = $2 AND custom_fields ? $1',
+      [key, projectId]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getProjectUsernames(projectId) {
+  const result = await pool.query(
+    `SELECT DISTINCT u.username
+     FROM project_members pm
+     JOIN users u ON pm.user_id = u.id
+     WHERE pm.project_id = $1 AND pm.status = 'active'`,
+    [projectId]
+  );
+  return result.rows.map(r => r.username);
+}
+
+/**
+ * Validate and merge custom field values for an item being created or updated.
+ *
+ * @param {number} projectId
+ * @param {string} itemType - 'issue' | 'action-item'
+ * @param {Object} input - { [fieldKey]: rawValue }
+ * @param {Object|null} existing - the item's current custom_fields (null on create)
+ * @returns {Promise<Object>} merged values ready to store
+ * @throws {Error} with validationErrors when a value is invalid
+ */
+async function prepareItemCustomFields(projectId, itemType, input, existing = null) {
+  const definitions = await getFieldDefinitions(projectId, { itemType });
+  if (definitions.length === 0 && (!input || Object.keys(input).length === 0)) {
+    return existing || {};
+  }
+
+  const needsUsers = definitions.some(d => d.type === 'user' && input && input[d.key] !== undefined);
+  const users = needsUsers ? await getProjectUsernames(projectId) : null;
+
+  const { values, errors } = resolveCustomFieldValues(definitions, input || {}, { existing, users });
+  if (errors.length > 0) {
+    const error = new Error(`Invalid custom fields: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  return values;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  APPLIES_TO,
+
+  // Pure helpers
+  toFieldKey,
+  fieldAppliesTo,
+  validateFieldDefinition,
+  normalizeFieldValue,
+  resolveCustomFieldValues,
+  formatFieldValue,
+  buildCustomFieldCondition,
+
+  // Database access
+  getFieldDefinitions,
+  createFieldDefinition,
+  updateFieldDefinition,
+  deleteFieldDefinition,
+  prepareItemCustomFields
+};
@@ -0,0 +1,645 @@
+/**
+ * Decision Record Service
+ *
+ * Supersession lineage for decisions and the decision log as Architecture
+ * Decision Records (ADRs).
+ *
+ * Lineage follows decisions.superseded_by: back through every decision a
+ * decision replaced to the original one(s), and forward to the decision that
+ * currently stands.
+ *
+ * Export writes one Markdown ADR per decision (status, context, rationale,
+ * consequences, alternatives) plus a README index, zipped. Import reads the
+ * same layout and the common ADR formats teams keep in git (Nygard, MADR with
+ * or without front matter), from a single .md file or a zip of them.
+ * Decisions are created with fresh decision ids; "Superseded by" / "Supersedes"
+ * links between the imported files become superseded_by. Files whose title
+ * matches an existing decision in the project are skipped, so re-importing
+ * the same folder is safe.
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { pool } = require('../db');
+const { nextDecisionKey } = require('./trash-service');
+
+const DECISION_TYPES = ['architectural', 'business', 'technical', 'operational'];
+const IMPACT_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// ADR status words and the decision status they import as
+const ADR_STATUS_MAP = {
+  proposed: 'proposed',
+  draft: 'proposed',
+  accepted: 'approved',
+  approved: 'approved',
+  rejected: 'rejected',
+  deprecated: 'superseded',
+  superseded: 'superseded',
+  implemented: 'implemented'
+};
+
+// Section headings (lowercased) and the decision field they fill
+const ADR_SECTIONS = {
+  'status': 'status',
+  'context': 'description',
+  'context and problem statement': 'description',
+  'decision': 'rationale',
+  'decision outcome': 'rationale',
+  'rationale': 'rationale',
+  'consequences': 'consequences',
+  'alternatives': 'alternatives',
+  'alternatives considered': 'alternatives',
+  'considered options': 'alternatives',
+  'options considered': 'alternatives',
+  'pros and cons of the options': 'alternatives'
+};
+
+const IGNORED_IMPORT_FILES = ['readme.md', 'index.md', 'template.md', 'adr-template.md'];
+const MAX_IMPORT_FILES = 500;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+function slugify(text, fallback = 'decision') {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '') || fallback;
+}
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+function toLineageItem(decision) {
+  return {
+    id: decision.id,
+    decisionId: decision.decision_id,
+    title: decision.title,
+    status: decision.status,
+    decidedDate: toDateString(decision.decided_date),
+    supersededBy: decision.superseded_by || null
+  };
+}
+
+/**
+ * Walk a decision's supersession chain.
+ *
+ * @param {Array} decisions - project decisions { id, decision_id, title, status, decided_date, superseded_by }
+ * @param {number} decisionId
+ * @returns {Object|null} { chain, original, current } where chain runs from the
+ *   earliest predecessor to the current replacement and each entry has
+ *   `position` (negative before the decision, 0 for it, positive after).
+ *   Several decisions can be superseded by one, so `original` lists every
+ *   decision at the start of the chain.
+ */
+function buildLineage(decisions, decisionId) {
+  const byId = new Map(decisions.map(d => [d.id, d]));
+  const start = byId.get(decisionId);
+  if (!start) return null;
+
+  const replaced = new Map();
+  for (const d of decisions) {
+    if (!d.superseded_by) continue;
+    if (!replaced.has(d.superseded_by)) replaced.set(d.superseded_by, []);
+    replaced.get(d.superseded_by).push(d);
+  }
+
+  const seen = new Set([start.id]);
+  const before = [];
+  let frontier = [start];
+  for (let position = -1; frontier.length > 0; position--) {
+    const next = [];
+    for (const d of frontier) {
+      for (const predecessor of replaced.get(d.id) || []) {
+        if (seen.has(predecessor.id)) continue;
+        seen.add(predecessor.id);
+        before.push({ ...toLineageItem(predecessor), position });
+        next.push(predecessor);
+      }
+    }
+    frontier = next;
+  }
+
+  const after = [];
+  let cursor = start;
+  for (let position = 1; cursor.superseded_by && byId.has(cursor.superseded_by); position++) {
+    cursor = byId.get(cursor.superseded_by);
+    if (seen.has(cursor.id)) break;
+    seen.add(cursor.id);
+    after.push({ ...toLineageItem(cursor), position });
+  }
+
+  before.sort((a, b) => a.position - b.position || String(a.decidedDate).localeCompare(String(b.decidedDate)) || a.id - b.id);
+  const chain = [...before, { ...toLineageItem(start), position: 0 }, ...after];
+  const earliest = chain[0].position;
+
+  return {
+    chain,
+    original: chain.filter(item => item.position === earliest),
+    current: chain[chain.length - 1]
+  };
+}
+
+/**
+ * Every supersession in a project as a graph: the decisions involved and
+ * an edge from each superseded decision to its replacement
+ */
+function buildSupersessionGraph(decisions) {
+  const byId = new Map(decisions.map(d => [d.id, d]));
+  const edges = decisions
+    .filter(d => d.superseded_by && byId.has(d.superseded_by))
+    .map(d => ({ from: d.id, to: d.superseded_by }));
+
+  const involved = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+  const nodes = decisions
+    .filter(d => involved.has(d.id))
+    .map(d => ({ ...toLineageItem(d), current: !d.superseded_by }));
+
+  return { nodes, edges };
+}
+
+function adrFileName(decision) {
+  return `${decision.decision_id}-${slugify(decision.title)}.md`;
+}
+
+function formatAlternative(alternative, index) {
+  if (typeof alternative === 'string') return `### ${alternative}\n`;
+
+  const { title, name, option, approach, description, summary, pros, cons, ...rest } = alternative || {};
+  const lines = [`### ${title || name || option || approach || `Option ${index + 1}`}`, ''];
+  if (description || summary) lines.push(description || summary, '');
+
+  const details = Object.entries(rest).filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object');
+  if (details.length > 0) {
+    details.forEach(([key, value]) => lines.push(`- ${capitalize(key.replace(/_/g, ' '))}: ${value}`));
+    lines.push('');
+  }
+
+  for (const [label, list] of [['Pros', pros], ['Cons', cons]]) {
+    const items = Array.isArray(list) ? list : list ? [list] : [];
+    if (items.length === 0) continue;
+    lines.push(`${label}:`, ...items.map(item => `- ${item}`), '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * One decision as a Markdown ADR
+ *
+ * @param {Object} decision - decisions row, plus decided_by_name when known
+ * @param {Object} [links] - { supersededBy, supersedes: [] } decisions rows
+ */
+function toAdrMarkdown(decision, { supersededBy = null, supersedes = [] } = {}) {
+  const link = d => `[${d.decision_id}: ${d.title}](${adrFileName(d)})`;
+  const statusLines = [capitalize(decision.status || 'proposed')];
+  if (supersededBy) statusLines.push(`Superseded by ${link(supersededBy)}`);
+  supersedes.forEach(d => statusLines.push(`Supersedes ${link(d)}`));
+
+  const meta = [
+    ['Date', toDateString(decision.decided_date)],
+    ['Deciders', decision.decided_by_name],
+    ['Type', decision.decision_type],
+    ['Impact', decision.impact_level]
+  ].filter(([, value]) => value);
+
+  const alternatives = Array.isArray(decision.alternatives_considered) ? decision.alternatives_considered : [];
+
+  const sections = [
+    `# ${decision.decision_id}: ${decision.title}`,
+    meta.map(([label, value]) => `- ${label}: ${value}`).join('\n'),
+    `## Status\n\n${statusLines.join('\n\n')}`,
+    `## Context\n\n${decision.description || '_Not recorded._'}`,
+    `## Rationale\n\n${decision.rationale || '_Not recorded._'}`,
+    `## Consequences\n\n${decision.consequences || '_Not recorded._'}`,
+    `## Alternatives Considered\n\n${alternatives.length > 0 ? alternatives.map(formatAlternative).join('\n').trim() : '_None recorded._'}`
+  ].filter(Boolean);
+
+  return sections.join('\n\n') + '\n';
+}
+
+function toAdrIndex(projectName, decisions) {
+  const rows = decisions.map(d =>
+    `| [${d.decision_id}](${adrFileName(d)}) | ${String(d.title).replace(/\|/g, '\\|')} | ${capitalize(d.status || 'proposed')} | ${toDateString(d.decided_date) || ''} |`
+  );
+  return [
+    `# Architecture Decision Records: ${projectName}`,
+    '',
+    '| ADR | Title | Status | Date |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    ''
+  ].join('\n');
+}
+
+const isPlaceholder = text => /^_(not recorded|none recorded)\._$/i.test(text.trim());
+
+function mapAdrStatus(text) {
+  const word = String(text || '').trim().toLowerCase().match(/^[a-z]+/);
+  return (word && ADR_STATUS_MAP[word[0]]) || null;
+}
+
+// "[DEC-00004: Title](DEC-00004-title.md)" or "ADR 4" -> a lookup key
+function referenceKey(text) {
+  const linked = /\[([^\]]*)\]\(([^)]+)\)/.exec(text);
+  if (linked) return path.basename(linked[2], '.md').toLowerCase();
+  return String(text).replace(/[.\s]+$/, '').trim().toLowerCase();
+}
+
+function parseAlternatives(text) {
+  const alternatives = [];
+  const blocks = text.split(/^###\s+/m);
+  const intro = blocks.shift();
+
+  if (blocks.length === 0) {
+    return intro.split('\n')
+      .map(line => /^\s*(?:[-*]|\d+\.)\s+(.*)$/.exec(line))
+      .filter(Boolean)
+      .map(match => ({ title: match[1].replace(/\*\*/g, '').trim() }));
+  }
+
+  for (const block of blocks) {
+    const [heading, ...lines] = block.split('\n');
+    const alternative = { title: heading.trim() };
+    const description = [];
+    let list = null;
+
+    for (const line of lines) {
+      const label = /^\s*\**\s*(pros|good|cons|bad)\b[^:]*:?\**\s*$/i.exec(line);
+      if (label) {
+        list = /^(pros|good)$/i.test(label[1]) ? 'pros' : 'cons';
+        alternative[list] = alternative[list] || [];
+        continue;
+      }
+
+      const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+      const prosCons = bullet && /^(good|bad),?\s+because\s+(.*)$/i.exec(bullet[1]);
+      if (prosCons) {
+        const key = prosCons[1].toLowerCase() === 'good' ? 'pros' : 'cons';
+        alternative[key] = [...(alternative[key] || []), prosCons[2]];
+      } else if (bullet && list) {
+        alternative[list].push(bullet[1].trim());
+      } else if (line.trim()) {
+        list = null;
+        description.push(line.trim());
+      }
+    }
+
+    if (description.length > 0) alternative.description = description.join('\n');
+    alternatives.push(alternative);
+  }
+
+  return alternatives;
+}
+
+/**
+ * Read one Markdown ADR
+ *
+ * @param {string} markdown
+ * @param {string} fileName
+ * @returns {Object} { fileName, keys, title, status, description, rationale,
+ *   consequences, alternatives, decidedDate, deciders, decisionType,
+ *   impactLevel, supersededByRef, supersedesRefs }
+ * @throws when the file has no title
+ */
+function parseAdr(markdown, fileName) {
+  let text = String(markdown).replace(/\r\n/g, '\n');
+  const meta = {};
+
+  // MADR front matter: simple "key: value" lines only
+  const frontMatter = /^---\n([\s\S]*?)\n---\n/.exec(text);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const match = /^([A-Za-z-]+):\s*(.*)$/.exec(line);
+      if (match) meta[match[1].toLowerCase()] = match[2].replace(/^["']|["']$/g, '').trim();
+    });
+    text = text.slice(frontMatter[0].length);
+  }
+
+  const heading = /^#\s+(.+)$/m.exec(text);
+  if (!heading) throw validationError(`${fileName} has no "# Title" heading`, [`${fileName}: missing title`]);
+
+  const keys = [path.basename(fileName, '.md').toLowerCase()];
+  const fileNumber = /^(\d+)/.exec(path.basename(fileName));
+  if (fileNumber) keys.push(String(parseInt(fileNumber[1])));
+
+  let title = heading[1].trim();
+  // "DEC-00001: Title", "ADR-0005 Title", "1. Title", "0007 - Title"
+  const prefix = /^((?:ADR|DEC)[-\s]?\d+)[.:)\s-]+(.+)$/i.exec(title) || /^(\d+)(?:[.:)]|\s+-)\s*(.+)$/.exec(title);
+  if (prefix) {
+    keys.push(prefix[1].toLowerCase());
+    const number = /\d+/.exec(prefix[1]);
+    if (number) keys.push(String(parseInt(number[0])));
+    title = prefix[2].trim();
+  }
+
+  // "- Status: Accepted" style lines between the title and the first section
+  const preamble = text.slice(heading.index + heading[0].length).split(/^##\s+/m)[0];
+  preamble.split('\n').forEach(line => {
+    const match = /^\s*[-*]?\s*\**([A-Za-z ]+?)\**:\s*(.+)$/.exec(line);
+    if (match) meta[match[1].trim().toLowerCase()] = match[2].trim();
+  });
+
+  const fields = {};
+  for (const section of text.split(/^##\s+/m).slice(1)) {
+    const [name, ...body] = section.split('\n');
+    const field = ADR_SECTIONS[name.trim().toLowerCase().replace(/[:#]+$/, '')];
+    const content = body.join('\n').trim();
+    if (!field || !content || isPlaceholder(content)) continue;
+    fields[field] = fields[field] ? `${fields[field]}\n\n${content}` : content;
+  }
+
+  const statusText = [meta.status, fields.status].filter(Boolean).join('\n');
+  let supersededByRef = null;
+  const supersedesRefs = [];
+  statusText.split('\n').forEach(line => {
+    const supersededBy = /superseded by\s+(.+)$/i.exec(line);
+    const supersedes = /^\s*[-*]?\s*supersedes\s+(.+)$/i.exec(line);
+    if (supersededBy) supersededByRef = referenceKey(supersededBy[1]);
+    else if (supersedes) supersedesRefs.push(referenceKey(supersedes[1]));
+  });
+
+  let status = mapAdrStatus(meta.status) || mapAdrStatus(fields.status) || 'proposed';
+  if (supersededByRef) status = 'superseded';
+
+  const dateText = meta.date || (/^\s*date:\s*(\S+)/im.exec(fields.status || '') || [])[1];
+  const decidedDate = /^\d{4}-\d{2}-\d{2}/.test(dateText || '') ? toDateString(dateText) : null;
+
+  const decisionType = String(meta.type || '').toLowerCase();
+  const impactLevel = String(meta.impact || '').toLowerCase();
+
+  return {
+    fileName,
+    keys,
+    title,
+    status,
+    description: fields.description || null,
+    rationale: fields.rationale || null,
+    consequences: fields.consequences || null,
+    alternatives: fields.alternatives ? parseAlternatives(fields.alternatives) : [],
+    decidedDate,
+    deciders: meta.deciders || meta['decision-makers'] || null,
+    decisionType: DECISION_TYPES.includes(decisionType) ? decisionType : null,
+    impactLevel: IMPACT_LEVELS.includes(impactLevel) ? impactLevel : null,
+    supersededByRef,
+    supersedesRefs
+  };
+}
+
+/**
+ * Pair each "Superseded by" / "Supersedes" reference with the imported ADR
+ * it names
+ *
+ * @param {Array} adrs - from parseAdr
+ * @returns {Array} [{ from, to }] indexes into adrs, from superseded by to
+ */
+function resolveSupersessions(adrs) {
+  const byKey = new Map();
+  adrs.forEach((adr, index) => adr.keys.forEach(key => {
+    if (!byKey.has(key)) byKey.set(key, index);
+  }));
+
+  const lookup = ref => {
+    if (byKey.has(ref)) return byKey.get(ref);
+    const number = /^(?:adr|dec)?[-\s]?(\d+)/.exec(ref);
+    return number && byKey.has(String(parseInt(number[1]))) ? byKey.get(String(parseInt(number[1]))) : null;
+  };
+
+  const pairs = new Map();
+  adrs.forEach((adr, index) => {
+    if (adr.supersededByRef) {
+      const to = lookup(adr.supersededByRef);
+      if (to !== null && to !== index) pairs.set(index, to);
+    }
+    adr.supersedesRefs.forEach(ref => {
+      const from = lookup(ref);
+      if (from !== null && from !== index && !pairs.has(from)) pairs.set(from, index);
+    });
+  });
+
+  return [...pairs].map(([from, to]) => ({ from, to }));
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getProjectDecisions(projectId) {
+  const result = await pool.query(`
+    SELECT d.*, u.username AS decided_by_name
+    FROM decisions d
+    LEFT JOIN users u ON u.id = d.decided_by
+    WHERE d.project_id = $1
+    ORDER BY d.decision_id
+  `, [projectId]);
+  return result.rows;
+}
+
+/**
+ * @returns {Promise<Object|null>} buildLineage result plus projectId, or null
+ *   when the decision doesn't exist
+ */
+async function getDecisionLineage(decisionId) {
+  const decision = await pool.query('SELECT project_id FROM decisions WHERE id = $1', [decisionId]);
+  if (decision.rows.length === 0) return null;
+
+  const projectId = decision.rows[0].project_id;
+  const result = await pool.query(
+    'SELECT id, decision_id, title, status, decided_date, superseded_by FROM decisions WHERE project_id = $1',
+    [projectId]
+  );
+  return { projectId, ...buildLineage(result.rows, decisionId) };
+}
+
+async function getSupersessionGraph(projectId) {
+  const result = await pool.query(
+    'SELECT id, decision_id, title, status, decided_date, superseded_by FROM decisions WHERE project_id = $1 ORDER BY decision_id',
+    [projectId]
+  );
+  return buildSupersessionGraph(result.rows);
+}
+
+/**
+ * The project's decision log as a zip of Markdown ADRs
+ * @returns {Promise<{ fileName, buffer, count }|null>} null when the project doesn't exist
+ */
+async function exportAdrZip(projectId, date = new Date()) {
+  const project = await pool.query('SELECT name FROM projects WHERE id = $1', [projectId]);
+  if (project.rows.length === 0) return null;
+
+  const decisions = await getProjectDecisions(projectId);
+  const byId = new Map(decisions.map(d => [d.id, d]));
+  const zip = new JSZip();
+
+  for (const decision of decisions) {
+    zip.file(adrFileName(decision), toAdrMarkdown(decision, {
+      supersededBy: byId.get(decision.superseded_by) || null,
+      supersedes: decisions.filter(d => d.superseded_by === decision.id)
+    }));
+  }
+  zip.file('README.md', toAdrIndex(project.rows[0].name, decisions));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return {
+    fileName: `${slugify(project.rows[0].name, 'project')}-adrs-${date.toISOString().slice(0, 10)}.zip`,
+    buffer,
+    count: decisions.length
+  };
+}
+
+/**
+ * Read an uploaded .md file or a zip of them
+ * @returns {Promise<{ adrs, skipped }>} skipped lists files that couldn't be read
+ */
+async function readAdrUpload(buffer, fileName) {
+  const files = [];
+  const isZip = buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+  if (isZip) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw validationError('Invalid ADR upload: not a readable zip file', ['Upload is not a valid zip']);
+    }
+    const entries = Object.values(zip.files).filter(entry =>
+      !entry.dir
+      && /\.md$/i.test(entry.name)
+      && !entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+      && !IGNORED_IMPORT_FILES.includes(path.basename(entry.name).toLowerCase())
+    );
+    if (entries.length > MAX_IMPORT_FILES) {
+      throw validationError('Too many ADR files', [`At most ${MAX_IMPORT_FILES} ADR files per import`]);
+    }
+    for (const entry of entries) {
+      files.push({ fileName: path.basename(entry.name), text: await entry.async('string') });
+    }
+  } else if (/\.(md|markdown)$/i.test(fileName || '')) {
+    files.push({ fileName: path.basename(fileName).replace(/\.markdown$/i, '.md'), text: buffer.toString('utf8') });
+  } else {
+    throw validationError('Invalid ADR upload', ['Upload a Markdown ADR (.md) or a zip of them']);
+  }
+
+  if (files.length === 0) {
+    throw validationError('No ADRs found', ['The zip has no Markdown ADR files']);
+  }
+
+  const adrs = [];
+  const skipped = [];
+  files.sort((a, b) => a.fileName.localeCompare(b.fileName, undefined, { numeric: true }));
+  for (const file of files) {
+    try {
+      adrs.push(parseAdr(file.text, file.fileName));
+    } catch (error) {
+      skipped.push({ file: file.fileName, reason: error.validationErrors ? error.validationErrors[0] : error.message });
+    }
+  }
+  return { adrs, skipped };
+}
+
+/**
+ * Create decisions from uploaded ADRs
+ *
+ * @returns {Promise<{ imported, decisions, supersessions, skipped }>}
+ */
+async function importAdrs(projectId, buffer, fileName, userId) {
+  const { adrs, skipped } = await readAdrUpload(buffer, fileName);
+
+  const existing = await pool.query('SELECT LOWER(title) AS title FROM decisions WHERE project_id = $1', [projectId]);
+  const existingTitles = new Set(existing.rows.map(r => r.title));
+  const toImport = [];
+  for (const adr of adrs) {
+    if (existingTitles.has(adr.title.toLowerCase())) {
+      skipped.push({ file: adr.fileName, reason: 'A decision with this title already exists' });
+      continue;
+    }
+    existingTitles.add(adr.title.toLowerCase());
+    toImport.push(adr);
+  }
+
+  const deciderNames = [...new Set(toImport.map(adr => adr.deciders && adr.deciders.split(',')[0].trim()).filter(Boolean))];
+  const users = deciderNames.length > 0
+    ? await pool.query('SELECT id, username FROM users WHERE LOWER(username) = ANY($1)', [deciderNames.map(n => n.toLowerCase())])
+    : { rows: [] };
+  const userIds = new Map(users.rows.map(u => [u.username.toLowerCase(), u.id]));
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const created = [];
+    for (const adr of toImport) {
+      const decider = adr.deciders && adr.deciders.split(',')[0].trim().toLowerCase();
+      const result = await client.query(`
+        INSERT INTO decisions (
+          decision_id, project_id, title, description, decision_type, impact_level,
+          status, rationale, consequences, alternatives_considered, decided_by,
+          decided_date, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING id, decision_id, title, status
+      `, [
+        await nextDecisionKey(client, projectId), projectId, adr.title, adr.description,
+        adr.decisionType, adr.impactLevel, adr.status, adr.rationale, adr.consequences,
+        JSON.stringify(adr.alternatives), userIds.get(decider) || null, adr.decidedDate, userId
+      ]);
+      created.push({ ...result.rows[0], file: adr.fileName });
+    }
+
+    const supersessions = resolveSupersessions(toImport);
+    for (const { from, to } of supersessions) {
+      await client.query(
+        "UPDATE decisions SET superseded_by = $2, status = 'superseded' WHERE id = $1",
+        [created[from].id, created[to].id]
+      );
+      created[from].status = 'superseded';
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      imported: created.length,
+      decisions: created.map(d => ({ id: d.id, decisionId: d.decision_id, title: d.title, status: d.status, file: d.file })),
+      supersessions: supersessions.length,
+      skipped
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  ADR_STATUS_MAP,
+  // Pure helpers
+  buildLineage,
+  buildSupersessionGraph,
+  adrFileName,
+  toAdrMarkdown,
+  toAdrIndex,
+  parseAdr,
+  resolveSupersessions,
+  // Database access
+  getDecisionLineage,
+  getSupersessionGraph,
+  exportAdrZip,
+  readAdrUpload,
+  importAdrs
+};
@@ -597,6 +597,10 @@ function levenshteinDistance(str1, str2) {
 /**
  * Detect circular dependencies using DFS (Depth-First Search)
  * 
+ * Nodes are keyed by item type and id (source_type / target_type default to
+ * 'issue'), so edges loaded from several projects, or mixing issues and
+ * action items, can be checked together.
+ * 
  * @param {Array} dependencies - Array of dependency objects with source_id and target_id
  * @returns {Array} Array of circular dependency descriptions
  */
@@ -610,18 +614,21 @@ function detectCircularDependencies(dependencies) {
   const nodeNames = new Map();
 
   for (const dep of dependencies) {
+    const sourceKey = `${dep.source_type || 'issue'}:${dep.source_id}`;
+    const targetKey = `${dep.target_type || 'issue'}:${dep.target_id}`;
+
     // Add nodes
-    if (!graph.has(dep.source_id)) {
-      graph.set(dep.source_id, []);
-      nodeNames.set(dep.source_id, dep.source_name);
+    if (!graph.has(sourceKey)) {
+      graph.set(sourceKey, []);
     }
-    if (!graph.has(dep.target_id)) {
-      graph.set(dep.target_id, []);
-      nodeNames.set(dep.target_id, dep.target_name);
+    if (!graph.has(targetKey)) {
+      graph.set(targetKey, []);
     }
+    if (dep.source_name) nodeNames.set(sourceKey, dep.source_name);
+    if (dep.target_name) nodeNames.set(targetKey, dep.target_name);
     
     // Add edge: source → target (source must complete before target)
-    graph.get(dep.source_id).push(dep.target_id);
+    graph.get(sourceKey).push(targetKey);
   }
 
   // DFS cycle detection
@@ -645,7 +652,7 @@ function detectCircularDependencies(dependencies) {
         // Cycle detected! Build cycle description
         const cycleStart = path.indexOf(neighbor);
         const cyclePath = path.slice(cycleStart).concat(neighbor);
-        const cycleNames = cyclePath.map(id => nodeNames.get(id) || `#${id}`);
+        const cycleNames = cyclePath.map(key => nodeNames.get(key) || `#${key.split(':')[1]}`);
         cycles.push(`${cycleNames.join(' → ')}`);
         return true;
       }
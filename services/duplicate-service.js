@@ -0,0 +1,457 @@
+/**
+ * Duplicate Service
+ *
+ * "Possible duplicate" checks for new issues and action items, and merging
+ * one issue into another.
+ *
+ * Candidates come from two places: nearest neighbours in item_embeddings
+ * (embeddingService.generateEmbedding, pgvector cosine similarity) and a
+ * full-text match over open and closed items scored with string-similarity.
+ * The lexical side keeps the check working for items that have not been
+ * embedded yet and when no embedding API key is configured.
+ */
+
+const crypto = require('crypto');
+const stringSimilarity = require('string-similarity');
+const { pool } = require('../db');
+const { ROLE_HIERARCHY } = require('../middleware/auth');
+const trashService = require('./trash-service');
+
+const ITEM_TABLES = {
+  'issue': 'issues',
+  'action-item': 'action_items'
+};
+
+// Score at or above which an existing item is shown as a possible duplicate
+const POSSIBLE_DUPLICATE_SCORE = 0.75;
+// Score at or above which automated pipelines treat the item as already present
+const LIKELY_DUPLICATE_SCORE = 0.9;
+
+const DEFAULT_LIMIT = 5;
+const SEMANTIC_CANDIDATES = 20;
+const LEXICAL_CANDIDATES = 50;
+const MAX_EMBED_CHARS = 4000;
+const MIN_TITLE_LENGTH = 4;
+const MAX_QUERY_TERMS = 12;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * Accepts the spellings used across the app ('action_item', 'action-item').
+ */
+function normalizeItemType(itemType) {
+  if (itemType === 'action_item' || itemType === 'action-item') return 'action-item';
+  if (itemType === 'issue') return 'issue';
+  return null;
+}
+
+function buildItemText({ title, description }) {
+  return [title, description].map(part => (part || '').trim()).filter(Boolean).join('\n').slice(0, MAX_EMBED_CHARS);
+}
+
+function hashText(text) {
+  return crypto.createHash('md5').update(text).digest('hex');
+}
+
+/**
+ * OR-query of the significant words in a title, for to_tsquery.
+ * Returns null when nothing searchable is left.
+ */
+function buildOrTsQuery(text) {
+  const words = [...new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2)
+  )].slice(0, MAX_QUERY_TERMS);
+
+  return words.length > 0 ? words.join(' | ') : null;
+}
+
+/**
+ * Title similarity, blended with description similarity when both sides
+ * have one. A missing description doesn't count against a match.
+ */
+function lexicalSimilarity(candidate, existing) {
+  const titleScore = stringSimilarity.compareTwoStrings(
+    (candidate.title || '').toLowerCase(),
+    (existing.title || '').toLowerCase()
+  );
+
+  if (!candidate.description || !existing.description) return titleScore;
+
+  const descriptionScore = stringSimilarity.compareTwoStrings(
+    candidate.description.toLowerCase(),
+    existing.description.toLowerCase()
+  );
+  return Math.max(titleScore, titleScore * 0.7 + descriptionScore * 0.3);
+}
+
+/**
+ * @returns {string|null} 'likely' | 'possible' | null
+ */
+function classifyScore(score) {
+  if (score >= LIKELY_DUPLICATE_SCORE) return 'likely';
+  if (score >= POSSIBLE_DUPLICATE_SCORE) return 'possible';
+  return null;
+}
+
+/**
+ * Combine semantic and lexical scores per item, keep the ones over the
+ * threshold and order them best first.
+ *
+ * @param {Object[]} candidates - [{ itemType, id, title, status, semanticScore, lexicalScore, ... }]
+ * @returns {Object[]} candidates with score, match ('likely' | 'possible') and matchedBy
+ */
+function rankDuplicates(candidates, limit = DEFAULT_LIMIT) {
+  return candidates
+    .map(candidate => {
+      const semantic = Number(candidate.semanticScore) || 0;
+      const lexical = Number(candidate.lexicalScore) || 0;
+      const score = Math.round(Math.max(semantic, lexical) * 100) / 100;
+      return { ...candidate, score, match: classifyScore(score), matchedBy: semantic >= lexical ? 'semantic' : 'text' };
+    })
+    .filter(candidate => candidate.match)
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .slice(0, limit);
+}
+
+/**
+ * Reasons a merge of source into target can't go ahead.
+ */
+function validateMerge(source, target) {
+  const errors = [];
+  if (!source) errors.push('Issue to merge was not found');
+  if (!target) errors.push('Issue to merge into was not found');
+  if (source && target) {
+    if (source.id === target.id) errors.push('An issue cannot be merged into itself');
+    if (source.project_id !== target.project_id) errors.push('Issues must belong to the same project');
+  }
+  return errors;
+}
+
+/**
+ * Why the user may not merge source into target, or null if they may. Merging
+ * sends the source to the trash, so it takes the rights to delete it (creator
+ * or Team Lead+); the target is changed, so it takes the rights to edit it
+ * (Team Member+ who created it or is assigned to it, or Team Lead+).
+ */
+function mergePermissionError(source, target, user) {
+  const userRoleLevel = ROLE_HIERARCHY[user.role] || 0;
+  const isTeamLead = userRoleLevel >= ROLE_HIERARCHY['Team Lead'];
+
+  if (!isTeamLead && parseInt(source.created_by) !== parseInt(user.id)) {
+    return 'Only the creator or Team Lead+ can merge this issue into another';
+  }
+
+  if (target && !isTeamLead) {
+    const canEditTarget = userRoleLevel >= ROLE_HIERARCHY['Team Member'] &&
+      (parseInt(target.created_by) === parseInt(user.id) || target.assignee === user.username);
+    if (!canEditTarget) {
+      return 'Only the owner, assignee, or Team Lead+ can merge into this issue';
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+// Required on first use: the vector store builds its OpenAI client at load time
+function generateEmbedding(text) {
+  return require('./embeddingService').generateEmbedding(text);
+}
+
+/**
+ * Store (or refresh) the embedding for an item. Unchanged text is skipped.
+ * Callers run this in the background after a create or edit.
+ */
+async function indexItem(itemType, item) {
+  const type = normalizeItemType(itemType);
+  const text = buildItemText(item);
+  if (!type || !text) return false;
+
+  const contentHash = hashText(text);
+  const existing = await pool.query(
+    'SELECT content_hash FROM item_embeddings WHERE item_type = $1 AND item_id = $2',
+    [type, item.id]
+  );
+  if (existing.rows[0]?.content_hash === contentHash) return false;
+
+  const embedding = await generateEmbedding(text);
+  await pool.query(`
+    INSERT INTO item_embeddings (item_type, item_id, project_id, embedding, content_hash)
+    VALUES ($1, $2, $3, $4::vector, $5)
+    ON CONFLICT (item_type, item_id)
+    DO UPDATE SET embedding = $4::vector, content_hash = $5, project_id = $3, updated_at = NOW()
+  `, [type, item.id, item.project_id, `[${embedding.join(',')}]`, contentHash]);
+  return true;
+}
+
+async function findSemanticMatches(projectId, text) {
+  let embedding;
+  try {
+    embedding = await generateEmbedding(text);
+  } catch (error) {
+    console.warn('[Duplicates] Embedding unavailable, using text similarity only:', error.message);
+    return [];
+  }
+
+  const result = await pool.query(`
+    SELECT item_type, item_id, 1 - (embedding <=> $2::vector) AS score
+    FROM item_embeddings
+    WHERE project_id = $1
+    ORDER BY embedding <=> $2::vector
+    LIMIT ${SEMANTIC_CANDIDATES}
+  `, [projectId, `[${embedding.join(',')}]`]);
+
+  return result.rows;
+}
+
+/**
+ * Existing issues and action items that look like the one about to be created.
+ *
+ * @param {number} projectId
+ * @param {Object} item - { title, description }
+ * @param {Object} options - { excludeType, excludeId, limit }
+ * @returns {Promise<Object[]>} [{ itemType, id, title, status, statusCategory, assignee, score, match, matchedBy }]
+ */
+async function findPossibleDuplicates(projectId, item, { excludeType = null, excludeId = null, limit = DEFAULT_LIMIT } = {}) {
+  const title = (item.title || '').trim();
+  if (title.length < MIN_TITLE_LENGTH) return [];
+
+  const semanticMatches = await findSemanticMatches(projectId, buildItemText(item));
+  const semanticScores = new Map(semanticMatches.map(m => [`${m.item_type}:${m.item_id}`, Number(m.score)]));
+  const idsOf = type => semanticMatches.filter(m => m.item_type === type).map(m => m.item_id);
+
+  const tsQuery = buildOrTsQuery(title);
+  const result = await pool.query(`
+    SELECT * FROM (
+      (SELECT 'issue' AS item_type, id, title, description, status, assignee,
+              status_category(project_id, status) AS status_category
+       FROM issues
+       WHERE project_id = $1
+         AND (id = ANY($2::int[])
+              OR ($4::text IS NOT NULL AND to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')) @@ to_tsquery('english', $4)))
+       LIMIT ${LEXICAL_CANDIDATES + SEMANTIC_CANDIDATES})
+      UNION ALL
+      (SELECT 'action-item', id, title, description, status, assignee,
+              status_category(project_id, status)
+       FROM action_items
+       WHERE project_id = $1
+         AND (id = ANY($3::int[])
+              OR ($4::text IS NOT NULL AND to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')) @@ to_tsquery('english', $4)))
+       LIMIT ${LEXICAL_CANDIDATES + SEMANTIC_CANDIDATES})
+    ) candidates
+  `, [projectId, idsOf('issue'), idsOf('action-item'), tsQuery]);
+
+  const exclude = normalizeItemType(excludeType);
+  const candidates = result.rows
+    .filter(row => !(row.item_type === exclude && row.id === parseInt(excludeId)))
+    .map(row => ({
+      itemType: row.item_type,
+      id: row.id,
+      title: row.title,
+      status: row.status,
+      statusCategory: row.status_category,
+      assignee: row.assignee || null,
+      semanticScore: semanticScores.get(`${row.item_type}:${row.id}`) || 0,
+      lexicalScore: lexicalSimilarity(item, row)
+    }));
+
+  return rankDuplicates(candidates, limit).map(({ semanticScore, lexicalScore, ...duplicate }) => duplicate);
+}
+
+/**
+ * Best open match of the same type, in the { item, similarity } shape the
+ * meeting pipeline expects. Closed items are left alone so recurring work
+ * is created again.
+ */
+async function findBestDuplicate(projectId, item, itemType) {
+  const type = normalizeItemType(itemType);
+  const duplicates = await findPossibleDuplicates(projectId, item, { limit: DEFAULT_LIMIT * 2 });
+  const best = duplicates.find(d => d.itemType === type && d.statusCategory !== 'done');
+  if (!best) return null;
+
+  const row = await pool.query(`SELECT * FROM ${ITEM_TABLES[type]} WHERE id = $1`, [best.id]);
+  return row.rows[0] ? { item: row.rows[0], similarity: best.score, match: best.match } : null;
+}
+
+/**
+ * Follow merge redirects to the item that now stands in for itemId.
+ * @returns {Promise<Object|null>} { id, title, mergedAt } or null when itemId was never merged
+ */
+async function resolveRedirect(itemType, itemId) {
+  const result = await pool.query(`
+    WITH RECURSIVE chain AS (
+      SELECT to_id, merged_at, 1 AS depth FROM item_redirects WHERE item_type = $1 AND from_id = $2
+      UNION ALL
+      SELECT r.to_id, r.merged_at, c.depth + 1
+      FROM item_redirects r JOIN chain c ON r.item_type = $1 AND r.from_id = c.to_id
+      WHERE c.depth < 10
+    )
+    SELECT c.to_id, c.merged_at, i.title
+    FROM chain c
+    LEFT JOIN ${ITEM_TABLES[normalizeItemType(itemType)]} i ON i.id = c.to_id
+    ORDER BY c.depth DESC
+    LIMIT 1
+  `, [normalizeItemType(itemType), itemId]);
+
+  const row = result.rows[0];
+  return row ? { id: row.to_id, title: row.title, mergedAt: row.merged_at } : null;
+}
+
+/**
+ * Fold one issue into another. Comments, tags, attachments, time entries,
+ * dependencies, relationships, child issues and watchers move to the target;
+ * a redirect is recorded and the source goes to the trash.
+ *
+ * @returns {Promise<Object>} { target, moved, redirect, trashId }
+ * @throws {Error} 'Invalid merge: ...' with validationErrors
+ */
+async function mergeIssues(sourceId, targetId, userId) {
+  const client = await pool.connect();
+  let moved;
+  let redirect;
+  let trashed;
+
+  try {
+    await client.query('BEGIN');
+
+    const items = await client.query(
+      'SELECT * FROM issues WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+      [[sourceId, targetId]]
+    );
+    const source = items.rows.find(r => r.id === sourceId);
+    const target = items.rows.find(r => r.id === targetId);
+
+    const errors = validateMerge(source, target);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid merge: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const count = async (sql, params = [sourceId, targetId]) => (await client.query(sql, params)).rowCount;
+
+    moved = {
+      comments: await count('UPDATE issue_comments SET issue_id = $2 WHERE issue_id = $1'),
+      tags: await count(`
+        INSERT INTO issue_tags (issue_id, tag_id)
+        SELECT $2, tag_id FROM issue_tags
+        WHERE issue_id = $1 AND tag_id NOT IN (SELECT tag_id FROM issue_tags WHERE issue_id = $2)`),
+      attachments: await count("UPDATE attachments SET entity_id = $2 WHERE entity_type = 'issue' AND entity_id = $1"),
+      timeEntries: await count("UPDATE time_entries SET item_id = $2 WHERE item_type = 'issue' AND item_id = $1"),
+      dependencies: 0,
+      relationships: 0,
+      childIssues: await count('UPDATE issues SET parent_issue_id = $2 WHERE parent_issue_id = $1 AND id <> $2')
+    };
+    await client.query('DELETE FROM issue_tags WHERE issue_id = $1', [sourceId]);
+
+    // Dependencies: re-point unless that would create a self-dependency or a duplicate row
+    moved.dependencies += await count(`
+      UPDATE issue_dependencies d SET issue_id = $2
+      WHERE d.issue_id = $1
+        AND NOT (d.prerequisite_item_type = 'issue' AND d.prerequisite_item_id IN ($1, $2))
+        AND NOT EXISTS (SELECT 1 FROM issue_dependencies x
+                        WHERE x.issue_id = $2 AND x.prerequisite_item_type = d.prerequisite_item_type
+                          AND x.prerequisite_item_id = d.prerequisite_item_id)`);
+    moved.dependencies += await count(`
+      UPDATE issue_dependencies d SET prerequisite_item_id = $2
+      WHERE d.prerequisite_item_type = 'issue' AND d.prerequisite_item_id = $1 AND d.issue_id NOT IN ($1, $2)
+        AND NOT EXISTS (SELECT 1 FROM issue_dependencies x
+                        WHERE x.issue_id = d.issue_id AND x.prerequisite_item_type = 'issue' AND x.prerequisite_item_id = $2)`);
+    moved.dependencies += await count(`
+      UPDATE action_item_dependencies d SET prerequisite_item_id = $2
+      WHERE d.prerequisite_item_type = 'issue' AND d.prerequisite_item_id = $1
+        AND NOT EXISTS (SELECT 1 FROM action_item_dependencies x
+                        WHERE x.action_item_id = d.action_item_id AND x.prerequisite_item_type = 'issue' AND x.prerequisite_item_id = $2)`);
+
+    moved.relationships += await count(`
+      UPDATE issue_relationships SET source_id = $2
+      WHERE source_type = 'issue' AND source_id = $1 AND NOT (target_type = 'issue' AND target_id = $2)`);
+    moved.relationships += await count(`
+      UPDATE issue_relationships SET target_id = $2
+      WHERE target_type = 'issue' AND target_id = $1 AND NOT (source_type = 'issue' AND source_id = $2)`);
+
+    await client.query(`
+      INSERT INTO item_watchers (item_type, item_id, user_id, is_watching, reason)
+      SELECT 'issue', $2, user_id, is_watching, reason FROM item_watchers
+      WHERE item_type = 'issue' AND item_id = $1
+      ON CONFLICT (item_type, item_id, user_id) DO NOTHING
+    `, [sourceId, targetId]);
+
+    // Logged hours follow the time entries
+    await client.query(`
+      UPDATE issues SET
+        actual_effort_hours = t.total,
+        time_log_count = t.entries,
+        last_time_logged_at = t.last_logged
+      FROM (
+        SELECT COALESCE(SUM(hours_logged), 0) AS total, COUNT(*) AS entries, MAX(logged_at) AS last_logged
+        FROM time_entries WHERE item_type = 'issue' AND item_id = $1
+      ) t
+      WHERE issues.id = $1
+    `, [targetId]);
+
+    const redirectResult = await client.query(`
+      INSERT INTO item_redirects (item_type, from_id, to_id, project_id, from_title, merged_by)
+      VALUES ('issue', $1, $2, $3, $4, $5)
+      ON CONFLICT (item_type, from_id)
+      DO UPDATE SET to_id = $2, merged_by = $5, merged_at = NOW()
+      RETURNING *
+    `, [sourceId, targetId, target.project_id, source.title, userId]);
+    redirect = redirectResult.rows[0];
+
+    await client.query(
+      'INSERT INTO issue_comments (issue_id, user_id, comment) VALUES ($1, $2, $3)',
+      [targetId, userId, `Merged #${sourceId} "${source.title}" into this issue.`]
+    );
+
+    await client.query(
+      "DELETE FROM item_embeddings WHERE item_type = 'issue' AND item_id = $1",
+      [sourceId]
+    );
+
+    // Whatever still hangs off the source (PKG nodes, status history) goes with it,
+    // in the same transaction so a failed trash leaves nothing half-merged
+    trashed = await trashService.trashItem('issue', sourceId, userId, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const target = await pool.query('SELECT * FROM issues WHERE id = $1', [targetId]);
+
+  return { target: target.rows[0], moved, redirect, trashId: trashed?.id || null };
+}
+
+module.exports = {
+  POSSIBLE_DUPLICATE_SCORE,
+  LIKELY_DUPLICATE_SCORE,
+
+  // Pure helpers
+  normalizeItemType,
+  buildItemText,
+  buildOrTsQuery,
+  lexicalSimilarity,
+  classifyScore,
+  rankDuplicates,
+  validateMerge,
+  mergePermissionError,
+
+  // Database access
+  indexItem,
+  findPossibleDuplicates,
+  findBestDuplicate,
+  resolveRedirect,
+  mergeIssues
+};
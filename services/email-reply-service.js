@@ -0,0 +1,235 @@
+/**
+ * Email Reply Service
+ *
+ * Reply-by-email for notification emails. Mention and assignment emails are
+ * sent with a Reply-To address that names the item and the recipient:
+ *
+ *   reply+issue.42.7.3f9a0c1d2e4b5a6f@inbound.example.com
+ *         ^type ^item ^user ^signature
+ *
+ * The base address comes from EMAIL_REPLY_ADDRESS (unset turns the feature
+ * off) and the signature is an HMAC of type, item and user with
+ * EMAIL_REPLY_SECRET (falling back to JWT_SECRET), so addresses can't be made
+ * up for other items or users.
+ *
+ * Inbound mail reaches emailProcessor through the SendGrid / Mailgun webhooks
+ * or the IMAP poller. When a recipient is a valid reply address, the quoted
+ * original is stripped and the rest is posted as a comment by that user,
+ * with mentions processed like any other comment. The sender has to be the
+ * user the address was made for, and still a member of the item's project.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../db');
+
+const SIGNATURE_LENGTH = 16;
+
+// Notification itemType wording -> comment type
+const REPLY_ITEM_TYPES = {
+  'issue': 'issue',
+  'action item': 'action-item',
+  'action-item': 'action-item',
+  'action_item': 'action-item'
+};
+
+// Lines where the quoted original (or a signature) starts
+const QUOTE_MARKERS = [
+  /^On\s.+\swrote:$/i, // Gmail, Apple Mail
+  /^-{2,}\s*Original Message\s*-{2,}$/i, // Outlook (older)
+  /^_{10,}$/, // Outlook
+  /^From:\s.+/i, // Outlook header block
+  /^Sent from my\s/i, // Mobile footers
+  /^--$/, // Signature delimiter ("-- ")
+  /^>/ // Quoted text
+];
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function getReplyConfig() {
+  return {
+    address: process.env.EMAIL_REPLY_ADDRESS || null,
+    secret: process.env.EMAIL_REPLY_SECRET || process.env.JWT_SECRET || null
+  };
+}
+
+function toCommentType(itemType) {
+  return REPLY_ITEM_TYPES[String(itemType || '').toLowerCase()] || null;
+}
+
+function signReplyToken(commentType, itemId, userId, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${commentType}.${itemId}.${userId}`)
+    .digest('hex')
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Reply-To address for a notification about an item
+ * @returns {string|null} null when reply-by-email isn't configured or the item type can't take replies
+ */
+function buildReplyAddress(itemType, itemId, userId, config = getReplyConfig()) {
+  const commentType = toCommentType(itemType);
+  if (!commentType || !config.address || !config.secret) return null;
+
+  const [local, domain] = config.address.split('@');
+  if (!local || !domain) return null;
+
+  const signature = signReplyToken(commentType, itemId, userId, config.secret);
+  return `${local}+${commentType}.${itemId}.${userId}.${signature}@${domain}`;
+}
+
+/**
+ * Find a valid reply address among the recipients
+ *
+ * @param {string|string[]} recipients - To / Cc values, e.g. "Tracker <reply+issue.42.7.abc...@x.com>, a@b.com"
+ * @returns {Object|null} { commentType, itemId, userId }
+ */
+function parseReplyAddress(recipients, config = getReplyConfig()) {
+  if (!config.address || !config.secret) return null;
+
+  const [local, domain] = config.address.toLowerCase().split('@');
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(
+    `${escape(local)}\\+([a-z-]+)\\.(\\d+)\\.(\\d+)\\.([0-9a-f]{${SIGNATURE_LENGTH}})@${escape(domain)}`,
+    'g'
+  );
+
+  const text = [].concat(recipients || []).join(',').toLowerCase();
+  for (const [, commentType, itemId, userId, signature] of text.matchAll(pattern)) {
+    if (!Object.values(REPLY_ITEM_TYPES).includes(commentType)) continue;
+
+    const expected = signReplyToken(commentType, itemId, userId, config.secret);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+      return { commentType, itemId: Number(itemId), userId: Number(userId) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Bare address from a From header ("Alex Smith <alex@example.com>")
+ */
+function extractEmailAddress(from) {
+  const value = Array.isArray(from) ? from[0] : from;
+  if (!value) return null;
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Plain text of an HTML body, keeping line breaks and dropping quoted blocks
+ */
+function htmlToText(html) {
+  if (!html) return '';
+  return html
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * The new part of a reply: everything above the quoted original or signature
+ */
+function stripQuotedReply(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // Gmail wraps long "On ... wrote:" lines
+    const withNext = i + 1 < lines.length ? `${line} ${lines[i + 1].trim()}` : line;
+    if (QUOTE_MARKERS.some(marker => marker.test(line)) || /^On\s.+\swrote:$/i.test(withNext)) {
+      break;
+    }
+    kept.push(lines[i].replace(/\s+$/, ''));
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * Post a reply to a notification email as a comment
+ *
+ * @returns {Object|null} null when the email isn't addressed to a reply
+ *   address; otherwise { success, reason } or { success, commentId }
+ */
+async function handleReplyEmail({ from, to, cc, text, html }) {
+  const reply = parseReplyAddress([to, cc].filter(Boolean));
+  if (!reply) return null;
+
+  // Required here: comment-thread-service loads notificationService, which loads this module
+  const commentThreadService = require('./comment-thread-service');
+  const { commentType, itemId, userId } = reply;
+
+  const userResult = await pool.query('SELECT id, username, email, role FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+  if (!user) {
+    return { success: false, reason: 'Unknown user' };
+  }
+
+  if (extractEmailAddress(from) !== String(user.email).toLowerCase()) {
+    console.warn(`[Email Reply] Reply for user ${userId} sent from another address; ignored`);
+    return { success: false, reason: 'Sender does not match the notified user' };
+  }
+
+  const projectId = await commentThreadService.getItemProjectId(commentType, itemId);
+  if (!projectId) {
+    return { success: false, reason: 'Item not found' };
+  }
+
+  const projectResult = await pool.query(`
+    SELECT p.archived,
+           EXISTS (
+             SELECT 1 FROM project_members pm
+             WHERE pm.project_id = p.id AND pm.user_id = $2 AND pm.status = 'active'
+           ) AS is_member
+    FROM projects p
+    WHERE p.id = $1
+  `, [projectId, userId]);
+  const project = projectResult.rows[0];
+
+  if (!project || project.archived) {
+    return { success: false, reason: 'Project is archived' };
+  }
+  if (!project.is_member && user.role !== 'System Administrator') {
+    return { success: false, reason: 'User is no longer a project member' };
+  }
+
+  const body = stripQuotedReply(text || htmlToText(html));
+  if (!body) {
+    return { success: false, reason: 'Empty reply' };
+  }
+
+  const comment = await commentThreadService.createComment(commentType, itemId, user, body);
+  console.log(`[Email Reply] Comment ${comment.id} added to ${commentType} ${itemId} by user ${userId}`);
+  return { success: true, commentId: comment.id };
+}
+
+module.exports = {
+  // Pure helpers
+  getReplyConfig,
+  toCommentType,
+  buildReplyAddress,
+  parseReplyAddress,
+  extractEmailAddress,
+  htmlToText,
+  stripQuotedReply,
+
+  // Database access
+  handleReplyEmail
+};
@@ -1,6 +1,7 @@
 const { Pool } = require('@neondatabase/serverless');
 const { simpleParser } = require('mailparser');
 const Imap = require('imap');
+const emailReplyService = require('./email-reply-service');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -10,6 +11,9 @@ const pool = new Pool({ connectionString: process.env.DATABASE_URL });
  * 1. Dedicated address (webhook)
  * 2. Forwarding rules (webhook)
  * 3. IMAP polling (scheduled)
+ *
+ * Replies to notification emails (see email-reply-service) arrive the same
+ * ways and become comments instead.
  */
 class EmailProcessor {
   constructor() {
@@ -19,10 +23,18 @@ class EmailProcessor {
   /**
    * Process incoming email from webhook (SendGrid, Mailgun)
    */
-  async processIncomingEmail({ from, to, subject, html, text, attachments, headers, projectId }) {
+  async processIncomingEmail({ from, to, cc, subject, html, text, attachments, headers, projectId }) {
     try {
       console.log(`[Email Processor] Processing email: ${subject} from ${from}`);
 
+      const reply = await emailReplyService.handleReplyEmail({ from, to, cc, text, html });
+      if (reply) {
+        if (!reply.success) {
+          console.warn(`[Email Processor] Reply email not posted: ${reply.reason}`);
+        }
+        return reply;
+      }
+
       if (!projectId) {
         projectId = await this.extractProjectFromEmail(to);
       }
@@ -32,6 +44,11 @@ class EmailProcessor {
         return { success: false, reason: 'No project matched' };
       }
 
+      if (await this.isProjectArchived(projectId)) {
+        console.log(`[Email Processor] Project ${projectId} is archived; email ignored`);
+        return { success: false, reason: 'Project is archived' };
+      }
+
       const config = await this.getSidecarConfig(projectId);
       if (!config) {
         console.warn(`[Email Processor] No sidecar config for project ${projectId}`);
@@ -265,17 +282,33 @@ class EmailProcessor {
     return result.rows[0] || null;
   }
 
+  /**
+   * Archived projects are read-only and take no new email
+   */
+  async isProjectArchived(projectId) {
+    const result = await pool.query(
+      'SELECT archived FROM projects WHERE id = $1',
+      [projectId]
+    );
+    return result.rows[0]?.archived === true;
+  }
+
   /**
    * Start IMAP poller for a project
    */
   async startIMAPPoller(projectId) {
     const config = await this.getSidecarConfig(projectId);
 
-    if (!config.email_imap_enabled) {
+    if (!config || !config.email_imap_enabled) {
       console.log(`[IMAP] IMAP not enabled for project ${projectId}`);
       return;
     }
 
+    if (await this.isProjectArchived(projectId)) {
+      console.log(`[IMAP] Project ${projectId} is archived; poller not started`);
+      return;
+    }
+
     if (this.activePollers.has(projectId)) {
       console.log(`[IMAP] Poller already running for project ${projectId}`);
       return;
@@ -327,6 +360,12 @@ class EmailProcessor {
    */
   async checkNewEmails(imap, projectId, config) {
     try {
+      // Archived since the poller started (e.g. from another instance)
+      if (await this.isProjectArchived(projectId)) {
+        this.stopIMAPPoller(projectId);
+        return;
+      }
+
       imap.search(['UNSEEN'], async (err, results) => {
         if (err || !results || results.length === 0) return;
 
@@ -342,6 +381,7 @@ class EmailProcessor {
               await this.processIncomingEmail({
                 from: parsed.from.text,
                 to: parsed.to.text,
+                cc: parsed.cc ? parsed.cc.text : undefined,
                 subject: parsed.subject,
                 html: parsed.html,
                 text: parsed.text,
@@ -1,5 +1,6 @@
 const { pool } = require('../db');
 const hallwayMeetingService = require('./hallwayMeetingService');
+const duplicateService = require('./duplicate-service');
 
 async function analyzeHallwayMeeting(meetingId, userId = null) {
   if (!meetingId) {
@@ -69,7 +70,7 @@ async function analyzeHallwayMeeting(meetingId, userId = null) {
 
     if (analysisResult.entities && analysisResult.entities.length > 0) {
       for (const entity of analysisResult.entities) {
-        await createEntityDetection(meetingId, entity, userId);
+        await createEntityDetection(meetingId, entity, userId, meeting.projectId);
         
         if (entity.entityType === 'decision') decisionsCount++;
         if (entity.entityType === 'risk') risksCount++;
@@ -330,7 +331,28 @@ function calculateSentiment(transcript) {
   return Math.max(-1, Math.min(1, score));
 }
 
-async function createEntityDetection(meetingId, entity, userId = null) {
+/**
+ * Existing issues / action items a detected task or issue may repeat,
+ * stored on the detection so reviewers see it before creating anything.
+ */
+async function findDetectionDuplicates(entity, projectId) {
+  const entityType = String(entity.entityType || '').toLowerCase().replace(/ /g, '_');
+  if (!projectId || !['action_item', 'task', 'issue', 'bug'].includes(entityType)) {
+    return [];
+  }
+
+  try {
+    return await duplicateService.findPossibleDuplicates(projectId, {
+      title: entity.title,
+      description: entity.description
+    });
+  } catch (error) {
+    console.error('[HallwayAnalysis] Duplicate check failed:', error.message);
+    return [];
+  }
+}
+
+async function createEntityDetection(meetingId, entity, userId = null, projectId = null) {
   const {
     entityType,
     title,
@@ -360,8 +382,9 @@ async function createEntityDetection(meetingId, entity, userId = null) {
         created_entity_id,
         quote_text,
         timestamp_seconds,
-        assigned_to
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        assigned_to,
+        metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `, [
       meetingId,
@@ -376,7 +399,8 @@ async function createEntityDetection(meetingId, entity, userId = null) {
       createdEntityId,
       quoteText,
       timestampSeconds,
-      assignedTo
+      assignedTo,
+      JSON.stringify({ possibleDuplicates: await findDetectionDuplicates(entity, projectId) })
     ]);
 
     console.log(`[HallwayAnalysis] Created entity detection: ${entityType} - "${title}"`);
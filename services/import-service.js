@@ -0,0 +1,957 @@
+/**
+ * Import Service
+ *
+ * Bulk import of issues and action items from CSV (the csvExportService
+ * format, or any CSV with a column mapping) and from Jira, Trello and Asana
+ * JSON exports. Every source is first turned into flat records
+ * ({ externalId, type, title, status, assignee, parent, dependsOn, tags, ... }
+ * as raw strings), then checked against the project as an import plan:
+ * statuses are matched to the workflow, assignees to project members and
+ * parent / dependency references to other records in the same file.
+ * A dry run returns the plan; a real import refuses plans with errors.
+ */
+
+const { pool } = require('../db');
+const workflowService = require('./workflow-service');
+const customFieldsService = require('./custom-fields-service');
+const { getProjectUsers, findMatchingUser } = require('./resource-parser');
+
+const IMPORT_FORMATS = ['csv', 'jira', 'trello', 'asana'];
+
+const IMPORT_FIELDS = [
+  { key: 'externalId', label: 'ID' },
+  { key: 'type', label: 'Type' },
+  { key: 'title', label: 'Title', required: true },
+  { key: 'description', label: 'Description' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'category', label: 'Category' },
+  { key: 'assignee', label: 'Assignee' },
+  { key: 'dueDate', label: 'Due Date' },
+  { key: 'parent', label: 'Parent ID' },
+  { key: 'dependsOn', label: 'Depends On' },
+  { key: 'tags', label: 'Tags' }
+];
+
+// Lower-cased header -> import field. Covers csvExportService and the Kanban CSV export.
+const HEADER_ALIASES = {
+  'id': 'externalId',
+  'key': 'externalId',
+  'issue key': 'externalId',
+  'type': 'type',
+  'item type': 'type',
+  'issue type': 'type',
+  'title': 'title',
+  'item title': 'title',
+  'summary': 'title',
+  'name': 'title',
+  'description': 'description',
+  'notes': 'description',
+  'status': 'status',
+  'priority': 'priority',
+  'category': 'category',
+  'assigned to': 'assignee',
+  'assignee': 'assignee',
+  'owner': 'assignee',
+  'due date': 'dueDate',
+  'due': 'dueDate',
+  'parent': 'parent',
+  'parent id': 'parent',
+  'depends on': 'dependsOn',
+  'blocked by': 'dependsOn',
+  'dependencies': 'dependsOn',
+  'tags': 'tags',
+  'labels': 'tags'
+};
+
+const PRIORITY_ALIASES = {
+  critical: 'critical', highest: 'critical', blocker: 'critical', urgent: 'critical',
+  high: 'high', major: 'high',
+  medium: 'medium', normal: 'medium', moderate: 'medium',
+  low: 'low', lowest: 'low', minor: 'low', trivial: 'low'
+};
+
+const MAX_HIERARCHY_DEPTH = 10;
+const MAX_IMPORT_ROWS = 2000;
+const DEFAULT_TAG_COLOR = '#3b82f6';
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * RFC 4180 CSV parser. Skips the BOM and the "# ..." metadata lines that
+ * csvExportService writes above the header row.
+ *
+ * @returns {Object} { headers, rows } - rows are arrays of cell strings
+ */
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\ufeff/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && source[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const isBlank = r => r.every(cell => cell.trim() === '');
+  let start = 0;
+  while (start < records.length && (isBlank(records[start]) || records[start][0].startsWith('#'))) {
+    start++;
+  }
+  if (start >= records.length) {
+    throw new Error('Invalid CSV: no header row found');
+  }
+
+  const headers = records[start].map(h => h.trim());
+  const rows = records.slice(start + 1).filter(r => !isBlank(r));
+  return { headers, rows };
+}
+
+/**
+ * Guess the import field for each CSV header. Custom field columns are
+ * matched by name (as exported) or key and mapped to "cf:<key>".
+ *
+ * @returns {Object} { [header]: fieldKey | '' }
+ */
+function buildDefaultMapping(headers, customFields = []) {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach(header => {
+    const normalized = header.toLowerCase().trim();
+    const customField = customFields.find(d =>
+      d.name.toLowerCase() === normalized || d.key === normalized
+    );
+    let field = HEADER_ALIASES[normalized] || (customField ? `cf:${customField.key}` : '');
+    if (field && used.has(field)) field = '';
+    if (field) used.add(field);
+    mapping[header] = field;
+  });
+
+  return mapping;
+}
+
+/**
+ * Check a client-supplied mapping.
+ * @returns {string[]} list of errors (empty when valid)
+ */
+function validateMapping(mapping, customFields = []) {
+  const errors = [];
+  const fieldKeys = new Set(IMPORT_FIELDS.map(f => f.key));
+  const customKeys = new Set(customFields.map(d => d.key));
+  const targets = Object.values(mapping || {}).filter(Boolean);
+
+  targets.forEach(target => {
+    if (target.startsWith('cf:')) {
+      if (!customKeys.has(target.slice(3))) {
+        errors.push(`Unknown custom field "${target.slice(3)}"`);
+      }
+    } else if (!fieldKeys.has(target)) {
+      errors.push(`Unknown import field "${target}"`);
+    }
+  });
+
+  const duplicates = [...new Set(targets.filter((t, i) => targets.indexOf(t) !== i))];
+  duplicates.forEach(target => errors.push(`More than one column is mapped to ${target}`));
+
+  if (!targets.includes('title')) {
+    errors.push('A column must be mapped to Title');
+  }
+  return errors;
+}
+
+/**
+ * Turn CSV rows into import records using a header -> field mapping.
+ * Row numbers are the data row's position (1-based) for error messages.
+ */
+function applyMapping(headers, rows, mapping) {
+  return rows.map((row, index) => {
+    const record = { rowNumber: index + 1, customFields: {} };
+    headers.forEach((header, column) => {
+      const target = mapping[header];
+      const value = (row[column] || '').trim();
+      if (!target || value === '') return;
+      if (target.startsWith('cf:')) {
+        record.customFields[target.slice(3)] = value;
+      } else {
+        record[target] = value;
+      }
+    });
+    return record;
+  });
+}
+
+// Jira Cloud descriptions are Atlassian Document Format trees
+function flattenAdf(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  const text = (node.content || []).map(flattenAdf).join('');
+  return ['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote'].includes(node.type) ? `${text}\n` : text;
+}
+
+/**
+ * Jira REST search results ({ issues: [...] }) or a bare array of issues.
+ * "Blocks" links where the other issue is inward become dependencies.
+ */
+function parseJiraExport(data) {
+  const issues = Array.isArray(data) ? data : data && data.issues;
+  if (!Array.isArray(issues)) {
+    throw new Error('Invalid Jira export: expected an "issues" array');
+  }
+
+  return issues.map((issue, index) => {
+    const fields = issue.fields || {};
+    const dependsOn = (fields.issuelinks || [])
+      .filter(link => link.inwardIssue && /block/i.test((link.type && link.type.name) || ''))
+      .map(link => link.inwardIssue.key);
+
+    return {
+      rowNumber: index + 1,
+      externalId: issue.key || (issue.id && String(issue.id)),
+      type: 'issue',
+      title: fields.summary,
+      description: flattenAdf(fields.description).trim(),
+      status: fields.status && fields.status.name,
+      statusCategory: fields.status && fields.status.statusCategory &&
+        ({ new: 'todo', indeterminate: 'active', done: 'done' })[fields.status.statusCategory.key],
+      priority: fields.priority && fields.priority.name,
+      category: fields.issuetype && fields.issuetype.name,
+      assignee: fields.assignee && (fields.assignee.emailAddress || fields.assignee.displayName),
+      dueDate: fields.duedate,
+      parent: fields.parent && fields.parent.key,
+      dependsOn,
+      tags: fields.labels || [],
+      customFields: {}
+    };
+  });
+}
+
+/**
+ * Trello board export. Cards become issues with their list as status and
+ * labels as tags; checklist items become child issues of the card.
+ * Archived cards and lists are skipped.
+ */
+function parseTrelloExport(data) {
+  if (!data || !Array.isArray(data.cards) || !Array.isArray(data.lists)) {
+    throw new Error('Invalid Trello export: expected "cards" and "lists" arrays');
+  }
+
+  const lists = new Map(data.lists.map(l => [l.id, l]));
+  const members = new Map((data.members || []).map(m => [m.id, m]));
+  const checklists = data.checklists || [];
+  const records = [];
+
+  data.cards.forEach(card => {
+    const list = lists.get(card.idList);
+    if (card.closed || (list && list.closed)) return;
+
+    const cardMembers = (card.idMembers || []).map(id => members.get(id)).filter(Boolean);
+    records.push({
+      rowNumber: records.length + 1,
+      externalId: card.id,
+      type: 'issue',
+      title: card.name,
+      description: card.desc,
+      status: list && list.name,
+      statusCategory: card.dueComplete ? 'done' : undefined,
+      assignee: cardMembers[0] && (cardMembers[0].fullName || cardMembers[0].username),
+      additionalAssignees: cardMembers.slice(1).map(m => m.fullName || m.username),
+      dueDate: card.due,
+      tags: (card.labels || []).map(label => label.name || label.color).filter(Boolean),
+      customFields: {}
+    });
+
+    checklists
+      .filter(checklist => checklist.idCard === card.id)
+      .forEach(checklist => {
+        (checklist.checkItems || []).forEach(item => {
+          records.push({
+            rowNumber: records.length + 1,
+            externalId: item.id,
+            type: 'issue',
+            title: item.name,
+            description: `From checklist "${checklist.name}"`,
+            statusCategory: item.state === 'complete' ? 'done' : 'todo',
+            parent: card.id,
+            customFields: {}
+          });
+        });
+      });
+  });
+
+  return records;
+}
+
+/**
+ * Asana project export ({ data: [...] }). Subtasks are read from nested
+ * "subtasks" arrays or from parent.gid; the board section becomes the status.
+ */
+function parseAsanaExport(data) {
+  const tasks = Array.isArray(data) ? data : data && data.data;
+  if (!Array.isArray(tasks)) {
+    throw new Error('Invalid Asana export: expected a "data" array');
+  }
+
+  const records = [];
+  const visit = (task, parentGid) => {
+    const section = (task.memberships || []).map(m => m.section && m.section.name).find(Boolean);
+    records.push({
+      rowNumber: records.length + 1,
+      externalId: task.gid,
+      type: 'issue',
+      title: task.name,
+      description: task.notes,
+      status: task.completed ? undefined : section,
+      statusCategory: task.completed ? 'done' : undefined,
+      assignee: task.assignee && (task.assignee.email || task.assignee.name),
+      dueDate: task.due_on || task.due_at,
+      parent: parentGid || (task.parent && task.parent.gid),
+      dependsOn: (task.dependencies || []).map(d => d.gid),
+      tags: (task.tags || []).map(t => t.name).filter(Boolean),
+      customFields: {}
+    });
+    (task.subtasks || []).forEach(subtask => visit(subtask, task.gid));
+  };
+  tasks.forEach(task => visit(task, null));
+
+  return records;
+}
+
+/**
+ * Work out the format from the file contents when the client does not say.
+ */
+function detectFormat(content) {
+  const text = String(content || '').replace(/^\ufeff/, '').trim();
+  if (!text.startsWith('{') && !text.startsWith('[')) return 'csv';
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return 'csv';
+  }
+  if (data && Array.isArray(data.cards) && Array.isArray(data.lists)) return 'trello';
+  const list = Array.isArray(data) ? data : (data.issues || data.data);
+  const first = Array.isArray(list) ? list[0] : null;
+  if (first && first.fields) return 'jira';
+  if (first && first.gid) return 'asana';
+  return null;
+}
+
+function normalizePriority(raw) {
+  if (!raw) return null;
+  return PRIORITY_ALIASES[String(raw).toLowerCase().trim()] || null;
+}
+
+function normalizeItemType(raw, defaultItemType = 'issue') {
+  if (!raw) return defaultItemType;
+  const normalized = String(raw).toLowerCase().replace(/[^a-z]/g, '');
+  return normalized.startsWith('action') ? 'action-item' : 'issue';
+}
+
+/**
+ * Accepts YYYY-MM-DD, ISO timestamps and US-style M/D/YYYY.
+ * @returns {string|null|undefined} 'YYYY-MM-DD', null when empty, undefined when unparseable
+ */
+function parseImportDate(raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+  const text = String(raw).trim();
+
+  let year, month, day;
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    [year, month, day] = [+match[1], +match[2], +match[3]];
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    [year, month, day] = [+match[3], +match[1], +match[2]];
+  } else {
+    return undefined;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Match a workflow status by name, falling back to the first status of the
+ * category the name (or the source's own category hint) suggests.
+ */
+function matchStatus(workflow, raw, categoryHint) {
+  if (raw) {
+    const exact = workflow.statuses.find(s => s.name.toLowerCase() === String(raw).toLowerCase().trim());
+    if (exact) return { status: exact.name, exact: true };
+  }
+  if (!raw && !categoryHint) {
+    return { status: workflowService.getInitialStatusName(workflow), exact: true };
+  }
+
+  const category = categoryHint || workflowService.getStatusCategory(workflow, String(raw).trim());
+  const byCategory = workflow.statuses.find(s => s.category === category);
+  return {
+    status: byCategory ? byCategory.name : workflowService.getInitialStatusName(workflow),
+    exact: false
+  };
+}
+
+/**
+ * Match an assignee by email first, then by the resource parser's
+ * username / first name / Levenshtein strategies.
+ * @returns {Object|null} { username, confidence }
+ */
+function matchAssignee(raw, users) {
+  const name = String(raw || '').trim();
+  if (!name) return null;
+
+  const byEmail = users.find(u => u.email && u.email.toLowerCase() === name.toLowerCase());
+  if (byEmail) return { username: byEmail.username, confidence: 1 };
+
+  // "jane.doe@example.com" -> "jane.doe"
+  const candidate = name.includes('@') ? name.split('@')[0] : name;
+  const match = findMatchingUser(candidate, users);
+  return match ? { username: match.user.username, confidence: match.confidence } : null;
+}
+
+function splitList(raw) {
+  if (Array.isArray(raw)) return raw.map(v => String(v).trim()).filter(Boolean);
+  if (!raw) return [];
+  return String(raw).split(/[;,]/).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * "Issue #12" / "Action Item #4" (as csvExportService writes them) or a bare ID.
+ * @returns {Object} { itemType|null, externalId }
+ */
+function parseReference(token) {
+  const match = String(token).trim().match(/^(issue|action[\s-]?item)\s*#?\s*(\S+)$/i);
+  if (match) {
+    return { itemType: normalizeItemType(match[1]), externalId: match[2] };
+  }
+  return { itemType: null, externalId: String(token).trim().replace(/^#/, '') };
+}
+
+/**
+ * Validate and resolve import records against the project.
+ *
+ * @param {Object[]} records - from applyMapping or one of the JSON parsers
+ * @param {Object} context - { workflow, users, tags, customFields, defaultItemType }
+ * @returns {Object} { items, errors, warnings, summary }
+ *   items are in insert order (parents before children) and reference each
+ *   other by index: parentIndex, dependsOn: [index]
+ */
+function buildImportPlan(records, context) {
+  const { workflow, users = [], tags = [], customFields = [], defaultItemType = 'issue' } = context;
+  const errors = [];
+  const warnings = [];
+  const usernames = users.map(u => u.username);
+  const existingTags = new Map(tags.map(t => [t.name.toLowerCase(), t]));
+  const newTags = new Map();
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    errors.push({ row: null, message: `Imports are limited to ${MAX_IMPORT_ROWS} rows (file has ${records.length})` });
+  }
+
+  const items = records.map(record => {
+    const row = record.rowNumber;
+    const itemType = normalizeItemType(record.type, defaultItemType);
+    const title = (record.title || '').trim();
+    const item = {
+      row,
+      itemType,
+      externalId: record.externalId ? String(record.externalId).trim() : null,
+      title,
+      description: (record.description || '').trim(),
+      status: null,
+      priority: 'medium',
+      category: null,
+      assignee: null,
+      dueDate: null,
+      customFields: {},
+      tags: [],
+      parentIndex: null,
+      dependsOn: []
+    };
+
+    if (!title) {
+      errors.push({ row, message: 'Title is required' });
+    } else if (title.length > 500) {
+      errors.push({ row, message: 'Title must be 500 characters or fewer' });
+    }
+
+    const status = matchStatus(workflow, record.status, record.statusCategory);
+    item.status = status.status;
+    if (record.status && !status.exact) {
+      warnings.push({ row, message: `Status "${record.status}" is not in the workflow; using "${status.status}"` });
+    }
+
+    if (record.priority) {
+      const priority = normalizePriority(record.priority);
+      if (priority) {
+        item.priority = priority;
+      } else {
+        warnings.push({ row, message: `Unknown priority "${record.priority}"; using medium` });
+      }
+    }
+
+    if (itemType === 'issue') {
+      item.category = record.category ? String(record.category).trim().slice(0, 100) : null;
+    }
+
+    if (record.assignee) {
+      const match = matchAssignee(record.assignee, users);
+      if (!match) {
+        warnings.push({ row, message: `No project member matches assignee "${record.assignee}"; left unassigned` });
+      } else {
+        item.assignee = match.username;
+        if (match.confidence < 1) {
+          warnings.push({ row, message: `Assignee "${record.assignee}" matched to ${match.username} (${Math.round(match.confidence * 100)}% confidence)` });
+        }
+      }
+    }
+    if (record.additionalAssignees && record.additionalAssignees.length > 0) {
+      warnings.push({ row, message: `Only the first assignee is imported; skipped ${record.additionalAssignees.join(', ')}` });
+    }
+
+    const dueDate = parseImportDate(record.dueDate);
+    if (dueDate === undefined) {
+      errors.push({ row, message: `Due date "${record.dueDate}" is not a valid date` });
+    } else {
+      item.dueDate = dueDate;
+    }
+
+    const definitions = customFields.filter(d => customFieldsService.fieldAppliesTo(d, itemType));
+    // Columns for fields that only apply to the other item type are ignored
+    const customInput = {};
+    definitions.forEach(d => {
+      if (record.customFields && record.customFields[d.key] !== undefined) {
+        customInput[d.key] = record.customFields[d.key];
+      }
+    });
+    const resolved = customFieldsService.resolveCustomFieldValues(definitions, customInput, { users: usernames });
+    resolved.errors.forEach(message => errors.push({ row, message }));
+    item.customFields = resolved.values;
+
+    item.tags = [...new Set(splitList(record.tags))].map(name => {
+      const existing = existingTags.get(name.toLowerCase());
+      if (existing) return existing.name;
+      if (!newTags.has(name.toLowerCase())) newTags.set(name.toLowerCase(), name);
+      return newTags.get(name.toLowerCase());
+    });
+
+    return { item, parentRef: record.parent, dependsOnRefs: splitList(record.dependsOn) };
+  });
+
+  // Resolve references within the file
+  const byKey = new Map();
+  items.forEach(({ item }, index) => {
+    if (!item.externalId) return;
+    const key = `${item.itemType}:${item.externalId}`;
+    if (byKey.has(key)) {
+      errors.push({ row: item.row, message: `Duplicate ID "${item.externalId}" (also on row ${items[byKey.get(key)].item.row})` });
+    } else {
+      byKey.set(key, index);
+    }
+  });
+  const resolveRef = token => {
+    const ref = parseReference(token);
+    if (ref.itemType) return byKey.get(`${ref.itemType}:${ref.externalId}`);
+    const asIssue = byKey.get(`issue:${ref.externalId}`);
+    return asIssue !== undefined ? asIssue : byKey.get(`action-item:${ref.externalId}`);
+  };
+
+  items.forEach(({ item, parentRef, dependsOnRefs }, index) => {
+    if (parentRef) {
+      const parentIndex = resolveRef(parentRef);
+      if (item.itemType !== 'issue') {
+        warnings.push({ row: item.row, message: 'Action items cannot have a parent; parent ignored' });
+      } else if (parentIndex === undefined) {
+        warnings.push({ row: item.row, message: `Parent "${parentRef}" is not in the file; imported as a top-level issue` });
+      } else if (items[parentIndex].item.itemType !== 'issue') {
+        errors.push({ row: item.row, message: `Parent "${parentRef}" is an action item; only issues can be parents` });
+      } else if (parentIndex === index) {
+        errors.push({ row: item.row, message: 'An issue cannot be its own parent' });
+      } else {
+        item.parentIndex = parentIndex;
+      }
+    }
+
+    dependsOnRefs.forEach(token => {
+      const prerequisite = resolveRef(token);
+      if (prerequisite === undefined) {
+        warnings.push({ row: item.row, message: `Dependency "${token}" is not in the file; skipped` });
+      } else if (prerequisite === index) {
+        warnings.push({ row: item.row, message: 'An item cannot depend on itself; skipped' });
+      } else if (!item.dependsOn.includes(prerequisite)) {
+        item.dependsOn.push(prerequisite);
+      }
+    });
+  });
+
+  // Hierarchy: no loops, max depth, parents inserted before children
+  const order = [];
+  const depthOf = new Map();
+  items.forEach(({ item }, index) => {
+    const chain = [];
+    let current = index;
+    while (current !== null && !depthOf.has(current)) {
+      if (chain.includes(current)) {
+        errors.push({ row: item.row, message: 'Parent references form a loop' });
+        chain.forEach(i => { depthOf.set(i, 0); items[i].item.parentIndex = null; });
+        return;
+      }
+      chain.push(current);
+      current = items[current].item.parentIndex;
+    }
+    let depth = current === null ? -1 : depthOf.get(current);
+    chain.reverse().forEach(i => {
+      depth++;
+      depthOf.set(i, depth);
+      order.push(i);
+      if (depth > MAX_HIERARCHY_DEPTH) {
+        errors.push({ row: items[i].item.row, message: `Hierarchy is deeper than ${MAX_HIERARCHY_DEPTH} levels` });
+      }
+    });
+  });
+  items.forEach((entry, index) => {
+    if (!order.includes(index)) order.push(index);
+  });
+
+  const cycle = findDependencyCycle(items.map(({ item }) => item.dependsOn));
+  if (cycle) {
+    errors.push({
+      row: items[cycle[0]].item.row,
+      message: `Circular dependency: rows ${cycle.map(i => items[i].item.row).join(' → ')}`
+    });
+  }
+
+  // Re-index references in insert order
+  const position = new Map(order.map((index, i) => [index, i]));
+  const planned = order.map(index => {
+    const { item } = items[index];
+    return {
+      ...item,
+      parentIndex: item.parentIndex === null ? null : position.get(item.parentIndex),
+      dependsOn: item.dependsOn.map(i => position.get(i))
+    };
+  });
+
+  errors.sort((a, b) => (a.row || 0) - (b.row || 0));
+  warnings.sort((a, b) => (a.row || 0) - (b.row || 0));
+
+  return {
+    items: planned,
+    errors,
+    warnings,
+    summary: {
+      total: planned.length,
+      issues: planned.filter(i => i.itemType === 'issue').length,
+      actionItems: planned.filter(i => i.itemType === 'action-item').length,
+      children: planned.filter(i => i.parentIndex !== null).length,
+      dependencies: planned.reduce((sum, i) => sum + i.dependsOn.length, 0),
+      newTags: [...newTags.values()]
+    }
+  };
+}
+
+/**
+ * @param {number[][]} edges - edges[i] lists the indexes item i depends on
+ * @returns {number[]|null} indexes forming a cycle, closed (first === last)
+ */
+function findDependencyCycle(edges) {
+  const state = new Array(edges.length).fill(0); // 0 unvisited, 1 on stack, 2 done
+  const stack = [];
+
+  const visit = node => {
+    state[node] = 1;
+    stack.push(node);
+    for (const next of edges[node]) {
+      if (state[next] === 1) {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (state[next] === 0) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state[node] = 2;
+    return null;
+  };
+
+  for (let node = 0; node < edges.length; node++) {
+    if (state[node] === 0) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an upload into records.
+ * @returns {Object} { format, headers, mapping, records }
+ */
+function readImportFile({ format, content, mapping }, customFields = []) {
+  const resolvedFormat = format || detectFormat(content);
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new Error(`Invalid import: format must be one of ${IMPORT_FORMATS.join(', ')}`);
+  }
+  if (!content || !String(content).trim()) {
+    throw new Error('Invalid import: file is empty');
+  }
+
+  if (resolvedFormat === 'csv') {
+    let parsed;
+    try {
+      parsed = parseCsv(content);
+    } catch (e) {
+      throw new Error(`Invalid import: ${e.message}`);
+    }
+    const columnMapping = mapping && Object.keys(mapping).length > 0
+      ? mapping
+      : buildDefaultMapping(parsed.headers, customFields);
+    const mappingErrors = validateMapping(columnMapping, customFields);
+    if (mappingErrors.length > 0) {
+      const error = new Error(`Invalid import: ${mappingErrors.join('; ')}`);
+      error.validationErrors = mappingErrors;
+      throw error;
+    }
+    return {
+      format: resolvedFormat,
+      headers: parsed.headers,
+      mapping: columnMapping,
+      records: applyMapping(parsed.headers, parsed.rows, columnMapping)
+    };
+  }
+
+  let data;
+  try {
+    data = typeof content === 'string' ? JSON.parse(content.replace(/^\ufeff/, '')) : content;
+  } catch (e) {
+    throw new Error('Invalid import: file is not valid JSON');
+  }
+  const parsers = { jira: parseJiraExport, trello: parseTrelloExport, asana: parseAsanaExport };
+  try {
+    return { format: resolvedFormat, headers: null, mapping: null, records: parsers[resolvedFormat](data) };
+  } catch (e) {
+    throw new Error(`Invalid import: ${e.message.replace(/^Invalid /, '')}`);
+  }
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getImportContext(projectId) {
+  const [workflow, users, tagResult, customFields] = await Promise.all([
+    workflowService.getProjectWorkflow(projectId),
+    getProjectUsers(projectId),
+    pool.query(
+      `SELECT id, name FROM tags
+       WHERE project_id = $1 AND tag_type IN ('issue_action', 'both')`,
+      [projectId]
+    ),
+    customFieldsService.getFieldDefinitions(projectId)
+  ]);
+  return { workflow, users, tags: tagResult.rows, customFields };
+}
+
+/**
+ * Parse and validate an upload without writing anything.
+ *
+ * @param {number} projectId
+ * @param {Object} options - { format, content, mapping, defaultItemType }
+ */
+async function previewImport(projectId, options) {
+  const context = await getImportContext(projectId);
+  const file = readImportFile(options, context.customFields);
+  const plan = buildImportPlan(file.records, { ...context, defaultItemType: options.defaultItemType });
+
+  return {
+    format: file.format,
+    headers: file.headers,
+    mapping: file.mapping,
+    fields: [
+      ...IMPORT_FIELDS,
+      ...context.customFields.map(d => ({ key: `cf:${d.key}`, label: d.name, customField: true }))
+    ],
+    ...plan
+  };
+}
+
+/**
+ * Import an upload. Refuses to write anything when the plan has errors.
+ * Items, tags, hierarchy and dependencies are created in one transaction.
+ */
+async function runImport(projectId, options, userId) {
+  const preview = await previewImport(projectId, options);
+  if (preview.errors.length > 0) {
+    const error = new Error(`Invalid import: ${preview.errors.length} problem${preview.errors.length === 1 ? '' : 's'} found`);
+    error.validationErrors = preview.errors.map(e => (e.row ? `Row ${e.row}: ${e.message}` : e.message));
+    throw error;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const tagIds = new Map();
+    const existingTags = await client.query(
+      `SELECT id, name FROM tags WHERE project_id = $1 AND tag_type IN ('issue_action', 'both')`,
+      [projectId]
+    );
+    existingTags.rows.forEach(t => tagIds.set(t.name.toLowerCase(), t.id));
+    for (const name of preview.summary.newTags) {
+      const result = await client.query(
+        `INSERT INTO tags (project_id, name, color, description, created_by, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         RETURNING id`,
+        [projectId, name, DEFAULT_TAG_COLOR, 'Created by import', userId]
+      );
+      tagIds.set(name.toLowerCase(), result.rows[0].id);
+    }
+
+    const created = [];
+    for (const item of preview.items) {
+      let result;
+      if (item.itemType === 'issue') {
+        const parent = item.parentIndex === null ? null : created[item.parentIndex];
+        result = await client.query(
+          `INSERT INTO issues (
+             title, description, type, priority, category, assignee,
+             due_date, project_id, parent_issue_id, status, created_by, custom_fields
+           ) VALUES ($1, $2, 'Task', $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           RETURNING id`,
+          [item.title, item.description, item.priority, item.category || 'General', item.assignee || '',
+           item.dueDate, projectId, parent ? parent.id : null, item.status, userId.toString(),
+           JSON.stringify(item.customFields)]
+        );
+      } else {
+        result = await client.query(
+          `INSERT INTO action_items (
+             title, description, project_id, priority, assignee, due_date, status, created_by, custom_fields
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id`,
+          [item.title, item.description, projectId, item.priority, item.assignee || '',
+           item.dueDate, item.status, userId.toString(), JSON.stringify(item.customFields)]
+        );
+      }
+      created.push({ itemType: item.itemType, id: result.rows[0].id, externalId: item.externalId });
+
+      const tagTable = item.itemType === 'issue' ? 'issue_tags' : 'action_item_tags';
+      const tagColumn = item.itemType === 'issue' ? 'issue_id' : 'action_item_id';
+      for (const name of item.tags) {
+        await client.query(
+          `INSERT INTO ${tagTable} (${tagColumn}, tag_id, created_at)
+           VALUES ($1, $2, CURRENT_TIMESTAMP)
+           ON CONFLICT DO NOTHING`,
+          [result.rows[0].id, tagIds.get(name.toLowerCase())]
+        );
+      }
+    }
+
+    let dependencies = 0;
+    for (let i = 0; i < preview.items.length; i++) {
+      const dependent = created[i];
+      const tableName = dependent.itemType === 'issue' ? 'issue_dependencies' : 'action_item_dependencies';
+      const dependentColumn = dependent.itemType === 'issue' ? 'issue_id' : 'action_item_id';
+      for (const prerequisiteIndex of preview.items[i].dependsOn) {
+        const prerequisite = created[prerequisiteIndex];
+        await client.query(
+          `INSERT INTO ${tableName} (${dependentColumn}, prerequisite_item_type, prerequisite_item_id)
+           VALUES ($1, $2, $3)`,
+          [dependent.id, prerequisite.itemType === 'issue' ? 'issue' : 'action-item', prerequisite.id]
+        );
+        dependencies++;
+      }
+    }
+
+    await client.query('COMMIT');
+
+    return {
+      format: preview.format,
+      created: {
+        issues: created.filter(c => c.itemType === 'issue').length,
+        actionItems: created.filter(c => c.itemType === 'action-item').length,
+        tags: preview.summary.newTags.length,
+        dependencies
+      },
+      items: created,
+      warnings: preview.warnings
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+
+  // Pure helpers
+  parseCsv,
+  buildDefaultMapping,
+  validateMapping,
+  applyMapping,
+  parseJiraExport,
+  parseTrelloExport,
+  parseAsanaExport,
+  detectFormat,
+  normalizePriority,
+  parseImportDate,
+  matchStatus,
+  matchAssignee,
+  parseReference,
+  buildImportPlan,
+  findDependencyCycle,
+  readImportFile,
+
+  // Database access
+  previewImport,
+  runImport
+};
@@ -0,0 +1,699 @@
+/**
+ * Item Query Service
+ *
+ * A small query language for issues and action items, e.g.
+ *   status:open assignee:me priority>=high due<7d tag:backend parent:EPIC-12 -tag:blocked text:"cutover"
+ *
+ * Terms are ANDed. A leading "-" negates a term, and "field:a,b" matches any
+ * of the listed values. Bare words and quoted phrases search title and
+ * description. Queries are parsed into terms, validated, and compiled into
+ * parameterized SQL conditions for the /api/issues and /api/action-items
+ * queries - values never reach the SQL text.
+ */
+
+const { pool } = require('../db');
+const customFieldsService = require('./custom-fields-service');
+const workflowService = require('./workflow-service');
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_TERMS = 30;
+
+// Longest operators first so ">=" is not read as ">"
+const OPERATORS = ['>=', '<=', '!=', ':', '=', '>', '<'];
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<='];
+
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const PRIORITY_ALIASES = { urgent: 'critical', p1: 'critical', p2: 'high', p3: 'medium', p4: 'low' };
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+const ITEM_TYPES = { issue: 'issue', issues: 'issue', action: 'action-item', 'action-item': 'action-item', 'action-items': 'action-item' };
+
+const QUERY_FIELDS = {
+  status: { kind: 'status', description: 'Status name, or open / todo / active / done' },
+  assignee: { kind: 'user', description: 'Username, me or none' },
+  priority: { kind: 'priority', comparable: true, description: 'low, medium, high or critical' },
+  type: { kind: 'type', description: 'issue or action' },
+  due: { kind: 'date', column: 'due_date', comparable: true, description: 'Due date: 2026-11-30, today, 7d, -3d or none' },
+  created: { kind: 'date', column: 'created_at', comparable: true, description: 'Created date, e.g. created>-14d' },
+  updated: { kind: 'date', column: 'updated_at', comparable: true, description: 'Last updated, e.g. updated<-30d' },
+  tag: { kind: 'tag', description: 'Tag name' },
+  parent: { kind: 'parent', description: 'Parent issue, e.g. parent:12, parent:EPIC-12 or none' },
+  sprint: { kind: 'sprint', description: 'Sprint name or id, active or backlog' },
+  category: { kind: 'category', description: 'Issue category' },
+  text: { kind: 'text', description: 'Words in the title or description' },
+  id: { kind: 'id', comparable: true, description: 'Item number' }
+};
+
+const FIELD_ALIASES = { assigned: 'assignee', owner: 'assignee', label: 'tag', tags: 'tag', labels: 'tag', search: 'text' };
+
+const CUSTOM_FIELD_PREFIX = 'cf.';
+const CUSTOM_FIELD_KEY = /^[a-z][a-z0-9_]{0,49}$/;
+
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}$/;
+const RELATIVE_DATE_VALUE = /^([+-]?\d{1,4})([dwm])$/;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function queryError(message, start, end) {
+  return { message, start, end };
+}
+
+function readQuoted(input, start) {
+  let value = '';
+  let i = start + 1;
+  while (i < input.length) {
+    const ch = input[i];
+    if (ch === '\\' && i + 1 < input.length) {
+      value += input[i + 1];
+      i += 2;
+      continue;
+    }
+    if (ch === '"') {
+      return { value, end: i + 1 };
+    }
+    value += ch;
+    i++;
+  }
+  return { value, end: input.length, unterminated: true };
+}
+
+function readWord(input, start) {
+  let i = start;
+  while (i < input.length && !/\s/.test(input[i])) i++;
+  return { value: input.slice(start, i), end: i };
+}
+
+/**
+ * Read a field value up to the next unquoted whitespace, split on unquoted
+ * commas: tag:backend,"needs review" -> ['backend', 'needs review'].
+ */
+function readValueList(input, start) {
+  const values = [];
+  let current = '';
+  let unterminated = false;
+  let i = start;
+
+  while (i < input.length && !/\s/.test(input[i])) {
+    if (input[i] === '"') {
+      const read = readQuoted(input, i);
+      current += read.value;
+      unterminated = unterminated || Boolean(read.unterminated);
+      i = read.end;
+      continue;
+    }
+    if (input[i] === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += input[i];
+    }
+    i++;
+  }
+  values.push(current);
+
+  return { values: values.map(v => v.trim()).filter(v => v !== ''), end: i, unterminated };
+}
+
+/**
+ * Split a query into raw terms: { negated, field, operator, values, start, end }.
+ * Bare words and phrases come back with field null.
+ */
+function tokenizeQuery(input) {
+  const terms = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negated = false;
+    if (input[i] === '-' && i + 1 < input.length && !/[\s\d]/.test(input[i + 1])) {
+      negated = true;
+      i++;
+    }
+
+    if (input[i] === '"') {
+      const quoted = readQuoted(input, i);
+      if (quoted.unterminated) {
+        errors.push(queryError('Missing closing quote', i, input.length));
+      }
+      terms.push({ negated, field: null, operator: null, values: [quoted.value], quoted: true, start, end: quoted.end });
+      i = quoted.end;
+      continue;
+    }
+
+    const fieldMatch = /^[A-Za-z_][\w.]*/.exec(input.slice(i));
+    const afterField = fieldMatch ? i + fieldMatch[0].length : i;
+    const operator = fieldMatch && OPERATORS.find(op => input.startsWith(op, afterField));
+
+    if (!operator) {
+      const word = readWord(input, i);
+      terms.push({ negated, field: null, operator: null, values: [word.value], quoted: false, start, end: word.end });
+      i = word.end;
+      continue;
+    }
+
+    const read = readValueList(input, afterField + operator.length);
+    if (read.unterminated) {
+      errors.push(queryError('Missing closing quote', afterField + operator.length, input.length));
+    }
+    i = read.end;
+
+    terms.push({ negated, field: fieldMatch[0], operator, values: read.values, start, end: i });
+  }
+
+  return { terms, errors };
+}
+
+function normalizePriorityValue(value) {
+  const lower = value.toLowerCase();
+  const priority = PRIORITY_ALIASES[lower] || lower;
+  return PRIORITY_LEVELS.includes(priority) ? priority : null;
+}
+
+/**
+ * Parse a date value into { date } for an absolute day, { days } / { months }
+ * relative to today (positive is in the future), or { none: true }.
+ */
+function parseDateValue(value) {
+  const lower = value.toLowerCase();
+  if (lower === 'none') return { none: true };
+  if (lower === 'today') return { days: 0 };
+  if (lower === 'tomorrow') return { days: 1 };
+  if (lower === 'yesterday') return { days: -1 };
+
+  const relative = RELATIVE_DATE_VALUE.exec(lower);
+  if (relative) {
+    const amount = parseInt(relative[1]);
+    if (relative[2] === 'm') return { months: amount };
+    return { days: relative[2] === 'w' ? amount * 7 : amount };
+  }
+
+  if (DATE_VALUE.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value) {
+      return { date: value };
+    }
+  }
+  return null;
+}
+
+function parseParentValue(value) {
+  if (value.toLowerCase() === 'none') return { none: true };
+  const match = /(\d+)$/.exec(value);
+  return match ? { id: parseInt(match[1]) } : null;
+}
+
+function resolveField(name) {
+  const lower = name.toLowerCase();
+  if (lower.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const key = lower.slice(CUSTOM_FIELD_PREFIX.length);
+    return CUSTOM_FIELD_KEY.test(key) ? { name: lower, kind: 'custom', key, comparable: true } : null;
+  }
+  const canonical = FIELD_ALIASES[lower] || lower;
+  return QUERY_FIELDS[canonical] ? { name: canonical, ...QUERY_FIELDS[canonical] } : null;
+}
+
+/**
+ * Check a single value against its field, returning the normalized value or
+ * an error message.
+ */
+function validateValue(field, value) {
+  switch (field.kind) {
+    case 'priority': {
+      const priority = normalizePriorityValue(value);
+      return priority ? { value: priority } : { error: `Unknown priority "${value}". Use ${PRIORITY_LEVELS.join(', ')}` };
+    }
+    case 'type': {
+      const type = ITEM_TYPES[value.toLowerCase()];
+      return type ? { value: type } : { error: `Unknown type "${value}". Use issue or action` };
+    }
+    case 'date': {
+      const date = parseDateValue(value);
+      return date ? { value: date } : { error: `"${value}" is not a date. Use 2026-11-30, today, 7d, -2w or none` };
+    }
+    case 'parent': {
+      const parent = parseParentValue(value);
+      return parent ? { value: parent } : { error: `"${value}" is not an issue reference. Use an issue number such as 12 or EPIC-12` };
+    }
+    case 'id':
+      return /^#?\d+$/.test(value) ? { value: parseInt(value.replace('#', '')) } : { error: `"${value}" is not an item number` };
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Parse and validate a query.
+ *
+ * @returns {Object} { terms, errors } - errors carry { message, start, end }
+ *   offsets into the input so the filter bar can point at the problem
+ */
+function parseQuery(input) {
+  const text = String(input || '');
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { terms: [], errors: [queryError(`Query is too long (max ${MAX_QUERY_LENGTH} characters)`, MAX_QUERY_LENGTH, text.length)] };
+  }
+
+  const tokenized = tokenizeQuery(text);
+  const errors = [...tokenized.errors];
+  const terms = [];
+
+  tokenized.terms.forEach(raw => {
+    if (!raw.field) {
+      const [word] = raw.values;
+      if (!raw.quoted && !raw.negated && word === 'AND') return;
+      if (!raw.quoted && word === 'OR') {
+        errors.push(queryError('OR is not supported. List alternatives with commas, e.g. status:todo,active', raw.start, raw.end));
+        return;
+      }
+      if (word === '') return;
+      terms.push({ field: 'text', kind: 'text', operator: ':', negated: raw.negated, values: [word], start: raw.start, end: raw.end });
+      return;
+    }
+
+    const field = resolveField(raw.field);
+    if (!field) {
+      errors.push(queryError(`Unknown field "${raw.field}". Try ${Object.keys(QUERY_FIELDS).join(', ')} or cf.<field key>`, raw.start, raw.end));
+      return;
+    }
+
+    // "!=" is a negated ":"; "=" is a synonym for ":"
+    let operator = raw.operator === '=' ? ':' : raw.operator;
+    let negated = raw.negated;
+    if (operator === '!=') {
+      operator = ':';
+      negated = !negated;
+    }
+
+    if (COMPARISON_OPERATORS.includes(operator) && !field.comparable) {
+      errors.push(queryError(`${field.name} cannot be compared with ${operator}. Use ${field.name}:value`, raw.start, raw.end));
+      return;
+    }
+    if (raw.values.length === 0) {
+      errors.push(queryError(`Missing value after "${raw.field}${raw.operator}"`, raw.start, raw.end));
+      return;
+    }
+
+    // text:a,b searches for the literal "a,b"
+    const rawValues = field.kind === 'text' ? [raw.values.join(',')] : raw.values;
+    if (rawValues.length > 1 && operator !== ':') {
+      errors.push(queryError(`Only one value can be compared with ${operator}`, raw.start, raw.end));
+      return;
+    }
+
+    const values = [];
+    let valid = true;
+    rawValues.forEach(value => {
+      const checked = validateValue(field, value);
+      if (checked.error) {
+        errors.push(queryError(checked.error, raw.start, raw.end));
+        valid = false;
+      } else {
+        values.push(checked.value);
+      }
+    });
+    if (!valid) return;
+
+    if (field.kind === 'date' && operator !== ':' && values[0].none) {
+      errors.push(queryError(`${field.name}${operator}none does not make sense. Use ${field.name}:none`, raw.start, raw.end));
+      return;
+    }
+
+    terms.push({
+      field: field.name,
+      kind: field.kind,
+      key: field.key,
+      column: field.column,
+      operator,
+      negated,
+      values,
+      start: raw.start,
+      end: raw.end
+    });
+  });
+
+  if (terms.length > MAX_TERMS) {
+    errors.push(queryError(`Too many terms (max ${MAX_TERMS})`, 0, text.length));
+  }
+
+  errors.sort((a, b) => a.start - b.start);
+  return { terms, errors };
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+function addParam(params, value) {
+  params.push(value);
+  return `$${params.length}`;
+}
+
+function anyOf(conditions) {
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(' OR ')})`;
+}
+
+function dateExpression(value, params) {
+  if (value.date) return `${addParam(params, value.date)}::date`;
+  if (value.months !== undefined) return `(CURRENT_DATE + make_interval(months => ${addParam(params, value.months)}::int))::date`;
+  return `(CURRENT_DATE + ${addParam(params, value.days)}::int)`;
+}
+
+function comparisonOperator(operator) {
+  return operator === ':' ? '=' : operator;
+}
+
+/**
+ * Compile one validated term into a SQL condition for the given table alias.
+ */
+function compileTerm(term, { alias, itemType, params, username }) {
+  const col = column => `${alias}.${column}`;
+  const isIssue = itemType === 'issue';
+
+  switch (term.kind) {
+    case 'status':
+      return anyOf(term.values.map(value => {
+        const lower = value.toLowerCase();
+        const category = lower === 'closed' ? 'done' : lower;
+        if (lower === 'open') {
+          return `status_category(${col('project_id')}, ${col('status')}) <> 'done'`;
+        }
+        if (STATUS_CATEGORIES.includes(category)) {
+          return `status_category(${col('project_id')}, ${col('status')}) = ${addParam(params, category)}`;
+        }
+        return `LOWER(${col('status')}) = LOWER(${addParam(params, value)})`;
+      }));
+
+    case 'user':
+      return anyOf(term.values.map(value => {
+        const lower = value.toLowerCase();
+        if (lower === 'none') return `COALESCE(${col('assignee')}, '') = ''`;
+        return `LOWER(${col('assignee')}) = LOWER(${addParam(params, lower === 'me' ? username : value)})`;
+      }));
+
+    case 'priority': {
+      let levels = term.values;
+      if (term.operator !== ':') {
+        const rank = PRIORITY_LEVELS.indexOf(term.values[0]);
+        levels = PRIORITY_LEVELS.filter((level, index) => (
+          term.operator === '>' ? index > rank :
+          term.operator === '>=' ? index >= rank :
+          term.operator === '<' ? index < rank :
+          index <= rank
+        ));
+      }
+      return `LOWER(${col('priority')}) = ANY(${addParam(params, levels)}::text[])`;
+    }
+
+    case 'type':
+      return term.values.includes(itemType) ? 'TRUE' : 'FALSE';
+
+    case 'date':
+      return anyOf(term.values.map(value => (value.none
+        ? `${col(term.column)} IS NULL`
+        : `${col(term.column)}::date ${comparisonOperator(term.operator)} ${dateExpression(value, params)}`)));
+
+    case 'tag': {
+      const linkTable = isIssue ? 'issue_tags' : 'action_item_tags';
+      const linkColumn = isIssue ? 'issue_id' : 'action_item_id';
+      return `EXISTS (
+        SELECT 1 FROM ${linkTable} qtl JOIN tags qt ON qt.id = qtl.tag_id
+        WHERE qtl.${linkColumn} = ${col('id')} AND LOWER(qt.name) = ANY(${addParam(params, term.values.map(v => v.toLowerCase()))}::text[])
+      )`;
+    }
+
+    case 'parent':
+      // Only issues have parents; an action item matches parent:none and nothing else
+      return anyOf(term.values.map(value => {
+        if (!isIssue) return value.none ? 'TRUE' : 'FALSE';
+        if (value.none) return `${col('parent_issue_id')} IS NULL`;
+        return `${col('parent_issue_id')} = ${addParam(params, value.id)}`;
+      }));
+
+    case 'sprint':
+      return anyOf(term.values.map(value => {
+        const lower = value.toLowerCase();
+        if (lower === 'none' || lower === 'backlog') return `${col('sprint_id')} IS NULL`;
+        if (lower === 'active' || lower === 'current') {
+          return `${col('sprint_id')} IN (SELECT id FROM sprints WHERE project_id = ${col('project_id')} AND status = 'active')`;
+        }
+        if (/^\d+$/.test(value)) return `${col('sprint_id')} = ${addParam(params, parseInt(value))}`;
+        return `${col('sprint_id')} IN (SELECT id FROM sprints WHERE project_id = ${col('project_id')} AND LOWER(name) = LOWER(${addParam(params, value)}))`;
+      }));
+
+    case 'category':
+      if (!isIssue) return 'FALSE';
+      return `LOWER(${col('category')}) = ANY(${addParam(params, term.values.map(v => v.toLowerCase()))}::text[])`;
+
+    case 'text': {
+      const pattern = addParam(params, `%${escapeLike(term.values[0])}%`);
+      return `(${col('title')} ILIKE ${pattern} OR ${col('description')} ILIKE ${pattern})`;
+    }
+
+    case 'id':
+      return `${col('id')} ${comparisonOperator(term.operator)} ${addParam(params, term.values[0])}`;
+
+    case 'custom':
+      return compileCustomFieldTerm(term, alias, params);
+
+    default:
+      throw new Error(`Unhandled query field ${term.field}`);
+  }
+}
+
+function compileCustomFieldTerm(term, alias, params) {
+  const value = term.values[0];
+  if (term.operator === ':') {
+    return anyOf(term.values.map(v => {
+      if (v.toLowerCase() === 'none') {
+        return `NOT COALESCE(${customFieldsService.buildCustomFieldCondition(alias, `${term.key}:*`, params)}, FALSE)`;
+      }
+      return customFieldsService.buildCustomFieldCondition(alias, `${term.key}:${v}`, params);
+    }));
+  }
+
+  const keyParam = addParam(params, term.key);
+  const operator = comparisonOperator(term.operator);
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return `(CASE WHEN jsonb_typeof(${alias}.custom_fields->${keyParam}) = 'number'
+      THEN (${alias}.custom_fields->>${keyParam})::numeric END) ${operator} ${addParam(params, parseFloat(value))}`;
+  }
+  // Dates are stored as YYYY-MM-DD, which sorts as text
+  return `${alias}.custom_fields->>${keyParam} ${operator} ${addParam(params, value)}`;
+}
+
+function invalidQueryError(errors) {
+  const error = new Error(`Invalid query: ${errors[0].message}`);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Parse, validate and compile a query for one item table. Condition
+ * placeholders continue from the params already in the array.
+ *
+ * @param {string} input - The query text
+ * @param {Object} options - { alias, itemType: 'issue'|'action-item', params, username }
+ * @returns {string[]} SQL conditions to AND into the WHERE clause
+ * @throws {Error} 'Invalid query: ...' with validationErrors [{ message, start, end }]
+ */
+function compileItemQuery(input, { alias, itemType, params, username }) {
+  const { terms, errors } = parseQuery(input);
+  if (errors.length > 0) {
+    throw invalidQueryError(errors);
+  }
+
+  return terms.map(term => {
+    const condition = compileTerm(term, { alias, itemType, params, username });
+    // Negation keeps rows where the condition is NULL (e.g. no assignee)
+    return term.negated ? `NOT COALESCE(${condition}, FALSE)` : condition;
+  });
+}
+
+function quoteValue(value) {
+  return /[\s",]/.test(value) ? `"${value.replace(/["\\]/g, '\\$&')}"` : value;
+}
+
+function rankMatches(candidates, partial) {
+  const lower = partial.toLowerCase();
+  const prefix = candidates.filter(c => c.match.toLowerCase().startsWith(lower));
+  const contains = candidates.filter(c => !c.match.toLowerCase().startsWith(lower) && c.match.toLowerCase().includes(lower));
+  return [...prefix, ...contains];
+}
+
+function valueCandidates(field, vocabulary) {
+  const named = (values, detail) => values.map(v => ({ value: v, detail }));
+  switch (field.kind) {
+    case 'status':
+      return [
+        ...named(['open'], 'Not done'),
+        ...named(STATUS_CATEGORIES, 'Status category'),
+        ...named(vocabulary.statuses || [], 'Status')
+      ];
+    case 'user':
+      return [...named(['me'], 'You'), ...named(['none'], 'Unassigned'), ...named(vocabulary.assignees || [], 'Team member')];
+    case 'priority':
+      return named([...PRIORITY_LEVELS].reverse(), 'Priority');
+    case 'type':
+      return [{ value: 'issue', detail: 'Issues' }, { value: 'action', detail: 'Action items' }];
+    case 'date':
+      return [
+        { value: 'today', detail: 'Today' },
+        { value: '7d', detail: '7 days from today' },
+        { value: '-7d', detail: '7 days ago' },
+        { value: '30d', detail: '30 days from today' },
+        { value: 'none', detail: 'No date' }
+      ];
+    case 'tag':
+      return named(vocabulary.tags || [], 'Tag');
+    case 'parent':
+      return [{ value: 'none', detail: 'Top-level items' }];
+    case 'sprint':
+      return [
+        { value: 'active', detail: 'Active sprint' },
+        { value: 'backlog', detail: 'Not in a sprint' },
+        ...named(vocabulary.sprints || [], 'Sprint')
+      ];
+    case 'category':
+      return named(vocabulary.categories || [], 'Category');
+    case 'custom': {
+      const definition = (vocabulary.customFields || []).find(f => f.key === field.key);
+      const options = definition ? definition.options || [] : [];
+      return [...named(options, definition ? definition.name : 'Option'), { value: 'none', detail: 'No value' }];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Autocomplete for the filter bar: field names, then values for the field
+ * under the cursor.
+ *
+ * @param {string} input - Query text
+ * @param {number} cursor - Caret offset
+ * @param {Object} vocabulary - { statuses, assignees, tags, sprints, categories, customFields }
+ * @returns {Object} { from, to, suggestions: [{ text, label, detail }] } -
+ *   replacing input.slice(from, to) with a suggestion's text completes it
+ */
+function suggestCompletions(input, cursor, vocabulary = {}, limit = 10) {
+  const text = String(input || '');
+  const position = Math.max(0, Math.min(cursor === undefined ? text.length : cursor, text.length));
+  const prefix = text.slice(0, position);
+
+  // Start of the term under the cursor; whitespace inside an open quote does not end it
+  let start = position;
+  let quoteOpen = (prefix.match(/"/g) || []).length % 2 === 1;
+  while (start > 0) {
+    const ch = text[start - 1];
+    if (ch === '"') quoteOpen = !quoteOpen;
+    if (/\s/.test(ch) && !quoteOpen) break;
+    start--;
+  }
+  let end = position;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+
+  let token = text.slice(start, position);
+  let from = start;
+  if (token.startsWith('-')) {
+    token = token.slice(1);
+    from += 1;
+  }
+
+  const fieldMatch = /^([A-Za-z_][\w.]*)(>=|<=|!=|:|=|>|<)(.*)$/.exec(token);
+  if (!fieldMatch) {
+    const customFieldNames = (vocabulary.customFields || []).map(f => ({
+      match: `${CUSTOM_FIELD_PREFIX}${f.key}`, text: `${CUSTOM_FIELD_PREFIX}${f.key}:`, label: `${CUSTOM_FIELD_PREFIX}${f.key}`, detail: f.name
+    }));
+    const fields = Object.entries(QUERY_FIELDS).map(([name, field]) => ({
+      match: name, text: `${name}:`, label: name, detail: field.description
+    }));
+    const suggestions = rankMatches([...fields, ...customFieldNames], token).slice(0, limit);
+    return { from, to: end, suggestions: suggestions.map(({ text: t, label, detail }) => ({ text: t, label, detail })) };
+  }
+
+  const field = resolveField(fieldMatch[1]);
+  if (!field) return { from: position, to: position, suggestions: [] };
+
+  // Complete the last value of a comma list, or the quoted value being typed
+  const valueText = fieldMatch[3];
+  const insideQuote = (valueText.match(/"/g) || []).length % 2 === 1;
+  const segmentStart = insideQuote ? valueText.lastIndexOf('"') : valueText.lastIndexOf(',') + 1;
+  const partial = valueText.slice(segmentStart).replace(/^"/, '');
+  const valueFrom = from + fieldMatch[1].length + fieldMatch[2].length + segmentStart;
+
+  const candidates = valueCandidates(field, vocabulary).map(c => ({
+    match: c.value,
+    text: `${quoteValue(c.value)} `,
+    label: c.value,
+    detail: c.detail
+  }));
+  const suggestions = rankMatches(candidates, partial)
+    .filter(c => c.match.toLowerCase() !== partial.toLowerCase() || partial === '')
+    .slice(0, limit);
+  return { from: valueFrom, to: end, suggestions: suggestions.map(({ text: t, label, detail }) => ({ text: t, label, detail })) };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * Names the filter bar offers as values: statuses, team members, tags,
+ * sprints, issue categories and custom fields.
+ */
+async function getQueryVocabulary(projectId) {
+  const [workflow, members, tags, sprints, categories, customFields] = await Promise.all([
+    workflowService.getProjectWorkflow(projectId),
+    pool.query(
+      `SELECT u.username FROM project_members pm
+       JOIN users u ON u.id = pm.user_id
+       WHERE pm.project_id = $1 AND pm.status = 'active'
+       ORDER BY u.username`,
+      [projectId]
+    ),
+    pool.query('SELECT name FROM tags WHERE project_id = $1 ORDER BY name', [projectId]),
+    pool.query(
+      `SELECT name FROM sprints WHERE project_id = $1
+       ORDER BY (status = 'active') DESC, start_date DESC`,
+      [projectId]
+    ),
+    pool.query(
+      `SELECT DISTINCT category FROM issues
+       WHERE project_id = $1 AND category IS NOT NULL AND category <> ''
+       ORDER BY category`,
+      [projectId]
+    ),
+    customFieldsService.getFieldDefinitions(projectId)
+  ]);
+
+  return {
+    statuses: workflow.statuses.map(s => s.name),
+    assignees: members.rows.map(r => r.username),
+    tags: tags.rows.map(r => r.name),
+    sprints: sprints.rows.map(r => r.name),
+    categories: categories.rows.map(r => r.category),
+    customFields: customFields.map(f => ({ key: f.key, name: f.name, options: f.options }))
+  };
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  PRIORITY_LEVELS,
+
+  // Pure helpers
+  tokenizeQuery,
+  parseQuery,
+  parseDateValue,
+  compileItemQuery,
+  suggestCompletions,
+
+  // Database access
+  getQueryVocabulary
+};
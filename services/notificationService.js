@@ -1,10 +1,13 @@
 const { Pool } = require('@neondatabase/serverless');
 const { sendEmail } = require('../config/email');
 const { renderTemplate } = require('../utils/emailTemplates');
+const emailReplyService = require('./email-reply-service');
 const crypto = require('crypto');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
+const REPLY_HINT = 'Reply to this email to add a comment.';
+
 function getAppUrl() {
   // First priority: Custom APP_URL for production deployments
   if (process.env.APP_URL) {
@@ -306,6 +309,7 @@ class NotificationService {
       
       const unsubscribeToken = await this.generateUnsubscribeToken(mentionedUserId);
       const appUrl = getAppUrl();
+      const replyTo = emailReplyService.buildReplyAddress(itemType, itemId, mentionedUserId);
       
       const { html, text } = renderTemplate('mention', {
         mentionerName,
@@ -313,14 +317,16 @@ class NotificationService {
         itemType,
         commentPreview: commentPreview.substring(0, 200) + (commentPreview.length > 200 ? '...' : ''),
         itemLink: `${appUrl}/index.html?project=${projectId}&itemId=${itemId}&itemType=${itemType}`,
-        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`
+        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`,
+        replyHint: replyTo ? REPLY_HINT : ''
       });
       
       await sendEmail({
         to: user.email,
         subject: `${mentionerName} mentioned you in ${itemType}`,
         html,
-        text
+        text,
+        replyTo
       });
     } catch (error) {
       console.error('Error sending mention notification:', error);
@@ -342,6 +348,7 @@ class NotificationService {
       
       const unsubscribeToken = await this.generateUnsubscribeToken(assignedUserId);
       const appUrl = getAppUrl();
+      const replyTo = emailReplyService.buildReplyAddress(itemType, itemId, assignedUserId);
       
       const formattedDueDate = dueDate ? new Date(dueDate).toLocaleDateString('en-US', { 
         year: 'numeric', 
@@ -356,14 +363,16 @@ class NotificationService {
         dueDate: formattedDueDate,
         priority: priority || 'normal',
         itemLink: `${appUrl}/index.html?project=${projectId}&itemId=${itemId}&itemType=${itemType}`,
-        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`
+        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`,
+        replyHint: replyTo ? REPLY_HINT : ''
       });
       
       await sendEmail({
         to: user.email,
         subject: `New ${itemType} assigned: ${itemTitle}`,
         html,
-        text
+        text,
+        replyTo
       });
     } catch (error) {
       console.error('Error sending assignment notification:', error);
@@ -407,6 +416,234 @@ class NotificationService {
     }
   }
   
+  // Built by services/watcher-service.js; itemTitle, actorName and details arrive escaped
+  async sendWatcherNotification({ watcherUserId, preferences, subject, headline, summary, actorName, itemTitle, itemType, details, itemPath }) {
+    try {
+      for (const preference of preferences || ['watching']) {
+        if (!await this.canSendNotification(watcherUserId, preference)) {
+          console.log(`📧 Watcher notification skipped for user ${watcherUserId} (${preference} disabled)`);
+          return;
+        }
+      }
+
+      const user = await this.getUserEmail(watcherUserId);
+      if (!user) {
+        console.error(`User ${watcherUserId} not found`);
+        return;
+      }
+
+      const unsubscribeToken = await this.generateUnsubscribeToken(watcherUserId);
+      const appUrl = getAppUrl();
+
+      const { html, text } = renderTemplate('watched-item', {
+        headline,
+        summary,
+        actorName,
+        itemTitle,
+        itemType,
+        details,
+        itemLink: `${appUrl}/${itemPath}`,
+        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`
+      });
+
+      await sendEmail({
+        to: user.email,
+        subject,
+        html,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending watcher notification:', error);
+    }
+  }
+
+  async sendWatcherTeamsNotification({ projectId, title, message, facts, itemPath, actionText }) {
+    try {
+      const result = await pool.query(
+        'SELECT teams_webhook_url, teams_notifications_enabled FROM projects WHERE id = $1',
+        [projectId]
+      );
+
+      if (result.rows.length === 0 || !result.rows[0].teams_notifications_enabled) {
+        return;
+      }
+
+      await this.sendTeamsNotification({
+        projectId,
+        webhookUrl: result.rows[0].teams_webhook_url,
+        title,
+        message,
+        facts,
+        actionUrl: `${getAppUrl()}/${itemPath}`,
+        actionText
+      });
+    } catch (error) {
+      console.error('Error sending watcher Teams notification:', error);
+    }
+  }
+
+  // Built by services/sla-service.js; summary, issueTitle, priority and assignee arrive escaped
+  async sendSlaEscalationNotification({ userId, subject, kind, summary, issueId, issueTitle, priority, assignee, projectId }) {
+    try {
+      if (!await this.canSendNotification(userId, 'sla_escalations')) {
+        console.log(`📧 SLA notification skipped for user ${userId} (disabled)`);
+        return;
+      }
+
+      const user = await this.getUserEmail(userId);
+      if (!user) {
+        console.error(`User ${userId} not found`);
+        return;
+      }
+
+      const unsubscribeToken = await this.generateUnsubscribeToken(userId);
+      const appUrl = getAppUrl();
+
+      const { html, text } = renderTemplate('sla-escalation', {
+        headline: kind === 'breach' ? 'SLA breached' : 'SLA at risk',
+        accentColor: kind === 'breach' ? '#dc2626' : '#d97706',
+        summary,
+        issueTitle,
+        issueId,
+        priority,
+        assignee,
+        itemLink: `${appUrl}/index.html?project=${projectId}&itemId=${issueId}&itemType=issue`,
+        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`
+      });
+
+      await sendEmail({
+        to: user.email,
+        subject,
+        html,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending SLA notification:', error);
+    }
+  }
+
+  async sendSlaEscalationTeamsNotification({ projectId, title, message, facts, issueId }) {
+    try {
+      const result = await pool.query(
+        'SELECT teams_webhook_url, teams_notifications_enabled FROM projects WHERE id = $1',
+        [projectId]
+      );
+
+      if (result.rows.length === 0 || !result.rows[0].teams_notifications_enabled) {
+        return;
+      }
+
+      await this.sendTeamsNotification({
+        projectId,
+        webhookUrl: result.rows[0].teams_webhook_url,
+        title,
+        message,
+        facts,
+        actionUrl: `${getAppUrl()}/index.html?project=${projectId}&itemId=${issueId}&itemType=issue`,
+        actionText: 'View Issue'
+      });
+    } catch (error) {
+      console.error('Error sending SLA Teams notification:', error);
+    }
+  }
+
+  // Built by services/risk-link-service.js; riskKey, riskTitle and reasons (<li> items) arrive escaped
+  async sendRiskEscalationNotification({ userId, subject, riskKey, riskTitle, probabilityChange, reasons, riskId, projectId }) {
+    try {
+      if (!await this.canSendNotification(userId, 'risk_escalations')) {
+        console.log(`📧 Risk escalation notification skipped for user ${userId} (disabled)`);
+        return;
+      }
+
+      const user = await this.getUserEmail(userId);
+      if (!user) {
+        console.error(`User ${userId} not found`);
+        return;
+      }
+
+      const unsubscribeToken = await this.generateUnsubscribeToken(userId);
+      const appUrl = getAppUrl();
+
+      const { html, text } = renderTemplate('risk-escalation', {
+        riskKey,
+        riskTitle,
+        probabilityChange,
+        reasons,
+        itemLink: `${appUrl}/risks.html?projectId=${projectId}&riskId=${riskId}`,
+        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`
+      });
+
+      await sendEmail({
+        to: user.email,
+        subject,
+        html,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending risk escalation notification:', error);
+    }
+  }
+
+  // Built by services/review-cadence-service.js; items (<li> rows) arrive escaped
+  async sendReviewReminderNotification({ userId, subject, summary, items }) {
+    try {
+      if (!await this.canSendNotification(userId, 'review_reminders')) {
+        console.log(`📧 Review reminder skipped for user ${userId} (disabled)`);
+        return;
+      }
+
+      const user = await this.getUserEmail(userId);
+      if (!user) {
+        console.error(`User ${userId} not found`);
+        return;
+      }
+
+      const unsubscribeToken = await this.generateUnsubscribeToken(userId);
+      const appUrl = getAppUrl();
+
+      const { html, text } = renderTemplate('review-reminder', {
+        summary,
+        items,
+        itemLink: `${appUrl}/index.html?reviews=open`,
+        unsubscribeLink: `${appUrl}/api/notifications/unsubscribe/${unsubscribeToken}`
+      });
+
+      await sendEmail({
+        to: user.email,
+        subject,
+        html,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending review reminder notification:', error);
+    }
+  }
+
+  async sendReviewReminderTeamsNotification({ projectId, title, message, facts }) {
+    try {
+      const result = await pool.query(
+        'SELECT teams_webhook_url, teams_notifications_enabled FROM projects WHERE id = $1',
+        [projectId]
+      );
+
+      if (result.rows.length === 0 || !result.rows[0].teams_notifications_enabled) {
+        return;
+      }
+
+      await this.sendTeamsNotification({
+        projectId,
+        webhookUrl: result.rows[0].teams_webhook_url,
+        title,
+        message,
+        facts,
+        actionUrl: `${getAppUrl()}/risks.html?projectId=${projectId}`,
+        actionText: 'View Risk Register'
+      });
+    } catch (error) {
+      console.error('Error sending review reminder Teams notification:', error);
+    }
+  }
+
   async sendInvitationNotification({ inviteeEmail, inviterName, projectName, role, invitationToken, message }) {
     try {
       const appUrl = getAppUrl();
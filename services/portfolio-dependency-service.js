@@ -0,0 +1,402 @@
+/**
+ * Portfolio Dependency Service
+ *
+ * Dependencies between items in different projects: access checks for
+ * cross-project prerequisites, cycle detection that follows edges into
+ * other projects, and the portfolio graph of inter-project blockers with
+ * their effect on each project's active schedule.
+ *
+ * Edges use the shape of issue_dependencies / action_item_dependencies:
+ * { dependent_item_type, dependent_item_id, prerequisite_item_type, prerequisite_item_id }
+ */
+
+const { pool } = require('../db');
+const { detectCircularDependencies } = require('./dependency-mapper');
+
+// Safety stop for the cross-project walk; far deeper than any real chain
+const MAX_WALK_DEPTH = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function itemKey(type, id) {
+  return `${type}:${parseInt(id)}`;
+}
+
+function parseItemKey(key) {
+  const [type, id] = key.split(':');
+  return { type, id: parseInt(id) };
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDateOnly(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+function addDays(value, days) {
+  const date = toDateOnly(value);
+  return date ? formatDateOnly(new Date(date.getTime() + days * DAY_MS)) : null;
+}
+
+/**
+ * Cycles created by adding newEdges to the existing ones, as readable
+ * "A → B → A" strings (empty when there are none).
+ *
+ * @param {Object[]} existingEdges
+ * @param {Object[]} newEdges
+ * @param {Map<string, string>} titles - item key -> display name
+ */
+function findDependencyCycles(existingEdges, newEdges, titles = new Map()) {
+  // detectCircularDependencies reads source -> target as "source completes first"
+  const asMapperEdges = [...existingEdges, ...newEdges].map(edge => {
+    const prerequisite = itemKey(edge.prerequisite_item_type, edge.prerequisite_item_id);
+    const dependent = itemKey(edge.dependent_item_type, edge.dependent_item_id);
+    return {
+      source_type: edge.prerequisite_item_type,
+      source_id: parseInt(edge.prerequisite_item_id),
+      source_name: titles.get(prerequisite) || prerequisite.replace(':', '#'),
+      target_type: edge.dependent_item_type,
+      target_id: parseInt(edge.dependent_item_id),
+      target_name: titles.get(dependent) || dependent.replace(':', '#')
+    };
+  });
+
+  return detectCircularDependencies(asMapperEdges);
+}
+
+/**
+ * How each cross-project edge affects the dependent project's schedule.
+ *
+ * A prerequisite that is not done pushes its dependent back when it is
+ * scheduled (or due) to finish on or after the day the dependent starts.
+ * When the dependent is on its schedule's critical path, the whole schedule
+ * moves by that slip.
+ *
+ * @param {Object[]} edges - cross-project edges with dependent / prerequisite item summaries
+ * @param {Map<string, Object>} scheduledTasks - item key -> task_schedules row of the item's project
+ * @returns {Object[]} edges with blocking, prerequisiteFinish, slipDays and onCriticalPath
+ */
+function assessEdgeImpact(edges, scheduledTasks) {
+  return edges.map(edge => {
+    const dependentTask = scheduledTasks.get(itemKey(edge.dependent.type, edge.dependent.id));
+    const prerequisiteTask = scheduledTasks.get(itemKey(edge.prerequisite.type, edge.prerequisite.id));
+    const blocking = edge.prerequisite.statusCategory !== 'done';
+
+    const prerequisiteFinish = blocking
+      ? formatDateOnly(toDateOnly(prerequisiteTask?.scheduled_end || edge.prerequisite.dueDate))
+      : null;
+    const dependentStart = toDateOnly(dependentTask?.scheduled_start);
+
+    let slipDays = 0;
+    if (prerequisiteFinish && dependentStart) {
+      const gap = Math.round((toDateOnly(prerequisiteFinish) - dependentStart) / DAY_MS);
+      slipDays = Math.max(0, gap + 1);
+    }
+
+    return {
+      ...edge,
+      blocking,
+      prerequisiteFinish,
+      slipDays,
+      onCriticalPath: Boolean(dependentTask?.is_critical_path)
+    };
+  });
+}
+
+/**
+ * Roll edges up per project and per project pair.
+ *
+ * @param {Object[]} projects - [{ id, name }]
+ * @param {Object[]} edges - output of assessEdgeImpact
+ * @param {Map<number, Object>} schedules - project id -> active project_schedules row
+ */
+function summarizePortfolio(projects, edges, schedules) {
+  const summaries = projects.map(project => {
+    const inbound = edges.filter(e => e.dependent.projectId === project.id);
+    const outbound = edges.filter(e => e.prerequisite.projectId === project.id);
+    const criticalPathImpactDays = inbound
+      .filter(e => e.onCriticalPath)
+      .reduce((max, e) => Math.max(max, e.slipDays), 0);
+    const schedule = schedules.get(project.id);
+
+    return {
+      id: project.id,
+      name: project.name,
+      blockedBy: inbound.filter(e => e.blocking).length,
+      blocking: outbound.filter(e => e.blocking).length,
+      inbound: inbound.length,
+      outbound: outbound.length,
+      criticalPathImpactDays,
+      schedule: schedule ? {
+        id: schedule.id,
+        name: schedule.name,
+        version: schedule.version,
+        endDate: formatDateOnly(toDateOnly(schedule.end_date)),
+        projectedEndDate: addDays(schedule.end_date, criticalPathImpactDays)
+      } : null
+    };
+  });
+
+  const links = new Map();
+  for (const edge of edges) {
+    const key = `${edge.prerequisite.projectId}->${edge.dependent.projectId}`;
+    if (!links.has(key)) {
+      links.set(key, {
+        fromProjectId: edge.prerequisite.projectId,
+        toProjectId: edge.dependent.projectId,
+        count: 0,
+        blocking: 0,
+        criticalPathImpactDays: 0
+      });
+    }
+    const link = links.get(key);
+    link.count++;
+    if (edge.blocking) link.blocking++;
+    if (edge.onCriticalPath) link.criticalPathImpactDays = Math.max(link.criticalPathImpactDays, edge.slipDays);
+  }
+
+  return { projects: summaries, links: [...links.values()] };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getAccessibleProjectIds(userId, userRole) {
+  const result = userRole === 'System Administrator'
+    ? await pool.query('SELECT id AS project_id FROM projects')
+    : await pool.query(
+        "SELECT project_id FROM project_members WHERE user_id = $1 AND status = 'active'",
+        [userId]
+      );
+  return result.rows.map(r => r.project_id);
+}
+
+/**
+ * Look up items by key. Returns key -> { type, id, projectId, projectName, title, status, statusCategory, dueDate }
+ */
+async function getItemSummaries(keys, client = pool) {
+  const ids = type => keys.map(parseItemKey).filter(k => k.type === type).map(k => k.id);
+
+  const result = await client.query(`
+    SELECT 'issue' AS item_type, i.id, i.project_id, p.name AS project_name, i.title, i.status, i.due_date,
+           status_category(i.project_id, i.status) AS status_category
+    FROM issues i JOIN projects p ON p.id = i.project_id
+    WHERE i.id = ANY($1::int[])
+    UNION ALL
+    SELECT 'action-item', a.id, a.project_id, p.name, a.title, a.status, a.due_date,
+           status_category(a.project_id, a.status)
+    FROM action_items a JOIN projects p ON p.id = a.project_id
+    WHERE a.id = ANY($2::int[])
+  `, [ids('issue'), ids('action-item')]);
+
+  return new Map(result.rows.map(row => [itemKey(row.item_type, row.id), {
+    type: row.item_type,
+    id: row.id,
+    projectId: row.project_id,
+    projectName: row.project_name,
+    title: row.title,
+    status: row.status,
+    statusCategory: row.status_category,
+    dueDate: row.due_date
+  }]));
+}
+
+/**
+ * Every dependency edge reachable from the given items by following
+ * "depends on" links, in any project.
+ */
+async function loadReachableEdges(startKeys, client = pool) {
+  const visited = new Set(startKeys);
+  const edges = [];
+  let frontier = [...visited];
+
+  for (let depth = 0; frontier.length > 0 && depth < MAX_WALK_DEPTH; depth++) {
+    const ids = type => frontier.map(parseItemKey).filter(k => k.type === type).map(k => k.id);
+    const result = await client.query(`
+      SELECT 'issue' AS dependent_item_type, issue_id AS dependent_item_id, prerequisite_item_type, prerequisite_item_id
+      FROM issue_dependencies WHERE issue_id = ANY($1::int[])
+      UNION ALL
+      SELECT 'action-item', action_item_id, prerequisite_item_type, prerequisite_item_id
+      FROM action_item_dependencies WHERE action_item_id = ANY($2::int[])
+    `, [ids('issue'), ids('action-item')]);
+
+    frontier = [];
+    for (const edge of result.rows) {
+      edges.push(edge);
+      const next = itemKey(edge.prerequisite_item_type, edge.prerequisite_item_id);
+      if (!visited.has(next)) {
+        visited.add(next);
+        frontier.push(next);
+      }
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Reasons a set of new dependencies can't be saved by this user: items that
+ * don't exist, dependents outside the project being edited, prerequisites in
+ * projects the user can't access.
+ */
+async function validateNewDependencies(projectId, dependencies, userId, userRole, client = pool) {
+  const keys = dependencies.flatMap(dep => [
+    itemKey(dep.dependent_item_type, dep.dependent_item_id),
+    itemKey(dep.prerequisite_item_type, dep.prerequisite_item_id)
+  ]);
+  const items = await getItemSummaries(keys, client);
+  const accessible = new Set(await getAccessibleProjectIds(userId, userRole));
+  const errors = [];
+
+  for (const dep of dependencies) {
+    const dependentKey = itemKey(dep.dependent_item_type, dep.dependent_item_id);
+    const prerequisiteKey = itemKey(dep.prerequisite_item_type, dep.prerequisite_item_id);
+    const dependent = items.get(dependentKey);
+    const prerequisite = items.get(prerequisiteKey);
+
+    if (!dependent || dependent.projectId !== parseInt(projectId)) {
+      errors.push(`Dependent task ${dependentKey.replace(':', '#')} does not belong to this project`);
+    }
+    if (!prerequisite || !accessible.has(prerequisite.projectId)) {
+      errors.push(`Prerequisite task ${prerequisiteKey.replace(':', '#')} is not in a project you can access`);
+    }
+    if (dependentKey === prerequisiteKey) {
+      errors.push(`Task ${dependentKey.replace(':', '#')} cannot depend on itself`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Cycle descriptions that saving these dependencies would create, following
+ * existing edges across project boundaries.
+ */
+async function checkForCycles(dependencies, client = pool) {
+  const startKeys = dependencies.flatMap(dep => [
+    itemKey(dep.dependent_item_type, dep.dependent_item_id),
+    itemKey(dep.prerequisite_item_type, dep.prerequisite_item_id)
+  ]);
+  const existing = await loadReachableEdges(startKeys, client);
+
+  const keys = new Set(startKeys);
+  existing.forEach(edge => keys.add(itemKey(edge.prerequisite_item_type, edge.prerequisite_item_id)));
+  const items = await getItemSummaries([...keys], client);
+  const titles = new Map([...items].map(([key, item]) => [key, `${item.title} [${item.projectName}]`]));
+
+  return findDependencyCycles(existing, dependencies, titles);
+}
+
+/**
+ * Inter-project blockers across the projects the user can see.
+ *
+ * @param {Object} options - { projectIds } to narrow the portfolio
+ * @returns {Promise<Object>} { projects, links, edges, cycles }
+ */
+async function getPortfolioGraph(userId, userRole, { projectIds = null } = {}) {
+  let accessible = await getAccessibleProjectIds(userId, userRole);
+  if (projectIds && projectIds.length > 0) {
+    accessible = accessible.filter(id => projectIds.includes(id));
+  }
+
+  const projectsResult = await pool.query(
+    'SELECT id, name FROM projects WHERE id = ANY($1::int[]) ORDER BY name',
+    [accessible]
+  );
+
+  const edgesResult = await pool.query(`
+    WITH items AS (
+      SELECT 'issue' AS item_type, id, project_id, title, status, due_date,
+             status_category(project_id, status) AS status_category
+      FROM issues WHERE project_id = ANY($1::int[])
+      UNION ALL
+      SELECT 'action-item', id, project_id, title, status, due_date,
+             status_category(project_id, status)
+      FROM action_items WHERE project_id = ANY($1::int[])
+    ),
+    deps AS (
+      SELECT 'issue' AS dependent_item_type, issue_id AS dependent_item_id, prerequisite_item_type, prerequisite_item_id
+      FROM issue_dependencies
+      UNION ALL
+      SELECT 'action-item', action_item_id, prerequisite_item_type, prerequisite_item_id
+      FROM action_item_dependencies
+    )
+    SELECT deps.*,
+           d.project_id AS dependent_project_id, d.title AS dependent_title, d.status AS dependent_status,
+           d.status_category AS dependent_status_category, d.due_date AS dependent_due_date,
+           p.project_id AS prerequisite_project_id, p.title AS prerequisite_title, p.status AS prerequisite_status,
+           p.status_category AS prerequisite_status_category, p.due_date AS prerequisite_due_date
+    FROM deps
+    JOIN items d ON d.item_type = deps.dependent_item_type AND d.id = deps.dependent_item_id
+    JOIN items p ON p.item_type = deps.prerequisite_item_type AND p.id = deps.prerequisite_item_id
+    WHERE d.project_id <> p.project_id
+  `, [accessible]);
+
+  const schedulesResult = await pool.query(`
+    SELECT DISTINCT ON (project_id) *
+    FROM project_schedules
+    WHERE project_id = ANY($1::int[]) AND is_active = true
+    ORDER BY project_id, version DESC, created_at DESC
+  `, [accessible]);
+  const schedules = new Map(schedulesResult.rows.map(s => [s.project_id, s]));
+
+  const tasksResult = await pool.query(
+    'SELECT * FROM task_schedules WHERE schedule_id = ANY($1::int[])',
+    [schedulesResult.rows.map(s => s.id)]
+  );
+  const scheduledTasks = new Map(tasksResult.rows.map(t => [itemKey(t.item_type, t.item_id), t]));
+
+  const side = (row, prefix) => ({
+    type: row[`${prefix}_item_type`],
+    id: row[`${prefix}_item_id`],
+    projectId: row[`${prefix}_project_id`],
+    title: row[`${prefix}_title`],
+    status: row[`${prefix}_status`],
+    statusCategory: row[`${prefix}_status_category`],
+    dueDate: row[`${prefix}_due_date`]
+  });
+  const edges = assessEdgeImpact(
+    edgesResult.rows.map(row => ({ dependent: side(row, 'dependent'), prerequisite: side(row, 'prerequisite') })),
+    scheduledTasks
+  );
+
+  const titles = new Map(edges.flatMap(e => [
+    [itemKey(e.dependent.type, e.dependent.id), e.dependent.title],
+    [itemKey(e.prerequisite.type, e.prerequisite.id), e.prerequisite.title]
+  ]));
+  const startKeys = [...titles.keys()];
+  const cycles = startKeys.length > 0
+    ? findDependencyCycles(await loadReachableEdges(startKeys), [], titles)
+    : [];
+
+  const { projects, links } = summarizePortfolio(projectsResult.rows, edges, schedules);
+  return { projects, links, edges, cycles };
+}
+
+module.exports = {
+  // Pure helpers
+  itemKey,
+  parseItemKey,
+  findDependencyCycles,
+  assessEdgeImpact,
+  summarizePortfolio,
+
+  // Database access
+  getAccessibleProjectIds,
+  getItemSummaries,
+  loadReachableEdges,
+  validateNewDependencies,
+  checkForCycles,
+  getPortfolioGraph
+};
@@ -0,0 +1,413 @@
+/**
+ * Portfolio Health Service
+ *
+ * Per-project health across every project a user belongs to: overdue work,
+ * open risks by level, schedule variance, AI proposals awaiting review and
+ * budget burn, with a red/amber/green rating and grouping by project tag or
+ * owner. Drill-down returns the items behind each number.
+ */
+
+const { pool } = require('../db');
+
+const RISK_LEVELS = ['Critical', 'High', 'Medium', 'Low'];
+const CLOSED_RISK_STATUSES = ['closed', 'realized'];
+const GROUP_BY_OPTIONS = ['none', 'tag', 'owner'];
+const RAG_ORDER = { green: 0, amber: 1, red: 2 };
+
+// A project is amber when it crosses an amber threshold and red when it
+// crosses a red one; scheduleVarianceDays and burn points are "later/higher than plan"
+const HEALTH_THRESHOLDS = {
+  overduePercent: { amber: 5, red: 20 },
+  criticalRisks: { amber: 1, red: 2 },
+  highRisks: { amber: 1, red: 4 },
+  scheduleVarianceDays: { amber: 1, red: 15 },
+  burnAheadPoints: { amber: 10, red: 25 },
+  pendingProposals: { amber: 10, red: Infinity }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function toDateOnly(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function daysBetween(from, to) {
+  const start = toDateOnly(from);
+  const end = toDateOnly(to);
+  if (!start || !end) return null;
+  return Math.round((end - start) / DAY_MS);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+/**
+ * Spend and burn for a project. Spend is logged hours at the project's
+ * blended rate; burn is compared with how much of the planned timeline has
+ * elapsed so a project that is half way through and half spent is on plan.
+ *
+ * @returns {{ amount, hourlyRate, currency, hoursLogged, spent, burnPercent, elapsedPercent }}
+ */
+function computeBudgetBurn(project, hoursLogged, today = new Date()) {
+  const amount = project.budget_amount != null ? parseFloat(project.budget_amount) : null;
+  const hourlyRate = project.budget_hourly_rate != null ? parseFloat(project.budget_hourly_rate) : null;
+  const hours = parseFloat(hoursLogged) || 0;
+  const spent = hourlyRate != null ? Math.round(hours * hourlyRate * 100) / 100 : null;
+
+  let elapsedPercent = null;
+  const duration = daysBetween(project.start_date, project.end_date);
+  if (duration != null && duration > 0) {
+    const elapsed = daysBetween(project.start_date, today);
+    elapsedPercent = Math.min(100, Math.max(0, percent(elapsed, duration)));
+  }
+
+  return {
+    amount,
+    hourlyRate,
+    currency: project.budget_currency || 'USD',
+    hoursLogged: hours,
+    spent,
+    burnPercent: amount && spent != null ? percent(spent, amount) : null,
+    elapsedPercent
+  };
+}
+
+/**
+ * Days the active schedule finishes after the project's planned end date
+ * (negative when ahead, null when either date is missing).
+ */
+function computeScheduleVariance(plannedEnd, scheduledEnd) {
+  return daysBetween(plannedEnd, scheduledEnd);
+}
+
+function rateAgainst(value, threshold) {
+  if (value == null) return 'green';
+  if (value >= threshold.red) return 'red';
+  if (value >= threshold.amber) return 'amber';
+  return 'green';
+}
+
+/**
+ * Red/amber/green status for a project's metrics, with the reasons that
+ * drove it (worst first).
+ *
+ * @param {Object} metrics - output of buildProjectMetrics
+ * @returns {{ status: 'red'|'amber'|'green', reasons: Array<{ status, message }> }}
+ */
+function computeHealth(metrics, thresholds = HEALTH_THRESHOLDS) {
+  const { overdue, openItems, risks, schedule, pendingProposals, budget } = metrics;
+  const checks = [];
+
+  const overduePercent = percent(overdue, openItems);
+  checks.push({
+    status: overdue > 0 ? rateAgainst(overduePercent, thresholds.overduePercent) : 'green',
+    message: `${overdue} of ${openItems} open items overdue (${overduePercent}%)`
+  });
+
+  checks.push({
+    status: rateAgainst(risks.byLevel.Critical, thresholds.criticalRisks),
+    message: `${risks.byLevel.Critical} open critical risks`
+  });
+  checks.push({
+    status: rateAgainst(risks.byLevel.High, thresholds.highRisks),
+    message: `${risks.byLevel.High} open high risks`
+  });
+
+  if (schedule.varianceDays != null) {
+    checks.push({
+      status: rateAgainst(schedule.varianceDays, thresholds.scheduleVarianceDays),
+      message: schedule.varianceDays > 0
+        ? `Schedule finishes ${schedule.varianceDays} days after the planned end`
+        : 'Schedule finishes on or before the planned end'
+    });
+  }
+
+  if (budget.burnPercent != null) {
+    const over = budget.burnPercent > 100;
+    const ahead = budget.elapsedPercent != null ? budget.burnPercent - budget.elapsedPercent : 0;
+    checks.push({
+      status: over ? 'red' : rateAgainst(ahead, thresholds.burnAheadPoints),
+      message: budget.elapsedPercent != null
+        ? `${budget.burnPercent}% of budget spent at ${budget.elapsedPercent}% of the timeline`
+        : `${budget.burnPercent}% of budget spent`
+    });
+  }
+
+  checks.push({
+    status: rateAgainst(pendingProposals, thresholds.pendingProposals),
+    message: `${pendingProposals} AI proposals awaiting review`
+  });
+
+  const reasons = checks
+    .filter(check => check.status !== 'green')
+    .sort((a, b) => RAG_ORDER[b.status] - RAG_ORDER[a.status]);
+
+  return { status: reasons.length > 0 ? reasons[0].status : 'green', reasons };
+}
+
+/**
+ * Assemble one project's metrics from the aggregate rows.
+ */
+function buildProjectMetrics(project, counts = {}, riskRows = [], today = new Date()) {
+  const byLevel = Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+  let unrated = 0;
+  for (const row of riskRows) {
+    if (RISK_LEVELS.includes(row.risk_level)) byLevel[row.risk_level] += parseInt(row.count);
+    else unrated += parseInt(row.count);
+  }
+
+  const totalItems = parseInt(counts.total_items) || 0;
+  const completedItems = parseInt(counts.completed_items) || 0;
+
+  const metrics = {
+    id: project.id,
+    name: project.name,
+    tags: project.tags || [],
+    owner: project.owner_id ? { id: project.owner_id, name: project.owner_name } : null,
+    totalItems,
+    completedItems,
+    completionRate: percent(completedItems, totalItems),
+    openItems: totalItems - completedItems,
+    overdue: parseInt(counts.overdue_items) || 0,
+    risks: {
+      open: Object.values(byLevel).reduce((sum, n) => sum + n, 0) + unrated,
+      byLevel
+    },
+    schedule: {
+      plannedEnd: project.end_date ? toDateOnly(project.end_date).toISOString().slice(0, 10) : null,
+      scheduledEnd: counts.schedule_end ? toDateOnly(counts.schedule_end).toISOString().slice(0, 10) : null,
+      lateTasks: parseInt(counts.late_tasks) || 0,
+      varianceDays: computeScheduleVariance(project.end_date, counts.schedule_end)
+    },
+    pendingProposals: parseInt(counts.pending_proposals) || 0,
+    budget: computeBudgetBurn(project, counts.hours_logged, today)
+  };
+
+  metrics.health = computeHealth(metrics);
+  return metrics;
+}
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, s) => (RAG_ORDER[s] > RAG_ORDER[worst] ? s : worst), 'green');
+}
+
+/**
+ * Group projects by tag or owner with rolled-up totals. A project with
+ * several tags appears in each of its tag groups.
+ */
+function groupProjects(projects, groupBy = 'none') {
+  const groups = new Map();
+  const add = (key, label, project) => {
+    if (!groups.has(key)) groups.set(key, { key, label, projects: [] });
+    groups.get(key).projects.push(project);
+  };
+
+  for (const project of projects) {
+    if (groupBy === 'tag') {
+      if (project.tags.length === 0) add('tag:', 'Untagged', project);
+      project.tags.forEach(tag => add(`tag:${tag.toLowerCase()}`, tag, project));
+    } else if (groupBy === 'owner') {
+      if (project.owner) add(`owner:${project.owner.id}`, project.owner.name, project);
+      else add('owner:', 'No owner', project);
+    } else {
+      add('all', 'All projects', project);
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      health: worstStatus(group.projects.map(p => p.health.status)),
+      totals: {
+        projects: group.projects.length,
+        red: group.projects.filter(p => p.health.status === 'red').length,
+        amber: group.projects.filter(p => p.health.status === 'amber').length,
+        green: group.projects.filter(p => p.health.status === 'green').length,
+        overdue: group.projects.reduce((sum, p) => sum + p.overdue, 0),
+        openRisks: group.projects.reduce((sum, p) => sum + p.risks.open, 0),
+        pendingProposals: group.projects.reduce((sum, p) => sum + p.pendingProposals, 0)
+      }
+    }))
+    .sort((a, b) => (RAG_ORDER[b.health] - RAG_ORDER[a.health]) || a.label.localeCompare(b.label));
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getAccessibleProjects(userId, userRole, projectIds = null) {
+  const result = await pool.query(`
+    SELECT p.*, u.username AS owner_name
+    FROM projects p
+    LEFT JOIN users u ON u.id = p.owner_id
+    WHERE (p.archived = FALSE OR p.archived IS NULL)
+      AND ($1 OR EXISTS (
+        SELECT 1 FROM project_members pm
+        WHERE pm.project_id = p.id AND pm.user_id = $2 AND pm.status = 'active'
+      ))
+      AND ($3::int[] IS NULL OR p.id = ANY($3::int[]))
+    ORDER BY p.name
+  `, [userRole === 'System Administrator', userId, projectIds]);
+  return result.rows;
+}
+
+/**
+ * Item, schedule, proposal and time counts per project in one pass
+ */
+async function getProjectCounts(projectIds) {
+  const result = await pool.query(`
+    WITH items AS (
+      SELECT project_id, due_date, status_category(project_id, status) AS category
+      FROM issues WHERE project_id = ANY($1::int[])
+      UNION ALL
+      SELECT project_id, due_date, status_category(project_id, status)
+      FROM action_items WHERE project_id = ANY($1::int[])
+    )
+    SELECT p.id AS project_id,
+      (SELECT COUNT(*) FROM items i WHERE i.project_id = p.id) AS total_items,
+      (SELECT COUNT(*) FROM items i WHERE i.project_id = p.id AND i.category = 'done') AS completed_items,
+      (SELECT COUNT(*) FROM items i
+        WHERE i.project_id = p.id AND i.category <> 'done' AND i.due_date < CURRENT_DATE) AS overdue_items,
+      (SELECT COUNT(*) FROM entity_proposals ep
+        WHERE ep.project_id = p.id AND ep.status = 'pending') AS pending_proposals,
+      (SELECT COALESCE(SUM(te.hours_logged), 0) FROM time_entries te
+        WHERE te.project_id = p.id) AS hours_logged,
+      s.end_date AS schedule_end,
+      (SELECT COUNT(*) FROM task_schedules ts
+        WHERE ts.schedule_id = s.id AND ts.days_late > 0) AS late_tasks
+    FROM projects p
+    LEFT JOIN LATERAL (
+      SELECT id, end_date FROM project_schedules ps
+      WHERE ps.project_id = p.id AND ps.is_active = TRUE
+      ORDER BY ps.version DESC LIMIT 1
+    ) s ON TRUE
+    WHERE p.id = ANY($1::int[])
+  `, [projectIds]);
+  return new Map(result.rows.map(row => [row.project_id, row]));
+}
+
+async function getOpenRiskCounts(projectIds) {
+  const result = await pool.query(`
+    SELECT project_id, risk_level, COUNT(*) AS count
+    FROM risks
+    WHERE project_id = ANY($1::int[])
+      AND COALESCE(status, 'identified') <> ALL($2::text[])
+    GROUP BY project_id, risk_level
+  `, [projectIds, CLOSED_RISK_STATUSES]);
+
+  const byProject = new Map();
+  for (const row of result.rows) {
+    if (!byProject.has(row.project_id)) byProject.set(row.project_id, []);
+    byProject.get(row.project_id).push(row);
+  }
+  return byProject;
+}
+
+/**
+ * Health of every accessible project, optionally grouped.
+ *
+ * @param {number} userId
+ * @param {string} userRole
+ * @param {Object} [options]
+ * @param {number[]} [options.projectIds] - restrict to these projects
+ * @param {string} [options.groupBy] - 'none' | 'tag' | 'owner'
+ * @returns {Promise<{ projects, groups, summary }>}
+ */
+async function getPortfolioHealth(userId, userRole, { projectIds = null, groupBy = 'none' } = {}) {
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    const error = new Error(`Invalid groupBy: ${groupBy}`);
+    error.validationErrors = [`groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}`];
+    throw error;
+  }
+
+  const projectRows = await getAccessibleProjects(userId, userRole, projectIds);
+  const ids = projectRows.map(p => p.id);
+  const [counts, risks] = await Promise.all([getProjectCounts(ids), getOpenRiskCounts(ids)]);
+
+  const projects = projectRows.map(project =>
+    buildProjectMetrics(project, counts.get(project.id), risks.get(project.id))
+  );
+  const [all] = groupProjects(projects, 'none');
+
+  return {
+    projects,
+    groups: groupProjects(projects, groupBy),
+    summary: all ? all.totals : { projects: 0, red: 0, amber: 0, green: 0, overdue: 0, openRisks: 0, pendingProposals: 0 }
+  };
+}
+
+/**
+ * The items behind one project's numbers: overdue work, open risks, pending
+ * proposals and late scheduled tasks.
+ */
+async function getProjectHealthDetail(projectId) {
+  const [projectRow] = await getAccessibleProjects(null, 'System Administrator', [parseInt(projectId)]);
+  if (!projectRow) return null;
+
+  const [counts, risks, overdue, openRisks, proposals, lateTasks] = await Promise.all([
+    getProjectCounts([projectRow.id]),
+    getOpenRiskCounts([projectRow.id]),
+    pool.query(`
+      SELECT 'issue' AS item_type, id, title, status, priority, due_date, assignee
+      FROM issues
+      WHERE project_id = $1 AND due_date < CURRENT_DATE AND status_category(project_id, status) <> 'done'
+      UNION ALL
+      SELECT 'action-item', id, title, status, priority, due_date, assignee
+      FROM action_items
+      WHERE project_id = $1 AND due_date < CURRENT_DATE AND status_category(project_id, status) <> 'done'
+      ORDER BY due_date
+    `, [projectRow.id]),
+    pool.query(`
+      SELECT id, risk_id, title, risk_level, risk_score, status, target_resolution_date
+      FROM risks
+      WHERE project_id = $1 AND COALESCE(status, 'identified') <> ALL($2::text[])
+      ORDER BY risk_score DESC NULLS LAST
+    `, [projectRow.id, CLOSED_RISK_STATUSES]),
+    pool.query(`
+      SELECT id, entity_type, proposed_data->>'title' AS title, confidence, source_type, created_at
+      FROM entity_proposals
+      WHERE project_id = $1 AND status = 'pending'
+      ORDER BY created_at
+    `, [projectRow.id]),
+    pool.query(`
+      SELECT ts.item_type, ts.item_id, ts.scheduled_end, ts.due_date, ts.days_late, ts.is_critical_path
+      FROM task_schedules ts
+      JOIN project_schedules ps ON ps.id = ts.schedule_id
+      WHERE ps.project_id = $1 AND ps.is_active = TRUE AND ts.days_late > 0
+      ORDER BY ts.is_critical_path DESC, ts.days_late DESC
+    `, [projectRow.id])
+  ]);
+
+  return {
+    project: buildProjectMetrics(projectRow, counts.get(projectRow.id), risks.get(projectRow.id)),
+    overdueItems: overdue.rows,
+    openRisks: openRisks.rows,
+    pendingProposals: proposals.rows,
+    lateTasks: lateTasks.rows
+  };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  GROUP_BY_OPTIONS,
+  HEALTH_THRESHOLDS,
+  // Pure helpers
+  computeBudgetBurn,
+  computeScheduleVariance,
+  computeHealth,
+  buildProjectMetrics,
+  groupProjects,
+  // Database access
+  getPortfolioHealth,
+  getProjectHealthDetail
+};
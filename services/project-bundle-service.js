@@ -0,0 +1,999 @@
+/**
+ * Project Bundle Service
+ *
+ * Full export of a project as a versioned, self-describing JSON archive, and
+ * import of such an archive as a new project on this or another instance.
+ * Used to move projects between staging and production and for offline
+ * archival; csvExportService's flat CSVs are for reading, not re-importing.
+ *
+ * A bundle holds the project row, its members, every project-scoped table in
+ * BUNDLE_ENTITIES as raw rows, the users those rows mention (id, username,
+ * email), the keys of global lookups they reference (checklist templates,
+ * action item categories) and the attachment files as base64. It is written
+ * gzipped.
+ *
+ * Import never reuses ids. Rows are inserted in BUNDLE_ENTITIES order and each
+ * reference is remapped to the new id; references to rows inserted later (or
+ * to the same table) are filled in once everything exists. Users are matched
+ * by email, then username. Authors nobody matches become the importing user;
+ * assignments nobody matches are cleared.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pool } = require('../db');
+const { nextRiskKey, nextDecisionKey } = require('./trash-service');
+
+const BUNDLE_FORMAT = 'project-bundle';
+const BUNDLE_VERSION = 1;
+const ATTACHMENT_DIR = 'uploads/attachments';
+
+// Project columns that belong to the source instance, not the project
+const PROJECT_EXCLUDED_COLUMNS = [
+  'id', 'created_by', 'created_at', 'owner_id', 'updated_by',
+  'archived', 'archived_at', 'archived_by', 'teams_webhook_url'
+];
+
+// item_type values and the tables they point at
+const ITEM_TYPES = { 'issue': 'issues', 'action-item': 'action_items', 'action_item': 'action_items' };
+const ATTACHMENT_TYPES = { ...ITEM_TYPES, 'risk': 'risks', 'decision': 'decisions' };
+const PKG_SOURCE_TABLES = {
+  issues: 'issues', action_items: 'action_items', risks: 'risks', decisions: 'decisions', meetings: 'meetings'
+};
+
+// comment_type values and the tables they point at
+const COMMENT_TYPES = { 'issue': 'issue_comments', 'action-item': 'action_item_comments', 'checklist': 'checklist_comments' };
+const COMMENT_PARENTS = {
+  issue_comments: ['issues', 'issue_id'],
+  action_item_comments: ['action_items', 'action_item_id'],
+  checklist_comments: ['checklists', 'checklist_id']
+};
+
+const inProject = table => `IN (SELECT id FROM ${table} WHERE project_id = $1)`;
+
+function itemInProject(typeColumn, idColumn, types = ITEM_TYPES) {
+  const tables = [...new Set(Object.values(types))];
+  return '(' + tables.map(table => {
+    const values = Object.keys(types).filter(type => types[type] === table).map(type => `'${type}'`).join(', ');
+    return `(${typeColumn} IN (${values}) AND ${idColumn} ${inProject(table)})`;
+  }).join(' OR ') + ')';
+}
+
+function commentInProject(typeColumn, idColumn) {
+  return '(' + Object.entries(COMMENT_TYPES).map(([type, table]) => {
+    const [parentTable, parentColumn] = COMMENT_PARENTS[table];
+    return `(${typeColumn} = '${type}' AND ${idColumn} IN (SELECT id FROM ${table} WHERE ${parentColumn} ${inProject(parentTable)}))`;
+  }).join(' OR ') + ')';
+}
+
+/**
+ * Global tables referenced by project rows. Ids differ between instances, so
+ * references travel as the lookup key and are matched by key on import.
+ */
+const GLOBAL_LOOKUPS = {
+  action_item_categories: 'SELECT id, name AS key FROM action_item_categories',
+  checklist_templates: 'SELECT id, name AS key FROM checklist_templates',
+  checklist_template_items: `
+    SELECT i.id, t.name || ' / ' || s.title || ' / ' || i.item_text AS key
+    FROM checklist_template_items i
+    JOIN checklist_template_sections s ON s.id = i.section_id
+    JOIN checklist_templates t ON t.id = s.template_id`
+};
+
+/**
+ * What goes into a bundle, in insert order.
+ *  where     - rows belonging to the project ($1 = project id)
+ *  refs      - columns pointing at other bundle rows:
+ *              { column, entity }                     id in another table
+ *              { column, typeColumn, types }          polymorphic (item_type/item_id and friends)
+ *              { column, entity, list: true }         array of ids
+ *              { column, itemKeys: true }             array of "issue:12" / "action-item:7" keys
+ *              { column, lookup }                     global table, matched by key
+ *              required: the row is dropped when the reference can't be mapped;
+ *              required references must point at tables earlier in the list
+ *  authors   - user columns that fall back to the importing user
+ *  users     - user columns cleared when the user isn't on the target instance
+ *  drop      - columns pointing outside the bundle, always cleared
+ *  uniqueKey - instance-wide unique reference, regenerated when already taken
+ *  files     - rows describe files under uploads/, carried as base64
+ */
+const BUNDLE_ENTITIES = [
+  { table: 'workflow_statuses', where: 'project_id = $1' },
+  { table: 'workflow_transitions', where: 'project_id = $1' },
+  { table: 'risk_categories', where: 'project_id = $1' },
+  { table: 'tags', where: 'project_id = $1', authors: ['created_by'] },
+  { table: 'custom_field_definitions', where: 'project_id = $1', authors: ['created_by'] },
+  {
+    table: 'custom_roles',
+    where: 'project_id = $1',
+    refs: [{ column: 'reports_to_role_id', entity: 'custom_roles' }],
+    authors: ['created_by']
+  },
+  {
+    table: 'role_permissions',
+    where: `role_id ${inProject('custom_roles')}`,
+    refs: [
+      { column: 'role_id', entity: 'custom_roles', required: true },
+      { column: 'approval_from_role_id', entity: 'custom_roles' },
+      { column: 'notify_role_ids', entity: 'custom_roles', list: true }
+    ]
+  },
+  { table: 'sla_policies', where: 'project_id = $1', users: ['escalate_to_user_id'], authors: ['created_by'] },
+  { table: 'sprints', where: 'project_id = $1', users: ['started_by', 'closed_by'], authors: ['created_by'] },
+  {
+    table: 'meetings',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'key_decisions', entity: 'decisions', list: true },
+      { column: 'action_items_created', entity: 'action_items', list: true },
+      { column: 'risks_identified', entity: 'risks', list: true },
+      { column: 'issues_created', entity: 'issues', list: true },
+      { column: 'pkg_node_id', entity: 'pkg_nodes' }
+    ],
+    authors: ['created_by'],
+    uniqueKey: { column: 'meeting_id', generate: nextMeetingKey }
+  },
+  {
+    table: 'decisions',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'superseded_by', entity: 'decisions' },
+      { column: 'pkg_node_id', entity: 'pkg_nodes' }
+    ],
+    users: ['decided_by'],
+    authors: ['created_by'],
+    uniqueKey: { column: 'decision_id', generate: nextDecisionKey }
+  },
+  {
+    table: 'risks',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'source_meeting_id', entity: 'meetings' },
+      { column: 'related_decision_ids', entity: 'decisions', list: true },
+      { column: 'pkg_node_id', entity: 'pkg_nodes' }
+    ],
+    users: ['risk_owner_id'],
+    authors: ['created_by'],
+    uniqueKey: { column: 'risk_id', generate: nextRiskKey }
+  },
+  {
+    table: 'risk_updates',
+    where: `risk_id ${inProject('risks')}`,
+    refs: [{ column: 'risk_id', entity: 'risks', required: true }],
+    authors: ['created_by']
+  },
+  {
+    table: 'risk_assessments',
+    where: `risk_id ${inProject('risks')}`,
+    refs: [{ column: 'risk_id', entity: 'risks', required: true }],
+    authors: ['assessed_by']
+  },
+  {
+    table: 'issues',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'parent_issue_id', entity: 'issues' },
+      { column: 'sprint_id', entity: 'sprints' },
+      { column: 'source_meeting_id', entity: 'meetings' },
+      { column: 'sla_policy_id', entity: 'sla_policies' }
+    ],
+    users: ['created_via_ai_by'],
+    authors: ['created_by']
+  },
+  {
+    table: 'action_items',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'sprint_id', entity: 'sprints' },
+      { column: 'source_meeting_id', entity: 'meetings' },
+      { column: 'source_decision_id', entity: 'decisions' },
+      { column: 'category_id', lookup: 'action_item_categories' }
+    ],
+    users: ['created_via_ai_by'],
+    authors: ['created_by']
+  },
+  {
+    table: 'risk_tags',
+    where: `risk_id ${inProject('risks')}`,
+    refs: [{ column: 'risk_id', entity: 'risks', required: true }, { column: 'tag_id', entity: 'tags', required: true }]
+  },
+  {
+    table: 'issue_tags',
+    where: `issue_id ${inProject('issues')}`,
+    refs: [{ column: 'issue_id', entity: 'issues', required: true }, { column: 'tag_id', entity: 'tags', required: true }]
+  },
+  {
+    table: 'action_item_tags',
+    where: `action_item_id ${inProject('action_items')}`,
+    refs: [{ column: 'action_item_id', entity: 'action_items', required: true }, { column: 'tag_id', entity: 'tags', required: true }]
+  },
+  {
+    table: 'issue_comments',
+    where: `issue_id ${inProject('issues')}`,
+    refs: [
+      { column: 'issue_id', entity: 'issues', required: true },
+      { column: 'parent_comment_id', entity: 'issue_comments' }
+    ],
+    users: ['resolved_by'],
+    authors: ['user_id']
+  },
+  {
+    table: 'action_item_comments',
+    where: `action_item_id ${inProject('action_items')}`,
+    refs: [
+      { column: 'action_item_id', entity: 'action_items', required: true },
+      { column: 'parent_comment_id', entity: 'action_item_comments' }
+    ],
+    users: ['resolved_by'],
+    authors: ['user_id']
+  },
+  {
+    table: 'issue_dependencies',
+    where: `issue_id ${inProject('issues')}`,
+    refs: [
+      { column: 'issue_id', entity: 'issues', required: true },
+      { column: 'prerequisite_item_id', typeColumn: 'prerequisite_item_type', types: ITEM_TYPES, required: true }
+    ],
+    authors: ['created_by']
+  },
+  {
+    table: 'action_item_dependencies',
+    where: `action_item_id ${inProject('action_items')}`,
+    refs: [
+      { column: 'action_item_id', entity: 'action_items', required: true },
+      { column: 'prerequisite_item_id', typeColumn: 'prerequisite_item_type', types: ITEM_TYPES, required: true }
+    ],
+    authors: ['created_by']
+  },
+  {
+    table: 'issue_relationships',
+    where: itemInProject('source_type', 'source_id'),
+    refs: [
+      { column: 'source_id', typeColumn: 'source_type', types: ITEM_TYPES, required: true },
+      { column: 'target_id', typeColumn: 'target_type', types: ITEM_TYPES, required: true }
+    ],
+    authors: ['created_by'],
+    drop: ['transcript_id']
+  },
+  {
+    table: 'sprint_items',
+    where: `sprint_id ${inProject('sprints')}`,
+    refs: [
+      { column: 'sprint_id', entity: 'sprints', required: true },
+      { column: 'item_id', typeColumn: 'item_type', types: ITEM_TYPES, required: true },
+      { column: 'carried_over_from', entity: 'sprints' }
+    ],
+    users: ['added_by']
+  },
+  {
+    table: 'checklists',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'related_issue_id', entity: 'issues' },
+      { column: 'related_action_id', entity: 'action_items' },
+      { column: 'template_id', lookup: 'checklist_templates' }
+    ],
+    users: ['assigned_to', 'approved_by'],
+    authors: ['created_by'],
+    uniqueKey: { column: 'checklist_id', generate: nextChecklistKey }
+  },
+  {
+    table: 'checklist_sections',
+    where: `checklist_id ${inProject('checklists')}`,
+    refs: [{ column: 'checklist_id', entity: 'checklists', required: true }]
+  },
+  {
+    table: 'checklist_responses',
+    where: `checklist_id ${inProject('checklists')}`,
+    refs: [
+      { column: 'checklist_id', entity: 'checklists', required: true },
+      { column: 'section_id', entity: 'checklist_sections' },
+      { column: 'template_item_id', lookup: 'checklist_template_items' }
+    ],
+    users: ['completed_by']
+  },
+  {
+    table: 'checklist_comments',
+    where: `checklist_id ${inProject('checklists')}`,
+    refs: [
+      { column: 'checklist_id', entity: 'checklists', required: true },
+      { column: 'response_id', entity: 'checklist_responses' },
+      { column: 'parent_comment_id', entity: 'checklist_comments' }
+    ],
+    users: ['resolved_by'],
+    authors: ['created_by']
+  },
+  {
+    // Reactions stay behind: they are per user, and unmatched users can't carry them
+    table: 'comment_edits',
+    where: commentInProject('comment_type', 'comment_id'),
+    refs: [{ column: 'comment_id', typeColumn: 'comment_type', types: COMMENT_TYPES, required: true }],
+    authors: ['edited_by']
+  },
+  {
+    table: 'checklist_signoffs',
+    where: `checklist_id ${inProject('checklists')}`,
+    refs: [{ column: 'checklist_id', entity: 'checklists', required: true }],
+    users: ['signed_by']
+  },
+  {
+    table: 'checklist_item_dependencies',
+    where: `item_id IN (
+      SELECT r.id FROM checklist_responses r JOIN checklists c ON c.id = r.checklist_id WHERE c.project_id = $1
+    )`,
+    refs: [
+      { column: 'item_id', entity: 'checklist_responses', required: true },
+      { column: 'depends_on_item_id', entity: 'checklist_responses', required: true }
+    ],
+    authors: ['created_by']
+  },
+  {
+    table: 'issue_type_templates',
+    where: 'project_id = $1',
+    refs: [{ column: 'template_id', lookup: 'checklist_templates', required: true }],
+    authors: ['created_by']
+  },
+  {
+    table: 'action_item_category_templates',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'category_id', lookup: 'action_item_categories', required: true },
+      { column: 'template_id', lookup: 'checklist_templates', required: true }
+    ],
+    authors: ['created_by']
+  },
+  {
+    table: 'time_entries',
+    where: 'project_id = $1',
+    refs: [{ column: 'item_id', typeColumn: 'item_type', types: ITEM_TYPES, required: true }],
+    authors: ['logged_by']
+  },
+  {
+    table: 'project_schedules',
+    where: 'project_id = $1',
+    refs: [{ column: 'parent_version_id', entity: 'project_schedules' }],
+    authors: ['created_by']
+  },
+  {
+    table: 'schedule_items',
+    where: `schedule_id ${inProject('project_schedules')}`,
+    refs: [
+      { column: 'schedule_id', entity: 'project_schedules', required: true },
+      { column: 'item_id', typeColumn: 'item_type', types: ITEM_TYPES, required: true }
+    ]
+  },
+  {
+    table: 'task_schedules',
+    where: `schedule_id ${inProject('project_schedules')}`,
+    refs: [
+      { column: 'schedule_id', entity: 'project_schedules', required: true },
+      { column: 'item_id', typeColumn: 'item_type', types: ITEM_TYPES, required: true },
+      { column: 'dependencies', itemKeys: true }
+    ]
+  },
+  {
+    table: 'schedule_changes',
+    where: `schedule_id ${inProject('project_schedules')}`,
+    refs: [
+      { column: 'schedule_id', entity: 'project_schedules', required: true },
+      { column: 'item_id', typeColumn: 'item_type', types: ITEM_TYPES }
+    ]
+  },
+  {
+    table: 'pkg_nodes',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'source_id', typeColumn: 'source_table', types: PKG_SOURCE_TABLES },
+      { column: 'superseded_by', entity: 'pkg_nodes' }
+    ],
+    authors: ['created_by']
+  },
+  {
+    table: 'pkg_edges',
+    where: 'project_id = $1',
+    refs: [
+      { column: 'from_node_id', entity: 'pkg_nodes', required: true },
+      { column: 'to_node_id', entity: 'pkg_nodes', required: true }
+    ],
+    authors: ['created_by']
+  },
+  {
+    table: 'attachments',
+    where: itemInProject('entity_type', 'entity_id', ATTACHMENT_TYPES),
+    refs: [{ column: 'entity_id', typeColumn: 'entity_type', types: ATTACHMENT_TYPES, required: true }],
+    authors: ['uploaded_by'],
+    files: true
+  }
+];
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Problems that stop a bundle from being imported
+ */
+function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return ['Not a project bundle'];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(bundle.version)) {
+    errors.push('Bundle version is missing');
+  } else if (bundle.version > BUNDLE_VERSION) {
+    errors.push(`Bundle version ${bundle.version} is newer than this instance supports (${BUNDLE_VERSION})`);
+  }
+  if (!bundle.project || !bundle.project.name) {
+    errors.push('Bundle has no project');
+  }
+  if (!bundle.entities || typeof bundle.entities !== 'object' || Array.isArray(bundle.entities)) {
+    errors.push('Bundle has no entities');
+  }
+  return errors;
+}
+
+/**
+ * Gzipped JSON for download
+ */
+function serializeBundle(bundle) {
+  return zlib.gzipSync(JSON.stringify(bundle));
+}
+
+/**
+ * Read an uploaded bundle, gzipped or plain JSON
+ */
+function parseBundle(data) {
+  let buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data || ''));
+  try {
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = zlib.gunzipSync(buffer);
+    }
+    return JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw validationError('Invalid bundle: not a gzipped or plain JSON file', ['Bundle is not valid JSON']);
+  }
+}
+
+/**
+ * Row counts per table, shown before and after an import
+ */
+function summarizeBundle(bundle) {
+  const counts = {};
+  BUNDLE_ENTITIES.forEach(({ table }) => {
+    const rows = (bundle.entities || {})[table];
+    if (rows && rows.length > 0) counts[table] = rows.length;
+  });
+  return counts;
+}
+
+/**
+ * Map bundle user ids to users on this instance: email first, then username.
+ *
+ * @param {Array} bundleUsers - [{ id, username, email }] from the bundle
+ * @param {Array} targetUsers - [{ id, username, email }] on this instance
+ * @returns {Object} { userMap: Map(String(old id) -> new id), matched: [...], unmatched: [...] }
+ */
+function buildUserMap(bundleUsers, targetUsers) {
+  const byEmail = new Map();
+  const byUsername = new Map();
+  targetUsers.forEach(user => {
+    if (user.email) byEmail.set(user.email.toLowerCase(), user);
+    if (user.username) byUsername.set(user.username.toLowerCase(), user);
+  });
+
+  const userMap = new Map();
+  const matched = [];
+  const unmatched = [];
+
+  (bundleUsers || []).forEach(user => {
+    const emailMatch = user.email ? byEmail.get(user.email.toLowerCase()) : null;
+    const target = emailMatch || (user.username ? byUsername.get(user.username.toLowerCase()) : null);
+    if (target) {
+      userMap.set(String(user.id), target.id);
+      matched.push({ username: user.username, email: user.email, matchedBy: emailMatch ? 'email' : 'username', userId: target.id });
+    } else {
+      unmatched.push({ username: user.username, email: user.email });
+    }
+  });
+
+  return { userMap, matched, unmatched };
+}
+
+/**
+ * User ids mentioned by a row. Text columns (issues.created_by) only count
+ * when they hold a numeric id.
+ */
+function collectUserIds(spec, row) {
+  return [...(spec.authors || []), ...(spec.users || [])]
+    .map(column => row[column])
+    .filter(value => value !== null && value !== undefined && /^\d+$/.test(String(value)))
+    .map(value => parseInt(value));
+}
+
+function mapUser(value, userMap, fallback) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string' && !/^\d+$/.test(value)) return value;
+  const mapped = userMap.has(String(value)) ? userMap.get(String(value)) : fallback;
+  if (mapped === null || mapped === undefined) return null;
+  return typeof value === 'string' ? String(mapped) : mapped;
+}
+
+/**
+ * New value for a reference, or undefined when it can't be mapped
+ *
+ * @param {Object} ref - entry from a BUNDLE_ENTITIES refs list
+ * @param {*} value - value in the bundle row
+ * @param {Object} row - the bundle row (for the type column of polymorphic refs)
+ * @param {Object} context - { idMaps: { table: Map(String(old) -> new) }, keyMaps, lookupMaps }
+ */
+function mapReference(ref, value, row, context) {
+  const mapId = (table, id) => {
+    const map = context.idMaps[table];
+    return map ? map.get(String(id)) : undefined;
+  };
+
+  if (ref.lookup) {
+    const map = (context.lookupMaps || {})[ref.lookup];
+    return map ? map.get(String(value)) : undefined;
+  }
+
+  if (ref.typeColumn) {
+    const table = ref.types[row[ref.typeColumn]];
+    return table ? mapId(table, value) : undefined;
+  }
+
+  if (ref.itemKeys) {
+    return (Array.isArray(value) ? value : [])
+      .map(key => {
+        const match = /^(.+):(\d+)$/.exec(String(key));
+        const mapped = match && ITEM_TYPES[match[1]] ? mapId(ITEM_TYPES[match[1]], match[2]) : undefined;
+        return mapped === undefined ? undefined : `${match[1]}:${mapped}`;
+      })
+      .filter(key => key !== undefined);
+  }
+
+  if (ref.list) {
+    // Some lists hold human-readable keys (DEC-004) rather than ids
+    const keys = (context.keyMaps || {})[ref.entity];
+    return (Array.isArray(value) ? value : [])
+      .map(entry => (/^\d+$/.test(String(entry))
+        ? mapId(ref.entity, entry)
+        : (keys ? keys.get(String(entry)) : undefined)))
+      .filter(entry => entry !== undefined);
+  }
+
+  return mapId(ref.entity, value);
+}
+
+/**
+ * Bundle row rewritten for the target instance.
+ *
+ * References to tables already imported are mapped now. References to the
+ * row's own table or tables imported later are cleared and returned as
+ * `deferred`, to be set once every row exists. Polymorphic references to
+ * tables imported later are not supported; every entity they point at comes
+ * earlier in BUNDLE_ENTITIES.
+ *
+ * @param {Object} spec - BUNDLE_ENTITIES entry
+ * @param {Object} row - row from the bundle
+ * @param {Object} context - { projectId, imported: Set of tables done, idMaps, keyMaps, lookupMaps, userMap, fallbackUserId }
+ * @returns {Object|null} { row, deferred: [{ ref, value }] }, or null when a required reference is missing
+ */
+function remapRow(spec, row, context) {
+  const result = { ...row };
+  delete result.id;
+  if ('project_id' in result) result.project_id = context.projectId;
+  (spec.drop || []).forEach(column => {
+    if (column in result) result[column] = null;
+  });
+
+  const deferred = [];
+  for (const ref of spec.refs || []) {
+    const value = row[ref.column];
+    if (value === null || value === undefined) continue;
+
+    if (ref.entity && !context.imported.has(ref.entity)) {
+      result[ref.column] = null;
+      deferred.push({ ref, value });
+      continue;
+    }
+
+    const mapped = mapReference(ref, value, row, context);
+    if (mapped === undefined) {
+      if (ref.required) return null;
+      result[ref.column] = null;
+      if (ref.typeColumn) result[ref.typeColumn] = null;
+    } else {
+      result[ref.column] = mapped;
+    }
+  }
+
+  (spec.authors || []).forEach(column => {
+    if (column in result) result[column] = mapUser(result[column], context.userMap, context.fallbackUserId);
+  });
+  (spec.users || []).forEach(column => {
+    if (column in result) result[column] = mapUser(result[column], context.userMap, null);
+  });
+
+  return { row: result, deferred };
+}
+
+/**
+ * Name for the downloaded file: "<project-name>-bundle-<date>.json.gz"
+ */
+function bundleFileName(projectName, date = new Date()) {
+  const slug = String(projectName || 'project')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'project';
+  return `${slug}-bundle-${date.toISOString().slice(0, 10)}.json.gz`;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function nextMeetingKey(client, projectId) {
+  const result = await client.query('SELECT generate_meeting_id($1) AS meeting_id', [projectId]);
+  return result.rows[0].meeting_id;
+}
+
+async function nextChecklistKey() {
+  return `CHK-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+}
+
+/**
+ * Tables on this instance with their insertable columns and column types.
+ * Tables and columns a bundle mentions but this instance lacks are skipped.
+ */
+async function loadInsertableColumns(client) {
+  const result = await client.query(
+    `SELECT table_name, column_name, data_type FROM information_schema.columns
+     WHERE table_schema = current_schema() AND is_generated = 'NEVER'`
+  );
+  const columns = new Map();
+  result.rows.forEach(r => {
+    if (!columns.has(r.table_name)) columns.set(r.table_name, new Map());
+    columns.get(r.table_name).set(r.column_name, r.data_type);
+  });
+  return columns;
+}
+
+async function selectRows(client, table, where, params) {
+  const result = await client.query(
+    `SELECT COALESCE(jsonb_agg(to_jsonb(t) ORDER BY t.id), '[]'::jsonb) AS rows FROM ${table} t WHERE ${where}`,
+    params
+  );
+  return result.rows[0].rows;
+}
+
+async function insertRow(client, table, row, insertable) {
+  const columns = Object.keys(row)
+    .filter(column => column !== 'id' && insertable.has(column))
+    .map(column => `"${column}"`)
+    .join(', ');
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns})
+     SELECT ${columns} FROM jsonb_populate_record(NULL::${table}, $1::jsonb)
+     RETURNING *`,
+    [JSON.stringify(row)]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Everything needed to recreate a project elsewhere
+ *
+ * @returns {Object|null} the bundle, or null if the project doesn't exist
+ */
+async function exportProjectBundle(projectId) {
+  const client = await pool.connect();
+
+  try {
+    // One snapshot, so rows added mid-export can't reference missing ones
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+    const projectResult = await client.query('SELECT to_jsonb(p) AS row FROM projects p WHERE id = $1', [projectId]);
+    if (projectResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const project = projectResult.rows[0].row;
+    const tables = await loadInsertableColumns(client);
+
+    const entities = {};
+    const userIds = new Set();
+    const lookupIds = {};
+
+    for (const spec of BUNDLE_ENTITIES) {
+      if (!tables.has(spec.table)) continue;
+      const rows = await selectRows(client, spec.table, spec.where, [projectId]);
+      entities[spec.table] = rows;
+
+      rows.forEach(row => {
+        collectUserIds(spec, row).forEach(id => userIds.add(id));
+        (spec.refs || []).filter(ref => ref.lookup && row[ref.column] !== null && row[ref.column] !== undefined)
+          .forEach(ref => {
+            lookupIds[ref.lookup] = lookupIds[ref.lookup] || new Set();
+            lookupIds[ref.lookup].add(row[ref.column]);
+          });
+      });
+    }
+
+    const membersResult = await client.query(
+      `SELECT user_id, role FROM project_members WHERE project_id = $1 AND status = 'active' ORDER BY id`,
+      [projectId]
+    );
+    membersResult.rows.forEach(member => userIds.add(member.user_id));
+
+    const usersResult = await client.query(
+      'SELECT id, username, email FROM users WHERE id = ANY($1::int[]) ORDER BY id',
+      [[...userIds]]
+    );
+
+    const lookups = {};
+    for (const [name, ids] of Object.entries(lookupIds)) {
+      const result = await client.query(
+        `SELECT id, key FROM (${GLOBAL_LOOKUPS[name]}) l WHERE id = ANY($1::int[]) ORDER BY id`,
+        [[...ids]]
+      );
+      lookups[name] = result.rows;
+    }
+
+    await client.query('COMMIT');
+
+    // Attachment files travel inside the bundle; missing files are noted, not fatal
+    const files = {};
+    const missingFiles = [];
+    for (const attachment of entities.attachments || []) {
+      try {
+        files[attachment.id] = (await fs.readFile(attachment.file_path)).toString('base64');
+      } catch (error) {
+        missingFiles.push(attachment.original_name || attachment.file_name);
+      }
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: {
+        instance: process.env.APP_URL || os.hostname(),
+        projectId: project.id,
+        projectName: project.name
+      },
+      project,
+      members: membersResult.rows.map(m => ({ userId: m.user_id, role: m.role })),
+      users: usersResult.rows,
+      lookups,
+      entities,
+      files,
+      missingFiles
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function loadUserMapping(client, bundle) {
+  const result = await client.query('SELECT id, username, email FROM users');
+  return buildUserMap(bundle.users || [], result.rows);
+}
+
+async function loadLookupMaps(client, bundle) {
+  const lookupMaps = {};
+  for (const [name, entries] of Object.entries(bundle.lookups || {})) {
+    if (!GLOBAL_LOOKUPS[name] || entries.length === 0) continue;
+    const result = await client.query(
+      `SELECT id, key FROM (${GLOBAL_LOOKUPS[name]}) l WHERE key = ANY($1::text[]) ORDER BY id`,
+      [entries.map(e => e.key)]
+    );
+    const idByKey = new Map();
+    result.rows.forEach(r => {
+      if (!idByKey.has(r.key)) idByKey.set(r.key, r.id);
+    });
+    lookupMaps[name] = new Map();
+    entries.forEach(entry => {
+      if (idByKey.has(entry.key)) lookupMaps[name].set(String(entry.id), idByKey.get(entry.key));
+    });
+  }
+  return lookupMaps;
+}
+
+async function writeAttachmentFile(content, originalName) {
+  await fs.mkdir(ATTACHMENT_DIR, { recursive: true });
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(originalName || '')}`;
+  const filePath = path.join(ATTACHMENT_DIR, fileName);
+  await fs.writeFile(filePath, Buffer.from(content, 'base64'));
+  return { fileName, filePath };
+}
+
+/**
+ * Check a bundle and report what importing it would do, without writing
+ *
+ * @returns {Object} { project, source, exportedAt, counts, users: { matched, unmatched }, missingFiles }
+ */
+async function previewImport(bundle) {
+  const errors = validateBundle(bundle);
+  if (errors.length > 0) throw validationError(`Invalid bundle: ${errors.join('; ')}`, errors);
+
+  const client = await pool.connect();
+  try {
+    const { matched, unmatched } = await loadUserMapping(client, bundle);
+    return {
+      project: { name: bundle.project.name, description: bundle.project.description || '' },
+      source: bundle.source || null,
+      exportedAt: bundle.exportedAt || null,
+      counts: summarizeBundle(bundle),
+      users: { matched, unmatched },
+      missingFiles: bundle.missingFiles || []
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a new project from a bundle
+ *
+ * @param {Object} bundle - parsed bundle
+ * @param {Object} options - { name } to rename the project on the way in
+ * @param {number} userId - importing user; becomes the project Admin and the
+ *                          author of anything written by an unknown user
+ * @returns {Object} { project, imported: { table: count }, skipped: { table: count }, users: { matched, unmatched } }
+ */
+async function importProjectBundle(bundle, { name } = {}, userId) {
+  const errors = validateBundle(bundle);
+  if (errors.length > 0) throw validationError(`Invalid bundle: ${errors.join('; ')}`, errors);
+
+  const client = await pool.connect();
+  const writtenFiles = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const tables = await loadInsertableColumns(client);
+    const { userMap, matched, unmatched } = await loadUserMapping(client, bundle);
+    const lookupMaps = await loadLookupMaps(client, bundle);
+
+    const projectRow = { ...bundle.project };
+    PROJECT_EXCLUDED_COLUMNS.forEach(column => delete projectRow[column]);
+    projectRow.name = name && String(name).trim() ? String(name).trim() : bundle.project.name;
+    projectRow.created_by = String(userId);
+    projectRow.owner_id = userId;
+    const project = await insertRow(client, 'projects', projectRow, tables.get('projects'));
+
+    await client.query(
+      `INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'Admin')`,
+      [project.id, userId]
+    );
+    for (const member of bundle.members || []) {
+      const memberId = userMap.get(String(member.userId));
+      if (!memberId || memberId === userId) continue;
+      await client.query(
+        `INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, $3)
+         ON CONFLICT (project_id, user_id) DO NOTHING`,
+        [project.id, memberId, member.role]
+      );
+    }
+
+    const context = {
+      projectId: project.id,
+      imported: new Set(),
+      idMaps: {},
+      keyMaps: {},
+      lookupMaps,
+      userMap,
+      fallbackUserId: userId
+    };
+    const imported = {};
+    const skipped = {};
+    const pending = [];
+
+    for (const spec of BUNDLE_ENTITIES) {
+      const rows = bundle.entities[spec.table] || [];
+      const insertable = tables.get(spec.table);
+      context.idMaps[spec.table] = new Map();
+      context.keyMaps[spec.table] = new Map();
+
+      if (!insertable) {
+        if (rows.length > 0) skipped[spec.table] = rows.length;
+        context.imported.add(spec.table);
+        continue;
+      }
+
+      for (const source of rows) {
+        const remapped = remapRow(spec, source, context);
+        if (!remapped) {
+          skipped[spec.table] = (skipped[spec.table] || 0) + 1;
+          continue;
+        }
+        const row = remapped.row;
+
+        if (spec.uniqueKey && row[spec.uniqueKey.column]) {
+          const column = spec.uniqueKey.column;
+          const taken = await client.query(`SELECT 1 FROM ${spec.table} WHERE ${column} = $1`, [row[column]]);
+          if (taken.rows.length > 0) {
+            row[column] = await spec.uniqueKey.generate(client, project.id);
+          }
+        }
+
+        if (spec.files) {
+          const content = (bundle.files || {})[source.id];
+          if (!content) {
+            skipped[spec.table] = (skipped[spec.table] || 0) + 1;
+            continue;
+          }
+          const file = await writeAttachmentFile(content, source.original_name);
+          writtenFiles.push(file.filePath);
+          row.file_name = file.fileName;
+          row.file_path = file.filePath;
+        }
+
+        const inserted = await insertRow(client, spec.table, row, insertable);
+        context.idMaps[spec.table].set(String(source.id), inserted.id);
+        if (spec.uniqueKey && source[spec.uniqueKey.column]) {
+          context.keyMaps[spec.table].set(String(source[spec.uniqueKey.column]), inserted[spec.uniqueKey.column]);
+        }
+        remapped.deferred.forEach(entry => pending.push({ table: spec.table, id: inserted.id, ...entry }));
+        imported[spec.table] = (imported[spec.table] || 0) + 1;
+      }
+
+      context.imported.add(spec.table);
+    }
+
+    // Second pass: references to rows that didn't exist yet
+    for (const { table, id, ref, value } of pending) {
+      const mapped = mapReference(ref, value, {}, context);
+      if (mapped === undefined) continue;
+      const isJson = ['json', 'jsonb'].includes(tables.get(table).get(ref.column));
+      await client.query(
+        `UPDATE ${table} SET "${ref.column}" = $1 WHERE id = $2`,
+        [isJson ? JSON.stringify(mapped) : mapped, id]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { project, imported, skipped, users: { matched, unmatched } };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await Promise.all(writtenFiles.map(filePath => fs.unlink(filePath).catch(() => {})));
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_ENTITIES,
+
+  // Pure helpers
+  validateBundle,
+  serializeBundle,
+  parseBundle,
+  summarizeBundle,
+  buildUserMap,
+  collectUserIds,
+  mapReference,
+  remapRow,
+  bundleFileName,
+
+  // Database access
+  exportProjectBundle,
+  previewImport,
+  importProjectBundle
+};
@@ -3,6 +3,7 @@ const { Pool } = require('@neondatabase/serverless');
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const fs = require('fs');
 const path = require('path');
+const riskAnalyticsService = require('./risk-analytics-service');
 
 class ReportService {
   
@@ -10,6 +11,7 @@ class ReportService {
     const stats = await this.getProjectStats(projectId, dateRange);
     const trends = await this.getProjectTrends(projectId, dateRange);
     const team = await this.getTeamMetrics(projectId, dateRange);
+    const riskExposure = await this.getRiskExposure(projectId, dateRange);
     
     return await this.createPDF('Executive Summary', projectId, (doc) => {
       // Header
@@ -54,6 +56,10 @@ class ReportService {
       doc.text(`Team Members: ${team.memberCount}`, 50, 500);
       doc.text(`Active Contributors: ${team.activeContributors}`, 200, 500);
       doc.text(`Avg Completion Rate: ${team.avgCompletionRate}%`, 350, 500);
+      
+      // Risk Exposure
+      doc.addPage();
+      this.drawRiskExposureTrend(doc, riskExposure, 50);
     });
   }
 
@@ -285,15 +291,90 @@ class ReportService {
     });
   }
 
+  // Risk exposure section: current totals and a line chart of the sum of
+  // open risks' inherent and residual scores. Returns the y position below it.
+  drawRiskExposureTrend(doc, trend, yPos) {
+    const points = trend.points;
+    const first = points[0];
+    const last = points[points.length - 1];
+    
+    doc.fillColor('#000000').fontSize(16).font('Helvetica-Bold').text('Risk Exposure', 50, yPos);
+    doc.fontSize(10).font('Helvetica').fillColor('#666666')
+      .text(`Sum of open risk scores, ${trend.from} to ${trend.to} (${trend.interval}ly)`, 50, yPos + 22);
+    
+    doc.fontSize(12).fillColor('#000000');
+    doc.text(`Open Risks: ${last.openRisks}`, 50, yPos + 45);
+    doc.text(`Inherent: ${last.inherent} (${this.formatChange(last.inherent - first.inherent)})`, 200, yPos + 45);
+    doc.text(`Residual: ${last.residual} (${this.formatChange(last.residual - first.residual)})`, 370, yPos + 45);
+    
+    // Chart area
+    const chart = { x: 80, y: yPos + 75, width: 460, height: 200 };
+    const maxValue = Math.max(5, ...points.map(p => Math.max(p.inherent, p.residual)));
+    const xAt = index => chart.x + (points.length > 1 ? (index / (points.length - 1)) * chart.width : chart.width / 2);
+    const yAt = value => chart.y + chart.height - (value / maxValue) * chart.height;
+    
+    doc.lineWidth(0.5).strokeColor('#d1d5db');
+    [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+      const value = Math.round(maxValue * fraction);
+      doc.moveTo(chart.x, yAt(value)).lineTo(chart.x + chart.width, yAt(value)).stroke();
+      doc.fontSize(8).fillColor('#666666').text(String(value), 50, yAt(value) - 4, { width: 25, align: 'right' });
+    });
+    
+    const drawSeries = (key, color) => {
+      doc.lineWidth(2).strokeColor(color);
+      points.forEach((point, index) => {
+        if (index === 0) doc.moveTo(xAt(index), yAt(point[key]));
+        else doc.lineTo(xAt(index), yAt(point[key]));
+      });
+      if (points.length > 1) doc.stroke();
+      else doc.circle(xAt(0), yAt(points[0][key]), 2).fill(color);
+    };
+    drawSeries('inherent', '#ef4444');
+    drawSeries('residual', '#2563eb');
+    
+    // Date labels: first, middle, last
+    const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+    doc.fontSize(8).fillColor('#666666');
+    labelIndexes.forEach(index => {
+      doc.text(points[index].date, xAt(index) - 30, chart.y + chart.height + 6, { width: 60, align: 'center' });
+    });
+    
+    // Legend
+    const legendY = chart.y + chart.height + 25;
+    doc.rect(chart.x, legendY, 10, 10).fill('#ef4444');
+    doc.fillColor('#000000').fontSize(9).text('Inherent', chart.x + 15, legendY + 1);
+    doc.rect(chart.x + 80, legendY, 10, 10).fill('#2563eb');
+    doc.fillColor('#000000').text('Residual (after mitigation)', chart.x + 95, legendY + 1);
+    
+    doc.lineWidth(1).strokeColor('#000000').fillColor('#000000');
+    return legendY + 30;
+  }
+
+  formatChange(delta) {
+    if (delta === 0) return 'no change';
+    return delta > 0 ? `+${delta}` : String(delta);
+  }
+
   // Data fetching methods
+  async getRiskExposure(projectId, dateRange) {
+    const range = {};
+    if (dateRange && dateRange.start && dateRange.end) {
+      range.from = String(dateRange.start).slice(0, 10);
+      range.to = String(dateRange.end).slice(0, 10);
+      const days = (new Date(range.to) - new Date(range.from)) / (24 * 60 * 60 * 1000);
+      range.interval = days > 180 ? 'month' : days > 31 ? 'week' : 'day';
+    }
+    return await riskAnalyticsService.getExposureTrend(projectId, range);
+  }
+
   async getProjectStats(projectId, dateRange) {
     const issuesQuery = dateRange ? 
-      `SELECT * FROM issues WHERE project_id = $1 AND created_at BETWEEN $2 AND $3` :
-      `SELECT * FROM issues WHERE project_id = $1`;
+      `SELECT *, status_category(project_id, status) as status_category FROM issues WHERE project_id = $1 AND created_at BETWEEN $2 AND $3` :
+      `SELECT *, status_category(project_id, status) as status_category FROM issues WHERE project_id = $1`;
     
     const actionItemsQuery = dateRange ?
-      `SELECT * FROM action_items WHERE project_id = $1 AND created_at BETWEEN $2 AND $3` :
-      `SELECT * FROM action_items WHERE project_id = $1`;
+      `SELECT *, status_category(project_id, status) as status_category FROM action_items WHERE project_id = $1 AND created_at BETWEEN $2 AND $3` :
+      `SELECT *, status_category(project_id, status) as status_category FROM action_items WHERE project_id = $1`;
     
     const params = dateRange ? [projectId, dateRange.start, dateRange.end] : [projectId];
     
@@ -307,19 +388,19 @@ class ReportService {
     
     const totalItems = issues.length + actionItems.length;
     
-    // Count completed items: Both Issues and Action Items use 'Done'
-    const completedIssues = issues.filter(item => item.status === 'Done').length;
-    const completedActionItems = actionItems.filter(item => item.status === 'Done').length;
+    // Count completed items: any status in the project's "done" workflow category
+    const completedIssues = issues.filter(item => item.status_category === 'done').length;
+    const completedActionItems = actionItems.filter(item => item.status_category === 'done').length;
     const completedItems = completedIssues + completedActionItems;
     const completionRate = totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
     
-    // Count by status (combining both types)
-    const todoIssues = issues.filter(item => item.status === 'To Do').length;
-    const todoActionItems = actionItems.filter(item => item.status === 'To Do').length;
+    // Count by workflow category (combining both types)
+    const todoIssues = issues.filter(item => item.status_category === 'todo').length;
+    const todoActionItems = actionItems.filter(item => item.status_category === 'todo').length;
     const todoCount = todoIssues + todoActionItems;
     
-    const inProgressIssues = issues.filter(item => item.status === 'In Progress').length;
-    const inProgressActionItems = actionItems.filter(item => item.status === 'In Progress').length;
+    const inProgressIssues = issues.filter(item => item.status_category === 'active').length;
+    const inProgressActionItems = actionItems.filter(item => item.status_category === 'active').length;
     const inProgressCount = inProgressIssues + inProgressActionItems;
     
     const doneCount = completedItems;
@@ -406,13 +487,13 @@ class ReportService {
       LEFT JOIN (
         SELECT LOWER(TRIM(assignee)) as assignee_lower, COUNT(*) as count
         FROM issues
-        WHERE project_id = $2 AND status = 'Done' AND assignee IS NOT NULL AND assignee <> ''
+        WHERE project_id = $2 AND status_category(project_id, status) = 'done' AND assignee IS NOT NULL AND assignee <> ''
         GROUP BY LOWER(TRIM(assignee))
       ) issues_completed ON issues_completed.assignee_lower = LOWER(u.username)
       LEFT JOIN (
         SELECT LOWER(TRIM(assignee)) as assignee_lower, COUNT(*) as count
         FROM issues
-        WHERE project_id = $3 AND status = 'In Progress' AND assignee IS NOT NULL AND assignee <> ''
+        WHERE project_id = $3 AND status_category(project_id, status) = 'active' AND assignee IS NOT NULL AND assignee <> ''
         GROUP BY LOWER(TRIM(assignee))
       ) issues_in_progress ON issues_in_progress.assignee_lower = LOWER(u.username)
       LEFT JOIN (
@@ -424,13 +505,13 @@ class ReportService {
       LEFT JOIN (
         SELECT LOWER(TRIM(assignee)) as assignee_lower, COUNT(*) as count
         FROM action_items
-        WHERE project_id = $5 AND status = 'Done' AND assignee IS NOT NULL AND assignee <> ''
+        WHERE project_id = $5 AND status_category(project_id, status) = 'done' AND assignee IS NOT NULL AND assignee <> ''
         GROUP BY LOWER(TRIM(assignee))
       ) actions_completed ON actions_completed.assignee_lower = LOWER(u.username)
       LEFT JOIN (
         SELECT LOWER(TRIM(assignee)) as assignee_lower, COUNT(*) as count
         FROM action_items
-        WHERE project_id = $6 AND status = 'In Progress' AND assignee IS NOT NULL AND assignee <> ''
+        WHERE project_id = $6 AND status_category(project_id, status) = 'active' AND assignee IS NOT NULL AND assignee <> ''
         GROUP BY LOWER(TRIM(assignee))
       ) actions_in_progress ON actions_in_progress.assignee_lower = LOWER(u.username)
       WHERE pm.project_id = $7 AND pm.status = 'active'
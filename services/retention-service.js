@@ -0,0 +1,562 @@
+/**
+ * Retention Service
+ *
+ * Retention policies for archived projects. A policy says how many days after
+ * archiving a project keeps its transcripts, its audio and its attachment
+ * files; a kind with no period is kept forever. Once a period has passed, a
+ * retention run compacts that kind:
+ *
+ *   transcripts  transcript text on meetings, uploaded transcripts, live
+ *                meeting transcriptions and hallway meetings is cleared and
+ *                the live transcript chunks are deleted
+ *   audio        meeting recordings and voice notes are deleted and hallway
+ *                meetings lose their audio; the local files are removed
+ *   attachments  the files are removed and the rows marked purged_at, so
+ *                items still list what was attached
+ *
+ * Items, summaries and decisions are never touched. Files stored off this
+ * server (an http or s3 URL) are left alone, since we can't delete them.
+ *
+ * Unless the policy turns it off, everything a run removes is first written to
+ * a gzipped JSON export under uploads/retention-exports; if that fails the run
+ * stops before purging anything. Runs happen nightly from schedulerService or
+ * on demand, and are logged in retention_runs.
+ *
+ * Archived projects are read-only (see migration 051), so the purge sets
+ * app.archive_bypass for its transaction.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { pool } = require('../db');
+
+const RETENTION_KINDS = ['transcripts', 'audio', 'attachments'];
+const MAX_RETENTION_DAYS = 3650;
+const EXPORT_FORMAT = 'retention-export';
+const EXPORT_VERSION = 1;
+const EXPORT_DIR = 'uploads/retention-exports';
+
+// Policy field and label for each kind
+const KIND_FIELDS = {
+  transcripts: { column: 'transcript_days', field: 'transcriptDays', label: 'Transcript' },
+  audio: { column: 'audio_days', field: 'audioDays', label: 'Audio' },
+  attachments: { column: 'attachment_days', field: 'attachmentDays', label: 'Attachment' }
+};
+
+const attachmentInProject = `(
+  (a.entity_type = 'issue' AND a.entity_id IN (SELECT id FROM issues WHERE project_id = $1))
+  OR (a.entity_type IN ('action-item', 'action_item') AND a.entity_id IN (SELECT id FROM action_items WHERE project_id = $1))
+)`;
+
+/**
+ * What each kind removes. select takes the project id and returns the rows
+ * still holding content (file sources return it as location and size);
+ * purge statements take the array of row ids.
+ */
+const RETENTION_SOURCES = [
+  {
+    kind: 'transcripts',
+    name: 'meetings',
+    select: `SELECT id, meeting_id, title, meeting_date, transcript_text AS content
+             FROM meetings
+             WHERE project_id = $1 AND transcript_text IS NOT NULL AND transcript_text <> ''`,
+    purge: ['UPDATE meetings SET transcript_text = NULL WHERE id = ANY($1)']
+  },
+  {
+    kind: 'transcripts',
+    name: 'meeting_transcripts',
+    select: `SELECT id, title, created_at, transcript_text AS content
+             FROM meeting_transcripts
+             WHERE project_id = $1 AND transcript_text <> ''`,
+    // transcript_text is NOT NULL
+    purge: [`UPDATE meeting_transcripts SET transcript_text = '' WHERE id = ANY($1)`]
+  },
+  {
+    kind: 'transcripts',
+    name: 'meeting_transcriptions',
+    select: `SELECT mt.id, mt.meeting_platform, mt.meeting_id, mt.meeting_title, mt.started_at,
+                    COALESCE(mt.full_transcript, (
+                      SELECT string_agg(c.content, ' ' ORDER BY c.chunk_sequence, c.id)
+                      FROM transcript_chunks c WHERE c.meeting_id = mt.id
+                    )) AS content
+             FROM meeting_transcriptions mt
+             WHERE mt.project_id = $1
+               AND (mt.full_transcript IS NOT NULL
+                    OR EXISTS (SELECT 1 FROM transcript_chunks c WHERE c.meeting_id = mt.id))`,
+    purge: [
+      'DELETE FROM transcript_chunks WHERE meeting_id = ANY($1)',
+      'UPDATE meeting_transcriptions SET full_transcript = NULL WHERE id = ANY($1)'
+    ]
+  },
+  {
+    kind: 'transcripts',
+    name: 'hallway_meetings',
+    select: `SELECT hm.id, hm.meeting_title, hm.started_at,
+                    COALESCE(hm.full_transcript, (
+                      SELECT string_agg(c.content, ' ' ORDER BY c.chunk_sequence, c.id)
+                      FROM hallway_transcript_chunks c WHERE c.meeting_id = hm.id
+                    )) AS content
+             FROM hallway_meetings hm
+             WHERE hm.project_id = $1
+               AND (hm.full_transcript IS NOT NULL
+                    OR EXISTS (SELECT 1 FROM hallway_transcript_chunks c WHERE c.meeting_id = hm.id))`,
+    purge: [
+      'DELETE FROM hallway_transcript_chunks WHERE meeting_id = ANY($1)',
+      'UPDATE hallway_meetings SET full_transcript = NULL WHERE id = ANY($1)'
+    ]
+  },
+  {
+    kind: 'audio',
+    name: 'meeting_recordings',
+    select: `SELECT r.id, r.meeting_id, r.storage_provider, r.format, r.storage_url AS location, r.file_size_bytes AS size
+             FROM meeting_recordings r
+             JOIN meeting_transcriptions mt ON mt.id = r.meeting_id
+             WHERE mt.project_id = $1`,
+    purge: ['DELETE FROM meeting_recordings WHERE id = ANY($1)'],
+    files: true
+  },
+  {
+    kind: 'audio',
+    name: 'hallway_meeting_audio',
+    select: `SELECT id, meeting_title, audio_format AS format, audio_url AS location, audio_file_size_bytes AS size
+             FROM hallway_meetings
+             WHERE project_id = $1 AND audio_url IS NOT NULL`,
+    purge: [`UPDATE hallway_meetings
+             SET audio_url = NULL, audio_storage_provider = NULL, audio_file_size_bytes = NULL
+             WHERE id = ANY($1)`],
+    files: true
+  },
+  {
+    kind: 'audio',
+    name: 'voice_recordings',
+    select: `SELECT v.id, v.thought_capture_id, v.format, v.transcription_text,
+                    v.audio_url AS location, v.file_size_bytes AS size
+             FROM voice_recordings v
+             JOIN thought_captures tc ON tc.id = v.thought_capture_id
+             WHERE tc.project_id = $1`,
+    purge: ['DELETE FROM voice_recordings WHERE id = ANY($1)'],
+    files: true
+  },
+  {
+    kind: 'attachments',
+    name: 'attachments',
+    select: `SELECT a.id, a.entity_type, a.entity_id, a.original_name, a.file_type,
+                    a.file_path AS location, a.file_size AS size
+             FROM attachments a
+             WHERE a.purged_at IS NULL AND ${attachmentInProject}`,
+    purge: ['UPDATE attachments SET purged_at = NOW() WHERE id = ANY($1)'],
+    files: true
+  }
+];
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Parse a retention period. '' and null mean keep forever (null); anything
+ * else that isn't a whole number comes back as NaN.
+ */
+function parseRetentionDays(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const days = typeof value === 'string' ? Number(value.trim()) : value;
+  return Number.isInteger(days) ? days : NaN;
+}
+
+/**
+ * Problems with a policy from the API ({ transcriptDays, audioDays, attachmentDays })
+ */
+function validateRetentionPolicy(input = {}) {
+  const errors = [];
+  RETENTION_KINDS.forEach(kind => {
+    const { field, label } = KIND_FIELDS[kind];
+    const days = parseRetentionDays(input[field]);
+    if (days !== null && !(days >= 1 && days <= MAX_RETENTION_DAYS)) {
+      errors.push(`${label} retention must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * API shape of a project_retention_policies row; no row means keep everything
+ */
+function formatPolicy(row) {
+  const policy = { exportBeforePurge: row ? row.export_before_purge !== false : true };
+  RETENTION_KINDS.forEach(kind => {
+    const { column, field } = KIND_FIELDS[kind];
+    policy[field] = row && row[column] != null ? Number(row[column]) : null;
+  });
+  return policy;
+}
+
+/**
+ * When a kind becomes due for compaction, or null when it is kept forever
+ */
+function getPurgeDate(archivedAt, days) {
+  if (!archivedAt || days == null) return null;
+  const date = new Date(archivedAt);
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+/**
+ * Kinds whose retention period has passed for a project archived at archivedAt
+ */
+function dueKinds(policy, archivedAt, now = new Date()) {
+  return RETENTION_KINDS.filter(kind => {
+    const purgeDate = getPurgeDate(archivedAt, policy[KIND_FIELDS[kind].field]);
+    return purgeDate !== null && purgeDate <= now;
+  });
+}
+
+/**
+ * Local path for a stored file location, or null when the file lives
+ * elsewhere (http/s3 URLs) or outside uploads/. Thought capture audio is
+ * stored as a /uploads/... URL, attachments as a relative uploads/... path.
+ */
+function localFilePath(location) {
+  if (!location || /^[a-z][a-z0-9+.-]*:/i.test(location)) return null;
+  const normalized = path.posix.normalize(String(location).replace(/\\/g, '/').replace(/^\/+/, ''));
+  return normalized.startsWith('uploads/') ? normalized : null;
+}
+
+/**
+ * Rows a run can remove. Rows whose file lives off this server stay, so
+ * nothing loses the only pointer to a file we couldn't delete.
+ */
+function purgeableRows(source, rows) {
+  if (!source.files) return rows;
+  return rows.filter(row => !row.location || localFilePath(row.location) !== null);
+}
+
+/**
+ * Row counts per source table, e.g. { meetings: 3, attachments: 12 }
+ */
+function countCandidates(candidates) {
+  const counts = {};
+  Object.entries(candidates).forEach(([table, rows]) => {
+    if (rows.length > 0) counts[table] = rows.length;
+  });
+  return counts;
+}
+
+function exportFileName(projectName, date = new Date()) {
+  const slug = String(projectName || 'project')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'project';
+  return `${slug}-retention-${date.toISOString().replace(/[:.]/g, '-')}.json.gz`;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function loadProjectPolicy(projectId) {
+  const result = await pool.query(`
+    SELECT p.id, p.name, p.archived, p.archived_at, rp.*
+    FROM projects p
+    LEFT JOIN project_retention_policies rp ON rp.project_id = p.id
+    WHERE p.id = $1
+  `, [projectId]);
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    project: { id: row.id, name: row.name, archived: row.archived === true, archivedAt: row.archived_at },
+    policy: formatPolicy(row.project_id ? row : null)
+  };
+}
+
+/**
+ * Policy, when each kind falls due and recent runs, for the settings panel
+ */
+async function getRetentionSettings(projectId) {
+  const loaded = await loadProjectPolicy(projectId);
+  if (!loaded) return null;
+
+  const runs = await pool.query(`
+    SELECT r.id, r.status, r.kinds, r.counts, r.bytes_freed, r.error, r.started_at, r.finished_at,
+           r.export_path IS NOT NULL AS has_export, u.username AS triggered_by_username
+    FROM retention_runs r
+    LEFT JOIN users u ON u.id = r.triggered_by
+    WHERE r.project_id = $1
+    ORDER BY r.started_at DESC
+    LIMIT 20
+  `, [projectId]);
+
+  const { project, policy } = loaded;
+  const purgeDates = {};
+  RETENTION_KINDS.forEach(kind => {
+    purgeDates[kind] = project.archived ? getPurgeDate(project.archivedAt, policy[KIND_FIELDS[kind].field]) : null;
+  });
+
+  return {
+    project,
+    policy,
+    purgeDates,
+    runs: runs.rows.map(run => ({ ...run, bytes_freed: Number(run.bytes_freed) }))
+  };
+}
+
+/**
+ * Create or replace a project's policy
+ */
+async function saveRetentionPolicy(projectId, input, userId) {
+  const errors = validateRetentionPolicy(input);
+  if (errors.length > 0) {
+    throw validationError('Invalid retention policy', errors);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO project_retention_policies
+      (project_id, transcript_days, audio_days, attachment_days, export_before_purge, updated_by, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    ON CONFLICT (project_id) DO UPDATE SET
+      transcript_days = EXCLUDED.transcript_days,
+      audio_days = EXCLUDED.audio_days,
+      attachment_days = EXCLUDED.attachment_days,
+      export_before_purge = EXCLUDED.export_before_purge,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = NOW()
+    RETURNING *
+  `, [
+    projectId,
+    parseRetentionDays(input.transcriptDays),
+    parseRetentionDays(input.audioDays),
+    parseRetentionDays(input.attachmentDays),
+    input.exportBeforePurge !== false && input.exportBeforePurge !== 'false',
+    userId
+  ]);
+
+  return formatPolicy(result.rows[0]);
+}
+
+async function collectCandidates(projectId, kinds) {
+  const candidates = {};
+  for (const source of RETENTION_SOURCES.filter(s => kinds.includes(s.kind))) {
+    const result = await pool.query(source.select, [projectId]);
+    candidates[source.name] = purgeableRows(source, result.rows);
+  }
+  return candidates;
+}
+
+/**
+ * Write everything the run will remove, files included, and return the path
+ */
+async function writeRetentionExport(project, kinds, candidates) {
+  const files = {};
+  const missingFiles = [];
+
+  for (const source of RETENTION_SOURCES.filter(s => s.files && candidates[s.name])) {
+    for (const row of candidates[source.name]) {
+      const filePath = localFilePath(row.location);
+      if (!filePath) continue;
+      try {
+        files[`${source.name}:${row.id}`] = (await fs.readFile(filePath)).toString('base64');
+      } catch (error) {
+        missingFiles.push(row.location);
+      }
+    }
+  }
+
+  const exportData = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: { id: project.id, name: project.name, archivedAt: project.archivedAt },
+    kinds,
+    rows: candidates,
+    files,
+    missingFiles
+  };
+
+  const dir = path.join(EXPORT_DIR, String(project.id));
+  await fs.mkdir(dir, { recursive: true });
+  const exportPath = path.join(dir, exportFileName(project.name));
+  await fs.writeFile(exportPath, zlib.gzipSync(Buffer.from(JSON.stringify(exportData))));
+  return exportPath;
+}
+
+async function removeFiles(candidates) {
+  let bytesFreed = 0;
+  for (const source of RETENTION_SOURCES.filter(s => s.files && candidates[s.name])) {
+    for (const row of candidates[source.name]) {
+      const filePath = localFilePath(row.location);
+      if (!filePath) continue;
+      try {
+        const { size } = await fs.stat(filePath);
+        await fs.unlink(filePath);
+        bytesFreed += size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error removing ${filePath}:`, error.message);
+        }
+      }
+    }
+  }
+  return bytesFreed;
+}
+
+/**
+ * Compact whatever is due for one archived project.
+ * @returns {Promise<Object|null>} the retention_runs row, or null when
+ *   nothing is due yet
+ */
+async function runProjectRetention(projectId, { userId = null } = {}) {
+  const loaded = await loadProjectPolicy(projectId);
+  if (!loaded) {
+    throw validationError('Project not found', ['Project not found']);
+  }
+
+  const { project, policy } = loaded;
+  if (!project.archived) {
+    throw validationError('Retention only applies to archived projects', ['Project is not archived']);
+  }
+
+  const kinds = dueKinds(policy, project.archivedAt);
+  if (kinds.length === 0) return null;
+
+  const running = await pool.query(
+    `SELECT 1 FROM retention_runs
+     WHERE project_id = $1 AND status = 'running' AND started_at > NOW() - INTERVAL '6 hours'`,
+    [projectId]
+  );
+  if (running.rows.length > 0) {
+    throw validationError('A retention run is already in progress', ['A retention run is already in progress']);
+  }
+
+  const runResult = await pool.query(`
+    INSERT INTO retention_runs (project_id, kinds, triggered_by)
+    VALUES ($1, $2, $3)
+    RETURNING id
+  `, [projectId, kinds, userId]);
+  const runId = runResult.rows[0].id;
+
+  try {
+    const candidates = await collectCandidates(projectId, kinds);
+    const counts = countCandidates(candidates);
+
+    let exportPath = null;
+    let bytesFreed = 0;
+
+    if (Object.keys(counts).length > 0) {
+      if (policy.exportBeforePurge) {
+        exportPath = await writeRetentionExport(project, kinds, candidates);
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(`SET LOCAL app.archive_bypass = 'on'`);
+        for (const source of RETENTION_SOURCES) {
+          const rows = candidates[source.name];
+          if (!rows || rows.length === 0) continue;
+          const ids = rows.map(row => row.id);
+          for (const statement of source.purge) {
+            await client.query(statement, [ids]);
+          }
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      // Only once the rows are gone, so a failed purge leaves every file in place
+      bytesFreed = await removeFiles(candidates);
+    }
+
+    const finished = await pool.query(`
+      UPDATE retention_runs
+      SET status = 'completed', counts = $2, bytes_freed = $3, export_path = $4, finished_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [runId, JSON.stringify(counts), bytesFreed, exportPath]);
+
+    return finished.rows[0];
+  } catch (error) {
+    await pool.query(
+      `UPDATE retention_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+      [runId, error.message]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Nightly job: compact every archived project with something due.
+ * @returns {Promise<{ projects: number, bytesFreed: number }>}
+ */
+async function runDueRetention() {
+  const result = await pool.query(`
+    SELECT p.id
+    FROM projects p
+    JOIN project_retention_policies rp ON rp.project_id = p.id
+    WHERE p.archived = TRUE
+      AND p.archived_at IS NOT NULL
+      AND (rp.transcript_days IS NOT NULL OR rp.audio_days IS NOT NULL OR rp.attachment_days IS NOT NULL)
+    ORDER BY p.archived_at
+  `);
+
+  let projects = 0;
+  let bytesFreed = 0;
+  for (const { id } of result.rows) {
+    try {
+      const run = await runProjectRetention(id);
+      if (run && Object.keys(run.counts || {}).length > 0) {
+        projects++;
+        bytesFreed += Number(run.bytes_freed);
+      }
+    } catch (error) {
+      console.error(`Error running retention for project ${id}:`, error);
+    }
+  }
+  return { projects, bytesFreed };
+}
+
+/**
+ * Path of a run's pre-purge export, or null
+ */
+async function getRunExportPath(projectId, runId) {
+  const result = await pool.query(
+    'SELECT export_path FROM retention_runs WHERE id = $1 AND project_id = $2',
+    [runId, projectId]
+  );
+  return result.rows[0]?.export_path || null;
+}
+
+module.exports = {
+  RETENTION_KINDS,
+  RETENTION_SOURCES,
+  MAX_RETENTION_DAYS,
+
+  // Pure helpers
+  parseRetentionDays,
+  validateRetentionPolicy,
+  formatPolicy,
+  getPurgeDate,
+  dueKinds,
+  localFilePath,
+  purgeableRows,
+  countCandidates,
+  exportFileName,
+
+  // Database access
+  getRetentionSettings,
+  saveRetentionPolicy,
+  runProjectRetention,
+  runDueRetention,
+  getRunExportPath
+};
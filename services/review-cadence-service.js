@@ -0,0 +1,384 @@
+/**
+ * Review Cadence Service
+ *
+ * Risks and decisions carry a review_date. Once it arrives the item shows up
+ * in its owner's "reviews due" queue (risk owner; decision maker, else its
+ * creator). Marking an item "reviewed, no change" rolls review_date forward
+ * by the project's cadence for that kind of item and, for risks, records a
+ * 'review' row in risk_updates.
+ *
+ * The scheduler calls checkReviewReminders() daily: each owner gets one email
+ * listing their newly due reviews and each project with Teams enabled gets
+ * one channel message. An item is reminded once per review date;
+ * review_reminded_at is compared with the current review_date, so rolling
+ * the date forward (or editing it) re-arms the reminder.
+ */
+
+const { pool } = require('../db');
+const notificationService = require('./notificationService');
+
+const REVIEW_ITEM_TYPES = ['risk', 'decision'];
+
+const DEFAULT_CADENCE_DAYS = { risk: 30, decision: 90 };
+const MAX_CADENCE_DAYS = 365;
+
+const CLOSED_RISK_STATUSES = ['closed', 'realized'];
+const CLOSED_DECISION_STATUSES = ['rejected', 'superseded'];
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * The review date after a "reviewed, no change": one cadence from today, so
+ * a late review doesn't leave the next one already overdue
+ */
+function nextReviewDate(today, cadenceDays) {
+  return addDays(today, cadenceDays);
+}
+
+function daysOverdue(reviewDate, today) {
+  return Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${reviewDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Whether the reminder job still owes a reminder for a due item: never
+ * reminded, or last reminded before its current review date
+ */
+function needsReminder(item, today) {
+  if (!item.reviewDate || item.reviewDate > today) return false;
+  return !item.remindedAt || toDateString(item.remindedAt) < item.reviewDate;
+}
+
+/**
+ * Shape a due-review row (see DUE_REVIEWS_SELECT) as a queue item
+ */
+function toReviewItem(row, today) {
+  const reviewDate = toDateString(row.review_date);
+  return {
+    itemType: row.item_type,
+    id: row.id,
+    key: row.item_key,
+    title: row.title,
+    status: row.status,
+    projectId: row.project_id,
+    projectName: row.project_name,
+    ownerId: row.owner_id,
+    reviewDate,
+    daysOverdue: daysOverdue(reviewDate, today),
+    cadenceDays: row.cadence_days,
+    remindedAt: row.review_reminded_at || null
+  };
+}
+
+function describeReviewItem(item) {
+  const due = item.daysOverdue > 0
+    ? `${item.daysOverdue} day${item.daysOverdue === 1 ? '' : 's'} overdue`
+    : 'due today';
+  return `${item.itemType === 'risk' ? 'Risk' : 'Decision'} ${item.key} ${item.title} (${item.projectName}, ${due})`;
+}
+
+/**
+ * Check a cadence update
+ *
+ * @param {Object} data - { riskDays, decisionDays }, either may be omitted
+ * @returns {Object} the provided values as integers
+ */
+function validateCadence(data = {}) {
+  const errors = [];
+  const cadence = {};
+
+  for (const key of ['riskDays', 'decisionDays']) {
+    if (data[key] === undefined) continue;
+    const days = Number(data[key]);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_CADENCE_DAYS) {
+      errors.push(`${key} must be a whole number of days from 1 to ${MAX_CADENCE_DAYS}`);
+    } else {
+      cadence[key] = days;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(cadence).length === 0) {
+    errors.push('Provide riskDays and/or decisionDays');
+  }
+
+  if (errors.length > 0) throw validationError('Invalid review cadence', errors);
+  return cadence;
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!groups.has(item[key])) groups.set(item[key], []);
+    groups.get(item[key]).push(item);
+  }
+  return groups;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+// Open risks and decisions in live projects whose review date has arrived
+// ($1 = today, $2 = closed risk statuses, $3 = closed decision statuses)
+const DUE_REVIEWS_SELECT = `
+  SELECT * FROM (
+    SELECT 'risk' AS item_type, r.id, r.risk_id AS item_key, r.title, r.status,
+           r.project_id, p.name AS project_name, r.risk_owner_id AS owner_id,
+           r.review_date::date AS review_date, r.review_reminded_at,
+           p.risk_review_cadence_days AS cadence_days
+    FROM risks r
+    JOIN projects p ON p.id = r.project_id
+    WHERE r.review_date IS NOT NULL AND r.review_date::date <= $1::date
+      AND r.status <> ALL($2)
+      AND (p.archived = FALSE OR p.archived IS NULL)
+    UNION ALL
+    SELECT 'decision', d.id, d.decision_id, d.title, d.status,
+           d.project_id, p.name, COALESCE(d.decided_by, d.created_by),
+           d.review_date::date, d.review_reminded_at,
+           p.decision_review_cadence_days
+    FROM decisions d
+    JOIN projects p ON p.id = d.project_id
+    WHERE d.review_date IS NOT NULL AND d.review_date::date <= $1::date
+      AND d.status <> ALL($3)
+      AND (p.archived = FALSE OR p.archived IS NULL)
+  ) due
+`;
+
+/**
+ * @returns {Promise<{ riskDays, decisionDays }|null>} null when the project doesn't exist
+ */
+async function getReviewCadence(projectId) {
+  const result = await pool.query(
+    'SELECT risk_review_cadence_days, decision_review_cadence_days FROM projects WHERE id = $1',
+    [projectId]
+  );
+  if (result.rows.length === 0) return null;
+  return {
+    riskDays: result.rows[0].risk_review_cadence_days ?? DEFAULT_CADENCE_DAYS.risk,
+    decisionDays: result.rows[0].decision_review_cadence_days ?? DEFAULT_CADENCE_DAYS.decision
+  };
+}
+
+async function updateReviewCadence(projectId, data) {
+  const cadence = validateCadence(data);
+  const result = await pool.query(`
+    UPDATE projects
+    SET risk_review_cadence_days = COALESCE($2, risk_review_cadence_days),
+        decision_review_cadence_days = COALESCE($3, decision_review_cadence_days)
+    WHERE id = $1
+    RETURNING risk_review_cadence_days, decision_review_cadence_days
+  `, [projectId, cadence.riskDays ?? null, cadence.decisionDays ?? null]);
+  if (result.rows.length === 0) return null;
+  return {
+    riskDays: result.rows[0].risk_review_cadence_days,
+    decisionDays: result.rows[0].decision_review_cadence_days
+  };
+}
+
+/**
+ * The reviews due for one user, oldest review date first
+ */
+async function getDueReviews(userId, now = new Date()) {
+  const today = toDateString(now);
+  const result = await pool.query(`
+    ${DUE_REVIEWS_SELECT}
+    WHERE owner_id = $4
+    ORDER BY review_date, item_type, id
+  `, [today, CLOSED_RISK_STATUSES, CLOSED_DECISION_STATUSES, userId]);
+  return result.rows.map(row => toReviewItem(row, today));
+}
+
+/**
+ * Load a risk or decision with the fields needed to check and record a review
+ * @returns {Promise<Object|null>} { itemType, id, key, title, status, projectId, ownerId, reviewDate, cadenceDays }
+ */
+async function getReviewItem(itemType, itemId) {
+  const query = itemType === 'risk'
+    ? `SELECT r.id, r.risk_id AS item_key, r.title, r.status, r.project_id, r.risk_owner_id AS owner_id,
+              r.review_date, p.risk_review_cadence_days AS cadence_days
+       FROM risks r JOIN projects p ON p.id = r.project_id WHERE r.id = $1`
+    : `SELECT d.id, d.decision_id AS item_key, d.title, d.status, d.project_id,
+              COALESCE(d.decided_by, d.created_by) AS owner_id,
+              d.review_date, p.decision_review_cadence_days AS cadence_days
+       FROM decisions d JOIN projects p ON p.id = d.project_id WHERE d.id = $1`;
+  const result = await pool.query(query, [itemId]);
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    itemType,
+    id: row.id,
+    key: row.item_key,
+    title: row.title,
+    status: row.status,
+    projectId: row.project_id,
+    ownerId: row.owner_id,
+    reviewDate: toDateString(row.review_date),
+    cadenceDays: row.cadence_days ?? DEFAULT_CADENCE_DAYS[itemType]
+  };
+}
+
+/**
+ * "Reviewed, no change": roll the review date forward by the project cadence.
+ * Risks also get a 'review' entry in risk_updates.
+ *
+ * @param {Object} item - from getReviewItem
+ * @returns {Promise<{ itemType, id, previousReviewDate, reviewDate }>}
+ */
+async function markReviewed(item, userId, { notes = null } = {}, now = new Date()) {
+  const closed = item.itemType === 'risk' ? CLOSED_RISK_STATUSES : CLOSED_DECISION_STATUSES;
+  if (closed.includes(item.status)) {
+    throw validationError('Item is closed', [`A ${item.status} ${item.itemType} has no reviews`]);
+  }
+
+  const reviewDate = nextReviewDate(toDateString(now), item.cadenceDays);
+  const note = notes && String(notes).trim()
+    ? `Reviewed, no change: ${String(notes).trim()}`
+    : 'Reviewed, no change';
+
+  if (item.itemType === 'decision') {
+    await pool.query(
+      'UPDATE decisions SET review_date = $2, updated_date = NOW() WHERE id = $1',
+      [item.id, reviewDate]
+    );
+  } else {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE risks SET review_date = $2, updated_at = NOW() WHERE id = $1',
+        [item.id, reviewDate]
+      );
+      await client.query(
+        `INSERT INTO risk_updates (risk_id, update_type, old_value, new_value, notes, created_by)
+         VALUES ($1, 'review', $2, $3, $4, $5)`,
+        [item.id, item.reviewDate, reviewDate, note, userId]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { itemType: item.itemType, id: item.id, previousReviewDate: item.reviewDate, reviewDate };
+}
+
+async function sendOwnerReminder(ownerId, items) {
+  const count = items.length;
+  await notificationService.sendReviewReminderNotification({
+    userId: ownerId,
+    subject: count === 1
+      ? `Review due: ${items[0].key} ${items[0].title}`
+      : `${count} reviews due`,
+    summary: `You have ${count} risk${count === 1 ? '' : 's'} or decision${count === 1 ? '' : 's'} due for review.`,
+    items: items.map(item => `<li>${escapeHtml(describeReviewItem(item))}</li>`).join('')
+  });
+}
+
+async function sendProjectReminder(projectId, items) {
+  const risks = items.filter(item => item.itemType === 'risk').length;
+  const decisions = items.length - risks;
+  await notificationService.sendReviewReminderTeamsNotification({
+    projectId,
+    title: '🔁 Reviews due',
+    message: `${risks} risk(s) and ${decisions} decision(s) are due for review`,
+    facts: items.slice(0, 5).map(item => ({
+      title: `${item.key}`,
+      value: `${item.title.substring(0, 40)} (${item.daysOverdue > 0 ? `${item.daysOverdue} days overdue` : 'due today'})`
+    }))
+  });
+}
+
+/**
+ * Scheduler job: remind owners of reviews that have come due since their
+ * last reminder, then mark them reminded.
+ *
+ * @returns {Promise<{ due, reminded, notified }>}
+ */
+async function checkReviewReminders(now = new Date()) {
+  const today = toDateString(now);
+  const result = await pool.query(
+    `${DUE_REVIEWS_SELECT} ORDER BY review_date, item_type, id`,
+    [today, CLOSED_RISK_STATUSES, CLOSED_DECISION_STATUSES]
+  );
+  const pending = result.rows
+    .map(row => toReviewItem(row, today))
+    .filter(item => needsReminder(item, today));
+  if (pending.length === 0) return { due: result.rows.length, reminded: 0, notified: 0 };
+
+  let notified = 0;
+  for (const [ownerId, items] of groupBy(pending.filter(item => item.ownerId), 'ownerId')) {
+    try {
+      await sendOwnerReminder(ownerId, items);
+      notified++;
+    } catch (error) {
+      console.error(`Error sending review reminder to user ${ownerId}:`, error);
+    }
+  }
+
+  for (const [projectId, items] of groupBy(pending, 'projectId')) {
+    await sendProjectReminder(projectId, items);
+  }
+
+  for (const itemType of REVIEW_ITEM_TYPES) {
+    const ids = pending.filter(item => item.itemType === itemType).map(item => item.id);
+    if (ids.length === 0) continue;
+    await pool.query(
+      `UPDATE ${itemType === 'risk' ? 'risks' : 'decisions'} SET review_reminded_at = $2 WHERE id = ANY($1)`,
+      [ids, now]
+    );
+  }
+
+  return { due: result.rows.length, reminded: pending.length, notified };
+}
+
+module.exports = {
+  REVIEW_ITEM_TYPES,
+  DEFAULT_CADENCE_DAYS,
+  // Pure helpers
+  addDays,
+  nextReviewDate,
+  daysOverdue,
+  needsReminder,
+  toReviewItem,
+  describeReviewItem,
+  validateCadence,
+  // Database access
+  getReviewCadence,
+  updateReviewCadence,
+  getDueReviews,
+  getReviewItem,
+  markReviewed,
+  checkReviewReminders
+};
@@ -0,0 +1,374 @@
+/**
+ * Risk Analytics Service
+ *
+ * Views over the risk register beyond the list: a 5x5 probability x impact
+ * heat map (inherent and residual), each risk's score history from its
+ * assessments, and the project's risk exposure over time (the sum of open
+ * risks' scores at each point), which reportService also draws into PDFs.
+ *
+ * Inherent ratings are the risk's probability / impact; residual ratings are
+ * the after-mitigation residual_probability / residual_impact. A risk with no
+ * residual rating counts at its inherent score in residual totals.
+ */
+
+const { pool } = require('../db');
+
+const RISK_SCALE = [1, 2, 3, 4, 5];
+const HEAT_MAP_VIEWS = ['inherent', 'residual'];
+const CLOSED_RISK_STATUSES = ['closed', 'realized'];
+const TREND_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_TREND_DAYS = 90;
+const MAX_TREND_POINTS = 400;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+function toDateKey(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Same bands as the risks.risk_level column and calculateRiskScore()
+ */
+function riskLevelForScore(score) {
+  if (!score) return null;
+  if (score <= 6) return 'Low';
+  if (score <= 12) return 'Medium';
+  if (score <= 20) return 'High';
+  return 'Critical';
+}
+
+/**
+ * Probability / impact of a risk (or assessment row) for a view
+ * @returns {{ probability, impact, score }|null} null when that rating isn't set
+ */
+function getRating(row, view = 'inherent') {
+  const probability = view === 'residual' ? row.residual_probability : row.probability;
+  const impact = view === 'residual' ? row.residual_impact : row.impact;
+  if (!probability || !impact) return null;
+  return { probability, impact, score: probability * impact };
+}
+
+/**
+ * Whether an update changed either rating, i.e. needs a new assessment row
+ */
+function ratingChanged(before, after) {
+  return ['probability', 'impact', 'residual_probability', 'residual_impact']
+    .some(field => (before[field] || null) !== (after[field] || null));
+}
+
+/**
+ * 5x5 grid of risks by probability and impact. Cells are ordered for
+ * display: probability 5 (top row) to 1, impact 1 (left) to 5.
+ *
+ * @param {Object[]} risks - risk rows
+ * @param {'inherent'|'residual'} view
+ * @returns {{ view, cells: Array<{ probability, impact, score, level, count, risks }>, rated, unrated, maxCount }}
+ */
+function buildHeatMap(risks, view = 'inherent') {
+  const cells = [];
+  const byKey = new Map();
+  for (const probability of [...RISK_SCALE].reverse()) {
+    for (const impact of RISK_SCALE) {
+      const score = probability * impact;
+      const cell = { probability, impact, score, level: riskLevelForScore(score), count: 0, risks: [] };
+      cells.push(cell);
+      byKey.set(`${probability}:${impact}`, cell);
+    }
+  }
+
+  let unrated = 0;
+  for (const risk of risks) {
+    const rating = getRating(risk, view);
+    const cell = rating && byKey.get(`${rating.probability}:${rating.impact}`);
+    if (!cell) {
+      unrated++;
+      continue;
+    }
+    cell.count++;
+    cell.risks.push({ id: risk.id, riskId: risk.risk_id, title: risk.title, status: risk.status });
+  }
+
+  return {
+    view,
+    cells,
+    rated: risks.length - unrated,
+    unrated,
+    maxCount: Math.max(...cells.map(cell => cell.count))
+  };
+}
+
+/**
+ * A risk's assessments as chart points, oldest first
+ *
+ * residualScore falls back to the inherent score where no residual rating was
+ * recorded; residualRated says which points had one.
+ */
+function buildScoreHistory(assessments) {
+  return [...assessments]
+    .sort((a, b) => new Date(a.assessed_at) - new Date(b.assessed_at) || a.id - b.id)
+    .map(assessment => {
+      const inherent = getRating(assessment, 'inherent');
+      const residual = getRating(assessment, 'residual');
+      const score = inherent ? inherent.score : assessment.risk_score;
+      const residualScore = residual ? residual.score : score;
+      return {
+        id: assessment.id,
+        assessedAt: assessment.assessed_at,
+        assessedBy: assessment.assessed_by_name || null,
+        notes: assessment.assessment_notes || null,
+        probability: assessment.probability,
+        impact: assessment.impact,
+        score,
+        level: riskLevelForScore(score),
+        residualProbability: assessment.residual_probability || null,
+        residualImpact: assessment.residual_impact || null,
+        residualScore,
+        residualLevel: riskLevelForScore(residualScore),
+        residualRated: Boolean(residual)
+      };
+    });
+}
+
+/**
+ * Date keys from `from` to `to` at each interval, always ending on `to`
+ */
+function trendDates(from, to, interval = 'week') {
+  const dates = [];
+  const start = new Date(`${toDateKey(from)}T00:00:00Z`);
+  const last = new Date(`${toDateKey(to)}T00:00:00Z`);
+  const stepDays = interval === 'day' ? 1 : 7;
+
+  for (let step = 0; ; step++) {
+    let cursor;
+    if (interval === 'month') {
+      // Same day of each month, or its last day (Jan 31 -> Feb 28 -> Mar 31)
+      const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step + 1, 0)).getUTCDate();
+      cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, Math.min(start.getUTCDate(), daysInMonth)));
+    } else {
+      cursor = new Date(start.getTime() + step * stepDays * 24 * 60 * 60 * 1000);
+    }
+    if (cursor >= last) break;
+    dates.push(toDateKey(cursor));
+  }
+  dates.push(toDateKey(last));
+  return dates;
+}
+
+/**
+ * Validate and default an exposure trend range (the last 90 days, weekly)
+ *
+ * @param {Object} options - { from, to, interval } as strings, e.g. from a query string
+ * @returns {{ from: string, to: string, interval: string }}
+ */
+function parseTrendRange({ from, to, interval } = {}, today = new Date()) {
+  const errors = [];
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+  const toKey = to ? String(to).slice(0, 10) : toDateKey(today);
+  let fromKey = from ? String(from).slice(0, 10) : null;
+  if (!fromKey && isDate(toKey)) {
+    const start = new Date(`${toKey}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - DEFAULT_TREND_DAYS);
+    fromKey = toDateKey(start);
+  }
+  const range = { from: fromKey, to: toKey, interval: interval || 'week' };
+
+  if (!isDate(range.from)) errors.push('from must be a date (YYYY-MM-DD)');
+  if (!isDate(range.to)) errors.push('to must be a date (YYYY-MM-DD)');
+  if (!TREND_INTERVALS.includes(range.interval)) {
+    errors.push(`interval must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+  if (errors.length === 0 && range.from > range.to) errors.push('from must be on or before to');
+  if (errors.length === 0 && trendDates(range.from, range.to, range.interval).length > MAX_TREND_POINTS) {
+    errors.push(`Range has more than ${MAX_TREND_POINTS} points; use a longer interval`);
+  }
+
+  if (errors.length > 0) throw validationError('Invalid exposure trend range', errors);
+  return range;
+}
+
+/**
+ * When a risk stopped counting towards exposure (null while still open)
+ */
+function riskClosedAt(risk) {
+  if (risk.closed_at || risk.realized_at) return risk.closed_at || risk.realized_at;
+  return CLOSED_RISK_STATUSES.includes(risk.status) ? risk.updated_at : null;
+}
+
+/**
+ * Sum of open risks' inherent and residual scores at each date. A risk counts
+ * from the day it was created until the day it was closed or realized, at
+ * its latest assessment as of that day (its current rating if it has none
+ * that early).
+ *
+ * @param {Object} params - { risks, assessments, from, to, interval }
+ * @returns {{ from, to, interval, points: Array<{ date, inherent, residual, openRisks }> }}
+ */
+function buildExposureTrend({ risks = [], assessments = [], from, to, interval = 'week' }) {
+  const byRisk = new Map();
+  for (const assessment of [...assessments].sort((a, b) => new Date(a.assessed_at) - new Date(b.assessed_at) || a.id - b.id)) {
+    if (!byRisk.has(assessment.risk_id)) byRisk.set(assessment.risk_id, []);
+    byRisk.get(assessment.risk_id).push(assessment);
+  }
+
+  const points = trendDates(from, to, interval).map(date => {
+    let inherent = 0;
+    let residual = 0;
+    let openRisks = 0;
+
+    for (const risk of risks) {
+      if (toDateKey(risk.created_at) > date) continue;
+      const closedAt = riskClosedAt(risk);
+      if (closedAt && toDateKey(closedAt) <= date) continue;
+
+      const history = byRisk.get(risk.id) || [];
+      let rating = risk;
+      for (const assessment of history) {
+        if (toDateKey(assessment.assessed_at) > date) break;
+        rating = assessment;
+      }
+
+      const inherentRating = getRating(rating, 'inherent');
+      const residualRating = getRating(rating, 'residual');
+      const score = inherentRating ? inherentRating.score : 0;
+      inherent += score;
+      residual += residualRating ? residualRating.score : score;
+      openRisks++;
+    }
+
+    return { date, inherent, residual, openRisks };
+  });
+
+  return { from: toDateKey(from), to: toDateKey(to), interval, points };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * Record a risk's current inherent and residual rating as an assessment
+ *
+ * @param {Object} db - pool or transaction client
+ * @param {Object} risk - risks row as saved
+ */
+async function recordAssessment(db, risk, userId, notes = null) {
+  const residual = getRating(risk, 'residual');
+  await db.query(`
+    INSERT INTO risk_assessments (
+      risk_id, probability, impact, risk_score, risk_level,
+      residual_probability, residual_impact, residual_score,
+      assessment_notes, assessed_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    risk.id,
+    risk.probability,
+    risk.impact,
+    risk.probability * risk.impact,
+    riskLevelForScore(risk.probability * risk.impact),
+    residual ? residual.probability : null,
+    residual ? residual.impact : null,
+    residual ? residual.score : null,
+    notes,
+    userId
+  ]);
+}
+
+/**
+ * Inherent and residual heat maps for a project's risks
+ *
+ * @param {Object} options - { includeClosed } closed / realized risks are left out by default
+ */
+async function getHeatMap(projectId, { includeClosed = false } = {}) {
+  const result = await pool.query(`
+    SELECT id, risk_id, title, status, probability, impact, residual_probability, residual_impact
+    FROM risks
+    WHERE project_id = $1
+      ${includeClosed ? '' : 'AND status <> ALL($2)'}
+    ORDER BY risk_score DESC, id
+  `, includeClosed ? [projectId] : [projectId, CLOSED_RISK_STATUSES]);
+
+  return {
+    includeClosed,
+    riskCount: result.rows.length,
+    inherent: buildHeatMap(result.rows, 'inherent'),
+    residual: buildHeatMap(result.rows, 'residual')
+  };
+}
+
+/**
+ * A risk's score history
+ * @returns {Object|null} { risk, points } or null when the risk doesn't exist
+ */
+async function getRiskScoreHistory(riskId) {
+  const riskResult = await pool.query(`
+    SELECT id, risk_id, project_id, title, probability, impact, risk_score, risk_level,
+           residual_probability, residual_impact
+    FROM risks WHERE id = $1
+  `, [riskId]);
+  const risk = riskResult.rows[0];
+  if (!risk) return null;
+
+  const assessments = await pool.query(`
+    SELECT ra.*, u.username AS assessed_by_name
+    FROM risk_assessments ra
+    LEFT JOIN users u ON u.id = ra.assessed_by
+    WHERE ra.risk_id = $1
+    ORDER BY ra.assessed_at, ra.id
+  `, [riskId]);
+
+  return { risk, points: buildScoreHistory(assessments.rows) };
+}
+
+/**
+ * Project risk exposure over time
+ *
+ * @param {Object} options - { from, to, interval } (see parseTrendRange)
+ */
+async function getExposureTrend(projectId, options = {}) {
+  const range = parseTrendRange(options);
+
+  const risks = await pool.query(`
+    SELECT id, status, probability, impact, residual_probability, residual_impact,
+           created_at, updated_at, closed_at, realized_at
+    FROM risks
+    WHERE project_id = $1 AND created_at < ($2::date + 1)
+  `, [projectId, range.to]);
+
+  const assessments = await pool.query(`
+    SELECT ra.id, ra.risk_id, ra.probability, ra.impact, ra.residual_probability, ra.residual_impact, ra.assessed_at
+    FROM risk_assessments ra
+    JOIN risks r ON r.id = ra.risk_id
+    WHERE r.project_id = $1 AND ra.assessed_at < ($2::date + 1)
+  `, [projectId, range.to]);
+
+  return buildExposureTrend({ risks: risks.rows, assessments: assessments.rows, ...range });
+}
+
+module.exports = {
+  HEAT_MAP_VIEWS,
+  TREND_INTERVALS,
+  // Pure helpers
+  riskLevelForScore,
+  getRating,
+  ratingChanged,
+  buildHeatMap,
+  buildScoreHistory,
+  trendDates,
+  parseTrendRange,
+  buildExposureTrend,
+  // Database access
+  recordAssessment,
+  getHeatMap,
+  getRiskScoreHistory,
+  getExposureTrend
+};
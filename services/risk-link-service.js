@@ -0,0 +1,471 @@
+/**
+ * Risk Link Service
+ *
+ * Typed links from a risk to the work it affects, stored as PKG edges from
+ * the risk's node to the target's node:
+ *   - threatens:    risk -> issue, action item or milestone it puts at risk
+ *   - mitigated_by: risk -> action item or issue that addresses it
+ *
+ * Issues, action items and risks get their PKG node on first link (the
+ * same attrs migration 025 seeds). Milestones are PKG nodes of type
+ * 'Milestone' and are linked by node id.
+ *
+ * The scheduler calls checkRiskEscalations() to escalate risks whose linked
+ * work is slipping: a threatened item past its due date, or a mitigation item
+ * due after (or still open past) the risk's target_resolution_date. Each
+ * link escalates once; the time and reason are kept in the edge attrs. An
+ * escalation raises the risk's probability by one (to at most 5), records an
+ * assessment and emails the risk owner.
+ *
+ * A risk can't be closed while any of its mitigation items are still open.
+ */
+
+const { pool } = require('../db');
+const notificationService = require('./notificationService');
+const riskAnalyticsService = require('./risk-analytics-service');
+
+const RISK_LINK_TYPES = {
+  threatens: { label: 'Threatens', targets: ['issue', 'action-item', 'milestone'] },
+  mitigated_by: { label: 'Mitigated by', targets: ['action-item', 'issue'] }
+};
+
+const TARGET_TABLES = {
+  'issue': 'issues',
+  'action-item': 'action_items'
+};
+
+const CLOSED_RISK_STATUSES = ['closed', 'realized'];
+const MILESTONE_DONE_STATUSES = ['done', 'complete', 'completed', 'achieved', 'closed'];
+const MAX_PROBABILITY = 5;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Check a link request
+ *
+ * @param {Object} data - { type, targetType, targetId }
+ * @returns {Object} { type, targetType, targetId } with targetId an integer,
+ *   or a node UUID for milestones
+ */
+function validateLink(data = {}) {
+  const errors = [];
+  const { type, targetType } = data;
+  let targetId = data.targetId;
+
+  const linkType = RISK_LINK_TYPES[type];
+  if (!linkType) {
+    errors.push(`type must be one of: ${Object.keys(RISK_LINK_TYPES).join(', ')}`);
+  } else if (!linkType.targets.includes(targetType)) {
+    errors.push(`A ${type} link can point to: ${linkType.targets.join(', ')}`);
+  }
+
+  if (targetType === 'milestone') {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(targetId || ''))) {
+      errors.push('targetId must be the milestone node id');
+    }
+  } else {
+    targetId = parseInt(targetId);
+    if (isNaN(targetId)) errors.push('targetId must be an item id');
+  }
+
+  if (errors.length > 0) throw validationError('Invalid risk link', errors);
+  return { type, targetType, targetId };
+}
+
+/**
+ * PKG node attrs for an issue, action item or risk row
+ */
+function pkgNodeAttrs(sourceTable, row) {
+  if (sourceTable === 'risks') {
+    return {
+      risk_id: row.risk_id,
+      title: row.title,
+      probability: row.probability,
+      impact: row.impact,
+      status: row.status,
+      category: row.category,
+      risk_owner_id: row.risk_owner_id
+    };
+  }
+  return {
+    title: row.title,
+    status: row.status,
+    priority: row.priority,
+    assignee: row.assignee,
+    due_date: row.due_date
+  };
+}
+
+/**
+ * Shape a joined edge row (see LINK_SELECT) as a link
+ */
+function toLink(row) {
+  const attrs = row.attrs || {};
+  const nodeAttrs = row.node_attrs || {};
+  let target;
+
+  if (row.source_table === 'issues' || row.source_table === 'action_items') {
+    const prefix = row.source_table === 'issues' ? 'issue' : 'action';
+    target = {
+      targetType: row.source_table === 'issues' ? 'issue' : 'action-item',
+      targetId: row.source_id,
+      title: row[`${prefix}_title`] ?? nodeAttrs.title ?? null,
+      status: row[`${prefix}_status`] ?? null,
+      assignee: row[`${prefix}_assignee`] ?? null,
+      dueDate: toDateString(row[`${prefix}_due_date`]),
+      open: row.item_open !== false
+    };
+  } else {
+    target = {
+      targetType: 'milestone',
+      targetId: row.node_id,
+      title: nodeAttrs.title || nodeAttrs.name || 'Milestone',
+      status: nodeAttrs.status || null,
+      assignee: nodeAttrs.owner || null,
+      dueDate: toDateString(nodeAttrs.due_date || nodeAttrs.dueDate),
+      open: !MILESTONE_DONE_STATUSES.includes(String(nodeAttrs.status || '').toLowerCase())
+    };
+  }
+
+  return {
+    id: row.id,
+    type: row.type,
+    ...target,
+    escalatedAt: attrs.escalated_at || null,
+    escalationReason: attrs.escalation_reason || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Why a link should escalate its risk today, if it should:
+ * 'overdue' for a threatened item past its due date, 'slipped' for a
+ * mitigation item due after the risk's target resolution date (or still open
+ * once that date has passed). Closed items, closed risks and links that
+ * already escalated never do.
+ *
+ * @param {Object} link - from toLink
+ * @param {Object} risk - { status, target_resolution_date }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {'overdue'|'slipped'|null}
+ */
+function planLinkEscalation(link, risk, today) {
+  if (link.escalatedAt || !link.open) return null;
+  if (CLOSED_RISK_STATUSES.includes(risk.status)) return null;
+
+  if (link.type === 'threatens') {
+    return link.dueDate && link.dueDate < today ? 'overdue' : null;
+  }
+
+  if (link.type === 'mitigated_by') {
+    const target = toDateString(risk.target_resolution_date);
+    if (!target) return null;
+    if (target < today || (link.dueDate && link.dueDate > target)) return 'slipped';
+  }
+
+  return null;
+}
+
+function escalatedProbability(probability) {
+  return Math.min(MAX_PROBABILITY, (parseInt(probability) || 0) + 1);
+}
+
+function describeEscalation(link, reason, risk) {
+  const itemLabel = link.targetType === 'milestone' ? 'Milestone' : link.targetType === 'issue' ? 'Issue' : 'Action item';
+  const name = `${itemLabel} "${link.title}"`;
+  if (reason === 'overdue') return `${name} is overdue (due ${link.dueDate})`;
+  return link.dueDate && link.dueDate > toDateString(risk.target_resolution_date)
+    ? `Mitigation ${name} is due ${link.dueDate}, after the target resolution date ${toDateString(risk.target_resolution_date)}`
+    : `Mitigation ${name} is still open past the target resolution date ${toDateString(risk.target_resolution_date)}`;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+// Edges from risk nodes joined to the risk and whatever the target is
+const LINK_SELECT = `
+  SELECT e.id, e.type, e.attrs, e.created_at,
+         r.id AS risk_pk, r.project_id, r.risk_id, r.title AS risk_title, r.status AS risk_status,
+         r.probability, r.impact, r.risk_level, r.risk_owner_id, r.target_resolution_date,
+         n.id AS node_id, n.source_table, n.source_id, n.attrs AS node_attrs,
+         i.title AS issue_title, i.status AS issue_status, i.assignee AS issue_assignee, i.due_date AS issue_due_date,
+         a.title AS action_title, a.status AS action_status, a.assignee AS action_assignee, a.due_date AS action_due_date,
+         CASE
+           WHEN i.id IS NOT NULL THEN status_category(i.project_id, i.status) <> 'done'
+           WHEN a.id IS NOT NULL THEN status_category(a.project_id, a.status) <> 'done'
+         END AS item_open
+  FROM pkg_edges e
+  JOIN pkg_nodes rn ON rn.id = e.from_node_id AND rn.source_table = 'risks'
+  JOIN risks r ON r.id = rn.source_id
+  JOIN pkg_nodes n ON n.id = e.to_node_id
+  LEFT JOIN issues i ON n.source_table = 'issues' AND i.id = n.source_id
+  LEFT JOIN action_items a ON n.source_table = 'action_items' AND a.id = n.source_id
+  WHERE e.type IN ('threatens', 'mitigated_by')
+`;
+
+/**
+ * Find or create the PKG node for an issue, action item or risk row
+ * @returns {Promise<string>} node id
+ */
+async function ensureSourceNode(client, sourceTable, row, userId) {
+  const result = await client.query(`
+    INSERT INTO pkg_nodes (project_id, type, source_table, source_id, attrs, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (source_table, source_id)
+    DO UPDATE SET attrs = pkg_nodes.attrs || EXCLUDED.attrs, updated_at = NOW()
+    RETURNING id
+  `, [
+    row.project_id,
+    sourceTable === 'risks' ? 'Risk' : 'Task',
+    sourceTable,
+    row.id,
+    JSON.stringify(pkgNodeAttrs(sourceTable, row)),
+    userId
+  ]);
+
+  const nodeId = result.rows[0].id;
+  if (sourceTable === 'risks' && !row.pkg_node_id) {
+    await client.query('UPDATE risks SET pkg_node_id = $1 WHERE id = $2 AND pkg_node_id IS NULL', [nodeId, row.id]);
+  }
+  return nodeId;
+}
+
+/**
+ * Links from a risk, split by type
+ */
+async function getRiskLinks(riskId) {
+  const result = await pool.query(`${LINK_SELECT} AND r.id = $1 ORDER BY e.created_at`, [riskId]);
+  const links = result.rows.map(toLink);
+  return {
+    threatens: links.filter(link => link.type === 'threatens'),
+    mitigatedBy: links.filter(link => link.type === 'mitigated_by')
+  };
+}
+
+/**
+ * Risks linked to an issue or action item, for the item's side of the link
+ */
+async function getItemRiskLinks(itemType, itemId) {
+  const result = await pool.query(
+    `${LINK_SELECT} AND n.source_table = $1 AND n.source_id = $2 ORDER BY r.risk_score DESC NULLS LAST, e.created_at`,
+    [TARGET_TABLES[itemType], itemId]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    type: row.type,
+    risk: {
+      id: row.risk_pk,
+      riskId: row.risk_id,
+      title: row.risk_title,
+      status: row.risk_status,
+      level: row.risk_level,
+      probability: row.probability,
+      impact: row.impact
+    },
+    escalatedAt: (row.attrs || {}).escalated_at || null,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Link a risk to an issue, action item or milestone in its project
+ *
+ * @param {Object} risk - risks row
+ * @param {Object} data - { type, targetType, targetId }
+ * @returns {Promise<Object>} the new link
+ */
+async function createRiskLink(risk, data, userId) {
+  const { type, targetType, targetId } = validateLink(data);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let targetNodeId;
+    if (targetType === 'milestone') {
+      const milestone = await client.query(
+        `SELECT id FROM pkg_nodes WHERE id = $1 AND project_id = $2 AND type = 'Milestone'`,
+        [targetId, risk.project_id]
+      );
+      if (milestone.rows.length === 0) throw validationError('Invalid risk link', ['Milestone not found in this project']);
+      targetNodeId = milestone.rows[0].id;
+    } else {
+      const table = TARGET_TABLES[targetType];
+      const item = await client.query(`SELECT * FROM ${table} WHERE id = $1 AND project_id = $2`, [targetId, risk.project_id]);
+      if (item.rows.length === 0) throw validationError('Invalid risk link', [`${targetType} ${targetId} not found in this project`]);
+      targetNodeId = await ensureSourceNode(client, table, item.rows[0], userId);
+    }
+
+    const riskNodeId = await ensureSourceNode(client, 'risks', risk, userId);
+    const inserted = await client.query(`
+      INSERT INTO pkg_edges (project_id, type, from_node_id, to_node_id, attrs, created_by)
+      VALUES ($1, $2, $3, $4, '{}', $5)
+      ON CONFLICT (project_id, type, from_node_id, to_node_id) DO NOTHING
+      RETURNING id
+    `, [risk.project_id, type, riskNodeId, targetNodeId, userId]);
+    if (inserted.rows.length === 0) throw validationError('Invalid risk link', ['These items are already linked']);
+
+    await client.query('COMMIT');
+
+    const created = await pool.query(`${LINK_SELECT} AND e.id = $1`, [inserted.rows[0].id]);
+    return toLink(created.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a link from a risk
+ * @returns {Promise<boolean>} false when the risk has no such link
+ */
+async function deleteRiskLink(riskId, linkId) {
+  const result = await pool.query(`
+    DELETE FROM pkg_edges e
+    USING pkg_nodes rn
+    WHERE e.id = $2
+      AND e.type IN ('threatens', 'mitigated_by')
+      AND rn.id = e.from_node_id AND rn.source_table = 'risks' AND rn.source_id = $1
+    RETURNING e.id
+  `, [riskId, linkId]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Mitigation items that are still open; a risk can't close until this is empty
+ */
+async function getOpenMitigations(riskId) {
+  const { mitigatedBy } = await getRiskLinks(riskId);
+  return mitigatedBy.filter(link => link.open);
+}
+
+async function sendRiskEscalation(risk, escalations, previousProbability) {
+  if (!risk.risk_owner_id) return false;
+
+  const reasons = escalations.map(({ link, reason }) => describeEscalation(link, reason, risk));
+  await notificationService.sendRiskEscalationNotification({
+    userId: risk.risk_owner_id,
+    subject: `Risk escalated: ${risk.risk_id} ${risk.title}`,
+    riskKey: escapeHtml(risk.risk_id),
+    riskTitle: escapeHtml(risk.title),
+    probabilityChange: previousProbability === risk.probability
+      ? `Probability stays at ${risk.probability} / ${MAX_PROBABILITY}`
+      : `Probability raised from ${previousProbability} to ${risk.probability} / ${MAX_PROBABILITY}`,
+    reasons: reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join(''),
+    riskId: risk.id,
+    projectId: risk.project_id
+  });
+  return true;
+}
+
+/**
+ * Scheduler job: escalate open risks whose linked work is slipping. Each
+ * link escalates once; a risk with several slipping links in one run is
+ * raised by one step and gets one email.
+ *
+ * @returns {Promise<{ checked, escalated, notified }>}
+ */
+async function checkRiskEscalations(now = new Date()) {
+  const today = toDateString(now);
+  const result = await pool.query(`
+    ${LINK_SELECT}
+      AND r.status <> ALL($1)
+      AND (e.attrs->>'escalated_at') IS NULL
+      AND EXISTS (SELECT 1 FROM projects p WHERE p.id = r.project_id AND (p.archived = FALSE OR p.archived IS NULL))
+  `, [CLOSED_RISK_STATUSES]);
+
+  const byRisk = new Map();
+  for (const row of result.rows) {
+    const link = toLink(row);
+    const reason = planLinkEscalation(link, { status: row.risk_status, target_resolution_date: row.target_resolution_date }, today);
+    if (!reason) continue;
+    if (!byRisk.has(row.risk_pk)) byRisk.set(row.risk_pk, []);
+    byRisk.get(row.risk_pk).push({ link, reason });
+  }
+
+  let escalated = 0;
+  let notified = 0;
+  for (const [riskId, escalations] of byRisk) {
+    try {
+      const current = await pool.query('SELECT * FROM risks WHERE id = $1', [riskId]);
+      let risk = current.rows[0];
+      const previousProbability = risk.probability;
+      const probability = escalatedProbability(risk.probability);
+
+      if (probability !== risk.probability) {
+        const updated = await pool.query(
+          'UPDATE risks SET probability = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+          [riskId, probability]
+        );
+        risk = updated.rows[0];
+        await riskAnalyticsService.recordAssessment(
+          pool,
+          risk,
+          null,
+          `Escalated: ${escalations.map(({ link, reason }) => describeEscalation(link, reason, risk)).join('; ')}`
+        );
+      }
+
+      for (const { link, reason } of escalations) {
+        await pool.query(
+          `UPDATE pkg_edges
+           SET attrs = COALESCE(attrs, '{}'::jsonb) || jsonb_build_object('escalated_at', $2::text, 'escalation_reason', $3::text)
+           WHERE id = $1`,
+          [link.id, now.toISOString(), reason]
+        );
+      }
+
+      escalated++;
+      if (await sendRiskEscalation(risk, escalations, previousProbability)) notified++;
+    } catch (error) {
+      console.error(`Error escalating risk ${riskId}:`, error);
+    }
+  }
+
+  return { checked: result.rows.length, escalated, notified };
+}
+
+module.exports = {
+  RISK_LINK_TYPES,
+  CLOSED_RISK_STATUSES,
+  // Pure helpers
+  validateLink,
+  pkgNodeAttrs,
+  toLink,
+  planLinkEscalation,
+  escalatedProbability,
+  describeEscalation,
+  // Database access
+  getRiskLinks,
+  getItemRiskLinks,
+  createRiskLink,
+  deleteRiskLink,
+  getOpenMitigations,
+  checkRiskEscalations
+};
@@ -0,0 +1,314 @@
+/**
+ * Saved Views Service
+ *
+ * Named presets for the project board and table: filters, sort, view mode
+ * (kanban / table) and visible table columns. A view is private to its owner
+ * or shared with every member of the project, and each user can pick one
+ * view per project to open by default.
+ */
+
+const { pool } = require('../db');
+const { ROLE_HIERARCHY } = require('../middleware/auth');
+
+const VIEW_MODES = ['kanban', 'table'];
+const VISIBILITY = ['private', 'shared'];
+
+// Mirrors currentFilters in public/app.js
+const STRING_FILTERS = ['search', 'type', 'status', 'priority', 'assignee', 'category', 'tag', 'sprint', 'customField', 'query'];
+const BOOLEAN_FILTERS = ['hasPlanning', 'hasCircularDependency'];
+
+// Placeholder for "whoever opens the view", so shared views like "My overdue P1s" work for everyone
+const CURRENT_USER_TOKEN = '@me';
+
+const TABLE_COLUMNS = ['type', 'title', 'assignee', 'priority', 'due_date', 'planning_estimate', 'status'];
+const TABLE_SORT_COLUMNS = ['type', 'title', 'assignee', 'priority', 'due_date', 'status'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Mirrors COLUMN_SORT_OPTIONS in public/js/workflow.js
+const KANBAN_SORT_MODES = [
+  'due-overdue-first', 'due-earliest', 'due-latest', 'priority', 'created-desc',
+  'updated-desc', 'manual', 'priority-due-date', 'overdue-priority', 'smart-sort'
+];
+
+const CUSTOM_FIELD_COLUMN = /^cf:[a-z][a-z0-9_]{0,49}$/;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * Normalize a view definition sent by the client. Unknown keys are dropped
+ * so the stored JSON only ever holds what the board knows how to apply.
+ *
+ * @returns {Object} { definition, errors }
+ */
+function normalizeViewDefinition(input = {}) {
+  const errors = [];
+  const rawFilters = input.filters || {};
+
+  const filters = {};
+  STRING_FILTERS.forEach(key => {
+    const value = rawFilters[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      filters[key] = String(value).trim();
+    }
+  });
+  BOOLEAN_FILTERS.forEach(key => {
+    if (rawFilters[key] === true || rawFilters[key] === 'true') {
+      filters[key] = true;
+    }
+  });
+
+  const viewMode = input.viewMode || 'kanban';
+  if (!VIEW_MODES.includes(viewMode)) {
+    errors.push(`View mode must be one of ${VIEW_MODES.join(', ')}`);
+  }
+
+  const sort = {};
+  const tableSort = input.sort && input.sort.table;
+  if (tableSort) {
+    if (!TABLE_SORT_COLUMNS.includes(tableSort.column)) {
+      errors.push(`Table sort column must be one of ${TABLE_SORT_COLUMNS.join(', ')}`);
+    } else {
+      sort.table = {
+        column: tableSort.column,
+        direction: SORT_DIRECTIONS.includes(tableSort.direction) ? tableSort.direction : 'asc'
+      };
+    }
+  }
+  const kanbanSort = input.sort && input.sort.kanban;
+  if (kanbanSort && typeof kanbanSort === 'object') {
+    sort.kanban = {};
+    Object.entries(kanbanSort).forEach(([columnId, mode]) => {
+      if (!KANBAN_SORT_MODES.includes(mode)) {
+        errors.push(`Unknown sort mode "${mode}" for column ${columnId}`);
+      } else {
+        sort.kanban[columnId] = mode;
+      }
+    });
+  }
+
+  let columns = null;
+  if (input.columns !== undefined && input.columns !== null) {
+    if (!Array.isArray(input.columns)) {
+      errors.push('Columns must be a list');
+    } else {
+      const unknown = input.columns.filter(c => !TABLE_COLUMNS.includes(c) && !CUSTOM_FIELD_COLUMN.test(c));
+      if (unknown.length > 0) {
+        errors.push(`Unknown column${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+      }
+      // The title column is what rows are opened from, so it always stays visible
+      columns = [...new Set(['title', ...input.columns.filter(c => !unknown.includes(c))])];
+    }
+  }
+
+  return { definition: { filters, viewMode, sort, columns }, errors };
+}
+
+/**
+ * Replace the "@me" placeholder with the user opening the view.
+ */
+function resolveViewFilters(filters, username) {
+  const resolved = { ...filters };
+  if (resolved.assignee === CURRENT_USER_TOKEN) {
+    resolved.assignee = username;
+  }
+  return resolved;
+}
+
+function canSeeView(view, user) {
+  return view.visibility === 'shared' || parseInt(view.ownerId) === parseInt(user.id);
+}
+
+/**
+ * Owners manage their own views; Project Managers can also manage shared
+ * views so team presets do not depend on one person.
+ */
+function canManageView(view, user) {
+  if (parseInt(view.ownerId) === parseInt(user.id)) return true;
+  return view.visibility === 'shared' &&
+    (ROLE_HIERARCHY[user.role] || 0) >= ROLE_HIERARCHY['Project Manager'];
+}
+
+function mapView(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    name: row.name,
+    visibility: row.visibility,
+    definition: row.definition || {},
+    ownerId: row.owner_id,
+    ownerUsername: row.owner_username || null,
+    isDefault: Boolean(row.is_default),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function invalidViewError(errors) {
+  const error = new Error(`Invalid saved view: ${errors.join('; ')}`);
+  error.validationErrors = errors;
+  return error;
+}
+
+function normalizeViewInput(data, existing = {}) {
+  const name = (data.name !== undefined ? data.name : existing.name || '').trim();
+  const visibility = data.visibility || existing.visibility || 'private';
+  const { definition, errors } = normalizeViewDefinition(data.definition || existing.definition || {});
+
+  if (!name) {
+    errors.unshift('View name is required');
+  } else if (name.length > 100) {
+    errors.unshift('View name must be 100 characters or fewer');
+  }
+  if (!VISIBILITY.includes(visibility)) {
+    errors.push(`Visibility must be one of ${VISIBILITY.join(', ')}`);
+  }
+  return { name, visibility, definition, errors };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+const VIEW_SELECT = `
+  SELECT v.*, u.username AS owner_username, (d.view_id IS NOT NULL) AS is_default
+  FROM saved_views v
+  JOIN users u ON u.id = v.owner_id
+  LEFT JOIN saved_view_defaults d
+    ON d.view_id = v.id AND d.user_id = $1`;
+
+/**
+ * Views a user can open in a project: their own plus every shared view.
+ */
+async function listViews(projectId, userId) {
+  const result = await pool.query(
+    `${VIEW_SELECT}
+     WHERE v.project_id = $2 AND (v.owner_id = $1 OR v.visibility = 'shared')
+     ORDER BY (v.owner_id = $1) DESC, LOWER(v.name) ASC`,
+    [userId, projectId]
+  );
+  return result.rows.map(mapView);
+}
+
+async function getView(viewId, userId) {
+  const result = await pool.query(`${VIEW_SELECT} WHERE v.id = $2`, [userId, viewId]);
+  return result.rows.length > 0 ? mapView(result.rows[0]) : null;
+}
+
+async function createView(projectId, data, userId) {
+  const view = normalizeViewInput(data);
+  if (view.errors.length > 0) {
+    throw invalidViewError(view.errors);
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO saved_views (project_id, owner_id, name, visibility, definition)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [projectId, userId, view.name, view.visibility, JSON.stringify(view.definition)]
+    );
+    if (data.isDefault) {
+      await setDefaultView(projectId, userId, result.rows[0].id);
+    }
+    return getView(result.rows[0].id, userId);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw invalidViewError([`You already have a view named "${view.name}"`]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update name, visibility and/or definition. Fields left out keep their value.
+ */
+async function updateView(viewId, data, userId) {
+  const current = await getView(viewId, userId);
+  if (!current) return null;
+
+  const view = normalizeViewInput(data, current);
+  if (view.errors.length > 0) {
+    throw invalidViewError(view.errors);
+  }
+
+  try {
+    await pool.query(
+      `UPDATE saved_views
+       SET name = $1, visibility = $2, definition = $3, updated_at = NOW()
+       WHERE id = $4`,
+      [view.name, view.visibility, JSON.stringify(view.definition), viewId]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw invalidViewError([`A view named "${view.name}" already exists`]);
+    }
+    throw error;
+  }
+
+  // A view that stops being shared cannot stay someone else's default
+  if (view.visibility === 'private') {
+    await pool.query(
+      'DELETE FROM saved_view_defaults WHERE view_id = $1 AND user_id <> $2',
+      [viewId, current.ownerId]
+    );
+  }
+
+  return getView(viewId, userId);
+}
+
+async function deleteView(viewId) {
+  const result = await pool.query('DELETE FROM saved_views WHERE id = $1 RETURNING id', [viewId]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Set (or with viewId null, clear) a user's default view for a project.
+ */
+async function setDefaultView(projectId, userId, viewId) {
+  if (!viewId) {
+    await pool.query(
+      'DELETE FROM saved_view_defaults WHERE user_id = $1 AND project_id = $2',
+      [userId, projectId]
+    );
+    return null;
+  }
+
+  const view = await getView(viewId, userId);
+  if (!view || parseInt(view.projectId) !== parseInt(projectId) ||
+      !canSeeView(view, { id: userId })) {
+    throw invalidViewError(['View not found in this project']);
+  }
+
+  await pool.query(
+    `INSERT INTO saved_view_defaults (user_id, project_id, view_id, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (user_id, project_id)
+     DO UPDATE SET view_id = EXCLUDED.view_id, updated_at = NOW()`,
+    [userId, projectId, viewId]
+  );
+  return viewId;
+}
+
+module.exports = {
+  VIEW_MODES,
+  VISIBILITY,
+  TABLE_COLUMNS,
+  KANBAN_SORT_MODES,
+  CURRENT_USER_TOKEN,
+
+  // Pure helpers
+  normalizeViewDefinition,
+  resolveViewFilters,
+  canSeeView,
+  canManageView,
+
+  // Database access
+  listViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+  setDefaultView
+};
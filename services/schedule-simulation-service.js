@@ -0,0 +1,536 @@
+/**
+ * Schedule Simulation Service
+ *
+ * Monte Carlo simulation over a saved project schedule. Each iteration:
+ *   - samples every task's hours from a triangular three-point range
+ *     (optimistic / most likely / pessimistic) and re-runs the dependency
+ *     forward pass the schedule was built with;
+ *   - rolls each open project risk as an event using its probability, and
+ *     when it occurs adds delay and effort in proportion to its impact.
+ *
+ * Most likely is the hours the schedule used. Optimistic / pessimistic come
+ * from the spread of the item's own estimates (manual, AI, hybrid), widened
+ * to at least the default band, unless the caller overrides them per task.
+ *
+ * With riskBasis 'residual' (the default) a risk with a residual rating and a
+ * response other than Accept is simulated at its residual rating, and its
+ * mitigation_cost / mitigation_effort_hours are counted as planned spend.
+ * With 'inherent' every risk uses its inherent rating and nothing is spent
+ * on mitigation.
+ *
+ * Results: P50/P80/P95 finish dates, effort and cost, the probability of
+ * finishing by the target date (the project end date by default), and
+ * tornado rankings of the tasks and risks that swing finish and cost most.
+ */
+
+const { pool } = require('../db');
+const { addBusinessDays, skipWeekend } = require('./schedule-calculation-service');
+
+const RISK_BASES = ['residual', 'inherent'];
+const DEFAULT_ITERATIONS = 2000;
+const MIN_ITERATIONS = 100;
+const MAX_ITERATIONS = 10000;
+const DEFAULT_RANGE = { optimisticPercent: 20, pessimisticPercent: 50 };
+const PERCENTILES = [50, 80, 95];
+const TORNADO_SIZE = 10;
+const CLOSED_RISK_STATUSES = ['closed', 'realized'];
+
+// Chance a risk occurs, by probability rating
+const PROBABILITY_SCALE = { 1: 0.1, 2: 0.3, 3: 0.5, 4: 0.7, 5: 0.9 };
+
+// Share of the baseline duration and effort a risk adds when it occurs, by impact rating
+const IMPACT_SCALE = { 1: 0.02, 2: 0.05, 3: 0.1, 4: 0.2, 5: 0.4 };
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function validationError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Seeded PRNG (mulberry32) so a run can be repeated
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleTriangular(random, min, mode, max) {
+  if (max <= min) return mode;
+  const u = random();
+  const cut = (mode - min) / (max - min);
+  return u < cut
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * Validate and default simulation options
+ *
+ * @param {Object} options - { iterations, seed, riskBasis, optimisticPercent, pessimisticPercent, targetDate, taskRanges }
+ */
+function normalizeOptions(options = {}) {
+  const errors = [];
+  const normalized = {
+    iterations: options.iterations != null ? parseInt(options.iterations) : DEFAULT_ITERATIONS,
+    seed: options.seed != null ? parseInt(options.seed) : Math.floor(Math.random() * 2 ** 31),
+    riskBasis: options.riskBasis || 'residual',
+    optimisticPercent: options.optimisticPercent != null ? Number(options.optimisticPercent) : DEFAULT_RANGE.optimisticPercent,
+    pessimisticPercent: options.pessimisticPercent != null ? Number(options.pessimisticPercent) : DEFAULT_RANGE.pessimisticPercent,
+    targetDate: options.targetDate || null,
+    taskRanges: options.taskRanges || {}
+  };
+
+  if (isNaN(normalized.iterations) || normalized.iterations < MIN_ITERATIONS || normalized.iterations > MAX_ITERATIONS) {
+    errors.push(`iterations must be between ${MIN_ITERATIONS} and ${MAX_ITERATIONS}`);
+  }
+  if (isNaN(normalized.seed)) errors.push('seed must be an integer');
+  if (!RISK_BASES.includes(normalized.riskBasis)) {
+    errors.push(`riskBasis must be one of: ${RISK_BASES.join(', ')}`);
+  }
+  if (isNaN(normalized.optimisticPercent) || normalized.optimisticPercent < 0 || normalized.optimisticPercent >= 100) {
+    errors.push('optimisticPercent must be at least 0 and below 100');
+  }
+  if (isNaN(normalized.pessimisticPercent) || normalized.pessimisticPercent < 0 || normalized.pessimisticPercent > 500) {
+    errors.push('pessimisticPercent must be between 0 and 500');
+  }
+  if (normalized.targetDate && isNaN(new Date(normalized.targetDate))) {
+    errors.push('targetDate must be a date');
+  }
+  if (typeof normalized.taskRanges !== 'object' || Array.isArray(normalized.taskRanges)) {
+    errors.push('taskRanges must map task keys ("issue:12") to { optimistic, mostLikely, pessimistic }');
+  } else {
+    for (const [key, range] of Object.entries(normalized.taskRanges)) {
+      const { optimistic, mostLikely, pessimistic } = range || {};
+      const values = [optimistic, mostLikely, pessimistic].filter(v => v != null).map(Number);
+      if (values.some(v => isNaN(v) || v < 0)) {
+        errors.push(`${key}: hours must be non-negative numbers`);
+      } else if (optimistic != null && pessimistic != null && Number(optimistic) > Number(pessimistic)) {
+        errors.push(`${key}: optimistic must not exceed pessimistic`);
+      }
+    }
+  }
+
+  if (errors.length > 0) throw validationError('Invalid simulation options', errors);
+  return normalized;
+}
+
+/**
+ * Three-point hours for each task
+ *
+ * @param {Object[]} tasks - { key, title, estimatedHours, estimates: number[] }
+ * @returns {Object[]} tasks with { optimistic, mostLikely, pessimistic }
+ */
+function buildTaskRanges(tasks, { optimisticPercent, pessimisticPercent, taskRanges = {} } = DEFAULT_RANGE) {
+  return tasks.map(task => {
+    const mostLikely = Math.max(0, Number(task.estimatedHours) || 0);
+    const estimates = (task.estimates || []).map(Number).filter(v => v > 0);
+
+    let optimistic = Math.min(mostLikely * (1 - optimisticPercent / 100), ...estimates);
+    let pessimistic = Math.max(mostLikely * (1 + pessimisticPercent / 100), ...estimates);
+    let likely = mostLikely;
+
+    const override = taskRanges[task.key];
+    if (override) {
+      if (override.mostLikely != null) likely = Number(override.mostLikely);
+      if (override.optimistic != null) optimistic = Number(override.optimistic);
+      if (override.pessimistic != null) pessimistic = Number(override.pessimistic);
+    }
+
+    likely = Math.min(Math.max(likely, optimistic), pessimistic);
+    return { ...task, optimistic: round(optimistic), mostLikely: round(likely), pessimistic: round(pessimistic) };
+  });
+}
+
+/**
+ * Open risks as simulated events
+ */
+function buildRiskEvents(risks, riskBasis = 'residual') {
+  return risks
+    .filter(risk => !CLOSED_RISK_STATUSES.includes(risk.status))
+    .map(risk => {
+      const mitigated = riskBasis === 'residual'
+        && risk.residual_probability && risk.residual_impact
+        && risk.response_strategy !== 'Accept';
+      const probability = mitigated ? risk.residual_probability : risk.probability;
+      const impact = mitigated ? risk.residual_impact : risk.impact;
+
+      return {
+        key: `risk:${risk.id}`,
+        id: risk.id,
+        riskId: risk.risk_id,
+        title: risk.title,
+        rating: { probability, impact },
+        chance: PROBABILITY_SCALE[probability] || 0,
+        impactShare: IMPACT_SCALE[impact] || 0,
+        mitigated: Boolean(mitigated),
+        mitigationHours: mitigated ? parseFloat(risk.mitigation_effort_hours) || 0 : 0,
+        mitigationCost: mitigated ? parseFloat(risk.mitigation_cost) || 0 : 0
+      };
+    })
+    .filter(event => event.chance > 0);
+}
+
+/**
+ * Tasks in dependency order; dependencies outside the set are ignored
+ * @returns {Array<{ index, deps: number[] }>} or throws on a cycle
+ */
+function orderTasks(tasks) {
+  const indexByKey = new Map(tasks.map((task, index) => [task.key, index]));
+  const deps = tasks.map(task => [...new Set((task.dependencies || [])
+    .map(key => indexByKey.get(key))
+    .filter(index => index != null))]);
+
+  const remaining = deps.map(list => list.length);
+  const dependents = tasks.map(() => []);
+  deps.forEach((list, index) => list.forEach(dep => dependents[dep].push(index)));
+
+  const queue = remaining.map((count, index) => (count === 0 ? index : null)).filter(index => index != null);
+  const order = [];
+  while (queue.length > 0) {
+    const index = queue.shift();
+    order.push({ index, deps: deps[index] });
+    for (const next of dependents[index]) {
+      if (--remaining[next] === 0) queue.push(next);
+    }
+  }
+
+  if (order.length < tasks.length) {
+    throw validationError('Schedule has circular dependencies', ['Remove the dependency cycle and recalculate the schedule']);
+  }
+  return order;
+}
+
+/**
+ * Working-day offset of the last day of work, mirroring
+ * calculateProjectSchedule: a task starts the day after its last dependency
+ * ends and takes ceil(hours / hoursPerDay) days (a zero-hour task still
+ * occupies its start day).
+ */
+function forwardPass(order, hours, hoursPerDay) {
+  const ends = new Array(hours.length);
+  let finish = 0;
+  for (const { index, deps } of order) {
+    let start = 0;
+    for (const dep of deps) {
+      if (ends[dep] + 1 > start) start = ends[dep] + 1;
+    }
+    const days = Math.ceil(hours[index] / hoursPerDay);
+    ends[index] = start + Math.max(days - 1, 0);
+    if (ends[index] > finish) finish = ends[index];
+  }
+  return finish;
+}
+
+/**
+ * Mean outcome when a driver is low vs high: for tasks, iterations at or
+ * below its 10th / at or above its 90th percentile sample; for risks,
+ * iterations where it did not / did occur.
+ */
+function driverSwing(samples, outcomes, isEvent) {
+  const mean = indexes => (indexes.length > 0
+    ? indexes.reduce((sum, i) => sum + outcomes[i], 0) / indexes.length
+    : null);
+
+  const all = [...samples.keys()];
+  let lowIdx;
+  let highIdx;
+  if (isEvent) {
+    lowIdx = all.filter(i => samples[i] === 0);
+    highIdx = all.filter(i => samples[i] !== 0);
+  } else {
+    const sorted = Float64Array.from(samples).sort();
+    const p10 = percentile(sorted, 10);
+    const p90 = percentile(sorted, 90);
+    if (p10 === p90) return null;
+    lowIdx = all.filter(i => samples[i] <= p10);
+    highIdx = all.filter(i => samples[i] >= p90);
+  }
+
+  const low = mean(lowIdx);
+  const high = mean(highIdx);
+  if (low == null || high == null) return null;
+  return { low, high, swing: high - low };
+}
+
+function buildTornado(drivers, outcomes) {
+  return drivers
+    .map(driver => {
+      const swing = driverSwing(driver.samples, outcomes, driver.type === 'risk');
+      return swing && {
+        type: driver.type,
+        key: driver.key,
+        label: driver.label,
+        low: round(swing.low),
+        high: round(swing.high),
+        swing: round(swing.swing)
+      };
+    })
+    .filter(entry => entry && entry.swing > 0)
+    .sort((a, b) => b.swing - a.swing)
+    .slice(0, TORNADO_SIZE);
+}
+
+/**
+ * Run the simulation
+ *
+ * @param {Object} params
+ * @param {Object[]} params.tasks - output of buildTaskRanges (key, title, dependencies, optimistic, mostLikely, pessimistic)
+ * @param {Object[]} params.riskEvents - output of buildRiskEvents
+ * @param {Date|string} params.startDate - schedule start
+ * @param {number} params.hoursPerDay
+ * @param {boolean} params.includeWeekends
+ * @param {number|null} params.hourlyRate - blended rate; cost is null without one
+ * @param {Date|string|null} params.targetDate - date to measure on-time probability against
+ * @param {number} params.iterations
+ * @param {Function} params.random - () => [0, 1)
+ */
+function runSimulation({ tasks, riskEvents = [], startDate, hoursPerDay = 8, includeWeekends = false, hourlyRate = null, targetDate = null, iterations = DEFAULT_ITERATIONS, random = Math.random }) {
+  const order = orderTasks(tasks);
+  const start = skipWeekend(new Date(startDate));
+  const dateCache = new Map();
+  const dateAt = offset => {
+    if (!dateCache.has(offset)) {
+      dateCache.set(offset, addBusinessDays(start, offset + 1, includeWeekends).toISOString().split('T')[0]);
+    }
+    return dateCache.get(offset);
+  };
+
+  // Baseline: every task at its most likely hours, no risk events
+  const baselineHours = tasks.map(task => task.mostLikely);
+  const baselineFinish = forwardPass(order, baselineHours, hoursPerDay);
+  const baselineEffort = baselineHours.reduce((sum, h) => sum + h, 0);
+  const baselineDays = baselineFinish + 1;
+  const mitigationHours = riskEvents.reduce((sum, e) => sum + e.mitigationHours, 0);
+  const mitigationCost = riskEvents.reduce((sum, e) => sum + e.mitigationCost, 0);
+  const costOf = effort => (hourlyRate != null ? effort * hourlyRate + mitigationCost : null);
+
+  const taskSamples = tasks.map(() => new Float64Array(iterations));
+  const riskSamples = riskEvents.map(() => new Float64Array(iterations));
+  const finishes = new Float64Array(iterations);
+  const efforts = new Float64Array(iterations);
+  const hours = new Array(tasks.length);
+
+  for (let i = 0; i < iterations; i++) {
+    let effort = mitigationHours;
+    tasks.forEach((task, t) => {
+      hours[t] = sampleTriangular(random, task.optimistic, task.mostLikely, task.pessimistic);
+      taskSamples[t][i] = hours[t];
+      effort += hours[t];
+    });
+
+    let delayDays = 0;
+    riskEvents.forEach((event, r) => {
+      if (random() < event.chance) {
+        const days = Math.ceil(event.impactShare * baselineDays);
+        delayDays += days;
+        effort += event.impactShare * baselineEffort;
+        riskSamples[r][i] = days;
+      }
+    });
+
+    finishes[i] = forwardPass(order, hours, hoursPerDay) + delayDays;
+    efforts[i] = effort;
+  }
+
+  const sortedFinishes = Float64Array.from(finishes).sort();
+  const sortedEfforts = Float64Array.from(efforts).sort();
+  const summarize = (sorted, format) => Object.fromEntries(PERCENTILES.map(p => [`p${p}`, format(percentile(sorted, p))]));
+
+  // Finish date distribution for an S-curve
+  const counts = new Map();
+  for (const finish of sortedFinishes) counts.set(finish, (counts.get(finish) || 0) + 1);
+  let cumulative = 0;
+  const distribution = [...counts.entries()].map(([offset, count]) => {
+    cumulative += count;
+    return { date: dateAt(offset), count, cumulativePercent: round((cumulative / iterations) * 100, 1) };
+  });
+
+  let onTimeProbability = null;
+  if (targetDate) {
+    const target = new Date(targetDate).toISOString().split('T')[0];
+    const onTime = [...counts.entries()].reduce((sum, [offset, count]) => sum + (dateAt(offset) <= target ? count : 0), 0);
+    onTimeProbability = round((onTime / iterations) * 100, 1);
+  }
+
+  const drivers = [
+    ...tasks.map((task, t) => ({ type: 'task', key: task.key, label: task.title, samples: taskSamples[t] })),
+    ...riskEvents.map((event, r) => ({ type: 'risk', key: event.key, label: `${event.riskId}: ${event.title}`, samples: riskSamples[r] }))
+  ];
+  const costOutcomes = hourlyRate != null ? efforts.map(costOf) : efforts;
+
+  return {
+    iterations,
+    baseline: {
+      finishDate: dateAt(baselineFinish),
+      durationDays: baselineDays,
+      effortHours: round(baselineEffort + mitigationHours),
+      cost: costOf(baselineEffort + mitigationHours) != null ? round(costOf(baselineEffort + mitigationHours)) : null
+    },
+    finish: summarize(sortedFinishes, offset => dateAt(offset)),
+    durationDays: summarize(sortedFinishes, offset => offset + 1),
+    effortHours: summarize(sortedEfforts, value => round(value)),
+    cost: hourlyRate != null ? summarize(sortedEfforts, value => round(costOf(value))) : null,
+    targetDate: targetDate ? new Date(targetDate).toISOString().split('T')[0] : null,
+    onTimeProbability,
+    distribution,
+    tornado: {
+      // Project duration in working days
+      schedule: buildTornado(drivers, finishes.map(offset => offset + 1)),
+      // Cost, or effort hours without an hourly rate
+      cost: buildTornado(drivers, costOutcomes),
+      costUnit: hourlyRate != null ? 'cost' : 'hours'
+    },
+    risks: riskEvents.map((event, r) => ({
+      id: event.id,
+      riskId: event.riskId,
+      title: event.title,
+      rating: event.rating,
+      mitigated: event.mitigated,
+      chancePercent: round(event.chance * 100, 1),
+      occurredPercent: round((riskSamples[r].filter(days => days > 0).length / iterations) * 100, 1)
+    }))
+  };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getScheduleProjectId(scheduleId) {
+  const result = await pool.query('SELECT project_id FROM project_schedules WHERE id = $1', [scheduleId]);
+  return result.rows[0]?.project_id || null;
+}
+
+/**
+ * Simulate a saved schedule with the project's open risks
+ *
+ * @param {number} scheduleId
+ * @param {Object} options - see normalizeOptions
+ * @returns {Object|null} null when the schedule doesn't exist
+ */
+async function simulateSchedule(scheduleId, options = {}) {
+  const settings = normalizeOptions(options);
+
+  const scheduleResult = await pool.query(`
+    SELECT ps.id, ps.project_id, ps.name, ps.start_date, ps.end_date, ps.hours_per_day, ps.include_weekends,
+           p.end_date AS project_end_date, p.budget_hourly_rate, p.budget_currency
+    FROM project_schedules ps
+    JOIN projects p ON p.id = ps.project_id
+    WHERE ps.id = $1
+  `, [scheduleId]);
+  const schedule = scheduleResult.rows[0];
+  if (!schedule) return null;
+
+  const taskResult = await pool.query(`
+    SELECT ts.item_type, ts.item_id, ts.estimated_hours,
+           COALESCE(ts.dependencies, '[]'::jsonb) AS dependencies,
+           COALESCE(i.title, ai.title) AS title,
+           COALESCE(i.estimated_effort_hours, ai.estimated_effort_hours) AS manual_estimate,
+           COALESCE(i.ai_effort_estimate_hours, ai.ai_effort_estimate_hours) AS ai_estimate,
+           COALESCE(i.hybrid_effort_estimate_hours, ai.hybrid_effort_estimate_hours) AS hybrid_estimate
+    FROM task_schedules ts
+    LEFT JOIN issues i ON ts.item_type = 'issue' AND ts.item_id = i.id
+    LEFT JOIN action_items ai ON ts.item_type = 'action-item' AND ts.item_id = ai.id
+    WHERE ts.schedule_id = $1
+    ORDER BY ts.scheduled_start, ts.id
+  `, [scheduleId]);
+
+  if (taskResult.rows.length === 0) {
+    throw validationError('Schedule has no tasks', ['Add tasks to the schedule before simulating it']);
+  }
+
+  const riskResult = await pool.query(`
+    SELECT id, risk_id, title, status, probability, impact, residual_probability, residual_impact,
+           response_strategy, mitigation_cost, mitigation_effort_hours
+    FROM risks
+    WHERE project_id = $1
+  `, [schedule.project_id]);
+
+  const tasks = buildTaskRanges(taskResult.rows.map(row => ({
+    key: `${row.item_type}:${row.item_id}`,
+    title: row.title || `${row.item_type} #${row.item_id}`,
+    dependencies: row.dependencies,
+    estimatedHours: parseFloat(row.estimated_hours) || 0,
+    estimates: [row.manual_estimate, row.ai_estimate, row.hybrid_estimate].filter(v => v != null).map(parseFloat)
+  })), settings);
+
+  const riskEvents = buildRiskEvents(riskResult.rows, settings.riskBasis);
+  const hourlyRate = schedule.budget_hourly_rate != null ? parseFloat(schedule.budget_hourly_rate) : null;
+  const targetDate = settings.targetDate || schedule.project_end_date || null;
+
+  const warnings = [];
+  if (hourlyRate == null) warnings.push('The project has no blended hourly rate, so cost is reported as effort hours only');
+  if (!targetDate) warnings.push('The project has no end date; pass targetDate to get an on-time probability');
+  const unestimated = tasks.filter(task => task.pessimistic === 0).length;
+  if (unestimated > 0) warnings.push(`${unestimated} task(s) have no estimate and add no duration`);
+
+  const result = runSimulation({
+    tasks,
+    riskEvents,
+    startDate: schedule.start_date,
+    hoursPerDay: parseFloat(schedule.hours_per_day) || 8,
+    includeWeekends: schedule.include_weekends,
+    hourlyRate,
+    targetDate,
+    iterations: settings.iterations,
+    random: createRandom(settings.seed)
+  });
+
+  return {
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    scheduledFinish: schedule.end_date ? new Date(schedule.end_date).toISOString().split('T')[0] : null,
+    seed: settings.seed,
+    riskBasis: settings.riskBasis,
+    range: { optimisticPercent: settings.optimisticPercent, pessimisticPercent: settings.pessimisticPercent },
+    currency: hourlyRate != null ? schedule.budget_currency || 'USD' : null,
+    ...result,
+    tasks: tasks.map(({ key, title, optimistic, mostLikely, pessimistic }) => ({ key, title, optimistic, mostLikely, pessimistic })),
+    warnings
+  };
+}
+
+module.exports = {
+  RISK_BASES,
+  PROBABILITY_SCALE,
+  IMPACT_SCALE,
+  // Pure helpers
+  createRandom,
+  sampleTriangular,
+  percentile,
+  normalizeOptions,
+  buildTaskRanges,
+  buildRiskEvents,
+  orderTasks,
+  forwardPass,
+  runSimulation,
+  // Database access
+  getScheduleProjectId,
+  simulateSchedule
+};
@@ -2,6 +2,11 @@ const cron = require('node-cron');
 const { Pool } = require('@neondatabase/serverless');
 const notificationService = require('./notificationService');
 const { calculateProjectSchedule } = require('./schedule-calculation-service');
+const trashService = require('./trash-service');
+const slaService = require('./sla-service');
+const retentionService = require('./retention-service');
+const riskLinkService = require('./risk-link-service');
+const reviewCadenceService = require('./review-cadence-service');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -31,6 +36,150 @@ function getAppUrl() {
 class SchedulerService {
   constructor() {
     this.jobs = [];
+    this.trashPurgeJob = null;
+    this.slaEscalationJob = null;
+    this.archivedRetentionJob = null;
+    this.riskEscalationJob = null;
+    this.reviewReminderJob = null;
+  }
+
+  async purgeExpiredTrash() {
+    try {
+      console.log('🗑️ Purging expired trash...');
+      const purged = await trashService.purgeExpiredTrash();
+      console.log(`✅ Purged ${purged} trash item(s) past their retention period`);
+    } catch (error) {
+      console.error('Error purging expired trash:', error);
+    }
+  }
+
+  /**
+   * Schedule the nightly trash purge. Safe to call more than once; start()
+   * calls it too.
+   */
+  scheduleTrashPurge() {
+    if (this.trashPurgeJob) return;
+
+    this.trashPurgeJob = cron.schedule('30 2 * * *', () => {
+      this.purgeExpiredTrash();
+    }, {
+      timezone: 'America/New_York' // Adjust timezone as needed
+    });
+    this.jobs.push(this.trashPurgeJob);
+
+    console.log('🗑️ Trash purge scheduled for 2:30 AM');
+  }
+
+  async runArchivedProjectRetention() {
+    try {
+      const { projects, bytesFreed } = await retentionService.runDueRetention();
+      if (projects > 0) {
+        console.log(`🗄️ Retention: compacted ${projects} archived project(s), freed ${bytesFreed} bytes`);
+      }
+    } catch (error) {
+      console.error('Error running archived project retention:', error);
+    }
+  }
+
+  /**
+   * Schedule the nightly retention run for archived projects, after the
+   * trash purge. Safe to call more than once; start() calls it too.
+   */
+  scheduleArchivedProjectRetention() {
+    if (this.archivedRetentionJob) return;
+
+    this.archivedRetentionJob = cron.schedule('0 3 * * *', () => {
+      this.runArchivedProjectRetention();
+    }, {
+      timezone: 'America/New_York' // Adjust timezone as needed
+    });
+    this.jobs.push(this.archivedRetentionJob);
+
+    console.log('🗄️ Archived project retention scheduled for 3:00 AM');
+  }
+
+  async checkSlaEscalations() {
+    try {
+      const { checked, warnings, escalations } = await slaService.checkSlaEscalations();
+      if (warnings > 0 || escalations > 0) {
+        console.log(`⏱️ SLA check: ${checked} open issue(s), ${warnings} near-breach warning(s), ${escalations} escalation(s)`);
+      }
+    } catch (error) {
+      console.error('Error checking SLA escalations:', error);
+    }
+  }
+
+  /**
+   * Schedule the SLA near-breach and breach checks every 15 minutes. Safe to
+   * call more than once; start() calls it too.
+   */
+  scheduleSlaEscalations() {
+    if (this.slaEscalationJob) return;
+
+    this.slaEscalationJob = cron.schedule('*/15 * * * *', () => {
+      this.checkSlaEscalations();
+    }, {
+      timezone: 'America/New_York' // Adjust timezone as needed
+    });
+    this.jobs.push(this.slaEscalationJob);
+
+    console.log('⏱️ SLA escalation checks scheduled every 15 minutes');
+  }
+
+  async checkRiskEscalations() {
+    try {
+      const { escalated, notified } = await riskLinkService.checkRiskEscalations();
+      if (escalated > 0) {
+        console.log(`⚠️ Risk escalation check: ${escalated} risk(s) escalated, ${notified} owner(s) notified`);
+      }
+    } catch (error) {
+      console.error('Error checking risk escalations:', error);
+    }
+  }
+
+  /**
+   * Schedule the morning escalation check for risks whose linked work
+   * slipped. Safe to call more than once; start() calls it too.
+   */
+  scheduleRiskEscalations() {
+    if (this.riskEscalationJob) return;
+
+    this.riskEscalationJob = cron.schedule('0 8 * * *', () => {
+      this.checkRiskEscalations();
+    }, {
+      timezone: 'America/New_York' // Adjust timezone as needed
+    });
+    this.jobs.push(this.riskEscalationJob);
+
+    console.log('⚠️ Risk escalation checks scheduled for 8:00 AM');
+  }
+
+  async sendReviewReminders() {
+    try {
+      const { reminded, notified } = await reviewCadenceService.checkReviewReminders();
+      if (reminded > 0) {
+        console.log(`🔁 Review reminders: ${reminded} risk(s)/decision(s) due, ${notified} owner(s) emailed`);
+      }
+    } catch (error) {
+      console.error('Error sending review reminders:', error);
+    }
+  }
+
+  /**
+   * Schedule the morning reminders for risks and decisions whose review date
+   * has come round. Safe to call more than once; start() calls it too.
+   */
+  scheduleReviewReminders() {
+    if (this.reviewReminderJob) return;
+
+    this.reviewReminderJob = cron.schedule('30 8 * * *', () => {
+      this.sendReviewReminders();
+    }, {
+      timezone: 'America/New_York' // Adjust timezone as needed
+    });
+    this.jobs.push(this.reviewReminderJob);
+
+    console.log('🔁 Review reminders scheduled for 8:30 AM');
   }
 
   async sendDailyOverdueAlerts() {
@@ -60,7 +209,7 @@ class SchedulerService {
           FROM issues 
           WHERE project_id = $1 
           AND due_date < NOW() 
-          AND status NOT IN ('Done', 'Completed', 'Closed')
+          AND status_category(project_id, status) != 'done'
           UNION ALL
           SELECT 
             'action-item' as type, 
@@ -73,7 +222,7 @@ class SchedulerService {
           FROM action_items 
           WHERE project_id = $1 
           AND due_date < NOW() 
-          AND status NOT IN ('Done', 'Completed')
+          AND status_category(project_id, status) != 'done'
           ORDER BY due_date ASC
         `, [project.id]);
         
@@ -143,13 +292,13 @@ ${issues.length} issue(s) and ${actionItems.length} action item(s)`;
         const statsResult = await pool.query(`
           SELECT
             (SELECT COUNT(*) FROM issues WHERE project_id = $1) as total_issues,
-            (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND status = 'Done') as completed_issues,
-            (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND status IN ('Open', 'To Do', 'In Progress')) as active_issues,
-            (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND due_date < NOW() AND status NOT IN ('Done', 'Completed')) as overdue_issues,
+            (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND status_category(project_id, status) = 'done') as completed_issues,
+            (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND status_category(project_id, status) != 'done') as active_issues,
+            (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND due_date < NOW() AND status_category(project_id, status) != 'done') as overdue_issues,
             (SELECT COUNT(*) FROM action_items WHERE project_id = $1) as total_actions,
-            (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND status = 'Done') as completed_actions,
-            (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND status IN ('To Do', 'In Progress')) as active_actions,
-            (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND due_date < NOW() AND status NOT IN ('Done', 'Completed')) as overdue_actions,
+            (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND status_category(project_id, status) = 'done') as completed_actions,
+            (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND status_category(project_id, status) != 'done') as active_actions,
+            (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND due_date < NOW() AND status_category(project_id, status) != 'done') as overdue_actions,
             (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND priority = 'critical') as critical_issues,
             (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND created_at >= NOW() - INTERVAL '24 hours') as new_issues_today,
             (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND created_at >= NOW() - INTERVAL '24 hours') as new_actions_today
@@ -224,6 +373,11 @@ ${issues.length} issue(s) and ${actionItems.length} action item(s)`;
     });
     
     this.jobs.push(overdueJob, healthJob);
+    this.scheduleTrashPurge();
+    this.scheduleSlaEscalations();
+    this.scheduleArchivedProjectRetention();
+    this.scheduleRiskEscalations();
+    this.scheduleReviewReminders();
     
     console.log('✅ Scheduler service started');
     console.log('📅 Daily overdue alerts scheduled for 9:00 AM');
@@ -238,6 +392,12 @@ ${issues.length} issue(s) and ${actionItems.length} action item(s)`;
 
   stop() {
     this.jobs.forEach(job => job.stop());
+    this.jobs = [];
+    this.trashPurgeJob = null;
+    this.slaEscalationJob = null;
+    this.archivedRetentionJob = null;
+    this.riskEscalationJob = null;
+    this.reviewReminderJob = null;
     console.log('⏰ Scheduler service stopped');
   }
 
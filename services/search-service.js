@@ -0,0 +1,313 @@
+/**
+ * Search Service
+ *
+ * Ranked full-text search across a project: issues, action items, comments,
+ * risks, decisions, checklists, meetings, meeting transcripts and documents.
+ * Each source is matched with websearch_to_tsquery against the expression
+ * indexes from migration 044 (transcripts and documents use the indexes from
+ * 035 and 027), ranked with title matches weighted above body matches, and
+ * merged into one list with highlighted snippets.
+ */
+
+const { pool } = require('../db');
+
+const SEARCH_TYPES = ['issue', 'action-item', 'comment', 'risk', 'decision', 'checklist', 'meeting', 'transcript', 'document'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+
+// ts_headline wraps matches in these; formatSnippet turns them into <mark>
+const HIGHLIGHT_START = '[[hl]]';
+const HIGHLIGHT_END = '[[/hl]]';
+const SNIPPET_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", HighlightAll=true`;
+
+// Documents that mirror rows searched directly (comments, transcripts, ...) are left out
+const DOCUMENT_SOURCE_TYPES = ['uploaded_doc', 'email', 'note', 'slack_message'];
+
+/**
+ * Indexed text of each source. These must match the index expressions in
+ * db/044_full_text_search.sql.
+ */
+const tsv = text => `to_tsvector('english', ${text})`;
+const joinText = (alias, columns) => columns.map(c => `coalesce(${alias}.${c}, '')`).join(` || ' ' || `);
+const weighted = (title, body) => `setweight(${tsv(`coalesce(${title}, '')`)}, 'A') || setweight(${tsv(`coalesce(${body}, '')`)}, 'B')`;
+
+// Every source selects: type, id, title, body, rank, ref, parent_type, parent_id, parent_title, updated_at
+const SEARCH_SOURCES = {
+  issue: `
+    SELECT 'issue' AS type, s.id::text AS id, s.title, s.description AS body,
+           ts_rank(${weighted('s.title', 's.description')}, q.query, 1) AS rank,
+           NULL::text AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_at
+    FROM issues s, q
+    WHERE s.project_id = $1 AND ${tsv(joinText('s', ['title', 'description']))} @@ q.query`,
+
+  'action-item': `
+    SELECT 'action-item' AS type, s.id::text AS id, s.title, s.description AS body,
+           ts_rank(${weighted('s.title', 's.description')}, q.query, 1) AS rank,
+           NULL::text AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_at
+    FROM action_items s, q
+    WHERE s.project_id = $1 AND ${tsv(joinText('s', ['title', 'description']))} @@ q.query`,
+
+  comment: `
+    SELECT 'comment' AS type, c.id::text AS id, p.title, c.comment AS body,
+           ts_rank(${tsv('c.comment')}, q.query, 1) AS rank,
+           NULL::text AS ref, 'issue' AS parent_type, p.id::text AS parent_id, p.title AS parent_title,
+           COALESCE(c.updated_at, c.created_at) AS updated_at
+    FROM issue_comments c JOIN issues p ON p.id = c.issue_id, q
+    WHERE p.project_id = $1 AND ${tsv('c.comment')} @@ q.query
+    UNION ALL
+    SELECT 'comment', c.id::text, p.title, c.comment,
+           ts_rank(${tsv('c.comment')}, q.query, 1),
+           NULL, 'action-item', p.id::text, p.title,
+           COALESCE(c.updated_at, c.created_at)
+    FROM action_item_comments c JOIN action_items p ON p.id = c.action_item_id, q
+    WHERE p.project_id = $1 AND ${tsv('c.comment')} @@ q.query
+    UNION ALL
+    SELECT 'comment', c.id::text, p.title, c.comment,
+           ts_rank(${tsv('c.comment')}, q.query, 1),
+           NULL, 'checklist', p.id::text, p.title,
+           c.created_at
+    FROM checklist_comments c JOIN checklists p ON p.id = c.checklist_id, q
+    WHERE p.project_id = $1 AND ${tsv('c.comment')} @@ q.query`,
+
+  risk: `
+    SELECT 'risk' AS type, s.id::text AS id, s.title,
+           concat_ws(' ', s.description, s.mitigation_plan, s.contingency_plan) AS body,
+           ts_rank(${weighted('s.title', `concat_ws(' ', s.description, s.mitigation_plan, s.contingency_plan)`)}, q.query, 1) AS rank,
+           s.risk_id AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_at
+    FROM risks s, q
+    WHERE s.project_id = $1
+      AND ${tsv(joinText('s', ['title', 'description', 'mitigation_plan', 'contingency_plan']))} @@ q.query`,
+
+  decision: `
+    SELECT 'decision' AS type, s.id::text AS id, s.title,
+           concat_ws(' ', s.description, s.rationale, s.consequences) AS body,
+           ts_rank(${weighted('s.title', `concat_ws(' ', s.description, s.rationale, s.consequences)`)}, q.query, 1) AS rank,
+           s.decision_id AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_date AS updated_at
+    FROM decisions s, q
+    WHERE s.project_id = $1
+      AND ${tsv(joinText('s', ['title', 'description', 'rationale', 'consequences']))} @@ q.query`,
+
+  checklist: `
+    SELECT 'checklist' AS type, s.id::text AS id, s.title, s.description AS body,
+           ts_rank(${weighted('s.title', 's.description')}, q.query, 1) AS rank,
+           s.checklist_id AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_at
+    FROM checklists s, q
+    WHERE s.project_id = $1 AND ${tsv(joinText('s', ['title', 'description']))} @@ q.query`,
+
+  meeting: `
+    SELECT 'meeting' AS type, s.id::text AS id, s.title,
+           concat_ws(' ', s.summary, s.transcript_text) AS body,
+           ts_rank(${weighted('s.title', `concat_ws(' ', s.summary, s.transcript_text)`)}, q.query, 1) AS rank,
+           s.meeting_id AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_date AS updated_at
+    FROM meetings s, q
+    WHERE s.project_id = $1
+      AND ${tsv(joinText('s', ['title', 'summary', 'transcript_text']))} @@ q.query`,
+
+  // Best-matching chunk per recorded meeting
+  transcript: `
+    SELECT DISTINCT ON (m.id)
+           'transcript' AS type, c.id::text AS id, COALESCE(m.meeting_title, 'Meeting transcript') AS title,
+           c.content AS body,
+           ts_rank(${tsv('c.content')}, q.query, 1) AS rank,
+           c.speaker_name AS ref, 'meeting-transcription' AS parent_type, m.id::text AS parent_id, m.meeting_title AS parent_title,
+           c.created_at AS updated_at
+    FROM transcript_chunks c JOIN meeting_transcriptions m ON m.id = c.meeting_id, q
+    WHERE m.project_id = $1 AND ${tsv('c.content')} @@ q.query
+    ORDER BY m.id, rank DESC`,
+
+  document: `
+    SELECT 'document' AS type, s.id::text AS id, s.title, s.content AS body,
+           ts_rank(s.content_tsv, q.query, 1) AS rank,
+           s.source_type AS ref, NULL::text AS parent_type, NULL::text AS parent_id, NULL::text AS parent_title,
+           s.updated_at
+    FROM rag_documents s, q
+    WHERE s.project_id = $1
+      AND s.source_type IN (${DOCUMENT_SOURCE_TYPES.map(t => `'${t}'`).join(', ')})
+      AND s.content_tsv @@ q.query`
+};
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * Validate ?q=&types=&limit=.
+ *
+ * @returns {Object} { query, types, limit, errors }
+ */
+function normalizeSearchOptions({ q, types, limit } = {}) {
+  const errors = [];
+  const query = String(q || '').trim();
+
+  if (query.length < MIN_QUERY_LENGTH) {
+    errors.push(`Search text must be at least ${MIN_QUERY_LENGTH} characters`);
+  } else if (query.length > MAX_QUERY_LENGTH) {
+    errors.push(`Search text must be ${MAX_QUERY_LENGTH} characters or fewer`);
+  }
+
+  let selectedTypes = SEARCH_TYPES;
+  if (types) {
+    const requested = (Array.isArray(types) ? types : String(types).split(','))
+      .map(t => t.trim())
+      .filter(Boolean);
+    const unknown = requested.filter(t => !SEARCH_TYPES.includes(t));
+    if (unknown.length > 0) {
+      errors.push(`Unknown result type${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Use ${SEARCH_TYPES.join(', ')}`);
+    }
+    selectedTypes = SEARCH_TYPES.filter(t => requested.includes(t));
+  }
+
+  let parsedLimit = DEFAULT_LIMIT;
+  if (limit !== undefined && limit !== null && limit !== '') {
+    parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1) {
+      errors.push('Limit must be a positive number');
+      parsedLimit = DEFAULT_LIMIT;
+    }
+    parsedLimit = Math.min(parsedLimit, MAX_LIMIT);
+  }
+
+  return { query, types: selectedTypes, limit: parsedLimit, errors };
+}
+
+/**
+ * One ranked query over the selected sources.
+ * Params: $1 project id, $2 search text, $3 limit, $4 snippet options, $5 title options.
+ * Each source is capped at the limit before merging, and snippets are only
+ * built for the rows that make the final cut.
+ */
+function buildSearchSql(types) {
+  const sources = types.map(type => `(SELECT * FROM (${SEARCH_SOURCES[type]}) src ORDER BY rank DESC LIMIT $3)`);
+
+  return `
+    WITH q AS (SELECT websearch_to_tsquery('english', $2) AS query)
+    SELECT r.*,
+           ts_headline('english', COALESCE(NULLIF(r.body, ''), r.title), q.query, $4) AS snippet,
+           ts_headline('english', r.title, q.query, $5) AS title_highlight
+    FROM (
+      SELECT * FROM (
+        ${sources.join('\n        UNION ALL\n        ')}
+      ) merged
+      ORDER BY rank DESC, updated_at DESC NULLS LAST
+      LIMIT $3
+    ) r, q
+    ORDER BY r.rank DESC, r.updated_at DESC NULLS LAST`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape ts_headline output and turn its highlight markers into <mark> tags,
+ * so the result is safe to insert as HTML.
+ */
+function formatSnippet(text) {
+  if (!text) return '';
+  return escapeHtml(text.replace(/\s+/g, ' ').trim())
+    .split(escapeHtml(HIGHLIGHT_START)).join('<mark>')
+    .split(escapeHtml(HIGHLIGHT_END)).join('</mark>');
+}
+
+/**
+ * Page that opens a result, or null when the entity has no page of its own.
+ */
+function buildResultUrl(result, projectId) {
+  const itemUrl = (itemType, itemId) => `index.html?project=${projectId}&itemId=${itemId}&itemType=${itemType}`;
+
+  switch (result.type) {
+    case 'issue':
+    case 'action-item':
+      return itemUrl(result.type, result.id);
+    case 'comment':
+      if (result.parentType === 'checklist') return `checklist-fill.html?id=${result.parentId}`;
+      return itemUrl(result.parentType, result.parentId);
+    case 'risk':
+      return `risks.html?projectId=${projectId}&riskId=${result.id}`;
+    case 'checklist':
+      return `checklist-fill.html?id=${result.id}`;
+    case 'document':
+      return `documents.html?projectId=${projectId}&search=${encodeURIComponent(result.title)}`;
+    default:
+      return null;
+  }
+}
+
+function mapSearchResult(row, projectId) {
+  const result = {
+    type: row.type,
+    id: /^\d+$/.test(row.id) ? parseInt(row.id) : row.id,
+    ref: row.ref || null,
+    title: row.title,
+    titleHtml: formatSnippet(row.title_highlight || row.title),
+    snippetHtml: formatSnippet(row.snippet),
+    rank: Number(row.rank),
+    parentType: row.parent_type || null,
+    parentId: row.parent_id ? parseInt(row.parent_id) : null,
+    parentTitle: row.parent_title || null,
+    updatedAt: row.updated_at
+  };
+  result.url = buildResultUrl(result, projectId);
+  return result;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * Search a project.
+ *
+ * @param {number} projectId
+ * @param {Object} options - { q, types, limit }
+ * @returns {Promise<Object>} { query, results }
+ * @throws {Error} 'Invalid search: ...' with validationErrors
+ */
+async function searchProject(projectId, options) {
+  const { query, types, limit, errors } = normalizeSearchOptions(options);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid search: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  if (types.length === 0) {
+    return { query, results: [] };
+  }
+
+  const result = await pool.query(buildSearchSql(types), [
+    parseInt(projectId), query, limit, SNIPPET_OPTIONS, TITLE_OPTIONS
+  ]);
+
+  return {
+    query,
+    results: result.rows.map(row => mapSearchResult(row, projectId))
+  };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+
+  // Pure helpers
+  normalizeSearchOptions,
+  buildSearchSql,
+  formatSnippet,
+  buildResultUrl,
+
+  // Database access
+  searchProject
+};
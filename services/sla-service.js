@@ -0,0 +1,745 @@
+/**
+ * SLA Service
+ *
+ * Response and resolution targets per project and priority, and the timers
+ * stored on each issue. Time is business time: weekends don't count, and
+ * time spent in one of the project's pause statuses pushes both due times
+ * back. "Responded" is the first move out of the to-do category or the
+ * first assignment; "resolved" is reaching the done category.
+ *
+ * The scheduler calls checkSlaEscalations() to send near-breach notices to
+ * the assignee and breach escalations to the assignee, project managers and
+ * the policy's escalation contact.
+ */
+
+const { pool } = require('../db');
+const { addBusinessDays, skipWeekend } = require('./schedule-calculation-service');
+const notificationService = require('./notificationService');
+
+const SLA_UNITS = ['hours', 'business_days'];
+const SLA_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const DEFAULT_WARNING_PERCENT = 75;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isBusinessDay(date) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6;
+}
+
+function startOfNextDay(date) {
+  const next = new Date(date);
+  next.setHours(0, 0, 0, 0);
+  next.setDate(next.getDate() + 1);
+  return next;
+}
+
+/**
+ * Move a weekend time to the start of the next Monday
+ */
+function toBusinessTime(value) {
+  const date = new Date(value);
+  if (isBusinessDay(date)) return date;
+  const monday = skipWeekend(date);
+  monday.setHours(0, 0, 0, 0);
+  return monday;
+}
+
+/**
+ * Minutes between two times, not counting Saturdays and Sundays
+ */
+function businessMinutesBetween(start, end) {
+  let cursor = toBusinessTime(start);
+  const stop = new Date(end);
+  let minutes = 0;
+
+  while (cursor < stop) {
+    const dayEnd = startOfNextDay(cursor);
+    const segmentEnd = dayEnd < stop ? dayEnd : stop;
+    if (isBusinessDay(cursor)) minutes += (segmentEnd - cursor) / MINUTE_MS;
+    cursor = dayEnd;
+  }
+
+  return Math.round(minutes);
+}
+
+/**
+ * Add business minutes to a time, skipping weekends
+ */
+function addBusinessMinutes(start, minutes) {
+  let cursor = toBusinessTime(start);
+  let remaining = minutes;
+
+  while (remaining > 0) {
+    const available = (startOfNextDay(cursor) - cursor) / MINUTE_MS;
+    if (remaining < available) {
+      return new Date(cursor.getTime() + remaining * MINUTE_MS);
+    }
+    remaining -= available;
+    cursor = toBusinessTime(startOfNextDay(cursor));
+  }
+
+  return cursor;
+}
+
+/**
+ * Due time for a target. Hours are business hours; business days land on
+ * the same time of day that many weekdays later (via addBusinessDays, which
+ * counts the start day as day one).
+ */
+function computeDueAt(start, target, unit) {
+  const value = parseFloat(target);
+  if (unit === 'hours') {
+    return addBusinessMinutes(start, value * 60);
+  }
+
+  const wholeDays = Math.floor(value);
+  const due = addBusinessDays(toBusinessTime(start), wholeDays + 1);
+  return addBusinessMinutes(due, (value - wholeDays) * DAY_MINUTES);
+}
+
+/**
+ * Response and resolution due times for a policy, pushed back by time paused
+ */
+function computeTimers(policy, startedAt, pausedMinutes = 0) {
+  return {
+    responseDueAt: addBusinessMinutes(computeDueAt(startedAt, policy.response_target, policy.response_unit), pausedMinutes),
+    resolutionDueAt: addBusinessMinutes(computeDueAt(startedAt, policy.resolution_target, policy.resolution_unit), pausedMinutes)
+  };
+}
+
+function sameTime(a, b) {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * The sla_* column values an issue should have after a change. Starts the
+ * timers when a policy applies, stops them when none does, pauses and
+ * resumes on the project's pause statuses, records response and resolution,
+ * and recomputes breach flags. Notice markers reset whenever the target
+ * being measured changes, so each target gets its own warning and breach.
+ *
+ * @param {Object} issue - issues row (status, assignee, created_at, sla_*)
+ * @param {Object} context
+ * @param {Object|null} context.policy - sla_policies row for the issue's priority
+ * @param {string[]} context.pauseStatuses - projects.sla_pause_statuses
+ * @param {string} context.statusCategory - 'todo' | 'active' | 'done'
+ * @param {Date} [context.now]
+ * @returns {Object} sla_* column values
+ */
+function planTimerUpdate(issue, { policy, pauseStatuses = [], statusCategory, now = new Date() }) {
+  if (!policy) {
+    return {
+      sla_policy_id: null,
+      sla_started_at: null,
+      sla_response_due_at: null,
+      sla_resolution_due_at: null,
+      sla_responded_at: null,
+      sla_resolved_at: null,
+      sla_paused_at: null,
+      sla_paused_minutes: 0,
+      sla_response_breached: false,
+      sla_resolution_breached: false,
+      sla_warning_sent_at: null,
+      sla_escalated_at: null
+    };
+  }
+
+  const policyChanged = issue.sla_policy_id !== policy.id;
+  const startedAt = issue.sla_started_at || issue.created_at || now;
+  const isDone = statusCategory === 'done';
+
+  let pausedAt = issue.sla_paused_at || null;
+  let pausedMinutes = issue.sla_paused_minutes || 0;
+  const shouldPause = !isDone && pauseStatuses.includes(issue.status);
+  if (pausedAt && !shouldPause) {
+    pausedMinutes += businessMinutesBetween(pausedAt, now);
+    pausedAt = null;
+  } else if (!pausedAt && shouldPause) {
+    pausedAt = now;
+  }
+
+  const { responseDueAt, resolutionDueAt } = computeTimers(policy, startedAt, pausedMinutes);
+
+  const respondedAt = issue.sla_responded_at
+    || (statusCategory !== 'todo' || issue.assignee ? now : null);
+  const resolvedAt = isDone ? (issue.sla_resolved_at || now) : null;
+
+  // While paused the clock stands still at the moment it stopped
+  const clock = pausedAt || now;
+  const responseBreached = (respondedAt || clock) > responseDueAt;
+  const resolutionBreached = (resolvedAt || clock) > resolutionDueAt;
+
+  const targetChanged = policyChanged
+    || (!issue.sla_responded_at && respondedAt)
+    || (issue.sla_resolved_at && !resolvedAt)
+    || !sameTime(issue.sla_response_due_at, responseDueAt)
+    || !sameTime(issue.sla_resolution_due_at, resolutionDueAt);
+
+  return {
+    sla_policy_id: policy.id,
+    sla_started_at: startedAt,
+    sla_response_due_at: responseDueAt,
+    sla_resolution_due_at: resolutionDueAt,
+    sla_responded_at: respondedAt,
+    sla_resolved_at: resolvedAt,
+    sla_paused_at: pausedAt,
+    sla_paused_minutes: pausedMinutes,
+    sla_response_breached: responseBreached,
+    sla_resolution_breached: resolutionBreached,
+    sla_warning_sent_at: targetChanged ? null : issue.sla_warning_sent_at || null,
+    sla_escalated_at: targetChanged ? null : issue.sla_escalated_at || null
+  };
+}
+
+/**
+ * Where an issue stands against the target currently being measured
+ * (response until responded, then resolution).
+ *
+ * @returns {Object|null} { target, state, dueAt, minutesRemaining, percentElapsed,
+ *   responseBreached, resolutionBreached } - state is 'ok' | 'warning' |
+ *   'breached' | 'paused' | 'met'; null when no SLA applies
+ */
+function evaluateSla(issue, { warningPercent = DEFAULT_WARNING_PERCENT, now = new Date() } = {}) {
+  if (!issue.sla_policy_id || !issue.sla_resolution_due_at) return null;
+
+  const responseBreached = !!issue.sla_response_breached;
+  const resolutionBreached = !!issue.sla_resolution_breached;
+  const base = { responseBreached, resolutionBreached };
+
+  if (issue.sla_resolved_at) {
+    return {
+      ...base,
+      target: 'resolution',
+      state: resolutionBreached ? 'breached' : 'met',
+      dueAt: new Date(issue.sla_resolution_due_at),
+      minutesRemaining: 0,
+      percentElapsed: 100
+    };
+  }
+
+  const target = issue.sla_responded_at ? 'resolution' : 'response';
+  const dueAt = new Date(target === 'response' ? issue.sla_response_due_at : issue.sla_resolution_due_at);
+  const clock = issue.sla_paused_at ? new Date(issue.sla_paused_at) : now;
+  const breached = target === 'response' ? responseBreached || clock > dueAt : resolutionBreached || clock > dueAt;
+
+  const windowMinutes = Math.max(1, businessMinutesBetween(issue.sla_started_at, dueAt) - (issue.sla_paused_minutes || 0));
+  const minutesRemaining = clock < dueAt ? businessMinutesBetween(clock, dueAt) : -businessMinutesBetween(dueAt, clock);
+  const percentElapsed = Math.max(0, Math.round(((windowMinutes - minutesRemaining) / windowMinutes) * 100));
+
+  let state = 'ok';
+  if (breached) state = 'breached';
+  else if (issue.sla_paused_at) state = 'paused';
+  else if (percentElapsed >= warningPercent) state = 'warning';
+
+  return { ...base, target, state, dueAt, minutesRemaining, percentElapsed };
+}
+
+/**
+ * Which notice, if any, the scheduler owes for an issue: a near-breach
+ * warning once per target, and a breach escalation once per target.
+ *
+ * @returns {'warning'|'breach'|null}
+ */
+function planEscalation(issue, evaluation) {
+  if (!evaluation) return null;
+  if (evaluation.state === 'breached' && !issue.sla_escalated_at && !issue.sla_resolved_at) return 'breach';
+  if (evaluation.state === 'warning' && !issue.sla_warning_sent_at && !issue.sla_escalated_at) return 'warning';
+  return null;
+}
+
+/**
+ * "3h 20m", "2d 4h" in business time
+ */
+function formatBusinessDuration(minutes) {
+  const total = Math.abs(Math.round(minutes));
+  const days = Math.floor(total / DAY_MINUTES);
+  const hours = Math.floor((total % DAY_MINUTES) / 60);
+  const mins = total % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  return `${mins}m`;
+}
+
+/**
+ * Per-priority compliance from issue timer rows
+ *
+ * @param {Object[]} rows - issues with priority and sla_* columns
+ * @returns {Object} { overall, byPriority }
+ */
+function summarizeCompliance(rows, now = new Date()) {
+  const empty = () => ({
+    total: 0,
+    responded: 0,
+    responseMet: 0,
+    responseBreached: 0,
+    resolved: 0,
+    resolutionMet: 0,
+    resolutionBreached: 0,
+    openBreached: 0,
+    totalResponseMinutes: 0,
+    totalResolutionMinutes: 0
+  });
+  const groups = new Map();
+  const overall = empty();
+
+  for (const row of rows) {
+    const priority = (row.priority || 'medium').toLowerCase();
+    if (!groups.has(priority)) groups.set(priority, empty());
+
+    for (const stats of [groups.get(priority), overall]) {
+      stats.total++;
+      if (row.sla_responded_at) {
+        stats.responded++;
+        stats.totalResponseMinutes += businessMinutesBetween(row.sla_started_at, row.sla_responded_at);
+        if (row.sla_response_breached) stats.responseBreached++;
+        else stats.responseMet++;
+      } else if (row.sla_response_breached) {
+        stats.responseBreached++;
+      }
+      if (row.sla_resolved_at) {
+        stats.resolved++;
+        stats.totalResolutionMinutes += Math.max(0,
+          businessMinutesBetween(row.sla_started_at, row.sla_resolved_at) - (row.sla_paused_minutes || 0));
+        if (row.sla_resolution_breached) stats.resolutionBreached++;
+        else stats.resolutionMet++;
+      } else if (row.sla_resolution_breached || (row.sla_resolution_due_at && !row.sla_paused_at && now > new Date(row.sla_resolution_due_at))) {
+        stats.resolutionBreached++;
+        stats.openBreached++;
+      }
+    }
+  }
+
+  const finish = stats => {
+    const responseMeasured = stats.responseMet + stats.responseBreached;
+    const resolutionMeasured = stats.resolutionMet + stats.resolutionBreached;
+    const { totalResponseMinutes, totalResolutionMinutes, ...counts } = stats;
+    return {
+      ...counts,
+      responseCompliance: responseMeasured > 0 ? Math.round((stats.responseMet / responseMeasured) * 100) : null,
+      resolutionCompliance: resolutionMeasured > 0 ? Math.round((stats.resolutionMet / resolutionMeasured) * 100) : null,
+      avgResponseMinutes: stats.responded > 0 ? Math.round(totalResponseMinutes / stats.responded) : null,
+      avgResolutionMinutes: stats.resolved > 0 ? Math.round(totalResolutionMinutes / stats.resolved) : null
+    };
+  };
+
+  const order = priority => {
+    const index = SLA_PRIORITIES.indexOf(priority);
+    return index === -1 ? SLA_PRIORITIES.length : index;
+  };
+
+  return {
+    overall: finish(overall),
+    byPriority: [...groups.entries()]
+      .sort(([a], [b]) => order(a) - order(b))
+      .map(([priority, stats]) => ({ priority, ...finish(stats) }))
+  };
+}
+
+/**
+ * Validate and normalise a policy body
+ */
+function validatePolicy(data) {
+  const errors = [];
+  const priority = String(data.priority || '').trim().toLowerCase();
+  const responseTarget = parseFloat(data.response_target);
+  const resolutionTarget = parseFloat(data.resolution_target);
+  const responseUnit = data.response_unit || 'hours';
+  const resolutionUnit = data.resolution_unit || 'business_days';
+  const warningPercent = data.warning_percent !== undefined && data.warning_percent !== null && data.warning_percent !== ''
+    ? parseInt(data.warning_percent)
+    : DEFAULT_WARNING_PERCENT;
+
+  if (!priority) errors.push('Priority is required');
+  if (!(responseTarget > 0)) errors.push('Response target must be greater than zero');
+  if (!(resolutionTarget > 0)) errors.push('Resolution target must be greater than zero');
+  if (!SLA_UNITS.includes(responseUnit)) errors.push(`Response unit must be one of: ${SLA_UNITS.join(', ')}`);
+  if (!SLA_UNITS.includes(resolutionUnit)) errors.push(`Resolution unit must be one of: ${SLA_UNITS.join(', ')}`);
+  if (isNaN(warningPercent) || warningPercent < 1 || warningPercent > 99) {
+    errors.push('Warning threshold must be between 1 and 99 percent');
+  }
+
+  if (errors.length === 0) {
+    const responseMinutes = responseUnit === 'hours' ? responseTarget * 60 : responseTarget * DAY_MINUTES;
+    const resolutionMinutes = resolutionUnit === 'hours' ? resolutionTarget * 60 : resolutionTarget * DAY_MINUTES;
+    if (responseMinutes > resolutionMinutes) {
+      errors.push('Response target cannot be longer than the resolution target');
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid SLA policy: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return {
+    priority,
+    response_target: responseTarget,
+    response_unit: responseUnit,
+    resolution_target: resolutionTarget,
+    resolution_unit: resolutionUnit,
+    warning_percent: warningPercent,
+    escalate_to_user_id: data.escalate_to_user_id ? parseInt(data.escalate_to_user_id) : null,
+    is_active: data.is_active !== false
+  };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getPolicies(projectId) {
+  const [policies, project] = await Promise.all([
+    pool.query(`
+      SELECT sp.*, u.username AS escalate_to_username
+      FROM sla_policies sp
+      LEFT JOIN users u ON u.id = sp.escalate_to_user_id
+      WHERE sp.project_id = $1
+      ORDER BY array_position($2::text[], sp.priority::text), sp.priority
+    `, [projectId, SLA_PRIORITIES]),
+    pool.query('SELECT sla_pause_statuses FROM projects WHERE id = $1', [projectId])
+  ]);
+
+  return {
+    policies: policies.rows,
+    pauseStatuses: project.rows[0]?.sla_pause_statuses || []
+  };
+}
+
+async function savePolicy(projectId, data, userId) {
+  const policy = validatePolicy(data);
+
+  if (policy.escalate_to_user_id) {
+    const member = await pool.query(`
+      SELECT 1 FROM project_members
+      WHERE project_id = $1 AND user_id = $2 AND status = 'active'
+    `, [projectId, policy.escalate_to_user_id]);
+    if (member.rows.length === 0) {
+      const error = new Error('Invalid SLA policy: escalation contact must be an active project member');
+      error.validationErrors = ['Escalation contact must be an active project member'];
+      throw error;
+    }
+  }
+
+  const result = await pool.query(`
+    INSERT INTO sla_policies
+      (project_id, priority, response_target, response_unit, resolution_target, resolution_unit,
+       warning_percent, escalate_to_user_id, is_active, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (project_id, priority) DO UPDATE SET
+      response_target = EXCLUDED.response_target,
+      response_unit = EXCLUDED.response_unit,
+      resolution_target = EXCLUDED.resolution_target,
+      resolution_unit = EXCLUDED.resolution_unit,
+      warning_percent = EXCLUDED.warning_percent,
+      escalate_to_user_id = EXCLUDED.escalate_to_user_id,
+      is_active = EXCLUDED.is_active,
+      updated_at = NOW()
+    RETURNING *
+  `, [
+    projectId, policy.priority, policy.response_target, policy.response_unit,
+    policy.resolution_target, policy.resolution_unit, policy.warning_percent,
+    policy.escalate_to_user_id, policy.is_active, userId
+  ]);
+
+  await recalculateProjectTimers(projectId);
+  return result.rows[0];
+}
+
+async function deletePolicy(projectId, priority) {
+  const result = await pool.query(
+    'DELETE FROM sla_policies WHERE project_id = $1 AND priority = $2 RETURNING id',
+    [projectId, String(priority).toLowerCase()]
+  );
+  if (result.rows.length > 0) await recalculateProjectTimers(projectId);
+  return result.rows.length > 0;
+}
+
+async function updatePauseStatuses(projectId, statuses) {
+  if (!Array.isArray(statuses)) {
+    const error = new Error('Invalid pause statuses: expected a list of status names');
+    error.validationErrors = ['Pause statuses must be a list'];
+    throw error;
+  }
+
+  const cleaned = [...new Set(statuses.map(s => String(s).trim()).filter(Boolean))];
+  await pool.query('UPDATE projects SET sla_pause_statuses = $1 WHERE id = $2', [cleaned, projectId]);
+  await recalculateProjectTimers(projectId);
+  return cleaned;
+}
+
+async function loadTimerContext(issueIds, client = pool) {
+  const result = await client.query(`
+    SELECT i.*, status_category(i.project_id, i.status) AS status_category,
+           p.sla_pause_statuses,
+           row_to_json(sp.*) AS policy
+    FROM issues i
+    JOIN projects p ON p.id = i.project_id
+    LEFT JOIN sla_policies sp
+      ON sp.project_id = i.project_id AND sp.priority = LOWER(i.priority) AND sp.is_active
+    WHERE i.id = ANY($1::int[])
+  `, [issueIds]);
+  return result.rows;
+}
+
+async function writeTimers(issueId, timers, client = pool) {
+  const columns = Object.keys(timers);
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  await client.query(
+    `UPDATE issues SET ${assignments.join(', ')} WHERE id = $1`,
+    [issueId, ...columns.map(column => timers[column])]
+  );
+}
+
+/**
+ * Bring one or more issues' timers up to date after a create or edit
+ *
+ * @param {number|number[]} issueIds
+ * @returns {Promise<Map<number, Object>>} issue id -> sla_* values written
+ */
+async function syncIssueTimers(issueIds, now = new Date()) {
+  const ids = (Array.isArray(issueIds) ? issueIds : [issueIds]).map(id => parseInt(id));
+  const rows = await loadTimerContext(ids);
+  const written = new Map();
+
+  for (const row of rows) {
+    if (!row.policy && !row.sla_policy_id) continue;
+
+    const timers = planTimerUpdate(row, {
+      policy: row.policy,
+      pauseStatuses: row.sla_pause_statuses || [],
+      statusCategory: row.status_category,
+      now
+    });
+    await writeTimers(row.id, timers);
+    written.set(row.id, timers);
+  }
+
+  return written;
+}
+
+async function recalculateProjectTimers(projectId) {
+  const result = await pool.query(`
+    SELECT id FROM issues
+    WHERE project_id = $1
+      AND (sla_policy_id IS NOT NULL OR status_category(project_id, status) <> 'done')
+  `, [projectId]);
+  if (result.rows.length === 0) return 0;
+
+  const written = await syncIssueTimers(result.rows.map(r => r.id));
+  return written.size;
+}
+
+/**
+ * Attach an `sla` evaluation to issue rows for display (board badges)
+ */
+async function annotateIssues(issues, now = new Date()) {
+  const policyIds = [...new Set(issues.map(i => i.sla_policy_id).filter(Boolean))];
+  if (policyIds.length === 0) return issues;
+
+  const result = await pool.query(
+    'SELECT id, warning_percent FROM sla_policies WHERE id = ANY($1::int[])',
+    [policyIds]
+  );
+  const warningPercents = new Map(result.rows.map(r => [r.id, r.warning_percent]));
+
+  for (const issue of issues) {
+    if (!issue.sla_policy_id) continue;
+    const evaluation = evaluateSla(issue, { warningPercent: warningPercents.get(issue.sla_policy_id), now });
+    issue.sla = evaluation && {
+      ...evaluation,
+      remaining: formatBusinessDuration(evaluation.minutesRemaining)
+    };
+  }
+
+  return issues;
+}
+
+async function getEscalationRecipients(issue, policy, kind) {
+  const result = await pool.query(`
+    SELECT DISTINCT u.id, u.username
+    FROM users u
+    WHERE u.username = $1
+       OR ($2 AND u.id = $3)
+       OR ($2 AND u.id IN (
+         SELECT user_id FROM project_members
+         WHERE project_id = $4 AND status = 'active' AND role IN ('Admin', 'Manager')
+       ))
+  `, [issue.assignee || null, kind === 'breach', policy.escalate_to_user_id, issue.project_id]);
+  return result.rows;
+}
+
+async function sendEscalation(issue, policy, evaluation, kind) {
+  const recipients = await getEscalationRecipients(issue, policy, kind);
+  const targetLabel = evaluation.target === 'response' ? 'response' : 'resolution';
+  const remaining = formatBusinessDuration(evaluation.minutesRemaining);
+  const subject = kind === 'breach'
+    ? `SLA breached: ${issue.title}`
+    : `SLA at risk: ${issue.title}`;
+  const summary = kind === 'breach'
+    ? `The ${targetLabel} target was missed ${remaining} ago (due ${evaluation.dueAt.toLocaleString()}).`
+    : `The ${targetLabel} target is due in ${remaining} (${evaluation.percentElapsed}% of the time used).`;
+
+  for (const recipient of recipients) {
+    await notificationService.sendSlaEscalationNotification({
+      userId: recipient.id,
+      subject,
+      kind,
+      summary: escapeHtml(summary),
+      issueId: issue.id,
+      issueTitle: escapeHtml(issue.title),
+      priority: escapeHtml(issue.priority || 'Medium'),
+      assignee: escapeHtml(issue.assignee || 'Unassigned'),
+      projectId: issue.project_id
+    });
+  }
+
+  if (kind === 'breach') {
+    await notificationService.sendSlaEscalationTeamsNotification({
+      projectId: issue.project_id,
+      title: `🚨 SLA breached: ${issue.title}`,
+      message: summary,
+      facts: [
+        { title: 'Issue', value: `#${issue.id}` },
+        { title: 'Priority', value: issue.priority || 'Medium' },
+        { title: 'Target', value: targetLabel },
+        { title: 'Assignee', value: issue.assignee || 'Unassigned' }
+      ],
+      issueId: issue.id
+    });
+  }
+
+  return recipients.length;
+}
+
+/**
+ * Scheduler job: start timers missed by other code paths, refresh breach
+ * flags, and send near-breach warnings and breach escalations once per target.
+ *
+ * @returns {Promise<{ checked, warnings, escalations }>}
+ */
+async function checkSlaEscalations(now = new Date()) {
+  const candidates = await pool.query(`
+    SELECT i.id
+    FROM issues i
+    JOIN projects p ON p.id = i.project_id
+    WHERE (p.archived = FALSE OR p.archived IS NULL)
+      AND status_category(i.project_id, i.status) <> 'done'
+      AND (
+        i.sla_policy_id IS NOT NULL
+        OR EXISTS (
+          SELECT 1 FROM sla_policies sp
+          WHERE sp.project_id = i.project_id AND sp.priority = LOWER(i.priority) AND sp.is_active
+        )
+      )
+  `);
+  if (candidates.rows.length === 0) return { checked: 0, warnings: 0, escalations: 0 };
+
+  await syncIssueTimers(candidates.rows.map(r => r.id), now);
+  const rows = await loadTimerContext(candidates.rows.map(r => r.id));
+
+  let warnings = 0;
+  let escalations = 0;
+  for (const issue of rows) {
+    if (!issue.policy) continue;
+
+    const evaluation = evaluateSla(issue, { warningPercent: issue.policy.warning_percent, now });
+    const kind = planEscalation(issue, evaluation);
+    if (!kind) continue;
+
+    try {
+      await sendEscalation(issue, issue.policy, evaluation, kind);
+      await pool.query(
+        `UPDATE issues SET ${kind === 'breach' ? 'sla_escalated_at' : 'sla_warning_sent_at'} = $2 WHERE id = $1`,
+        [issue.id, now]
+      );
+      if (kind === 'breach') escalations++;
+      else warnings++;
+    } catch (error) {
+      console.error(`Error sending SLA ${kind} for issue ${issue.id}:`, error);
+    }
+  }
+
+  return { checked: rows.length, warnings, escalations };
+}
+
+/**
+ * SLA compliance for issues whose timers started in a date range
+ *
+ * @param {number} projectId
+ * @param {Object} [range] - { from, to } ISO dates, inclusive
+ * @returns {Promise<Object>} { range, overall, byPriority, breaches }
+ */
+async function getComplianceReport(projectId, { from = null, to = null } = {}, now = new Date()) {
+  const result = await pool.query(`
+    SELECT i.id, i.title, i.priority, i.status, i.assignee,
+           i.sla_started_at, i.sla_response_due_at, i.sla_resolution_due_at,
+           i.sla_responded_at, i.sla_resolved_at, i.sla_paused_at, i.sla_paused_minutes,
+           i.sla_response_breached, i.sla_resolution_breached
+    FROM issues i
+    WHERE i.project_id = $1
+      AND i.sla_policy_id IS NOT NULL
+      AND ($2::date IS NULL OR i.sla_started_at >= $2::date)
+      AND ($3::date IS NULL OR i.sla_started_at < $3::date + 1)
+    ORDER BY i.sla_started_at
+  `, [projectId, from || null, to || null]);
+
+  const { overall, byPriority } = summarizeCompliance(result.rows, now);
+  const breaches = result.rows
+    .filter(row => row.sla_response_breached || row.sla_resolution_breached)
+    .map(row => ({
+      id: row.id,
+      title: row.title,
+      priority: row.priority,
+      status: row.status,
+      assignee: row.assignee,
+      responseBreached: row.sla_response_breached,
+      resolutionBreached: row.sla_resolution_breached,
+      resolved: !!row.sla_resolved_at,
+      resolutionDueAt: row.sla_resolution_due_at
+    }));
+
+  return { range: { from, to }, overall, byPriority, breaches };
+}
+
+module.exports = {
+  SLA_UNITS,
+  SLA_PRIORITIES,
+  DEFAULT_WARNING_PERCENT,
+  // Pure helpers
+  businessMinutesBetween,
+  addBusinessMinutes,
+  computeDueAt,
+  computeTimers,
+  planTimerUpdate,
+  evaluateSla,
+  planEscalation,
+  formatBusinessDuration,
+  summarizeCompliance,
+  validatePolicy,
+  // Database access
+  getPolicies,
+  savePolicy,
+  deletePolicy,
+  updatePauseStatuses,
+  syncIssueTimers,
+  recalculateProjectTimers,
+  annotateIssues,
+  checkSlaEscalations,
+  getComplianceReport
+};
@@ -0,0 +1,677 @@
+/**
+ * Sprint Service
+ *
+ * Sprint/iteration lifecycle (plan, start, close with carry-over), item
+ * assignment, and the burndown / velocity calculations built from
+ * status_history, time_entries and the planning estimates on each item.
+ */
+
+const { pool } = require('../db');
+const { fallbackCategory } = require('./workflow-service');
+
+const SPRINT_STATUSES = ['planned', 'active', 'closed'];
+const ITEM_TABLES = {
+  'issue': 'issues',
+  'action-item': 'action_items'
+};
+
+// Planning estimate used for sprint scope. estimated_effort_hours holds the
+// selected planning estimate; fall back to hybrid/AI values when it is empty.
+const PLANNED_HOURS_SQL = 'COALESCE(estimated_effort_hours, hybrid_effort_estimate_hours, ai_effort_estimate_hours, 0)';
+
+function getItemTable(itemType) {
+  const table = ITEM_TABLES[itemType];
+  if (!table) {
+    throw new Error(`Invalid item type: ${itemType}. Must be one of: ${Object.keys(ITEM_TABLES).join(', ')}`);
+  }
+  return table;
+}
+
+function toDateKey(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toISOString().split('T')[0];
+}
+
+// ============================================================================
+// SPRINT CRUD
+// ============================================================================
+
+async function createSprint(projectId, userId, data = {}) {
+  const { name, goal = null, startDate, endDate, capacityHours = null } = data;
+
+  if (!name || !name.trim()) {
+    throw new Error('Sprint name is required');
+  }
+  if (!startDate || !endDate) {
+    throw new Error('startDate and endDate are required');
+  }
+  if (new Date(endDate) < new Date(startDate)) {
+    throw new Error('endDate must be on or after startDate');
+  }
+
+  const projectCheck = await pool.query('SELECT id FROM projects WHERE id = $1', [projectId]);
+  if (projectCheck.rows.length === 0) {
+    throw new Error(`Project ${projectId} not found`);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO sprints (project_id, name, goal, start_date, end_date, capacity_hours, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [projectId, name.trim(), goal, startDate, endDate, capacityHours, userId]);
+
+  return result.rows[0];
+}
+
+async function getSprintById(sprintId) {
+  const result = await pool.query(`
+    SELECT s.*,
+      (SELECT COUNT(*) FROM sprint_items si WHERE si.sprint_id = s.id AND si.removed_at IS NULL)::int AS item_count
+    FROM sprints s
+    WHERE s.id = $1
+  `, [sprintId]);
+
+  return result.rows[0] || null;
+}
+
+async function listSprints(projectId, { status } = {}) {
+  const params = [projectId];
+  let query = `
+    SELECT s.*,
+      (SELECT COUNT(*) FROM sprint_items si WHERE si.sprint_id = s.id AND si.removed_at IS NULL)::int AS item_count
+    FROM sprints s
+    WHERE s.project_id = $1
+  `;
+
+  if (status) {
+    if (!SPRINT_STATUSES.includes(status)) {
+      throw new Error(`Invalid status. Must be one of: ${SPRINT_STATUSES.join(', ')}`);
+    }
+    params.push(status);
+    query += ` AND s.status = $${params.length}`;
+  }
+
+  query += ` ORDER BY CASE s.status WHEN 'active' THEN 0 WHEN 'planned' THEN 1 ELSE 2 END, s.start_date ASC`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+async function updateSprint(sprintId, data = {}) {
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+  if (sprint.status === 'closed') {
+    throw new Error('Closed sprints cannot be edited');
+  }
+
+  const fieldMap = {
+    name: 'name',
+    goal: 'goal',
+    startDate: 'start_date',
+    endDate: 'end_date',
+    capacityHours: 'capacity_hours'
+  };
+
+  const updates = [];
+  const values = [];
+  for (const [key, column] of Object.entries(fieldMap)) {
+    if (data[key] !== undefined) {
+      values.push(data[key]);
+      updates.push(`${column} = $${values.length}`);
+    }
+  }
+
+  if (updates.length === 0) {
+    return sprint;
+  }
+
+  const startDate = data.startDate !== undefined ? data.startDate : sprint.start_date;
+  const endDate = data.endDate !== undefined ? data.endDate : sprint.end_date;
+  if (new Date(endDate) < new Date(startDate)) {
+    throw new Error('endDate must be on or after startDate');
+  }
+
+  values.push(sprintId);
+  const result = await pool.query(`
+    UPDATE sprints
+    SET ${updates.join(', ')}, updated_at = NOW()
+    WHERE id = $${values.length}
+    RETURNING *
+  `, values);
+
+  return result.rows[0];
+}
+
+async function deleteSprint(sprintId) {
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+  if (sprint.status !== 'planned') {
+    throw new Error('Only planned sprints can be deleted');
+  }
+
+  // sprint_id on issues/action_items is ON DELETE SET NULL, so items return to the backlog
+  await pool.query('DELETE FROM sprints WHERE id = $1', [sprintId]);
+  return sprint;
+}
+
+// ============================================================================
+// ITEM ASSIGNMENT
+// ============================================================================
+
+async function assignItems(sprintId, userId, items = []) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('items must be a non-empty array');
+  }
+
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+  if (sprint.status === 'closed') {
+    throw new Error('Cannot add items to a closed sprint');
+  }
+
+  const client = await pool.connect();
+  const assigned = [];
+  try {
+    await client.query('BEGIN');
+
+    for (const { itemType, itemId } of items) {
+      const table = getItemTable(itemType);
+      const itemResult = await client.query(
+        `SELECT id, project_id, sprint_id, ${PLANNED_HOURS_SQL} AS planned_hours FROM ${table} WHERE id = $1`,
+        [itemId]
+      );
+      const item = itemResult.rows[0];
+      if (!item) {
+        throw new Error(`${itemType} ${itemId} not found`);
+      }
+      if (item.project_id !== sprint.project_id) {
+        throw new Error(`${itemType} ${itemId} belongs to a different project`);
+      }
+      if (item.sprint_id === sprint.id) {
+        continue;
+      }
+
+      // Moving between sprints closes the membership in the previous sprint
+      if (item.sprint_id) {
+        await client.query(`
+          UPDATE sprint_items SET removed_at = NOW()
+          WHERE sprint_id = $1 AND item_type = $2 AND item_id = $3 AND removed_at IS NULL
+        `, [item.sprint_id, itemType, itemId]);
+      }
+
+      await client.query(`
+        INSERT INTO sprint_items (sprint_id, item_type, item_id, added_by, committed, planned_hours)
+        VALUES ($1, $2, $3, $4, FALSE, $5)
+      `, [sprint.id, itemType, itemId, userId, item.planned_hours]);
+
+      await client.query(`UPDATE ${table} SET sprint_id = $1, updated_at = NOW() WHERE id = $2`, [sprint.id, itemId]);
+      assigned.push({ itemType, itemId });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { sprintId: sprint.id, assigned };
+}
+
+async function removeItem(sprintId, itemType, itemId) {
+  const table = getItemTable(itemType);
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+  if (sprint.status === 'closed') {
+    throw new Error('Cannot remove items from a closed sprint');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      UPDATE sprint_items SET removed_at = NOW()
+      WHERE sprint_id = $1 AND item_type = $2 AND item_id = $3 AND removed_at IS NULL
+      RETURNING id
+    `, [sprintId, itemType, itemId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Item is not in this sprint');
+    }
+
+    await client.query(
+      `UPDATE ${table} SET sprint_id = NULL, updated_at = NOW() WHERE id = $1 AND sprint_id = $2`,
+      [itemId, sprintId]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Validate that an item in projectId can be placed into sprintId.
+ * Used by the issue/action-item create and update endpoints.
+ */
+async function validateSprintForProject(sprintId, projectId) {
+  const sprint = await getSprintById(sprintId);
+  if (!sprint || parseInt(sprint.project_id) !== parseInt(projectId)) {
+    throw new Error('Sprint not found in this project');
+  }
+  if (sprint.status === 'closed') {
+    throw new Error('Cannot add items to a closed sprint');
+  }
+  return sprint;
+}
+
+/**
+ * Keep sprint_items in step when an item's sprint_id is changed directly
+ * through PATCH /api/issues/:id or PATCH /api/action-items/:id.
+ */
+async function syncItemSprint(itemType, itemId, newSprintId, userId) {
+  const table = getItemTable(itemType);
+
+  await pool.query(`
+    UPDATE sprint_items SET removed_at = NOW()
+    WHERE item_type = $1 AND item_id = $2 AND removed_at IS NULL
+      AND ($3::int IS NULL OR sprint_id <> $3::int)
+  `, [itemType, itemId, newSprintId || null]);
+
+  if (newSprintId) {
+    await pool.query(`
+      INSERT INTO sprint_items (sprint_id, item_type, item_id, added_by, committed, planned_hours)
+      SELECT $1, $2, $3, $4, FALSE, ${PLANNED_HOURS_SQL}
+      FROM ${table}
+      WHERE id = $3
+      ON CONFLICT DO NOTHING
+    `, [newSprintId, itemType, itemId, userId]);
+  }
+}
+
+// ============================================================================
+// SPRINT LIFECYCLE
+// ============================================================================
+
+async function startSprint(sprintId, userId) {
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+  if (sprint.status !== 'planned') {
+    throw new Error(`Sprint is already ${sprint.status}`);
+  }
+
+  const activeCheck = await pool.query(
+    `SELECT id, name FROM sprints WHERE project_id = $1 AND status = 'active'`,
+    [sprint.project_id]
+  );
+  if (activeCheck.rows.length > 0) {
+    throw new Error(`Sprint "${activeCheck.rows[0].name}" is already active for this project`);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Committed scope = everything in the sprint at start, with estimates refreshed
+    for (const [itemType, table] of Object.entries(ITEM_TABLES)) {
+      await client.query(`
+        UPDATE sprint_items si
+        SET committed = TRUE, planned_hours = ${PLANNED_HOURS_SQL}
+        FROM ${table} t
+        WHERE si.sprint_id = $1 AND si.item_type = $2 AND si.item_id = t.id AND si.removed_at IS NULL
+      `, [sprintId, itemType]);
+    }
+
+    const totals = await client.query(`
+      SELECT COUNT(*)::int AS items, COALESCE(SUM(planned_hours), 0) AS hours
+      FROM sprint_items
+      WHERE sprint_id = $1 AND removed_at IS NULL
+    `, [sprintId]);
+
+    const result = await client.query(`
+      UPDATE sprints
+      SET status = 'active', started_at = NOW(), started_by = $2,
+          committed_items = $3, committed_hours = $4, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [sprintId, userId, totals.rows[0].items, totals.rows[0].hours]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close a sprint. Items not in a "done" workflow status are carried over to targetSprintId
+ * (a planned or active sprint in the same project) or returned to the backlog.
+ */
+async function closeSprint(sprintId, userId, { targetSprintId = null } = {}) {
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+  if (sprint.status !== 'active') {
+    throw new Error('Only active sprints can be closed');
+  }
+
+  if (targetSprintId) {
+    const target = await getSprintById(targetSprintId);
+    if (!target || target.project_id !== sprint.project_id) {
+      throw new Error('Target sprint not found in this project');
+    }
+    if (target.status === 'closed' || target.id === sprint.id) {
+      throw new Error('Target sprint must be a different, open sprint');
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const openItems = await getOpenSprintItems(client, sprintId);
+    let completedItems = 0;
+    let completedHours = 0;
+    const carriedOver = [];
+
+    for (const item of openItems) {
+      if (item.status_category === 'done') {
+        completedItems++;
+        completedHours += parseFloat(item.planned_hours) || 0;
+        await client.query(`UPDATE sprint_items SET outcome = 'completed' WHERE id = $1`, [item.id]);
+        continue;
+      }
+
+      const table = getItemTable(item.item_type);
+      await client.query(`
+        UPDATE sprint_items SET outcome = $2, removed_at = NOW() WHERE id = $1
+      `, [item.id, targetSprintId ? 'carried_over' : 'returned_to_backlog']);
+
+      if (targetSprintId) {
+        await client.query(`
+          INSERT INTO sprint_items (sprint_id, item_type, item_id, added_by, committed, planned_hours, carried_over_from)
+          VALUES ($1, $2, $3, $4, FALSE, $5, $6)
+          ON CONFLICT DO NOTHING
+        `, [targetSprintId, item.item_type, item.item_id, userId, item.planned_hours, sprintId]);
+      }
+
+      await client.query(
+        `UPDATE ${table} SET sprint_id = $1, updated_at = NOW() WHERE id = $2`,
+        [targetSprintId || null, item.item_id]
+      );
+      carriedOver.push({ itemType: item.item_type, itemId: item.item_id });
+    }
+
+    const result = await client.query(`
+      UPDATE sprints
+      SET status = 'closed', closed_at = NOW(), closed_by = $2,
+          completed_items = $3, completed_hours = $4, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [sprintId, userId, completedItems, completedHours]);
+
+    await client.query('COMMIT');
+
+    return {
+      sprint: result.rows[0],
+      completedItems,
+      completedHours,
+      carriedOver,
+      targetSprintId: targetSprintId || null
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getOpenSprintItems(db, sprintId) {
+  const result = await db.query(`
+    SELECT si.*, COALESCE(i.status, a.status) AS status,
+           status_category(COALESCE(i.project_id, a.project_id), COALESCE(i.status, a.status)) AS status_category
+    FROM sprint_items si
+    LEFT JOIN issues i ON si.item_type = 'issue' AND i.id = si.item_id
+    LEFT JOIN action_items a ON si.item_type = 'action-item' AND a.id = si.item_id
+    WHERE si.sprint_id = $1 AND si.removed_at IS NULL
+  `, [sprintId]);
+  return result.rows;
+}
+
+// ============================================================================
+// BURNDOWN & VELOCITY
+// ============================================================================
+
+/**
+ * Build a day-by-day burndown series.
+ *
+ * @param {Object} input
+ * @param {string|Date} input.startDate
+ * @param {string|Date} input.endDate
+ * @param {Array} input.items - [{ itemType, itemId, plannedHours, committed, addedAt, removedAt }]
+ * @param {Array} input.transitions - status_history rows [{ itemType, itemId, toStatus, toCategory, changedAt }]
+ *   toCategory is the workflow category of toStatus; conventional status names are used when it is absent
+ * @param {Array} input.timeEntries - [{ hours, workDate }]
+ * @param {string|Date} [input.today] - days after this are left without actuals
+ * @returns {Object} { days: [{ date, ideal, remaining, scope, completed, loggedHours }], committedHours }
+ */
+function buildBurndownSeries({ startDate, endDate, items = [], transitions = [], timeEntries = [], today = new Date() }) {
+  const dates = [];
+  const cursor = new Date(`${toDateKey(startDate)}T00:00:00Z`);
+  const last = new Date(`${toDateKey(endDate)}T00:00:00Z`);
+  while (cursor <= last) {
+    dates.push(toDateKey(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  const todayKey = toDateKey(today);
+  const committedHours = items
+    .filter(item => item.committed)
+    .reduce((sum, item) => sum + (parseFloat(item.plannedHours) || 0), 0);
+
+  const sortedTransitions = [...transitions].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  const itemKey = (type, id) => `${type}:${id}`;
+
+  const days = dates.map((date, index) => {
+    const ideal = dates.length > 1
+      ? committedHours * (1 - index / (dates.length - 1))
+      : 0;
+
+    if (date > todayKey) {
+      return { date, ideal: round(ideal), remaining: null, scope: null, completed: null, loggedHours: null };
+    }
+
+    // Status category of each item as of end of this day
+    const statusAtDay = new Map();
+    for (const t of sortedTransitions) {
+      if (toDateKey(t.changedAt) > date) break;
+      statusAtDay.set(itemKey(t.itemType, t.itemId), t.toCategory || fallbackCategory(t.toStatus));
+    }
+
+    let scope = 0;
+    let completed = 0;
+    for (const item of items) {
+      if (item.addedAt && toDateKey(item.addedAt) > date) continue;
+      if (item.removedAt && toDateKey(item.removedAt) <= date) continue;
+      const hours = parseFloat(item.plannedHours) || 0;
+      scope += hours;
+      if (statusAtDay.get(itemKey(item.itemType, item.itemId)) === 'done') {
+        completed += hours;
+      }
+    }
+
+    const loggedHours = timeEntries
+      .filter(entry => toDateKey(entry.workDate) <= date)
+      .reduce((sum, entry) => sum + (parseFloat(entry.hours) || 0), 0);
+
+    return {
+      date,
+      ideal: round(ideal),
+      remaining: round(scope - completed),
+      scope: round(scope),
+      completed: round(completed),
+      loggedHours: round(loggedHours)
+    };
+  });
+
+  return { days, committedHours: round(committedHours) };
+}
+
+/**
+ * Summarise velocity across closed sprints.
+ *
+ * @param {Array} sprints - closed sprint rows (committed_hours, completed_hours, committed_items, completed_items)
+ * @returns {Object} { sprints, averageCompletedHours, averageCompletedItems, commitmentReliability }
+ */
+function calculateVelocity(sprints = []) {
+  const rows = sprints.map(s => {
+    const committedHours = parseFloat(s.committed_hours) || 0;
+    const completedHours = parseFloat(s.completed_hours) || 0;
+    return {
+      id: s.id,
+      name: s.name,
+      startDate: s.start_date,
+      endDate: s.end_date,
+      committedHours: round(committedHours),
+      completedHours: round(completedHours),
+      committedItems: parseInt(s.committed_items) || 0,
+      completedItems: parseInt(s.completed_items) || 0,
+      completionRate: committedHours > 0 ? round(completedHours / committedHours * 100) : null
+    };
+  });
+
+  if (rows.length === 0) {
+    return { sprints: [], averageCompletedHours: 0, averageCompletedItems: 0, commitmentReliability: null };
+  }
+
+  const totalCommitted = rows.reduce((sum, r) => sum + r.committedHours, 0);
+  const totalCompleted = rows.reduce((sum, r) => sum + r.completedHours, 0);
+
+  return {
+    sprints: rows,
+    averageCompletedHours: round(totalCompleted / rows.length),
+    averageCompletedItems: round(rows.reduce((sum, r) => sum + r.completedItems, 0) / rows.length),
+    commitmentReliability: totalCommitted > 0 ? round(totalCompleted / totalCommitted * 100) : null
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function getBurndown(sprintId) {
+  const sprint = await getSprintById(sprintId);
+  if (!sprint) {
+    throw new Error('Sprint not found');
+  }
+
+  const itemsResult = await pool.query(`
+    SELECT item_type, item_id, planned_hours, committed, added_at, removed_at
+    FROM sprint_items
+    WHERE sprint_id = $1
+  `, [sprintId]);
+
+  // status_history uses 'action_item'; sprint_items/time_entries use 'action-item'
+  const transitionsResult = await pool.query(`
+    SELECT CASE sh.item_type WHEN 'action_item' THEN 'action-item' ELSE sh.item_type END AS item_type,
+           sh.item_id, sh.to_status, status_category(s.project_id, sh.to_status) AS to_category, sh.changed_at
+    FROM status_history sh
+    JOIN sprint_items si
+      ON si.item_id = sh.item_id
+     AND si.item_type = CASE sh.item_type WHEN 'action_item' THEN 'action-item' ELSE sh.item_type END
+    JOIN sprints s ON s.id = si.sprint_id
+    WHERE si.sprint_id = $1
+    ORDER BY sh.changed_at ASC
+  `, [sprintId]);
+
+  // An item removed and re-added has several sprint_items rows; count its hours once.
+  // Entries are bucketed by the day the work was done, not when it was logged.
+  const timeResult = await pool.query(`
+    SELECT te.hours_logged, te.work_date::text AS work_date
+    FROM time_entries te
+    JOIN (
+      SELECT DISTINCT item_type, item_id FROM sprint_items WHERE sprint_id = $1
+    ) si ON si.item_type = te.item_type AND si.item_id = te.item_id
+    WHERE te.work_date BETWEEN $2::date AND $3::date
+  `, [sprintId, sprint.start_date, sprint.end_date]);
+
+  const series = buildBurndownSeries({
+    startDate: sprint.start_date,
+    endDate: sprint.end_date,
+    items: itemsResult.rows.map(r => ({
+      itemType: r.item_type,
+      itemId: r.item_id,
+      plannedHours: r.planned_hours,
+      committed: r.committed,
+      addedAt: r.added_at,
+      removedAt: r.removed_at
+    })),
+    transitions: transitionsResult.rows.map(r => ({
+      itemType: r.item_type,
+      itemId: r.item_id,
+      toStatus: r.to_status,
+      toCategory: r.to_category,
+      changedAt: r.changed_at
+    })),
+    timeEntries: timeResult.rows.map(r => ({ hours: r.hours_logged, workDate: r.work_date })),
+    today: sprint.closed_at || new Date()
+  });
+
+  return { sprint, ...series };
+}
+
+async function getVelocity(projectId, limit = 6) {
+  const result = await pool.query(`
+    SELECT * FROM sprints
+    WHERE project_id = $1 AND status = 'closed'
+    ORDER BY end_date DESC
+    LIMIT $2
+  `, [projectId, limit]);
+
+  return calculateVelocity(result.rows.reverse());
+}
+
+module.exports = {
+  SPRINT_STATUSES,
+
+  // Sprint CRUD
+  createSprint,
+  getSprintById,
+  listSprints,
+  updateSprint,
+  deleteSprint,
+
+  // Item Assignment
+  assignItems,
+  removeItem,
+  validateSprintForProject,
+  syncItemSprint,
+
+  // Lifecycle
+  startSprint,
+  closeSprint,
+
+  // Reporting
+  getBurndown,
+  getVelocity,
+  buildBurndownSeries,
+  calculateVelocity
+};
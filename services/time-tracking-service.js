@@ -1,4 +1,5 @@
 const { neon, Pool } = require('@neondatabase/serverless');
+const workflowService = require('./workflow-service');
 
 // Database connection
 const sql = neon(process.env.DATABASE_URL);
@@ -35,6 +36,29 @@ const TIME_REQUIRED_TRANSITIONS = {
   'done_in progress': { requiresHours: false, allowExceeding: true, setCompletion: 'calculate' }
 };
 
+/**
+ * Time rule for projects with a custom workflow, derived from status categories:
+ * entering a "done" status completes the item, leaving one recalculates completion.
+ * A transition flagged requires_hours always needs hours.
+ */
+async function getWorkflowTimeRule(projectId, fromStatus, toStatus) {
+  const workflow = await workflowService.getProjectWorkflow(projectId);
+  if (workflow.isDefault) return null;
+
+  const fromCategory = workflowService.getStatusCategory(workflow, fromStatus);
+  const toCategory = workflowService.getStatusCategory(workflow, toStatus);
+  const transition = workflowService.findTransition(workflow, fromStatus, toStatus);
+  const transitionRequiresHours = Boolean(transition && transition.requiresHours);
+
+  if (toCategory === 'done' && fromCategory !== 'done') {
+    return { requiresHours: true, forceHours: transitionRequiresHours, allowExceeding: true, setCompletion: 100 };
+  }
+  if (fromCategory === 'done' || transitionRequiresHours) {
+    return { requiresHours: transitionRequiresHours, forceHours: transitionRequiresHours, allowExceeding: true, setCompletion: 'calculate' };
+  }
+  return null;
+}
+
 /**
  * Get item data (issues or action items)
  */
@@ -150,8 +174,13 @@ async function validateStatusChange(itemType, itemId, fromStatus, toStatus, hour
   const transitionKey = `${fromStatus}_${toStatus}`;
   const normalizedKey = transitionKey.toLowerCase();
   
+  // Custom project workflows derive the rule from status categories;
+  // the default workflow keeps the fixed transition table
+  const workflowRule = projectId ? await getWorkflowTimeRule(projectId, fromStatus, toStatus) : null;
+  
   // Check all possible key formats
-  const rule = TIME_REQUIRED_TRANSITIONS[transitionKey] || 
+  const rule = workflowRule ||
+               TIME_REQUIRED_TRANSITIONS[transitionKey] || 
                TIME_REQUIRED_TRANSITIONS[normalizedKey];
   
   // If no rule exists, no special time tracking required
@@ -168,7 +197,7 @@ async function validateStatusChange(itemType, itemId, fromStatus, toStatus, hour
     // If projectId provided, check if timesheet is actually required
     let timesheetActuallyRequired = true;
     
-    if (projectId) {
+    if (projectId && !rule.forceHours) {
       timesheetActuallyRequired = await isTimesheetRequired(projectId, itemTimesheetOverride);
       console.log(`[Timesheet Validation] Project ${projectId}, Override: ${itemTimesheetOverride}, Required: ${timesheetActuallyRequired}`);
     }
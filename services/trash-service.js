@@ -0,0 +1,657 @@
+/**
+ * Trash Service
+ *
+ * Soft delete for issues, action items, risks and decisions. Deleting moves the
+ * item row and the rows that depend on it into trash_items.snapshot; restore
+ * re-inserts them with their original ids and re-points the references that
+ * were cleared. The scheduler purges entries older than the project's
+ * trash_retention_days.
+ */
+
+const fs = require('fs').promises;
+const { pool } = require('../db');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 365;
+
+const ACTION_ITEM_TYPES_SQL = `('action-item', 'action_item')`;
+
+// A dependency row is only restored when both of its items exist
+const DEPENDENCY_ENDS_EXIST = `
+  CASE WHEN r.prerequisite_item_type = 'issue'
+    THEN EXISTS (SELECT 1 FROM issues WHERE id = r.prerequisite_item_id)
+    ELSE EXISTS (SELECT 1 FROM action_items WHERE id = r.prerequisite_item_id)
+  END`;
+
+const RELATIONSHIP_ENDS_EXIST = `
+  CASE WHEN r.source_type = 'issue'
+    THEN EXISTS (SELECT 1 FROM issues WHERE id = r.source_id)
+    ELSE EXISTS (SELECT 1 FROM action_items WHERE id = r.source_id)
+  END
+  AND CASE WHEN r.target_type = 'issue'
+    THEN EXISTS (SELECT 1 FROM issues WHERE id = r.target_id)
+    ELSE EXISTS (SELECT 1 FROM action_items WHERE id = r.target_id)
+  END`;
+
+const TAG_EXISTS = 'EXISTS (SELECT 1 FROM tags WHERE id = r.tag_id)';
+
+/**
+ * Reactions and edit history of an item's comments. Listed ahead of the comments
+ * themselves: deleting a comment fires trigger_delete_comment_thread_data (052),
+ * which would remove these rows before they were snapshotted.
+ */
+function commentThreadDependents(commentType, commentTable, itemColumn) {
+  const where = `comment_type = '${commentType}' AND comment_id IN (SELECT id FROM ${commentTable} WHERE ${itemColumn} = $1)`;
+  return [
+    { table: 'comment_reactions', where },
+    { table: 'comment_edits', where }
+  ];
+}
+
+/**
+ * What moves with each item type.
+ *  dependents   - rows removed with the item and re-inserted on restore ($1 = item id);
+ *                 `requires` skips rows whose other end is gone by then
+ *  references   - nullable columns elsewhere pointing at the item; cleared on delete,
+ *                 re-pointed on restore
+ *  optionalRefs - columns on the item row itself, cleared on restore if the target is gone
+ *  uniqueKey    - human-readable key that may have been reused while the item was in the trash
+ */
+const TRASH_TYPES = {
+  'issue': {
+    table: 'issues',
+    label: 'Issue',
+    pkgSourceTable: 'issues',
+    attachmentTypes: ['issue'],
+    dependents: [
+      ...commentThreadDependents('issue', 'issue_comments', 'issue_id'),
+      { table: 'issue_comments', where: 'issue_id = $1' },
+      { table: 'issue_tags', where: 'issue_id = $1', requires: TAG_EXISTS },
+      {
+        table: 'issue_dependencies',
+        where: `issue_id = $1 OR (prerequisite_item_type = 'issue' AND prerequisite_item_id = $1)`,
+        requires: `EXISTS (SELECT 1 FROM issues WHERE id = r.issue_id) AND ${DEPENDENCY_ENDS_EXIST}`
+      },
+      {
+        table: 'action_item_dependencies',
+        where: `prerequisite_item_type = 'issue' AND prerequisite_item_id = $1`,
+        requires: `EXISTS (SELECT 1 FROM action_items WHERE id = r.action_item_id) AND ${DEPENDENCY_ENDS_EXIST}`
+      },
+      {
+        table: 'issue_relationships',
+        where: `(source_type = 'issue' AND source_id = $1) OR (target_type = 'issue' AND target_id = $1)`,
+        requires: RELATIONSHIP_ENDS_EXIST
+      }
+    ],
+    references: [
+      { table: 'issues', column: 'parent_issue_id' },
+      { table: 'checklists', column: 'related_issue_id' }
+    ],
+    optionalRefs: [
+      { column: 'parent_issue_id', table: 'issues' },
+      { column: 'sprint_id', table: 'sprints' },
+      { column: 'source_meeting_id', table: 'meetings' }
+    ]
+  },
+  'action-item': {
+    table: 'action_items',
+    label: 'Action Item',
+    pkgSourceTable: 'action_items',
+    attachmentTypes: ['action_item', 'action-item'],
+    dependents: [
+      ...commentThreadDependents('action-item', 'action_item_comments', 'action_item_id'),
+      { table: 'action_item_comments', where: 'action_item_id = $1' },
+      { table: 'action_item_tags', where: 'action_item_id = $1', requires: TAG_EXISTS },
+      {
+        table: 'action_item_dependencies',
+        where: `action_item_id = $1 OR (prerequisite_item_type IN ${ACTION_ITEM_TYPES_SQL} AND prerequisite_item_id = $1)`,
+        requires: `EXISTS (SELECT 1 FROM action_items WHERE id = r.action_item_id) AND ${DEPENDENCY_ENDS_EXIST}`
+      },
+      {
+        table: 'issue_dependencies',
+        where: `prerequisite_item_type IN ${ACTION_ITEM_TYPES_SQL} AND prerequisite_item_id = $1`,
+        requires: `EXISTS (SELECT 1 FROM issues WHERE id = r.issue_id) AND ${DEPENDENCY_ENDS_EXIST}`
+      },
+      {
+        table: 'issue_relationships',
+        where: `(source_type IN ${ACTION_ITEM_TYPES_SQL} AND source_id = $1) OR (target_type IN ${ACTION_ITEM_TYPES_SQL} AND target_id = $1)`,
+        requires: RELATIONSHIP_ENDS_EXIST
+      }
+    ],
+    references: [
+      { table: 'checklists', column: 'related_action_id' }
+    ],
+    optionalRefs: [
+      { column: 'sprint_id', table: 'sprints' },
+      { column: 'source_meeting_id', table: 'meetings' },
+      { column: 'source_decision_id', table: 'decisions' }
+    ]
+  },
+  'risk': {
+    table: 'risks',
+    label: 'Risk',
+    pkgSourceTable: 'risks',
+    ragSourceType: 'risk_description',
+    attachmentTypes: ['risk'],
+    dependents: [
+      { table: 'risk_updates', where: 'risk_id = $1' },
+      { table: 'risk_assessments', where: 'risk_id = $1' },
+      { table: 'risk_tags', where: 'risk_id = $1', requires: TAG_EXISTS }
+    ],
+    references: [],
+    optionalRefs: [
+      { column: 'source_meeting_id', table: 'meetings' }
+    ],
+    uniqueKey: { column: 'risk_id', generate: nextRiskKey }
+  },
+  'decision': {
+    table: 'decisions',
+    label: 'Decision',
+    pkgSourceTable: 'decisions',
+    ragSourceType: 'decision_rationale',
+    attachmentTypes: ['decision'],
+    dependents: [],
+    references: [
+      { table: 'decisions', column: 'superseded_by' },
+      { table: 'action_items', column: 'source_decision_id' }
+    ],
+    optionalRefs: [
+      { column: 'superseded_by', table: 'decisions' }
+    ],
+    uniqueKey: { column: 'decision_id', generate: nextDecisionKey }
+  }
+};
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function getTrashType(itemType) {
+  const config = TRASH_TYPES[itemType];
+  if (!config) {
+    throw new Error(`Invalid item type: ${itemType}. Must be one of: ${Object.keys(TRASH_TYPES).join(', ')}`);
+  }
+  return config;
+}
+
+/**
+ * Parse a retention period in days. Returns null when it is not a whole
+ * number between 1 and MAX_RETENTION_DAYS.
+ */
+function normalizeRetentionDays(value) {
+  const days = typeof value === 'string' ? Number(value.trim()) : value;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    return null;
+  }
+  return days;
+}
+
+/**
+ * When a trashed item becomes eligible for purge.
+ */
+function getPurgeDate(deletedAt, retentionDays) {
+  const date = new Date(deletedAt);
+  date.setDate(date.getDate() + (retentionDays || DEFAULT_RETENTION_DAYS));
+  return date;
+}
+
+/**
+ * Counts shown in the trash view for what will come back on restore.
+ */
+function summarizeSnapshot(snapshot) {
+  const summary = { comments: 0, tags: 0, links: 0, references: 0, pkgNodes: 0 };
+  Object.entries(snapshot.dependents || {}).forEach(([table, rows]) => {
+    if (table.endsWith('_comments')) summary.comments += rows.length;
+    else if (table.endsWith('_tags')) summary.tags += rows.length;
+    else if (table.endsWith('_dependencies') || table === 'issue_relationships') summary.links += rows.length;
+  });
+  (snapshot.links || []).forEach(link => {
+    if (link.table !== 'evidence' && link.table !== 'pkg_nodes') summary.references += link.ids.length;
+  });
+  summary.pkgNodes = (snapshot.pkgNodes || []).length;
+  return summary;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function nextRiskKey(client, projectId) {
+  const result = await client.query(
+    `SELECT COALESCE(MAX(NULLIF(regexp_replace(risk_id, '\\D', '', 'g'), '')::int), 0) AS max_number
+     FROM risks WHERE project_id = $1`,
+    [projectId]
+  );
+  let number = parseInt(result.rows[0].max_number) + 1;
+  // risk_id is unique across projects
+  for (;;) {
+    const key = `RISK-${number.toString().padStart(3, '0')}`;
+    const taken = await client.query('SELECT 1 FROM risks WHERE risk_id = $1', [key]);
+    if (taken.rows.length === 0) return key;
+    number++;
+  }
+}
+
+async function nextDecisionKey(client, projectId) {
+  const result = await client.query('SELECT generate_decision_id($1) AS decision_id', [projectId]);
+  return result.rows[0].decision_id;
+}
+
+async function selectRows(client, table, where, params) {
+  const result = await client.query(
+    `SELECT COALESCE(jsonb_agg(to_jsonb(t)), '[]'::jsonb) AS rows FROM ${table} t WHERE ${where}`,
+    params
+  );
+  return result.rows[0].rows;
+}
+
+// Generated columns (e.g. risks.risk_score) can't be inserted, so list the writable ones
+async function getInsertableColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1 AND is_generated = 'NEVER'
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  return result.rows.map(r => `"${r.column_name}"`).join(', ');
+}
+
+async function insertRows(client, table, rows, requires) {
+  if (!rows || rows.length === 0) return 0;
+  const columns = await getInsertableColumns(client, table);
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns})
+     SELECT ${columns} FROM jsonb_populate_recordset(NULL::${table}, $1::jsonb) r
+     ${requires ? `WHERE ${requires}` : ''}
+     ON CONFLICT DO NOTHING`,
+    [JSON.stringify(rows)]
+  );
+  return result.rowCount;
+}
+
+
+// Re-point a reference cleared at delete time, unless something else claimed it meanwhile
+async function restoreLink(client, link) {
+  const result = await client.query(
+    `UPDATE ${link.table} SET ${link.column} = $1
+     WHERE id::text = ANY($2::text[]) AND ${link.column} IS NULL
+       AND EXISTS (SELECT 1 FROM ${link.target} WHERE id = $1)`,
+    [link.value, link.ids.map(String)]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Move an item and everything that hangs off it to the trash.
+ *
+ * @param {string} itemType - 'issue' | 'action-item' | 'risk' | 'decision'
+ * @param {number} itemId
+ * @param {number} userId - user deleting the item
+ * @param {Object} [client] - a client with an open transaction, for callers that
+ *   trash the item as one step of a larger change; they commit or roll back
+ * @returns {Promise<Object|null>} trash entry, or null if the item doesn't exist
+ */
+async function trashItem(itemType, itemId, userId, client = null) {
+  const config = getTrashType(itemType);
+  if (client) return moveToTrash(client, config, itemType, itemId, userId);
+
+  const ownClient = await pool.connect();
+  try {
+    await ownClient.query('BEGIN');
+    const entry = await moveToTrash(ownClient, config, itemType, itemId, userId);
+    await ownClient.query(entry ? 'COMMIT' : 'ROLLBACK');
+    return entry;
+  } catch (error) {
+    await ownClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    ownClient.release();
+  }
+}
+
+async function moveToTrash(client, config, itemType, itemId, userId) {
+  const itemResult = await client.query(
+    `SELECT to_jsonb(t) AS row FROM ${config.table} t WHERE id = $1 FOR UPDATE`,
+    [itemId]
+  );
+  if (itemResult.rows.length === 0) return null;
+  const row = itemResult.rows[0].row;
+  const links = [];
+
+  // Rows that depend on the item
+  const dependents = {};
+  for (const dependent of config.dependents) {
+    const rows = await selectRows(client, dependent.table, dependent.where, [itemId]);
+    if (rows.length > 0) {
+      dependents[dependent.table] = rows;
+      await client.query(`DELETE FROM ${dependent.table} WHERE ${dependent.where}`, [itemId]);
+    }
+  }
+
+  // Other rows pointing at the item (child issues, linked checklists, ...)
+  for (const reference of config.references) {
+    const cleared = await client.query(
+      `UPDATE ${reference.table} SET ${reference.column} = NULL WHERE ${reference.column} = $1 RETURNING id`,
+      [itemId]
+    );
+    if (cleared.rows.length > 0) {
+      links.push({
+        table: reference.table, column: reference.column, target: config.table,
+        value: itemId, ids: cleared.rows.map(r => r.id)
+      });
+    }
+  }
+
+  // PKG nodes for the item and the edges touching them
+  const pkgNodes = await selectRows(
+    client,
+    'pkg_nodes',
+    '(source_table = $1 AND source_id = $2) OR id = $3',
+    [config.pkgSourceTable, itemId, row.pkg_node_id || null]
+  );
+  const nodeIds = pkgNodes.map(n => n.id);
+  let pkgEdges = [];
+
+  if (nodeIds.length > 0) {
+    pkgEdges = await selectRows(client, 'pkg_edges', 'from_node_id = ANY($1::uuid[]) OR to_node_id = ANY($1::uuid[])', [nodeIds]);
+
+    // Supersession pointers in either direction are restored as links
+    pkgNodes.forEach(node => {
+      if (node.superseded_by && !nodeIds.includes(node.superseded_by)) {
+        links.push({ table: 'pkg_nodes', column: 'superseded_by', target: 'pkg_nodes', value: node.superseded_by, ids: [node.id] });
+      }
+      node.superseded_by = null;
+    });
+    const superseding = await client.query(
+      `SELECT superseded_by, array_agg(id) AS ids FROM pkg_nodes
+       WHERE superseded_by = ANY($1::uuid[]) AND NOT (id = ANY($1::uuid[]))
+       GROUP BY superseded_by`,
+      [nodeIds]
+    );
+    superseding.rows.forEach(r => links.push({ table: 'pkg_nodes', column: 'superseded_by', target: 'pkg_nodes', value: r.superseded_by, ids: r.ids }));
+    await client.query(
+      'UPDATE pkg_nodes SET superseded_by = NULL WHERE superseded_by = ANY($1::uuid[]) AND NOT (id = ANY($1::uuid[]))',
+      [nodeIds]
+    );
+
+    // Evidence keeps its row but loses the edge link (ON DELETE SET NULL)
+    const edgeIds = pkgEdges.map(e => e.id);
+    if (edgeIds.length > 0) {
+      const evidence = await client.query(
+        'SELECT pkg_edge_id, array_agg(id) AS ids FROM evidence WHERE pkg_edge_id = ANY($1::uuid[]) GROUP BY pkg_edge_id',
+        [edgeIds]
+      );
+      evidence.rows.forEach(r => links.push({ table: 'evidence', column: 'pkg_edge_id', target: 'pkg_edges', value: r.pkg_edge_id, ids: r.ids }));
+    }
+  }
+
+  await client.query(`DELETE FROM ${config.table} WHERE id = $1`, [itemId]);
+
+  if (nodeIds.length > 0) {
+    await client.query('DELETE FROM pkg_nodes WHERE id = ANY($1::uuid[])', [nodeIds]);
+  }
+  if (config.ragSourceType) {
+    await client.query('DELETE FROM rag_documents WHERE source_type = $1 AND source_id = $2', [config.ragSourceType, itemId]);
+  }
+
+  const snapshot = { row, dependents, links, pkgNodes, pkgEdges };
+  const trashResult = await client.query(
+    `INSERT INTO trash_items (project_id, item_type, item_id, title, snapshot, deleted_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, project_id, item_type, item_id, title, deleted_by, deleted_at`,
+    [row.project_id, itemType, itemId, row.title || `${config.label} #${itemId}`, JSON.stringify(snapshot), userId]
+  );
+
+  return trashResult.rows[0];
+}
+
+/**
+ * Put a trashed item back with its original id, then re-insert its dependent
+ * rows and re-point references whose other end still exists.
+ *
+ * @returns {Promise<Object|null>} { itemType, itemId, projectId, restored } or null if not in the trash
+ */
+async function restoreItem(trashId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const trashResult = await client.query('SELECT * FROM trash_items WHERE id = $1 FOR UPDATE', [trashId]);
+    if (trashResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const entry = trashResult.rows[0];
+    const config = getTrashType(entry.item_type);
+    const { row, dependents = {}, links = [], pkgNodes = [], pkgEdges = [] } = entry.snapshot;
+    const restored = { dependents: 0, links: 0, pkgNodes: 0, pkgEdges: 0 };
+
+    // Nodes first: risks and decisions reference their node through pkg_node_id
+    restored.pkgNodes = await insertRows(client, 'pkg_nodes', pkgNodes);
+    if (row.pkg_node_id && !(await client.query('SELECT 1 FROM pkg_nodes WHERE id = $1', [row.pkg_node_id])).rows.length) {
+      row.pkg_node_id = null;
+    }
+
+    for (const ref of config.optionalRefs) {
+      if (row[ref.column] === null || row[ref.column] === undefined) continue;
+      const exists = await client.query(`SELECT 1 FROM ${ref.table} WHERE id = $1`, [row[ref.column]]);
+      if (exists.rows.length === 0) row[ref.column] = null;
+    }
+
+    if (config.uniqueKey && row[config.uniqueKey.column]) {
+      const taken = await client.query(
+        `SELECT 1 FROM ${config.table} WHERE ${config.uniqueKey.column} = $1`,
+        [row[config.uniqueKey.column]]
+      );
+      if (taken.rows.length > 0) {
+        row[config.uniqueKey.column] = await config.uniqueKey.generate(client, row.project_id);
+      }
+    }
+
+    const inserted = await insertRows(client, config.table, [row]);
+    if (inserted === 0) {
+      throw new Error(`Cannot restore ${config.label.toLowerCase()} #${entry.item_id}: the id is already in use`);
+    }
+
+    for (const dependent of config.dependents) {
+      restored.dependents += await insertRows(client, dependent.table, dependents[dependent.table], dependent.requires);
+    }
+
+    restored.pkgEdges = await insertRows(
+      client,
+      'pkg_edges',
+      pkgEdges,
+      'EXISTS (SELECT 1 FROM pkg_nodes WHERE id = r.from_node_id) AND EXISTS (SELECT 1 FROM pkg_nodes WHERE id = r.to_node_id)'
+    );
+
+    for (const link of links) {
+      restored.links += await restoreLink(client, link);
+    }
+
+    await client.query('DELETE FROM trash_items WHERE id = $1', [trashId]);
+
+    await client.query('COMMIT');
+    return { itemType: entry.item_type, itemId: entry.item_id, projectId: entry.project_id, restored };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Trash contents for a project, newest first.
+ */
+async function getProjectTrash(projectId) {
+  const [projectResult, itemsResult] = await Promise.all([
+    pool.query('SELECT trash_retention_days FROM projects WHERE id = $1', [projectId]),
+    pool.query(
+      `SELECT t.id, t.item_type, t.item_id, t.title, t.snapshot, t.deleted_by, t.deleted_at,
+              u.username AS deleted_by_username
+       FROM trash_items t
+       LEFT JOIN users u ON u.id = t.deleted_by
+       WHERE t.project_id = $1
+       ORDER BY t.deleted_at DESC`,
+      [projectId]
+    )
+  ]);
+
+  const retentionDays = projectResult.rows[0]?.trash_retention_days || DEFAULT_RETENTION_DAYS;
+
+  return {
+    projectId: parseInt(projectId),
+    retentionDays,
+    items: itemsResult.rows.map(r => {
+      const uniqueKey = TRASH_TYPES[r.item_type]?.uniqueKey;
+      return {
+        id: r.id,
+        itemType: r.item_type,
+        itemId: r.item_id,
+        title: r.title,
+        reference: uniqueKey ? r.snapshot.row[uniqueKey.column] || null : null,
+        status: r.snapshot.row.status || null,
+        deletedAt: r.deleted_at,
+        deletedBy: r.deleted_by ? { id: r.deleted_by, username: r.deleted_by_username } : null,
+        purgeAt: getPurgeDate(r.deleted_at, retentionDays),
+        summary: summarizeSnapshot(r.snapshot)
+      };
+    })
+  };
+}
+
+async function getTrashEntry(trashId) {
+  const result = await pool.query(
+    'SELECT id, project_id, item_type, item_id, title, deleted_by, deleted_at FROM trash_items WHERE id = $1',
+    [trashId]
+  );
+  return result.rows[0] || null;
+}
+
+async function updateRetentionDays(projectId, value) {
+  const days = normalizeRetentionDays(value);
+  if (days === null) {
+    throw new Error(`Invalid retention: must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}`);
+  }
+  await pool.query('UPDATE projects SET trash_retention_days = $1 WHERE id = $2', [days, projectId]);
+  return days;
+}
+
+/**
+ * Permanently remove a trash entry along with what stayed behind keyed by the
+ * item id: attachments (and their files), checklists that were unlinked from
+ * it and its change history.
+ */
+async function purgeTrashEntry(trashId) {
+  const client = await pool.connect();
+  let files = [];
+
+  try {
+    await client.query('BEGIN');
+    // The project may have been archived since the item was trashed; what is
+    // removed here was already deleted, so the read-only trigger (051) is bypassed
+    await client.query(`SET LOCAL app.archive_bypass = 'on'`);
+
+    const trashResult = await client.query('SELECT * FROM trash_items WHERE id = $1 FOR UPDATE', [trashId]);
+    if (trashResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    const entry = trashResult.rows[0];
+    const config = getTrashType(entry.item_type);
+
+    const attachments = await client.query(
+      'DELETE FROM attachments WHERE entity_type = ANY($1::text[]) AND entity_id = $2 RETURNING id, file_path',
+      [config.attachmentTypes, entry.item_id]
+    );
+    files = attachments.rows.map(a => a.file_path).filter(Boolean);
+    if (attachments.rows.length > 0) {
+      await client.query(
+        "DELETE FROM rag_documents WHERE source_type = 'attachment' AND source_id = ANY($1::int[])",
+        [attachments.rows.map(a => a.id)]
+      );
+    }
+
+    for (const link of entry.snapshot.links || []) {
+      if (link.table === 'checklists') {
+        await client.query(
+          `DELETE FROM checklists WHERE id = ANY($1::int[]) AND ${link.column} IS NULL`,
+          [link.ids]
+        );
+      }
+    }
+
+    if (entry.item_type === 'issue' || entry.item_type === 'action-item') {
+      await client.query(
+        'DELETE FROM item_change_history WHERE item_type = $1 AND item_id = $2',
+        [entry.item_type, entry.item_id]
+      );
+    }
+
+    await client.query('DELETE FROM trash_items WHERE id = $1', [trashId]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const file of files) {
+    try {
+      await fs.unlink(file);
+    } catch (error) {
+      console.error('Error deleting attachment file:', error);
+    }
+  }
+  return true;
+}
+
+/**
+ * Purge every trash entry past its project's retention period.
+ * @returns {Promise<number>} entries purged
+ */
+async function purgeExpiredTrash() {
+  const expired = await pool.query(
+    `SELECT t.id
+     FROM trash_items t
+     JOIN projects p ON p.id = t.project_id
+     WHERE t.deleted_at < NOW() - make_interval(days => COALESCE(p.trash_retention_days, $1))
+     ORDER BY t.deleted_at`,
+    [DEFAULT_RETENTION_DAYS]
+  );
+
+  let purged = 0;
+  for (const { id } of expired.rows) {
+    try {
+      if (await purgeTrashEntry(id)) purged++;
+    } catch (error) {
+      console.error(`Error purging trash entry ${id}:`, error);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  TRASH_TYPES,
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+
+  // Pure helpers
+  getTrashType,
+  normalizeRetentionDays,
+  getPurgeDate,
+  summarizeSnapshot,
+
+  // Database access
+  nextRiskKey,
+  nextDecisionKey,
+  trashItem,
+  restoreItem,
+  getProjectTrash,
+  getTrashEntry,
+  updateRetentionDays,
+  purgeTrashEntry,
+  purgeExpiredTrash
+};
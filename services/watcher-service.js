@@ -0,0 +1,361 @@
+/**
+ * Watcher Service
+ *
+ * Watch subscriptions on issues, action items, risks and decisions, and the
+ * fan-out of comment, status-change and field-edit notices to watchers.
+ * Delivery goes through notificationService (email per watcher, honouring
+ * canSendNotification, plus one card on the project's Teams channel).
+ */
+
+const { pool } = require('../db');
+const notificationService = require('./notificationService');
+const changeHistoryService = require('./change-history-service');
+
+const WATCHABLE_ITEMS = {
+  'issue': { table: 'issues', label: 'issue' },
+  'action-item': { table: 'action_items', label: 'action item' },
+  'risk': { table: 'risks', label: 'risk' },
+  'decision': { table: 'decisions', label: 'decision' }
+};
+
+const AUTO_WATCH_REASONS = ['commenter', 'mentioned'];
+
+// Fields reported to watchers of risks and decisions. Issues and action items
+// use the change-history TRACKED_FIELDS so both logs agree.
+const WATCHED_FIELDS = {
+  'risk': {
+    title: 'Title',
+    description: 'Description',
+    category: 'Category',
+    probability: 'Probability',
+    impact: 'Impact',
+    response_strategy: 'Response Strategy',
+    mitigation_plan: 'Mitigation Plan',
+    contingency_plan: 'Contingency Plan',
+    risk_owner_id: 'Owner',
+    target_resolution_date: 'Target Resolution Date',
+    review_date: 'Review Date',
+    status: 'Status',
+    residual_probability: 'Residual Probability',
+    residual_impact: 'Residual Impact'
+  },
+  'decision': {
+    title: 'Title',
+    description: 'Description',
+    status: 'Status',
+    rationale: 'Rationale',
+    consequences: 'Consequences',
+    decided_by: 'Decided By',
+    decided_date: 'Decided Date',
+    review_date: 'Review Date'
+  }
+};
+
+const MAX_VALUE_LENGTH = 120;
+const MAX_PREVIEW_LENGTH = 300;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length)}...` : text;
+}
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  if (Array.isArray(value)) return value.length > 0 ? truncate(value.join(', '), MAX_VALUE_LENGTH) : '(none)';
+  if (typeof value === 'object') return truncate(JSON.stringify(value), MAX_VALUE_LENGTH);
+  return truncate(String(value).replace(/\s+/g, ' ').trim(), MAX_VALUE_LENGTH);
+}
+
+/**
+ * Fields that differ between two versions of a watched item.
+ * @returns {Object[]} [{ field, label, oldValue, newValue }]
+ */
+function diffWatchedFields(itemType, before, after) {
+  if (itemType === 'issue' || itemType === 'action-item') {
+    return changeHistoryService.diffItemFields(before, after).map(change => ({
+      ...change,
+      label: changeHistoryService.TRACKED_FIELDS[change.field] || change.field.replace(/^custom_fields\./, '')
+    }));
+  }
+
+  const fields = WATCHED_FIELDS[itemType] || {};
+  return Object.keys(fields)
+    .filter(field => field in after)
+    .map(field => ({
+      field,
+      label: fields[field],
+      oldValue: changeHistoryService.normalizeValue(field, before[field]),
+      newValue: changeHistoryService.normalizeValue(field, after[field])
+    }))
+    .filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue));
+}
+
+/**
+ * Watchers who should hear about an event: never the person who caused it,
+ * nor anyone already notified about it directly.
+ *
+ * @param {Object[]} watchers - [{ user_id, username }]
+ * @param {Object} options - { actorId, excludeUserIds, excludeUsernames }
+ */
+function selectRecipients(watchers, { actorId, excludeUserIds = [], excludeUsernames = [] } = {}) {
+  const excludedIds = new Set([actorId, ...excludeUserIds].filter(id => id !== undefined && id !== null).map(id => parseInt(id)));
+  const excludedNames = new Set(excludeUsernames.filter(Boolean).map(name => name.toLowerCase()));
+  const seen = new Set();
+
+  return watchers.filter(watcher => {
+    const userId = parseInt(watcher.user_id);
+    if (excludedIds.has(userId) || seen.has(userId)) return false;
+    if (watcher.username && excludedNames.has(watcher.username.toLowerCase())) return false;
+    seen.add(userId);
+    return true;
+  });
+}
+
+/**
+ * Page that shows the item, relative to the app URL.
+ */
+function buildItemPath(itemType, itemId, projectId) {
+  if (itemType === 'risk') return `risks.html?projectId=${projectId}&riskId=${itemId}`;
+  if (itemType === 'decision') return `index.html?project=${projectId}`;
+  return `index.html?project=${projectId}&itemId=${itemId}&itemType=${itemType}`;
+}
+
+/**
+ * Subject, wording and details for one watcher notice.
+ *
+ * @param {Object} event - { kind: 'comment' | 'status' | 'fields', itemType,
+ *   itemTitle, comment, changes }
+ * @returns {Object} { subject, headline, summary, detailsHtml, facts }
+ */
+function buildWatcherMessage(event) {
+  const { kind, itemType, itemTitle, comment, changes = [] } = event;
+  const label = WATCHABLE_ITEMS[itemType]?.label || itemType;
+
+  if (kind === 'comment') {
+    const preview = truncate(String(comment || '').trim(), MAX_PREVIEW_LENGTH);
+    return {
+      subject: `New comment on ${itemTitle}`,
+      headline: 'New Comment',
+      summary: 'commented on',
+      detailsHtml: `<p style="color: #4b5563; margin: 0; font-size: 14px; white-space: pre-wrap;">${escapeHtml(preview)}</p>`,
+      facts: [{ title: 'Comment', value: preview }]
+    };
+  }
+
+  const statusChange = changes.find(change => change.field === 'status');
+  const rows = changes.map(change =>
+    `<tr><td style="color: #6b7280; padding: 5px 0; font-size: 14px;"><strong>${escapeHtml(change.label)}:</strong> ` +
+    `${escapeHtml(formatFieldValue(change.oldValue))} &rarr; ${escapeHtml(formatFieldValue(change.newValue))}</td></tr>`
+  );
+
+  return {
+    subject: kind === 'status' && statusChange
+      ? `Status changed: ${itemTitle} (${formatFieldValue(statusChange.newValue)})`
+      : `Updated ${label}: ${itemTitle}`,
+    headline: kind === 'status' ? 'Status Changed' : `${label.replace(/\b\w/g, c => c.toUpperCase())} Updated`,
+    summary: 'updated',
+    detailsHtml: `<table width="100%" cellpadding="0" cellspacing="0">${rows.join('')}</table>`,
+    facts: changes.map(change => ({
+      title: change.label,
+      value: `${formatFieldValue(change.oldValue)} → ${formatFieldValue(change.newValue)}`
+    }))
+  };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+/**
+ * @returns {Promise<Object|null>} { id, project_id, title }
+ */
+async function getWatchableItem(itemType, itemId) {
+  const item = WATCHABLE_ITEMS[itemType];
+  if (!item) return null;
+
+  const result = await pool.query(
+    `SELECT id, project_id, title FROM ${item.table} WHERE id = $1`,
+    [itemId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getWatchers(itemType, itemId) {
+  const result = await pool.query(`
+    SELECT w.user_id, w.reason, w.created_at, u.username, u.email
+    FROM item_watchers w
+    JOIN users u ON u.id = w.user_id
+    WHERE w.item_type = $1 AND w.item_id = $2 AND w.is_watching
+    ORDER BY u.username
+  `, [itemType, itemId]);
+  return result.rows;
+}
+
+/**
+ * Watchers plus whether the given user is one of them.
+ * @returns {Promise<Object>} { watching, watchers: [{ userId, username, reason }] }
+ */
+async function getWatchStatus(itemType, itemId, userId) {
+  const watchers = await getWatchers(itemType, itemId);
+  return {
+    watching: watchers.some(w => parseInt(w.user_id) === parseInt(userId)),
+    watchers: watchers.map(w => ({ userId: w.user_id, username: w.username, reason: w.reason }))
+  };
+}
+
+async function setWatching(itemType, itemId, userId, watching) {
+  await pool.query(`
+    INSERT INTO item_watchers (item_type, item_id, user_id, is_watching, reason)
+    VALUES ($1, $2, $3, $4, 'manual')
+    ON CONFLICT (item_type, item_id, user_id)
+    DO UPDATE SET is_watching = $4, updated_at = NOW()
+  `, [itemType, itemId, userId, watching]);
+}
+
+async function watchItem(itemType, itemId, userId) {
+  await setWatching(itemType, itemId, userId, true);
+}
+
+/**
+ * Unwatching keeps the row so automatic watching doesn't re-subscribe the user.
+ */
+async function unwatchItem(itemType, itemId, userId) {
+  await setWatching(itemType, itemId, userId, false);
+}
+
+/**
+ * Subscribe users who took part in an item. Leaves existing rows alone,
+ * including explicit unwatches.
+ */
+async function autoWatch(itemType, itemId, userIds, reason) {
+  const ids = [...new Set((userIds || []).map(id => parseInt(id)).filter(Number.isInteger))];
+  if (ids.length === 0 || !AUTO_WATCH_REASONS.includes(reason)) return;
+
+  await pool.query(`
+    INSERT INTO item_watchers (item_type, item_id, user_id, reason)
+    SELECT $1, $2, user_id, $4 FROM unnest($3::int[]) AS user_id
+    ON CONFLICT (item_type, item_id, user_id) DO NOTHING
+  `, [itemType, itemId, ids, reason]);
+}
+
+/**
+ * Send one event to every watcher who should hear about it.
+ *
+ * @param {Object} params - { itemType, itemId, kind, actor: { id, username },
+ *   comment, changes, excludeUserIds, excludeUsernames }
+ * @returns {Promise<number>} number of watchers notified
+ */
+async function notifyWatchers({ itemType, itemId, kind, actor, comment, changes, excludeUserIds, excludeUsernames }) {
+  const item = await getWatchableItem(itemType, itemId);
+  if (!item) return 0;
+
+  const recipients = selectRecipients(await getWatchers(itemType, itemId), {
+    actorId: actor?.id,
+    excludeUserIds,
+    excludeUsernames
+  });
+  if (recipients.length === 0) return 0;
+
+  const actorName = actor?.username || 'Someone';
+  const message = buildWatcherMessage({ kind, itemType, itemTitle: item.title, comment, changes });
+  const itemPath = buildItemPath(itemType, item.id, item.project_id);
+  const preferences = kind === 'status' ? ['watching', 'status_changes'] : ['watching'];
+
+  for (const watcher of recipients) {
+    await notificationService.sendWatcherNotification({
+      watcherUserId: watcher.user_id,
+      preferences,
+      subject: message.subject,
+      headline: message.headline,
+      summary: message.summary,
+      actorName: escapeHtml(actorName),
+      itemTitle: escapeHtml(item.title),
+      itemType: WATCHABLE_ITEMS[itemType].label,
+      details: message.detailsHtml,
+      itemPath
+    });
+  }
+
+  await notificationService.sendWatcherTeamsNotification({
+    projectId: item.project_id,
+    title: `👀 ${message.headline}: ${item.title}`,
+    message: `${actorName} ${message.summary} this ${WATCHABLE_ITEMS[itemType].label}`,
+    facts: [...message.facts, { title: 'Watchers', value: recipients.map(w => w.username).join(', ') }],
+    itemPath,
+    actionText: `View ${WATCHABLE_ITEMS[itemType].label}`
+  });
+
+  return recipients.length;
+}
+
+/**
+ * Notify watchers of the fields changed by an update. A status change is
+ * sent as such (and skips the assignee, who already gets a status email).
+ */
+async function notifyItemChanges(itemType, before, after, actor) {
+  const changes = diffWatchedFields(itemType, before, after);
+  if (changes.length === 0) return 0;
+
+  const statusChanged = changes.some(change => change.field === 'status');
+  return notifyWatchers({
+    itemType,
+    itemId: after.id,
+    kind: statusChanged ? 'status' : 'fields',
+    actor,
+    changes,
+    excludeUsernames: statusChanged ? [after.assignee] : []
+  });
+}
+
+/**
+ * A new comment: the commenter and anyone mentioned start watching, then the
+ * other watchers are told. Mentioned users already get a mention email.
+ */
+async function notifyComment(itemType, itemId, actor, comment, mentionedUserIds = []) {
+  await autoWatch(itemType, itemId, [actor.id], 'commenter');
+  await autoWatch(itemType, itemId, mentionedUserIds, 'mentioned');
+
+  return notifyWatchers({
+    itemType,
+    itemId,
+    kind: 'comment',
+    actor,
+    comment,
+    excludeUserIds: mentionedUserIds
+  });
+}
+
+module.exports = {
+  WATCHABLE_ITEMS,
+  AUTO_WATCH_REASONS,
+
+  // Pure helpers
+  formatFieldValue,
+  diffWatchedFields,
+  selectRecipients,
+  buildItemPath,
+  buildWatcherMessage,
+
+  // Database access
+  getWatchableItem,
+  getWatchers,
+  getWatchStatus,
+  watchItem,
+  unwatchItem,
+  autoWatch,
+  notifyWatchers,
+  notifyItemChanges,
+  notifyComment
+};
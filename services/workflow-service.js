@@ -0,0 +1,554 @@
+/**
+ * Workflow Service
+ *
+ * Per-project ordered statuses mapped to categories (todo / active / done),
+ * allowed transitions and per-transition requirements. Projects that have
+ * not configured a workflow use DEFAULT_STATUSES with unrestricted transitions.
+ *
+ * A status may carry a WIP limit on the issues and action items in it. Moving
+ * an item into a full status is refused unless an override reason is given;
+ * overrides are logged in wip_limit_overrides.
+ */
+
+const { pool } = require('../db');
+const { ROLE_HIERARCHY } = require('../middleware/auth');
+
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+
+const DEFAULT_STATUSES = [
+  { name: 'To Do', category: 'todo', position: 0, color: '#6b7280', isInitial: true, wipLimit: null },
+  { name: 'In Progress', category: 'active', position: 1, color: '#2563eb', isInitial: false, wipLimit: null },
+  { name: 'Blocked', category: 'active', position: 2, color: '#dc2626', isInitial: false, wipLimit: null },
+  { name: 'Done', category: 'done', position: 3, color: '#16a34a', isInitial: false, wipLimit: null }
+];
+
+const ITEM_TABLES = {
+  'issue': 'issues',
+  'action-item': 'action_items'
+};
+
+// Mirrors the fallback in the status_category() SQL function (db/039)
+function fallbackCategory(status) {
+  const normalized = (status || '').toLowerCase();
+  if (['done', 'completed', 'closed', 'cancelled', 'resolved'].includes(normalized)) return 'done';
+  if (['to do', 'todo', 'open', 'backlog', 'new'].includes(normalized)) return 'todo';
+  return 'active';
+}
+
+function buildDefaultWorkflow(projectId) {
+  return {
+    projectId: projectId ? parseInt(projectId) : null,
+    isDefault: true,
+    statuses: DEFAULT_STATUSES.map(s => ({ ...s })),
+    transitions: []
+  };
+}
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+function getStatusCategory(workflow, status) {
+  const match = workflow.statuses.find(s => s.name === status);
+  return match ? match.category : fallbackCategory(status);
+}
+
+function getInitialStatusName(workflow) {
+  const initial = workflow.statuses.find(s => s.isInitial) ||
+                  workflow.statuses.find(s => s.category === 'todo') ||
+                  workflow.statuses[0];
+  return initial ? initial.name : 'To Do';
+}
+
+/**
+ * Find the transition rule for from -> to. Returns null when the workflow
+ * restricts transitions and this one is not listed.
+ */
+function findTransition(workflow, fromStatus, toStatus) {
+  if (workflow.transitions.length === 0) {
+    return { fromStatus, toStatus, requiresHours: false, requiresChecklistComplete: false, requiresAssignee: false, minRole: null };
+  }
+
+  return workflow.transitions.find(t => t.fromStatus === fromStatus && t.toStatus === toStatus) ||
+         workflow.transitions.find(t => t.fromStatus === null && t.toStatus === toStatus) ||
+         null;
+}
+
+function getAllowedTargets(workflow, fromStatus) {
+  return workflow.statuses
+    .map(s => s.name)
+    .filter(name => name !== fromStatus && findTransition(workflow, fromStatus, name));
+}
+
+/**
+ * Check a status change against the workflow.
+ *
+ * @param {Object} workflow - result of getProjectWorkflow()
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @param {Object} context - { hoursAdded, assignee, userRole, checklistCompletion: { total, completed } }
+ *   Omit userRole for system-initiated changes (e.g. checklist completion actions).
+ * @returns {Object} { valid, error, message, transition, requiresHours, allowedStatuses }
+ */
+function evaluateTransition(workflow, fromStatus, toStatus, context = {}) {
+  if (fromStatus === toStatus) {
+    return { valid: true, transition: null };
+  }
+
+  if (!workflow.statuses.some(s => s.name === toStatus)) {
+    return {
+      valid: false,
+      error: 'Invalid status',
+      message: `"${toStatus}" is not a status in this project's workflow`,
+      allowedStatuses: getAllowedTargets(workflow, fromStatus)
+    };
+  }
+
+  const transition = findTransition(workflow, fromStatus, toStatus);
+  if (!transition) {
+    return {
+      valid: false,
+      error: 'Transition not allowed',
+      message: `Moving from "${fromStatus}" to "${toStatus}" is not allowed by this project's workflow`,
+      allowedStatuses: getAllowedTargets(workflow, fromStatus)
+    };
+  }
+
+  if (transition.minRole && context.userRole !== undefined) {
+    const userLevel = ROLE_HIERARCHY[context.userRole] || 0;
+    const requiredLevel = ROLE_HIERARCHY[transition.minRole] || 0;
+    if (userLevel < requiredLevel) {
+      return {
+        valid: false,
+        error: 'Insufficient permissions',
+        message: `Only ${transition.minRole} or higher can move items to "${toStatus}"`
+      };
+    }
+  }
+
+  if (transition.requiresAssignee && !(context.assignee && context.assignee.trim())) {
+    return {
+      valid: false,
+      error: 'Assignee required',
+      message: `Items must have an assignee before moving to "${toStatus}"`
+    };
+  }
+
+  if (transition.requiresChecklistComplete && context.checklistCompletion) {
+    const { total, completed } = context.checklistCompletion;
+    if (total > 0 && completed < total) {
+      return {
+        valid: false,
+        error: 'Checklist incomplete',
+        message: `All checklist items must be completed before moving to "${toStatus}" (${completed}/${total} done)`,
+        checklistIncomplete: true
+      };
+    }
+  }
+
+  if (transition.requiresHours && !(parseFloat(context.hoursAdded) > 0)) {
+    return {
+      valid: false,
+      error: 'Hours required',
+      message: `Moving to "${toStatus}" requires logging the hours spent`,
+      requiresHours: true,
+      timesheetRequired: true
+    };
+  }
+
+  return { valid: true, transition };
+}
+
+/**
+ * Check a move into a status against its WIP limit.
+ *
+ * @param {Object} workflow - result of getProjectWorkflow()
+ * @param {string} toStatus
+ * @param {number} currentCount - items already in toStatus (not counting the one moving)
+ * @param {string} [overrideReason] - lets the move go over the limit
+ * @returns {Object} { valid, error, message, wipLimitExceeded, wipLimit, wipCount, override }
+ */
+function evaluateWipLimit(workflow, toStatus, currentCount, overrideReason) {
+  const status = workflow.statuses.find(s => s.name === toStatus);
+  const wipLimit = status && status.wipLimit ? status.wipLimit : null;
+  if (!wipLimit || currentCount < wipLimit) {
+    return { valid: true, override: false };
+  }
+
+  const reason = (overrideReason || '').trim();
+  if (reason) {
+    return { valid: true, override: true, wipLimit, wipCount: currentCount, reason };
+  }
+
+  return {
+    valid: false,
+    error: 'WIP limit reached',
+    message: `"${toStatus}" is at its WIP limit (${currentCount}/${wipLimit}). Give a reason to go over the limit.`,
+    wipLimitExceeded: true,
+    wipLimit,
+    wipCount: currentCount
+  };
+}
+
+/**
+ * Validate a workflow definition before saving.
+ * @returns {string[]} list of errors (empty when valid)
+ */
+function validateWorkflowDefinition({ statuses = [], transitions = [] }) {
+  const errors = [];
+
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return ['At least one status is required'];
+  }
+
+  const names = new Set();
+  statuses.forEach((status, index) => {
+    const name = (status.name || '').trim();
+    if (!name) {
+      errors.push(`Status #${index + 1} needs a name`);
+    } else if (name.length > 50) {
+      errors.push(`Status "${name}" must be 50 characters or fewer`);
+    } else if (names.has(name)) {
+      errors.push(`Duplicate status "${name}"`);
+    }
+    names.add(name);
+
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      errors.push(`Status "${name}" must have a category of ${STATUS_CATEGORIES.join(', ')}`);
+    }
+
+    if (status.wipLimit !== null && status.wipLimit !== undefined &&
+        !(Number.isInteger(status.wipLimit) && status.wipLimit > 0)) {
+      errors.push(`WIP limit for "${name}" must be a whole number greater than zero`);
+    }
+  });
+
+  if (!statuses.some(s => s.category === 'todo')) {
+    errors.push('At least one status must be in the "todo" category');
+  }
+  if (!statuses.some(s => s.category === 'done')) {
+    errors.push('At least one status must be in the "done" category');
+  }
+  if (statuses.filter(s => s.isInitial).length > 1) {
+    errors.push('Only one status can be marked as initial');
+  }
+
+  (transitions || []).forEach(t => {
+    if (t.fromStatus !== null && t.fromStatus !== undefined && !names.has(t.fromStatus)) {
+      errors.push(`Transition references unknown status "${t.fromStatus}"`);
+    }
+    if (!names.has(t.toStatus)) {
+      errors.push(`Transition references unknown status "${t.toStatus}"`);
+    }
+    if (t.minRole && ROLE_HIERARCHY[t.minRole] === undefined) {
+      errors.push(`Unknown role "${t.minRole}" on transition to "${t.toStatus}"`);
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+async function getProjectWorkflow(projectId) {
+  const [statusResult, transitionResult] = await Promise.all([
+    pool.query(
+      `SELECT name, category, position, color, is_initial, wip_limit
+       FROM workflow_statuses
+       WHERE project_id = $1
+       ORDER BY position ASC, id ASC`,
+      [projectId]
+    ),
+    pool.query(
+      `SELECT from_status, to_status, requires_hours, requires_checklist_complete, requires_assignee, min_role
+       FROM workflow_transitions
+       WHERE project_id = $1
+       ORDER BY id ASC`,
+      [projectId]
+    )
+  ]);
+
+  if (statusResult.rows.length === 0) {
+    return buildDefaultWorkflow(projectId);
+  }
+
+  return {
+    projectId: parseInt(projectId),
+    isDefault: false,
+    statuses: statusResult.rows.map(r => ({
+      name: r.name,
+      category: r.category,
+      position: r.position,
+      color: r.color,
+      isInitial: r.is_initial,
+      wipLimit: r.wip_limit
+    })),
+    transitions: transitionResult.rows.map(r => ({
+      fromStatus: r.from_status,
+      toStatus: r.to_status,
+      requiresHours: r.requires_hours,
+      requiresChecklistComplete: r.requires_checklist_complete,
+      requiresAssignee: r.requires_assignee,
+      minRole: r.min_role
+    }))
+  };
+}
+
+/**
+ * Replace a project's workflow.
+ *
+ * @param {number} projectId
+ * @param {Object} definition - { statuses, transitions, statusMapping }
+ *   statusMapping maps statuses that are being removed or renamed to their
+ *   replacement, e.g. { 'Blocked': 'On Hold' }. Items are moved accordingly.
+ */
+async function saveProjectWorkflow(projectId, { statuses, transitions = [], statusMapping = {} }) {
+  const normalizedStatuses = (statuses || []).map((s, index) => ({
+    name: (s.name || '').trim(),
+    category: s.category,
+    position: index,
+    color: s.color || null,
+    isInitial: Boolean(s.isInitial),
+    wipLimit: s.wipLimit === null || s.wipLimit === undefined || s.wipLimit === '' ? null : Number(s.wipLimit)
+  }));
+  const normalizedTransitions = (transitions || []).map(t => ({
+    fromStatus: t.fromStatus || null,
+    toStatus: t.toStatus,
+    requiresHours: Boolean(t.requiresHours),
+    requiresChecklistComplete: Boolean(t.requiresChecklistComplete),
+    requiresAssignee: Boolean(t.requiresAssignee),
+    minRole: t.minRole || null
+  }));
+
+  const errors = validateWorkflowDefinition({ statuses: normalizedStatuses, transitions: normalizedTransitions });
+  const newNames = new Set(normalizedStatuses.map(s => s.name));
+  for (const [from, to] of Object.entries(statusMapping || {})) {
+    if (!newNames.has(to)) {
+      errors.push(`Status mapping target "${to}" (for "${from}") is not in the new workflow`);
+    }
+  }
+  if (errors.length > 0) {
+    const error = new Error(`Invalid workflow: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Move items out of statuses that are being renamed or removed
+    for (const [from, to] of Object.entries(statusMapping || {})) {
+      for (const table of Object.values(ITEM_TABLES)) {
+        await client.query(
+          `UPDATE ${table} SET status = $1, updated_at = NOW() WHERE project_id = $2 AND status = $3`,
+          [to, projectId, from]
+        );
+      }
+    }
+
+    const orphanResult = await client.query(`
+      SELECT status, COUNT(*)::int AS count FROM (
+        SELECT status FROM issues WHERE project_id = $1
+        UNION ALL
+        SELECT status FROM action_items WHERE project_id = $1
+      ) items
+      WHERE NOT (status = ANY($2::varchar[]))
+      GROUP BY status
+    `, [projectId, Array.from(newNames)]);
+
+    if (orphanResult.rows.length > 0) {
+      const list = orphanResult.rows.map(r => `"${r.status}" (${r.count})`).join(', ');
+      const error = new Error(`Invalid workflow: items still use statuses not in the new workflow: ${list}. Provide a statusMapping for them.`);
+      error.orphanStatuses = orphanResult.rows;
+      throw error;
+    }
+
+    await client.query('DELETE FROM workflow_transitions WHERE project_id = $1', [projectId]);
+    await client.query('DELETE FROM workflow_statuses WHERE project_id = $1', [projectId]);
+
+    for (const status of normalizedStatuses) {
+      await client.query(
+        `INSERT INTO workflow_statuses (project_id, name, category, position, color, is_initial, wip_limit)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [projectId, status.name, status.category, status.position, status.color, status.isInitial, status.wipLimit]
+      );
+    }
+
+    for (const t of normalizedTransitions) {
+      await client.query(
+        `INSERT INTO workflow_transitions
+           (project_id, from_status, to_status, requires_hours, requires_checklist_complete, requires_assignee, min_role)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT DO NOTHING`,
+        [projectId, t.fromStatus, t.toStatus, t.requiresHours, t.requiresChecklistComplete, t.requiresAssignee, t.minRole]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getProjectWorkflow(projectId);
+}
+
+async function getInitialStatus(projectId) {
+  const workflow = await getProjectWorkflow(projectId);
+  return getInitialStatusName(workflow);
+}
+
+/**
+ * First status of a category, e.g. the status AI-detected "Done" updates map to
+ */
+async function getStatusForCategory(projectId, category) {
+  const workflow = await getProjectWorkflow(projectId);
+  const match = workflow.statuses.find(s => s.category === category);
+  return match ? match.name : null;
+}
+
+async function getChecklistCompletion(itemType, itemId) {
+  const column = itemType === 'issue' ? 'related_issue_id' : 'related_action_id';
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(total_items), 0) AS total_items,
+            COALESCE(SUM(completed_items), 0) AS completed_items
+     FROM checklists
+     WHERE ${column} = $1
+       AND (is_standalone = false OR is_standalone IS NULL)`,
+    [itemId]
+  );
+  return {
+    total: parseInt(result.rows[0].total_items),
+    completed: parseInt(result.rows[0].completed_items)
+  };
+}
+
+/**
+ * Issues plus action items per status for a project
+ * @returns {Promise<Object>} { 'In Progress': 3, ... }
+ */
+async function getStatusCounts(projectId) {
+  const result = await pool.query(`
+    SELECT status, COUNT(*)::int AS count FROM (
+      SELECT status FROM issues WHERE project_id = $1
+      UNION ALL
+      SELECT status FROM action_items WHERE project_id = $1
+    ) items
+    GROUP BY status
+  `, [projectId]);
+
+  return Object.fromEntries(result.rows.map(r => [r.status, r.count]));
+}
+
+async function countItemsInStatus(projectId, status) {
+  const result = await pool.query(`
+    SELECT (SELECT COUNT(*) FROM issues WHERE project_id = $1 AND status = $2)
+         + (SELECT COUNT(*) FROM action_items WHERE project_id = $1 AND status = $2) AS count
+  `, [projectId, status]);
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Log a status change that went over a WIP limit
+ *
+ * @param {Object} override - { projectId, itemType, itemId, fromStatus, toStatus, wipLimit, wipCount, reason, userId }
+ */
+async function recordWipOverride({ projectId, itemType, itemId, fromStatus, toStatus, wipLimit, wipCount, reason, userId }) {
+  await pool.query(
+    `INSERT INTO wip_limit_overrides
+       (project_id, item_type, item_id, from_status, to_status, wip_limit, item_count, reason, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [projectId, itemType, itemId, fromStatus, toStatus, wipLimit, wipCount, reason, userId]
+  );
+}
+
+async function getWipOverrides(projectId, limit = 50) {
+  const result = await pool.query(`
+    SELECT o.id, o.item_type, o.item_id, o.from_status, o.to_status, o.wip_limit, o.item_count,
+           o.reason, o.created_at, u.username,
+           COALESCE(i.title, a.title) AS item_title
+    FROM wip_limit_overrides o
+    LEFT JOIN users u ON u.id = o.user_id
+    LEFT JOIN issues i ON o.item_type = 'issue' AND i.id = o.item_id
+    LEFT JOIN action_items a ON o.item_type = 'action-item' AND a.id = o.item_id
+    WHERE o.project_id = $1
+    ORDER BY o.created_at DESC
+    LIMIT $2
+  `, [projectId, limit]);
+  return result.rows;
+}
+
+/**
+ * Validate a status change for an issue or action item against its project's workflow.
+ * Used by PATCH /api/issues/:id, PATCH /api/action-items/:id and checklist completion actions.
+ *
+ * @param {string} itemType - 'issue' or 'action-item'
+ * @param {Object} item - current row (needs id, project_id, status, assignee)
+ * @param {string} toStatus
+ * @param {Object} options - { hoursAdded, userRole, assignee, wipOverrideReason }
+ * @returns {Promise<Object>} evaluateTransition() result plus the workflow, and
+ *   wipOverride ({ wipLimit, wipCount, reason }) when the move goes over a WIP
+ *   limit with a reason; the caller logs it with recordWipOverride() once saved
+ */
+async function validateTransition(itemType, item, toStatus, options = {}) {
+  const workflow = await getProjectWorkflow(item.project_id);
+  const transition = findTransition(workflow, item.status, toStatus);
+
+  let checklistCompletion = null;
+  if (transition && transition.requiresChecklistComplete) {
+    checklistCompletion = await getChecklistCompletion(itemType, item.id);
+  }
+
+  const result = evaluateTransition(workflow, item.status, toStatus, {
+    hoursAdded: options.hoursAdded,
+    userRole: options.userRole,
+    assignee: options.assignee !== undefined ? options.assignee : item.assignee,
+    checklistCompletion
+  });
+
+  const target = workflow.statuses.find(s => s.name === toStatus);
+  if (!result.valid || item.status === toStatus || !target || !target.wipLimit) {
+    return { ...result, workflow };
+  }
+
+  const wipCheck = evaluateWipLimit(workflow, toStatus, await countItemsInStatus(item.project_id, toStatus), options.wipOverrideReason);
+  if (!wipCheck.valid) {
+    return { ...wipCheck, workflow };
+  }
+
+  return {
+    ...result,
+    workflow,
+    wipOverride: wipCheck.override ? { wipLimit: wipCheck.wipLimit, wipCount: wipCheck.wipCount, reason: wipCheck.reason } : null
+  };
+}
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_STATUSES,
+
+  // Pure helpers
+  fallbackCategory,
+  getStatusCategory,
+  getInitialStatusName,
+  findTransition,
+  getAllowedTargets,
+  evaluateTransition,
+  evaluateWipLimit,
+  validateWorkflowDefinition,
+
+  // Database access
+  getProjectWorkflow,
+  saveProjectWorkflow,
+  getInitialStatus,
+  getStatusForCategory,
+  getStatusCounts,
+  recordWipOverride,
+  getWipOverrides,
+  validateTransition
+};
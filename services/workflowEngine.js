@@ -1,6 +1,7 @@
 const { Pool } = require('@neondatabase/serverless');
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const rolePermissionService = require('./rolePermissionService');
+const duplicateService = require('./duplicate-service');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -88,6 +89,11 @@ class WorkflowEngineService {
 
     const config = await this.getSidecarConfig(projectId);
 
+    entity = {
+      ...entity,
+      possible_duplicates: await this.findPossibleDuplicates(entity, projectId)
+    };
+
     const decision = await this.determineAction(
       entity,
       userRole.authority_level,
@@ -130,6 +136,16 @@ class WorkflowEngineService {
 
     console.log(`[Workflow Engine] Decision for ${entity.entity_type}: confidence=${confidence}, authority=${userAuthority}, impact=${impact}`);
 
+    // RULE 0: Likely duplicates of existing items are never auto-created
+    const likelyDuplicate = (entity.possible_duplicates || []).find(d => d.match === 'likely');
+    if (likelyDuplicate) {
+      return {
+        action: 'create_proposal',
+        reason: `Likely duplicate of ${likelyDuplicate.itemType} #${likelyDuplicate.id}`,
+        approverRoleId: permission.approval_from_role_id
+      };
+    }
+
     // RULE 3: Critical Impact Always Requires Review (unless authority level 5)
     if ((impact === 'critical') && userAuthority < 5) {
       return {
@@ -267,7 +283,8 @@ class WorkflowEngineService {
       reasoning: entity.reasoning,
       citations: entity.citations || [],
       mentioned_users: entity.mentioned_users || [],
-      related_entity_ids: entity.related_entity_ids || []
+      related_entity_ids: entity.related_entity_ids || [],
+      possible_duplicates: entity.possible_duplicates || []
     };
 
     const proposedData = {
@@ -403,6 +420,27 @@ class WorkflowEngineService {
     return result.rows[0];
   }
 
+  /**
+   * Existing issues / action items the extracted entity may repeat.
+   * Only item-like entities are checked; a failed check never blocks processing.
+   */
+  async findPossibleDuplicates(entity, projectId) {
+    const itemTypes = ['action_item', 'task', 'issue', 'bug'];
+    if (!itemTypes.includes(this.normalizeEntityType(entity.entity_type))) {
+      return [];
+    }
+
+    try {
+      return await duplicateService.findPossibleDuplicates(projectId, {
+        title: entity.title,
+        description: entity.description
+      });
+    } catch (error) {
+      console.error('[Workflow Engine] Duplicate check failed:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Normalize entity type for PKG storage
    */
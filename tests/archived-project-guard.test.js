@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const { pool } = require('../db');
+const { archivedProjectGuard, resolveProjectLookup } = require('../middleware/archived-project-guard');
+
+describe('Archived Project Guard - resolving the project', () => {
+  it('ignores reads', () => {
+    expect(resolveProjectLookup('GET', '/issues/12', {})).to.be.null;
+    expect(resolveProjectLookup('GET', '/projects/4/bundle', {})).to.be.null;
+  });
+
+  it('takes the project straight from project URLs', () => {
+    expect(resolveProjectLookup('PUT', '/projects/4', {})).to.deep.equal({ projectId: 4 });
+    expect(resolveProjectLookup('POST', '/projects/4/tags', {})).to.deep.equal({ projectId: 4 });
+    expect(resolveProjectLookup('POST', '/aipm/projects/4/agent/scan-risks', {})).to.deep.equal({ projectId: 4 });
+  });
+
+  it('leaves restore, retention and project deletion open', () => {
+    ['archive', 'restore', 'retention', 'retention/run', 'blueprints'].forEach(section => {
+      expect(resolveProjectLookup('POST', `/projects/4/${section}`, {}), section).to.be.null;
+    });
+    expect(resolveProjectLookup('DELETE', '/projects/4', {})).to.be.null;
+  });
+
+  it('lets read-only simulation runs through', () => {
+    expect(resolveProjectLookup('POST', '/schedules/5/simulate', {})).to.be.null;
+    expect(resolveProjectLookup('PUT', '/schedules/5', {}).query).to.contain('FROM project_schedules');
+  });
+
+  it('looks items up in their own table', () => {
+    expect(resolveProjectLookup('PATCH', '/issues/12', {})).to.deep.equal({
+      query: 'SELECT project_id FROM issues WHERE id = $1', params: ['12']
+    });
+    expect(resolveProjectLookup('POST', '/action-items/7/comments', {}).query).to.contain('FROM action_items');
+    expect(resolveProjectLookup('POST', '/issues/12/log-time', {}).params).to.deep.equal(['12']);
+    expect(resolveProjectLookup('DELETE', '/checklist-items/30/dependencies', {}).query).to.contain('JOIN checklists');
+    expect(resolveProjectLookup('DELETE', '/attachments/9', {}).query).to.contain('FROM attachments');
+  });
+
+  it('tells live meeting ids apart from meeting rows', () => {
+    expect(resolveProjectLookup('POST', '/meetings/851234567/end', {})).to.deep.equal({
+      query: 'SELECT project_id FROM meeting_transcriptions WHERE meeting_id = $1', params: ['851234567']
+    });
+    expect(resolveProjectLookup('PATCH', '/meetings/3', {}).query).to.contain('FROM meetings');
+  });
+
+  it('falls back to the project named in the body', () => {
+    expect(resolveProjectLookup('POST', '/issues', { projectId: '4', title: 'x' })).to.deep.equal({ projectId: 4 });
+    expect(resolveProjectLookup('POST', '/checklists', { project_id: 4 })).to.deep.equal({ projectId: 4 });
+    expect(resolveProjectLookup('POST', '/issues', { title: 'x' })).to.be.null;
+    expect(resolveProjectLookup('POST', '/auth/login', undefined)).to.be.null;
+  });
+});
+
+describe('Archived Project Guard - unauthenticated requests', () => {
+  it('passes them on without looking anything up', async () => {
+    const query = jest.spyOn(pool, 'query');
+    const res = { status: () => { throw new Error('responded'); } };
+    let passed = 0;
+    let lookups;
+
+    try {
+      await archivedProjectGuard({ method: 'PATCH', path: '/issues/12', body: {}, cookies: {}, headers: {} }, res, () => passed++);
+      await archivedProjectGuard({
+        method: 'POST', path: '/projects/4/tags', body: {}, cookies: {}, headers: { authorization: 'Bearer not-a-token' }
+      }, res, () => passed++);
+      lookups = query.mock.calls.length;
+    } finally {
+      query.mockRestore();
+    }
+
+    expect(passed).to.equal(2);
+    expect(lookups).to.equal(0);
+  });
+});
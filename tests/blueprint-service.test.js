@@ -0,0 +1,155 @@
+const { expect } = require('chai');
+const {
+  toDateOnly,
+  dayOffset,
+  shiftDate,
+  pickAnchorDate,
+  buildItemSkeletons,
+  buildDependencySkeletons,
+  orderSkeletons,
+  summarizeBlueprint,
+  validateBlueprintInput,
+  validateCreateOptions
+} = require('../services/blueprint-service');
+
+describe('Blueprint Service - relative dates', () => {
+  it('reads pg dates as local calendar days', () => {
+    expect(toDateOnly(new Date(2026, 9, 19))).to.equal('2026-10-19');
+    expect(toDateOnly(new Date(2026, 9, 19, 23, 30))).to.equal('2026-10-19');
+    expect(toDateOnly('2026-10-19T08:00:00Z')).to.equal('2026-10-19');
+    expect(toDateOnly(null)).to.be.null;
+  });
+
+  it('measures day offsets across month and DST boundaries', () => {
+    expect(dayOffset('2026-10-19', '2026-11-02')).to.equal(14);
+    expect(dayOffset('2026-03-01', '2026-04-01')).to.equal(31);
+    expect(dayOffset('2026-10-19', '2026-10-12')).to.equal(-7);
+    expect(dayOffset('2026-10-19', null)).to.be.null;
+  });
+
+  it('shifts offsets onto a new start date', () => {
+    expect(shiftDate('2027-01-25', 14)).to.equal('2027-02-08');
+    expect(shiftDate('2027-01-25', -3)).to.equal('2027-01-22');
+    expect(shiftDate('2027-01-25', null)).to.be.null;
+  });
+
+  it('anchors on the project start, else the earliest due date, else today', () => {
+    expect(pickAnchorDate({ start_date: new Date(2026, 8, 1) }, [{ due_date: '2026-01-01' }])).to.equal('2026-09-01');
+    expect(pickAnchorDate({ start_date: null }, [{ due_date: '2026-12-01' }, { due_date: '2026-11-15' }, {}])).to.equal('2026-11-15');
+    expect(pickAnchorDate({}, [], new Date(2026, 9, 19))).to.equal('2026-10-19');
+  });
+});
+
+describe('Blueprint Service - item skeletons', () => {
+  const issues = [
+    { id: 1, title: 'Migration epic', is_epic: true, priority: 'high', due_date: '2026-10-31', estimated_effort_hours: '40.00' },
+    { id: 2, title: 'Move database', parent_issue_id: 1, due_date: '2026-10-21', type: 'Task' },
+    { id: 3, title: 'Child of an issue in another project', parent_issue_id: 99 }
+  ];
+  const actionItems = [{ id: 7, title: 'Book cutover window', category_id: 4, due_date: new Date(2026, 9, 20) }];
+
+  const skeletons = buildItemSkeletons({
+    issues,
+    actionItems,
+    tagsByRef: { 'issue:2': ['database'] },
+    anchorDate: '2026-10-19'
+  });
+
+  it('keeps structure and drops assignees and status', () => {
+    expect(skeletons).to.have.length(4);
+    expect(skeletons[0]).to.include({
+      ref: 'issue:1', type: 'issue', isEpic: true, priority: 'high', estimatedEffortHours: 40, dueOffsetDays: 12, parentRef: null
+    });
+    expect(skeletons[1]).to.include({ ref: 'issue:2', issueType: 'Task', parentRef: 'issue:1', dueOffsetDays: 2 });
+    expect(skeletons[1].tags).to.deep.equal(['database']);
+    expect(skeletons[3]).to.include({ ref: 'action-item:7', categoryId: 4, dueOffsetDays: 1 });
+    skeletons.forEach(skeleton => {
+      expect(skeleton).to.not.have.property('assignee');
+      expect(skeleton).to.not.have.property('status');
+    });
+  });
+
+  it('treats an issue whose parent is outside the project as a root', () => {
+    expect(skeletons[2].parentRef).to.be.null;
+    expect(skeletons[2].dueOffsetDays).to.be.null;
+  });
+
+  it('keeps only dependencies between items in the blueprint', () => {
+    const refs = new Set(skeletons.map(s => s.ref));
+    const dependencies = buildDependencySkeletons({
+      relationships: [
+        { source_type: 'issue', source_id: 2, target_type: 'action-item', target_id: 7, relationship_type: 'blocks' },
+        { source_type: 'issue', source_id: 2, target_type: 'issue', target_id: 500, relationship_type: 'relates_to' }
+      ],
+      prerequisites: [
+        { itemType: 'issue', itemId: 1, prerequisiteItemType: 'action-item', prerequisiteItemId: 7 },
+        { itemType: 'issue', itemId: 1, prerequisiteItemType: 'issue', prerequisiteItemId: 404 }
+      ]
+    }, refs);
+
+    expect(dependencies.relationships).to.deep.equal([
+      { sourceRef: 'issue:2', targetRef: 'action-item:7', relationshipType: 'blocks' }
+    ]);
+    expect(dependencies.prerequisites).to.deep.equal([
+      { itemRef: 'issue:1', prerequisiteRef: 'action-item:7' }
+    ]);
+  });
+
+  it('orders parents before children with their depth', () => {
+    const ordered = orderSkeletons([
+      { ref: 'issue:3', parentRef: 'issue:2' },
+      { ref: 'issue:2', parentRef: 'issue:1' },
+      { ref: 'issue:1', parentRef: null }
+    ]);
+    expect(ordered.map(o => [o.item.ref, o.depth])).to.deep.equal([
+      ['issue:1', 0], ['issue:2', 1], ['issue:3', 2]
+    ]);
+  });
+
+  it('breaks a parent cycle instead of looping', () => {
+    const ordered = orderSkeletons([
+      { ref: 'issue:1', parentRef: 'issue:2' },
+      { ref: 'issue:2', parentRef: 'issue:1' }
+    ]);
+    expect(ordered).to.have.length(2);
+    expect(ordered[0]).to.deep.equal({ item: { ref: 'issue:2', parentRef: null }, depth: 0 });
+    expect(ordered[1]).to.deep.equal({ item: { ref: 'issue:1', parentRef: 'issue:2' }, depth: 1 });
+  });
+});
+
+describe('Blueprint Service - summary and validation', () => {
+  it('summarizes what a blueprint contains', () => {
+    expect(summarizeBlueprint({
+      riskCategories: [{}],
+      tags: [{}, {}],
+      customRoles: [],
+      issueTypeTemplates: [{}],
+      actionCategoryTemplates: [{}],
+      workflow: { statuses: [{}, {}, {}], transitions: [] },
+      sidecar: null,
+      items: [{ type: 'issue' }, { type: 'issue' }, { type: 'action-item' }],
+      dependencies: { relationships: [{}], prerequisites: [{}, {}] }
+    })).to.deep.equal({
+      riskCategories: 1,
+      tags: 2,
+      customRoles: 0,
+      templateMappings: 2,
+      workflowStatuses: 3,
+      hasSidecarSettings: false,
+      issues: 2,
+      actionItems: 1,
+      dependencies: 3
+    });
+  });
+
+  it('requires a blueprint name', () => {
+    expect(validateBlueprintInput({ name: '  ' })).to.deep.equal(['Blueprint name is required']);
+    expect(validateBlueprintInput({ name: 'Cloud migration', description: 'Standard setup' })).to.be.empty;
+  });
+
+  it('requires a project name and a valid start date', () => {
+    expect(validateCreateOptions({ name: '' })).to.deep.equal(['Project name is required']);
+    expect(validateCreateOptions({ name: 'Wave 2', startDate: '25/01/2027' })).to.deep.equal(['Start date must be YYYY-MM-DD']);
+    expect(validateCreateOptions({ name: 'Wave 2', startDate: '2027-01-25' })).to.be.empty;
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { Pool: NeonPool } = require('@neondatabase/serverless');
+const { pool } = require('../db');
+const blueprintService = require('../services/blueprint-service');
+const blueprintsRouter = require('../routes/blueprints');
+
+// Blueprint 4 was saved from project 3 by user 7
+const BLUEPRINT_ROW = {
+  id: 4,
+  name: 'Delivery template',
+  description: null,
+  source_project_id: 3,
+  source_project_name: 'Apollo',
+  created_by: 7,
+  created_by_name: 'pat',
+  definition: { items: [] }
+};
+
+const OUTSIDER = { id: 9, username: 'kim', role: 'Project Manager' };
+
+function buildApp(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api', blueprintsRouter);
+  return app;
+}
+
+describe('Blueprint routes - visibility', () => {
+  let membership;
+  let createProject;
+
+  beforeEach(() => {
+    sinon.stub(pool, 'query').resolves({ rows: [BLUEPRINT_ROW] });
+    // Project membership (middleware/auth.js hasProjectAccess)
+    membership = sinon.stub(NeonPool.prototype, 'query').resolves({ rows: [] });
+    createProject = sinon.stub(blueprintService, 'createProjectFromBlueprint')
+      .resolves({ project: { id: 11 }, created: { issues: 0, actionItems: 0, dependencies: 0 } });
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('lists only blueprints the user created or whose source project they belong to', async () => {
+    const res = await request(buildApp(OUTSIDER)).get('/api/blueprints');
+
+    expect(res.status).to.equal(200);
+    const [sql, params] = pool.query.firstCall.args;
+    expect(sql).to.contain('b.created_by = $1');
+    expect(sql).to.contain('FROM project_members pm');
+    expect(params).to.deep.equal([9]);
+  });
+
+  it('lists every blueprint for System Administrators', async () => {
+    const res = await request(buildApp({ id: 1, username: 'root', role: 'System Administrator' }))
+      .get('/api/blueprints');
+
+    expect(res.status).to.equal(200);
+    expect(pool.query.firstCall.args[0]).to.not.contain('project_members');
+    expect(pool.query.firstCall.args[1]).to.be.undefined;
+  });
+
+  it('hides a blueprint from users outside its source project', async () => {
+    const res = await request(buildApp(OUTSIDER)).get('/api/blueprints/4');
+
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal('Access denied');
+  });
+
+  it('shows a blueprint to members of its source project', async () => {
+    membership.resolves({ rows: [{ '?column?': 1 }] });
+
+    const res = await request(buildApp(OUTSIDER)).get('/api/blueprints/4');
+
+    expect(res.status).to.equal(200);
+    expect(res.body.definition).to.deep.equal({ items: [] });
+    expect(membership.firstCall.args[1]).to.deep.equal([3, 9]);
+  });
+
+  it('shows a blueprint to its author after they left the source project', async () => {
+    const res = await request(buildApp({ id: 7, username: 'pat', role: 'Project Manager' }))
+      .get('/api/blueprints/4');
+
+    expect(res.status).to.equal(200);
+  });
+
+  it('refuses to create projects from a blueprint the user cannot see', async () => {
+    const res = await request(buildApp(OUTSIDER))
+      .post('/api/blueprints/4/projects')
+      .send({ name: 'Copy', startDate: '2026-11-02' });
+
+    expect(res.status).to.equal(403);
+    expect(createProject.called).to.be.false;
+  });
+
+  it('creates projects from a blueprint of a project the user belongs to', async () => {
+    membership.resolves({ rows: [{ '?column?': 1 }] });
+
+    const res = await request(buildApp(OUTSIDER))
+      .post('/api/blueprints/4/projects')
+      .send({ name: 'Copy', startDate: '2026-11-02' });
+
+    expect(res.status).to.equal(201);
+    expect(createProject.calledOnce).to.be.true;
+    expect(createProject.firstCall.args[0]).to.equal('4');
+  });
+
+  it('returns 404 for a missing blueprint before checking access', async () => {
+    pool.query.resolves({ rows: [] });
+
+    const res = await request(buildApp(OUTSIDER)).post('/api/blueprints/99/projects').send({ name: 'Copy' });
+
+    expect(res.status).to.equal(404);
+    expect(membership.called).to.be.false;
+    expect(createProject.called).to.be.false;
+  });
+});
@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const {
+  normalizeValue,
+  diffItemFields,
+  buildRevertPatch
+} = require('../services/change-history-service');
+
+describe('Change History Service - field diffs', () => {
+  describe('normalizeValue', () => {
+    it('treats empty values as null', () => {
+      expect(normalizeValue('assignee', '')).to.be.null;
+      expect(normalizeValue('assignee', undefined)).to.be.null;
+      expect(normalizeValue('description', '   ')).to.be.null;
+    });
+
+    it('compares numbers and dates by value', () => {
+      expect(normalizeValue('estimated_effort_hours', '8.00')).to.equal(8);
+      expect(normalizeValue('progress', 'n/a')).to.be.null;
+      expect(normalizeValue('due_date', '2026-03-15T00:00:00.000Z')).to.equal('2026-03-15');
+      expect(normalizeValue('due_date', new Date(2026, 2, 15))).to.equal('2026-03-15');
+    });
+  });
+
+  describe('diffItemFields', () => {
+    const before = {
+      id: 7, project_id: 1, title: 'Fix login', description: null, assignee: 'Alice',
+      due_date: new Date(2026, 2, 15), priority: 'medium', status: 'To Do',
+      estimated_effort_hours: '8.00', sprint_id: null, updated_at: '2026-03-01',
+      custom_fields: { customer: 'Acme', platforms: ['iOS'] }
+    };
+
+    it('returns only the tracked fields that changed', () => {
+      const after = {
+        ...before, description: '', due_date: '2026-03-15', estimated_effort_hours: 8,
+        status: 'In Progress', assignee: 'Bob', updated_at: '2026-03-02'
+      };
+      expect(diffItemFields(before, after)).to.deep.equal([
+        { field: 'assignee', oldValue: 'Alice', newValue: 'Bob' },
+        { field: 'status', oldValue: 'To Do', newValue: 'In Progress' }
+      ]);
+    });
+
+    it('diffs custom fields per key', () => {
+      const after = { ...before, custom_fields: { platforms: ['iOS', 'Web'], environment: 'Prod' } };
+      expect(diffItemFields(before, after)).to.deep.equal([
+        { field: 'custom_fields.customer', oldValue: 'Acme', newValue: null },
+        { field: 'custom_fields.environment', oldValue: null, newValue: 'Prod' },
+        { field: 'custom_fields.platforms', oldValue: ['iOS'], newValue: ['iOS', 'Web'] }
+      ]);
+    });
+
+    it('ignores columns missing from the updated row', () => {
+      const { priority, ...after } = before;
+      expect(priority).to.equal('medium');
+      expect(diffItemFields(before, after)).to.be.empty;
+    });
+  });
+
+  describe('buildRevertPatch', () => {
+    it('builds a PATCH body for columns and custom fields', () => {
+      expect(buildRevertPatch('due_date', '2026-03-15')).to.deep.equal({ due_date: '2026-03-15' });
+      expect(buildRevertPatch('sprint_id', null)).to.deep.equal({ sprint_id: null });
+      expect(buildRevertPatch('custom_fields.platforms', ['iOS'])).to.deep.equal({ custom_fields: { platforms: ['iOS'] } });
+    });
+
+    it('refuses untracked fields', () => {
+      expect(buildRevertPatch('project_id', 2)).to.be.null;
+    });
+  });
+});
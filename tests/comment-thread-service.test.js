@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+const {
+  COMMENT_SURFACES,
+  REACTION_EMOJIS,
+  matchMentions,
+  validateReaction,
+  threadRootId,
+  orderThreads,
+  summarizeReactions
+} = require('../services/comment-thread-service');
+
+const comment = (id, parentId = null, extra = {}) => ({ id, parent_comment_id: parentId, resolved_at: null, ...extra });
+
+describe('Comment Thread Service - threads', () => {
+  it('finds the first comment of a reply chain', () => {
+    const byId = new Map([comment(1), comment(2, 1), comment(3, 2), comment(4, 99)].map(c => [c.id, c]));
+    expect(threadRootId(byId, 3)).to.equal(1);
+    expect(threadRootId(byId, 1)).to.equal(1);
+    expect(threadRootId(byId, 4)).to.equal(4);
+  });
+
+  it('does not loop on a cycle', () => {
+    const byId = new Map([comment(1, 2), comment(2, 1)].map(c => [c.id, c]));
+    expect([1, 2]).to.include(threadRootId(byId, 1));
+  });
+
+  it('lists each thread with its replies under it', () => {
+    const ordered = orderThreads([
+      comment(1),
+      comment(2),
+      comment(3, 1),
+      comment(4, 3),
+      comment(5, 2)
+    ]);
+    expect(ordered.map(c => c.id)).to.deep.equal([1, 3, 4, 2, 5]);
+    expect(ordered.map(c => c.thread_id)).to.deep.equal([1, 1, 1, 2, 2]);
+    expect(ordered[0].reply_count).to.equal(2);
+    expect(ordered[3].reply_count).to.equal(1);
+    expect(ordered[1]).to.not.have.property('reply_count');
+  });
+
+  it('takes the resolved state from the first comment', () => {
+    const ordered = orderThreads([
+      comment(1, null, { resolved_at: '2026-10-19T09:00:00Z' }),
+      comment(2, 1),
+      comment(3)
+    ]);
+    expect(ordered.map(c => c.thread_resolved)).to.deep.equal([true, true, false]);
+  });
+});
+
+describe('Comment Thread Service - mentions', () => {
+  const users = [
+    { id: 1, username: 'asmith' },
+    { id: 2, username: 'Jordan Lee' },
+    { id: 3, username: 'jordan' }
+  ];
+
+  it('prefers the longest username a mention matches', () => {
+    expect(matchMentions('@Jordan Lee please review', users)).to.deep.equal([2]);
+    expect(matchMentions('@jordan, can you check?', users)).to.deep.equal([3]);
+  });
+
+  it('lists each user once and ignores unknown names', () => {
+    expect(matchMentions('@asmith and @nobody, then @ASmith again', users)).to.deep.equal([1]);
+    expect(matchMentions('no mentions here', users)).to.be.empty;
+  });
+});
+
+describe('Comment Thread Service - reactions', () => {
+  it('accepts only the reaction set', () => {
+    expect(validateReaction('👍')).to.be.empty;
+    expect(validateReaction('🦄')).to.have.length(1);
+    expect(validateReaction(undefined)).to.have.length(1);
+  });
+
+  it('counts reactions per comment and marks the current user', () => {
+    const summary = summarizeReactions([
+      { comment_id: 7, emoji: '🎉', user_id: 2, username: 'jlee' },
+      { comment_id: 7, emoji: '👍', user_id: 1, username: 'asmith' },
+      { comment_id: 7, emoji: '👍', user_id: 2, username: 'jlee' },
+      { comment_id: 8, emoji: '👀', user_id: 3, username: 'pat' }
+    ], 1);
+
+    expect(summary[7]).to.deep.equal([
+      { emoji: '👍', count: 2, reacted: true, users: ['asmith', 'jlee'] },
+      { emoji: '🎉', count: 1, reacted: false, users: ['jlee'] }
+    ]);
+    expect(summary[8][0].reacted).to.be.false;
+    expect(summary[9]).to.be.undefined;
+  });
+
+  it('covers every comment surface', () => {
+    expect(Object.keys(COMMENT_SURFACES)).to.deep.equal(['issue', 'action-item', 'checklist']);
+    expect(REACTION_EMOJIS).to.include('👍');
+  });
+});
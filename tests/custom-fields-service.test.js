@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const {
+  toFieldKey,
+  validateFieldDefinition,
+  normalizeFieldValue,
+  resolveCustomFieldValues,
+  formatFieldValue,
+  buildCustomFieldCondition
+} = require('../services/custom-fields-service');
+
+describe('Custom Fields Service - definitions and values', () => {
+  const customer = { key: 'customer', name: 'Customer', type: 'text', appliesTo: 'both', validation: { maxLength: 10 } };
+  const points = { key: 'story_points', name: 'Story Points', type: 'number', appliesTo: 'issue', validation: { min: 0, max: 13 } };
+  const environment = {
+    key: 'environment', name: 'Environment', type: 'select', appliesTo: 'both',
+    options: ['Dev', 'Staging', 'Prod'], required: true, defaultValue: 'Dev'
+  };
+  const platforms = { key: 'platforms', name: 'Platforms', type: 'multi_select', appliesTo: 'both', options: ['iOS', 'Android', 'Web'] };
+  const reviewer = { key: 'reviewer', name: 'Reviewer', type: 'user', appliesTo: 'both' };
+  const goLive = { key: 'go_live', name: 'Go Live', type: 'date', appliesTo: 'both', validation: { min: '2026-01-01' } };
+
+  describe('toFieldKey', () => {
+    it('derives a stable key from the field name', () => {
+      expect(toFieldKey('Story Points')).to.equal('story_points');
+      expect(toFieldKey('  3rd-party Vendor! ')).to.equal('rd_party_vendor');
+      expect(toFieldKey('!!!')).to.be.null;
+    });
+  });
+
+  describe('validateFieldDefinition', () => {
+    it('accepts a well-formed select field', () => {
+      expect(validateFieldDefinition(environment)).to.be.empty;
+    });
+
+    it('requires options for select fields and a valid default', () => {
+      expect(validateFieldDefinition({ ...environment, options: [] })).to.include('"Environment" needs at least one option');
+      const errors = validateFieldDefinition({ ...environment, defaultValue: 'QA' });
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.match(/^Default value:/);
+    });
+
+    it('rejects unknown types, bad keys and broken patterns', () => {
+      const errors = validateFieldDefinition({
+        key: 'Bad Key', name: 'Ticket', type: 'checkbox', appliesTo: 'both', validation: { pattern: '([' }
+      });
+      expect(errors).to.have.length(3);
+    });
+  });
+
+  describe('normalizeFieldValue', () => {
+    it('coerces numbers and enforces the range', () => {
+      expect(normalizeFieldValue(points, '5')).to.deep.equal({ value: 5 });
+      expect(normalizeFieldValue(points, '21').error).to.equal('Story Points must be at most 13');
+      expect(normalizeFieldValue(points, '5 points').error).to.equal('Story Points must be a number');
+    });
+
+    it('normalizes dates and rejects impossible ones', () => {
+      expect(normalizeFieldValue(goLive, '2026-03-15T10:00:00Z')).to.deep.equal({ value: '2026-03-15' });
+      expect(normalizeFieldValue(goLive, '2026-02-30').error).to.match(/must be a date/);
+      expect(normalizeFieldValue(goLive, '2025-12-31').error).to.equal('Go Live must be on or after 2026-01-01');
+    });
+
+    it('checks select and multi-select options', () => {
+      expect(normalizeFieldValue(environment, 'QA').error).to.equal('"QA" is not an option for Environment');
+      expect(normalizeFieldValue(platforms, 'iOS, Web, iOS')).to.deep.equal({ value: ['iOS', 'Web'] });
+      expect(normalizeFieldValue(platforms, ['iOS', 'Desktop']).error).to.match(/"Desktop" is not an option/);
+    });
+
+    it('matches user fields to project members case-insensitively', () => {
+      expect(normalizeFieldValue(reviewer, 'alice', { users: ['Alice', 'Bob'] })).to.deep.equal({ value: 'Alice' });
+      expect(normalizeFieldValue(reviewer, 'Carol', { users: ['Alice', 'Bob'] }).error).to.match(/not a member/);
+    });
+
+    it('treats empty input as no value', () => {
+      expect(normalizeFieldValue(customer, '')).to.deep.equal({ value: null });
+      expect(normalizeFieldValue(platforms, [])).to.deep.equal({ value: null });
+    });
+  });
+
+  describe('resolveCustomFieldValues', () => {
+    const definitions = [customer, environment, platforms];
+
+    it('applies defaults and required checks on create', () => {
+      const { values, errors } = resolveCustomFieldValues(definitions, { customer: 'Acme' });
+      expect(errors).to.be.empty;
+      expect(values).to.deep.equal({ customer: 'Acme', environment: 'Dev' });
+
+      const missing = resolveCustomFieldValues(definitions, { environment: null });
+      expect(missing.errors).to.include('Environment is required');
+    });
+
+    it('only touches sent fields on update and clears empty ones', () => {
+      const existing = { customer: 'Acme', platforms: ['iOS'] };
+      const { values, errors } = resolveCustomFieldValues(definitions, { platforms: [] }, { existing });
+      expect(errors).to.be.empty;
+      expect(values).to.deep.equal({ customer: 'Acme' });
+    });
+
+    it('reports unknown fields', () => {
+      const { errors } = resolveCustomFieldValues(definitions, { severity: 'high' }, { existing: {} });
+      expect(errors).to.include('Unknown custom field "severity"');
+    });
+  });
+
+  describe('formatFieldValue', () => {
+    it('flattens values for CSV export', () => {
+      expect(formatFieldValue(platforms, ['iOS', 'Web'])).to.equal('iOS; Web');
+      expect(formatFieldValue(points, 3)).to.equal('3');
+      expect(formatFieldValue(customer, null)).to.equal('');
+    });
+  });
+
+  describe('buildCustomFieldCondition', () => {
+    it('parameterizes the key and value', () => {
+      const params = [42];
+      const condition = buildCustomFieldCondition('i', 'environment:Prod', params);
+      expect(params).to.deep.equal([42, 'environment', 'Prod']);
+      expect(condition).to.include('i.custom_fields->>$2 = $3');
+    });
+
+    it('supports "has a value" and ignores malformed filters', () => {
+      const params = [];
+      expect(buildCustomFieldCondition('a', 'customer:*', params)).to.include('a.custom_fields ? $1');
+      expect(buildCustomFieldCondition('a', 'Robert\'); DROP TABLE issues;--:x', [])).to.be.null;
+      expect(buildCustomFieldCondition('a', 'customer', [])).to.be.null;
+    });
+  });
+});
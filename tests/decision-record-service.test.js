@@ -0,0 +1,224 @@
+const { expect } = require('chai');
+const JSZip = require('jszip');
+const {
+  buildLineage,
+  buildSupersessionGraph,
+  adrFileName,
+  toAdrMarkdown,
+  toAdrIndex,
+  parseAdr,
+  resolveSupersessions,
+  readAdrUpload
+} = require('../services/decision-record-service');
+
+const decision = (id, extra = {}) => ({
+  id,
+  decision_id: `DEC-0000${id}`,
+  title: `Decision ${id}`,
+  status: 'approved',
+  decided_date: null,
+  superseded_by: null,
+  ...extra
+});
+
+describe('Decision Record Service - supersession', () => {
+  // 1 -> 2 -> 4, 3 -> 4 (4 replaced two decisions), 5 unrelated
+  const decisions = [
+    decision(1, { status: 'superseded', superseded_by: 2 }),
+    decision(2, { status: 'superseded', superseded_by: 4 }),
+    decision(3, { status: 'superseded', superseded_by: 4 }),
+    decision(4),
+    decision(5)
+  ];
+
+  it('walks back to the original and forward to the current decision', () => {
+    const lineage = buildLineage(decisions, 2);
+
+    expect(lineage.chain.map(d => [d.id, d.position])).to.deep.equal([[1, -1], [2, 0], [4, 1]]);
+    expect(lineage.original.map(d => d.id)).to.deep.equal([1]);
+    expect(lineage.current.id).to.equal(4);
+  });
+
+  it('lists every branch that fed into a decision', () => {
+    const lineage = buildLineage(decisions, 4);
+
+    expect(lineage.chain.map(d => d.id)).to.deep.equal([1, 2, 3, 4]);
+    expect(lineage.original.map(d => d.id)).to.deep.equal([1]);
+    expect(buildLineage(decisions, 5).chain).to.have.length(1);
+    expect(buildLineage(decisions, 99)).to.be.null;
+  });
+
+  it('stops on a supersession cycle', () => {
+    const cyclic = [decision(1, { superseded_by: 2 }), decision(2, { superseded_by: 1 })];
+    expect(buildLineage(cyclic, 1).chain.map(d => d.id)).to.deep.equal([2, 1]);
+  });
+
+  it('graphs only the decisions involved in a supersession', () => {
+    const graph = buildSupersessionGraph(decisions);
+
+    expect(graph.nodes.map(n => n.id)).to.deep.equal([1, 2, 3, 4]);
+    expect(graph.edges).to.deep.include({ from: 3, to: 4 });
+    expect(graph.nodes.find(n => n.id === 4).current).to.be.true;
+  });
+});
+
+describe('Decision Record Service - ADR export', () => {
+  const original = decision(1, {
+    title: 'Use PostgreSQL for reporting',
+    status: 'superseded',
+    superseded_by: 2,
+    description: 'Reports run against the OLTP database.',
+    rationale: 'The team already runs PostgreSQL.',
+    consequences: 'Heavy reports slow down the app.',
+    decided_date: new Date('2026-03-02T00:00:00Z'),
+    decided_by_name: 'jordan',
+    decision_type: 'technical',
+    impact_level: 'high',
+    alternatives_considered: [
+      { title: 'Separate warehouse', description: 'Nightly ETL to a warehouse', pros: ['Isolated load'], cons: ['Stale data'], complexity: 'High' },
+      'Read replica'
+    ]
+  });
+  const replacement = decision(2, { title: 'Move reporting to a read replica' });
+
+  it('names files after the decision id and title', () => {
+    expect(adrFileName(original)).to.equal('DEC-00001-use-postgresql-for-reporting.md');
+  });
+
+  it('writes status, context, rationale, consequences and alternatives', () => {
+    const markdown = toAdrMarkdown(original, { supersededBy: replacement });
+
+    expect(markdown).to.match(/^# DEC-00001: Use PostgreSQL for reporting\n/);
+    expect(markdown).to.contain('- Date: 2026-03-02');
+    expect(markdown).to.contain('Superseded by [DEC-00002: Move reporting to a read replica](DEC-00002-move-reporting-to-a-read-replica.md)');
+    ['## Context', '## Rationale', '## Consequences', '## Alternatives Considered', '### Separate warehouse', '### Read replica']
+      .forEach(heading => expect(markdown).to.contain(heading));
+    expect(toAdrIndex('Data Platform', [original, replacement])).to.contain('| [DEC-00002](DEC-00002-move-reporting-to-a-read-replica.md) | Move reporting to a read replica | Approved |');
+  });
+
+  it('reads back what it writes', () => {
+    const adr = parseAdr(toAdrMarkdown(original, { supersededBy: replacement }), adrFileName(original));
+
+    expect(adr).to.include({
+      title: 'Use PostgreSQL for reporting',
+      status: 'superseded',
+      description: 'Reports run against the OLTP database.',
+      rationale: 'The team already runs PostgreSQL.',
+      consequences: 'Heavy reports slow down the app.',
+      decidedDate: '2026-03-02',
+      deciders: 'jordan',
+      decisionType: 'technical',
+      impactLevel: 'high',
+      supersededByRef: 'dec-00002-move-reporting-to-a-read-replica'
+    });
+    expect(adr.alternatives[0]).to.include({ title: 'Separate warehouse' });
+    expect(adr.alternatives[0].pros).to.deep.equal(['Isolated load']);
+    expect(adr.alternatives[0].cons).to.deep.equal(['Stale data']);
+    expect(adr.alternatives[1]).to.deep.equal({ title: 'Read replica' });
+  });
+});
+
+describe('Decision Record Service - ADR import', () => {
+  const nygard = `# 2. Use event sourcing for orders
+
+Date: 2025-11-04
+
+## Status
+
+Superseded by [3. Use a ledger table](0003-use-a-ledger-table.md)
+
+## Context
+
+Order history has to be auditable.
+
+## Decision
+
+Store order changes as events.
+
+## Consequences
+
+Reads need projections.
+`;
+
+  const madr = `---
+status: accepted
+date: 2026-01-12
+deciders: sam, lee
+---
+# Use a ledger table
+
+## Context and Problem Statement
+
+Event sourcing was too heavy for the team.
+
+## Considered Options
+
+* Keep event sourcing
+* Ledger table
+
+## Decision Outcome
+
+Chosen option: "Ledger table", because it is simple.
+`;
+
+  it('reads Nygard ADRs', () => {
+    const adr = parseAdr(nygard, '0002-use-event-sourcing-for-orders.md');
+
+    expect(adr).to.include({
+      title: 'Use event sourcing for orders',
+      status: 'superseded',
+      description: 'Order history has to be auditable.',
+      rationale: 'Store order changes as events.',
+      decidedDate: '2025-11-04',
+      supersededByRef: '0003-use-a-ledger-table'
+    });
+    expect(adr.keys).to.include('2');
+  });
+
+  it('reads MADR front matter and option lists', () => {
+    const adr = parseAdr(madr, '0003-use-a-ledger-table.md');
+
+    expect(adr).to.include({ title: 'Use a ledger table', status: 'approved', decidedDate: '2026-01-12', deciders: 'sam, lee' });
+    expect(adr.alternatives).to.deep.equal([{ title: 'Keep event sourcing' }, { title: 'Ledger table' }]);
+    expect(adr.rationale).to.contain('Ledger table');
+  });
+
+  it('rejects files without a title and defaults unknown statuses to proposed', () => {
+    expect(() => parseAdr('## Status\n\nAccepted', 'notes.md')).to.throw().with.property('validationErrors');
+    expect(parseAdr('# Try GraphQL\n\n## Status\n\nUnder discussion', 'graphql.md').status).to.equal('proposed');
+  });
+
+  it('links supersessions between imported files', () => {
+    const adrs = [
+      parseAdr(nygard, '0002-use-event-sourcing-for-orders.md'),
+      parseAdr(madr, '0003-use-a-ledger-table.md'),
+      parseAdr('# 4. Archive old orders\n\n## Status\n\nAccepted\n\nSupersedes ADR-0001', '0004-archive-old-orders.md')
+    ];
+
+    expect(resolveSupersessions(adrs)).to.deep.equal([{ from: 0, to: 1 }]);
+  });
+
+  it('reads a zip of ADRs and skips the README and unreadable files', async () => {
+    const zip = new JSZip();
+    zip.file('docs/adr/0002-use-event-sourcing-for-orders.md', nygard);
+    zip.file('docs/adr/0003-use-a-ledger-table.md', madr);
+    zip.file('docs/adr/README.md', '# Decisions');
+    zip.file('docs/adr/scratch.md', 'no heading here');
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+    const { adrs, skipped } = await readAdrUpload(buffer, 'adrs.zip');
+
+    expect(adrs.map(a => a.title)).to.deep.equal(['Use event sourcing for orders', 'Use a ledger table']);
+    expect(skipped.map(s => s.file)).to.deep.equal(['scratch.md']);
+  });
+
+  it('rejects uploads that are not Markdown or zip', async () => {
+    let error;
+    try {
+      await readAdrUpload(Buffer.from('a,b'), 'decisions.csv');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.have.property('validationErrors');
+  });
+});
@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { pool } = require('../db');
+const trashService = require('../services/trash-service');
+const duplicateService = require('../services/duplicate-service');
+const {
+  POSSIBLE_DUPLICATE_SCORE,
+  LIKELY_DUPLICATE_SCORE,
+  normalizeItemType,
+  buildItemText,
+  buildOrTsQuery,
+  lexicalSimilarity,
+  classifyScore,
+  rankDuplicates,
+  validateMerge
+} = duplicateService;
+
+describe('Duplicate Service - scoring and merge checks', () => {
+  it('normalizes both action item spellings', () => {
+    expect(normalizeItemType('action_item')).to.equal('action-item');
+    expect(normalizeItemType('action-item')).to.equal('action-item');
+    expect(normalizeItemType('issue')).to.equal('issue');
+    expect(normalizeItemType('risk')).to.equal(null);
+  });
+
+  it('builds the embedded text from title and description', () => {
+    expect(buildItemText({ title: ' Login fails ', description: null })).to.equal('Login fails');
+    expect(buildItemText({ title: 'Login fails', description: 'On Safari' })).to.equal('Login fails\nOn Safari');
+    expect(buildItemText({ title: '', description: '' })).to.equal('');
+  });
+
+  it('builds an OR query from the significant title words', () => {
+    expect(buildOrTsQuery('Fix the SSO login on iOS!')).to.equal('fix | the | sso | login | ios');
+    expect(buildOrTsQuery('a b')).to.equal(null);
+    expect(buildOrTsQuery(null)).to.equal(null);
+  });
+
+  it('scores near-identical titles highly and ignores a missing description', () => {
+    const score = lexicalSimilarity(
+      { title: 'Login page fails on Safari' },
+      { title: 'Login page fails in Safari', description: 'Reported by support' }
+    );
+    expect(score).to.be.greaterThan(POSSIBLE_DUPLICATE_SCORE);
+    expect(lexicalSimilarity({ title: 'Update invoice template' }, { title: 'Migrate database cluster' }))
+      .to.be.lessThan(POSSIBLE_DUPLICATE_SCORE);
+  });
+
+  it('classifies scores against the thresholds', () => {
+    expect(classifyScore(LIKELY_DUPLICATE_SCORE)).to.equal('likely');
+    expect(classifyScore(0.8)).to.equal('possible');
+    expect(classifyScore(0.5)).to.equal(null);
+  });
+
+  it('ranks by the better of the semantic and text scores', () => {
+    const ranked = rankDuplicates([
+      { itemType: 'issue', id: 1, semanticScore: 0.78, lexicalScore: 0.4 },
+      { itemType: 'issue', id: 2, semanticScore: 0.2, lexicalScore: 0.95 },
+      { itemType: 'action-item', id: 3, semanticScore: 0.5, lexicalScore: 0.3 }
+    ]);
+    expect(ranked.map(r => [r.id, r.score, r.match, r.matchedBy])).to.deep.equal([
+      [2, 0.95, 'likely', 'text'],
+      [1, 0.78, 'possible', 'semantic']
+    ]);
+    expect(rankDuplicates([{ id: 1, lexicalScore: 0.9 }, { id: 2, lexicalScore: 0.9 }], 1)).to.have.length(1);
+  });
+
+  it('rejects merges into itself, across projects or with a missing issue', () => {
+    expect(validateMerge({ id: 1, project_id: 1 }, { id: 2, project_id: 1 })).to.deep.equal([]);
+    expect(validateMerge({ id: 1, project_id: 1 }, { id: 1, project_id: 1 }))
+      .to.deep.equal(['An issue cannot be merged into itself']);
+    expect(validateMerge({ id: 1, project_id: 1 }, { id: 2, project_id: 2 }))
+      .to.deep.equal(['Issues must belong to the same project']);
+    expect(validateMerge(null, { id: 2, project_id: 1 })).to.deep.equal(['Issue to merge was not found']);
+  });
+});
+
+describe('Duplicate Service - mergeIssues transaction', () => {
+  let statements;
+  let client;
+
+  beforeEach(() => {
+    statements = [];
+    client = {
+      query: sinon.spy(async (sql) => {
+        statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+        if (sql.includes('FOR UPDATE')) {
+          return { rows: [{ id: 10, project_id: 3, title: 'Login fails' }, { id: 20, project_id: 3, title: 'Cannot log in' }] };
+        }
+        return { rows: [{}], rowCount: 0 };
+      }),
+      release: sinon.spy()
+    };
+    sinon.stub(pool, 'connect').resolves(client);
+    sinon.stub(pool, 'query').resolves({ rows: [{ id: 20 }] });
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('trashes the source on the merge transaction before committing', async () => {
+    const trashItem = sinon.stub(trashService, 'trashItem').resolves({ id: 9 });
+
+    const result = await duplicateService.mergeIssues(10, 20, 1);
+
+    expect(trashItem.calledOnceWith('issue', 10, 1, client)).to.be.true;
+    expect(statements[statements.length - 1]).to.equal('COMMIT');
+    expect(result.trashId).to.equal(9);
+    expect(client.release.calledOnce).to.be.true;
+  });
+
+  it('rolls the whole merge back when the source cannot be trashed', async () => {
+    sinon.stub(trashService, 'trashItem').rejects(new Error('trash insert failed'));
+
+    let error;
+    try {
+      await duplicateService.mergeIssues(10, 20, 1);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).to.equal('trash insert failed');
+    expect(statements).to.include('ROLLBACK');
+    expect(statements).not.to.include('COMMIT');
+    expect(statements.some(sql => sql.startsWith('INSERT INTO item_redirects'))).to.be.true;
+    expect(client.release.calledOnce).to.be.true;
+  });
+});
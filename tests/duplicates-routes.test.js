@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { Pool: NeonPool } = require('@neondatabase/serverless');
+const { pool } = require('../db');
+const duplicateService = require('../services/duplicate-service');
+const duplicatesRouter = require('../routes/duplicates');
+
+// Issue 10 (created by user 7) is being merged into issue 20 (created by user 8, assigned to "sam")
+const ISSUES = [
+  { id: 10, project_id: 3, created_by: 7, assignee: null },
+  { id: 20, project_id: 3, created_by: 8, assignee: 'sam' }
+];
+
+function buildApp(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api', duplicatesRouter);
+  return app;
+}
+
+function merge(user) {
+  return request(buildApp(user)).post('/api/issues/10/merge').send({ targetId: 20 });
+}
+
+describe('POST /api/issues/:id/merge - permissions', () => {
+  let mergeIssues;
+
+  beforeEach(() => {
+    sinon.stub(pool, 'query').resolves({ rows: ISSUES });
+    // Project membership (middleware/auth.js hasProjectAccess)
+    sinon.stub(NeonPool.prototype, 'query').resolves({ rows: [{ '?column?': 1 }] });
+    mergeIssues = sinon.stub(duplicateService, 'mergeIssues').resolves({ target: ISSUES[1], trashId: 5 });
+  });
+
+  afterEach(() => sinon.restore());
+
+  it('lets a Team Lead merge any issue in the project', async () => {
+    const res = await merge({ id: 1, username: 'lee', role: 'Team Lead' });
+
+    expect(res.status).to.equal(200);
+    expect(mergeIssues.calledOnceWith(10, 20, 1)).to.be.true;
+  });
+
+  it('lets the source creator merge into an issue assigned to them', async () => {
+    const res = await merge({ id: 7, username: 'sam', role: 'Team Member' });
+
+    expect(res.status).to.equal(200);
+  });
+
+  it('refuses members who did not create the source issue', async () => {
+    const res = await merge({ id: 8, username: 'sam', role: 'Team Member' });
+
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.contain('creator or Team Lead+');
+    expect(mergeIssues.called).to.be.false;
+  });
+
+  it('refuses creators who cannot edit the target issue', async () => {
+    const res = await merge({ id: 7, username: 'kim', role: 'Team Member' });
+
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.contain('merge into this issue');
+    expect(mergeIssues.called).to.be.false;
+  });
+
+  it('refuses viewers even on issues they created', async () => {
+    const res = await merge({ id: 7, username: 'sam', role: 'External Viewer' });
+
+    expect(res.status).to.equal(403);
+    expect(mergeIssues.called).to.be.false;
+  });
+
+  it('refuses users outside the project', async () => {
+    NeonPool.prototype.query.resolves({ rows: [] });
+
+    const res = await merge({ id: 1, username: 'lee', role: 'Team Lead' });
+
+    expect(res.status).to.equal(403);
+    expect(res.body.error).to.equal('Access denied');
+    expect(mergeIssues.called).to.be.false;
+  });
+});
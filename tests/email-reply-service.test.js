@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const {
+  toCommentType,
+  buildReplyAddress,
+  parseReplyAddress,
+  extractEmailAddress,
+  htmlToText,
+  stripQuotedReply
+} = require('../services/email-reply-service');
+
+const config = { address: 'reply@inbound.example.com', secret: 'test-secret' };
+
+describe('Email Reply Service - reply addresses', () => {
+  it('maps notification item types to comment types', () => {
+    expect(toCommentType('issue')).to.equal('issue');
+    expect(toCommentType('action item')).to.equal('action-item');
+    expect(toCommentType('Action-Item')).to.equal('action-item');
+    expect(toCommentType('risk')).to.be.null;
+  });
+
+  it('signs the item and user into a plus address', () => {
+    const address = buildReplyAddress('action item', 42, 7, config);
+    expect(address).to.match(/^reply\+action-item\.42\.7\.[0-9a-f]{16}@inbound\.example\.com$/);
+    expect(buildReplyAddress('issue', 42, 7, { ...config, address: null })).to.be.null;
+    expect(buildReplyAddress('risk', 42, 7, config)).to.be.null;
+  });
+
+  it('reads a reply address back from the recipients', () => {
+    const address = buildReplyAddress('issue', 42, 7, config);
+    expect(parseReplyAddress(`Team <team@example.com>, "Tracker" <${address.toUpperCase()}>`, config))
+      .to.deep.equal({ commentType: 'issue', itemId: 42, userId: 7 });
+    expect(parseReplyAddress(['someone@example.com', address], config).userId).to.equal(7);
+  });
+
+  it('rejects addresses that were not signed here', () => {
+    const address = buildReplyAddress('issue', 42, 7, config);
+    const forged = address.replace('.42.7.', '.42.8.');
+    expect(parseReplyAddress(forged, config)).to.be.null;
+    expect(parseReplyAddress(address, { ...config, secret: 'other-secret' })).to.be.null;
+    expect(parseReplyAddress('sidecar+erp@inbound.example.com', config)).to.be.null;
+  });
+
+  it('takes the bare sender address', () => {
+    expect(extractEmailAddress('Alex Smith <Alex.Smith@Example.com>')).to.equal('alex.smith@example.com');
+    expect(extractEmailAddress('jlee@example.com')).to.equal('jlee@example.com');
+    expect(extractEmailAddress(undefined)).to.be.null;
+  });
+});
+
+describe('Email Reply Service - reply text', () => {
+  it('drops the quoted original', () => {
+    const text = [
+      'Sounds good, @jlee can you take this?',
+      '',
+      'On Mon, Oct 19, 2026 at 9:00 AM Multi-Project Tracker <',
+      'reply@inbound.example.com> wrote:',
+      '> Alex mentioned you'
+    ].join('\r\n');
+    expect(stripQuotedReply(text)).to.equal('Sounds good, @jlee can you take this?');
+  });
+
+  it('stops at Outlook headers and signatures', () => {
+    expect(stripQuotedReply('Done.\n\n________________________________\nFrom: Tracker\nSent: today'))
+      .to.equal('Done.');
+    expect(stripQuotedReply('Fixed in build 12\n-- \nAlex')).to.equal('Fixed in build 12');
+    expect(stripQuotedReply('Looks right\n\nSent from my iPhone')).to.equal('Looks right');
+    expect(stripQuotedReply('> only quoted text')).to.equal('');
+  });
+
+  it('keeps line breaks from HTML bodies and skips blockquotes', () => {
+    const html = '<div>First line<br>Second &amp; last</div><blockquote>old message</blockquote>';
+    expect(stripQuotedReply(htmlToText(html))).to.equal('First line\nSecond & last');
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require('chai');
+const {
+  parseCsv,
+  buildDefaultMapping,
+  validateMapping,
+  applyMapping,
+  parseJiraExport,
+  parseTrelloExport,
+  parseAsanaExport,
+  detectFormat,
+  normalizePriority,
+  parseImportDate,
+  matchAssignee,
+  parseReference,
+  buildImportPlan,
+  findDependencyCycle
+} = require('../services/import-service');
+
+const workflow = {
+  statuses: [
+    { name: 'To Do', category: 'todo', isInitial: true },
+    { name: 'In Progress', category: 'active', isInitial: false },
+    { name: 'Done', category: 'done', isInitial: false }
+  ],
+  transitions: []
+};
+
+const users = [
+  { id: 1, username: 'alice.smith', email: 'alice@example.com' },
+  { id: 2, username: 'bob', email: 'bob@example.com' }
+];
+
+const plan = (records, extra = {}) => buildImportPlan(records, { workflow, users, tags: [], customFields: [], ...extra });
+
+describe('Import Service - parsing and import plans', () => {
+  describe('parseCsv', () => {
+    it('skips the BOM and metadata lines written by csvExportService', () => {
+      const csv = '\ufeff# Issues Export\n# Project: 4\n#\n\nID,Title,Description\n1,"Login, SSO","Line one\nline ""two"""\r\n';
+      const { headers, rows } = parseCsv(csv);
+      expect(headers).to.deep.equal(['ID', 'Title', 'Description']);
+      expect(rows).to.deep.equal([['1', 'Login, SSO', 'Line one\nline "two"']]);
+    });
+
+    it('rejects unterminated quotes', () => {
+      expect(() => parseCsv('Title\n"broken')).to.throw(/unterminated/);
+    });
+  });
+
+  describe('column mapping', () => {
+    it('maps export headers and custom field columns by name', () => {
+      const mapping = buildDefaultMapping(
+        ['ID', 'Title', 'Status Category', 'Assigned To', 'Parent ID', 'Story Points'],
+        [{ key: 'story_points', name: 'Story Points' }]
+      );
+      expect(mapping).to.deep.equal({
+        'ID': 'externalId',
+        'Title': 'title',
+        'Status Category': '',
+        'Assigned To': 'assignee',
+        'Parent ID': 'parent',
+        'Story Points': 'cf:story_points'
+      });
+    });
+
+    it('requires a title column and rejects duplicate targets', () => {
+      const errors = validateMapping({ A: 'status', B: 'status', C: 'cf:missing' });
+      expect(errors).to.include('A column must be mapped to Title');
+      expect(errors).to.include('More than one column is mapped to status');
+      expect(errors).to.include('Unknown custom field "missing"');
+    });
+
+    it('applies the mapping to rows', () => {
+      const [record] = applyMapping(['Name', 'Points', 'Skip'], [['Write docs', '3', 'x']], { Name: 'title', Points: 'cf:points', Skip: '' });
+      expect(record).to.deep.equal({ rowNumber: 1, title: 'Write docs', customFields: { points: '3' } });
+    });
+  });
+
+  describe('JSON exports', () => {
+    it('reads Jira issues with parents, blocking links and labels', () => {
+      const [record] = parseJiraExport({
+        issues: [{
+          key: 'APP-2',
+          fields: {
+            summary: 'Checkout',
+            description: { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Pay' }] }] },
+            status: { name: 'In Review', statusCategory: { key: 'indeterminate' } },
+            priority: { name: 'Highest' },
+            assignee: { displayName: 'Bob', emailAddress: 'bob@example.com' },
+            duedate: '2026-11-02',
+            labels: ['payments'],
+            parent: { key: 'APP-1' },
+            issuelinks: [
+              { type: { name: 'Blocks' }, inwardIssue: { key: 'APP-3' } },
+              { type: { name: 'Blocks' }, outwardIssue: { key: 'APP-4' } },
+              { type: { name: 'Relates' }, inwardIssue: { key: 'APP-5' } }
+            ]
+          }
+        }]
+      });
+      expect(record).to.include({ externalId: 'APP-2', title: 'Checkout', description: 'Pay', statusCategory: 'active', parent: 'APP-1' });
+      expect(record.dependsOn).to.deep.equal(['APP-3']);
+      expect(record.tags).to.deep.equal(['payments']);
+    });
+
+    it('turns Trello checklist items into child issues and skips archived cards', () => {
+      const records = parseTrelloExport({
+        lists: [{ id: 'l1', name: 'Doing' }],
+        members: [{ id: 'm1', fullName: 'Alice Smith' }],
+        cards: [
+          { id: 'c1', name: 'Card', idList: 'l1', idMembers: ['m1'], labels: [{ name: '', color: 'red' }] },
+          { id: 'c2', name: 'Old card', idList: 'l1', closed: true }
+        ],
+        checklists: [{ id: 'k1', idCard: 'c1', name: 'Steps', checkItems: [{ id: 'i1', name: 'Step', state: 'complete' }] }]
+      });
+      expect(records).to.have.length(2);
+      expect(records[0]).to.include({ status: 'Doing', assignee: 'Alice Smith' });
+      expect(records[0].tags).to.deep.equal(['red']);
+      expect(records[1]).to.include({ parent: 'c1', statusCategory: 'done' });
+    });
+
+    it('flattens nested Asana subtasks', () => {
+      const records = parseAsanaExport({
+        data: [{ gid: '1', name: 'Launch', completed: false, memberships: [{ section: { name: 'Doing' } }],
+                 subtasks: [{ gid: '2', name: 'Press release', completed: true, dependencies: [{ gid: '3' }] }] }]
+      });
+      expect(records.map(r => r.externalId)).to.deep.equal(['1', '2']);
+      expect(records[1]).to.include({ parent: '1', statusCategory: 'done' });
+      expect(records[1].dependsOn).to.deep.equal(['3']);
+    });
+
+    it('detects the format from the content', () => {
+      expect(detectFormat('Title\nA')).to.equal('csv');
+      expect(detectFormat(JSON.stringify({ issues: [{ key: 'A-1', fields: {} }] }))).to.equal('jira');
+      expect(detectFormat(JSON.stringify({ cards: [], lists: [] }))).to.equal('trello');
+      expect(detectFormat(JSON.stringify({ data: [{ gid: '1' }] }))).to.equal('asana');
+    });
+  });
+
+  describe('value normalization', () => {
+    it('maps priorities from other trackers', () => {
+      expect(normalizePriority('Highest')).to.equal('critical');
+      expect(normalizePriority('Minor')).to.equal('low');
+      expect(normalizePriority('whenever')).to.be.null;
+    });
+
+    it('parses ISO and US dates and rejects impossible ones', () => {
+      expect(parseImportDate('2026-03-05T10:00:00Z')).to.equal('2026-03-05');
+      expect(parseImportDate('3/5/2026')).to.equal('2026-03-05');
+      expect(parseImportDate('')).to.be.null;
+      expect(parseImportDate('2026-02-30')).to.be.undefined;
+    });
+
+    it('matches assignees by email, then by name', () => {
+      expect(matchAssignee('BOB@example.com', users)).to.deep.equal({ username: 'bob', confidence: 1 });
+      expect(matchAssignee('Alice Smith', users).username).to.equal('alice.smith');
+      expect(matchAssignee('Charlotte Jones', users)).to.be.null;
+    });
+
+    it('reads typed references from the export', () => {
+      expect(parseReference('Action Item #4')).to.deep.equal({ itemType: 'action-item', externalId: '4' });
+      expect(parseReference('APP-3')).to.deep.equal({ itemType: null, externalId: 'APP-3' });
+    });
+  });
+
+  describe('buildImportPlan', () => {
+    it('orders parents before children and resolves dependencies', () => {
+      const result = plan([
+        { rowNumber: 1, externalId: '2', title: 'Child', parent: '1', dependsOn: 'Action Item #1', tags: 'ui; new' },
+        { rowNumber: 2, externalId: '1', title: 'Parent', status: 'Done' },
+        { rowNumber: 3, externalId: '1', type: 'Action Item', title: 'Prep', assignee: 'bob' }
+      ], { tags: [{ id: 9, name: 'UI' }] });
+
+      expect(result.errors).to.be.empty;
+      expect(result.items.map(i => i.title)).to.deep.equal(['Parent', 'Child', 'Prep']);
+      expect(result.items[1].parentIndex).to.equal(0);
+      expect(result.items[1].dependsOn).to.deep.equal([2]);
+      expect(result.items[1].tags).to.deep.equal(['UI', 'new']);
+      expect(result.items[0].status).to.equal('Done');
+      expect(result.items[2]).to.include({ itemType: 'action-item', assignee: 'bob', status: 'To Do' });
+      expect(result.summary).to.include({ issues: 2, actionItems: 1, children: 1, dependencies: 1 });
+      expect(result.summary.newTags).to.deep.equal(['new']);
+    });
+
+    it('reports row errors and warnings without dropping rows', () => {
+      const result = plan([
+        { rowNumber: 1, title: '', dueDate: 'soon' },
+        { rowNumber: 2, title: 'Unknown things', status: 'Review', priority: 'P9', assignee: 'Charlotte Jones', parent: 'X-1' }
+      ]);
+      expect(result.errors.map(e => e.message)).to.deep.equal(['Title is required', 'Due date "soon" is not a valid date']);
+      expect(result.items[1].status).to.equal('In Progress');
+      expect(result.warnings.map(e => e.row)).to.deep.equal([2, 2, 2, 2]);
+    });
+
+    it('flags circular dependencies and parent loops', () => {
+      const result = plan([
+        { rowNumber: 1, externalId: 'a', title: 'A', dependsOn: 'b', parent: 'b' },
+        { rowNumber: 2, externalId: 'b', title: 'B', dependsOn: 'a', parent: 'a' }
+      ]);
+      const messages = result.errors.map(e => e.message);
+      expect(messages).to.include('Parent references form a loop');
+      expect(messages.some(m => m.startsWith('Circular dependency'))).to.be.true;
+    });
+
+    it('validates custom field values for the item type', () => {
+      const customFields = [{ key: 'points', name: 'Points', type: 'number', appliesTo: 'issue', required: false, options: [] }];
+      const result = plan([
+        { rowNumber: 1, title: 'A', customFields: { points: 'many' } },
+        { rowNumber: 2, type: 'action item', title: 'B', customFields: { points: '3' } }
+      ], { customFields });
+      expect(result.errors).to.deep.equal([{ row: 1, message: 'Points must be a number' }]);
+      expect(result.items[1].customFields).to.deep.equal({});
+    });
+  });
+
+  describe('findDependencyCycle', () => {
+    it('returns the closed cycle or null', () => {
+      expect(findDependencyCycle([[1], [2], [0]])).to.deep.equal([0, 1, 2, 0]);
+      expect(findDependencyCycle([[1], [], [0, 1]])).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const {
+  tokenizeQuery,
+  parseQuery,
+  parseDateValue,
+  compileItemQuery,
+  suggestCompletions
+} = require('../services/item-query-service');
+
+const compile = (query, itemType = 'issue') => {
+  const params = [7];
+  const conditions = compileItemQuery(query, { alias: 'i', itemType, params, username: 'alice' });
+  return { conditions, params };
+};
+
+describe('Item Query Service - query language', () => {
+  describe('tokenizeQuery', () => {
+    it('splits fields, operators, quoted values and comma lists', () => {
+      const { terms, errors } = tokenizeQuery('priority>=high -tag:backend,"needs review" "exact phrase" cutover');
+      expect(errors).to.be.empty;
+      expect(terms.map(t => [t.field, t.operator, t.values, t.negated])).to.deep.equal([
+        ['priority', '>=', ['high'], false],
+        ['tag', ':', ['backend', 'needs review'], true],
+        [null, null, ['exact phrase'], false],
+        [null, null, ['cutover'], false]
+      ]);
+    });
+
+    it('reports an unterminated quote', () => {
+      const { errors } = tokenizeQuery('text:"cutover');
+      expect(errors).to.deep.equal([{ message: 'Missing closing quote', start: 5, end: 13 }]);
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('parses the full example query', () => {
+      const { terms, errors } = parseQuery('status:open assignee:me priority>=high due<7d tag:backend parent:EPIC-12 -tag:blocked text:"cutover"');
+      expect(errors).to.be.empty;
+      expect(terms.map(t => t.field)).to.deep.equal(['status', 'assignee', 'priority', 'due', 'tag', 'parent', 'tag', 'text']);
+      expect(terms[5].values).to.deep.equal([{ id: 12 }]);
+      expect(terms[6].negated).to.be.true;
+    });
+
+    it('treats != as a negated match and resolves aliases', () => {
+      const { terms } = parseQuery('status!=done label:ux search:migration');
+      expect(terms[0]).to.include({ field: 'status', operator: ':', negated: true });
+      expect(terms[1].field).to.equal('tag');
+      expect(terms[2].field).to.equal('text');
+    });
+
+    it('explains malformed queries with positions, in order', () => {
+      const { errors } = parseQuery('owner: foo:bar priority>urgentish tag>x due<later OR');
+      expect(errors.map(e => e.message)).to.deep.equal([
+        'Missing value after "owner:"',
+        'Unknown field "foo". Try status, assignee, priority, type, due, created, updated, tag, parent, sprint, category, text, id or cf.<field key>',
+        'Unknown priority "urgentish". Use low, medium, high, critical',
+        'tag cannot be compared with >. Use tag:value',
+        '"later" is not a date. Use 2026-11-30, today, 7d, -2w or none',
+        'OR is not supported. List alternatives with commas, e.g. status:todo,active'
+      ]);
+      expect(errors[1]).to.include({ start: 7, end: 14 });
+    });
+
+    it('rejects lists with comparison operators', () => {
+      const { errors } = parseQuery('priority>low,high');
+      expect(errors[0].message).to.equal('Only one value can be compared with >');
+    });
+  });
+
+  describe('parseDateValue', () => {
+    it('reads absolute, relative and named dates', () => {
+      expect(parseDateValue('2026-11-30')).to.deep.equal({ date: '2026-11-30' });
+      expect(parseDateValue('7d')).to.deep.equal({ days: 7 });
+      expect(parseDateValue('-2w')).to.deep.equal({ days: -14 });
+      expect(parseDateValue('3m')).to.deep.equal({ months: 3 });
+      expect(parseDateValue('today')).to.deep.equal({ days: 0 });
+      expect(parseDateValue('none')).to.deep.equal({ none: true });
+      expect(parseDateValue('2026-02-30')).to.be.null;
+    });
+  });
+
+  describe('compileItemQuery', () => {
+    it('compiles to parameterized conditions continuing the existing params', () => {
+      const { conditions, params } = compile('assignee:me priority>=high due<7d');
+      expect(conditions).to.deep.equal([
+        'LOWER(i.assignee) = LOWER($2)',
+        'LOWER(i.priority) = ANY($3::text[])',
+        'i.due_date::date < (CURRENT_DATE + $4::int)'
+      ]);
+      expect(params).to.deep.equal([7, 'alice', ['high', 'critical'], 7]);
+    });
+
+    it('never puts values into the SQL text', () => {
+      const { conditions, params } = compile(`text:"'; DROP TABLE issues; --" status:"Won't fix"`);
+      expect(conditions.join(' ')).to.not.include('DROP');
+      expect(conditions.join(' ')).to.not.include('Won');
+      expect(params).to.include("%'; DROP TABLE issues; --%");
+    });
+
+    it('escapes LIKE wildcards in text searches', () => {
+      expect(compile('100%').params[1]).to.equal('%100\\%%');
+    });
+
+    it('keeps rows with empty values when a term is negated', () => {
+      const { conditions } = compile('-assignee:bob');
+      expect(conditions[0]).to.equal('NOT COALESCE(LOWER(i.assignee) = LOWER($2), FALSE)');
+    });
+
+    it('matches status categories and names', () => {
+      const { conditions, params } = compile('status:open,Review');
+      expect(conditions[0]).to.equal("(status_category(i.project_id, i.status) <> 'done' OR LOWER(i.status) = LOWER($2))");
+      expect(params.slice(1)).to.deep.equal(['Review']);
+    });
+
+    it('adapts issue-only fields to action items', () => {
+      expect(compile('type:issue', 'action-item').conditions).to.deep.equal(['FALSE']);
+      expect(compile('parent:none', 'action-item').conditions).to.deep.equal(['TRUE']);
+      expect(compile('parent:#12').conditions).to.deep.equal(['i.parent_issue_id = $2']);
+    });
+
+    it('throws an Invalid query error carrying every problem', () => {
+      try {
+        compile('due>none bogus:1');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid query: due>none does not make sense. Use due:none');
+        expect(error.validationErrors).to.have.length(2);
+      }
+    });
+  });
+
+  describe('suggestCompletions', () => {
+    const vocabulary = {
+      statuses: ['To Do', 'In Review'],
+      assignees: ['alice', 'bob'],
+      tags: ['backend', 'Big Bang'],
+      customFields: [{ key: 'severity', name: 'Severity', options: ['S1', 'S2'] }]
+    };
+
+    it('suggests field names for a partial word', () => {
+      const completion = suggestCompletions('status:open as', 14, vocabulary);
+      expect(completion).to.include({ from: 12, to: 14 });
+      expect(completion.suggestions[0]).to.include({ text: 'assignee:', label: 'assignee' });
+    });
+
+    it('suggests values for the field under the cursor and quotes names with spaces', () => {
+      const completion = suggestCompletions('-tag:b', 6, vocabulary);
+      expect(completion).to.include({ from: 5, to: 6 });
+      expect(completion.suggestions.map(s => s.text)).to.deep.equal(['backend ', '"Big Bang" ']);
+    });
+
+    it('completes the last value of a comma list and custom field options', () => {
+      expect(suggestCompletions('status:todo,In', 14, vocabulary).suggestions[0].text).to.equal('"In Review" ');
+      expect(suggestCompletions('cf.severity:', 12, vocabulary).suggestions.map(s => s.label)).to.deep.equal(['S1', 'S2', 'none']);
+      expect(suggestCompletions('cf', 2, vocabulary).suggestions.map(s => s.label)).to.include('cf.severity');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const {
+  itemKey,
+  parseItemKey,
+  findDependencyCycles,
+  assessEdgeImpact,
+  summarizePortfolio
+} = require('../services/portfolio-dependency-service');
+
+const edge = (dependent, prerequisite) => ({
+  dependent_item_type: dependent[0], dependent_item_id: dependent[1],
+  prerequisite_item_type: prerequisite[0], prerequisite_item_id: prerequisite[1]
+});
+
+const side = (type, id, projectId, statusCategory = 'active', dueDate = null) => ({
+  type, id, projectId, title: `${type} ${id}`, status: statusCategory, statusCategory, dueDate
+});
+
+describe('Portfolio Dependency Service - cycles and schedule impact', () => {
+  it('round-trips item keys', () => {
+    expect(itemKey('action-item', '7')).to.equal('action-item:7');
+    expect(parseItemKey('issue:12')).to.deep.equal({ type: 'issue', id: 12 });
+  });
+
+  it('finds a cycle that runs through another project', () => {
+    const existing = [
+      edge(['issue', 2], ['action-item', 9]), // project B item waits on project A item
+      edge(['action-item', 9], ['issue', 5])
+    ];
+    const titles = new Map([['issue:2', 'API [B]'], ['action-item:9', 'Schema [A]'], ['issue:5', 'Login [A]']]);
+
+    expect(findDependencyCycles(existing, [], titles)).to.deep.equal([]);
+    const cycles = findDependencyCycles(existing, [edge(['issue', 5], ['issue', 2])], titles);
+    expect(cycles).to.have.length(1);
+    expect(cycles[0]).to.include('API [B]').and.include('Schema [A]').and.include('Login [A]');
+  });
+
+  it('keeps issues and action items with the same id apart', () => {
+    const cycles = findDependencyCycles([edge(['issue', 1], ['action-item', 1])], []);
+    expect(cycles).to.deep.equal([]);
+  });
+
+  it('measures slip against the dependent start and flags critical-path edges', () => {
+    const tasks = new Map([
+      ['issue:1', { scheduled_start: '2026-11-02', scheduled_end: '2026-11-06', is_critical_path: true }],
+      ['issue:2', { scheduled_start: '2026-10-20', scheduled_end: '2026-11-04', is_critical_path: false }],
+      ['issue:3', { scheduled_start: '2026-11-10', scheduled_end: '2026-11-12', is_critical_path: false }]
+    ]);
+    const [late, done, early] = assessEdgeImpact([
+      { dependent: side('issue', 1, 1), prerequisite: side('issue', 2, 2) },
+      { dependent: side('issue', 1, 1), prerequisite: side('action-item', 4, 2, 'done', '2026-12-01') },
+      { dependent: side('issue', 3, 1), prerequisite: side('action-item', 5, 2, 'todo', '2026-11-05') }
+    ], tasks);
+
+    expect(late).to.include({ blocking: true, prerequisiteFinish: '2026-11-04', slipDays: 3, onCriticalPath: true });
+    expect(done).to.include({ blocking: false, prerequisiteFinish: null, slipDays: 0 });
+    expect(early).to.include({ blocking: true, prerequisiteFinish: '2026-11-05', slipDays: 0, onCriticalPath: false });
+  });
+
+  it('rolls impact up per project and per project pair', () => {
+    const edges = [
+      { dependent: side('issue', 1, 1), prerequisite: side('issue', 2, 2), blocking: true, slipDays: 3, onCriticalPath: true },
+      { dependent: side('issue', 3, 1), prerequisite: side('issue', 4, 2), blocking: true, slipDays: 9, onCriticalPath: false },
+      { dependent: side('issue', 5, 2), prerequisite: side('issue', 6, 1), blocking: false, slipDays: 0, onCriticalPath: false }
+    ];
+    const schedules = new Map([[1, { id: 10, name: 'Plan', version: 2, end_date: '2026-12-30' }]]);
+    const { projects, links } = summarizePortfolio([{ id: 1, name: 'A' }, { id: 2, name: 'B' }], edges, schedules);
+
+    expect(projects[0]).to.include({ blockedBy: 2, blocking: 0, criticalPathImpactDays: 3 });
+    expect(projects[0].schedule).to.include({ endDate: '2026-12-30', projectedEndDate: '2027-01-02' });
+    expect(projects[1]).to.include({ blockedBy: 0, blocking: 2, schedule: null });
+    expect(links).to.deep.equal([
+      { fromProjectId: 2, toProjectId: 1, count: 2, blocking: 2, criticalPathImpactDays: 3 },
+      { fromProjectId: 1, toProjectId: 2, count: 1, blocking: 0, criticalPathImpactDays: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const {
+  computeBudgetBurn,
+  computeScheduleVariance,
+  computeHealth,
+  buildProjectMetrics,
+  groupProjects
+} = require('../services/portfolio-health-service');
+
+const TODAY = new Date(2026, 9, 19);
+
+const project = (id, overrides = {}) => ({
+  id, name: `Project ${id}`, tags: [], owner_id: null, owner_name: null,
+  start_date: null, end_date: null, budget_amount: null, budget_hourly_rate: null,
+  ...overrides
+});
+
+describe('Portfolio Health Service - metrics and RAG status', () => {
+  it('compares budget burn with elapsed timeline', () => {
+    const burn = computeBudgetBurn(
+      project(1, { budget_amount: '10000.00', budget_hourly_rate: '100.00', start_date: '2026-10-01', end_date: '2026-10-31' }),
+      '60', TODAY
+    );
+    expect(burn).to.include({ spent: 6000, burnPercent: 60, elapsedPercent: 60, currency: 'USD' });
+
+    expect(computeBudgetBurn(project(2), '12', TODAY)).to.include({ spent: null, burnPercent: null, elapsedPercent: null });
+  });
+
+  it('measures schedule variance in days after the planned end', () => {
+    expect(computeScheduleVariance('2026-11-30', '2026-12-05')).to.equal(5);
+    expect(computeScheduleVariance('2026-11-30', '2026-11-20')).to.equal(-10);
+    expect(computeScheduleVariance(null, '2026-11-20')).to.equal(null);
+  });
+
+  it('is green when nothing crosses a threshold', () => {
+    const metrics = buildProjectMetrics(project(1), { total_items: '10', completed_items: '4' }, [], TODAY);
+    expect(metrics).to.include({ openItems: 6, completionRate: 40, overdue: 0 });
+    expect(metrics.health).to.deep.equal({ status: 'green', reasons: [] });
+  });
+
+  it('turns amber or red and lists the worst reason first', () => {
+    const amber = buildProjectMetrics(project(1), { total_items: '20', completed_items: '0', overdue_items: '2' }, [
+      { risk_level: 'High', count: '1' }
+    ], TODAY);
+    expect(amber.health.status).to.equal('amber');
+    expect(amber.health.reasons).to.have.length(2);
+
+    const red = buildProjectMetrics(
+      project(2, { end_date: '2026-11-01' }),
+      { total_items: '10', completed_items: '5', schedule_end: '2026-11-20' },
+      [{ risk_level: 'Medium', count: '3' }, { risk_level: null, count: '1' }],
+      TODAY
+    );
+    expect(red.risks).to.deep.equal({ open: 4, byLevel: { Critical: 0, High: 0, Medium: 3, Low: 0 } });
+    expect(red.schedule.varianceDays).to.equal(19);
+    expect(red.health.status).to.equal('red');
+    expect(red.health.reasons[0].message).to.include('19 days after');
+  });
+
+  it('flags a project that is over budget as red', () => {
+    const health = computeHealth({
+      overdue: 0, openItems: 5, pendingProposals: 0,
+      risks: { open: 0, byLevel: { Critical: 0, High: 0, Medium: 0, Low: 0 } },
+      schedule: { varianceDays: null },
+      budget: { burnPercent: 105, elapsedPercent: null }
+    });
+    expect(health.status).to.equal('red');
+  });
+
+  it('groups by tag and owner with the worst status per group', () => {
+    const projects = [
+      buildProjectMetrics(project(1, { tags: ['ERP', 'Finance'], owner_id: 7, owner_name: 'sam' }), { total_items: '1' }, [], TODAY),
+      buildProjectMetrics(project(2, { tags: ['ERP'] }), {}, [{ risk_level: 'Critical', count: '2' }], TODAY),
+      buildProjectMetrics(project(3), {}, [], TODAY)
+    ];
+
+    const byTag = groupProjects(projects, 'tag');
+    expect(byTag.map(g => g.label)).to.deep.equal(['ERP', 'Finance', 'Untagged']);
+    expect(byTag[0]).to.deep.include({ health: 'red' });
+    expect(byTag[0].totals).to.include({ projects: 2, red: 1, green: 1, openRisks: 2 });
+
+    const byOwner = groupProjects(projects, 'owner');
+    expect(byOwner.map(g => [g.label, g.totals.projects])).to.deep.equal([['No owner', 2], ['sam', 1]]);
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+const {
+  BUNDLE_ENTITIES,
+  BUNDLE_VERSION,
+  validateBundle,
+  serializeBundle,
+  parseBundle,
+  summarizeBundle,
+  buildUserMap,
+  collectUserIds,
+  mapReference,
+  remapRow,
+  bundleFileName
+} = require('../services/project-bundle-service');
+
+const spec = table => BUNDLE_ENTITIES.find(entity => entity.table === table);
+
+describe('Project Bundle Service - bundle format', () => {
+  const bundle = {
+    format: 'project-bundle',
+    version: BUNDLE_VERSION,
+    project: { id: 4, name: 'Cutover' },
+    entities: { issues: [{ id: 1 }, { id: 2 }], tags: [], time_entries: [{ id: 9 }] }
+  };
+
+  it('accepts a current bundle and explains what is wrong with others', () => {
+    expect(validateBundle(bundle)).to.be.empty;
+    expect(validateBundle({ format: 'csv' })).to.deep.equal(['Not a project bundle']);
+    expect(validateBundle({ ...bundle, version: BUNDLE_VERSION + 1 })).to.deep.equal([
+      `Bundle version ${BUNDLE_VERSION + 1} is newer than this instance supports (${BUNDLE_VERSION})`
+    ]);
+    expect(validateBundle({ format: 'project-bundle', version: 1, entities: [] })).to.deep.equal([
+      'Bundle has no project',
+      'Bundle has no entities'
+    ]);
+  });
+
+  it('round-trips through gzip and reads plain JSON too', () => {
+    expect(parseBundle(serializeBundle(bundle))).to.deep.equal(bundle);
+    expect(parseBundle(Buffer.from(JSON.stringify(bundle)))).to.deep.equal(bundle);
+  });
+
+  it('rejects files that are not JSON', () => {
+    expect(() => parseBundle(Buffer.from('id,title\n1,Move DB'))).to.throw('Invalid bundle');
+  });
+
+  it('counts non-empty tables in insert order', () => {
+    expect(summarizeBundle(bundle)).to.deep.equal({ issues: 2, time_entries: 1 });
+  });
+
+  it('names the download after the project', () => {
+    expect(bundleFileName('ERP Cutover / Wave 2', new Date('2026-10-19T12:00:00Z')))
+      .to.equal('erp-cutover-wave-2-bundle-2026-10-19.json.gz');
+  });
+
+  it('lists every table a referenced table needs before it', () => {
+    const seen = new Set();
+    BUNDLE_ENTITIES.forEach(entity => {
+      (entity.refs || []).filter(ref => ref.required && ref.entity).forEach(ref => {
+        expect(seen.has(ref.entity), `${entity.table}.${ref.column}`).to.be.true;
+      });
+      (entity.refs || []).filter(ref => ref.types).forEach(ref => {
+        Object.values(ref.types).forEach(table => expect(seen.has(table), `${entity.table}.${ref.column}`).to.be.true);
+      });
+      seen.add(entity.table);
+    });
+  });
+});
+
+describe('Project Bundle Service - users', () => {
+  const targetUsers = [
+    { id: 31, username: 'asmith', email: 'alex.smith@example.com' },
+    { id: 32, username: 'jlee', email: 'jordan@example.com' }
+  ];
+
+  it('matches by email first, then username', () => {
+    const { userMap, matched, unmatched } = buildUserMap([
+      { id: 5, username: 'alex', email: 'Alex.Smith@example.com' },
+      { id: 6, username: 'jlee', email: 'jordan.lee@old.example.com' },
+      { id: 7, username: 'contractor', email: 'temp@agency.example.com' }
+    ], targetUsers);
+
+    expect(userMap.get('5')).to.equal(31);
+    expect(userMap.get('6')).to.equal(32);
+    expect(userMap.has('7')).to.be.false;
+    expect(matched.map(m => m.matchedBy)).to.deep.equal(['email', 'username']);
+    expect(unmatched).to.deep.equal([{ username: 'contractor', email: 'temp@agency.example.com' }]);
+  });
+
+  it('collects numeric user ids, including ids stored as text', () => {
+    expect(collectUserIds(spec('issues'), { created_by: '5', created_via_ai_by: null })).to.deep.equal([5]);
+    expect(collectUserIds(spec('checklists'), { created_by: 5, assigned_to: 6, approved_by: 7 })).to.have.members([5, 6, 7]);
+    expect(collectUserIds(spec('issues'), { created_by: 'Demo User' })).to.be.empty;
+  });
+});
+
+describe('Project Bundle Service - remapping rows', () => {
+  const baseContext = () => ({
+    projectId: 200,
+    imported: new Set(['sprints', 'meetings', 'decisions', 'issues', 'action_items', 'tags']),
+    idMaps: {
+      issues: new Map([['1', 101], ['2', 102]]),
+      action_items: new Map([['7', 107]]),
+      decisions: new Map([['3', 303]]),
+      sprints: new Map(),
+      meetings: new Map(),
+      tags: new Map([['11', 111]])
+    },
+    keyMaps: { decisions: new Map([['DEC-001', 'DEC-014']]) },
+    lookupMaps: { action_item_categories: new Map([['4', 40]]) },
+    userMap: new Map([['5', 31]]),
+    fallbackUserId: 99
+  });
+
+  it('points project rows at the new project and remaps users', () => {
+    const { row, deferred } = remapRow(spec('action_items'), {
+      id: 7, project_id: 4, title: 'Book cutover window', category_id: 4,
+      source_decision_id: 3, created_by: '8', created_via_ai_by: 8
+    }, baseContext());
+
+    expect(row).to.not.have.property('id');
+    expect(row).to.include({
+      project_id: 200, category_id: 40, source_decision_id: 303, created_by: '99', created_via_ai_by: null
+    });
+    expect(deferred).to.be.empty;
+  });
+
+  it('defers references to its own table until every row exists', () => {
+    const context = baseContext();
+    context.imported.delete('issues');
+    const { row, deferred } = remapRow(spec('issues'), { id: 2, parent_issue_id: 1, created_by: '5' }, context);
+
+    expect(row.parent_issue_id).to.be.null;
+    expect(row.created_by).to.equal('31');
+    expect(deferred).to.have.length(1);
+    expect(deferred[0].value).to.equal(1);
+
+    context.imported.add('issues');
+    expect(mapReference(deferred[0].ref, deferred[0].value, {}, context)).to.equal(101);
+  });
+
+  it('drops rows whose required reference left the project', () => {
+    const dependency = spec('issue_dependencies');
+    const context = baseContext();
+
+    expect(remapRow(dependency, {
+      id: 1, issue_id: 2, prerequisite_item_type: 'action-item', prerequisite_item_id: 7
+    }, context).row).to.include({ issue_id: 102, prerequisite_item_id: 107 });
+    expect(remapRow(dependency, {
+      id: 2, issue_id: 2, prerequisite_item_type: 'issue', prerequisite_item_id: 500
+    }, context)).to.be.null;
+  });
+
+  it('clears both halves of an optional polymorphic reference', () => {
+    const context = baseContext();
+    ['risks', 'pkg_nodes'].forEach(table => context.imported.add(table));
+    context.idMaps.risks = new Map();
+    context.idMaps.pkg_nodes = new Map();
+
+    const { row } = remapRow(spec('pkg_nodes'), { id: 'a1', source_table: 'risks', source_id: 8, type: 'Risk' }, context);
+    expect(row).to.include({ source_table: null, source_id: null, type: 'Risk' });
+  });
+
+  it('remaps id lists, keyed lists and schedule dependency keys', () => {
+    const context = baseContext();
+    expect(mapReference({ column: 'key_decisions', entity: 'decisions', list: true }, [3, '3', 'DEC-001', 99], {}, context))
+      .to.deep.equal([303, 303, 'DEC-014']);
+    expect(mapReference({ column: 'dependencies', itemKeys: true }, ['issue:1', 'action-item:7', 'issue:404'], {}, context))
+      .to.deep.equal(['issue:101', 'action-item:107']);
+  });
+
+  it('clears columns that point outside the bundle', () => {
+    const { row } = remapRow(spec('issue_relationships'), {
+      id: 1, source_type: 'issue', source_id: 1, target_type: 'issue', target_id: 2,
+      relationship_type: 'blocks', transcript_id: 12, created_by: 5
+    }, baseContext());
+    expect(row).to.include({ source_id: 101, target_id: 102, transcript_id: null, created_by: 31 });
+  });
+});
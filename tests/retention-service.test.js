@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const {
+  RETENTION_KINDS,
+  RETENTION_SOURCES,
+  parseRetentionDays,
+  validateRetentionPolicy,
+  formatPolicy,
+  getPurgeDate,
+  dueKinds,
+  localFilePath,
+  purgeableRows,
+  countCandidates,
+  exportFileName
+} = require('../services/retention-service');
+
+describe('Retention Service - policies', () => {
+  it('treats empty periods as keep forever', () => {
+    expect(parseRetentionDays('')).to.be.null;
+    expect(parseRetentionDays(null)).to.be.null;
+    expect(parseRetentionDays(' 90 ')).to.equal(90);
+    expect(parseRetentionDays('1.5')).to.be.NaN;
+  });
+
+  it('accepts whole days up to ten years', () => {
+    expect(validateRetentionPolicy({ transcriptDays: 30, audioDays: '', attachmentDays: '365' })).to.be.empty;
+    expect(validateRetentionPolicy({ transcriptDays: 0, audioDays: 'soon', attachmentDays: 4000 })).to.deep.equal([
+      'Transcript retention must be a whole number of days between 1 and 3650',
+      'Audio retention must be a whole number of days between 1 and 3650',
+      'Attachment retention must be a whole number of days between 1 and 3650'
+    ]);
+  });
+
+  it('keeps everything and exports when there is no policy row', () => {
+    expect(formatPolicy(null)).to.deep.equal({
+      exportBeforePurge: true, transcriptDays: null, audioDays: null, attachmentDays: null
+    });
+    expect(formatPolicy({ transcript_days: 30, audio_days: null, attachment_days: 90, export_before_purge: false }))
+      .to.deep.equal({ exportBeforePurge: false, transcriptDays: 30, audioDays: null, attachmentDays: 90 });
+  });
+});
+
+describe('Retention Service - due dates', () => {
+  const archivedAt = new Date(2026, 8, 1);
+  const policy = { transcriptDays: 30, audioDays: 7, attachmentDays: null };
+
+  it('counts days from when the project was archived', () => {
+    expect(getPurgeDate(archivedAt, 30)).to.deep.equal(new Date(2026, 9, 1));
+    expect(getPurgeDate(archivedAt, null)).to.be.null;
+    expect(getPurgeDate(null, 30)).to.be.null;
+  });
+
+  it('lists only kinds whose period has passed', () => {
+    expect(dueKinds(policy, archivedAt, new Date(2026, 8, 5))).to.be.empty;
+    expect(dueKinds(policy, archivedAt, new Date(2026, 8, 8))).to.deep.equal(['audio']);
+    expect(dueKinds(policy, archivedAt, new Date(2026, 9, 19))).to.deep.equal(['transcripts', 'audio']);
+    expect(dueKinds(policy, null, new Date(2026, 9, 19))).to.be.empty;
+  });
+
+  it('has sources for every kind', () => {
+    RETENTION_KINDS.forEach(kind => {
+      expect(RETENTION_SOURCES.some(source => source.kind === kind), kind).to.be.true;
+    });
+  });
+});
+
+describe('Retention Service - files', () => {
+  it('maps stored locations to files under uploads/', () => {
+    expect(localFilePath('uploads/attachments/1700-42.pdf')).to.equal('uploads/attachments/1700-42.pdf');
+    expect(localFilePath('/uploads/audio/4/audio_1700_5.webm')).to.equal('uploads/audio/4/audio_1700_5.webm');
+    expect(localFilePath('https://recordings.example.com/zoom/123.mp4')).to.be.null;
+    expect(localFilePath('s3://bucket/audio.webm')).to.be.null;
+    expect(localFilePath('uploads/../server.js')).to.be.null;
+    expect(localFilePath(null)).to.be.null;
+  });
+
+  it('leaves rows whose file is stored elsewhere', () => {
+    const recordings = RETENTION_SOURCES.find(source => source.name === 'meeting_recordings');
+    const rows = [
+      { id: 1, location: 'uploads/recordings/1.webm' },
+      { id: 2, location: 'https://zoom.example.com/rec/2' },
+      { id: 3, location: null }
+    ];
+    expect(purgeableRows(recordings, rows).map(row => row.id)).to.deep.equal([1, 3]);
+  });
+
+  it('counts non-empty sources and names exports after the project', () => {
+    expect(countCandidates({ meetings: [{}, {}], attachments: [], voice_recordings: [{}] }))
+      .to.deep.equal({ meetings: 2, voice_recordings: 1 });
+    expect(exportFileName('ERP Cutover / Wave 2', new Date('2026-10-19T03:00:00.000Z')))
+      .to.equal('erp-cutover-wave-2-retention-2026-10-19T03-00-00-000Z.json.gz');
+  });
+});
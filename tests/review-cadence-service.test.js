@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const {
+  addDays,
+  nextReviewDate,
+  daysOverdue,
+  needsReminder,
+  toReviewItem,
+  describeReviewItem,
+  validateCadence
+} = require('../services/review-cadence-service');
+
+const row = (extra = {}) => ({
+  item_type: 'risk',
+  id: 4,
+  item_key: 'RISK-004',
+  title: 'Key supplier exits market',
+  status: 'monitoring',
+  project_id: 2,
+  project_name: 'ERP Rollout',
+  owner_id: 7,
+  review_date: new Date('2026-10-15T00:00:00Z'),
+  review_reminded_at: null,
+  cadence_days: 30,
+  ...extra
+});
+
+describe('Review Cadence Service - dates', () => {
+  it('adds days across month and year ends', () => {
+    expect(addDays('2026-10-19', 30)).to.equal('2026-11-18');
+    expect(addDays('2026-12-20', 14)).to.equal('2027-01-03');
+  });
+
+  it('rolls the next review a cadence from today, not from the missed date', () => {
+    expect(nextReviewDate('2026-10-19', 90)).to.equal('2027-01-17');
+  });
+
+  it('counts days overdue', () => {
+    expect(daysOverdue('2026-10-15', '2026-10-19')).to.equal(4);
+    expect(daysOverdue('2026-10-19', '2026-10-19')).to.equal(0);
+  });
+});
+
+describe('Review Cadence Service - reminders', () => {
+  it('reminds once per review date', () => {
+    const today = '2026-10-19';
+    const due = toReviewItem(row(), today);
+
+    expect(needsReminder(due, today)).to.be.true;
+    expect(needsReminder({ ...due, remindedAt: new Date('2026-10-16T12:00:00Z') }, today)).to.be.false;
+    expect(needsReminder({ ...due, remindedAt: new Date('2026-09-15T12:00:00Z') }, today)).to.be.true;
+    expect(needsReminder({ ...due, reviewDate: '2026-10-20' }, today)).to.be.false;
+  });
+
+  it('shapes queue items and describes them for reminders', () => {
+    const item = toReviewItem(row({ item_type: 'decision', item_key: 'DEC-012', title: 'Adopt event sourcing' }), '2026-10-19');
+
+    expect(item).to.include({ itemType: 'decision', key: 'DEC-012', reviewDate: '2026-10-15', daysOverdue: 4, cadenceDays: 30, ownerId: 7 });
+    expect(describeReviewItem(item)).to.equal('Decision DEC-012 Adopt event sourcing (ERP Rollout, 4 days overdue)');
+    expect(describeReviewItem({ ...item, daysOverdue: 0 })).to.contain('due today');
+  });
+});
+
+describe('Review Cadence Service - cadence settings', () => {
+  it('accepts whole days within a year', () => {
+    expect(validateCadence({ riskDays: '14', decisionDays: 180 })).to.deep.equal({ riskDays: 14, decisionDays: 180 });
+    expect(validateCadence({ decisionDays: 365 })).to.deep.equal({ decisionDays: 365 });
+  });
+
+  it('rejects empty, fractional and out-of-range cadences', () => {
+    expect(() => validateCadence({})).to.throw().with.property('validationErrors');
+    expect(() => validateCadence({ riskDays: 7.5 })).to.throw();
+    expect(() => validateCadence({ riskDays: 0 })).to.throw();
+    expect(() => validateCadence({ decisionDays: 400 })).to.throw();
+  });
+});
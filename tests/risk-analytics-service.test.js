@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const {
+  riskLevelForScore,
+  ratingChanged,
+  buildHeatMap,
+  buildScoreHistory,
+  trendDates,
+  parseTrendRange,
+  buildExposureTrend
+} = require('../services/risk-analytics-service');
+
+const risk = (id, probability, impact, extra = {}) => ({
+  id,
+  risk_id: `RISK-00${id}`,
+  title: `Risk ${id}`,
+  status: 'identified',
+  probability,
+  impact,
+  residual_probability: null,
+  residual_impact: null,
+  created_at: '2026-09-01T10:00:00Z',
+  ...extra
+});
+
+describe('Risk Analytics Service - heat map', () => {
+  it('places risks in a 5x5 grid from probability 5 down', () => {
+    const heatMap = buildHeatMap([risk(1, 4, 5), risk(2, 4, 5), risk(3, 1, 2)], 'inherent');
+
+    expect(heatMap.cells).to.have.length(25);
+    expect(heatMap.cells[0]).to.include({ probability: 5, impact: 1 });
+    expect(heatMap.cells[24]).to.include({ probability: 1, impact: 5 });
+
+    const hot = heatMap.cells.find(c => c.probability === 4 && c.impact === 5);
+    expect(hot).to.include({ count: 2, score: 20, level: 'High' });
+    expect(hot.risks.map(r => r.riskId)).to.deep.equal(['RISK-001', 'RISK-002']);
+    expect(heatMap.maxCount).to.equal(2);
+  });
+
+  it('counts risks without a residual rating separately', () => {
+    const heatMap = buildHeatMap([
+      risk(1, 4, 5, { residual_probability: 2, residual_impact: 3 }),
+      risk(2, 3, 3)
+    ], 'residual');
+
+    expect(heatMap.cells.find(c => c.probability === 2 && c.impact === 3).count).to.equal(1);
+    expect(heatMap).to.include({ rated: 1, unrated: 1 });
+  });
+
+  it('uses the register level bands', () => {
+    expect([1, 6, 8, 12, 15, 20, 25].map(riskLevelForScore))
+      .to.deep.equal(['Low', 'Low', 'Medium', 'Medium', 'High', 'High', 'Critical']);
+  });
+});
+
+describe('Risk Analytics Service - score history', () => {
+  it('orders assessments and falls back to the inherent score for residual', () => {
+    const points = buildScoreHistory([
+      { id: 2, probability: 4, impact: 4, residual_probability: 2, residual_impact: 2, assessed_at: '2026-09-10T09:00:00Z' },
+      { id: 1, probability: 3, impact: 3, assessed_at: '2026-09-01T09:00:00Z' }
+    ]);
+
+    expect(points.map(p => p.id)).to.deep.equal([1, 2]);
+    expect(points[0]).to.include({ score: 9, residualScore: 9, residualRated: false });
+    expect(points[1]).to.include({ score: 16, level: 'High', residualScore: 4, residualLevel: 'Low', residualRated: true });
+  });
+
+  it('only re-assesses when a rating changes', () => {
+    const before = risk(1, 3, 3);
+    expect(ratingChanged(before, { ...before, title: 'Renamed' })).to.be.false;
+    expect(ratingChanged(before, { ...before, impact: 4 })).to.be.true;
+    expect(ratingChanged(before, { ...before, residual_probability: 2, residual_impact: 2 })).to.be.true;
+  });
+});
+
+describe('Risk Analytics Service - exposure trend', () => {
+  it('steps through the range and always ends on the last day', () => {
+    expect(trendDates('2026-10-01', '2026-10-19', 'week')).to.deep.equal(['2026-10-01', '2026-10-08', '2026-10-15', '2026-10-19']);
+    expect(trendDates('2026-10-19', '2026-10-19', 'day')).to.deep.equal(['2026-10-19']);
+    expect(trendDates('2026-01-31', '2026-04-01', 'month')).to.deep.equal(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-01']);
+  });
+
+  it('defaults to the last 90 days weekly and rejects bad ranges', () => {
+    expect(parseTrendRange({}, new Date('2026-10-19T12:00:00Z')))
+      .to.deep.equal({ from: '2026-07-21', to: '2026-10-19', interval: 'week' });
+
+    expect(() => parseTrendRange({ from: '2026-10-19', to: '2026-10-01' })).to.throw().with.property('validationErrors');
+    expect(() => parseTrendRange({ from: '2020-01-01', to: '2026-10-19', interval: 'day' })).to.throw();
+    expect(() => parseTrendRange({ interval: 'hour' })).to.throw();
+  });
+
+  it('sums open risks at their latest assessment on each date', () => {
+    const risks = [
+      risk(1, 4, 5, { residual_probability: 2, residual_impact: 3 }),
+      risk(2, 2, 2, { created_at: '2026-09-05T10:00:00Z', status: 'closed', closed_at: '2026-09-08T10:00:00Z' })
+    ];
+    const assessments = [
+      { id: 1, risk_id: 1, probability: 3, impact: 3, assessed_at: '2026-09-01T10:00:00Z' },
+      { id: 2, risk_id: 1, probability: 4, impact: 5, residual_probability: 2, residual_impact: 3, assessed_at: '2026-09-06T10:00:00Z' },
+      { id: 3, risk_id: 2, probability: 2, impact: 2, assessed_at: '2026-09-05T10:00:00Z' }
+    ];
+
+    const trend = buildExposureTrend({ risks, assessments, from: '2026-08-31', to: '2026-09-08', interval: 'day' });
+    const byDate = Object.fromEntries(trend.points.map(p => [p.date, p]));
+
+    expect(byDate['2026-08-31']).to.include({ inherent: 0, residual: 0, openRisks: 0 });
+    expect(byDate['2026-09-01']).to.include({ inherent: 9, residual: 9, openRisks: 1 });
+    expect(byDate['2026-09-05']).to.include({ inherent: 13, residual: 13, openRisks: 2 });
+    expect(byDate['2026-09-07']).to.include({ inherent: 24, residual: 10, openRisks: 2 });
+    expect(byDate['2026-09-08']).to.include({ inherent: 20, residual: 6, openRisks: 1 });
+  });
+});
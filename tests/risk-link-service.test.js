@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const {
+  validateLink,
+  pkgNodeAttrs,
+  toLink,
+  planLinkEscalation,
+  escalatedProbability,
+  describeEscalation
+} = require('../services/risk-link-service');
+
+const MILESTONE_ID = '3f2b8c1e-9a4d-4c6e-8b1a-2d7e5f0a9c11';
+
+const link = (extra = {}) => ({
+  id: 'e1',
+  type: 'threatens',
+  targetType: 'issue',
+  targetId: 7,
+  title: 'Payment gateway cutover',
+  dueDate: '2026-10-15',
+  open: true,
+  escalatedAt: null,
+  ...extra
+});
+
+describe('Risk Link Service - validation', () => {
+  it('accepts typed links and parses item ids', () => {
+    expect(validateLink({ type: 'threatens', targetType: 'issue', targetId: '12' }))
+      .to.deep.equal({ type: 'threatens', targetType: 'issue', targetId: 12 });
+    expect(validateLink({ type: 'threatens', targetType: 'milestone', targetId: MILESTONE_ID }).targetId)
+      .to.equal(MILESTONE_ID);
+  });
+
+  it('rejects unknown types, disallowed targets and bad ids', () => {
+    expect(() => validateLink({ type: 'blocks', targetType: 'issue', targetId: 1 }))
+      .to.throw().with.property('validationErrors');
+    expect(() => validateLink({ type: 'mitigated_by', targetType: 'milestone', targetId: MILESTONE_ID })).to.throw();
+    expect(() => validateLink({ type: 'threatens', targetType: 'milestone', targetId: '42' })).to.throw();
+    expect(() => validateLink({ type: 'threatens', targetType: 'action-item', targetId: 'abc' })).to.throw();
+  });
+});
+
+describe('Risk Link Service - shaping', () => {
+  it('builds node attrs for risks and work items', () => {
+    expect(pkgNodeAttrs('risks', { risk_id: 'RISK-001', title: 'Vendor slip', probability: 3, impact: 4, status: 'identified' }))
+      .to.include({ risk_id: 'RISK-001', probability: 3, impact: 4 });
+    expect(pkgNodeAttrs('issues', { title: 'Cutover', status: 'To Do', assignee: 'Sam', due_date: '2026-11-01' }))
+      .to.include({ title: 'Cutover', assignee: 'Sam' });
+  });
+
+  it('shapes issue links from the joined row', () => {
+    const shaped = toLink({
+      id: 'e1', type: 'mitigated_by', attrs: { escalated_at: '2026-10-18T08:00:00Z', escalation_reason: 'slipped' },
+      source_table: 'action_items', source_id: 5, node_attrs: {},
+      action_title: 'Second supplier', action_status: 'In Progress', action_assignee: 'Ana',
+      action_due_date: new Date('2026-11-02T00:00:00Z'), item_open: true
+    });
+
+    expect(shaped).to.include({
+      type: 'mitigated_by', targetType: 'action-item', targetId: 5, title: 'Second supplier',
+      dueDate: '2026-11-02', open: true, escalationReason: 'slipped'
+    });
+  });
+
+  it('shapes milestone links from the node attrs', () => {
+    const shaped = toLink({
+      id: 'e2', type: 'threatens', attrs: {}, node_id: MILESTONE_ID, source_table: null,
+      node_attrs: { title: 'Go-live', due_date: '2026-12-01', status: 'Completed' }
+    });
+
+    expect(shaped).to.include({ targetType: 'milestone', targetId: MILESTONE_ID, title: 'Go-live', dueDate: '2026-12-01', open: false });
+    expect(shaped.escalatedAt).to.be.null;
+  });
+});
+
+describe('Risk Link Service - escalation', () => {
+  const risk = { status: 'identified', target_resolution_date: '2026-10-31' };
+
+  it('escalates overdue threatened items', () => {
+    expect(planLinkEscalation(link(), risk, '2026-10-19')).to.equal('overdue');
+    expect(planLinkEscalation(link({ dueDate: '2026-10-19' }), risk, '2026-10-19')).to.be.null;
+    expect(planLinkEscalation(link({ dueDate: null }), risk, '2026-10-19')).to.be.null;
+  });
+
+  it('escalates mitigation that slips past the target resolution date', () => {
+    const mitigation = (extra) => link({ type: 'mitigated_by', targetType: 'action-item', ...extra });
+
+    expect(planLinkEscalation(mitigation({ dueDate: '2026-11-15' }), risk, '2026-10-19')).to.equal('slipped');
+    expect(planLinkEscalation(mitigation({ dueDate: '2026-10-25' }), risk, '2026-10-19')).to.be.null;
+    expect(planLinkEscalation(mitigation({ dueDate: '2026-10-25' }), risk, '2026-11-01')).to.equal('slipped');
+    expect(planLinkEscalation(mitigation({ dueDate: '2026-11-15' }), { status: 'identified' }, '2026-10-19')).to.be.null;
+  });
+
+  it('never escalates twice, for done items or for closed risks', () => {
+    expect(planLinkEscalation(link({ escalatedAt: '2026-10-18T08:00:00Z' }), risk, '2026-10-19')).to.be.null;
+    expect(planLinkEscalation(link({ open: false }), risk, '2026-10-19')).to.be.null;
+    expect(planLinkEscalation(link(), { ...risk, status: 'closed' }, '2026-10-19')).to.be.null;
+  });
+
+  it('raises probability by one up to the top of the scale', () => {
+    expect([1, 4, 5].map(escalatedProbability)).to.deep.equal([2, 5, 5]);
+  });
+
+  it('explains why the risk escalated', () => {
+    expect(describeEscalation(link(), 'overdue', risk)).to.equal('Issue "Payment gateway cutover" is overdue (due 2026-10-15)');
+    expect(describeEscalation(link({ type: 'mitigated_by', targetType: 'action-item', dueDate: '2026-11-15' }), 'slipped', risk))
+      .to.contain('after the target resolution date 2026-10-31');
+  });
+});
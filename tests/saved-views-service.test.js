@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const {
+  normalizeViewDefinition,
+  resolveViewFilters,
+  canSeeView,
+  canManageView
+} = require('../services/saved-views-service');
+
+describe('Saved Views Service - definitions and permissions', () => {
+  describe('normalizeViewDefinition', () => {
+    it('keeps known filters and drops empty or unknown ones', () => {
+      const { definition, errors } = normalizeViewDefinition({
+        filters: { status: 'In Progress', priority: '', assignee: ' @me ', hasPlanning: 'true', hasCircularDependency: false, bogus: 'x' },
+        viewMode: 'table'
+      });
+      expect(errors).to.be.empty;
+      expect(definition.filters).to.deep.equal({ status: 'In Progress', assignee: '@me', hasPlanning: true });
+      expect(definition.viewMode).to.equal('table');
+      expect(definition.columns).to.be.null;
+    });
+
+    it('validates view mode, sort and columns', () => {
+      const { definition, errors } = normalizeViewDefinition({
+        viewMode: 'gantt',
+        sort: { table: { column: 'owner' }, kanban: { todo: 'priority', done: 'random' } },
+        columns: ['status', 'cf:story_points', 'budget']
+      });
+      expect(errors).to.deep.equal([
+        'View mode must be one of kanban, table',
+        'Table sort column must be one of type, title, assignee, priority, due_date, status',
+        'Unknown sort mode "random" for column done',
+        'Unknown column: budget'
+      ]);
+      expect(definition.sort.kanban).to.deep.equal({ todo: 'priority' });
+    });
+
+    it('always keeps the title column visible', () => {
+      const { definition } = normalizeViewDefinition({
+        sort: { table: { column: 'due_date', direction: 'sideways' } },
+        columns: ['status', 'status']
+      });
+      expect(definition.columns).to.deep.equal(['title', 'status']);
+      expect(definition.sort.table).to.deep.equal({ column: 'due_date', direction: 'asc' });
+    });
+  });
+
+  describe('resolveViewFilters', () => {
+    it('replaces @me with the user opening the view', () => {
+      const filters = { assignee: '@me', status: 'Done' };
+      expect(resolveViewFilters(filters, 'alice')).to.deep.equal({ assignee: 'alice', status: 'Done' });
+      expect(filters.assignee).to.equal('@me');
+      expect(resolveViewFilters({ assignee: 'bob' }, 'alice')).to.deep.equal({ assignee: 'bob' });
+    });
+  });
+
+  describe('permissions', () => {
+    const privateView = { ownerId: 1, visibility: 'private' };
+    const sharedView = { ownerId: 1, visibility: 'shared' };
+
+    it('shows private views to their owner only', () => {
+      expect(canSeeView(privateView, { id: 1 })).to.be.true;
+      expect(canSeeView(privateView, { id: 2 })).to.be.false;
+      expect(canSeeView(sharedView, { id: 2 })).to.be.true;
+    });
+
+    it('lets Project Managers manage shared views but not private ones', () => {
+      const manager = { id: 2, role: 'Project Manager' };
+      const member = { id: 3, role: 'Team Member' };
+      expect(canManageView(sharedView, manager)).to.be.true;
+      expect(canManageView(privateView, manager)).to.be.false;
+      expect(canManageView(sharedView, member)).to.be.false;
+      expect(canManageView(privateView, { id: 1, role: 'Team Member' })).to.be.true;
+    });
+  });
+});
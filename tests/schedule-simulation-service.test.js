@@ -0,0 +1,162 @@
+const { expect } = require('chai');
+const {
+  createRandom,
+  sampleTriangular,
+  percentile,
+  normalizeOptions,
+  buildTaskRanges,
+  buildRiskEvents,
+  orderTasks,
+  forwardPass,
+  runSimulation
+} = require('../services/schedule-simulation-service');
+
+const task = (key, estimatedHours, extra = {}) => ({
+  key,
+  title: key,
+  estimatedHours,
+  estimates: [],
+  dependencies: [],
+  ...extra
+});
+
+describe('Schedule Simulation Service - sampling', () => {
+  it('repeats a run from the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).to.deep.equal(first);
+    expect(first.every(v => v >= 0 && v < 1)).to.be.true;
+  });
+
+  it('keeps triangular samples inside the range', () => {
+    const random = createRandom(7);
+    const samples = Array.from({ length: 2000 }, () => sampleTriangular(random, 8, 10, 20));
+    expect(Math.min(...samples)).to.be.at.least(8);
+    expect(Math.max(...samples)).to.be.at.most(20);
+    expect(sampleTriangular(random, 5, 5, 5)).to.equal(5);
+  });
+
+  it('takes nearest-rank percentiles', () => {
+    const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect([50, 80, 95].map(p => percentile(sorted, p))).to.deep.equal([5, 8, 10]);
+    expect(percentile([], 50)).to.be.null;
+  });
+});
+
+describe('Schedule Simulation Service - inputs', () => {
+  it('defaults options and rejects bad ones', () => {
+    const options = normalizeOptions({ seed: 3 });
+    expect(options).to.include({ iterations: 2000, seed: 3, riskBasis: 'residual', optimisticPercent: 20, pessimisticPercent: 50 });
+
+    expect(() => normalizeOptions({ iterations: 10 })).to.throw().with.property('validationErrors');
+    expect(() => normalizeOptions({ riskBasis: 'worst' })).to.throw();
+    expect(() => normalizeOptions({ taskRanges: { 'issue:1': { optimistic: 10, pessimistic: 5 } } })).to.throw();
+  });
+
+  it('widens ranges to the spread of estimates and applies overrides', () => {
+    const [plain, spread, overridden] = buildTaskRanges([
+      task('issue:1', 10),
+      task('issue:2', 10, { estimates: [4, 10, 30] }),
+      task('action-item:3', 10)
+    ], { optimisticPercent: 20, pessimisticPercent: 50, taskRanges: { 'action-item:3': { optimistic: 9, pessimistic: 40 } } });
+
+    expect(plain).to.include({ optimistic: 8, mostLikely: 10, pessimistic: 15 });
+    expect(spread).to.include({ optimistic: 4, mostLikely: 10, pessimistic: 30 });
+    expect(overridden).to.include({ optimistic: 9, mostLikely: 10, pessimistic: 40 });
+  });
+
+  it('uses residual ratings only for mitigated risks', () => {
+    const risks = [
+      { id: 1, risk_id: 'RISK-001', title: 'Vendor slip', status: 'identified', probability: 4, impact: 4,
+        residual_probability: 2, residual_impact: 2, response_strategy: 'Mitigate', mitigation_effort_hours: '16' },
+      { id: 2, risk_id: 'RISK-002', title: 'Accepted', status: 'identified', probability: 3, impact: 3,
+        residual_probability: 1, residual_impact: 1, response_strategy: 'Accept' },
+      { id: 3, risk_id: 'RISK-003', title: 'Closed', status: 'closed', probability: 5, impact: 5 }
+    ];
+
+    const residual = buildRiskEvents(risks, 'residual');
+    expect(residual.map(e => e.id)).to.deep.equal([1, 2]);
+    expect(residual[0]).to.include({ chance: 0.3, impactShare: 0.05, mitigated: true, mitigationHours: 16 });
+    expect(residual[1]).to.include({ chance: 0.5, mitigated: false, mitigationHours: 0 });
+
+    const inherent = buildRiskEvents(risks, 'inherent');
+    expect(inherent[0]).to.include({ chance: 0.7, impactShare: 0.2, mitigated: false, mitigationHours: 0 });
+  });
+});
+
+describe('Schedule Simulation Service - forward pass', () => {
+  it('orders by dependency and rejects cycles', () => {
+    const order = orderTasks([
+      task('issue:2', 8, { dependencies: ['issue:1'] }),
+      task('issue:1', 8, { dependencies: ['issue:99'] })
+    ]);
+    expect(order.map(o => o.index)).to.deep.equal([1, 0]);
+
+    expect(() => orderTasks([
+      task('issue:1', 8, { dependencies: ['issue:2'] }),
+      task('issue:2', 8, { dependencies: ['issue:1'] })
+    ])).to.throw().with.property('validationErrors');
+  });
+
+  it('chains dependent tasks day after day', () => {
+    const tasks = [
+      task('issue:1', 16),
+      task('issue:2', 8, { dependencies: ['issue:1'] }),
+      task('issue:3', 4)
+    ];
+    // issue:1 days 0-1, issue:2 day 2, issue:3 day 0
+    expect(forwardPass(orderTasks(tasks), [16, 8, 4], 8)).to.equal(2);
+  });
+});
+
+describe('Schedule Simulation Service - run', () => {
+  const tasks = buildTaskRanges([
+    task('issue:1', 40),
+    task('issue:2', 40, { dependencies: ['issue:1'] }),
+    task('issue:3', 8)
+  ], { optimisticPercent: 20, pessimisticPercent: 50 });
+
+  const run = (extra = {}) => runSimulation({
+    tasks,
+    startDate: '2026-10-19',
+    hoursPerDay: 8,
+    hourlyRate: 100,
+    iterations: 1000,
+    random: createRandom(11),
+    ...extra
+  });
+
+  it('reports ordered percentiles that bracket the plan', () => {
+    const result = run();
+
+    expect(result.baseline).to.deep.equal({ finishDate: '2026-10-30', durationDays: 10, effortHours: 88, cost: 8800 });
+    expect(result.finish.p50 <= result.finish.p80 && result.finish.p80 <= result.finish.p95).to.be.true;
+    expect(result.durationDays.p95).to.be.at.most(15);
+    expect(result.cost.p50).to.be.closeTo(result.effortHours.p50 * 100, 1);
+    expect(result.distribution[result.distribution.length - 1].cumulativePercent).to.equal(100);
+  });
+
+  it('is repeatable from the same seed', () => {
+    expect(run()).to.deep.equal(run());
+  });
+
+  it('gives the chance of finishing by the target date', () => {
+    expect(run({ targetDate: '2026-12-31' }).onTimeProbability).to.equal(100);
+    expect(run({ targetDate: '2026-10-20' }).onTimeProbability).to.equal(0);
+    expect(run().onTimeProbability).to.be.null;
+  });
+
+  it('ranks the drivers that move finish and cost most', () => {
+    const riskEvents = buildRiskEvents([
+      { id: 9, risk_id: 'RISK-009', title: 'Integration rework', status: 'identified', probability: 5, impact: 5 }
+    ], 'inherent');
+    const result = run({ riskEvents, hourlyRate: null });
+
+    expect(result.cost).to.be.null;
+    expect(result.tornado.costUnit).to.equal('hours');
+    expect(result.tornado.schedule[0].key).to.equal('risk:9');
+    expect(result.tornado.schedule.map(d => d.key)).to.not.include('issue:3');
+    expect(result.risks[0]).to.include({ riskId: 'RISK-009', chancePercent: 90 });
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const {
+  SEARCH_TYPES,
+  normalizeSearchOptions,
+  buildSearchSql,
+  formatSnippet,
+  buildResultUrl
+} = require('../services/search-service');
+
+describe('Search Service - full-text search', () => {
+  describe('normalizeSearchOptions', () => {
+    it('defaults to every type and the default limit', () => {
+      const options = normalizeSearchOptions({ q: '  cutover plan ' });
+      expect(options).to.deep.equal({ query: 'cutover plan', types: SEARCH_TYPES, limit: 20, errors: [] });
+    });
+
+    it('filters types, caps the limit and keeps the canonical type order', () => {
+      const options = normalizeSearchOptions({ q: 'cutover', types: 'risk, issue', limit: '500' });
+      expect(options.types).to.deep.equal(['issue', 'risk']);
+      expect(options.limit).to.equal(50);
+      expect(options.errors).to.be.empty;
+    });
+
+    it('reports short queries, unknown types and bad limits', () => {
+      const { errors } = normalizeSearchOptions({ q: 'a', types: 'issue,wiki', limit: 'x' });
+      expect(errors).to.deep.equal([
+        'Search text must be at least 2 characters',
+        `Unknown result type: wiki. Use ${SEARCH_TYPES.join(', ')}`,
+        'Limit must be a positive number'
+      ]);
+    });
+  });
+
+  describe('buildSearchSql', () => {
+    it('only includes the selected sources', () => {
+      const sql = buildSearchSql(['issue', 'risk']);
+      expect(sql).to.include('FROM issues');
+      expect(sql).to.include('FROM risks');
+      expect(sql).to.not.include('FROM decisions');
+      expect(sql.match(/UNION ALL/g)).to.have.length(1);
+    });
+
+    it('keeps the search text parameterized', () => {
+      const sql = buildSearchSql(SEARCH_TYPES);
+      expect(sql).to.include("websearch_to_tsquery('english', $2)");
+      expect(sql).to.include('q.query, $4) AS snippet');
+      expect(sql).to.not.match(/\$[6-9]/);
+    });
+  });
+
+  describe('formatSnippet', () => {
+    it('escapes text and converts highlight markers to <mark>', () => {
+      expect(formatSnippet('Fix <script> in [[hl]]cutover[[/hl]]\n  plan'))
+        .to.equal('Fix &lt;script&gt; in <mark>cutover</mark> plan');
+      expect(formatSnippet(null)).to.equal('');
+    });
+  });
+
+  describe('buildResultUrl', () => {
+    it('links items, comments and risks to their pages', () => {
+      expect(buildResultUrl({ type: 'issue', id: 4 }, 9)).to.equal('index.html?project=9&itemId=4&itemType=issue');
+      expect(buildResultUrl({ type: 'comment', id: 3, parentType: 'action-item', parentId: 5 }, 9))
+        .to.equal('index.html?project=9&itemId=5&itemType=action-item');
+      expect(buildResultUrl({ type: 'comment', id: 3, parentType: 'checklist', parentId: 6 }, 9))
+        .to.equal('checklist-fill.html?id=6');
+      expect(buildResultUrl({ type: 'risk', id: 2 }, 9)).to.equal('risks.html?projectId=9&riskId=2');
+    });
+
+    it('returns null for entities without a page', () => {
+      expect(buildResultUrl({ type: 'decision', id: 1 }, 9)).to.be.null;
+    });
+  });
+});
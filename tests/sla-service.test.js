@@ -0,0 +1,170 @@
+const { expect } = require('chai');
+const {
+  businessMinutesBetween,
+  computeDueAt,
+  planTimerUpdate,
+  evaluateSla,
+  planEscalation,
+  formatBusinessDuration,
+  summarizeCompliance,
+  validatePolicy
+} = require('../services/sla-service');
+
+// Thursday 22 October 2026, local time
+const at = (day, hour = 0, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+const CRITICAL = {
+  id: 1,
+  priority: 'critical',
+  response_target: '4.00',
+  response_unit: 'hours',
+  resolution_target: '2.00',
+  resolution_unit: 'business_days',
+  warning_percent: 75
+};
+
+const newIssue = (overrides = {}) => ({
+  id: 10, status: 'To Do', assignee: null, created_at: at(22, 10),
+  sla_policy_id: null, sla_paused_minutes: 0, ...overrides
+});
+
+describe('SLA Service - business-time targets', () => {
+  it('skips weekends for hour and business-day targets', () => {
+    expect(computeDueAt(at(22, 10), 4, 'hours')).to.deep.equal(at(22, 14));
+    // Friday 22:00 + 4h lands early Monday
+    expect(computeDueAt(at(23, 22), 4, 'hours')).to.deep.equal(at(26, 2));
+    // Thursday + 2 business days = Monday, same time of day
+    expect(computeDueAt(at(22, 10), 2, 'business_days')).to.deep.equal(at(26, 10));
+    // Raised on a Saturday: the clock starts Monday morning
+    expect(computeDueAt(at(24, 9), 1, 'business_days')).to.deep.equal(at(27, 0));
+
+    expect(businessMinutesBetween(at(23, 12), at(26, 12))).to.equal(24 * 60);
+  });
+
+  it('starts timers and records the response on assignment', () => {
+    const started = planTimerUpdate(newIssue(), { policy: CRITICAL, statusCategory: 'todo', now: at(22, 10) });
+    expect(started).to.include({ sla_policy_id: 1, sla_responded_at: null, sla_response_breached: false });
+    expect(started.sla_response_due_at).to.deep.equal(at(22, 14));
+    expect(started.sla_resolution_due_at).to.deep.equal(at(26, 10));
+
+    const assigned = planTimerUpdate(
+      newIssue({ ...started, assignee: 'jo' }),
+      { policy: CRITICAL, statusCategory: 'todo', now: at(22, 15) }
+    );
+    expect(assigned.sla_responded_at).to.deep.equal(at(22, 15));
+    expect(assigned.sla_response_breached).to.equal(true);
+    expect(assigned.sla_resolution_breached).to.equal(false);
+  });
+
+  it('pauses in pause statuses and pushes the due times back on resume', () => {
+    const started = planTimerUpdate(newIssue(), { policy: CRITICAL, statusCategory: 'todo', now: at(22, 10) });
+    const pauseStatuses = ['Waiting on Customer'];
+
+    const paused = planTimerUpdate(
+      newIssue({ ...started, status: 'Waiting on Customer' }),
+      { policy: CRITICAL, pauseStatuses, statusCategory: 'active', now: at(22, 11) }
+    );
+    expect(paused.sla_paused_at).to.deep.equal(at(22, 11));
+
+    const resumed = planTimerUpdate(
+      newIssue({ ...paused, status: 'In Progress' }),
+      { policy: CRITICAL, pauseStatuses, statusCategory: 'active', now: at(22, 14) }
+    );
+    expect(resumed.sla_paused_at).to.equal(null);
+    expect(resumed.sla_paused_minutes).to.equal(180);
+    expect(resumed.sla_resolution_due_at).to.deep.equal(at(26, 13));
+  });
+
+  it('records resolution and resets notice markers on reopen', () => {
+    const resolved = planTimerUpdate(
+      newIssue({
+        sla_policy_id: 1, sla_started_at: at(22, 10), sla_responded_at: at(22, 11),
+        sla_response_due_at: at(22, 14), sla_resolution_due_at: at(26, 10),
+        status: 'Done', sla_warning_sent_at: at(26, 1)
+      }),
+      { policy: CRITICAL, statusCategory: 'done', now: at(26, 9) }
+    );
+    expect(resolved.sla_resolved_at).to.deep.equal(at(26, 9));
+    expect(resolved.sla_resolution_breached).to.equal(false);
+    expect(resolved.sla_warning_sent_at).to.deep.equal(at(26, 1));
+
+    const reopened = planTimerUpdate(
+      newIssue({ ...resolved, status: 'In Progress' }),
+      { policy: CRITICAL, statusCategory: 'active', now: at(26, 11) }
+    );
+    expect(reopened.sla_resolved_at).to.equal(null);
+    expect(reopened.sla_resolution_breached).to.equal(true);
+    expect(reopened.sla_warning_sent_at).to.equal(null);
+  });
+
+  it('clears timers when no policy applies', () => {
+    const cleared = planTimerUpdate(newIssue({ sla_policy_id: 1 }), { policy: null, statusCategory: 'todo' });
+    expect(cleared).to.include({ sla_policy_id: null, sla_resolution_due_at: null, sla_paused_minutes: 0 });
+  });
+});
+
+describe('SLA Service - evaluation and escalation', () => {
+  const timed = (overrides = {}) => ({
+    sla_policy_id: 1, sla_started_at: at(22, 10), sla_response_due_at: at(22, 14),
+    sla_resolution_due_at: at(26, 10), sla_responded_at: at(22, 11), sla_paused_minutes: 0,
+    ...overrides
+  });
+
+  it('measures the response target first, then resolution', () => {
+    const waiting = evaluateSla(timed({ sla_responded_at: null }), { now: at(22, 11) });
+    expect(waiting).to.include({ target: 'response', state: 'ok', minutesRemaining: 180, percentElapsed: 25 });
+
+    const nearBreach = evaluateSla(timed(), { now: at(23, 22) });
+    expect(nearBreach).to.include({ target: 'resolution', state: 'warning' });
+    expect(planEscalation(timed(), nearBreach)).to.equal('warning');
+    expect(planEscalation(timed({ sla_warning_sent_at: at(23, 22) }), nearBreach)).to.equal(null);
+  });
+
+  it('escalates a breach once and reports paused timers', () => {
+    const breached = evaluateSla(timed(), { now: at(26, 12) });
+    expect(breached).to.include({ state: 'breached', minutesRemaining: -120 });
+    expect(planEscalation(timed(), breached)).to.equal('breach');
+    expect(planEscalation(timed({ sla_escalated_at: at(26, 12) }), breached)).to.equal(null);
+
+    const paused = evaluateSla(timed({ sla_paused_at: at(23, 10) }), { now: at(26, 12) });
+    expect(paused.state).to.equal('paused');
+
+    expect(evaluateSla({ sla_policy_id: null })).to.equal(null);
+  });
+
+  it('formats business durations', () => {
+    expect(formatBusinessDuration(45)).to.equal('45m');
+    expect(formatBusinessDuration(-200)).to.equal('3h 20m');
+    expect(formatBusinessDuration(24 * 60 * 2 + 240)).to.equal('2d 4h');
+  });
+});
+
+describe('SLA Service - compliance and validation', () => {
+  it('summarises compliance per priority', () => {
+    const rows = [
+      { priority: 'critical', sla_started_at: at(22, 10), sla_responded_at: at(22, 12), sla_resolved_at: at(23, 10) },
+      { priority: 'Critical', sla_started_at: at(22, 10), sla_responded_at: at(22, 16), sla_response_breached: true,
+        sla_resolution_due_at: at(26, 10) },
+      { priority: 'low', sla_started_at: at(22, 10), sla_responded_at: at(22, 11), sla_resolved_at: at(27, 10),
+        sla_resolution_breached: true }
+    ];
+    const { overall, byPriority } = summarizeCompliance(rows, at(27, 0));
+
+    expect(byPriority.map(p => p.priority)).to.deep.equal(['critical', 'low']);
+    expect(byPriority[0]).to.include({
+      total: 2, responseCompliance: 50, resolutionCompliance: 50, openBreached: 1, avgResponseMinutes: 240
+    });
+    // Thursday to the next Tuesday is three business days
+    expect(overall).to.include({ total: 3, resolved: 2, resolutionCompliance: 33, avgResolutionMinutes: (1 + 3) * 24 * 60 / 2 });
+  });
+
+  it('validates policy targets', () => {
+    expect(validatePolicy({ priority: 'High', response_target: '8', resolution_target: '3' }))
+      .to.include({ priority: 'high', response_unit: 'hours', resolution_unit: 'business_days', warning_percent: 75 });
+
+    expect(() => validatePolicy({ priority: 'high', response_target: '0', resolution_target: '1', warning_percent: 120 }))
+      .to.throw(/Response target must be greater than zero.*Warning threshold/);
+    expect(() => validatePolicy({ priority: 'high', response_target: '3', response_unit: 'business_days', resolution_target: '8', resolution_unit: 'hours' }))
+      .to.throw(/cannot be longer/);
+  });
+});
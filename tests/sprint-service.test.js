@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const { buildBurndownSeries, calculateVelocity } = require('../services/sprint-service');
+
+describe('Sprint Service - burndown and velocity', () => {
+  describe('buildBurndownSeries', () => {
+    const items = [
+      { itemType: 'issue', itemId: 1, plannedHours: 8, committed: true, addedAt: '2026-03-01T09:00:00Z', removedAt: null },
+      { itemType: 'issue', itemId: 2, plannedHours: 4, committed: true, addedAt: '2026-03-01T09:00:00Z', removedAt: null },
+      { itemType: 'action-item', itemId: 1, plannedHours: 2, committed: false, addedAt: '2026-03-03T12:00:00Z', removedAt: null }
+    ];
+
+    it('draws the ideal line from committed hours down to zero', () => {
+      const { days, committedHours } = buildBurndownSeries({
+        startDate: '2026-03-01',
+        endDate: '2026-03-05',
+        items,
+        today: '2026-03-10'
+      });
+
+      expect(committedHours).to.equal(12);
+      expect(days).to.have.length(5);
+      expect(days[0].ideal).to.equal(12);
+      expect(days[2].ideal).to.equal(6);
+      expect(days[4].ideal).to.equal(0);
+    });
+
+    it('burns down completed items and tracks scope added mid-sprint', () => {
+      const { days } = buildBurndownSeries({
+        startDate: '2026-03-01',
+        endDate: '2026-03-05',
+        items,
+        transitions: [
+          { itemType: 'issue', itemId: 2, toStatus: 'In Progress', changedAt: '2026-03-01T10:00:00Z' },
+          { itemType: 'issue', itemId: 2, toStatus: 'Done', changedAt: '2026-03-02T15:00:00Z' },
+          { itemType: 'action-item', itemId: 1, toStatus: 'Done', changedAt: '2026-03-04T11:00:00Z' }
+        ],
+        today: '2026-03-10'
+      });
+
+      expect(days[0]).to.include({ scope: 12, remaining: 12, completed: 0 });
+      expect(days[1]).to.include({ scope: 12, remaining: 8, completed: 4 });
+      expect(days[2]).to.include({ scope: 14, remaining: 10 });
+      expect(days[3]).to.include({ scope: 14, remaining: 8, completed: 6 });
+    });
+
+    it('treats an item reopened after Done as remaining work', () => {
+      const { days } = buildBurndownSeries({
+        startDate: '2026-03-01',
+        endDate: '2026-03-03',
+        items: [items[0]],
+        transitions: [
+          { itemType: 'issue', itemId: 1, toStatus: 'Done', changedAt: '2026-03-01T16:00:00Z' },
+          { itemType: 'issue', itemId: 1, toStatus: 'In Progress', changedAt: '2026-03-02T09:00:00Z' }
+        ],
+        today: '2026-03-10'
+      });
+
+      expect(days[0].remaining).to.equal(0);
+      expect(days[1].remaining).to.equal(8);
+    });
+
+    it('accumulates logged hours and leaves future days empty', () => {
+      const { days } = buildBurndownSeries({
+        startDate: '2026-03-01',
+        endDate: '2026-03-05',
+        items,
+        timeEntries: [
+          { hours: '1.5', workDate: '2026-03-01' },
+          { hours: '3', workDate: '2026-03-02' }
+        ],
+        today: '2026-03-03'
+      });
+
+      expect(days[0].loggedHours).to.equal(1.5);
+      expect(days[2].loggedHours).to.equal(4.5);
+      expect(days[3].remaining).to.equal(null);
+      expect(days[4].loggedHours).to.equal(null);
+    });
+
+    it('drops items removed from the sprint from the scope', () => {
+      const { days } = buildBurndownSeries({
+        startDate: '2026-03-01',
+        endDate: '2026-03-03',
+        items: [{ ...items[0], removedAt: '2026-03-02T10:00:00Z' }, items[1]],
+        today: '2026-03-10'
+      });
+
+      expect(days[0].scope).to.equal(12);
+      expect(days[1].scope).to.equal(4);
+    });
+  });
+
+  describe('calculateVelocity', () => {
+    it('returns empty averages when no sprint has closed', () => {
+      const velocity = calculateVelocity([]);
+      expect(velocity.sprints).to.deep.equal([]);
+      expect(velocity.averageCompletedHours).to.equal(0);
+      expect(velocity.commitmentReliability).to.equal(null);
+    });
+
+    it('averages completed work and commitment reliability', () => {
+      const velocity = calculateVelocity([
+        { id: 1, name: 'Sprint 1', committed_hours: '40', completed_hours: '30', committed_items: 8, completed_items: 6 },
+        { id: 2, name: 'Sprint 2', committed_hours: '40', completed_hours: '40', committed_items: 10, completed_items: 10 }
+      ]);
+
+      expect(velocity.sprints[0].completionRate).to.equal(75);
+      expect(velocity.averageCompletedHours).to.equal(35);
+      expect(velocity.averageCompletedItems).to.equal(8);
+      expect(velocity.commitmentReliability).to.equal(87.5);
+    });
+  });
+});
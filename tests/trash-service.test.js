@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { pool } = require('../db');
+const {
+  TRASH_TYPES,
+  trashItem,
+  purgeExpiredTrash,
+  getTrashType,
+  normalizeRetentionDays,
+  getPurgeDate,
+  summarizeSnapshot
+} = require('../services/trash-service');
+
+describe('Trash Service - retention and snapshots', () => {
+  describe('getTrashType', () => {
+    it('covers issues, action items, risks and decisions', () => {
+      expect(Object.keys(TRASH_TYPES)).to.have.members(['issue', 'action-item', 'risk', 'decision']);
+      expect(getTrashType('risk').table).to.equal('risks');
+    });
+
+    it('snapshots comment reactions and edits before the comments that own them', () => {
+      ['issue', 'action-item'].forEach(type => {
+        const tables = getTrashType(type).dependents.map(d => d.table);
+        const comments = tables.findIndex(t => t.endsWith('_comments'));
+        expect(tables.indexOf('comment_reactions')).to.be.within(0, comments - 1);
+        expect(tables.indexOf('comment_edits')).to.be.within(0, comments - 1);
+      });
+      expect(getTrashType('action-item').dependents[0].where).to.contain(`comment_type = 'action-item'`);
+    });
+
+    it('rejects unknown item types', () => {
+      expect(() => getTrashType('meeting')).to.throw(/Invalid item type: meeting/);
+    });
+  });
+
+  describe('normalizeRetentionDays', () => {
+    it('accepts whole numbers of days from forms and JSON', () => {
+      expect(normalizeRetentionDays(30)).to.equal(30);
+      expect(normalizeRetentionDays(' 7 ')).to.equal(7);
+    });
+
+    it('rejects fractions, zero and values above the maximum', () => {
+      expect(normalizeRetentionDays('1.5')).to.be.null;
+      expect(normalizeRetentionDays(0)).to.be.null;
+      expect(normalizeRetentionDays(366)).to.be.null;
+      expect(normalizeRetentionDays('')).to.be.null;
+    });
+  });
+
+  describe('getPurgeDate', () => {
+    it('adds the retention period to the deletion time', () => {
+      const purgeAt = getPurgeDate(new Date(2026, 0, 25, 10, 0), 10);
+      expect(purgeAt.getMonth()).to.equal(1);
+      expect(purgeAt.getDate()).to.equal(4);
+    });
+
+    it('falls back to the default retention', () => {
+      const purgeAt = getPurgeDate(new Date(2026, 0, 1), null);
+      expect(purgeAt.getDate()).to.equal(31);
+    });
+  });
+
+  describe('summarizeSnapshot', () => {
+    it('counts what restore brings back', () => {
+      const summary = summarizeSnapshot({
+        row: { id: 5 },
+        dependents: {
+          issue_comments: [{ id: 1 }, { id: 2 }],
+          issue_tags: [{ id: 3 }],
+          issue_dependencies: [{ id: 4 }],
+          issue_relationships: [{ id: 5 }, { id: 6 }]
+        },
+        links: [
+          { table: 'issues', column: 'parent_issue_id', value: 5, ids: [8, 9] },
+          { table: 'evidence', column: 'pkg_edge_id', value: 'e1', ids: [1] }
+        ],
+        pkgNodes: [{ id: 'n1' }]
+      });
+      expect(summary).to.deep.equal({ comments: 2, tags: 1, links: 3, references: 2, pkgNodes: 1 });
+    });
+
+    it('handles snapshots with nothing attached', () => {
+      expect(summarizeSnapshot({ row: { id: 1 } })).to.deep.equal({ comments: 0, tags: 0, links: 0, references: 0, pkgNodes: 0 });
+    });
+  });
+});
+
+describe('Trash Service - trashItem on a caller\'s transaction', () => {
+  afterEach(() => sinon.restore());
+
+  it('uses the client it is given and leaves commit and rollback to the caller', async () => {
+    const connect = sinon.stub(pool, 'connect');
+    const client = { query: sinon.stub().resolves({ rows: [] }) };
+
+    const entry = await trashItem('issue', 10, 1, client);
+
+    expect(entry).to.be.null;
+    expect(connect.called).to.be.false;
+    const statements = client.query.getCalls().map(call => call.args[0].trim());
+    expect(statements).to.have.length(1);
+    expect(statements[0]).to.match(/^SELECT to_jsonb\(t\) AS row FROM issues/);
+  });
+});
+
+describe('Trash Service - purging entries of archived projects', () => {
+  afterEach(() => sinon.restore());
+
+  // Stands in for assert_project_writable() (migration 051) on an archived project
+  function archivedProjectClient() {
+    let bypass = false;
+    return {
+      statements: [],
+      async query(sql) {
+        this.statements.push(sql.trim());
+        if (sql === 'BEGIN') bypass = false;
+        if (sql.includes('app.archive_bypass')) bypass = true;
+        if (sql.includes('FROM trash_items WHERE id = $1 FOR UPDATE')) {
+          return {
+            rows: [{
+              id: 4, item_type: 'issue', item_id: 12,
+              snapshot: { links: [{ table: 'checklists', column: 'related_issue_id', ids: [30] }] }
+            }]
+          };
+        }
+        if (sql.startsWith('DELETE FROM attachments')) {
+          return { rows: [{ id: 51, file_path: null }] };
+        }
+        if (/^DELETE FROM (rag_documents|checklists)/.test(sql.trim()) && !bypass) {
+          const error = new Error('Project 3 is archived and read-only');
+          error.code = 'AR001';
+          throw error;
+        }
+        return { rows: [], rowCount: 1 };
+      },
+      release: sinon.spy()
+    };
+  }
+
+  it('purges expired entries even after the project was archived', async () => {
+    const client = archivedProjectClient();
+    sinon.stub(pool, 'connect').resolves(client);
+    sinon.stub(pool, 'query').resolves({ rows: [{ id: 4 }] });
+    const logged = sinon.stub(console, 'error');
+
+    const purged = await purgeExpiredTrash();
+
+    expect(purged).to.equal(1);
+    expect(logged.called).to.be.false;
+    expect(client.statements.indexOf(`SET LOCAL app.archive_bypass = 'on'`)).to.equal(1);
+    expect(client.statements).to.include('COMMIT');
+    expect(client.statements.some(sql => sql.startsWith('DELETE FROM checklists'))).to.be.true;
+  });
+});
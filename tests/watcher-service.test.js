@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const {
+  formatFieldValue,
+  diffWatchedFields,
+  selectRecipients,
+  buildItemPath,
+  buildWatcherMessage
+} = require('../services/watcher-service');
+
+describe('Watcher Service - recipients and messages', () => {
+  describe('diffWatchedFields', () => {
+    it('labels issue changes with the change-history field names', () => {
+      const before = { id: 1, status: 'To Do', priority: 'high', custom_fields: {} };
+      const after = { id: 1, status: 'In Progress', priority: 'high', custom_fields: { severity: 'S1' } };
+      expect(diffWatchedFields('issue', before, after)).to.deep.equal([
+        { field: 'status', oldValue: 'To Do', newValue: 'In Progress', label: 'Status' },
+        { field: 'custom_fields.severity', oldValue: null, newValue: 'S1', label: 'severity' }
+      ]);
+    });
+
+    it('diffs the watched risk and decision fields only', () => {
+      const risk = diffWatchedFields('risk',
+        { probability: 2, review_date: new Date(2026, 10, 1), risk_score: 4 },
+        { probability: 3, review_date: '2026-11-01', risk_score: 9 });
+      expect(risk).to.deep.equal([{ field: 'probability', label: 'Probability', oldValue: 2, newValue: 3 }]);
+
+      const decision = diffWatchedFields('decision', { status: 'proposed', rationale: '' }, { status: 'approved', rationale: null });
+      expect(decision.map(c => c.field)).to.deep.equal(['status']);
+    });
+  });
+
+  describe('selectRecipients', () => {
+    const watchers = [
+      { user_id: 1, username: 'alice' },
+      { user_id: 2, username: 'Bob' },
+      { user_id: 3, username: 'carol' },
+      { user_id: 3, username: 'carol' }
+    ];
+
+    it('skips the actor, excluded users and duplicates', () => {
+      const recipients = selectRecipients(watchers, { actorId: '1', excludeUsernames: ['bob', null] });
+      expect(recipients.map(w => w.user_id)).to.deep.equal([3]);
+      expect(selectRecipients(watchers, { actorId: 9, excludeUserIds: [3] }).map(w => w.user_id)).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe('buildItemPath', () => {
+    it('links each item type to its page', () => {
+      expect(buildItemPath('action-item', 4, 9)).to.equal('index.html?project=9&itemId=4&itemType=action-item');
+      expect(buildItemPath('risk', 2, 9)).to.equal('risks.html?projectId=9&riskId=2');
+      expect(buildItemPath('decision', 5, 9)).to.equal('index.html?project=9');
+    });
+  });
+
+  describe('buildWatcherMessage', () => {
+    it('escapes comment previews', () => {
+      const message = buildWatcherMessage({ kind: 'comment', itemType: 'issue', itemTitle: 'Cutover', comment: '<b>ship it</b>' });
+      expect(message.subject).to.equal('New comment on Cutover');
+      expect(message.detailsHtml).to.include('&lt;b&gt;ship it&lt;/b&gt;');
+    });
+
+    it('describes status changes and field edits', () => {
+      const changes = [{ field: 'status', label: 'Status', oldValue: 'To Do', newValue: 'Done' }];
+      const status = buildWatcherMessage({ kind: 'status', itemType: 'issue', itemTitle: 'Cutover', changes });
+      expect(status.subject).to.equal('Status changed: Cutover (Done)');
+      expect(status.facts).to.deep.equal([{ title: 'Status', value: 'To Do → Done' }]);
+
+      const edit = buildWatcherMessage({
+        kind: 'fields', itemType: 'action-item', itemTitle: 'Book room',
+        changes: [{ field: 'due_date', label: 'Due Date', oldValue: null, newValue: '2026-11-30' }]
+      });
+      expect(edit.subject).to.equal('Updated action item: Book room');
+      expect(edit.headline).to.equal('Action Item Updated');
+      expect(edit.detailsHtml).to.include('(none) &rarr; 2026-11-30');
+    });
+  });
+
+  describe('formatFieldValue', () => {
+    it('formats empty, list and long values', () => {
+      expect(formatFieldValue('')).to.equal('(none)');
+      expect(formatFieldValue(['a', 'b'])).to.equal('a, b');
+      expect(formatFieldValue('x'.repeat(200))).to.have.length(123);
+    });
+  });
+});
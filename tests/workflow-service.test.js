@@ -0,0 +1,199 @@
+const { expect } = require('chai');
+const {
+  DEFAULT_STATUSES,
+  fallbackCategory,
+  getStatusCategory,
+  getInitialStatusName,
+  findTransition,
+  getAllowedTargets,
+  evaluateTransition,
+  evaluateWipLimit,
+  validateWorkflowDefinition
+} = require('../services/workflow-service');
+
+describe('Workflow Service - statuses and transitions', () => {
+  const reviewWorkflow = {
+    projectId: 1,
+    isDefault: false,
+    statuses: [
+      { name: 'Backlog', category: 'todo', position: 0, isInitial: true },
+      { name: 'In Review', category: 'active', position: 1, isInitial: false },
+      { name: 'QA', category: 'active', position: 2, isInitial: false },
+      { name: 'Shipped', category: 'done', position: 3, isInitial: false }
+    ],
+    transitions: [
+      { fromStatus: 'Backlog', toStatus: 'In Review', requiresAssignee: true },
+      { fromStatus: 'In Review', toStatus: 'QA', requiresChecklistComplete: true },
+      { fromStatus: 'QA', toStatus: 'Shipped', requiresHours: true, minRole: 'Team Lead' },
+      { fromStatus: null, toStatus: 'Backlog' }
+    ]
+  };
+
+  describe('categories', () => {
+    it('falls back to conventional names when a status is not in the workflow', () => {
+      expect(fallbackCategory('Done')).to.equal('done');
+      expect(fallbackCategory('closed')).to.equal('done');
+      expect(fallbackCategory('To Do')).to.equal('todo');
+      expect(fallbackCategory('Blocked')).to.equal('active');
+      expect(fallbackCategory(null)).to.equal('active');
+    });
+
+    it('uses the configured category for workflow statuses', () => {
+      expect(getStatusCategory(reviewWorkflow, 'Shipped')).to.equal('done');
+      expect(getStatusCategory(reviewWorkflow, 'Backlog')).to.equal('todo');
+      expect(getStatusCategory(reviewWorkflow, 'Done')).to.equal('done');
+    });
+
+    it('picks the initial status, then the first todo status', () => {
+      expect(getInitialStatusName(reviewWorkflow)).to.equal('Backlog');
+      expect(getInitialStatusName({ statuses: DEFAULT_STATUSES.map(s => ({ ...s, isInitial: false })) })).to.equal('To Do');
+    });
+  });
+
+  describe('findTransition', () => {
+    it('allows any change when no transitions are configured', () => {
+      const workflow = { statuses: DEFAULT_STATUSES, transitions: [] };
+      expect(findTransition(workflow, 'Done', 'To Do')).to.not.be.null;
+    });
+
+    it('matches exact rules before "from any" rules and rejects unlisted ones', () => {
+      expect(findTransition(reviewWorkflow, 'QA', 'Shipped')).to.include({ requiresHours: true });
+      expect(findTransition(reviewWorkflow, 'Shipped', 'Backlog')).to.include({ fromStatus: null });
+      expect(findTransition(reviewWorkflow, 'Backlog', 'Shipped')).to.be.null;
+    });
+
+    it('lists allowed targets from a status', () => {
+      expect(getAllowedTargets(reviewWorkflow, 'In Review')).to.deep.equal(['Backlog', 'QA']);
+    });
+  });
+
+  describe('evaluateTransition', () => {
+    it('treats staying in the same status as valid', () => {
+      expect(evaluateTransition(reviewWorkflow, 'QA', 'QA').valid).to.be.true;
+    });
+
+    it('rejects statuses outside the workflow', () => {
+      const result = evaluateTransition(reviewWorkflow, 'Backlog', 'Done');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.equal('Invalid status');
+    });
+
+    it('rejects transitions that are not allowed and returns the allowed targets', () => {
+      const result = evaluateTransition(reviewWorkflow, 'Backlog', 'Shipped');
+      expect(result.valid).to.be.false;
+      expect(result.error).to.equal('Transition not allowed');
+      expect(result.allowedStatuses).to.deep.equal(['In Review']);
+    });
+
+    it('requires an assignee when the transition says so', () => {
+      expect(evaluateTransition(reviewWorkflow, 'Backlog', 'In Review', { assignee: '  ' }).error).to.equal('Assignee required');
+      expect(evaluateTransition(reviewWorkflow, 'Backlog', 'In Review', { assignee: 'Dana' }).valid).to.be.true;
+    });
+
+    it('requires a complete checklist when the transition says so', () => {
+      const incomplete = evaluateTransition(reviewWorkflow, 'In Review', 'QA', {
+        checklistCompletion: { total: 4, completed: 3 }
+      });
+      expect(incomplete.valid).to.be.false;
+      expect(incomplete.checklistIncomplete).to.be.true;
+
+      const noChecklist = evaluateTransition(reviewWorkflow, 'In Review', 'QA', {
+        checklistCompletion: { total: 0, completed: 0 }
+      });
+      expect(noChecklist.valid).to.be.true;
+    });
+
+    it('enforces the minimum role for user-initiated changes only', () => {
+      const member = evaluateTransition(reviewWorkflow, 'QA', 'Shipped', { userRole: 'Team Member', hoursAdded: 2 });
+      expect(member.error).to.equal('Insufficient permissions');
+
+      const lead = evaluateTransition(reviewWorkflow, 'QA', 'Shipped', { userRole: 'Team Lead', hoursAdded: 2 });
+      expect(lead.valid).to.be.true;
+
+      const system = evaluateTransition(reviewWorkflow, 'QA', 'Shipped', { hoursAdded: 2 });
+      expect(system.valid).to.be.true;
+    });
+
+    it('requires hours when the transition says so', () => {
+      const result = evaluateTransition(reviewWorkflow, 'QA', 'Shipped', { userRole: 'Project Manager' });
+      expect(result.valid).to.be.false;
+      expect(result).to.include({ requiresHours: true, timesheetRequired: true });
+    });
+  });
+
+  describe('evaluateWipLimit', () => {
+    const limitedWorkflow = {
+      ...reviewWorkflow,
+      statuses: reviewWorkflow.statuses.map(s => (s.name === 'In Review' ? { ...s, wipLimit: 3 } : s))
+    };
+
+    it('allows any move into a status without a limit', () => {
+      expect(evaluateWipLimit(limitedWorkflow, 'QA', 50)).to.deep.equal({ valid: true, override: false });
+    });
+
+    it('allows a move while the status is under its limit', () => {
+      expect(evaluateWipLimit(limitedWorkflow, 'In Review', 2)).to.deep.equal({ valid: true, override: false });
+    });
+
+    it('blocks a move into a full status without a reason', () => {
+      const result = evaluateWipLimit(limitedWorkflow, 'In Review', 3, '   ');
+      expect(result).to.include({ valid: false, wipLimitExceeded: true, wipLimit: 3, wipCount: 3 });
+      expect(result.message).to.contain('"In Review" is at its WIP limit (3/3)');
+    });
+
+    it('lets a move go over the limit with a reason', () => {
+      expect(evaluateWipLimit(limitedWorkflow, 'In Review', 4, ' Production incident ')).to.deep.equal({
+        valid: true,
+        override: true,
+        wipLimit: 3,
+        wipCount: 4,
+        reason: 'Production incident'
+      });
+    });
+  });
+
+  describe('validateWorkflowDefinition', () => {
+    it('accepts the default workflow', () => {
+      expect(validateWorkflowDefinition({ statuses: DEFAULT_STATUSES, transitions: [] })).to.be.empty;
+    });
+
+    it('reports duplicate names, missing categories and unknown references', () => {
+      const errors = validateWorkflowDefinition({
+        statuses: [
+          { name: 'Open', category: 'todo' },
+          { name: 'Open', category: 'active' },
+          { name: 'Working', category: 'started' }
+        ],
+        transitions: [
+          { fromStatus: 'Open', toStatus: 'Closed' },
+          { fromStatus: null, toStatus: 'Working', minRole: 'Boss' }
+        ]
+      });
+
+      expect(errors).to.include('Duplicate status "Open"');
+      expect(errors).to.include('At least one status must be in the "done" category');
+      expect(errors).to.include('Transition references unknown status "Closed"');
+      expect(errors).to.include('Unknown role "Boss" on transition to "Working"');
+      expect(errors.some(e => e.startsWith('Status "Working" must have a category'))).to.be.true;
+    });
+
+    it('requires WIP limits to be positive whole numbers', () => {
+      const errors = validateWorkflowDefinition({
+        statuses: [
+          { name: 'Open', category: 'todo', wipLimit: 5 },
+          { name: 'Working', category: 'active', wipLimit: 0 },
+          { name: 'Closed', category: 'done', wipLimit: 2.5 }
+        ]
+      });
+
+      expect(errors).to.deep.equal([
+        'WIP limit for "Working" must be a whole number greater than zero',
+        'WIP limit for "Closed" must be a whole number greater than zero'
+      ]);
+    });
+
+    it('requires at least one status', () => {
+      expect(validateWorkflowDefinition({ statuses: [] })).to.deep.equal(['At least one status is required']);
+    });
+  });
+});